@@ -4,6 +4,11 @@
  */
 
 const { Pool } = require('pg');
+const {
+    STANDARD_TEMPLATE_NAME,
+    STANDARD_TEMPLATE_CONTENT,
+    STANDARD_CLAUSES
+} = require('../src/services/agreementTemplateService');
 
 // Database connection configuration
 const pool = new Pool({
@@ -12,6 +17,35 @@ const pool = new Pool({
     ssl: false
 });
 
+// Allowed notification types. Kept in one place so the CHECK constraint can be
+// refreshed on existing databases whenever a new type is introduced.
+const NOTIFICATION_TYPES = [
+    'payment_reminder', 'payment_received', 'notice_given', 'tenancy_expiring',
+    'breach_notice', 'breach_remedied', 'termination_notice', 'extension_offer',
+    'extension_accepted', 'extension_rejected', 'deduction_made', 'general',
+    'payment_overdue', 'arrears_breach_draft', 'interest_charged', 'tax_allowance_warning',
+    'rent_review', 'utility_recharge', 'cash_handover', 'maintenance_update', 'damage_report', 'inventory', 'deposit_refund',
+    'deduction_dispute', 'surrender', 'variation', 'right_to_rent', 'safety_certificate'
+];
+
+// Extra charges that can be added to a lodger's ledger alongside rent
+const CHARGE_TYPES = ['late_interest', 'utility_recharge'];
+
+const notificationTypeList = NOTIFICATION_TYPES.map(type => `'${type}'`).join(', ');
+const chargeTypeList = CHARGE_TYPES.map(type => `'${type}'`).join(', ');
+
+// Bank of England base rate history used to seed the base_rates table.
+// Admins add new changes from the dashboard as they are announced.
+const BASE_RATE_HISTORY = [
+    ['2020-03-19', 0.10], ['2021-12-16', 0.25], ['2022-02-03', 0.50],
+    ['2022-03-17', 0.75], ['2022-05-05', 1.00], ['2022-06-16', 1.25],
+    ['2022-08-04', 1.75], ['2022-09-22', 2.25], ['2022-11-03', 3.00],
+    ['2022-12-15', 3.50], ['2023-02-02', 4.00], ['2023-03-23', 4.25],
+    ['2023-05-11', 4.50], ['2023-06-22', 5.00], ['2023-08-03', 5.25],
+    ['2024-08-01', 5.00], ['2024-11-07', 4.75], ['2025-02-06', 4.50],
+    ['2025-05-08', 4.25], ['2025-08-07', 4.00]
+];
+
 async function createTables() {
     const client = await pool.connect();
 
@@ -45,6 +79,7 @@ async function createTables() {
                 payment_reference VARCHAR(50),
                 rooms JSONB,
                 landlord_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                tax_tracking_enabled BOOLEAN DEFAULT true,
                 last_login TIMESTAMP,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -68,6 +103,52 @@ async function createTables() {
         `);
         console.log('✓ Created landlord_payment_details table');
 
+        // Create agreement_templates table (each save is a new version; landlord_id NULL is the standard template)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS agreement_templates (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                group_id UUID NOT NULL,
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                version INTEGER NOT NULL,
+                content JSONB NOT NULL,
+                change_note TEXT,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (group_id, version)
+            )
+        `);
+        await client.query(
+            `INSERT INTO agreement_templates (group_id, landlord_id, name, version, content, change_note)
+             SELECT uuid_generate_v4(), NULL::uuid, $1::varchar, 1, $2::jsonb, 'Standard agreement'
+             WHERE NOT EXISTS (SELECT 1 FROM agreement_templates WHERE landlord_id IS NULL)`,
+            [STANDARD_TEMPLATE_NAME, JSON.stringify(STANDARD_TEMPLATE_CONTENT)]
+        );
+        console.log('✓ Created agreement_templates table');
+
+        // Create agreement_clauses table (Part 3 clause library; landlord_id NULL are the standard clauses)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS agreement_clauses (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                category VARCHAR(20) NOT NULL CHECK (category IN ('house_rules', 'guests', 'parking', 'services', 'other')),
+                title VARCHAR(255) NOT NULL,
+                body TEXT NOT NULL,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        for (const [category, title, body] of STANDARD_CLAUSES) {
+            await client.query(
+                `INSERT INTO agreement_clauses (landlord_id, category, title, body)
+                 SELECT NULL::uuid, $1::varchar, $2::varchar, $3::text
+                 WHERE NOT EXISTS (SELECT 1 FROM agreement_clauses WHERE landlord_id IS NULL AND title = $2::varchar)`,
+                [category, title, body]
+            );
+        }
+        console.log('✓ Created agreement_clauses table');
+
         // Create tenancies table
         await client.query(`
             CREATE TABLE IF NOT EXISTS tenancies (
@@ -96,6 +177,7 @@ async function createTables() {
                 payment_day_of_cycle INTEGER,
                 payment_type VARCHAR(20) DEFAULT 'cycle' CHECK (payment_type IN ('cycle', 'calendar')),
                 payment_day_of_month INTEGER CHECK (payment_day_of_month >= 1 AND payment_day_of_month <= 31),
+                standing_order_reference VARCHAR(18) UNIQUE,
                 utilities_included TEXT,
                 utilities_excluded TEXT,
                 status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'notice_given', 'terminated', 'extended')),
@@ -104,6 +186,12 @@ async function createTables() {
                 lodger_signature TEXT,
                 landlord_signature TEXT,
                 signature_date TIMESTAMP,
+                agreement_document_path VARCHAR(500),
+                agreement_document_hash VARCHAR(64),
+                signed_agreement_hash VARCHAR(64),
+                agreement_template_id UUID REFERENCES agreement_templates(id),
+                special_terms JSONB DEFAULT '[]',
+                safety_certificates JSONB,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
@@ -164,6 +252,8 @@ async function createTables() {
                 total_rent_received DECIMAL(10, 2) DEFAULT 0,
                 rent_a_room_allowance DECIMAL(10, 2) DEFAULT 7500.00,
                 allowance_exceeded BOOLEAN GENERATED ALWAYS AS (total_rent_received > rent_a_room_allowance) STORED,
+                jointly_owned BOOLEAN DEFAULT false,
+                warning_level VARCHAR(20) DEFAULT 'none' CHECK (warning_level IN ('none', 'approaching', 'exceeded')),
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 UNIQUE(landlord_id, tax_year_start)
@@ -189,6 +279,13 @@ async function createTables() {
                 extension_months INTEGER CHECK (extension_months IN (3, 6, 12)),
                 extension_status VARCHAR(20) CHECK (extension_status IN ('pending', 'accepted', 'rejected')),
                 notice_letter_path VARCHAR(500),
+                surrender_status VARCHAR(20) CHECK (surrender_status IN ('pending', 'accepted', 'rejected', 'countered', 'withdrawn')),
+                surrender_terms JSONB,
+                counters_notice_id UUID REFERENCES notices(id) ON DELETE SET NULL,
+                landlord_signature VARCHAR(255),
+                landlord_signed_at TIMESTAMP,
+                lodger_signature VARCHAR(255),
+                lodger_signed_at TIMESTAMP,
                 status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('draft', 'active', 'completed', 'cancelled')),
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -203,9 +300,10 @@ async function createTables() {
                 user_id UUID REFERENCES users(id) ON DELETE CASCADE,
                 tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
                 payment_id UUID REFERENCES payment_schedule(id) ON DELETE CASCADE,
-                type VARCHAR(50) NOT NULL CHECK (type IN ('payment_reminder', 'payment_received', 'notice_given', 'tenancy_expiring', 'breach_notice', 'breach_remedied', 'termination_notice', 'extension_offer', 'extension_accepted', 'extension_rejected', 'deduction_made', 'general')),
+                type VARCHAR(50) NOT NULL CHECK (type IN (${notificationTypeList})),
                 title VARCHAR(255) NOT NULL,
                 message TEXT NOT NULL,
+                attachment_path VARCHAR(500),
                 is_read BOOLEAN DEFAULT false,
                 read_at TIMESTAMP,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -228,6 +326,9 @@ async function createTables() {
                 statement_path VARCHAR(500),
                 created_by UUID REFERENCES users(id),
                 notes TEXT,
+                dispute_status VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (dispute_status IN ('none', 'awaiting_landlord', 'awaiting_lodger', 'agreed', 'escalated', 'resolved')),
+                proposed_amount DECIMAL(10, 2),
+                original_amount DECIMAL(10, 2),
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
@@ -251,9 +352,718 @@ async function createTables() {
         `);
         console.log('✓ Created reset_requests table');
 
+        // Create arrears_settings table (per-landlord overdue/escalation rules)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS arrears_settings (
+                landlord_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                grace_period_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_period_days >= 0 AND grace_period_days <= 28),
+                reminder_days JSONB NOT NULL DEFAULT '[1, 7, 14]',
+                breach_threshold_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                breach_threshold_days INTEGER NOT NULL DEFAULT 14,
+                auto_draft_breach BOOLEAN NOT NULL DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created arrears_settings table');
+
+        // Create arrears_reminders table (which reminder stages were sent per payment)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS arrears_reminders (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                payment_id UUID REFERENCES payment_schedule(id) ON DELETE CASCADE,
+                stage INTEGER NOT NULL,
+                sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(payment_id, stage)
+            )
+        `);
+        console.log('✓ Created arrears_reminders table');
+
+        // Create base_rates table (Bank of England base rate history)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS base_rates (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0),
+                effective_from DATE NOT NULL UNIQUE,
+                created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        for (const [effectiveFrom, rate] of BASE_RATE_HISTORY) {
+            await client.query(
+                'INSERT INTO base_rates (effective_from, rate) VALUES ($1, $2) ON CONFLICT (effective_from) DO NOTHING',
+                [effectiveFrom, rate]
+            );
+        }
+        console.log('✓ Created base_rates table');
+
+        // Create ledger_charges table (extra charges on a tenancy, e.g. late payment interest)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ledger_charges (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                payment_id UUID REFERENCES payment_schedule(id) ON DELETE CASCADE,
+                charge_type VARCHAR(30) NOT NULL CHECK (charge_type IN (${chargeTypeList})),
+                description TEXT NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                amount_paid DECIMAL(10, 2) DEFAULT 0,
+                period_start DATE,
+                period_end DATE,
+                due_date DATE NOT NULL,
+                status VARCHAR(20) DEFAULT 'outstanding' CHECK (status IN ('outstanding', 'paid', 'waived')),
+                waiver_reason TEXT,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created ledger_charges table');
+
+        // Create payment_allocations table (how each receipt was split across rent and charges)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS payment_allocations (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                transaction_id UUID REFERENCES payment_transactions(id) ON DELETE CASCADE,
+                payment_schedule_id UUID REFERENCES payment_schedule(id) ON DELETE CASCADE,
+                charge_id UUID REFERENCES ledger_charges(id) ON DELETE CASCADE,
+                amount DECIMAL(10, 2) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created payment_allocations table');
+
+        // Create bank_imports table (bank statement uploads and feed syncs awaiting reconciliation)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS bank_imports (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                source VARCHAR(20) NOT NULL DEFAULT 'csv' CHECK (source IN ('csv', 'feed')),
+                filename VARCHAR(255),
+                preset VARCHAR(50),
+                column_mapping JSONB,
+                date_window_days INTEGER NOT NULL DEFAULT 5,
+                total_rows INTEGER NOT NULL DEFAULT 0,
+                matched_rows INTEGER NOT NULL DEFAULT 0,
+                status VARCHAR(20) DEFAULT 'review' CHECK (status IN ('review', 'completed')),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created bank_imports table');
+
+        // Create bank_import_rows table (one incoming bank credit and its proposed match)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS bank_import_rows (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                import_id UUID REFERENCES bank_imports(id) ON DELETE CASCADE,
+                row_number INTEGER,
+                transaction_date DATE NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                description TEXT,
+                reference VARCHAR(255),
+                raw_data JSONB,
+                matched_payment_id UUID REFERENCES payment_schedule(id) ON DELETE SET NULL,
+                match_score INTEGER,
+                match_reasons JSONB DEFAULT '[]',
+                status VARCHAR(20) DEFAULT 'unmatched' CHECK (status IN ('unmatched', 'proposed', 'confirmed', 'ignored', 'duplicate')),
+                transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created bank_import_rows table');
+
+        // Create payment_feed_connections table (automatic bank feeds per landlord account)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS payment_feed_connections (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                payment_details_id UUID REFERENCES landlord_payment_details(id) ON DELETE CASCADE,
+                provider VARCHAR(50) NOT NULL,
+                config JSONB NOT NULL DEFAULT '{}',
+                sync_cursor TEXT,
+                last_sync_at TIMESTAMP,
+                last_sync_status VARCHAR(20) DEFAULT 'never' CHECK (last_sync_status IN ('never', 'success', 'error')),
+                last_sync_message TEXT,
+                last_import_id UUID REFERENCES bank_imports(id) ON DELETE SET NULL,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created payment_feed_connections table');
+
+        // Create expenses table (costs claimable against rent instead of the Rent-a-Room allowance)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS expenses (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE SET NULL,
+                category VARCHAR(50) NOT NULL CHECK (category IN (
+                    'repairs_maintenance', 'utilities', 'council_tax', 'insurance', 'cleaning',
+                    'replacement_furnishings', 'professional_fees', 'advertising', 'services', 'travel', 'other'
+                )),
+                description TEXT NOT NULL,
+                supplier VARCHAR(255),
+                amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+                expense_date DATE NOT NULL,
+                apportionment_percent DECIMAL(5, 2) NOT NULL DEFAULT 100 CHECK (apportionment_percent > 0 AND apportionment_percent <= 100),
+                allowable_amount DECIMAL(10, 2) GENERATED ALWAYS AS (ROUND(amount * apportionment_percent / 100, 2)) STORED,
+                receipt_path VARCHAR(500),
+                receipt_filename VARCHAR(255),
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created expenses table');
+
+        // Create payment_receipts table (numbered receipts issued when a payment is confirmed)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS payment_receipts (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                payment_schedule_id UUID REFERENCES payment_schedule(id) ON DELETE SET NULL,
+                transaction_id UUID UNIQUE REFERENCES payment_transactions(id) ON DELETE CASCADE,
+                sequence_number INTEGER NOT NULL,
+                receipt_number VARCHAR(20) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                file_path VARCHAR(500),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(landlord_id, sequence_number)
+            )
+        `);
+        console.log('✓ Created payment_receipts table');
+
+        // Create rent_reviews table (scheduled rent changes with their notice letters)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS rent_reviews (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                previous_rent DECIMAL(10, 2) NOT NULL,
+                new_rent DECIMAL(10, 2) NOT NULL CHECK (new_rent > 0),
+                effective_date DATE NOT NULL,
+                notice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+                status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'applied', 'cancelled')),
+                reason TEXT,
+                notice_letter_path VARCHAR(500),
+                created_by UUID REFERENCES users(id),
+                applied_at TIMESTAMP,
+                cancelled_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created rent_reviews table');
+
+        // Create utility_bills table (household bills recharged to lodgers)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS utility_bills (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                utility_type VARCHAR(30) NOT NULL CHECK (utility_type IN ('gas', 'electricity', 'water', 'broadband', 'council_tax')),
+                supplier VARCHAR(255),
+                amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                split_method VARCHAR(20) NOT NULL CHECK (split_method IN ('days_occupied', 'fixed_share')),
+                include_householder BOOLEAN DEFAULT true,
+                due_date DATE NOT NULL,
+                bill_path VARCHAR(500),
+                bill_filename VARCHAR(255),
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                CHECK (period_end >= period_start)
+            )
+        `);
+        console.log('✓ Created utility_bills table');
+
+        // Create utility_bill_shares table (each lodger's part of a bill and the charge raised for it)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS utility_bill_shares (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                bill_id UUID REFERENCES utility_bills(id) ON DELETE CASCADE,
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                charge_id UUID REFERENCES ledger_charges(id) ON DELETE SET NULL,
+                days_occupied INTEGER,
+                share_percent DECIMAL(6, 3) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(bill_id, tenancy_id)
+            )
+        `);
+        console.log('✓ Created utility_bill_shares table');
+
+        // Create payment_method_settings table (which payment methods each landlord accepts)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS payment_method_settings (
+                landlord_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                accepted_methods JSONB NOT NULL DEFAULT '["bank_transfer", "standing_order"]',
+                card_provider_name VARCHAR(100),
+                card_payment_url VARCHAR(500),
+                cash_instructions TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created payment_method_settings table');
+
+        // Create cash_handovers table (cash payments acknowledged by both lodger and landlord)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cash_handovers (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                payment_schedule_id UUID REFERENCES payment_schedule(id) ON DELETE SET NULL,
+                transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL,
+                amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+                handed_over_date DATE NOT NULL,
+                status VARCHAR(20) NOT NULL CHECK (status IN ('awaiting_landlord', 'awaiting_lodger', 'confirmed', 'disputed')),
+                lodger_acknowledged_at TIMESTAMP,
+                landlord_acknowledged_at TIMESTAMP,
+                disputed_by UUID REFERENCES users(id),
+                dispute_reason TEXT,
+                notes TEXT,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created cash_handovers table');
+
+        // Create maintenance_requests table (repairs reported by lodgers in writing)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS maintenance_requests (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                reported_by UUID REFERENCES users(id),
+                title VARCHAR(255) NOT NULL,
+                description TEXT NOT NULL,
+                location VARCHAR(255),
+                category VARCHAR(30) NOT NULL CHECK (category IN ('plumbing', 'heating', 'electrical', 'appliances', 'structural', 'damp_mould', 'pests', 'furniture', 'security', 'other')),
+                priority VARCHAR(20) NOT NULL DEFAULT 'routine' CHECK (priority IN ('emergency', 'urgent', 'routine')),
+                status VARCHAR(20) NOT NULL DEFAULT 'reported' CHECK (status IN ('reported', 'acknowledged', 'scheduled', 'resolved')),
+                photos JSONB NOT NULL DEFAULT '[]',
+                reported_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                acknowledge_by TIMESTAMP NOT NULL,
+                resolve_by TIMESTAMP NOT NULL,
+                acknowledged_at TIMESTAMP,
+                scheduled_for TIMESTAMP,
+                scheduled_at TIMESTAMP,
+                resolved_at TIMESTAMP,
+                resolution_notes TEXT,
+                reopened_at TIMESTAMP,
+                sla_reminder_sent_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created maintenance_requests table');
+
+        // Create maintenance_comments table (threaded comments, some visible to the landlord only)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS maintenance_comments (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                request_id UUID REFERENCES maintenance_requests(id) ON DELETE CASCADE,
+                parent_id UUID REFERENCES maintenance_comments(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id),
+                comment TEXT NOT NULL,
+                is_internal BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created maintenance_comments table');
+
+        // Create contractors table (each landlord's directory of tradespeople)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS contractors (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                company_name VARCHAR(255),
+                trade VARCHAR(30) NOT NULL CHECK (trade IN (
+                    'plumber', 'gas_engineer', 'electrician', 'carpenter', 'builder', 'roofer', 'decorator',
+                    'locksmith', 'glazier', 'pest_control', 'appliance_repair', 'cleaner', 'handyperson', 'other'
+                )),
+                phone VARCHAR(50),
+                email VARCHAR(255),
+                address TEXT,
+                gas_safe_number VARCHAR(20),
+                niceic_number VARCHAR(30),
+                notes TEXT,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created contractors table');
+
+        // Create work_orders table (repairs sent to contractors, with their quote and invoice)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS work_orders (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                maintenance_request_id UUID NOT NULL REFERENCES maintenance_requests(id) ON DELETE CASCADE,
+                contractor_id UUID REFERENCES contractors(id) ON DELETE SET NULL,
+                sequence_number INTEGER NOT NULL,
+                work_order_number VARCHAR(20) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'completed', 'cancelled')),
+                instructions TEXT,
+                access_arrangements TEXT,
+                attendance_date TIMESTAMP,
+                quote_amount DECIMAL(10, 2) CHECK (quote_amount >= 0),
+                invoice_amount DECIMAL(10, 2) CHECK (invoice_amount > 0),
+                invoice_reference VARCHAR(100),
+                invoice_date DATE,
+                invoice_path VARCHAR(500),
+                invoice_filename VARCHAR(255),
+                completion_date DATE,
+                expense_id UUID REFERENCES expenses(id) ON DELETE SET NULL,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(landlord_id, sequence_number)
+            )
+        `);
+        console.log('✓ Created work_orders table');
+
+        // Create damage_reports table (damage raised during a tenancy, which may become a deduction)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS damage_reports (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                reported_by UUID REFERENCES users(id),
+                title VARCHAR(255) NOT NULL,
+                description TEXT NOT NULL,
+                room_area VARCHAR(100) NOT NULL,
+                estimated_cost DECIMAL(10, 2) NOT NULL CHECK (estimated_cost > 0),
+                incident_date DATE,
+                photos JSONB NOT NULL DEFAULT '[]',
+                status VARCHAR(20) NOT NULL DEFAULT 'awaiting_lodger' CHECK (status IN ('awaiting_lodger', 'acknowledged', 'disputed', 'converted', 'withdrawn')),
+                lodger_response TEXT,
+                responded_at TIMESTAMP,
+                deduction_id UUID REFERENCES deductions(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created damage_reports table');
+
+        // Create damage_report_events table (who said what about a report, in order)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS damage_report_events (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                report_id UUID REFERENCES damage_reports(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id),
+                event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('raised', 'acknowledged', 'disputed', 'responded', 'converted', 'withdrawn')),
+                comment TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created damage_report_events table');
+
+        // Create inventories table (check-in and check-out schedules of the Room's contents, signed by both parties)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS inventories (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                inventory_type VARCHAR(20) NOT NULL CHECK (inventory_type IN ('check_in', 'check_out')),
+                status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'signed')),
+                notes TEXT,
+                landlord_signature VARCHAR(255),
+                landlord_signed_at TIMESTAMP,
+                lodger_signature VARCHAR(255),
+                lodger_signed_at TIMESTAMP,
+                lodger_comments TEXT,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(tenancy_id, inventory_type)
+            )
+        `);
+        console.log('✓ Created inventories table');
+
+        // Create inventory_items table (check-out items point back at the check-in item they were copied from)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS inventory_items (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                inventory_id UUID REFERENCES inventories(id) ON DELETE CASCADE,
+                check_in_item_id UUID REFERENCES inventory_items(id) ON DELETE SET NULL,
+                room VARCHAR(100) NOT NULL,
+                item_name VARCHAR(255) NOT NULL,
+                quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 0),
+                condition VARCHAR(20) NOT NULL CHECK (condition IN ('new', 'excellent', 'good', 'fair', 'poor', 'damaged', 'missing')),
+                notes TEXT,
+                photos JSONB NOT NULL DEFAULT '[]',
+                sort_order INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created inventory_items table');
+
+        // Create move_out_settlements table (deposit and advance rent settled when a tenancy ends)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS move_out_settlements (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID UNIQUE REFERENCES tenancies(id) ON DELETE CASCADE,
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                move_out_date DATE NOT NULL,
+                refund_due_by DATE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'issued', 'refunded')),
+                forwarding_address TEXT,
+                forwarding_address_provided_at TIMESTAMP,
+                deposit_held DECIMAL(10, 2),
+                advance_held DECIMAL(10, 2),
+                deductions_total DECIMAL(10, 2),
+                arrears DECIMAL(10, 2),
+                rent_credit DECIMAL(10, 2),
+                refund_amount DECIMAL(10, 2),
+                amount_owed DECIMAL(10, 2),
+                statement_path VARCHAR(500),
+                issued_at TIMESTAMP,
+                refund_paid_amount DECIMAL(10, 2) CHECK (refund_paid_amount > 0),
+                refund_paid_on DATE,
+                refund_method VARCHAR(30),
+                refund_reference VARCHAR(100),
+                exceptional_circumstances TEXT,
+                reminder_sent_at TIMESTAMP,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created move_out_settlements table');
+
+        // Create deduction_events table (history of a deduction, including the lodger's dispute and any counter-offers)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS deduction_events (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                deduction_id UUID REFERENCES deductions(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id),
+                event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('created', 'disputed', 'countered', 'accepted', 'escalated', 'resolved')),
+                amount DECIMAL(10, 2),
+                comment TEXT,
+                evidence_paths JSONB DEFAULT '[]',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created deduction_events table');
+
+        // Create signing_events table (audit trail behind the signing certificate on each agreement)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS signing_events (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id),
+                event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('document_created', 'signed', 'certified', 'verified')),
+                signer_role VARCHAR(20) CHECK (signer_role IN ('landlord', 'lodger')),
+                signed_name VARCHAR(255),
+                signature_method VARCHAR(10) CHECK (signature_method IN ('drawn', 'typed')),
+                signature_image_path VARCHAR(500),
+                document_hash VARCHAR(64) NOT NULL,
+                hash_matched BOOLEAN,
+                ip_address VARCHAR(64),
+                user_agent TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created signing_events table');
+
+        // Create agreement_variations table (deeds of variation to signed agreements)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS agreement_variations (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                variation_number INTEGER,
+                changes JSONB NOT NULL,
+                reason TEXT,
+                effective_date DATE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'applied', 'rejected', 'withdrawn')),
+                proposed_by UUID REFERENCES users(id),
+                landlord_signed_name VARCHAR(255),
+                landlord_signature_method VARCHAR(10) CHECK (landlord_signature_method IN ('drawn', 'typed')),
+                landlord_signature_path VARCHAR(500),
+                landlord_signed_at TIMESTAMP,
+                landlord_ip_address VARCHAR(64),
+                lodger_signed_name VARCHAR(255),
+                lodger_signature_method VARCHAR(10) CHECK (lodger_signature_method IN ('drawn', 'typed')),
+                lodger_signature_path VARCHAR(500),
+                lodger_signed_at TIMESTAMP,
+                lodger_ip_address VARCHAR(64),
+                rejection_reason TEXT,
+                deed_path VARCHAR(500),
+                deed_hash VARCHAR(64),
+                agreement_path VARCHAR(500),
+                agreement_hash VARCHAR(64),
+                applied_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created agreement_variations table');
+
+        // Create right_to_rent_checks table (clause 1.7 checks, newest supersedes older ones)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS right_to_rent_checks (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                tenancy_id UUID REFERENCES tenancies(id) ON DELETE CASCADE,
+                lodger_id UUID REFERENCES users(id),
+                checked_by UUID REFERENCES users(id),
+                check_type VARCHAR(20) NOT NULL CHECK (check_type IN ('manual_document', 'share_code')),
+                check_date DATE NOT NULL,
+                document_type VARCHAR(50),
+                document_expiry_date DATE,
+                share_code VARCHAR(9),
+                permission_type VARCHAR(20) NOT NULL CHECK (permission_type IN ('unlimited', 'time_limited')),
+                permission_expiry_date DATE,
+                outcome VARCHAR(10) NOT NULL DEFAULT 'passed' CHECK (outcome IN ('passed', 'failed')),
+                evidence_path VARCHAR(500),
+                notes TEXT,
+                follow_up_due_date DATE,
+                superseded_by UUID REFERENCES right_to_rent_checks(id) ON DELETE SET NULL,
+                reminder_stage INTEGER,
+                reminder_sent_at TIMESTAMP,
+                record_path VARCHAR(500),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✓ Created right_to_rent_checks table');
+
+        // Create safety_certificates table (the householder's compliance register, clauses 3.3-3.6)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS safety_certificates (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                landlord_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                certificate_type VARCHAR(30) NOT NULL CHECK (certificate_type IN ('gas_safety', 'electrical_installation', 'portable_appliance', 'smoke_alarm', 'carbon_monoxide_alarm')),
+                reference VARCHAR(100),
+                issued_by VARCHAR(255),
+                issue_date DATE NOT NULL,
+                expiry_date DATE NOT NULL,
+                certificate_path VARCHAR(500),
+                certificate_filename VARCHAR(255),
+                notes TEXT,
+                reminder_stage INTEGER,
+                reminder_sent_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                CHECK (expiry_date > issue_date)
+            )
+        `);
+        console.log('✓ Created safety_certificates table');
+
+        // Bring existing databases up to date with constraints changed since they were created
+        await client.query('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check');
+        await client.query(`
+            ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+            CHECK (type IN (${notificationTypeList})) NOT VALID
+        `);
+        console.log('✓ Updated notification type constraint');
+
+        await client.query('ALTER TABLE ledger_charges DROP CONSTRAINT IF EXISTS ledger_charges_charge_type_check');
+        await client.query(`
+            ALTER TABLE ledger_charges ADD CONSTRAINT ledger_charges_charge_type_check
+            CHECK (charge_type IN (${chargeTypeList})) NOT VALID
+        `);
+        console.log('✓ Updated ledger charge type constraint');
+
+        // Receipts and letters attached to notifications
+        await client.query('ALTER TABLE notifications ADD COLUMN IF NOT EXISTS attachment_path VARCHAR(500)');
+
+        // Rent-a-Room tax tracking
+        await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS tax_tracking_enabled BOOLEAN DEFAULT true');
+        await client.query('ALTER TABLE tax_year_summary ADD COLUMN IF NOT EXISTS jointly_owned BOOLEAN DEFAULT false');
+        await client.query(`
+            ALTER TABLE tax_year_summary ADD COLUMN IF NOT EXISTS warning_level VARCHAR(20) DEFAULT 'none'
+            CHECK (warning_level IN ('none', 'approaching', 'exceeded'))
+        `);
+        console.log('✓ Added tax tracking columns');
+
+        // Unique reference lodgers quote on standing orders
+        await client.query('ALTER TABLE tenancies ADD COLUMN IF NOT EXISTS standing_order_reference VARCHAR(18) UNIQUE');
+
+        // Surrender agreements, proposed and signed by either party
+        await client.query(`
+            ALTER TABLE notices ADD COLUMN IF NOT EXISTS surrender_status VARCHAR(20)
+            CHECK (surrender_status IN ('pending', 'accepted', 'rejected', 'countered', 'withdrawn'))
+        `);
+        await client.query('ALTER TABLE notices ADD COLUMN IF NOT EXISTS surrender_terms JSONB');
+        await client.query('ALTER TABLE notices ADD COLUMN IF NOT EXISTS counters_notice_id UUID REFERENCES notices(id) ON DELETE SET NULL');
+        await client.query('ALTER TABLE notices ADD COLUMN IF NOT EXISTS landlord_signature VARCHAR(255)');
+        await client.query('ALTER TABLE notices ADD COLUMN IF NOT EXISTS landlord_signed_at TIMESTAMP');
+        await client.query('ALTER TABLE notices ADD COLUMN IF NOT EXISTS lodger_signature VARCHAR(255)');
+        await client.query('ALTER TABLE notices ADD COLUMN IF NOT EXISTS lodger_signed_at TIMESTAMP');
+        console.log('✓ Added surrender columns to notices');
+
+        // Agreement documents hashed for e-signing
+        await client.query('ALTER TABLE tenancies ADD COLUMN IF NOT EXISTS agreement_document_path VARCHAR(500)');
+        await client.query('ALTER TABLE tenancies ADD COLUMN IF NOT EXISTS agreement_document_hash VARCHAR(64)');
+        await client.query('ALTER TABLE tenancies ADD COLUMN IF NOT EXISTS signed_agreement_hash VARCHAR(64)');
+        console.log('✓ Added agreement signing columns');
+
+        // Agreement templates and Part 3 special terms
+        await client.query('ALTER TABLE tenancies ADD COLUMN IF NOT EXISTS agreement_template_id UUID REFERENCES agreement_templates(id)');
+        await client.query("ALTER TABLE tenancies ADD COLUMN IF NOT EXISTS special_terms JSONB DEFAULT '[]'");
+        console.log('✓ Added agreement template columns');
+
+        // Safety certificates listed in the agreement when it was prepared for signing
+        await client.query('ALTER TABLE tenancies ADD COLUMN IF NOT EXISTS safety_certificates JSONB');
+        console.log('✓ Added safety certificate column to tenancies');
+
+        // Lodgers disputing deductions
+        await client.query(`
+            ALTER TABLE deductions ADD COLUMN IF NOT EXISTS dispute_status VARCHAR(20) NOT NULL DEFAULT 'none'
+            CHECK (dispute_status IN ('none', 'awaiting_landlord', 'awaiting_lodger', 'agreed', 'escalated', 'resolved'))
+        `);
+        await client.query('ALTER TABLE deductions ADD COLUMN IF NOT EXISTS proposed_amount DECIMAL(10, 2)');
+        await client.query('ALTER TABLE deductions ADD COLUMN IF NOT EXISTS original_amount DECIMAL(10, 2)');
+        console.log('✓ Added deduction dispute columns');
+
+        // Payments confirmed before the ledger existed only updated rent_paid. Record them
+        // as opening transactions so the ledger balance matches the schedule.
+        const backfill = await client.query(`
+            INSERT INTO payment_transactions (
+                payment_schedule_id, tenancy_id, amount, transaction_date,
+                payment_method, reference, notes
+            )
+            SELECT ps.id, ps.tenancy_id, ps.rent_paid, COALESCE(ps.payment_date, ps.updated_at),
+                   ps.payment_method, ps.payment_reference, 'Recorded before ledger was introduced'
+            FROM payment_schedule ps
+            WHERE ps.rent_paid > 0
+            AND NOT EXISTS (
+                SELECT 1 FROM payment_transactions pt WHERE pt.tenancy_id = ps.tenancy_id
+            )
+        `);
+        await client.query(`
+            INSERT INTO payment_allocations (transaction_id, payment_schedule_id, amount)
+            SELECT pt.id, pt.payment_schedule_id, pt.amount
+            FROM payment_transactions pt
+            WHERE pt.notes = 'Recorded before ledger was introduced'
+            AND NOT EXISTS (SELECT 1 FROM payment_allocations pa WHERE pa.transaction_id = pt.id)
+        `);
+        console.log(`✓ Backfilled ${backfill.rowCount} payment transactions`);
+
         // Create indexes
         await client.query('CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_maintenance_requests_tenancy_id ON maintenance_requests(tenancy_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_maintenance_comments_request_id ON maintenance_comments(request_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_work_orders_maintenance_request_id ON work_orders(maintenance_request_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_damage_reports_tenancy_id ON damage_reports(tenancy_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_damage_report_events_report_id ON damage_report_events(report_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_inventory_items_inventory_id ON inventory_items(inventory_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_deduction_events_deduction_id ON deduction_events(deduction_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_signing_events_tenancy_id ON signing_events(tenancy_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_agreement_templates_landlord_id ON agreement_templates(landlord_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_agreement_clauses_landlord_id ON agreement_clauses(landlord_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_agreement_variations_tenancy_id ON agreement_variations(tenancy_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_right_to_rent_checks_tenancy_id ON right_to_rent_checks(tenancy_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_safety_certificates_landlord_id ON safety_certificates(landlord_id)');
         console.log('✓ Created indexes');
 
         await client.query('COMMIT');
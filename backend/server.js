@@ -51,7 +51,8 @@ app.use(cors({
     'baggage'
   ]
 }));
-app.use(express.json());
+// Signatures from the signing pad arrive as PNG data URLs of up to 500KB
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
@@ -1,5 +1,17 @@
 const cron = require('node-cron');
 const { pool } = require('../config/database');
+const {
+  markOverduePayments,
+  sendArrearsReminders,
+  draftArrearsBreachNotices
+} = require('../services/arrearsService');
+const paymentFeeds = require('../services/paymentFeeds');
+const { applyDueRentReviews } = require('../services/rentReviewService');
+const { applyDueVariations } = require('../services/variationService');
+const { sendSlaReminders } = require('../services/maintenanceService');
+const { sendRefundReminders } = require('../services/settlementService');
+const { sendFollowUpReminders } = require('../services/rightToRentService');
+const { sendExpiryReminders } = require('../services/safetyCertificateService');
 
 /**
  * Check for tenancies expiring in 30 days and send reminders
@@ -80,14 +92,229 @@ async function checkExpiringTenancies() {
   }
 }
 
+/**
+ * Mark unpaid payments as overdue, send staged arrears reminders
+ * and draft non-payment breach notices for landlord approval
+ */
+async function checkOverduePayments() {
+  console.log('[CRON] Running daily overdue payment check at', new Date().toISOString());
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const markedOverdue = await markOverduePayments(client);
+    const remindersSent = await sendArrearsReminders(client);
+    const draftsCreated = await draftArrearsBreachNotices(client);
+
+    await client.query('COMMIT');
+    console.log(`[CRON] Overdue check: ${markedOverdue} payments marked overdue, ${remindersSent} reminders sent, ${draftsCreated} breach notices drafted`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[CRON] Error in overdue payment check:', error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Pull new transactions from each active payment feed into reconciliation.
+ * Each connection syncs in its own transaction so one failing feed doesn't block the rest.
+ */
+async function syncPaymentFeeds() {
+  console.log('[CRON] Running daily payment feed sync at', new Date().toISOString());
+
+  try {
+    const connections = await pool.query(
+      `SELECT c.*, d.account_number, d.sort_code
+       FROM payment_feed_connections c
+       JOIN landlord_payment_details d ON c.payment_details_id = d.id
+       WHERE c.is_active = true`
+    );
+
+    let synced = 0;
+    for (const connection of connections.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await paymentFeeds.syncConnection(client, connection);
+        await client.query('COMMIT');
+        synced++;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`[CRON] Payment feed ${connection.id} sync failed:`, error.message);
+        await paymentFeeds.recordSyncFailure(pool, connection.id, error);
+      } finally {
+        client.release();
+      }
+    }
+
+    console.log(`[CRON] Payment feed sync: ${synced} of ${connections.rows.length} feeds synced`);
+  } catch (error) {
+    console.error('[CRON] Error in payment feed sync:', error);
+  }
+}
+
+/**
+ * Make scheduled rent changes that take effect today the tenancy's rent
+ */
+async function applyRentReviews() {
+  console.log('[CRON] Running daily rent review check at', new Date().toISOString());
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const applied = await applyDueRentReviews(client);
+    await client.query('COMMIT');
+    console.log(`[CRON] Rent reviews: ${applied} rent changes applied`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[CRON] Error applying rent reviews:', error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply agreed deeds of variation whose effective date has arrived
+ */
+async function applyVariations() {
+  console.log('[CRON] Running daily agreement variation check at', new Date().toISOString());
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const applied = await applyDueVariations(client);
+    await client.query('COMMIT');
+    console.log(`[CRON] Agreement variations: ${applied} variations applied`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[CRON] Error applying agreement variations:', error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Chase landlords about maintenance requests that have missed their deadlines
+ */
+async function checkMaintenanceDeadlines() {
+  console.log('[CRON] Running maintenance deadline check at', new Date().toISOString());
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const reminded = await sendSlaReminders(client);
+    await client.query('COMMIT');
+    console.log(`[CRON] Maintenance deadlines: ${reminded} reminders sent`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[CRON] Error checking maintenance deadlines:', error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remind landlords to refund deposits within the clause 6.4 timeframe
+ */
+async function checkDepositRefunds() {
+  console.log('[CRON] Running deposit refund check at', new Date().toISOString());
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const reminded = await sendRefundReminders(client);
+    await client.query('COMMIT');
+    console.log(`[CRON] Deposit refunds: ${reminded} reminders sent`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[CRON] Error checking deposit refunds:', error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remind landlords of follow-up Right to Rent checks for lodgers with time-limited permission
+ */
+async function checkRightToRent() {
+  console.log('[CRON] Running Right to Rent follow-up check at', new Date().toISOString());
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const reminded = await sendFollowUpReminders(client);
+    await client.query('COMMIT');
+    console.log(`[CRON] Right to Rent: ${reminded} reminders sent`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[CRON] Error checking Right to Rent follow-ups:', error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remind landlords of gas, electrical and alarm safety certificates coming up to expiry
+ */
+async function checkSafetyCertificates() {
+  console.log('[CRON] Running safety certificate expiry check at', new Date().toISOString());
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const reminded = await sendExpiryReminders(client);
+    await client.query('COMMIT');
+    console.log(`[CRON] Safety certificates: ${reminded} reminders sent`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[CRON] Error checking safety certificates:', error);
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Initialize all cron jobs
  */
 function initializeCronJobs() {
   console.log('✓ Starting daily tenancy expiry check scheduler');
+  console.log('✓ Starting daily overdue payment check scheduler');
+  console.log('✓ Starting daily payment feed sync scheduler');
+  console.log('✓ Starting daily rent review scheduler');
+  console.log('✓ Starting daily agreement variation scheduler');
+  console.log('✓ Starting hourly maintenance deadline scheduler');
+  console.log('✓ Starting daily deposit refund reminder scheduler');
+  console.log('✓ Starting daily Right to Rent follow-up scheduler');
+  console.log('✓ Starting daily safety certificate expiry scheduler');
+
+  // Run daily at 6 AM, so rent changes are in place before the day's other jobs
+  cron.schedule('0 6 * * *', applyRentReviews);
+
+  // Run daily at 6:05 AM, so varied terms are in place before the day's other jobs
+  cron.schedule('5 6 * * *', applyVariations);
+
+  // Run daily at 7 AM, before the overdue check so synced payments can be confirmed first
+  cron.schedule('0 7 * * *', syncPaymentFeeds);
+
+  // Run daily at 8 AM
+  cron.schedule('0 8 * * *', checkOverduePayments);
 
   // Run daily at 9 AM
   cron.schedule('0 9 * * *', checkExpiringTenancies);
+
+  // Run hourly, as emergency repairs must be acknowledged within hours
+  cron.schedule('15 * * * *', checkMaintenanceDeadlines);
+
+  // Run daily at 9:30 AM
+  cron.schedule('30 9 * * *', checkDepositRefunds);
+
+  // Run daily at 9:45 AM
+  cron.schedule('45 9 * * *', checkRightToRent);
+
+  // Run daily at 10 AM
+  cron.schedule('0 10 * * *', checkSafetyCertificates);
 }
 
-module.exports = { initializeCronJobs, checkExpiringTenancies };
+module.exports = { initializeCronJobs, checkExpiringTenancies, checkOverduePayments, syncPaymentFeeds, applyRentReviews, applyVariations, checkMaintenanceDeadlines, checkDepositRefunds, checkRightToRent, checkSafetyCertificates };
@@ -29,4 +29,24 @@ const upload = multer({
   }
 });
 
+/**
+ * Upload middleware for a route that doesn't carry the upload type in its URL,
+ * storing files under uploads/<type>
+ * @param {string} type - Folder under uploads
+ * @returns {Object} { single(fieldName), array(fieldName, maxCount) }, each returning route middleware
+ */
+const uploadTo = (type) => {
+  const setType = (req, res, next) => {
+    req.params.type = type;
+    next();
+  };
+
+  return {
+    single: (fieldName) => [setType, upload.single(fieldName)],
+    array: (fieldName, maxCount) => [setType, upload.array(fieldName, maxCount)]
+  };
+};
+
+upload.uploadTo = uploadTo;
+
 module.exports = upload;
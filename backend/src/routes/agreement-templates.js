@@ -0,0 +1,278 @@
+/**
+ * Agreement Template Routes
+ * Handles landlords' versioned lodger agreement templates, with merge fields for the
+ * parties, property and money, and the clause library used for Part 3 special terms
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { MERGE_FIELDS, validateTemplateContent } = require('../utils/agreementTemplate');
+const agreementTemplateService = require('../services/agreementTemplateService');
+
+/**
+ * Get the templates a landlord can use, with the merge fields and clause categories
+ * @route GET /api/agreement-templates
+ * @auth Landlord only
+ * @returns {Object} { templates, merge_fields, categories }
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const templates = await agreementTemplateService.getLatestTemplates(pool, req.user.id);
+
+        res.json({
+            templates: templates.map(template => ({
+                id: template.id,
+                group_id: template.group_id,
+                name: template.name,
+                version: template.version,
+                is_standard: !template.landlord_id,
+                created_at: template.created_at
+            })),
+            merge_fields: MERGE_FIELDS,
+            categories: agreementTemplateService.CLAUSE_CATEGORIES
+        });
+    } catch (error) {
+        console.error('Get agreement templates error:', error);
+        res.status(500).json({ error: 'Failed to get agreement templates' });
+    }
+});
+
+/**
+ * Get the landlord's clause library, including the standard clauses
+ * @route GET /api/agreement-templates/clauses
+ * @auth Landlord only
+ * @returns {Array} Clauses grouped by category
+ */
+router.get('/clauses', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const clauses = await agreementTemplateService.getClauses(pool, req.user.id);
+        res.json(clauses.map(clause => ({ ...clause, is_standard: !clause.landlord_id })));
+    } catch (error) {
+        console.error('Get agreement clauses error:', error);
+        res.status(500).json({ error: 'Failed to get clauses' });
+    }
+});
+
+/**
+ * Add a clause to the landlord's library
+ * @route POST /api/agreement-templates/clauses
+ * @auth Landlord only
+ * @body {string} category - One of CLAUSE_CATEGORIES
+ * @body {string} title - Short name for the clause
+ * @body {string} body - Clause text, which may use merge fields
+ * @returns {Object} Created clause
+ */
+router.post('/clauses', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const error = agreementTemplateService.validateClause(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { category, title, body } = req.body;
+        const result = await pool.query(
+            `INSERT INTO agreement_clauses (landlord_id, category, title, body)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [req.user.id, category, title.trim(), body.trim()]
+        );
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('Create agreement clause error:', error);
+        res.status(500).json({ error: 'Failed to add clause' });
+    }
+});
+
+/**
+ * Edit one of the landlord's own clauses. Tenancies that already use it keep the text
+ * they were given.
+ * @route PUT /api/agreement-templates/clauses/:clauseId
+ * @auth Landlord only
+ * @body {string} category, title, body
+ * @returns {Object} Updated clause
+ */
+router.put('/clauses/:clauseId', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const error = agreementTemplateService.validateClause(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { category, title, body } = req.body;
+        const result = await pool.query(
+            `UPDATE agreement_clauses
+             SET category = $1, title = $2, body = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4 AND landlord_id = $5 AND is_active = true
+             RETURNING *`,
+            [category, title.trim(), body.trim(), req.params.clauseId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Clause not found. Standard clauses can\'t be edited' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Update agreement clause error:', error);
+        res.status(500).json({ error: 'Failed to update clause' });
+    }
+});
+
+/**
+ * Remove one of the landlord's own clauses from the library
+ * @route DELETE /api/agreement-templates/clauses/:clauseId
+ * @auth Landlord only
+ * @returns {Object} Success message
+ */
+router.delete('/clauses/:clauseId', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        // Kept rather than deleted so the tenancies using it still say where their text came from
+        const result = await pool.query(
+            `UPDATE agreement_clauses
+             SET is_active = false, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND landlord_id = $2 AND is_active = true
+             RETURNING id`,
+            [req.params.clauseId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Clause not found. Standard clauses can\'t be removed' });
+        }
+
+        res.json({ message: 'Clause removed' });
+    } catch (error) {
+        console.error('Delete agreement clause error:', error);
+        res.status(500).json({ error: 'Failed to remove clause' });
+    }
+});
+
+/**
+ * Get a template version with its content and the template's version history
+ * @route GET /api/agreement-templates/:id
+ * @auth Landlord only
+ * @returns {Object} { template, versions }
+ */
+router.get('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const template = await agreementTemplateService.getTemplateForLandlord(pool, req.params.id, req.user.id);
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const versions = await agreementTemplateService.getTemplateVersions(pool, template.group_id);
+
+        res.json({
+            template: { ...template, is_standard: !template.landlord_id },
+            versions
+        });
+    } catch (error) {
+        console.error('Get agreement template error:', error);
+        res.status(500).json({ error: 'Failed to get agreement template' });
+    }
+});
+
+/**
+ * Create a template, either from scratch or as a copy of another template
+ * @route POST /api/agreement-templates
+ * @auth Landlord only
+ * @body {string} name - Template name
+ * @body {Object} content - Template content (optional if based_on_id is given)
+ * @body {string} based_on_id - Template version to copy
+ * @returns {Object} Version 1 of the new template
+ */
+router.post('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const { name, based_on_id } = req.body;
+        let { content } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Give the template a name' });
+        }
+
+        if (!content && based_on_id) {
+            const basedOn = await agreementTemplateService.getTemplateForLandlord(pool, based_on_id, req.user.id);
+            if (!basedOn) {
+                return res.status(404).json({ error: 'Template to copy not found' });
+            }
+            content = basedOn.content;
+        }
+
+        const error = validateTemplateContent(content);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const template = await agreementTemplateService.saveTemplateVersion(pool, {
+            landlord_id: req.user.id,
+            name: name.trim(),
+            content,
+            change_note: based_on_id ? 'Copied from another template' : null,
+            created_by: req.user.id
+        });
+
+        res.status(201).json(template);
+    } catch (error) {
+        console.error('Create agreement template error:', error);
+        res.status(500).json({ error: 'Failed to create agreement template' });
+    }
+});
+
+/**
+ * Save changes to a template as a new version. Agreements already signed stay on the
+ * version they were signed under; unsigned ones move to the new version.
+ * @route PUT /api/agreement-templates/:id
+ * @auth Landlord only
+ * @body {string} name - Template name
+ * @body {Object} content - Template content
+ * @body {string} change_note - What changed in this version
+ * @returns {Object} The new version
+ */
+router.put('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const { name, content, change_note } = req.body;
+
+        const current = await agreementTemplateService.getTemplateForLandlord(pool, req.params.id, req.user.id);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (!current.landlord_id) {
+            return res.status(403).json({ error: 'The standard template can\'t be edited. Make a copy of it instead' });
+        }
+
+        const error = validateTemplateContent(content);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const template = await agreementTemplateService.saveTemplateVersion(pool, {
+            group_id: current.group_id,
+            landlord_id: req.user.id,
+            name: (name || current.name).trim(),
+            content,
+            change_note: change_note ? change_note.trim() : null,
+            created_by: req.user.id
+        });
+
+        // Unsigned agreements prepared from an earlier version need writing out again
+        await pool.query(
+            `UPDATE tenancies
+             SET agreement_document_path = NULL, agreement_document_hash = NULL
+             WHERE lodger_signature IS NULL
+               AND agreement_template_id IN (SELECT id FROM agreement_templates WHERE group_id = $1)`,
+            [current.group_id]
+        );
+
+        res.json(template);
+    } catch (error) {
+        console.error('Update agreement template error:', error);
+        res.status(500).json({ error: 'Failed to save agreement template' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+/**
+ * Arrears Routes
+ * Handles per-landlord overdue detection and escalation settings
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getArrearsSettings } = require('../services/arrearsService');
+
+/**
+ * Get arrears settings for current landlord
+ * @route GET /api/arrears/settings
+ * @auth Landlord/Admin only
+ * @returns {Object} Arrears settings (defaults if never saved)
+ */
+router.get('/settings', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    try {
+        const settings = await getArrearsSettings(pool, req.user.id);
+        res.json(settings);
+    } catch (error) {
+        console.error('Get arrears settings error:', error);
+        res.status(500).json({ error: 'Failed to get arrears settings' });
+    }
+});
+
+/**
+ * Update arrears settings for current landlord
+ * @route PUT /api/arrears/settings
+ * @auth Landlord/Admin only
+ * @body {number} grace_period_days - Days after due date before a payment is marked overdue (0-28)
+ * @body {Array<number>} reminder_days - Days overdue at which reminders are sent (e.g. [1, 7, 14])
+ * @body {number} breach_threshold_amount - Minimum arrears before a breach notice is drafted
+ * @body {number} breach_threshold_days - Minimum days late before a breach notice is drafted (at least 14)
+ * @body {boolean} auto_draft_breach - Whether to draft breach notices automatically
+ * @returns {Object} Updated arrears settings
+ */
+router.put('/settings', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    try {
+        const current = await getArrearsSettings(pool, req.user.id);
+        const {
+            grace_period_days = current.grace_period_days,
+            reminder_days = current.reminder_days,
+            breach_threshold_amount = current.breach_threshold_amount,
+            breach_threshold_days = current.breach_threshold_days,
+            auto_draft_breach = current.auto_draft_breach
+        } = req.body;
+
+        const graceDays = parseInt(grace_period_days);
+        if (isNaN(graceDays) || graceDays < 0 || graceDays > 28) {
+            return res.status(400).json({ error: 'Grace period must be between 0 and 28 days' });
+        }
+
+        if (!Array.isArray(reminder_days) || reminder_days.length === 0 || reminder_days.length > 5) {
+            return res.status(400).json({ error: 'Reminder days must be a list of 1 to 5 values' });
+        }
+
+        const reminderDays = [...new Set(reminder_days.map(day => parseInt(day)))].sort((a, b) => a - b);
+        if (reminderDays.some(day => isNaN(day) || day < 1)) {
+            return res.status(400).json({ error: 'Reminder days must be whole numbers of at least 1' });
+        }
+
+        const thresholdAmount = parseFloat(breach_threshold_amount);
+        if (isNaN(thresholdAmount) || thresholdAmount < 0) {
+            return res.status(400).json({ error: 'Breach threshold amount cannot be negative' });
+        }
+
+        // Clause 9.1 only allows a breach notice once sums are more than 14 days late
+        const thresholdDays = parseInt(breach_threshold_days);
+        if (isNaN(thresholdDays) || thresholdDays < 14) {
+            return res.status(400).json({ error: 'Breach threshold must be at least 14 days late as per clause 9.1 of the Lodger Agreement' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO arrears_settings (
+                landlord_id, grace_period_days, reminder_days,
+                breach_threshold_amount, breach_threshold_days, auto_draft_breach
+            ) VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (landlord_id) DO UPDATE SET
+                grace_period_days = EXCLUDED.grace_period_days,
+                reminder_days = EXCLUDED.reminder_days,
+                breach_threshold_amount = EXCLUDED.breach_threshold_amount,
+                breach_threshold_days = EXCLUDED.breach_threshold_days,
+                auto_draft_breach = EXCLUDED.auto_draft_breach,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`,
+            [req.user.id, graceDays, JSON.stringify(reminderDays), thresholdAmount, thresholdDays, Boolean(auto_draft_breach)]
+        );
+
+        res.json({
+            ...result.rows[0],
+            breach_threshold_amount: parseFloat(result.rows[0].breach_threshold_amount)
+        });
+    } catch (error) {
+        console.error('Update arrears settings error:', error);
+        res.status(500).json({ error: 'Failed to update arrears settings' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+/**
+ * Bank Import Routes
+ * Handles bank statement CSV uploads and reconciliation against the payment schedule
+ */
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { BANK_PRESETS, parseCsv, findHeaderRow, detectPreset, parseBankStatement } = require('../utils/bankStatementParser');
+const reconciliationService = require('../services/reconciliationService');
+
+// Statements are parsed straight from memory - there is no need to keep the file
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.csv') {
+            return cb(null, true);
+        }
+        cb(new Error('Only CSV files are supported'));
+    }
+});
+
+/**
+ * Resolve the column mapping for an upload from a preset name or a custom mapping
+ * @returns {Object|null} Mapping, or null if neither was valid
+ */
+function resolveMapping(preset, mapping) {
+    if (mapping) {
+        return typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+    }
+    return BANK_PRESETS[preset] || null;
+}
+
+/**
+ * Load an import belonging to the current landlord
+ */
+async function getLandlordImport(db, importId, userId) {
+    const result = await db.query(
+        'SELECT * FROM bank_imports WHERE id = $1 AND landlord_id = $2',
+        [importId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Get built-in bank presets
+ * @route GET /api/bank-imports/presets
+ * @auth Landlord only
+ * @returns {Object} Presets keyed by bank
+ */
+router.get('/presets', authenticateToken, requireRole('landlord'), (req, res) => {
+    res.json(BANK_PRESETS);
+});
+
+/**
+ * Preview a CSV before importing so columns can be mapped
+ * @route POST /api/bank-imports/preview
+ * @auth Landlord only
+ * @body {File} file - Bank statement CSV
+ * @returns {Object} Headers, first rows and detected preset
+ */
+router.post('/preview', authenticateToken, requireRole('landlord'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const rows = parseCsv(req.file.buffer.toString('utf8'));
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'The file is empty' });
+        }
+
+        // Try each preset's date column to find a header row below any account details
+        const headerIndex = Object.values(BANK_PRESETS)
+            .map(preset => findHeaderRow(rows, preset.date))
+            .find(index => index > 0) || 0;
+        const headers = rows[headerIndex];
+
+        res.json({
+            headers,
+            sample_rows: rows.slice(headerIndex + 1, headerIndex + 6),
+            detected_preset: detectPreset(headers)
+        });
+    } catch (error) {
+        console.error('Preview bank statement error:', error);
+        res.status(500).json({ error: 'Failed to read bank statement' });
+    }
+});
+
+/**
+ * Upload a bank statement and propose matches
+ * @route POST /api/bank-imports
+ * @auth Landlord only
+ * @body {File} file - Bank statement CSV
+ * @body {string} preset - Built-in preset key (e.g. 'barclays')
+ * @body {string} mapping - Custom column mapping as JSON (used instead of preset)
+ * @body {number} date_window_days - Days either side of the due date to match (default 5)
+ * @returns {Object} Import summary
+ */
+router.post('/', authenticateToken, requireRole('landlord'), upload.single('file'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        let mapping;
+        try {
+            mapping = resolveMapping(req.body.preset, req.body.mapping);
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Column mapping is not valid JSON' });
+        }
+
+        if (!mapping) {
+            return res.status(400).json({ error: 'Choose a bank preset or provide a column mapping' });
+        }
+
+        let parsed;
+        try {
+            parsed = parseBankStatement(req.file.buffer.toString('utf8'), mapping);
+        } catch (parseError) {
+            return res.status(400).json({ error: parseError.message });
+        }
+
+        if (parsed.transactions.length === 0) {
+            return res.status(400).json({ error: 'No transactions found in file', errors: parsed.errors });
+        }
+
+        const dateWindowDays = Math.min(Math.max(parseInt(req.body.date_window_days) || reconciliationService.DEFAULT_DATE_WINDOW_DAYS, 0), 31);
+
+        await client.query('BEGIN');
+
+        const bankImport = await reconciliationService.createImport(client, {
+            landlordId: req.user.id,
+            source: 'csv',
+            filename: req.file.originalname,
+            preset: req.body.mapping ? 'custom' : req.body.preset,
+            mapping,
+            dateWindowDays,
+            transactions: parsed.transactions
+        });
+
+        await client.query('COMMIT');
+
+        res.status(201).json({ ...bankImport, parse_errors: parsed.errors });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Import bank statement error:', error);
+        res.status(500).json({ error: 'Failed to import bank statement' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Get landlord's bank imports
+ * @route GET /api/bank-imports
+ * @auth Landlord only
+ * @returns {Array} Imports, newest first
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT i.*,
+                    COUNT(r.id) FILTER (WHERE r.status = 'proposed') as proposed_rows,
+                    COUNT(r.id) FILTER (WHERE r.status = 'unmatched') as unmatched_rows
+             FROM bank_imports i
+             LEFT JOIN bank_import_rows r ON r.import_id = i.id
+             WHERE i.landlord_id = $1
+             GROUP BY i.id
+             ORDER BY i.created_at DESC`,
+            [req.user.id]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get bank imports error:', error);
+        res.status(500).json({ error: 'Failed to get bank imports' });
+    }
+});
+
+/**
+ * Get an import with its rows for review
+ * @route GET /api/bank-imports/:id
+ * @auth Landlord only
+ * @returns {Object} Import, rows with matched payment details, and open payments for manual matching
+ */
+router.get('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const bankImport = await getLandlordImport(pool, req.params.id, req.user.id);
+        if (!bankImport) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        const rows = await pool.query(
+            `SELECT r.*, ps.payment_number, ps.due_date, ps.rent_due, ps.rent_paid,
+                    u.full_name as lodger_name
+             FROM bank_import_rows r
+             LEFT JOIN payment_schedule ps ON r.matched_payment_id = ps.id
+             LEFT JOIN tenancies t ON ps.tenancy_id = t.id
+             LEFT JOIN users u ON t.lodger_id = u.id
+             WHERE r.import_id = $1
+             ORDER BY r.transaction_date ASC, r.row_number ASC`,
+            [bankImport.id]
+        );
+
+        const openPayments = await reconciliationService.getOpenPayments(pool, req.user.id);
+
+        res.json({ ...bankImport, rows: rows.rows, open_payments: openPayments });
+    } catch (error) {
+        console.error('Get bank import error:', error);
+        res.status(500).json({ error: 'Failed to get bank import' });
+    }
+});
+
+/**
+ * Change the match for a row, or ignore it
+ * @route PUT /api/bank-imports/rows/:rowId
+ * @auth Landlord only
+ * @body {string} payment_id - Schedule row to match (null to clear)
+ * @body {boolean} ignore - Mark the row as not a rent payment
+ * @returns {Object} Updated row
+ */
+router.put('/rows/:rowId', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const { rowId } = req.params;
+        const { payment_id, ignore } = req.body;
+
+        const rowResult = await pool.query(
+            `SELECT r.* FROM bank_import_rows r
+             JOIN bank_imports i ON r.import_id = i.id
+             WHERE r.id = $1 AND i.landlord_id = $2`,
+            [rowId, req.user.id]
+        );
+
+        if (rowResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Import row not found' });
+        }
+
+        if (rowResult.rows[0].status === 'confirmed') {
+            return res.status(400).json({ error: 'This row has already been confirmed' });
+        }
+
+        if (ignore) {
+            const result = await pool.query(
+                `UPDATE bank_import_rows
+                 SET status = 'ignored', matched_payment_id = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [rowId]
+            );
+            return res.json(result.rows[0]);
+        }
+
+        if (payment_id) {
+            const payment = await pool.query(
+                `SELECT ps.id FROM payment_schedule ps
+                 JOIN tenancies t ON ps.tenancy_id = t.id
+                 WHERE ps.id = $1 AND t.landlord_id = $2`,
+                [payment_id, req.user.id]
+            );
+
+            if (payment.rows.length === 0) {
+                return res.status(404).json({ error: 'Payment not found' });
+            }
+        }
+
+        const result = await pool.query(
+            `UPDATE bank_import_rows
+             SET matched_payment_id = $1,
+                 status = $2,
+                 match_reasons = $3,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4 RETURNING *`,
+            [
+                payment_id || null,
+                payment_id ? 'proposed' : 'unmatched',
+                JSON.stringify(payment_id ? ['Matched manually'] : []),
+                rowId
+            ]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Update bank import row error:', error);
+        res.status(500).json({ error: 'Failed to update import row' });
+    }
+});
+
+/**
+ * Confirm proposed matches, recording each as a received payment
+ * @route POST /api/bank-imports/:id/confirm
+ * @auth Landlord only
+ * @body {Array<string>} row_ids - Rows to confirm (default all proposed rows)
+ * @returns {Object} Confirmed rows
+ */
+router.post('/:id/confirm', authenticateToken, requireRole('landlord'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const bankImport = await getLandlordImport(client, req.params.id, req.user.id);
+        if (!bankImport) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        const confirmed = await reconciliationService.confirmImportRows(
+            client, bankImport, req.body.row_ids, req.user.id
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: `${confirmed.length} payment(s) confirmed`,
+            confirmed
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Confirm bank import error:', error);
+        res.status(500).json({ error: 'Failed to confirm matches' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
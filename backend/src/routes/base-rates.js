@@ -0,0 +1,93 @@
+/**
+ * Base Rate Routes
+ * Handles the Bank of England base rate history used for late payment interest
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+/**
+ * Get base rate history
+ * @route GET /api/base-rates
+ * @auth Required
+ * @returns {Array} Base rates, newest first
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT b.*, u.full_name as created_by_name
+             FROM base_rates b
+             LEFT JOIN users u ON b.created_by = u.id
+             ORDER BY b.effective_from DESC`
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get base rates error:', error);
+        res.status(500).json({ error: 'Failed to get base rates' });
+    }
+});
+
+/**
+ * Add a base rate change
+ * @route POST /api/base-rates
+ * @auth Admin only
+ * @body {number} rate - Base rate as a percentage (e.g. 4.25)
+ * @body {string} effective_from - Date the rate took effect
+ * @returns {Object} Created base rate
+ */
+router.post('/', authenticateToken, requireRole('admin', 'sys_admin'), async (req, res) => {
+    try {
+        const { rate, effective_from } = req.body;
+
+        const parsedRate = parseFloat(rate);
+        if (isNaN(parsedRate) || parsedRate < 0 || parsedRate > 100) {
+            return res.status(400).json({ error: 'Rate must be a percentage between 0 and 100' });
+        }
+
+        if (!effective_from || isNaN(new Date(effective_from).getTime())) {
+            return res.status(400).json({ error: 'A valid effective date is required' });
+        }
+
+        const existing = await pool.query('SELECT id FROM base_rates WHERE effective_from = $1', [effective_from]);
+        if (existing.rows.length > 0) {
+            return res.status(400).json({ error: 'A base rate already exists for this date' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO base_rates (rate, effective_from, created_by)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+            [parsedRate, effective_from, req.user.id]
+        );
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('Create base rate error:', error);
+        res.status(500).json({ error: 'Failed to create base rate' });
+    }
+});
+
+/**
+ * Delete a base rate change (e.g. entered in error)
+ * @route DELETE /api/base-rates/:id
+ * @auth Admin only
+ * @returns {Object} Success message
+ */
+router.delete('/:id', authenticateToken, requireRole('admin', 'sys_admin'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM base_rates WHERE id = $1 RETURNING id', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Base rate not found' });
+        }
+
+        res.json({ message: 'Base rate deleted' });
+    } catch (error) {
+        console.error('Delete base rate error:', error);
+        res.status(500).json({ error: 'Failed to delete base rate' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+/**
+ * Contractor Routes
+ * Handles each landlord's directory of tradespeople used for repairs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { CONTRACTOR_TRADES } = require('../services/workOrderService');
+
+/**
+ * Check contractor fields, returning an error message if any are invalid
+ */
+function validateContractor(body, existing = {}) {
+    const contractor = { ...existing, ...body };
+
+    if (!contractor.name || !String(contractor.name).trim()) return 'A contact name is required';
+    if (!CONTRACTOR_TRADES[contractor.trade]) return 'Choose a valid trade';
+    if (!contractor.phone && !contractor.email) return 'Add a phone number or email address';
+    if (contractor.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contractor.email)) return 'Enter a valid email address';
+
+    // Work on gas appliances is only legal by a Gas Safe registered engineer
+    if (contractor.trade === 'gas_engineer' && !contractor.gas_safe_number) {
+        return 'Gas engineers must have a Gas Safe registration number';
+    }
+    if (contractor.gas_safe_number && !/^\d{6,7}$/.test(String(contractor.gas_safe_number).trim())) {
+        return 'Gas Safe registration numbers are 6 or 7 digits';
+    }
+    return null;
+}
+
+/**
+ * Get contractor trades
+ * @route GET /api/contractors/trades
+ * @auth Landlord only
+ * @returns {Object} Trade labels keyed by value
+ */
+router.get('/trades', authenticateToken, requireRole('landlord'), (req, res) => {
+    res.json(CONTRACTOR_TRADES);
+});
+
+/**
+ * Get landlord's contractors
+ * @route GET /api/contractors
+ * @auth Landlord only
+ * @query {string} trade - Only contractors of this trade (optional)
+ * @query {boolean} include_inactive - Include contractors no longer used (default false)
+ * @returns {Array} Contractors with how many work orders each has had, by name
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT c.*,
+                    (SELECT COUNT(*) FROM work_orders w WHERE w.contractor_id = c.id)::integer as work_order_count
+             FROM contractors c
+             WHERE c.landlord_id = $1
+             AND ($2::varchar IS NULL OR c.trade = $2::varchar)
+             AND (c.is_active OR $3)
+             ORDER BY c.name ASC`,
+            [req.user.id, req.query.trade || null, req.query.include_inactive === 'true']
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get contractors error:', error);
+        res.status(500).json({ error: 'Failed to get contractors' });
+    }
+});
+
+/**
+ * Add a contractor
+ * @route POST /api/contractors
+ * @auth Landlord only
+ * @body {string} name - Contact name
+ * @body {string} trade - Trade
+ * @body {string} company_name - Business name (optional)
+ * @body {string} phone - Phone number (phone or email required)
+ * @body {string} email - Email address (phone or email required)
+ * @body {string} address - Business address (optional)
+ * @body {string} gas_safe_number - Gas Safe registration (required for gas engineers)
+ * @body {string} niceic_number - NICEIC registration (optional)
+ * @body {string} notes - Notes (optional)
+ * @returns {Object} Created contractor
+ */
+router.post('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const validationError = validateContractor(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, company_name, trade, phone, email, address, gas_safe_number, niceic_number, notes } = req.body;
+
+        const result = await pool.query(
+            `INSERT INTO contractors (
+                landlord_id, name, company_name, trade, phone, email, address,
+                gas_safe_number, niceic_number, notes
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [
+                req.user.id,
+                name.trim(),
+                company_name || null,
+                trade,
+                phone || null,
+                email || null,
+                address || null,
+                gas_safe_number ? String(gas_safe_number).trim() : null,
+                niceic_number || null,
+                notes || null
+            ]
+        );
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('Create contractor error:', error);
+        res.status(500).json({ error: 'Failed to add contractor' });
+    }
+});
+
+/**
+ * Update a contractor
+ * @route PUT /api/contractors/:id
+ * @auth Landlord only
+ * @body Same fields as POST, plus is_active; only those sent are changed
+ * @returns {Object} Updated contractor
+ */
+router.put('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const existing = await pool.query(
+            'SELECT * FROM contractors WHERE id = $1 AND landlord_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Contractor not found' });
+        }
+
+        const validationError = validateContractor(req.body, existing.rows[0]);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const contractor = { ...existing.rows[0], ...req.body };
+
+        const result = await pool.query(
+            `UPDATE contractors
+             SET name = $1, company_name = $2, trade = $3, phone = $4, email = $5, address = $6,
+                 gas_safe_number = $7, niceic_number = $8, notes = $9, is_active = $10,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $11
+             RETURNING *`,
+            [
+                String(contractor.name).trim(),
+                contractor.company_name || null,
+                contractor.trade,
+                contractor.phone || null,
+                contractor.email || null,
+                contractor.address || null,
+                contractor.gas_safe_number ? String(contractor.gas_safe_number).trim() : null,
+                contractor.niceic_number || null,
+                contractor.notes || null,
+                contractor.is_active !== false && contractor.is_active !== 'false',
+                req.params.id
+            ]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Update contractor error:', error);
+        res.status(500).json({ error: 'Failed to update contractor' });
+    }
+});
+
+/**
+ * Remove a contractor. Contractors with work orders are kept for the record and
+ * marked inactive instead.
+ * @route DELETE /api/contractors/:id
+ * @auth Landlord only
+ */
+router.delete('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const used = await pool.query(
+            'SELECT 1 FROM work_orders WHERE contractor_id = $1 LIMIT 1',
+            [req.params.id]
+        );
+
+        const result = used.rows.length > 0
+            ? await pool.query(
+                `UPDATE contractors SET is_active = false, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND landlord_id = $2 RETURNING id`,
+                [req.params.id, req.user.id]
+            )
+            : await pool.query(
+                'DELETE FROM contractors WHERE id = $1 AND landlord_id = $2 RETURNING id',
+                [req.params.id, req.user.id]
+            );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Contractor not found' });
+        }
+
+        res.json({
+            message: used.rows.length > 0
+                ? 'Contractor has work orders on record, so they have been marked inactive'
+                : 'Contractor removed'
+        });
+    } catch (error) {
+        console.error('Delete contractor error:', error);
+        res.status(500).json({ error: 'Failed to remove contractor' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,499 @@
+/**
+ * Damage Report Routes
+ * Handles damage raised by the landlord during a tenancy, the lodger's answer to
+ * it, and turning a report into a deduction from the deposit or advance rent
+ */
+
+const express = require('express');
+const fs = require('fs').promises;
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const damageReportService = require('../services/damageReportService');
+const { getAvailableFunds, checkDeductionAllocation, createDeduction } = require('../services/deductionService');
+
+const MAX_PHOTOS = 10;
+
+const photoUpload = uploadTo('damage-reports').array('photos', MAX_PHOTOS);
+
+/**
+ * Describe uploaded photos for storing on a report
+ */
+function describePhotos(files, userId) {
+    return (files || []).map(file => ({
+        path: `/uploads/damage-reports/${file.filename}`,
+        filename: file.originalname,
+        uploaded_by: userId,
+        uploaded_at: new Date().toISOString()
+    }));
+}
+
+/**
+ * Remove uploaded photos from disk when a report can't be saved (missing files are ignored)
+ */
+async function removePhotos(files) {
+    for (const file of files || []) {
+        try {
+            await fs.unlink(file.path);
+        } catch (error) {
+            console.error('Remove damage photo error:', error.message);
+        }
+    }
+}
+
+/**
+ * Validate the details of a new report, returning an error message if invalid
+ */
+function validateReport({ title, description, room_area, estimated_cost }) {
+    if (!title || !title.trim() || !description || !description.trim()) {
+        return 'Please describe the damage';
+    }
+    if (!room_area || !room_area.trim()) {
+        return 'Please say which room or area is damaged';
+    }
+    const cost = parseFloat(estimated_cost);
+    if (isNaN(cost) || cost <= 0) {
+        return 'Estimated cost must be greater than zero';
+    }
+    return null;
+}
+
+/**
+ * Look up a report the current user is a party to
+ * @returns {Object|null} damage_reports row with lodger_id, or null
+ */
+async function getReportForUser(db, reportId, user, forUpdate = false) {
+    const result = await db.query(
+        `SELECT r.*, t.lodger_id
+         FROM damage_reports r
+         JOIN tenancies t ON r.tenancy_id = t.id
+         WHERE r.id = $1 AND (r.landlord_id = $2 OR t.lodger_id = $2 OR $3)
+         ${forUpdate ? 'FOR UPDATE OF r' : ''}`,
+        [reportId, user.id, user.user_type === 'admin']
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Record the lodger's answer to a report and tell the landlord
+ */
+async function respondAsLodger(req, res, status, allowedFrom) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const report = await getReportForUser(client, req.params.reportId, req.user, true);
+        if (!report || report.lodger_id !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Damage report not found' });
+        }
+
+        if (!allowedFrom.includes(report.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `A report that is ${damageReportService.DAMAGE_REPORT_STATUSES[report.status].toLowerCase()} can't be ${status}`
+            });
+        }
+
+        const comment = req.body.comment ? req.body.comment.trim() : null;
+
+        const result = await client.query(
+            `UPDATE damage_reports
+             SET status = $1, lodger_response = $2, responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3
+             RETURNING *`,
+            [status, comment, report.id]
+        );
+
+        const updated = { ...result.rows[0], lodger_id: report.lodger_id };
+        await damageReportService.recordEvent(client, report.id, req.user.id, status, comment);
+        await damageReportService.notifyDamageReport(client, updated, status);
+
+        await client.query('COMMIT');
+
+        res.json(updated);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Respond to damage report error:', error);
+        res.status(500).json({ error: 'Failed to respond to damage report' });
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Get the damage reports on a tenancy with their history
+ * @route GET /api/tenancies/:id/damage-reports
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {Object} { reports, statuses } - Newest first, each with its events oldest first
+ */
+router.get('/:id/damage-reports', authenticateToken, async (req, res) => {
+    try {
+        const tenancy = await pool.query(
+            'SELECT id FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)',
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const result = await pool.query(
+            `SELECT r.*, u.full_name as reported_by_name
+             FROM damage_reports r
+             LEFT JOIN users u ON r.reported_by = u.id
+             WHERE r.tenancy_id = $1
+             ORDER BY r.created_at DESC`,
+            [req.params.id]
+        );
+
+        const events = await damageReportService.getReportEvents(pool, result.rows.map(report => report.id));
+        const reports = result.rows.map(report => ({
+            ...report,
+            events: events.filter(event => event.report_id === report.id)
+        }));
+
+        res.json({ reports, statuses: damageReportService.DAMAGE_REPORT_STATUSES });
+    } catch (error) {
+        console.error('Get damage reports error:', error);
+        res.status(500).json({ error: 'Failed to get damage reports' });
+    }
+});
+
+/**
+ * Report damage found during a tenancy. The lodger is asked to acknowledge or dispute it.
+ * @route POST /api/tenancies/:id/damage-reports
+ * @auth Landlord or admin
+ * @body {string} title - Short description of the damage
+ * @body {string} description - Details of the damage
+ * @body {string} room_area - Room or area of the property
+ * @body {number} estimated_cost - Estimated cost to put right
+ * @body {string} incident_date - When the damage happened or was found (optional)
+ * @body {File[]} photos - Up to 10 photos (multipart/form-data, optional)
+ * @returns {Object} Created report
+ */
+router.post('/:id/damage-reports', authenticateToken, requireRole('landlord', 'admin'), photoUpload, async (req, res) => {
+    const validationError = validateReport(req.body);
+    if (validationError) {
+        await removePhotos(req.files);
+        return res.status(400).json({ error: validationError });
+    }
+
+    const client = await pool.connect();
+    try {
+        const { title, description, room_area, estimated_cost, incident_date } = req.body;
+
+        await client.query('BEGIN');
+
+        const tenancyResult = await client.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR $3)',
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            await removePhotos(req.files);
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+
+        const result = await client.query(
+            `INSERT INTO damage_reports (
+                tenancy_id, landlord_id, reported_by, title, description,
+                room_area, estimated_cost, incident_date, photos
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [
+                tenancy.id,
+                tenancy.landlord_id,
+                req.user.id,
+                title.trim(),
+                description.trim(),
+                room_area.trim(),
+                parseFloat(estimated_cost),
+                incident_date || null,
+                JSON.stringify(describePhotos(req.files, req.user.id))
+            ]
+        );
+
+        const report = { ...result.rows[0], lodger_id: tenancy.lodger_id };
+        await damageReportService.recordEvent(client, report.id, req.user.id, 'raised');
+        await damageReportService.notifyDamageReport(client, report, 'raised');
+
+        await client.query('COMMIT');
+
+        res.status(201).json(report);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removePhotos(req.files);
+        console.error('Create damage report error:', error);
+        res.status(500).json({ error: 'Failed to create damage report' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Add photos to a report. Either party can, so a lodger can show their side of a dispute.
+ * @route POST /api/tenancies/damage-reports/:reportId/photos
+ * @auth Landlord, lodger or admin on the report
+ * @body {File[]} photos - Up to 10 photos (multipart/form-data)
+ * @returns {Object} Updated report
+ */
+router.post('/damage-reports/:reportId/photos', authenticateToken, photoUpload, async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'Choose at least one photo' });
+        }
+
+        const report = await getReportForUser(pool, req.params.reportId, req.user);
+        if (!report) {
+            await removePhotos(req.files);
+            return res.status(404).json({ error: 'Damage report not found' });
+        }
+
+        if (!damageReportService.OPEN_STATUSES.includes(report.status)) {
+            await removePhotos(req.files);
+            return res.status(400).json({ error: 'Photos can only be added while a report is open' });
+        }
+
+        const result = await pool.query(
+            `UPDATE damage_reports
+             SET photos = photos || $1::jsonb, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2
+             RETURNING *`,
+            [JSON.stringify(describePhotos(req.files, req.user.id)), report.id]
+        );
+
+        res.json({ ...result.rows[0], lodger_id: report.lodger_id });
+    } catch (error) {
+        await removePhotos(req.files);
+        console.error('Add damage photos error:', error);
+        res.status(500).json({ error: 'Failed to add photos' });
+    }
+});
+
+/**
+ * Lodger accepts responsibility for the damage. A disputed report can still be acknowledged.
+ * @route POST /api/tenancies/damage-reports/:reportId/acknowledge
+ * @auth Lodger on the report
+ * @body {string} comment - Anything the lodger wants to add (optional)
+ * @returns {Object} Updated report
+ */
+router.post('/damage-reports/:reportId/acknowledge', authenticateToken, requireRole('lodger'), async (req, res) => {
+    await respondAsLodger(req, res, 'acknowledged', ['awaiting_lodger', 'disputed']);
+});
+
+/**
+ * Lodger disputes the damage or the cost, saying why
+ * @route POST /api/tenancies/damage-reports/:reportId/dispute
+ * @auth Lodger on the report
+ * @body {string} comment - Why the report is disputed
+ * @returns {Object} Updated report
+ */
+router.post('/damage-reports/:reportId/dispute', authenticateToken, requireRole('lodger'), async (req, res) => {
+    if (!req.body.comment || !req.body.comment.trim()) {
+        return res.status(400).json({ error: 'Please explain why you dispute this report' });
+    }
+    await respondAsLodger(req, res, 'disputed', ['awaiting_lodger']);
+});
+
+/**
+ * Landlord answers a dispute, optionally revising the estimate, and asks the lodger to look again
+ * @route POST /api/tenancies/damage-reports/:reportId/respond
+ * @auth Landlord or admin
+ * @body {string} comment - The landlord's answer
+ * @body {number} estimated_cost - Revised estimate (optional)
+ * @returns {Object} Updated report
+ */
+router.post('/damage-reports/:reportId/respond', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const { comment, estimated_cost } = req.body;
+
+    if (!comment || !comment.trim()) {
+        return res.status(400).json({ error: 'Please enter your response' });
+    }
+
+    const revisedCost = estimated_cost !== undefined && estimated_cost !== '' ? parseFloat(estimated_cost) : null;
+    if (revisedCost !== null && (isNaN(revisedCost) || revisedCost <= 0)) {
+        return res.status(400).json({ error: 'Estimated cost must be greater than zero' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const report = await getReportForUser(client, req.params.reportId, req.user, true);
+        if (!report) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Damage report not found' });
+        }
+
+        if (report.status !== 'disputed') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only a disputed report can be responded to' });
+        }
+
+        const result = await client.query(
+            `UPDATE damage_reports
+             SET status = 'awaiting_lodger', estimated_cost = COALESCE($1, estimated_cost), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2
+             RETURNING *`,
+            [revisedCost, report.id]
+        );
+
+        const updated = { ...result.rows[0], lodger_id: report.lodger_id };
+        const eventComment = revisedCost !== null && revisedCost !== parseFloat(report.estimated_cost)
+            ? `${comment.trim()} (estimate revised from £${parseFloat(report.estimated_cost).toFixed(2)} to £${revisedCost.toFixed(2)})`
+            : comment.trim();
+
+        await damageReportService.recordEvent(client, report.id, req.user.id, 'responded', eventComment);
+        await damageReportService.notifyDamageReport(client, updated, 'responded');
+
+        await client.query('COMMIT');
+
+        res.json(updated);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Respond to damage dispute error:', error);
+        res.status(500).json({ error: 'Failed to respond to dispute' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Turn a report into a deduction. The photos become the deduction's evidence and the
+ * report's history is printed on the deduction statement.
+ * @route POST /api/tenancies/damage-reports/:reportId/convert
+ * @auth Landlord or admin
+ * @body {number} amount - Amount to deduct (default the estimated cost)
+ * @body {number} deduct_from_deposit - Part taken from the deposit
+ * @body {number} deduct_from_advance - Part taken from advance rent
+ * @body {string} notes - Notes for the statement (optional)
+ * @returns {Object} { message, report, deduction }
+ */
+router.post('/damage-reports/:reportId/convert', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const report = await getReportForUser(client, req.params.reportId, req.user, true);
+        if (!report) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Damage report not found' });
+        }
+
+        if (!damageReportService.OPEN_STATUSES.includes(report.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This report has already been closed' });
+        }
+
+        const tenancyResult = await client.query('SELECT * FROM tenancies WHERE id = $1', [report.tenancy_id]);
+        const tenancy = tenancyResult.rows[0];
+
+        const amount = req.body.amount ? parseFloat(req.body.amount) : parseFloat(report.estimated_cost);
+        const fromDeposit = parseFloat(req.body.deduct_from_deposit || 0);
+        const fromAdvance = parseFloat(req.body.deduct_from_advance || 0);
+
+        if (isNaN(amount) || amount <= 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Amount must be greater than zero' });
+        }
+
+        const funds = await getAvailableFunds(client, tenancy);
+        const allocationError = checkDeductionAllocation(funds, amount, fromDeposit, fromAdvance);
+        if (allocationError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: allocationError });
+        }
+
+        const deduction = await createDeduction(client, tenancy, {
+            deductionType: 'damage',
+            description: `${report.title} (${report.room_area}): ${report.description}`,
+            amount,
+            fromDeposit,
+            fromAdvance,
+            evidencePaths: report.photos.map(photo => photo.path),
+            notes: req.body.notes || null,
+            createdBy: req.user.id
+        });
+
+        const result = await client.query(
+            `UPDATE damage_reports
+             SET status = 'converted', deduction_id = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2
+             RETURNING *`,
+            [deduction.id, report.id]
+        );
+
+        await damageReportService.recordEvent(
+            client, report.id, req.user.id, 'converted',
+            `£${amount.toFixed(2)} deducted` + (report.status === 'disputed' ? ' while the report was disputed' : '')
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Deduction created from damage report',
+            report: { ...result.rows[0], lodger_id: report.lodger_id },
+            deduction
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Convert damage report error:', error);
+        res.status(500).json({ error: 'Failed to create deduction from damage report' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Withdraw a report that won't be pursued
+ * @route POST /api/tenancies/damage-reports/:reportId/withdraw
+ * @auth Landlord or admin
+ * @body {string} comment - Why it was withdrawn (optional)
+ * @returns {Object} Updated report
+ */
+router.post('/damage-reports/:reportId/withdraw', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const report = await getReportForUser(client, req.params.reportId, req.user, true);
+        if (!report) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Damage report not found' });
+        }
+
+        if (!damageReportService.OPEN_STATUSES.includes(report.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This report has already been closed' });
+        }
+
+        const result = await client.query(
+            `UPDATE damage_reports
+             SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [report.id]
+        );
+
+        const updated = { ...result.rows[0], lodger_id: report.lodger_id };
+        await damageReportService.recordEvent(client, report.id, req.user.id, 'withdrawn', req.body.comment);
+        await damageReportService.notifyDamageReport(client, updated, 'withdrawn');
+
+        await client.query('COMMIT');
+
+        res.json(updated);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Withdraw damage report error:', error);
+        res.status(500).json({ error: 'Failed to withdraw damage report' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -11,6 +11,19 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
+const {
+    DISPUTE_STATUSES,
+    AWAITING_PARTY,
+    DEDUCTION_EVENT_LABELS,
+    getAvailableFunds,
+    checkDeductionAllocation,
+    createDeduction,
+    recordDeductionEvent,
+    getDeductionEvents,
+    applyDeductionAmount
+} = require('../services/deductionService');
+const { getReportEvents, EVENT_LABELS } = require('../services/damageReportService');
+const { getItemEvidencePaths } = require('../services/inventoryService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -42,29 +55,7 @@ router.get('/:tenancyId/available-funds', authenticateToken, requireRole('landlo
             return res.status(404).json({ error: 'Tenancy not found' });
         }
 
-        const tenancyData = tenancy.rows[0];
-
-        // Get total deductions already made
-        const deductions = await pool.query(
-            'SELECT SUM(amount_from_deposit) as total_from_deposit, SUM(amount_from_advance) as total_from_advance FROM deductions WHERE tenancy_id = $1',
-            [tenancyId]
-        );
-
-        const totalFromDeposit = parseFloat(deductions.rows[0]?.total_from_deposit || 0);
-        const totalFromAdvance = parseFloat(deductions.rows[0]?.total_from_advance || 0);
-
-        const availableDeposit = parseFloat(tenancyData.deposit_amount || 0) - totalFromDeposit;
-        const availableAdvance = parseFloat(tenancyData.initial_payment || 0) - totalFromAdvance;
-
-        res.json({
-            original_deposit: parseFloat(tenancyData.deposit_amount || 0),
-            original_advance: parseFloat(tenancyData.initial_payment || 0),
-            deducted_from_deposit: totalFromDeposit,
-            deducted_from_advance: totalFromAdvance,
-            available_deposit: Math.max(0, availableDeposit),
-            available_advance: Math.max(0, availableAdvance),
-            total_available: Math.max(0, availableDeposit) + Math.max(0, availableAdvance)
-        });
+        res.json(await getAvailableFunds(pool, tenancy.rows[0]));
     } catch (error) {
         console.error('Get available funds error:', error);
         res.status(500).json({ error: 'Failed to get available funds' });
@@ -79,7 +70,7 @@ router.post('/:tenancyId/deductions', authenticateToken, requireRole('landlord',
 
         const { tenancyId } = req.params;
         const landlordId = req.user.id;
-        const { deduction_type, description, amount, deduct_from_deposit, deduct_from_advance, notes } = req.body;
+        const { deduction_type, description, amount, deduct_from_deposit, deduct_from_advance, notes, inventory_item_id } = req.body;
 
         // Verify landlord owns this tenancy
         const tenancy = await client.query(
@@ -93,87 +84,46 @@ router.post('/:tenancyId/deductions', authenticateToken, requireRole('landlord',
         }
 
         const tenancyData = tenancy.rows[0];
+        const funds = await getAvailableFunds(client, tenancyData);
 
-        // Get current available funds
-        const deductions = await client.query(
-            'SELECT SUM(amount_from_deposit) as total_from_deposit, SUM(amount_from_advance) as total_from_advance FROM deductions WHERE tenancy_id = $1',
-            [tenancyId]
-        );
-
-        const totalFromDeposit = parseFloat(deductions.rows[0]?.total_from_deposit || 0);
-        const totalFromAdvance = parseFloat(deductions.rows[0]?.total_from_advance || 0);
-
-        const availableDeposit = parseFloat(tenancyData.deposit_amount || 0) - totalFromDeposit;
-        const availableAdvance = parseFloat(tenancyData.initial_payment || 0) - totalFromAdvance;
-
-        // Calculate deduction amounts
         const deductionAmount = parseFloat(amount);
-        let amountFromDeposit = parseFloat(deduct_from_deposit || 0);
-        let amountFromAdvance = parseFloat(deduct_from_advance || 0);
+        const amountFromDeposit = parseFloat(deduct_from_deposit || 0);
+        const amountFromAdvance = parseFloat(deduct_from_advance || 0);
 
-        // Validate amounts
-        if (amountFromDeposit > availableDeposit) {
+        const allocationError = checkDeductionAllocation(funds, deductionAmount, amountFromDeposit, amountFromAdvance);
+        if (allocationError) {
             await client.query('ROLLBACK');
-            return res.status(400).json({
-                error: `Insufficient deposit funds. Available: £${availableDeposit.toFixed(2)}, Requested: £${amountFromDeposit.toFixed(2)}`
-            });
+            return res.status(400).json({ error: allocationError });
         }
 
-        if (amountFromAdvance > availableAdvance) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({
-                error: `Insufficient advance rent. Available: £${availableAdvance.toFixed(2)}, Requested: £${amountFromAdvance.toFixed(2)}`
-            });
-        }
-
-        if ((amountFromDeposit + amountFromAdvance) !== deductionAmount) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({
-                error: `Deduction amounts don't match total. Total: £${deductionAmount.toFixed(2)}, Allocated: £${(amountFromDeposit + amountFromAdvance).toFixed(2)}`
-            });
-        }
-
-        // Determine deducted_from field
-        let deductedFrom = 'both';
-        if (amountFromDeposit > 0 && amountFromAdvance === 0) deductedFrom = 'deposit';
-        if (amountFromAdvance > 0 && amountFromDeposit === 0) deductedFrom = 'advance_rent';
-
-        // Store evidence file paths
         const evidencePaths = req.files ? req.files.map(file => `/uploads/${file.filename}`) : [];
 
-        // Create deduction record
-        const deduction = await client.query(
-            `INSERT INTO deductions (
-                tenancy_id, deduction_type, description, amount,
-                deducted_from, amount_from_deposit, amount_from_advance,
-                evidence_paths, created_by, notes
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            RETURNING *`,
-            [
-                tenancyId, deduction_type, description, deductionAmount,
-                deductedFrom, amountFromDeposit, amountFromAdvance,
-                evidencePaths, landlordId, notes
-            ]
-        );
+        // A deduction started from the inventory comparison carries the item's photos
+        if (inventory_item_id) {
+            const itemPhotos = await getItemEvidencePaths(client, inventory_item_id, tenancyId);
+            if (!itemPhotos) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Inventory item not found on this tenancy' });
+            }
+            evidencePaths.push(...itemPhotos);
+        }
 
-        // Send notification to lodger
-        await client.query(
-            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [
-                tenancyData.lodger_id,
-                tenancyId,
-                'deduction_made',
-                'Deduction from Deposit/Advance Rent',
-                `A deduction of £${deductionAmount.toFixed(2)} has been made for: ${description}. A detailed statement will be provided.`
-            ]
-        );
+        const deduction = await createDeduction(client, tenancyData, {
+            deductionType: deduction_type,
+            description,
+            amount: deductionAmount,
+            fromDeposit: amountFromDeposit,
+            fromAdvance: amountFromAdvance,
+            evidencePaths,
+            notes,
+            createdBy: landlordId
+        });
 
         await client.query('COMMIT');
 
         res.json({
             message: 'Deduction created successfully',
-            deduction: deduction.rows[0]
+            deduction
         });
     } catch (error) {
         await client.query('ROLLBACK');
@@ -209,13 +159,393 @@ router.get('/:tenancyId/deductions', authenticateToken, async (req, res) => {
             [tenancyId]
         );
 
-        res.json({ deductions: deductions.rows });
+        const events = await getDeductionEvents(pool, deductions.rows.map(deduction => deduction.id));
+
+        res.json({
+            deductions: deductions.rows.map(deduction => ({
+                ...deduction,
+                history: events.filter(event => event.deduction_id === deduction.id)
+            })),
+            dispute_statuses: DISPUTE_STATUSES
+        });
     } catch (error) {
         console.error('Get deductions error:', error);
         res.status(500).json({ error: 'Failed to get deductions' });
     }
 });
 
+// Look up a deduction the current user can act on, locked for the rest of the transaction
+async function getDeductionForUpdate(client, deductionId, user) {
+    const result = await client.query(
+        `SELECT d.*, t.landlord_id, t.lodger_id, s.status as settlement_status
+         FROM deductions d
+         JOIN tenancies t ON d.tenancy_id = t.id
+         LEFT JOIN move_out_settlements s ON s.tenancy_id = t.id
+         WHERE d.id = $1 AND (t.landlord_id = $2 OR t.lodger_id = $2 OR $3)
+         FOR UPDATE OF d`,
+        [deductionId, user.id, user.user_type === 'admin']
+    );
+    return result.rows[0] || null;
+}
+
+// Which side of the deduction the user is on
+function partyOf(deduction, user) {
+    if (user.id === deduction.lodger_id) return 'lodger';
+    if (user.id === deduction.landlord_id) return 'landlord';
+    return user.user_type === 'admin' ? 'admin' : null;
+}
+
+// Check a proposed amount, returning an error message if it isn't allowed
+function validateProposedAmount(amount, deduction) {
+    const proposed = parseFloat(amount);
+    if (isNaN(proposed) || proposed < 0) {
+        return 'Enter the amount you think should be deducted';
+    }
+    if (Math.round(proposed * 100) > Math.round(parseFloat(deduction.amount) * 100)) {
+        return `The amount can't be more than the £${parseFloat(deduction.amount).toFixed(2)} deducted`;
+    }
+    return null;
+}
+
+async function notifyDispute(client, userId, deduction, title, message) {
+    await client.query(
+        `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [userId, deduction.tenancy_id, 'deduction_dispute', title, message]
+    );
+}
+
+// Lodger disputes a deduction, proposing what they think is fair with their own evidence
+router.post('/deductions/:deductionId/dispute', authenticateToken, requireRole('lodger'), upload.array('evidence', 10), async (req, res) => {
+    const { proposed_amount, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'Explain why you dispute the deduction' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const deduction = await getDeductionForUpdate(client, req.params.deductionId, req.user);
+        if (!deduction || partyOf(deduction, req.user) !== 'lodger') {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Deduction not found' });
+        }
+
+        if (deduction.dispute_status !== 'none') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This deduction has already been accepted or disputed' });
+        }
+        if (deduction.settlement_status === 'refunded') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The deposit has already been settled' });
+        }
+
+        const amountError = validateProposedAmount(proposed_amount, deduction);
+        if (amountError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: amountError });
+        }
+        const proposed = parseFloat(proposed_amount);
+
+        await client.query(
+            `UPDATE deductions
+             SET dispute_status = 'awaiting_landlord', proposed_amount = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [proposed, deduction.id]
+        );
+
+        await recordDeductionEvent(client, deduction.id, req.user.id, 'disputed', {
+            amount: proposed,
+            comment: reason.trim(),
+            evidencePaths: req.files ? req.files.map(file => `/uploads/${file.filename}`) : []
+        });
+
+        await notifyDispute(
+            client,
+            deduction.landlord_id,
+            deduction,
+            'Deduction Disputed',
+            `Your lodger disputes the £${parseFloat(deduction.amount).toFixed(2)} deduction for "${deduction.description}" ` +
+                `and proposes £${proposed.toFixed(2)}. Please accept, make a counter-offer or escalate for mediation.`
+        );
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Deduction disputed' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Dispute deduction error:', error);
+        res.status(500).json({ error: 'Failed to dispute deduction' });
+    } finally {
+        client.release();
+    }
+});
+
+// Accept the deduction as made (lodger, before any dispute) or the other side's latest proposal
+router.post('/deductions/:deductionId/accept', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const deduction = await getDeductionForUpdate(client, req.params.deductionId, req.user);
+        const party = deduction ? partyOf(deduction, req.user) : null;
+        if (!party || party === 'admin') {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Deduction not found' });
+        }
+
+        const acceptingAsMade = deduction.dispute_status === 'none' && party === 'lodger';
+        if (!acceptingAsMade && AWAITING_PARTY[deduction.dispute_status] !== party) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'There is nothing for you to accept on this deduction' });
+        }
+        if (deduction.settlement_status === 'refunded') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The deposit has already been settled' });
+        }
+
+        const agreedAmount = acceptingAsMade ? parseFloat(deduction.amount) : parseFloat(deduction.proposed_amount);
+
+        if (acceptingAsMade) {
+            await client.query(
+                `UPDATE deductions SET dispute_status = 'agreed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [deduction.id]
+            );
+        } else {
+            await applyDeductionAmount(client, deduction, agreedAmount, 'agreed');
+        }
+
+        await recordDeductionEvent(client, deduction.id, req.user.id, 'accepted', { amount: agreedAmount });
+
+        await notifyDispute(
+            client,
+            party === 'lodger' ? deduction.landlord_id : deduction.lodger_id,
+            deduction,
+            'Deduction Agreed',
+            `${party === 'lodger' ? 'Your lodger' : 'Your householder'} has agreed a deduction of £${agreedAmount.toFixed(2)} for "${deduction.description}".`
+        );
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Deduction agreed', amount: agreedAmount });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Accept deduction error:', error);
+        res.status(500).json({ error: 'Failed to accept deduction' });
+    } finally {
+        client.release();
+    }
+});
+
+// Answer the other side's proposal with a counter-offer
+router.post('/deductions/:deductionId/counter', authenticateToken, requireRole('landlord', 'lodger'), upload.array('evidence', 10), async (req, res) => {
+    const { amount, comment } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const deduction = await getDeductionForUpdate(client, req.params.deductionId, req.user);
+        const party = deduction ? partyOf(deduction, req.user) : null;
+        if (!party || party === 'admin') {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Deduction not found' });
+        }
+
+        if (AWAITING_PARTY[deduction.dispute_status] !== party) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'It is not your turn to respond to this deduction' });
+        }
+
+        const amountError = validateProposedAmount(amount, deduction);
+        if (amountError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: amountError });
+        }
+        const counter = parseFloat(amount);
+
+        await client.query(
+            `UPDATE deductions
+             SET dispute_status = $1, proposed_amount = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [party === 'lodger' ? 'awaiting_landlord' : 'awaiting_lodger', counter, deduction.id]
+        );
+
+        await recordDeductionEvent(client, deduction.id, req.user.id, 'countered', {
+            amount: counter,
+            comment,
+            evidencePaths: req.files ? req.files.map(file => `/uploads/${file.filename}`) : []
+        });
+
+        await notifyDispute(
+            client,
+            party === 'lodger' ? deduction.landlord_id : deduction.lodger_id,
+            deduction,
+            'Deduction Counter-offer',
+            `${party === 'lodger' ? 'Your lodger' : 'Your householder'} has offered £${counter.toFixed(2)} for "${deduction.description}". ` +
+                'Please accept, make a counter-offer or escalate for mediation.'
+        );
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Counter-offer sent' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Counter deduction error:', error);
+        res.status(500).json({ error: 'Failed to send counter-offer' });
+    } finally {
+        client.release();
+    }
+});
+
+// Either side asks an admin to mediate when they can't agree
+router.post('/deductions/:deductionId/escalate', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    const { comment } = req.body;
+
+    if (!comment || !comment.trim()) {
+        return res.status(400).json({ error: 'Explain what the mediator should look at' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const deduction = await getDeductionForUpdate(client, req.params.deductionId, req.user);
+        const party = deduction ? partyOf(deduction, req.user) : null;
+        if (!party || party === 'admin') {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Deduction not found' });
+        }
+
+        if (!AWAITING_PARTY[deduction.dispute_status]) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only a deduction under dispute can be escalated' });
+        }
+
+        await client.query(
+            `UPDATE deductions SET dispute_status = 'escalated', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [deduction.id]
+        );
+
+        await recordDeductionEvent(client, deduction.id, req.user.id, 'escalated', { comment: comment.trim() });
+
+        await notifyDispute(
+            client,
+            party === 'lodger' ? deduction.landlord_id : deduction.lodger_id,
+            deduction,
+            'Deduction Escalated',
+            `${party === 'lodger' ? 'Your lodger' : 'Your householder'} has asked an administrator to mediate the dispute over "${deduction.description}".`
+        );
+
+        const admins = await client.query("SELECT id FROM users WHERE user_type = 'admin'");
+        for (const admin of admins.rows) {
+            await notifyDispute(
+                client,
+                admin.id,
+                deduction,
+                'Deduction Dispute to Mediate',
+                `A dispute over a £${parseFloat(deduction.amount).toFixed(2)} deduction for "${deduction.description}" has been escalated for mediation.`
+            );
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Dispute escalated for mediation' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Escalate deduction error:', error);
+        res.status(500).json({ error: 'Failed to escalate dispute' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get deductions escalated for mediation, with their history
+router.get('/deductions/escalated', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const deductions = await pool.query(
+            `SELECT d.*, landlord.full_name as landlord_name, lodger.full_name as lodger_name,
+                    t.property_house_number, t.property_street_name, t.property_postcode
+             FROM deductions d
+             JOIN tenancies t ON d.tenancy_id = t.id
+             JOIN users landlord ON t.landlord_id = landlord.id
+             JOIN users lodger ON t.lodger_id = lodger.id
+             WHERE d.dispute_status = 'escalated'
+             ORDER BY d.updated_at ASC`
+        );
+
+        const events = await getDeductionEvents(pool, deductions.rows.map(deduction => deduction.id));
+
+        res.json({
+            deductions: deductions.rows.map(deduction => ({
+                ...deduction,
+                history: events.filter(event => event.deduction_id === deduction.id)
+            })),
+            dispute_statuses: DISPUTE_STATUSES
+        });
+    } catch (error) {
+        console.error('Get escalated deductions error:', error);
+        res.status(500).json({ error: 'Failed to get escalated deductions' });
+    }
+});
+
+// Admin mediator decides the amount of an escalated deduction
+router.post('/deductions/:deductionId/resolve', authenticateToken, requireRole('admin'), async (req, res) => {
+    const { amount, comment } = req.body;
+
+    if (!comment || !comment.trim()) {
+        return res.status(400).json({ error: 'Give the reasons for the decision' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const deduction = await getDeductionForUpdate(client, req.params.deductionId, req.user);
+        if (!deduction) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Deduction not found' });
+        }
+
+        if (deduction.dispute_status !== 'escalated') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This deduction has not been escalated for mediation' });
+        }
+
+        const amountError = validateProposedAmount(amount, deduction);
+        if (amountError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: amountError });
+        }
+        const decided = parseFloat(amount);
+
+        await applyDeductionAmount(client, deduction, decided, 'resolved');
+        await recordDeductionEvent(client, deduction.id, req.user.id, 'resolved', { amount: decided, comment: comment.trim() });
+
+        for (const userId of [deduction.landlord_id, deduction.lodger_id]) {
+            await notifyDispute(
+                client,
+                userId,
+                deduction,
+                'Deduction Dispute Resolved',
+                `The mediator has decided the deduction for "${deduction.description}" should be £${decided.toFixed(2)}. ${comment.trim()}`
+            );
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Dispute resolved', amount: decided });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Resolve deduction error:', error);
+        res.status(500).json({ error: 'Failed to resolve dispute' });
+    } finally {
+        client.release();
+    }
+});
+
 // Generate deduction statement PDF
 router.post('/deductions/:deductionId/generate-statement', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
     const client = await pool.connect();
@@ -245,6 +575,13 @@ router.post('/deductions/:deductionId/generate-statement', authenticateToken, re
 
         const data = result.rows[0];
 
+        // Damage report this deduction was raised from, if any
+        const reportResult = await client.query('SELECT * FROM damage_reports WHERE deduction_id = $1', [deductionId]);
+        const damageReport = reportResult.rows[0] || null;
+        const reportEvents = damageReport ? await getReportEvents(client, [damageReport.id]) : [];
+        const deductionEvents = await getDeductionEvents(client, [deductionId]);
+        const disputeEvents = deductionEvents.filter(event => event.event_type !== 'created');
+
         // Generate PDF
         const doc = new PDFDocument({ margin: 50 });
         const filename = `deduction-statement-${deductionId}.pdf`;
@@ -339,6 +676,92 @@ router.post('/deductions/:deductionId/generate-statement', authenticateToken, re
             doc.moveDown(2);
         }
 
+        // Dispute, with each offer made and the evidence given for it
+        if (data.dispute_status !== 'none') {
+            doc.fontSize(12).font('Helvetica-Bold').text('DISPUTE:', 50, doc.y);
+            doc.fontSize(10).font('Helvetica').text(`Status: ${DISPUTE_STATUSES[data.dispute_status]}`, 50, doc.y);
+            if (data.original_amount !== null && parseFloat(data.original_amount) !== parseFloat(data.amount)) {
+                doc.text(`Originally Deducted: £${parseFloat(data.original_amount).toFixed(2)}`, 50, doc.y);
+            }
+            if (data.proposed_amount !== null) {
+                doc.text(`Amount Currently Proposed: £${parseFloat(data.proposed_amount).toFixed(2)}`, 50, doc.y);
+            }
+            doc.moveDown();
+
+            doc.fontSize(12).font('Helvetica-Bold').text('DISPUTE HISTORY:', 50, doc.y);
+            disputeEvents.forEach(event => {
+                const who = event.user_type === 'lodger' ? 'Lodger' : event.user_type === 'admin' ? 'Mediator' : 'Landlord';
+                const amount = event.amount !== null ? `: £${parseFloat(event.amount).toFixed(2)}` : '';
+                doc.fontSize(10).font('Helvetica-Bold')
+                   .text(`${new Date(event.created_at).toLocaleDateString('en-GB')} - ${DEDUCTION_EVENT_LABELS[event.event_type]} (${who})${amount}`, 50, doc.y);
+                doc.font('Helvetica');
+                if (event.comment) {
+                    doc.text(event.comment, 70, doc.y, { width: 480 });
+                }
+                (event.evidence_paths || []).forEach(evidencePath => {
+                    doc.text(`Evidence: ${path.basename(evidencePath)}`, 70, doc.y);
+                });
+            });
+            doc.moveDown(2);
+        }
+
+        // Damage report, with its photos and what each party said about it
+        if (damageReport) {
+            doc.fontSize(12).font('Helvetica-Bold').text('DAMAGE REPORT:', 50, doc.y);
+            doc.fontSize(10).font('Helvetica')
+               .text(`Reported: ${new Date(damageReport.created_at).toLocaleDateString('en-GB')}`, 50, doc.y)
+               .text(`Room/Area: ${damageReport.room_area}`, 50, doc.y)
+               .text(`Estimated Cost: £${parseFloat(damageReport.estimated_cost).toFixed(2)}`, 50, doc.y);
+            if (damageReport.incident_date) {
+                doc.text(`Date of Damage: ${new Date(damageReport.incident_date).toLocaleDateString('en-GB')}`, 50, doc.y);
+            }
+            doc.moveDown();
+
+            doc.fontSize(12).font('Helvetica-Bold').text('REPORT HISTORY:', 50, doc.y);
+            reportEvents.forEach(event => {
+                const who = event.user_type === 'lodger' ? 'Lodger' : 'Landlord';
+                doc.fontSize(10).font('Helvetica-Bold')
+                   .text(`${new Date(event.created_at).toLocaleDateString('en-GB')} - ${EVENT_LABELS[event.event_type]} (${who})`, 50, doc.y);
+                if (event.comment) {
+                    doc.font('Helvetica').text(event.comment, 70, doc.y, { width: 480 });
+                }
+            });
+            doc.moveDown(2);
+
+            const photos = (damageReport.photos || []).filter(photo => /\.(jpe?g|png)$/i.test(photo.path));
+            if (photos.length > 0) {
+                doc.fontSize(12).font('Helvetica-Bold').text('PHOTOGRAPHS:', 50, doc.y);
+                doc.moveDown(0.5);
+                photos.forEach(photo => {
+                    if (doc.y + 200 > doc.page.height - doc.page.margins.bottom) {
+                        doc.addPage();
+                    }
+                    try {
+                        doc.image(path.join(__dirname, '../..', photo.path), 50, doc.y, { fit: [240, 180] });
+                        doc.y += 185;
+                        doc.fontSize(8).font('Helvetica').fillColor('#666666')
+                           .text(`${photo.filename}, ${photo.uploaded_by === data.lodger_id ? 'provided by lodger' : 'provided by landlord'}`, 50, doc.y);
+                        doc.fillColor('#000000');
+                        doc.moveDown();
+                    } catch (imageError) {
+                        console.error('Statement photo error:', imageError.message);
+                    }
+                });
+                doc.moveDown();
+            }
+        }
+
+        // Evidence held on file
+        const evidencePaths = data.evidence_paths || [];
+        if (evidencePaths.length > 0) {
+            doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000').text('EVIDENCE ON FILE:', 50, doc.y);
+            doc.fontSize(10).font('Helvetica');
+            evidencePaths.forEach(evidencePath => {
+                doc.text(`- ${path.basename(evidencePath)}`, 70, doc.y);
+            });
+            doc.moveDown(2);
+        }
+
         // Footer
         doc.moveDown(3);
         doc.fontSize(9).font('Helvetica').fillColor('#666666')
@@ -0,0 +1,310 @@
+/**
+ * Expense Routes
+ * Handles landlord expenses, receipts and the Rent-a-Room vs actual expenses comparison
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const { getTaxYear } = require('../utils/paymentCalculator');
+const expenseService = require('../services/expenseService');
+
+const receiptUpload = uploadTo('receipts').single('receipt');
+
+/**
+ * Check expense fields, returning an error message if any are invalid
+ */
+function validateExpense(body, partial = false) {
+    const { category, description, amount, expense_date, apportionment_percent } = body;
+
+    if (!partial || category !== undefined) {
+        if (!expenseService.EXPENSE_CATEGORIES[category]) return 'Choose a valid expense category';
+    }
+    if (!partial || description !== undefined) {
+        if (!description || !description.trim()) return 'Description is required';
+    }
+    if (!partial || amount !== undefined) {
+        if (!(parseFloat(amount) > 0)) return 'Amount must be greater than zero';
+    }
+    if (!partial || expense_date !== undefined) {
+        if (!expense_date || isNaN(new Date(expense_date).getTime())) return 'A valid expense date is required';
+    }
+    if (apportionment_percent !== undefined && apportionment_percent !== '') {
+        const share = parseFloat(apportionment_percent);
+        if (!(share > 0 && share <= 100)) return 'Apportionment must be between 1 and 100%';
+    }
+    return null;
+}
+
+/**
+ * Remove an uploaded receipt from disk (missing files are ignored)
+ */
+async function removeReceipt(receiptPath) {
+    if (!receiptPath) return;
+    try {
+        await fs.unlink(path.join(__dirname, '../..', receiptPath));
+    } catch (error) {
+        console.error('Remove receipt error:', error.message);
+    }
+}
+
+/**
+ * Get expense categories
+ * @route GET /api/expenses/categories
+ * @auth Landlord only
+ * @returns {Object} Category labels keyed by category
+ */
+router.get('/categories', authenticateToken, requireRole('landlord'), (req, res) => {
+    res.json(expenseService.EXPENSE_CATEGORIES);
+});
+
+/**
+ * Compare claiming the Rent-a-Room allowance with declaring actual expenses
+ * @route GET /api/expenses/comparison
+ * @auth Landlord only
+ * @query {string} tax_year - Year the tax year starts in (e.g. 2024); all years if omitted
+ * @query {number} tax_rate - Marginal income tax rate % used for estimates (default 20)
+ * @returns {Array} One comparison per tax year, newest first
+ */
+router.get('/comparison', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const taxRate = req.query.tax_rate !== undefined ? parseFloat(req.query.tax_rate) : expenseService.DEFAULT_TAX_RATE;
+        if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+            return res.status(400).json({ error: 'Tax rate must be between 0 and 100' });
+        }
+
+        let years;
+        if (req.query.tax_year) {
+            if (!/^\d{4}$/.test(req.query.tax_year)) {
+                return res.status(400).json({ error: 'Invalid tax year' });
+            }
+            years = [getTaxYear(`${req.query.tax_year}-04-06`)];
+        } else {
+            years = await expenseService.getTaxYearsWithActivity(pool, req.user.id);
+        }
+
+        const comparisons = [];
+        for (const year of years) {
+            comparisons.push(await expenseService.compareReliefMethods(pool, req.user.id, year.start, taxRate));
+        }
+
+        res.json(comparisons.reverse());
+    } catch (error) {
+        console.error('Get expense comparison error:', error);
+        res.status(500).json({ error: 'Failed to compare tax outcomes' });
+    }
+});
+
+/**
+ * Get landlord's expenses
+ * @route GET /api/expenses
+ * @auth Landlord only
+ * @query {string} tax_year - Year the tax year starts in (e.g. 2024)
+ * @query {string} category - Only this category
+ * @returns {Array} Expenses, newest first
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const conditions = ['e.landlord_id = $1'];
+        const params = [req.user.id];
+
+        if (req.query.tax_year) {
+            if (!/^\d{4}$/.test(req.query.tax_year)) {
+                return res.status(400).json({ error: 'Invalid tax year' });
+            }
+            const taxYear = getTaxYear(`${req.query.tax_year}-04-06`);
+            params.push(taxYear.start, taxYear.end);
+            conditions.push(`e.expense_date BETWEEN $${params.length - 1} AND $${params.length}`);
+        }
+
+        if (req.query.category) {
+            params.push(req.query.category);
+            conditions.push(`e.category = $${params.length}`);
+        }
+
+        const result = await pool.query(
+            `SELECT e.*, u.full_name as lodger_name
+             FROM expenses e
+             LEFT JOIN tenancies t ON e.tenancy_id = t.id
+             LEFT JOIN users u ON t.lodger_id = u.id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY e.expense_date DESC, e.created_at DESC`,
+            params
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get expenses error:', error);
+        res.status(500).json({ error: 'Failed to get expenses' });
+    }
+});
+
+/**
+ * Record an expense
+ * @route POST /api/expenses
+ * @auth Landlord only
+ * @body {string} category - Expense category
+ * @body {string} description - What the expense was for
+ * @body {number} amount - Full amount paid
+ * @body {string} expense_date - Date paid
+ * @body {number} apportionment_percent - Share of a household bill attributable to the letting (default 100)
+ * @body {string} tenancy_id - Tenancy the expense relates to (optional)
+ * @body {string} supplier - Who was paid (optional)
+ * @body {string} notes - Notes (optional)
+ * @body {File} receipt - Receipt image or PDF (optional)
+ * @returns {Object} Created expense
+ */
+router.post('/', authenticateToken, requireRole('landlord'), receiptUpload, async (req, res) => {
+    try {
+        const validationError = validateExpense(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { category, description, amount, expense_date, apportionment_percent, tenancy_id, supplier, notes } = req.body;
+
+        if (tenancy_id) {
+            const tenancy = await pool.query(
+                'SELECT id FROM tenancies WHERE id = $1 AND landlord_id = $2',
+                [tenancy_id, req.user.id]
+            );
+            if (tenancy.rows.length === 0) {
+                return res.status(404).json({ error: 'Tenancy not found' });
+            }
+        }
+
+        const result = await pool.query(
+            `INSERT INTO expenses (
+                landlord_id, tenancy_id, category, description, supplier, amount,
+                expense_date, apportionment_percent, receipt_path, receipt_filename, notes
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING *`,
+            [
+                req.user.id,
+                tenancy_id || null,
+                category,
+                description.trim(),
+                supplier || null,
+                parseFloat(amount),
+                expense_date,
+                apportionment_percent ? parseFloat(apportionment_percent) : 100,
+                req.file ? `/uploads/receipts/${req.file.filename}` : null,
+                req.file ? req.file.originalname : null,
+                notes || null
+            ]
+        );
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        console.error('Create expense error:', error);
+        res.status(500).json({ error: 'Failed to record expense' });
+    }
+});
+
+/**
+ * Update an expense, optionally replacing its receipt
+ * @route PUT /api/expenses/:id
+ * @auth Landlord only
+ * @body Same fields as POST; only those sent are changed
+ * @returns {Object} Updated expense
+ */
+router.put('/:id', authenticateToken, requireRole('landlord'), receiptUpload, async (req, res) => {
+    try {
+        const existing = await pool.query(
+            'SELECT * FROM expenses WHERE id = $1 AND landlord_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        const validationError = validateExpense(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { category, description, amount, expense_date, apportionment_percent, tenancy_id, supplier, notes } = req.body;
+
+        if (tenancy_id) {
+            const tenancy = await pool.query(
+                'SELECT id FROM tenancies WHERE id = $1 AND landlord_id = $2',
+                [tenancy_id, req.user.id]
+            );
+            if (tenancy.rows.length === 0) {
+                return res.status(404).json({ error: 'Tenancy not found' });
+            }
+        }
+
+        const result = await pool.query(
+            `UPDATE expenses
+             SET category = COALESCE($1, category),
+                 description = COALESCE($2, description),
+                 amount = COALESCE($3, amount),
+                 expense_date = COALESCE($4, expense_date),
+                 apportionment_percent = COALESCE($5, apportionment_percent),
+                 tenancy_id = CASE WHEN $6::boolean THEN $7::uuid ELSE tenancy_id END,
+                 supplier = COALESCE($8, supplier),
+                 notes = COALESCE($9, notes),
+                 receipt_path = COALESCE($10, receipt_path),
+                 receipt_filename = COALESCE($11, receipt_filename),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $12
+             RETURNING *`,
+            [
+                category || null,
+                description ? description.trim() : null,
+                amount !== undefined ? parseFloat(amount) : null,
+                expense_date || null,
+                apportionment_percent ? parseFloat(apportionment_percent) : null,
+                tenancy_id !== undefined,
+                tenancy_id || null,
+                supplier !== undefined ? supplier : null,
+                notes !== undefined ? notes : null,
+                req.file ? `/uploads/receipts/${req.file.filename}` : null,
+                req.file ? req.file.originalname : null,
+                req.params.id
+            ]
+        );
+
+        if (req.file) {
+            await removeReceipt(existing.rows[0].receipt_path);
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Update expense error:', error);
+        res.status(500).json({ error: 'Failed to update expense' });
+    }
+});
+
+/**
+ * Delete an expense and its receipt
+ * @route DELETE /api/expenses/:id
+ * @auth Landlord only
+ */
+router.delete('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM expenses WHERE id = $1 AND landlord_id = $2 RETURNING receipt_path',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Expense not found' });
+        }
+
+        await removeReceipt(result.rows[0].receipt_path);
+
+        res.json({ message: 'Expense deleted' });
+    } catch (error) {
+        console.error('Delete expense error:', error);
+        res.status(500).json({ error: 'Failed to delete expense' });
+    }
+});
+
+module.exports = router;
@@ -60,6 +60,35 @@ router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
 
         // Drop all tables (in reverse dependency order)
         const tablesToDrop = [
+            'safety_certificates',
+            'right_to_rent_checks',
+            'agreement_variations',
+            'signing_events',
+            'deduction_events',
+            'move_out_settlements',
+            'inventory_items',
+            'inventories',
+            'damage_report_events',
+            'damage_reports',
+            'work_orders',
+            'contractors',
+            'maintenance_comments',
+            'maintenance_requests',
+            'cash_handovers',
+            'payment_method_settings',
+            'utility_bill_shares',
+            'utility_bills',
+            'rent_reviews',
+            'payment_receipts',
+            'expenses',
+            'payment_feed_connections',
+            'bank_import_rows',
+            'bank_imports',
+            'payment_allocations',
+            'ledger_charges',
+            'base_rates',
+            'arrears_reminders',
+            'arrears_settings',
             'deductions',
             'payment_transactions',
             'payment_schedule',
@@ -68,6 +97,8 @@ router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
             'tax_year_summary',
             'landlord_payment_details',
             'tenancies',
+            'agreement_clauses',
+            'agreement_templates',
             'users'
         ];
 
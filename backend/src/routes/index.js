@@ -24,6 +24,27 @@ const deductionRoutes = require('./deductions');
 const announcementRoutes = require('./announcements');
 const monitoringRoutes = require('./monitoring');
 const factoryResetRoutes = require('./factory-reset');
+const arrearsRoutes = require('./arrears');
+const interestRoutes = require('./interest');
+const baseRateRoutes = require('./base-rates');
+const bankImportRoutes = require('./bank-imports');
+const paymentFeedRoutes = require('./payment-feeds');
+const taxYearRoutes = require('./tax-year');
+const expenseRoutes = require('./expenses');
+const rentReviewRoutes = require('./rent-reviews');
+const utilityBillRoutes = require('./utility-bills');
+const paymentMethodRoutes = require('./payment-methods');
+const maintenanceRoutes = require('./maintenance');
+const contractorRoutes = require('./contractors');
+const workOrderRoutes = require('./work-orders');
+const damageReportRoutes = require('./damage-reports');
+const inventoryRoutes = require('./inventories');
+const settlementRoutes = require('./settlements');
+const surrenderRoutes = require('./surrenders');
+const agreementTemplateRoutes = require('./agreement-templates');
+const variationRoutes = require('./variations');
+const rightToRentRoutes = require('./right-to-rent');
+const safetyCertificateRoutes = require('./safety-certificates');
 
 // Mount routes at their base paths
 router.use('/setup', setupRoutes);
@@ -39,8 +60,29 @@ router.use('/health', healthRoutes);
 router.use('/tenancies', tenancyRoutes);
 router.use('/tenancies', noticeRoutes);
 router.use('/tenancies', deductionRoutes);
+router.use('/tenancies', interestRoutes);
+router.use('/tenancies', rentReviewRoutes);
 router.use('/announcements', announcementRoutes);
 router.use('/monitoring', monitoringRoutes);
 router.use('/factory-reset', factoryResetRoutes);
+router.use('/arrears', arrearsRoutes);
+router.use('/base-rates', baseRateRoutes);
+router.use('/bank-imports', bankImportRoutes);
+router.use('/payment-feeds', paymentFeedRoutes);
+router.use('/tax-year', taxYearRoutes);
+router.use('/expenses', expenseRoutes);
+router.use('/utility-bills', utilityBillRoutes);
+router.use('/payment-methods', paymentMethodRoutes);
+router.use('/maintenance', maintenanceRoutes);
+router.use('/contractors', contractorRoutes);
+router.use('/work-orders', workOrderRoutes);
+router.use('/tenancies', damageReportRoutes);
+router.use('/tenancies', inventoryRoutes);
+router.use('/tenancies', settlementRoutes);
+router.use('/tenancies', surrenderRoutes);
+router.use('/tenancies', variationRoutes);
+router.use('/tenancies', rightToRentRoutes);
+router.use('/agreement-templates', agreementTemplateRoutes);
+router.use('/safety-certificates', safetyCertificateRoutes);
 
 module.exports = router;
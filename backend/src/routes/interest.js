@@ -0,0 +1,268 @@
+/**
+ * Late Payment Interest Routes
+ * Handles clause 2.1.2 interest statements, charges and waivers
+ */
+
+const express = require('express');
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { buildInterestStatement } = require('../services/interestService');
+const { allocatePayments } = require('../services/ledgerService');
+
+/**
+ * Load a tenancy the current landlord (or an admin) manages
+ * @returns {Object|null} Tenancy row, or null if not found
+ */
+async function getLandlordTenancy(db, tenancyId, user) {
+    const result = await db.query(
+        'SELECT * FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR $3)',
+        [tenancyId, user.id, user.user_type === 'admin']
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Select statement items to act on, optionally limited to specific payments
+ */
+function selectItems(statement, paymentIds) {
+    return statement.items.filter(item =>
+        item.uncharged > 0 &&
+        (!Array.isArray(paymentIds) || paymentIds.length === 0 || paymentIds.includes(item.payment_id))
+    );
+}
+
+/**
+ * Get itemised late payment interest statement for a tenancy
+ * @route GET /api/tenancies/:id/interest
+ * @auth Landlord, lodger or admin on the tenancy
+ * @query {string} as_of - Date to calculate outstanding interest up to (default today)
+ * @returns {Object} Statement with per-payment breakdown, existing charges and totals
+ */
+router.get('/:id/interest', authenticateToken, async (req, res) => {
+    try {
+        const { id: tenancyId } = req.params;
+
+        const tenancy = await pool.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)',
+            [tenancyId, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const { as_of } = req.query;
+        if (as_of && !moment(as_of, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'as_of must be a date in the format YYYY-MM-DD' });
+        }
+
+        const statement = await buildInterestStatement(pool, tenancyId, as_of || new Date());
+        res.json(statement);
+    } catch (error) {
+        console.error('Get interest statement error:', error);
+        res.status(500).json({ error: 'Failed to get interest statement' });
+    }
+});
+
+/**
+ * Add uncharged interest to the tenancy ledger as charges
+ * @route POST /api/tenancies/:id/interest/charge
+ * @auth Landlord/Admin only
+ * @body {Array<string>} payment_ids - Payments to charge interest on (default all)
+ * @returns {Object} Created charges
+ */
+router.post('/:id/interest/charge', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id: tenancyId } = req.params;
+        const { payment_ids } = req.body;
+
+        await client.query('BEGIN');
+
+        const tenancy = await getLandlordTenancy(client, tenancyId, req.user);
+        if (!tenancy) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const statement = await buildInterestStatement(client, tenancyId);
+        const items = selectItems(statement, payment_ids);
+
+        if (items.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'There is no uncharged interest to add' });
+        }
+
+        const charges = [];
+        for (const item of items) {
+            const periodEnd = item.still_accruing
+                ? statement.as_of
+                : new Date(item.payment_date).toISOString().split('T')[0];
+
+            const result = await client.query(
+                `INSERT INTO ledger_charges (
+                    tenancy_id, payment_id, charge_type, description, amount,
+                    period_start, period_end, due_date, status, created_by
+                ) VALUES ($1, $2, 'late_interest', $3, $4, $5, $6, CURRENT_DATE, 'outstanding', $7)
+                RETURNING *`,
+                [
+                    tenancyId,
+                    item.payment_id,
+                    `Interest on late payment #${item.payment_number} (due ${new Date(item.due_date).toLocaleDateString('en-GB')}) at ${statement.margin}% above Bank of England base rate`,
+                    item.uncharged,
+                    item.due_date,
+                    periodEnd,
+                    req.user.id
+                ]
+            );
+            charges.push(result.rows[0]);
+        }
+
+        // Any credit already held on the tenancy goes towards the new charges
+        await allocatePayments(client, tenancyId);
+
+        const total = charges.reduce((sum, charge) => sum + parseFloat(charge.amount), 0);
+
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                tenancy.lodger_id,
+                tenancyId,
+                'interest_charged',
+                'Late Payment Interest Charged',
+                `Interest of £${total.toFixed(2)} has been charged on ${charges.length} late payment(s) under clause 2.1.2 of your agreement.`
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Interest added to ledger',
+            charges,
+            total: parseFloat(total.toFixed(2))
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Charge interest error:', error);
+        res.status(500).json({ error: 'Failed to charge interest' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Waive uncharged interest so it is no longer offered as a charge
+ * @route POST /api/tenancies/:id/interest/waive
+ * @auth Landlord/Admin only
+ * @body {Array<string>} payment_ids - Payments to waive interest on (default all)
+ * @body {string} reason - Reason for waiving (optional)
+ * @returns {Object} Waiver records
+ */
+router.post('/:id/interest/waive', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id: tenancyId } = req.params;
+        const { payment_ids, reason } = req.body;
+
+        await client.query('BEGIN');
+
+        const tenancy = await getLandlordTenancy(client, tenancyId, req.user);
+        if (!tenancy) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const statement = await buildInterestStatement(client, tenancyId);
+        const items = selectItems(statement, payment_ids);
+
+        if (items.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'There is no uncharged interest to waive' });
+        }
+
+        const waivers = [];
+        for (const item of items) {
+            const result = await client.query(
+                `INSERT INTO ledger_charges (
+                    tenancy_id, payment_id, charge_type, description, amount,
+                    period_start, period_end, due_date, status, waiver_reason, created_by
+                ) VALUES ($1, $2, 'late_interest', $3, $4, $5, $6, CURRENT_DATE, 'waived', $7, $8)
+                RETURNING *`,
+                [
+                    tenancyId,
+                    item.payment_id,
+                    `Interest waived on late payment #${item.payment_number}`,
+                    item.uncharged,
+                    item.due_date,
+                    statement.as_of,
+                    reason || null,
+                    req.user.id
+                ]
+            );
+            waivers.push(result.rows[0]);
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Interest waived', waivers });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Waive interest error:', error);
+        res.status(500).json({ error: 'Failed to waive interest' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Waive an interest charge that has already been added to the ledger
+ * @route POST /api/tenancies/interest/charges/:chargeId/waive
+ * @auth Landlord/Admin only
+ * @body {string} reason - Reason for waiving (optional)
+ * @returns {Object} Updated charge
+ */
+router.post('/interest/charges/:chargeId/waive', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { chargeId } = req.params;
+        const { reason } = req.body;
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE ledger_charges c
+             SET status = 'waived', waiver_reason = $4, updated_at = CURRENT_TIMESTAMP
+             FROM tenancies t
+             WHERE c.tenancy_id = t.id
+             AND c.id = $1
+             AND c.charge_type = 'late_interest'
+             AND c.status = 'outstanding'
+             AND (t.landlord_id = $2 OR $3)
+             RETURNING c.*`,
+            [chargeId, req.user.id, req.user.user_type === 'admin', reason || null]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Outstanding interest charge not found' });
+        }
+
+        // Anything already paid towards the charge becomes credit for other debts
+        await allocatePayments(client, result.rows[0].tenancy_id);
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Interest charge waived', charge: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Waive interest charge error:', error);
+        res.status(500).json({ error: 'Failed to waive interest charge' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,535 @@
+/**
+ * Inventory Routes
+ * Handles the check-in and check-out inventories of the Room's contents (clause 1.3),
+ * signed by both parties, and comparing them at the end of a tenancy (clause 2.7.1)
+ */
+
+const express = require('express');
+const fs = require('fs').promises;
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const inventoryService = require('../services/inventoryService');
+
+const MAX_PHOTOS = 6;
+
+const photoUpload = uploadTo('inventory').array('photos', MAX_PHOTOS);
+
+/**
+ * Describe uploaded photos for storing on an item
+ */
+function describePhotos(files, userId) {
+    return (files || []).map(file => ({
+        path: `/uploads/inventory/${file.filename}`,
+        filename: file.originalname,
+        uploaded_by: userId,
+        uploaded_at: new Date().toISOString()
+    }));
+}
+
+/**
+ * Remove uploaded photos from disk when an item can't be saved (missing files are ignored)
+ */
+async function removePhotos(files) {
+    for (const file of files || []) {
+        try {
+            await fs.unlink(file.path);
+        } catch (error) {
+            console.error('Remove inventory photo error:', error.message);
+        }
+    }
+}
+
+/**
+ * Validate an inventory item, returning an error message if invalid
+ */
+function validateItem({ room, item_name, condition, quantity }) {
+    if (!room || !room.trim() || !item_name || !item_name.trim()) {
+        return 'Enter the room and the item';
+    }
+    if (!inventoryService.CONDITION_GRADES[condition]) {
+        return 'Choose a valid condition';
+    }
+    if (quantity !== undefined && quantity !== '' && (!Number.isInteger(Number(quantity)) || Number(quantity) < 0)) {
+        return 'Quantity must be a whole number';
+    }
+    return null;
+}
+
+/**
+ * Look up an inventory the current user is a party to
+ * @returns {Object|null} inventories row with lodger_id, or null
+ */
+async function getInventoryForUser(db, inventoryId, user, forUpdate = false) {
+    const result = await db.query(
+        `SELECT i.*, t.lodger_id
+         FROM inventories i
+         JOIN tenancies t ON i.tenancy_id = t.id
+         WHERE i.id = $1 AND (i.landlord_id = $2 OR t.lodger_id = $2 OR $3)
+         ${forUpdate ? 'FOR UPDATE OF i' : ''}`,
+        [inventoryId, user.id, user.user_type === 'admin']
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Look up an item on one of the landlord's inventories, with its inventory's status
+ * @returns {Object|null} inventory_items row with status, or null
+ */
+async function getItemForLandlord(db, itemId, user) {
+    const result = await db.query(
+        `SELECT item.*, i.status
+         FROM inventory_items item
+         JOIN inventories i ON item.inventory_id = i.id
+         WHERE item.id = $1 AND (i.landlord_id = $2 OR $3)
+         FOR UPDATE OF i`,
+        [itemId, user.id, user.user_type === 'admin']
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Clear both signatures after the inventory changes, so what's signed is what's on file
+ */
+async function clearSignatures(db, inventoryId) {
+    await db.query(
+        `UPDATE inventories
+         SET landlord_signature = NULL, landlord_signed_at = NULL,
+             lodger_signature = NULL, lodger_signed_at = NULL, lodger_comments = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [inventoryId]
+    );
+}
+
+/**
+ * Get a tenancy's inventories with their items
+ * @returns {Object} { check_in, check_out } - Either may be null
+ */
+async function getTenancyInventories(db, tenancyId) {
+    const inventories = await db.query('SELECT * FROM inventories WHERE tenancy_id = $1', [tenancyId]);
+    const items = await db.query(
+        `SELECT item.*
+         FROM inventory_items item
+         JOIN inventories i ON item.inventory_id = i.id
+         WHERE i.tenancy_id = $1
+         ORDER BY item.room, item.sort_order, item.created_at`,
+        [tenancyId]
+    );
+
+    const result = { check_in: null, check_out: null };
+    inventories.rows.forEach(inventory => {
+        result[inventory.inventory_type] = {
+            ...inventory,
+            items: items.rows.filter(item => item.inventory_id === inventory.id)
+        };
+    });
+    return result;
+}
+
+/**
+ * Get the condition grades and inventory types
+ * @route GET /api/tenancies/inventories/options
+ * @auth Any authenticated user
+ * @returns {Object} { conditions, types }
+ */
+router.get('/inventories/options', authenticateToken, (req, res) => {
+    res.json({
+        conditions: inventoryService.CONDITION_GRADES,
+        types: inventoryService.INVENTORY_TYPES
+    });
+});
+
+/**
+ * Get the check-in and check-out inventories for a tenancy
+ * @route GET /api/tenancies/:id/inventories
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {Object} { check_in, check_out } - Each with its items, or null if not started
+ */
+router.get('/:id/inventories', authenticateToken, async (req, res) => {
+    try {
+        const tenancy = await pool.query(
+            'SELECT id FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)',
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        res.json(await getTenancyInventories(pool, req.params.id));
+    } catch (error) {
+        console.error('Get inventories error:', error);
+        res.status(500).json({ error: 'Failed to get inventories' });
+    }
+});
+
+/**
+ * Start an inventory. A check-out inventory starts as a copy of the signed check-in
+ * inventory, so each item can be graded again.
+ * @route POST /api/tenancies/:id/inventories
+ * @auth Landlord or admin
+ * @body {string} inventory_type - check_in or check_out
+ * @body {string} notes - General notes (optional)
+ * @returns {Object} Created inventory with its items
+ */
+router.post('/:id/inventories', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const { inventory_type, notes } = req.body;
+
+    if (!inventoryService.INVENTORY_TYPES[inventory_type]) {
+        return res.status(400).json({ error: 'Choose check-in or check-out' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const tenancyResult = await client.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR $3)',
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+        const existing = await getTenancyInventories(client, tenancy.id);
+
+        if (existing[inventory_type]) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `This tenancy already has a ${inventoryService.INVENTORY_TYPES[inventory_type].toLowerCase()} inventory` });
+        }
+
+        if (inventory_type === 'check_out' && (!existing.check_in || existing.check_in.status !== 'signed')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The check-in inventory must be signed by both parties before check-out' });
+        }
+
+        const result = await client.query(
+            `INSERT INTO inventories (tenancy_id, landlord_id, inventory_type, notes, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [tenancy.id, tenancy.landlord_id, inventory_type, notes || null, req.user.id]
+        );
+
+        const inventory = result.rows[0];
+
+        if (inventory_type === 'check_out') {
+            await client.query(
+                `INSERT INTO inventory_items (inventory_id, check_in_item_id, room, item_name, quantity, condition, sort_order)
+                 SELECT $1, id, room, item_name, quantity, condition, sort_order
+                 FROM inventory_items
+                 WHERE inventory_id = $2`,
+                [inventory.id, existing.check_in.id]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        const inventories = await getTenancyInventories(pool, tenancy.id);
+        res.status(201).json(inventories[inventory_type]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(400).json({ error: 'This inventory has already been started' });
+        }
+        console.error('Create inventory error:', error);
+        res.status(500).json({ error: 'Failed to create inventory' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Add an item to an unsigned inventory. Any signatures already given are cleared.
+ * @route POST /api/tenancies/inventories/:inventoryId/items
+ * @auth Landlord or admin
+ * @body {string} room - Room or area the item is in
+ * @body {string} item_name - What the item is
+ * @body {number} quantity - How many (default 1)
+ * @body {string} condition - Key of the condition grades
+ * @body {string} notes - Marks, wear or other detail (optional)
+ * @body {File[]} photos - Up to 6 photos (multipart/form-data, optional)
+ * @returns {Object} Created item
+ */
+router.post('/inventories/:inventoryId/items', authenticateToken, requireRole('landlord', 'admin'), photoUpload, async (req, res) => {
+    const validationError = validateItem(req.body);
+    if (validationError) {
+        await removePhotos(req.files);
+        return res.status(400).json({ error: validationError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const inventory = await getInventoryForUser(client, req.params.inventoryId, req.user, true);
+        if (!inventory) {
+            await client.query('ROLLBACK');
+            await removePhotos(req.files);
+            return res.status(404).json({ error: 'Inventory not found' });
+        }
+
+        if (inventory.status === 'signed') {
+            await client.query('ROLLBACK');
+            await removePhotos(req.files);
+            return res.status(400).json({ error: 'A signed inventory can no longer be changed' });
+        }
+
+        const { room, item_name, quantity, condition, notes } = req.body;
+
+        const result = await client.query(
+            `INSERT INTO inventory_items (inventory_id, room, item_name, quantity, condition, notes, photos, sort_order)
+             VALUES ($1, $2, $3, $4, $5, $6, $7,
+                     (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM inventory_items WHERE inventory_id = $1))
+             RETURNING *`,
+            [
+                inventory.id,
+                room.trim(),
+                item_name.trim(),
+                quantity !== undefined && quantity !== '' ? parseInt(quantity) : 1,
+                condition,
+                notes || null,
+                JSON.stringify(describePhotos(req.files, req.user.id))
+            ]
+        );
+
+        await clearSignatures(client, inventory.id);
+        await client.query('COMMIT');
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removePhotos(req.files);
+        console.error('Add inventory item error:', error);
+        res.status(500).json({ error: 'Failed to add inventory item' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Update an item on an unsigned inventory, adding any photos sent. Any signatures
+ * already given are cleared.
+ * @route PUT /api/tenancies/inventory-items/:itemId
+ * @auth Landlord or admin
+ * @body {string} room - Room or area (optional)
+ * @body {string} item_name - What the item is (optional)
+ * @body {number} quantity - How many (optional)
+ * @body {string} condition - Key of the condition grades (optional)
+ * @body {string} notes - Marks, wear or other detail (optional)
+ * @body {File[]} photos - Photos to add (multipart/form-data, optional)
+ * @returns {Object} Updated item
+ */
+router.put('/inventory-items/:itemId', authenticateToken, requireRole('landlord', 'admin'), photoUpload, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const item = await getItemForLandlord(client, req.params.itemId, req.user);
+        if (!item) {
+            await client.query('ROLLBACK');
+            await removePhotos(req.files);
+            return res.status(404).json({ error: 'Inventory item not found' });
+        }
+
+        if (item.status === 'signed') {
+            await client.query('ROLLBACK');
+            await removePhotos(req.files);
+            return res.status(400).json({ error: 'A signed inventory can no longer be changed' });
+        }
+
+        const updated = {
+            room: req.body.room !== undefined ? req.body.room : item.room,
+            item_name: req.body.item_name !== undefined ? req.body.item_name : item.item_name,
+            quantity: req.body.quantity !== undefined ? req.body.quantity : item.quantity,
+            condition: req.body.condition || item.condition,
+            notes: req.body.notes !== undefined ? req.body.notes : item.notes
+        };
+
+        const validationError = validateItem(updated);
+        if (validationError) {
+            await client.query('ROLLBACK');
+            await removePhotos(req.files);
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await client.query(
+            `UPDATE inventory_items
+             SET room = $1, item_name = $2, quantity = $3, condition = $4, notes = $5,
+                 photos = photos || $6::jsonb, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $7
+             RETURNING *`,
+            [
+                updated.room.trim(),
+                updated.item_name.trim(),
+                parseInt(updated.quantity),
+                updated.condition,
+                updated.notes || null,
+                JSON.stringify(describePhotos(req.files, req.user.id)),
+                item.id
+            ]
+        );
+
+        await clearSignatures(client, item.inventory_id);
+        await client.query('COMMIT');
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removePhotos(req.files);
+        console.error('Update inventory item error:', error);
+        res.status(500).json({ error: 'Failed to update inventory item' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Remove an item from an unsigned inventory. Removing an item from the check-out
+ * inventory records it as missing.
+ * @route DELETE /api/tenancies/inventory-items/:itemId
+ * @auth Landlord or admin
+ * @returns {Object} { message }
+ */
+router.delete('/inventory-items/:itemId', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const item = await getItemForLandlord(client, req.params.itemId, req.user);
+        if (!item) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Inventory item not found' });
+        }
+
+        if (item.status === 'signed') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'A signed inventory can no longer be changed' });
+        }
+
+        await client.query('DELETE FROM inventory_items WHERE id = $1', [item.id]);
+        await clearSignatures(client, item.inventory_id);
+        await client.query('COMMIT');
+
+        res.json({ message: 'Item removed' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete inventory item error:', error);
+        res.status(500).json({ error: 'Failed to remove inventory item' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Sign an inventory. Once both parties have signed it can't be changed.
+ * @route POST /api/tenancies/inventories/:inventoryId/sign
+ * @auth Landlord or lodger on the inventory
+ * @body {string} signature - Full name typed as a signature
+ * @body {string} comments - Lodger's comments on the inventory (optional)
+ * @returns {Object} Updated inventory
+ */
+router.post('/inventories/:inventoryId/sign', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    const { signature, comments } = req.body;
+
+    if (!signature || !signature.trim()) {
+        return res.status(400).json({ error: 'Type your full name to sign' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const inventory = await getInventoryForUser(client, req.params.inventoryId, req.user, true);
+        const isLandlord = inventory && inventory.landlord_id === req.user.id;
+        const isLodger = inventory && inventory.lodger_id === req.user.id;
+
+        if (!isLandlord && !isLodger) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Inventory not found' });
+        }
+
+        if ((isLandlord && inventory.landlord_signed_at) || (isLodger && inventory.lodger_signed_at)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'You have already signed this inventory' });
+        }
+
+        const itemCount = await client.query('SELECT COUNT(*) FROM inventory_items WHERE inventory_id = $1', [inventory.id]);
+        if (parseInt(itemCount.rows[0].count) === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Add the Room\'s contents before signing' });
+        }
+
+        const result = await client.query(
+            isLandlord
+                ? `UPDATE inventories
+                   SET landlord_signature = $1, landlord_signed_at = CURRENT_TIMESTAMP,
+                       status = CASE WHEN lodger_signed_at IS NOT NULL THEN 'signed' ELSE status END,
+                       updated_at = CURRENT_TIMESTAMP
+                   WHERE id = $2
+                   RETURNING *`
+                : `UPDATE inventories
+                   SET lodger_signature = $1, lodger_signed_at = CURRENT_TIMESTAMP, lodger_comments = $3,
+                       status = CASE WHEN landlord_signed_at IS NOT NULL THEN 'signed' ELSE status END,
+                       updated_at = CURRENT_TIMESTAMP
+                   WHERE id = $2
+                   RETURNING *`,
+            isLandlord ? [signature.trim(), inventory.id] : [signature.trim(), inventory.id, comments || null]
+        );
+
+        const updated = { ...result.rows[0], lodger_id: inventory.lodger_id };
+        await inventoryService.notifyInventorySigned(client, updated, isLandlord);
+
+        await client.query('COMMIT');
+
+        res.json(updated);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Sign inventory error:', error);
+        res.status(500).json({ error: 'Failed to sign inventory' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Compare the check-out inventory with the check-in inventory. Items that got worse
+ * are flagged and offered as deduction candidates.
+ * @route GET /api/tenancies/:id/inventory-comparison
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {Object} { items, candidates, check_out_signed }
+ */
+router.get('/:id/inventory-comparison', authenticateToken, async (req, res) => {
+    try {
+        const tenancy = await pool.query(
+            'SELECT id FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)',
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const inventories = await getTenancyInventories(pool, req.params.id);
+        if (!inventories.check_in || !inventories.check_out) {
+            return res.status(400).json({ error: 'Both the check-in and check-out inventories are needed to compare' });
+        }
+
+        const items = inventoryService.compareInventories(inventories.check_in.items, inventories.check_out.items);
+
+        res.json({
+            items,
+            candidates: inventoryService.buildDeductionCandidates(items),
+            check_out_signed: inventories.check_out.status === 'signed'
+        });
+    } catch (error) {
+        console.error('Compare inventories error:', error);
+        res.status(500).json({ error: 'Failed to compare inventories' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,520 @@
+/**
+ * Maintenance Routes
+ * Handles repairs reported by lodgers, the householder's progress on them and
+ * the comments between them
+ */
+
+const express = require('express');
+const fs = require('fs').promises;
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const maintenanceService = require('../services/maintenanceService');
+
+const MAX_PHOTOS = 6;
+
+const photoUpload = uploadTo('maintenance').array('photos', MAX_PHOTOS);
+
+/**
+ * Describe uploaded photos for storing on a request
+ */
+function describePhotos(files, userId) {
+    return (files || []).map(file => ({
+        path: `/uploads/maintenance/${file.filename}`,
+        filename: file.originalname,
+        uploaded_by: userId,
+        uploaded_at: new Date().toISOString()
+    }));
+}
+
+/**
+ * Remove uploaded photos from disk when a request can't be saved (missing files are ignored)
+ */
+async function removePhotos(files) {
+    for (const file of files || []) {
+        try {
+            await fs.unlink(file.path);
+        } catch (error) {
+            console.error('Remove maintenance photo error:', error.message);
+        }
+    }
+}
+
+/**
+ * Add how a request is doing against its deadlines
+ */
+function withSla(request) {
+    return { ...request, sla: maintenanceService.getSlaStatus(request) };
+}
+
+/**
+ * Look up a request the current user is a party to
+ * @returns {Object|null} maintenance_requests row with lodger_id and lodger_name, or null
+ */
+async function getRequestForUser(db, requestId, user, forUpdate = false) {
+    const result = await db.query(
+        `SELECT m.*, t.lodger_id, lodger.full_name as lodger_name
+         FROM maintenance_requests m
+         JOIN tenancies t ON m.tenancy_id = t.id
+         JOIN users lodger ON t.lodger_id = lodger.id
+         WHERE m.id = $1 AND (m.landlord_id = $2 OR t.lodger_id = $2 OR $3)
+         ${forUpdate ? 'FOR UPDATE OF m' : ''}`,
+        [requestId, user.id, user.user_type === 'admin']
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Get maintenance categories, priorities with their deadlines, and statuses
+ * @route GET /api/maintenance/options
+ * @auth Any authenticated user
+ * @returns {Object} { categories, priorities, statuses, transitions }
+ */
+router.get('/options', authenticateToken, (req, res) => {
+    res.json({
+        categories: maintenanceService.MAINTENANCE_CATEGORIES,
+        priorities: maintenanceService.MAINTENANCE_PRIORITIES,
+        statuses: maintenanceService.MAINTENANCE_STATUSES,
+        transitions: maintenanceService.STATUS_TRANSITIONS
+    });
+});
+
+/**
+ * Get maintenance requests. Landlords see requests on their tenancies, lodgers their own.
+ * @route GET /api/maintenance
+ * @auth Any authenticated user
+ * @query {string} status - Only requests with this status (optional)
+ * @query {string} tenancy_id - Only requests on this tenancy (optional)
+ * @returns {Array} Requests with lodger, property, comment count and SLA status, open requests first
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const isLodger = req.user.user_type === 'lodger';
+
+        const result = await pool.query(
+            `SELECT m.*, t.lodger_id, lodger.full_name as lodger_name,
+                    t.property_house_number, t.property_street_name, t.property_postcode,
+                    (SELECT COUNT(*) FROM maintenance_comments c
+                     WHERE c.request_id = m.id AND (NOT c.is_internal OR NOT $2))::integer as comment_count
+             FROM maintenance_requests m
+             JOIN tenancies t ON m.tenancy_id = t.id
+             JOIN users lodger ON t.lodger_id = lodger.id
+             WHERE (m.landlord_id = $1 OR t.lodger_id = $1 OR $3)
+             AND ($4::varchar IS NULL OR m.status = $4::varchar)
+             AND ($5::uuid IS NULL OR m.tenancy_id = $5::uuid)
+             ORDER BY (m.status = 'resolved'), m.reported_at DESC`,
+            [req.user.id, isLodger, req.user.user_type === 'admin', req.query.status || null, req.query.tenancy_id || null]
+        );
+
+        res.json(result.rows.map(withSla));
+    } catch (error) {
+        console.error('Get maintenance requests error:', error);
+        res.status(500).json({ error: 'Failed to get maintenance requests' });
+    }
+});
+
+/**
+ * Get a maintenance request
+ * @route GET /api/maintenance/:id
+ * @auth Landlord, lodger or admin on the request
+ * @returns {Object} Request with SLA status
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const request = await getRequestForUser(pool, req.params.id, req.user);
+        if (!request) {
+            return res.status(404).json({ error: 'Maintenance request not found' });
+        }
+
+        res.json(withSla(request));
+    } catch (error) {
+        console.error('Get maintenance request error:', error);
+        res.status(500).json({ error: 'Failed to get maintenance request' });
+    }
+});
+
+/**
+ * Report a repair. This is the lodger's written notice of the defect, so the deadlines
+ * for acknowledging and fixing it run from now.
+ * @route POST /api/maintenance
+ * @auth Lodger only
+ * @body {string} title - Short description of the problem
+ * @body {string} description - Details of the problem
+ * @body {string} category - Key of the maintenance categories
+ * @body {string} priority - emergency, urgent or routine (default routine)
+ * @body {string} location - Where in the property (optional)
+ * @body {string} tenancy_id - Tenancy the repair is for (default the lodger's current tenancy)
+ * @body {File[]} photos - Up to 6 photos (multipart/form-data, optional)
+ * @returns {Object} Created request
+ */
+router.post('/', authenticateToken, requireRole('lodger'), photoUpload, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { title, description, category, priority = 'routine', location, tenancy_id } = req.body;
+
+        if (!title || !title.trim() || !description || !description.trim()) {
+            await removePhotos(req.files);
+            return res.status(400).json({ error: 'Please describe the problem' });
+        }
+
+        if (!maintenanceService.MAINTENANCE_CATEGORIES[category]) {
+            await removePhotos(req.files);
+            return res.status(400).json({ error: 'Choose a valid category' });
+        }
+
+        if (!maintenanceService.MAINTENANCE_PRIORITIES[priority]) {
+            await removePhotos(req.files);
+            return res.status(400).json({ error: 'Choose a valid priority' });
+        }
+
+        await client.query('BEGIN');
+
+        const tenancyResult = await client.query(
+            `SELECT * FROM tenancies
+             WHERE lodger_id = $1
+             AND ($2::uuid IS NULL OR id = $2::uuid)
+             AND status IN ('active', 'notice_given', 'extended')
+             ORDER BY start_date DESC
+             LIMIT 1`,
+            [req.user.id, tenancy_id || null]
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            await removePhotos(req.files);
+            return res.status(404).json({ error: 'No current tenancy found to report a repair on' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+        const reportedAt = new Date();
+        const deadlines = maintenanceService.calculateDeadlines(priority, reportedAt);
+
+        const result = await client.query(
+            `INSERT INTO maintenance_requests (
+                tenancy_id, landlord_id, reported_by, title, description, location,
+                category, priority, photos, reported_at, acknowledge_by, resolve_by
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             RETURNING *`,
+            [
+                tenancy.id,
+                tenancy.landlord_id,
+                req.user.id,
+                title.trim(),
+                description.trim(),
+                location || null,
+                category,
+                priority,
+                JSON.stringify(describePhotos(req.files, req.user.id)),
+                reportedAt,
+                deadlines.acknowledge_by,
+                deadlines.resolve_by
+            ]
+        );
+
+        const request = { ...result.rows[0], lodger_id: tenancy.lodger_id };
+        await maintenanceService.notifyMaintenanceUpdate(client, request, 'reported');
+
+        await client.query('COMMIT');
+
+        res.status(201).json(withSla(request));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removePhotos(req.files);
+        console.error('Create maintenance request error:', error);
+        res.status(500).json({ error: 'Failed to report maintenance request' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Update a maintenance request. The landlord moves it through acknowledged, scheduled and
+ * resolved and may change its priority. The lodger may edit it until it is acknowledged,
+ * and reopen it (status reported) if the repair didn't fix the problem.
+ * @route PUT /api/maintenance/:id
+ * @auth Landlord, lodger or admin on the request
+ * @body {string} status - New status (optional)
+ * @body {string} scheduled_for - When the repair is booked (required when scheduling)
+ * @body {string} resolution_notes - What was done (optional, when resolving)
+ * @body {string} priority - New priority; deadlines are recalculated from when it was last reported (optional)
+ * @body {string} title - New title (lodger, before acknowledgement)
+ * @body {string} description - New description (lodger, before acknowledgement)
+ * @body {string} location - New location (lodger, before acknowledgement)
+ * @body {string} category - New category (lodger, before acknowledgement)
+ * @returns {Object} Updated request
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { status, scheduled_for, resolution_notes, priority, title, description, location, category } = req.body;
+        const isLodger = req.user.user_type === 'lodger';
+
+        await client.query('BEGIN');
+
+        const request = await getRequestForUser(client, req.params.id, req.user, true);
+        if (!request) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Maintenance request not found' });
+        }
+
+        const updates = {};
+        let event = null;
+
+        // Sending the current status again is ignored, except to rearrange a scheduled repair
+        const changingStatus = status !== undefined && (status !== request.status || status === 'scheduled');
+
+        if (changingStatus) {
+            if (!maintenanceService.canTransition(request.status, status)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `A ${maintenanceService.MAINTENANCE_STATUSES[request.status].toLowerCase()} request cannot be moved to ${status}`
+                });
+            }
+
+            // Lodgers can only reopen; every other step is the householder's
+            if (isLodger !== (status === 'reported')) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({
+                    error: isLodger ? 'Only your householder can update the progress of a repair' : 'Only the lodger can reopen a request'
+                });
+            }
+
+            updates.status = status;
+
+            if (status === 'acknowledged') {
+                updates.acknowledged_at = new Date();
+                event = 'acknowledged';
+            } else if (status === 'scheduled') {
+                if (!scheduled_for || !moment(scheduled_for).isValid()) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: 'Choose when the repair is booked for' });
+                }
+                updates.scheduled_for = moment(scheduled_for).toDate();
+                updates.scheduled_at = new Date();
+                event = request.status === 'scheduled' ? 'rescheduled' : 'scheduled';
+            } else if (status === 'resolved') {
+                updates.resolved_at = new Date();
+                updates.resolution_notes = resolution_notes || null;
+                event = 'resolved';
+            } else if (status === 'reported') {
+                // Reopening is a fresh report that the defect is still there, so the deadlines start again
+                const deadlines = maintenanceService.calculateDeadlines(request.priority, new Date());
+                updates.reopened_at = new Date();
+                updates.acknowledge_by = deadlines.acknowledge_by;
+                updates.resolve_by = deadlines.resolve_by;
+                updates.acknowledged_at = null;
+                updates.resolved_at = null;
+                updates.sla_reminder_sent_at = null;
+                event = 'reopened';
+            }
+        }
+
+        if (priority !== undefined && priority !== request.priority) {
+            if (!maintenanceService.MAINTENANCE_PRIORITIES[priority]) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Choose a valid priority' });
+            }
+            if (isLodger && request.status !== 'reported') {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: 'This request has been acknowledged and can no longer be edited' });
+            }
+            const deadlines = maintenanceService.calculateDeadlines(priority, updates.reopened_at || request.reopened_at || request.reported_at);
+            updates.priority = priority;
+            updates.acknowledge_by = deadlines.acknowledge_by;
+            updates.resolve_by = deadlines.resolve_by;
+            updates.sla_reminder_sent_at = null;
+        }
+
+        const details = { title, description, location, category };
+        const editing = Object.keys(details).filter(field => details[field] !== undefined && details[field] !== request[field]);
+        if (editing.length > 0) {
+            if (!isLodger || request.status !== 'reported') {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: 'Only the lodger can edit a request, and only until it is acknowledged' });
+            }
+            if (category !== undefined && !maintenanceService.MAINTENANCE_CATEGORIES[category]) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Choose a valid category' });
+            }
+            if ((title !== undefined && !title.trim()) || (description !== undefined && !description.trim())) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Please describe the problem' });
+            }
+            editing.forEach(field => {
+                updates[field] = typeof details[field] === 'string' ? details[field].trim() : details[field];
+            });
+        }
+
+        const fields = Object.keys(updates);
+        if (fields.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const result = await client.query(
+            `UPDATE maintenance_requests
+             SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${fields.length + 1}
+             RETURNING *`,
+            [...fields.map(field => updates[field]), request.id]
+        );
+
+        const updated = { ...result.rows[0], lodger_id: request.lodger_id, lodger_name: request.lodger_name };
+        if (event) {
+            await maintenanceService.notifyMaintenanceUpdate(client, updated, event);
+        }
+
+        await client.query('COMMIT');
+
+        res.json(withSla(updated));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update maintenance request error:', error);
+        res.status(500).json({ error: 'Failed to update maintenance request' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Add photos to a maintenance request
+ * @route POST /api/maintenance/:id/photos
+ * @auth Landlord, lodger or admin on the request
+ * @body {File[]} photos - Up to 6 photos (multipart/form-data)
+ * @returns {Object} Updated request
+ */
+router.post('/:id/photos', authenticateToken, photoUpload, async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'Choose at least one photo' });
+        }
+
+        const request = await getRequestForUser(pool, req.params.id, req.user);
+        if (!request) {
+            await removePhotos(req.files);
+            return res.status(404).json({ error: 'Maintenance request not found' });
+        }
+
+        const result = await pool.query(
+            `UPDATE maintenance_requests
+             SET photos = photos || $1::jsonb, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2
+             RETURNING *`,
+            [JSON.stringify(describePhotos(req.files, req.user.id)), request.id]
+        );
+
+        res.json(withSla({ ...result.rows[0], lodger_id: request.lodger_id, lodger_name: request.lodger_name }));
+    } catch (error) {
+        await removePhotos(req.files);
+        console.error('Add maintenance photos error:', error);
+        res.status(500).json({ error: 'Failed to add photos' });
+    }
+});
+
+/**
+ * Get the comments on a maintenance request as threads. Internal comments are only
+ * returned to the landlord.
+ * @route GET /api/maintenance/:id/comments
+ * @auth Landlord, lodger or admin on the request
+ * @returns {Array} Top-level comments, oldest first, each with nested replies
+ */
+router.get('/:id/comments', authenticateToken, async (req, res) => {
+    try {
+        const request = await getRequestForUser(pool, req.params.id, req.user);
+        if (!request) {
+            return res.status(404).json({ error: 'Maintenance request not found' });
+        }
+
+        const result = await pool.query(
+            `SELECT c.*, u.full_name as author_name, u.user_type as author_type
+             FROM maintenance_comments c
+             JOIN users u ON c.user_id = u.id
+             WHERE c.request_id = $1 AND (NOT c.is_internal OR NOT $2)
+             ORDER BY c.created_at ASC`,
+            [request.id, req.user.user_type === 'lodger']
+        );
+
+        res.json(maintenanceService.buildCommentThreads(result.rows));
+    } catch (error) {
+        console.error('Get maintenance comments error:', error);
+        res.status(500).json({ error: 'Failed to get comments' });
+    }
+});
+
+/**
+ * Comment on a maintenance request, or reply to a comment. Internal comments are notes
+ * the landlord keeps for themselves and are never shown to the lodger.
+ * @route POST /api/maintenance/:id/comments
+ * @auth Landlord, lodger or admin on the request
+ * @body {string} comment - Comment text
+ * @body {boolean} is_internal - Landlord-only note (landlord/admin only, default false)
+ * @body {string} parent_id - Comment being replied to (optional)
+ * @returns {Object} Created comment
+ */
+router.post('/:id/comments', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { comment, parent_id } = req.body;
+        const isLodger = req.user.user_type === 'lodger';
+        let isInternal = req.body.is_internal === true || req.body.is_internal === 'true';
+
+        if (!comment || !comment.trim()) {
+            return res.status(400).json({ error: 'Comment cannot be empty' });
+        }
+
+        if (isInternal && isLodger) {
+            return res.status(403).json({ error: 'Lodgers cannot add internal comments' });
+        }
+
+        await client.query('BEGIN');
+
+        const request = await getRequestForUser(client, req.params.id, req.user);
+        if (!request) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Maintenance request not found' });
+        }
+
+        if (parent_id) {
+            const parent = await client.query(
+                'SELECT is_internal FROM maintenance_comments WHERE id = $1 AND request_id = $2 AND (NOT is_internal OR NOT $3)',
+                [parent_id, request.id, isLodger]
+            );
+            if (parent.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Comment being replied to not found' });
+            }
+            // Replies in an internal thread stay internal
+            isInternal = isInternal || parent.rows[0].is_internal;
+        }
+
+        const result = await client.query(
+            `INSERT INTO maintenance_comments (request_id, parent_id, user_id, comment, is_internal)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [request.id, parent_id || null, req.user.id, comment.trim(), isInternal]
+        );
+
+        if (!isInternal) {
+            await maintenanceService.notifyMaintenanceUpdate(client, { ...request, commented_by_lodger: isLodger }, 'comment');
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            ...result.rows[0],
+            author_name: req.user.full_name,
+            author_type: req.user.user_type,
+            replies: []
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Add maintenance comment error:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
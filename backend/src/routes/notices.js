@@ -4,27 +4,17 @@
  */
 
 const express = require('express');
+const moment = require('moment');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-
-/**
- * Map payment frequency to cycle days
- * @param {string} paymentFrequency - Payment frequency
- * @returns {number} Number of days in the payment cycle
- */
-function mapPaymentFrequencyToDays(paymentFrequency) {
-    const frequencyMap = {
-        'weekly': 7,
-        'bi-weekly': 14,
-        'monthly': 30,
-        '4-weekly': 28
-    };
-    return frequencyMap[paymentFrequency] || 28;
-}
+const { checkRentIncrease, getNoticeExpiryDates, MAX_ANNUAL_RENT_INCREASE } = require('../utils/paymentCalculator');
+const { mapPaymentFrequencyToDays } = require('../utils/paymentHelpers');
+const { allocatePayments } = require('../services/ledgerService');
+const { truncateSchedule } = require('../services/scheduleService');
 
 /**
  * Generate breach notice letter PDF
@@ -388,6 +378,155 @@ async function generateExtensionOfferLetter(landlord, lodger, tenancy, extension
     });
 }
 
+/**
+ * Generate the letter a lodger gives the landlord to end the agreement
+ */
+async function generateLodgerNoticeLetter(landlord, lodger, tenancy, notice) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const fileName = `lodger-notice-${Date.now()}.pdf`;
+            const filePath = path.join(__dirname, '../../uploads', fileName);
+
+            const doc = new PDFDocument({ margin: 50 });
+            const writeStream = fs.createWriteStream(filePath);
+
+            doc.pipe(writeStream);
+
+            const propertyAddress = [tenancy.property_house_number, tenancy.property_street_name, tenancy.property_city, tenancy.property_county, tenancy.property_postcode]
+                .filter(part => part)
+                .join(', ');
+            const endDate = new Date(notice.effective_date).toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' });
+
+            // Header
+            doc.fontSize(20).text('NOTICE TO END LODGER AGREEMENT', { align: 'center' });
+            doc.moveDown();
+            doc.fontSize(12).text('GIVEN BY THE LODGER UNDER CLAUSE 9.2', { align: 'center' });
+            doc.moveDown(2);
+
+            // Date and Reference
+            doc.fontSize(10);
+            doc.text(`Date: ${new Date(notice.notice_date).toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' })}`, { align: 'right' });
+            doc.text(`Reference: ${notice.id}`, { align: 'right' });
+            doc.moveDown(2);
+
+            // Addresses
+            doc.fontSize(11);
+            doc.text('FROM:', { underline: true });
+            doc.text(lodger.full_name);
+            doc.text(lodger.email);
+            doc.moveDown();
+
+            doc.text('TO:', { underline: true });
+            doc.text(landlord.full_name);
+            doc.text(propertyAddress);
+            doc.moveDown(2);
+
+            // Property Details
+            doc.fontSize(12).text('RE: LODGER AGREEMENT', { underline: true, bold: true });
+            doc.fontSize(10);
+            doc.text(`Property Address: ${propertyAddress}`);
+            doc.text(`Agreement Start Date: ${new Date(tenancy.start_date).toLocaleDateString('en-GB')}`);
+            doc.moveDown(2);
+
+            // Notice Body
+            doc.fontSize(10);
+            doc.text('Dear ' + landlord.full_name + ',', { paragraphGap: 10 });
+
+            doc.text(
+                'In accordance with clause 9.2 of the Lodger Agreement dated ' +
+                new Date(tenancy.start_date).toLocaleDateString('en-GB') + ', I give you notice that I will end the ' +
+                'agreement and leave the Room on:',
+                { paragraphGap: 10, align: 'justify' }
+            );
+
+            doc.fontSize(14).text(endDate, { align: 'center' });
+            doc.fontSize(10).moveDown();
+
+            doc.text(
+                'This notice is at least one calendar month and expires on the day before a Payment Day, as the agreement requires.',
+                { paragraphGap: 10, align: 'justify' }
+            );
+
+            if (notice.reason) {
+                doc.moveDown();
+                doc.fontSize(11).text('REASON FOR LEAVING:', { underline: true });
+                doc.fontSize(10).moveDown(0.5);
+                doc.text(notice.reason, { align: 'justify' });
+            }
+
+            // Final payment
+            doc.moveDown(2);
+            doc.fontSize(11).text('FINAL PAYMENT:', { underline: true });
+            doc.fontSize(10).moveDown(0.5);
+            if (notice.final_payment) {
+                const finalPayment = notice.final_payment;
+                doc.text(`Final payment due: ${new Date(finalPayment.dueDate).toLocaleDateString('en-GB')}`);
+                doc.text(`Rent for ${finalPayment.daysToCharge} days to the end date: £${finalPayment.proRataAmount.toFixed(2)}`);
+                if (finalPayment.advanceCredit > 0) {
+                    doc.text(`Less rent paid in advance: £${finalPayment.advanceCredit.toFixed(2)}`);
+                }
+                doc.text(finalPayment.finalAmount < 0
+                    ? `Refund due to me: £${Math.abs(finalPayment.finalAmount).toFixed(2)}`
+                    : `Amount I will pay: £${finalPayment.finalAmount.toFixed(2)}`);
+            } else {
+                doc.text('No further rent falls due before the end date.');
+            }
+
+            // Leaving the Room
+            doc.moveDown(2);
+            doc.fontSize(11).text('LEAVING THE ROOM:', { underline: true });
+            doc.fontSize(10).moveDown(0.5);
+            doc.text(
+                'I understand that under clause 2.7 I must leave the Room in the same condition as at the start of the ' +
+                'agreement, remove my belongings, return all keys and give a forwarding address. The Deposit is to be ' +
+                'refunded under clause 6.4, less any reasonable deductions.',
+                { paragraphGap: 10, align: 'justify' }
+            );
+
+            // Signature
+            doc.moveDown(2);
+            doc.text('Yours sincerely,');
+            doc.moveDown(2);
+            doc.text(lodger.full_name);
+            doc.text('Lodger');
+
+            // Footer
+            doc.moveDown(2);
+            doc.fontSize(8).fillColor('gray');
+            doc.text('_'.repeat(100), { align: 'center' });
+            doc.text(
+                'This notice was given in writing through the lodger dashboard. Please keep this document for your records.',
+                { align: 'center', paragraphGap: 5 }
+            );
+            doc.text(`Generated: ${new Date().toLocaleString('en-GB')}`, { align: 'center' });
+
+            doc.end();
+
+            writeStream.on('finish', () => {
+                resolve(`/uploads/${fileName}`);
+            });
+
+            writeStream.on('error', reject);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Dates the lodger's notice could end the tenancy on, earliest first
+ */
+function getLodgerNoticeDates(tenancy, noticeDate, count) {
+    return getNoticeExpiryDates(
+        noticeDate,
+        tenancy.start_date,
+        mapPaymentFrequencyToDays(tenancy.payment_frequency || '4-weekly'),
+        tenancy.payment_type || 'cycle',
+        tenancy.payment_day_of_month || 1,
+        count
+    );
+}
+
 // Give notice to terminate tenancy
 router.post('/:id/notice', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
     const client = await pool.connect();
@@ -478,118 +617,25 @@ router.post('/:id/notice', authenticateToken, requireRole('landlord', 'admin'),
             'active'
         ]);
 
-        // Calculate final payment if not immediate termination
-        let finalPaymentInfo = null;
-        if (notice_period_days > 0) {
-            // Get the last payment date from payment_schedule
-            const lastPaymentResult = await client.query(
-                `SELECT due_date, payment_number FROM payment_schedule
-                 WHERE tenancy_id = $1
-                 ORDER BY payment_number DESC
-                 LIMIT 1`,
-                [tenancyId]
-            );
-
-            if (lastPaymentResult.rows.length > 0) {
-                const lastPayment = lastPaymentResult.rows[0];
-                const lastPaymentDate = new Date(lastPayment.due_date);
-
-                // Calculate the last covered date (cycle days from last payment)
-                const cycleDays = mapPaymentFrequencyToDays(tenancy.payment_frequency || '4-weekly');
-                const lastCoveredDate = new Date(lastPaymentDate);
-                lastCoveredDate.setDate(lastCoveredDate.getDate() + cycleDays);
-
-                // If termination date is after last covered date, calculate pro-rata
-                if (effectiveDate > lastCoveredDate) {
-                    const daysToCharge = Math.ceil((effectiveDate - lastCoveredDate) / (1000 * 60 * 60 * 24));
-                    const dailyRate = parseFloat(tenancy.monthly_rent) / cycleDays;
-                    const proRataAmount = dailyRate * daysToCharge;
-
-                    // First payment included 1 month advance, so tenant has credit
-                    const advanceCredit = parseFloat(tenancy.monthly_rent);
-                    const finalAmount = proRataAmount - advanceCredit;
-
-                    finalPaymentInfo = {
-                        lastCoveredDate: lastCoveredDate,
-                        terminationDate: effectiveDate,
-                        daysToCharge: daysToCharge,
-                        proRataAmount: parseFloat(proRataAmount.toFixed(2)),
-                        advanceCredit: advanceCredit,
-                        finalAmount: parseFloat(finalAmount.toFixed(2)),
-                        type: finalAmount > 0 ? 'payment_due' : 'refund_due'
-                    };
-
-                    // Add final payment to schedule
-                    await client.query(
-                        `INSERT INTO payment_schedule (
-                            tenancy_id, payment_number, due_date, rent_due,
-                            payment_status, notes
-                        ) VALUES ($1, $2, $3, $4, $5, $6)`,
-                        [
-                            tenancyId,
-                            lastPayment.payment_number + 1,
-                            effectiveDate,
-                            Math.abs(finalAmount),
-                            'pending',
-                            finalAmount < 0
-                                ? `Final settlement: £${advanceCredit} advance credit minus £${proRataAmount.toFixed(2)} for ${daysToCharge} days. REFUND DUE TO TENANT.`
-                                : `Final pro-rata payment for ${daysToCharge} days after advance credit applied.`
-                        ]
-                    );
-                } else {
-                    // Termination is before last covered date - full refund scenario
-                    const daysCovered = Math.ceil((lastCoveredDate - effectiveDate) / (1000 * 60 * 60 * 24));
-                    const dailyRate = parseFloat(tenancy.monthly_rent) / cycleDays;
-                    const refundAmount = (dailyRate * daysCovered) + parseFloat(tenancy.monthly_rent);
-
-                    finalPaymentInfo = {
-                        lastCoveredDate: lastCoveredDate,
-                        terminationDate: effectiveDate,
-                        daysCovered: daysCovered,
-                        refundAmount: parseFloat(refundAmount.toFixed(2)),
-                        advanceCredit: parseFloat(tenancy.monthly_rent),
-                        type: 'refund_due'
-                    };
-
-                    // Add refund entry to schedule
-                    await client.query(
-                        `INSERT INTO payment_schedule (
-                            tenancy_id, payment_number, due_date, rent_due,
-                            payment_status, notes
-                        ) VALUES ($1, $2, $3, $4, $5, $6)`,
-                        [
-                            tenancyId,
-                            lastPayment.payment_number + 1,
-                            effectiveDate,
-                            refundAmount,
-                            'pending',
-                            `Final settlement: Refund of £${refundAmount.toFixed(2)} (${daysCovered} days overpaid + £${tenancy.monthly_rent} advance credit). REFUND DUE TO TENANT.`
-                        ]
-                    );
-                }
-            }
-        }
-
-        // Delete all future pending payments beyond termination date
-        await client.query(
-            `DELETE FROM payment_schedule
-             WHERE tenancy_id = $1
-             AND due_date > $2
-             AND payment_status = 'pending'`,
-            [tenancyId, effectiveDate]
+        // Cut the schedule back to the termination date and settle the final period
+        const finalPaymentInfo = await truncateSchedule(
+            client,
+            tenancyId,
+            notice_period_days === 0 ? noticeDate : effectiveDate
         );
+        await allocatePayments(client, tenancyId);
 
         // If immediate termination, update tenancy status
         if (notice_period_days === 0) {
             await client.query(
-                'UPDATE tenancies SET status = $1, termination_date = $2 WHERE id = $3',
-                ['terminated', noticeDate, tenancyId]
+                'UPDATE tenancies SET status = $1, termination_date = $2, notice_given_by = $3 WHERE id = $4',
+                ['terminated', noticeDate, 'landlord', tenancyId]
             );
         } else {
             // Set status to notice_given
             await client.query(
-                'UPDATE tenancies SET status = $1 WHERE id = $2',
-                ['notice_given', tenancyId]
+                'UPDATE tenancies SET status = $1, termination_date = $2, notice_given_by = $3 WHERE id = $4',
+                ['notice_given', effectiveDate, 'landlord', tenancyId]
             );
         }
 
@@ -615,6 +661,9 @@ router.get('/:id/notices', authenticateToken, async (req, res) => {
     try {
         const { id: tenancyId } = req.params;
 
+        // Draft notices are only visible to the landlord until they are issued
+        const includeDrafts = req.user.user_type !== 'lodger';
+
         const result = await pool.query(`
             SELECT n.*,
                    u1.full_name as given_by_name,
@@ -623,8 +672,9 @@ router.get('/:id/notices', authenticateToken, async (req, res) => {
             LEFT JOIN users u1 ON n.given_by = u1.id
             LEFT JOIN users u2 ON n.given_to = u2.id
             WHERE n.tenancy_id = $1
+            AND ($2 OR n.status != 'draft')
             ORDER BY n.notice_date DESC
-        `, [tenancyId]);
+        `, [tenancyId, includeDrafts]);
 
         res.json(result.rows);
     } catch (error) {
@@ -633,6 +683,174 @@ router.get('/:id/notices', authenticateToken, async (req, res) => {
     }
 });
 
+// Get the dates a lodger's notice could end their tenancy on, and any notice already given
+router.get('/:id/lodger-notice', authenticateToken, requireRole('lodger'), async (req, res) => {
+    try {
+        const tenancyResult = await pool.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND lodger_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+
+        const noticeResult = await pool.query(
+            `SELECT * FROM notices
+             WHERE tenancy_id = $1 AND notice_type = 'termination' AND status = 'active'
+             ORDER BY notice_date DESC
+             LIMIT 1`,
+            [tenancy.id]
+        );
+
+        // Dates past the end of a fixed term aren't offered, as the agreement ends then anyway
+        const endDates = getLodgerNoticeDates(tenancy, new Date(), 6)
+            .filter(date => !tenancy.end_date || !moment(date).isAfter(moment(tenancy.end_date), 'day'));
+
+        res.json({
+            can_give_notice: ['active', 'extended'].includes(tenancy.status) && noticeResult.rows.length === 0,
+            end_dates: endDates,
+            tenancy_end_date: tenancy.end_date,
+            notice: noticeResult.rows[0] || null
+        });
+    } catch (error) {
+        console.error('Get lodger notice error:', error);
+        res.status(500).json({ error: 'Failed to get notice dates' });
+    }
+});
+
+// Lodger gives notice to end their tenancy (clause 9.2)
+router.post('/:id/lodger-notice', authenticateToken, requireRole('lodger'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id: tenancyId } = req.params;
+        const { end_date, reason } = req.body;
+
+        await client.query('BEGIN');
+
+        const tenancyResult = await client.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND lodger_id = $2 FOR UPDATE',
+            [tenancyId, req.user.id]
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+
+        if (!['active', 'extended'].includes(tenancy.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: tenancy.status === 'notice_given' ? 'Notice has already been given on this tenancy' : 'This tenancy is not active'
+            });
+        }
+
+        // The end date has to be one the agreement allows. Check it against enough
+        // future dates to cover anything within the next year.
+        const noticeDate = new Date();
+        const validDates = getLodgerNoticeDates(tenancy, noticeDate, 60);
+        const endDate = end_date || validDates[0];
+
+        if (!validDates.includes(endDate)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `Notice must be at least one calendar month and end the day before a payment day. The earliest date is ${moment(validDates[0]).format('DD/MM/YYYY')}.`
+            });
+        }
+
+        if (tenancy.end_date && moment(endDate).isAfter(moment(tenancy.end_date), 'day')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `Your agreement ends on ${moment(tenancy.end_date).format('DD/MM/YYYY')} anyway, so notice can't run past that date`
+            });
+        }
+
+        const noticeResult = await client.query(`
+            INSERT INTO notices (
+                tenancy_id,
+                notice_type,
+                given_by,
+                given_to,
+                notice_date,
+                effective_date,
+                reason,
+                status
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            tenancyId,
+            'termination',
+            req.user.id,
+            tenancy.landlord_id,
+            noticeDate,
+            endDate,
+            reason || null,
+            'active'
+        ]);
+        const notice = noticeResult.rows[0];
+
+        // Cut the schedule back to the end date and settle the final period
+        const finalPaymentInfo = await truncateSchedule(client, tenancyId, endDate);
+        await allocatePayments(client, tenancyId);
+
+        await client.query(
+            `UPDATE tenancies
+             SET status = $1, termination_date = $2, notice_given_by = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4`,
+            ['notice_given', endDate, 'lodger', tenancyId]
+        );
+
+        const users = await client.query(
+            'SELECT id, full_name, email FROM users WHERE id = ANY($1::uuid[])',
+            [[tenancy.landlord_id, tenancy.lodger_id]]
+        );
+        const landlord = users.rows.find(user => user.id === tenancy.landlord_id);
+        const lodger = users.rows.find(user => user.id === tenancy.lodger_id);
+
+        const letterPath = await generateLodgerNoticeLetter(landlord, lodger, tenancy, {
+            ...notice,
+            final_payment: finalPaymentInfo
+        });
+
+        await client.query(
+            'UPDATE notices SET notice_letter_path = $1 WHERE id = $2',
+            [letterPath, notice.id]
+        );
+
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message, attachment_path)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                tenancy.landlord_id,
+                tenancyId,
+                'notice_given',
+                'Lodger Has Given Notice',
+                `${lodger.full_name} has given notice to end their agreement on ${moment(endDate).format('DD/MM/YYYY')}.` +
+                    (finalPaymentInfo ? ' The payment schedule has been cut back to that date.' : ''),
+                letterPath
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Notice given successfully',
+            notice: { ...notice, notice_letter_path: letterPath },
+            final_payment: finalPaymentInfo
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Lodger notice error:', error);
+        res.status(500).json({ error: 'Failed to give notice' });
+    } finally {
+        client.release();
+    }
+});
+
 // Issue breach notice (7 days to remedy)
 router.post('/:id/breach-notice', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
     const client = await pool.connect();
@@ -862,13 +1080,6 @@ router.post('/notices/:id/escalate', authenticateToken, requireRole('landlord',
             return res.status(400).json({ error: 'Cannot escalate before remedy deadline' });
         }
 
-        // Get tenancy details
-        const tenancyResult = await client.query(
-            'SELECT * FROM tenancies WHERE id = $1',
-            [notice.tenancy_id]
-        );
-        const tenancy = tenancyResult.rows[0];
-
         // Calculate termination date (7 days from now)
         const terminationDeadline = new Date();
         terminationDeadline.setDate(terminationDeadline.getDate() + 7);
@@ -895,66 +1106,9 @@ router.post('/notices/:id/escalate', authenticateToken, requireRole('landlord',
             ['notice_given', terminationDeadline, notice.tenancy_id]
         );
 
-        // Calculate final payment
-        const lastPaymentResult = await client.query(
-            `SELECT due_date, payment_number FROM payment_schedule
-             WHERE tenancy_id = $1
-             ORDER BY payment_number DESC
-             LIMIT 1`,
-            [notice.tenancy_id]
-        );
-
-        let finalPaymentInfo = null;
-        if (lastPaymentResult.rows.length > 0) {
-            const lastPayment = lastPaymentResult.rows[0];
-            const lastPaymentDate = new Date(lastPayment.due_date);
-            const cycleDays = mapPaymentFrequencyToDays(tenancy.payment_frequency || '4-weekly');
-            const lastCoveredDate = new Date(lastPaymentDate);
-            lastCoveredDate.setDate(lastCoveredDate.getDate() + cycleDays);
-
-            if (terminationDeadline > lastCoveredDate) {
-                const daysToCharge = Math.ceil((terminationDeadline - lastCoveredDate) / (1000 * 60 * 60 * 24));
-                const dailyRate = parseFloat(tenancy.monthly_rent) / cycleDays;
-                const proRataAmount = dailyRate * daysToCharge;
-                const advanceCredit = parseFloat(tenancy.monthly_rent);
-                const finalAmount = proRataAmount - advanceCredit;
-
-                finalPaymentInfo = {
-                    daysToCharge,
-                    proRataAmount: parseFloat(proRataAmount.toFixed(2)),
-                    advanceCredit,
-                    finalAmount: parseFloat(finalAmount.toFixed(2)),
-                    type: finalAmount > 0 ? 'payment_due' : 'refund_due'
-                };
-
-                // Add final payment to schedule
-                await client.query(
-                    `INSERT INTO payment_schedule (
-                        tenancy_id, payment_number, due_date, rent_due,
-                        payment_status, notes
-                    ) VALUES ($1, $2, $3, $4, $5, $6)`,
-                    [
-                        notice.tenancy_id,
-                        lastPayment.payment_number + 1,
-                        terminationDeadline,
-                        Math.abs(finalAmount),
-                        'pending',
-                        finalAmount < 0
-                            ? `Final settlement: £${advanceCredit} advance credit minus £${proRataAmount.toFixed(2)} for ${daysToCharge} days. REFUND DUE TO TENANT.`
-                            : `Final pro-rata payment for ${daysToCharge} days after advance credit applied.`
-                    ]
-                );
-            }
-        }
-
-        // Delete all future pending payments beyond termination date
-        await client.query(
-            `DELETE FROM payment_schedule
-             WHERE tenancy_id = $1
-             AND due_date > $2
-             AND payment_status = 'pending'`,
-            [notice.tenancy_id, terminationDeadline]
-        );
+        // Cut the schedule back to the termination date and settle the final period
+        const finalPaymentInfo = await truncateSchedule(client, notice.tenancy_id, terminationDeadline);
+        await allocatePayments(client, notice.tenancy_id);
 
         // Create notification for lodger
         await client.query(
@@ -985,6 +1139,138 @@ router.post('/notices/:id/escalate', authenticateToken, requireRole('landlord',
     }
 });
 
+// Issue a draft breach notice (e.g. one drafted automatically for arrears)
+router.post('/notices/:id/issue', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id: noticeId } = req.params;
+        const { breach_description, additional_notes } = req.body;
+
+        await client.query('BEGIN');
+
+        const noticeResult = await client.query(
+            `SELECT n.* FROM notices n
+             JOIN tenancies t ON n.tenancy_id = t.id
+             WHERE n.id = $1 AND (t.landlord_id = $2 OR $3)`,
+            [noticeId, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (noticeResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Notice not found' });
+        }
+
+        const notice = noticeResult.rows[0];
+
+        if (notice.notice_type !== 'breach' || notice.status !== 'draft') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only draft breach notices can be issued' });
+        }
+
+        const tenancyResult = await client.query('SELECT * FROM tenancies WHERE id = $1', [notice.tenancy_id]);
+        const tenancy = tenancyResult.rows[0];
+
+        const landlordResult = await client.query('SELECT * FROM users WHERE id = $1', [tenancy.landlord_id]);
+        const lodgerResult = await client.query('SELECT * FROM users WHERE id = $1', [tenancy.lodger_id]);
+        const landlord = landlordResult.rows[0];
+        const lodger = lodgerResult.rows[0];
+
+        // The remedy period starts from the date the notice is actually issued
+        const noticeDate = new Date();
+        const remedyDeadline = new Date();
+        remedyDeadline.setDate(remedyDeadline.getDate() + 7);
+
+        // Strip the draft marker and use the drafted details unless the landlord edited them
+        const draftReason = notice.reason.replace(/\n\n\[DRAFT[^\]]*\]/, '');
+        const draftDetails = (draftReason.match(/Details: ([\s\S]*)/) || [])[1] || draftReason;
+        const description = breach_description || draftDetails;
+
+        const letterPath = await generateBreachNoticeLetter(
+            landlord,
+            lodger,
+            tenancy,
+            {
+                id: notice.id,
+                type: notice.breach_clause,
+                description: description,
+                notes: additional_notes
+            },
+            remedyDeadline
+        );
+
+        let reasonText = `Breach of Agreement: Non-payment of rent\n\nDetails: ${description}`;
+        if (additional_notes) {
+            reasonText += `\n\nAdditional notes: ${additional_notes}`;
+        }
+        reasonText += `\n\nYou have 7 days from ${noticeDate.toLocaleDateString('en-GB')} to remedy this breach. If not remedied, a further 7-day termination notice will be issued.`;
+
+        const updatedNotice = await client.query(
+            `UPDATE notices
+             SET status = 'active', breach_stage = 'remedy_period', notice_date = $1,
+                 effective_date = $2, remedy_deadline = $2, reason = $3,
+                 notice_letter_path = $4, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5
+             RETURNING *`,
+            [noticeDate, remedyDeadline, reasonText, letterPath, noticeId]
+        );
+
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                tenancy.lodger_id,
+                tenancy.id,
+                'breach_notice',
+                'Breach Notice Issued',
+                'A breach notice has been issued for: Non-payment of rent. You have 7 days to remedy this breach.'
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Breach notice issued successfully',
+            notice: updatedNotice.rows[0],
+            remedy_deadline: remedyDeadline,
+            notice_letter_path: letterPath
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Issue draft notice error:', error);
+        res.status(500).json({ error: 'Failed to issue breach notice' });
+    } finally {
+        client.release();
+    }
+});
+
+// Discard a draft notice without issuing it
+router.post('/notices/:id/discard', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    try {
+        const { id: noticeId } = req.params;
+
+        const result = await pool.query(
+            `UPDATE notices n
+             SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             FROM tenancies t
+             WHERE n.tenancy_id = t.id
+             AND n.id = $1
+             AND n.status = 'draft'
+             AND (t.landlord_id = $2 OR $3)
+             RETURNING n.*`,
+            [noticeId, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Draft notice not found' });
+        }
+
+        res.json({ message: 'Draft notice discarded', notice: result.rows[0] });
+    } catch (error) {
+        console.error('Discard draft notice error:', error);
+        res.status(500).json({ error: 'Failed to discard draft notice' });
+    }
+});
+
 // Offer tenancy extension (landlord)
 router.post('/:id/offer-extension', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
     const client = await pool.connect();
@@ -1041,21 +1327,18 @@ router.post('/:id/offer-extension', authenticateToken, requireRole('landlord', '
         const currentRent = parseFloat(tenancy.monthly_rent);
         const proposedRent = parseFloat(new_monthly_rent || tenancy.monthly_rent);
 
-        if (proposedRent > currentRent) {
-            const increasePercent = ((proposedRent - currentRent) / currentRent) * 100;
-            const maxIncrease = 5;
-
-            if (increasePercent > maxIncrease) {
-                await client.query('ROLLBACK');
-                return res.status(400).json({
-                    error: `Rent increase of ${increasePercent.toFixed(2)}% exceeds the maximum allowed increase of ${maxIncrease}% per annum as per clause 9.3 of the Lodger Agreement. Maximum new rent: £${(currentRent * 1.05).toFixed(2)}`,
-                    currentRent: currentRent,
-                    proposedRent: proposedRent,
-                    maxAllowedRent: parseFloat((currentRent * 1.05).toFixed(2)),
-                    increasePercent: parseFloat(increasePercent.toFixed(2)),
-                    maxIncreasePercent: maxIncrease
-                });
-            }
+        const increase = checkRentIncrease(currentRent, proposedRent);
+
+        if (!increase.allowed) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `Rent increase of ${increase.increasePercent.toFixed(2)}% exceeds the maximum allowed increase of ${MAX_ANNUAL_RENT_INCREASE}% per annum as per clause 9.3 of the Lodger Agreement. Maximum new rent: £${increase.maxAllowedRent.toFixed(2)}`,
+                currentRent: currentRent,
+                proposedRent: proposedRent,
+                maxAllowedRent: increase.maxAllowedRent,
+                increasePercent: increase.increasePercent,
+                maxIncreasePercent: MAX_ANNUAL_RENT_INCREASE
+            });
         }
 
         // Generate extension offer letter
@@ -0,0 +1,265 @@
+/**
+ * Payment Feed Routes
+ * Handles per-landlord bank feed connections that pull transactions into reconciliation
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const paymentFeeds = require('../services/paymentFeeds');
+
+const CONNECTION_SELECT = `
+    SELECT c.*, d.account_number, d.sort_code, d.account_name
+    FROM payment_feed_connections c
+    JOIN landlord_payment_details d ON c.payment_details_id = d.id
+`;
+
+/**
+ * Load a connection belonging to the current landlord
+ */
+async function getLandlordConnection(db, connectionId, userId) {
+    const result = await db.query(
+        `${CONNECTION_SELECT} WHERE c.id = $1 AND c.landlord_id = $2`,
+        [connectionId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Find the landlord's payment details for an account, creating them from
+ * the bank details on their profile if none have been saved yet
+ */
+async function getOrCreatePaymentDetails(client, user, accountNumber, sortCode) {
+    const userResult = await client.query(
+        'SELECT full_name, bank_account_number, bank_sort_code, payment_reference FROM users WHERE id = $1',
+        [user.id]
+    );
+    const profile = userResult.rows[0];
+
+    const account = accountNumber || profile.bank_account_number;
+    const sort = sortCode || profile.bank_sort_code;
+
+    if (!account || !sort) {
+        return null;
+    }
+
+    const existing = await client.query(
+        'SELECT * FROM landlord_payment_details WHERE landlord_id = $1 AND account_number = $2 AND sort_code = $3',
+        [user.id, account, sort]
+    );
+
+    if (existing.rows.length > 0) {
+        return existing.rows[0];
+    }
+
+    const result = await client.query(
+        `INSERT INTO landlord_payment_details (landlord_id, account_number, sort_code, account_name, payment_reference)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [user.id, account, sort, profile.full_name, profile.payment_reference]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Get feed providers available on this server
+ * @route GET /api/payment-feeds/providers
+ * @auth Landlord only
+ * @returns {Array} Providers with the config fields each one needs
+ */
+router.get('/providers', authenticateToken, requireRole('landlord'), (req, res) => {
+    res.json(paymentFeeds.listProviders());
+});
+
+/**
+ * Get landlord's feed connections
+ * @route GET /api/payment-feeds
+ * @auth Landlord only
+ * @returns {Array} Connections with account and last-sync status
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `${CONNECTION_SELECT} WHERE c.landlord_id = $1 ORDER BY c.created_at ASC`,
+            [req.user.id]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get payment feeds error:', error);
+        res.status(500).json({ error: 'Failed to get payment feeds' });
+    }
+});
+
+/**
+ * Connect a bank account to a feed provider
+ * @route POST /api/payment-feeds
+ * @auth Landlord only
+ * @body {string} provider - Provider key (e.g. 'mock')
+ * @body {Object} config - Provider-specific settings
+ * @body {string} account_number - Account to sync (defaults to profile bank details)
+ * @body {string} sort_code - Sort code of the account (defaults to profile bank details)
+ * @returns {Object} Created connection
+ */
+router.post('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { provider: providerKey, config = {}, account_number, sort_code } = req.body;
+
+        const provider = paymentFeeds.getProvider(providerKey);
+        if (!provider) {
+            return res.status(400).json({ error: 'Unknown payment feed provider' });
+        }
+
+        const configError = provider.validateConfig(config);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+
+        await client.query('BEGIN');
+
+        const details = await getOrCreatePaymentDetails(client, req.user, account_number, sort_code);
+        if (!details) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Add your bank account number and sort code before connecting a feed' });
+        }
+
+        const existing = await client.query(
+            'SELECT id FROM payment_feed_connections WHERE payment_details_id = $1 AND provider = $2',
+            [details.id, provider.key]
+        );
+
+        if (existing.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This account is already connected to that provider' });
+        }
+
+        const result = await client.query(
+            `INSERT INTO payment_feed_connections (landlord_id, payment_details_id, provider, config)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [req.user.id, details.id, provider.key, JSON.stringify(config)]
+        );
+
+        const connection = await getLandlordConnection(client, result.rows[0].id, req.user.id);
+
+        await client.query('COMMIT');
+
+        res.status(201).json(connection);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create payment feed error:', error);
+        res.status(500).json({ error: 'Failed to connect payment feed' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Update a feed connection's settings
+ * @route PUT /api/payment-feeds/:id
+ * @auth Landlord only
+ * @body {Object} config - Provider-specific settings
+ * @body {boolean} is_active - Whether the daily sync should run
+ * @body {boolean} reset_cursor - Pull the full history again on the next sync
+ * @returns {Object} Updated connection
+ */
+router.put('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const connection = await getLandlordConnection(pool, req.params.id, req.user.id);
+        if (!connection) {
+            return res.status(404).json({ error: 'Payment feed not found' });
+        }
+
+        const { config, is_active, reset_cursor } = req.body;
+
+        if (config) {
+            const provider = paymentFeeds.getProvider(connection.provider);
+            if (!provider) {
+                return res.status(400).json({ error: 'This provider is not available' });
+            }
+            const configError = provider.validateConfig(config);
+            if (configError) {
+                return res.status(400).json({ error: configError });
+            }
+        }
+
+        await pool.query(
+            `UPDATE payment_feed_connections
+             SET config = COALESCE($1, config),
+                 is_active = COALESCE($2, is_active),
+                 sync_cursor = CASE WHEN $3 THEN NULL ELSE sync_cursor END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4`,
+            [
+                config ? JSON.stringify(config) : null,
+                typeof is_active === 'boolean' ? is_active : null,
+                reset_cursor === true,
+                connection.id
+            ]
+        );
+
+        res.json(await getLandlordConnection(pool, connection.id, req.user.id));
+    } catch (error) {
+        console.error('Update payment feed error:', error);
+        res.status(500).json({ error: 'Failed to update payment feed' });
+    }
+});
+
+/**
+ * Remove a feed connection (imports it created are kept)
+ * @route DELETE /api/payment-feeds/:id
+ * @auth Landlord only
+ */
+router.delete('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM payment_feed_connections WHERE id = $1 AND landlord_id = $2 RETURNING id',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Payment feed not found' });
+        }
+
+        res.json({ message: 'Payment feed disconnected' });
+    } catch (error) {
+        console.error('Delete payment feed error:', error);
+        res.status(500).json({ error: 'Failed to disconnect payment feed' });
+    }
+});
+
+/**
+ * Sync a feed now rather than waiting for the daily job
+ * @route POST /api/payment-feeds/:id/sync
+ * @auth Landlord only
+ * @returns {Object} Sync result and the import created for review (if any)
+ */
+router.post('/:id/sync', authenticateToken, requireRole('landlord'), async (req, res) => {
+    const client = await pool.connect();
+    let connection = null;
+    try {
+        connection = await getLandlordConnection(client, req.params.id, req.user.id);
+        if (!connection) {
+            return res.status(404).json({ error: 'Payment feed not found' });
+        }
+
+        await client.query('BEGIN');
+        const result = await paymentFeeds.syncConnection(client, connection);
+        await client.query('COMMIT');
+
+        res.json(result);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Sync payment feed error:', error);
+        if (connection) {
+            // Outside the rolled back transaction so the failure is visible in settings
+            await paymentFeeds.recordSyncFailure(pool, connection.id, error);
+        }
+        res.status(500).json({ error: `Failed to sync payment feed: ${error.message}` });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,385 @@
+/**
+ * Payment Method Routes
+ * Handles the payment methods a landlord accepts, standing order instructions and
+ * cash payments acknowledged by both lodger and landlord
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { generateStandingOrderPDF } = require('../services/pdfService');
+const paymentMethodService = require('../services/paymentMethodService');
+
+const STANDING_ORDER_DIR = path.join(__dirname, '../../uploads/standing-orders');
+
+/**
+ * Get payment method settings for current landlord
+ * @route GET /api/payment-methods/settings
+ * @auth Landlord/Admin only
+ * @returns {Object} Settings (defaults if never saved) and the labels of all methods
+ */
+router.get('/settings', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    try {
+        const settings = await paymentMethodService.getPaymentMethodSettings(pool, req.user.id);
+        res.json({ ...settings, methods: paymentMethodService.PAYMENT_METHODS });
+    } catch (error) {
+        console.error('Get payment method settings error:', error);
+        res.status(500).json({ error: 'Failed to get payment method settings' });
+    }
+});
+
+/**
+ * Update payment method settings for current landlord
+ * @route PUT /api/payment-methods/settings
+ * @auth Landlord/Admin only
+ * @body {Array<string>} accepted_methods - Methods lodgers may pay by (bank_transfer, standing_order, cash, card)
+ * @body {string} card_provider_name - Card payment provider (required if card is accepted)
+ * @body {string} card_payment_url - Link lodgers use to pay by card (required if card is accepted)
+ * @body {string} cash_instructions - How and when to hand over cash (optional)
+ * @returns {Object} Updated settings
+ */
+router.put('/settings', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    try {
+        const current = await paymentMethodService.getPaymentMethodSettings(pool, req.user.id);
+        const {
+            accepted_methods = current.accepted_methods,
+            card_provider_name = current.card_provider_name,
+            card_payment_url = current.card_payment_url,
+            cash_instructions = current.cash_instructions
+        } = req.body;
+
+        if (!Array.isArray(accepted_methods) || accepted_methods.length === 0) {
+            return res.status(400).json({ error: 'Accept at least one payment method' });
+        }
+
+        const methods = [...new Set(accepted_methods)];
+        if (methods.some(method => !paymentMethodService.PAYMENT_METHODS[method])) {
+            return res.status(400).json({ error: 'Unknown payment method' });
+        }
+
+        if (methods.includes('card')) {
+            if (!card_provider_name || !card_payment_url) {
+                return res.status(400).json({ error: 'Enter the card payment provider and payment link to accept card payments' });
+            }
+            if (!/^https:\/\//i.test(card_payment_url)) {
+                return res.status(400).json({ error: 'The card payment link must start with https://' });
+            }
+        }
+
+        const result = await pool.query(
+            `INSERT INTO payment_method_settings (
+                landlord_id, accepted_methods, card_provider_name, card_payment_url, cash_instructions
+            ) VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (landlord_id) DO UPDATE SET
+                accepted_methods = EXCLUDED.accepted_methods,
+                card_provider_name = EXCLUDED.card_provider_name,
+                card_payment_url = EXCLUDED.card_payment_url,
+                cash_instructions = EXCLUDED.cash_instructions,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`,
+            [req.user.id, JSON.stringify(methods), card_provider_name || null, card_payment_url || null, cash_instructions || null]
+        );
+
+        res.json({ ...result.rows[0], methods: paymentMethodService.PAYMENT_METHODS });
+    } catch (error) {
+        console.error('Update payment method settings error:', error);
+        res.status(500).json({ error: 'Failed to update payment method settings' });
+    }
+});
+
+/**
+ * Get how a lodger can pay for a tenancy
+ * @route GET /api/payment-methods/tenancies/:id
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {Object} { methods: [{ value, label }], bank, standing_order_reference, card_provider_name, card_payment_url, cash_instructions }
+ */
+router.get('/tenancies/:id', authenticateToken, async (req, res) => {
+    try {
+        const tenancyResult = await pool.query(
+            `SELECT t.*, lodger.full_name as lodger_name
+             FROM tenancies t
+             JOIN users lodger ON t.lodger_id = lodger.id
+             WHERE t.id = $1 AND (t.landlord_id = $2 OR t.lodger_id = $2 OR $3)`,
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+        const settings = await paymentMethodService.getPaymentMethodSettings(pool, tenancy.landlord_id);
+        const accepted = settings.accepted_methods;
+
+        res.json({
+            methods: accepted.map(method => ({ value: method, label: paymentMethodService.PAYMENT_METHODS[method] })),
+            bank: await paymentMethodService.getLandlordBankDetails(pool, tenancy.landlord_id),
+            standing_order_reference: accepted.includes('standing_order')
+                ? await paymentMethodService.getStandingOrderReference(pool, tenancy)
+                : null,
+            card_provider_name: accepted.includes('card') ? settings.card_provider_name : null,
+            card_payment_url: accepted.includes('card') ? settings.card_payment_url : null,
+            cash_instructions: accepted.includes('cash') ? settings.cash_instructions : null
+        });
+    } catch (error) {
+        console.error('Get tenancy payment methods error:', error);
+        res.status(500).json({ error: 'Failed to get payment methods' });
+    }
+});
+
+/**
+ * Download standing order instructions for a tenancy
+ * @route GET /api/payment-methods/tenancies/:id/standing-order
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {File} Standing order instruction PDF
+ */
+router.get('/tenancies/:id/standing-order', authenticateToken, async (req, res) => {
+    try {
+        const tenancyResult = await pool.query(
+            'SELECT id, landlord_id FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)',
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const settings = await paymentMethodService.getPaymentMethodSettings(pool, tenancyResult.rows[0].landlord_id);
+        if (!settings.accepted_methods.includes('standing_order')) {
+            return res.status(400).json({ error: 'Your householder does not accept payment by standing order' });
+        }
+
+        const details = await paymentMethodService.getStandingOrderDetails(pool, req.params.id);
+
+        await fs.mkdir(STANDING_ORDER_DIR, { recursive: true });
+        const filePath = path.join(STANDING_ORDER_DIR, `standing-order-${req.params.id}.pdf`);
+        await generateStandingOrderPDF(details, filePath);
+
+        res.setHeader('Content-Disposition', `attachment; filename="Standing-Order-${details.reference}.pdf"`);
+        res.sendFile(filePath);
+    } catch (error) {
+        console.error('Generate standing order error:', error);
+        res.status(500).json({ error: 'Failed to generate standing order instructions' });
+    }
+});
+
+/**
+ * Get cash handovers on the user's tenancies
+ * @route GET /api/payment-methods/cash-handovers
+ * @auth Landlord, lodger or admin
+ * @query {string} tenancy_id - Only this tenancy (optional)
+ * @returns {Array} Cash handovers, newest first
+ */
+router.get('/cash-handovers', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ch.*, ps.payment_number, lodger.full_name as lodger_name,
+                    t.landlord_id, t.lodger_id
+             FROM cash_handovers ch
+             JOIN tenancies t ON ch.tenancy_id = t.id
+             JOIN users lodger ON t.lodger_id = lodger.id
+             LEFT JOIN payment_schedule ps ON ch.payment_schedule_id = ps.id
+             WHERE (t.landlord_id = $1 OR t.lodger_id = $1 OR $2)
+             AND ($3::uuid IS NULL OR ch.tenancy_id = $3::uuid)
+             ORDER BY ch.handed_over_date DESC, ch.created_at DESC`,
+            [req.user.id, req.user.user_type === 'admin', req.query.tenancy_id || null]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get cash handovers error:', error);
+        res.status(500).json({ error: 'Failed to get cash payments' });
+    }
+});
+
+/**
+ * Record a cash handover. It is posted to the ledger once the other party acknowledges it.
+ * @route POST /api/payment-methods/cash-handovers
+ * @auth Landlord or lodger on the tenancy
+ * @body {string} tenancy_id - Tenancy ID
+ * @body {string} payment_id - Schedule row the cash is for (optional, otherwise a payment on account)
+ * @body {number} amount - Amount handed over
+ * @body {string} handed_over_date - Date the cash changed hands (default today)
+ * @body {string} notes - Notes (optional)
+ * @returns {Object} Created cash handover
+ */
+router.post('/cash-handovers', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { tenancy_id, payment_id, amount, handed_over_date, notes } = req.body;
+
+        const cashAmount = parseFloat(amount);
+        if (!(cashAmount > 0)) {
+            return res.status(400).json({ error: 'Amount must be greater than zero' });
+        }
+
+        if (handed_over_date && (!moment(handed_over_date, 'YYYY-MM-DD', true).isValid() || moment(handed_over_date).isAfter(moment(), 'day'))) {
+            return res.status(400).json({ error: 'The handover date cannot be in the future' });
+        }
+
+        await client.query('BEGIN');
+
+        const tenancyResult = await client.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2)',
+            [tenancy_id, req.user.id]
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+
+        const settings = await paymentMethodService.getPaymentMethodSettings(client, tenancy.landlord_id);
+        if (!settings.accepted_methods.includes('cash')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Cash is not an accepted payment method for this tenancy' });
+        }
+
+        if (payment_id) {
+            const payment = await client.query(
+                'SELECT id FROM payment_schedule WHERE id = $1 AND tenancy_id = $2',
+                [payment_id, tenancy_id]
+            );
+            if (payment.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Payment not found' });
+            }
+        }
+
+        const handover = await paymentMethodService.createCashHandover(client, {
+            tenancy,
+            paymentScheduleId: payment_id,
+            amount: cashAmount,
+            handedOverDate: handed_over_date,
+            notes,
+            recordedBy: req.user.id,
+            recordedByType: req.user.user_type
+        });
+
+        await client.query('COMMIT');
+
+        res.status(201).json(handover);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create cash handover error:', error);
+        res.status(500).json({ error: 'Failed to record cash payment' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Look up a cash handover waiting on the current user, for acknowledging or disputing it
+ * @returns {Object|null} cash_handovers row with landlord_id and lodger_id, or null
+ */
+async function getHandoverAwaitingUser(client, handoverId, user) {
+    const result = await client.query(
+        `SELECT ch.*, t.landlord_id, t.lodger_id
+         FROM cash_handovers ch
+         JOIN tenancies t ON ch.tenancy_id = t.id
+         WHERE ch.id = $1
+         AND ((ch.status = 'awaiting_landlord' AND t.landlord_id = $2)
+              OR (ch.status = 'awaiting_lodger' AND t.lodger_id = $2))
+         FOR UPDATE OF ch`,
+        [handoverId, user.id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Acknowledge a cash handover recorded by the other party. The cash is posted to the
+ * ledger and a receipt showing both acknowledgements is sent to the lodger.
+ * @route POST /api/payment-methods/cash-handovers/:id/acknowledge
+ * @auth The landlord or lodger the handover is waiting on
+ * @returns {Object} { handover, transaction, receipt }
+ */
+router.post('/cash-handovers/:id/acknowledge', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const handover = await getHandoverAwaitingUser(client, req.params.id, req.user);
+        if (!handover) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'No cash payment is waiting for your confirmation' });
+        }
+
+        const result = await paymentMethodService.acknowledgeCashHandover(client, handover, req.user.id);
+
+        await client.query('COMMIT');
+
+        res.json(result);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Acknowledge cash handover error:', error);
+        res.status(500).json({ error: 'Failed to confirm cash payment' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Dispute a cash handover recorded by the other party. Nothing is posted to the ledger.
+ * @route POST /api/payment-methods/cash-handovers/:id/dispute
+ * @auth The landlord or lodger the handover is waiting on
+ * @body {string} reason - Why the handover is disputed
+ * @returns {Object} Updated cash handover
+ */
+router.post('/cash-handovers/:id/dispute', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { reason } = req.body;
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'Please give a reason' });
+        }
+
+        await client.query('BEGIN');
+
+        const handover = await getHandoverAwaitingUser(client, req.params.id, req.user);
+        if (!handover) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'No cash payment is waiting for your confirmation' });
+        }
+
+        const updated = await client.query(
+            `UPDATE cash_handovers
+             SET status = 'disputed', disputed_by = $1, dispute_reason = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3
+             RETURNING *`,
+            [req.user.id, reason.trim(), handover.id]
+        );
+
+        const byLandlord = handover.status === 'awaiting_landlord';
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, payment_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                byLandlord ? handover.lodger_id : handover.landlord_id,
+                handover.tenancy_id,
+                handover.payment_schedule_id,
+                'cash_handover',
+                'Cash Payment Disputed',
+                `The cash payment of £${parseFloat(handover.amount).toFixed(2)} on ${moment(handover.handed_over_date).format('DD/MM/YYYY')} ` +
+                `was not confirmed by your ${byLandlord ? 'householder' : 'lodger'}: ${reason.trim()}`
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json(updated.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Dispute cash handover error:', error);
+        res.status(500).json({ error: 'Failed to dispute cash payment' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
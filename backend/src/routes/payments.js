@@ -4,10 +4,15 @@
  */
 
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const paymentCalculator = require('../utils/paymentCalculator');
+const ledgerService = require('../services/ledgerService');
+const receiptService = require('../services/receiptService');
+const rentReviewService = require('../services/rentReviewService');
+const paymentMethodService = require('../services/paymentMethodService');
 
 /**
  * Map payment frequency to cycle days
@@ -71,18 +76,13 @@ async function extendPaymentSchedule(tenancyId) {
             // Map payment frequency to cycle days
             const cycleDays = mapPaymentFrequencyToDays(tenancy.payment_frequency || '4-weekly');
 
-            // Generate next 12 months of payments
-            let nextPaymentDate;
-            if (tenancy.payment_type === 'calendar') {
-                // For calendar payments, add months
-                nextPaymentDate = new Date(lastDueDate);
-                nextPaymentDate.setMonth(nextPaymentDate.getMonth() + 1);
-                nextPaymentDate.setDate(tenancy.payment_day_of_month);
-            } else {
-                // For cycle payments, add cycle days
-                nextPaymentDate = new Date(lastDueDate);
-                nextPaymentDate.setDate(nextPaymentDate.getDate() + cycleDays);
-            }
+            // Generate next 12 months of payments, carrying on from the last due date
+            const nextPaymentDate = paymentCalculator.getNextDueDate(
+                lastDueDate,
+                cycleDays,
+                tenancy.payment_type || 'cycle',
+                tenancy.payment_day_of_month || 1
+            );
 
             const newSchedule = paymentCalculator.generatePaymentSchedule(
                 nextPaymentDate,
@@ -91,7 +91,8 @@ async function extendPaymentSchedule(tenancyId) {
                 0,   // deposit
                 cycleDays,
                 tenancy.payment_type || 'cycle',
-                tenancy.payment_day_of_month || 1
+                tenancy.payment_day_of_month || 1,
+                { continuation: true }
             );
 
             // Insert new payments with adjusted payment numbers
@@ -105,6 +106,9 @@ async function extendPaymentSchedule(tenancyId) {
                 );
             }
 
+            // New payments falling after a scheduled rent change take the new rent
+            await rentReviewService.repriceSchedule(pool, tenancyId);
+
             console.log(`Extended payment schedule for tenancy ${tenancyId} with 13 more payments`);
         }
     } catch (error) {
@@ -114,6 +118,8 @@ async function extendPaymentSchedule(tenancyId) {
 
 /**
  * Lodger submits payment
+ * The method must be one the landlord accepts. A cash payment also records a cash
+ * handover for the landlord to acknowledge before it is posted to the ledger.
  * @route POST /api/payments/:id/submit
  * @auth Lodger only
  * @param {string} id - Payment ID
@@ -121,14 +127,47 @@ async function extendPaymentSchedule(tenancyId) {
  * @body {string} payment_reference - Payment reference
  * @body {string} payment_method - Payment method
  * @body {string} notes - Payment notes (optional)
- * @returns {Object} Updated payment
+ * @returns {Object} Updated payment, with cash_handover for cash payments
  */
 router.post('/:id/submit', authenticateToken, requireRole('lodger'), async (req, res) => {
+    const client = await pool.connect();
     try {
         const { id } = req.params;
         const { amount, payment_reference, payment_method, notes } = req.body;
 
-        const result = await pool.query(
+        await client.query('BEGIN');
+
+        const paymentResult = await client.query(
+            `SELECT ps.id, t.id as tenancy_id, t.landlord_id, t.lodger_id
+             FROM payment_schedule ps
+             JOIN tenancies t ON ps.tenancy_id = t.id
+             WHERE ps.id = $1 AND t.lodger_id = $2`,
+            [id, req.user.id]
+        );
+
+        if (paymentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        const payment = paymentResult.rows[0];
+
+        const settings = await paymentMethodService.getPaymentMethodSettings(client, payment.landlord_id);
+        if (payment_method && !settings.accepted_methods.includes(payment_method)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: `Your householder accepts payment by ${settings.accepted_methods
+                    .map(method => paymentMethodService.PAYMENT_METHODS[method].toLowerCase())
+                    .join(', ')}`
+            });
+        }
+
+        if (payment_method === 'cash' && !(parseFloat(amount) > 0)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Amount must be greater than zero' });
+        }
+
+        const result = await client.query(
             `UPDATE payment_schedule
              SET lodger_submitted_amount = $1,
                  lodger_submitted_date = CURRENT_TIMESTAMP,
@@ -142,59 +181,210 @@ router.post('/:id/submit', authenticateToken, requireRole('lodger'), async (req,
             [amount, payment_reference, payment_method, notes, id]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Payment not found' });
+        const updated = result.rows[0];
+
+        if (payment_method === 'cash') {
+            updated.cash_handover = await paymentMethodService.createCashHandover(client, {
+                tenancy: { id: payment.tenancy_id, landlord_id: payment.landlord_id, lodger_id: payment.lodger_id },
+                paymentScheduleId: id,
+                amount: parseFloat(amount),
+                notes,
+                recordedBy: req.user.id,
+                recordedByType: 'lodger'
+            });
         }
 
-        res.json(result.rows[0]);
+        await client.query('COMMIT');
+
+        res.json(updated);
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Submit payment error:', error);
         res.status(500).json({ error: 'Failed to submit payment' });
+    } finally {
+        client.release();
     }
 });
 
 /**
  * Landlord confirms payment
+ * Records the receipt as a transaction and re-allocates all receipts on the
+ * tenancy oldest-debt-first, so part payments and overpayments carry across rows.
+ * A numbered receipt is issued and sent to the lodger with the payment_received notification.
+ * Cash is only posted once both parties have acknowledged it: confirming a cash payment the
+ * lodger has already said they handed over posts it, otherwise the lodger is asked to confirm.
  * @route POST /api/payments/:id/confirm
  * @auth Landlord/Admin only
  * @param {string} id - Payment ID
- * @body {number} amount - Confirmed payment amount
+ * @body {number} amount - Amount received
  * @body {string} notes - Payment notes (optional)
  * @body {string} payment_method - Payment method (optional)
  * @body {string} payment_reference - Payment reference (optional)
- * @returns {Object} Updated payment
+ * @body {string} payment_date - Date the money was received (optional, defaults to now)
+ * @returns {Object} Updated payment with transaction, receipt and allocation details,
+ *   or 202 with cash_handover when a cash payment is waiting for the lodger to confirm it
  */
 router.post('/:id/confirm', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
     try {
         const { id } = req.params;
-        const { amount, notes, payment_method, payment_reference } = req.body;
+        const { amount, notes, payment_method, payment_reference, payment_date } = req.body;
 
-        const result = await pool.query(
-            `UPDATE payment_schedule
-             SET rent_paid = $1,
-                 payment_date = CURRENT_TIMESTAMP,
-                 payment_method = $2,
-                 payment_reference = $3,
-                 notes = $4,
-                 payment_status = CASE
-                     WHEN $1 >= rent_due THEN 'paid'
-                     WHEN $1 > 0 THEN 'partial'
-                     ELSE 'pending'
-                 END,
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = $5
-             RETURNING *`,
-            [amount, payment_method, payment_reference, notes, id]
+        const receivedAmount = parseFloat(amount);
+        if (isNaN(receivedAmount) || receivedAmount <= 0) {
+            return res.status(400).json({ error: 'Amount must be greater than zero' });
+        }
+
+        await client.query('BEGIN');
+
+        const paymentResult = await client.query(
+            `SELECT ps.* FROM payment_schedule ps
+             JOIN tenancies t ON ps.tenancy_id = t.id
+             WHERE ps.id = $1 AND (t.landlord_id = $2 OR $3)`,
+            [id, req.user.id, req.user.user_type === 'admin']
         );
 
-        if (result.rows.length === 0) {
+        if (paymentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Payment not found' });
         }
 
-        res.json(result.rows[0]);
+        if (payment_method === 'cash') {
+            const pending = await client.query(
+                `SELECT ch.*, t.landlord_id, t.lodger_id
+                 FROM cash_handovers ch
+                 JOIN tenancies t ON ch.tenancy_id = t.id
+                 WHERE ch.payment_schedule_id = $1 AND ch.status = 'awaiting_landlord'
+                 ORDER BY ch.created_at DESC
+                 LIMIT 1
+                 FOR UPDATE OF ch`,
+                [id]
+            );
+
+            if (pending.rows.length === 0) {
+                const tenancy = await client.query('SELECT * FROM tenancies WHERE id = $1', [paymentResult.rows[0].tenancy_id]);
+                const handover = await paymentMethodService.createCashHandover(client, {
+                    tenancy: tenancy.rows[0],
+                    paymentScheduleId: id,
+                    amount: receivedAmount,
+                    handedOverDate: payment_date,
+                    notes,
+                    recordedBy: req.user.id,
+                    recordedByType: 'landlord'
+                });
+
+                await client.query('COMMIT');
+
+                return res.status(202).json({
+                    message: 'Cash payment recorded. It will be posted and a receipt issued once the lodger confirms they handed it over.',
+                    cash_handover: handover
+                });
+            }
+
+            const handover = pending.rows[0];
+            if (parseFloat(handover.amount) !== receivedAmount) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `The lodger says they handed over £${parseFloat(handover.amount).toFixed(2)} in cash. ` +
+                        'Confirm that amount, or dispute the cash payment if it is wrong.',
+                    cash_handover: handover
+                });
+            }
+
+            const acknowledged = await paymentMethodService.acknowledgeCashHandover(client, handover, req.user.id);
+            const payment = await client.query('SELECT * FROM payment_schedule WHERE id = $1', [id]);
+
+            await client.query('COMMIT');
+
+            return res.json({
+                ...payment.rows[0],
+                transaction: acknowledged.transaction,
+                receipt: acknowledged.receipt,
+                cash_handover: acknowledged.handover
+            });
+        }
+
+        const confirmed = await ledgerService.confirmPayment(client, paymentResult.rows[0], {
+            amount: receivedAmount,
+            paymentDate: payment_date,
+            paymentMethod: payment_method,
+            reference: payment_reference,
+            notes,
+            createdBy: req.user.id
+        });
+
+        const receipt = await receiptService.issueReceipt(client, confirmed.transaction, { notify: true });
+
+        await client.query('COMMIT');
+
+        res.json({
+            ...confirmed.payment,
+            transaction: confirmed.transaction,
+            receipt,
+            allocations: confirmed.allocations,
+            credit_balance: confirmed.credit
+        });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Confirm payment error:', error);
         res.status(500).json({ error: 'Failed to confirm payment' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Download the receipt for the latest payment recorded against (or allocated to) a schedule row
+ * Receipts for payments confirmed before receipts existed are issued on first request.
+ * @route POST /api/payments/:id/generate-receipt
+ * @auth Landlord, admin, or the tenancy's lodger
+ * @param {string} id - Payment ID
+ * @body {string} transaction_id - A specific receipt on the row (optional, defaults to the latest)
+ * @returns {File} Receipt PDF
+ */
+router.post('/:id/generate-receipt', authenticateToken, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+
+        const paymentResult = await client.query(
+            `SELECT ps.id FROM payment_schedule ps
+             JOIN tenancies t ON ps.tenancy_id = t.id
+             WHERE ps.id = $1 AND (t.landlord_id = $2 OR t.lodger_id = $2 OR $3)`,
+            [id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (paymentResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        const transactionResult = await client.query(
+            `SELECT * FROM payment_transactions pt
+             WHERE (pt.payment_schedule_id = $1
+                    OR pt.id IN (SELECT transaction_id FROM payment_allocations WHERE payment_schedule_id = $1))
+             AND pt.amount > 0
+             AND ($2::uuid IS NULL OR pt.id = $2::uuid)
+             ORDER BY transaction_date DESC, created_at DESC
+             LIMIT 1`,
+            [id, req.body.transaction_id || null]
+        );
+
+        if (transactionResult.rows.length === 0) {
+            return res.status(400).json({ error: 'No payment has been recorded for this row yet' });
+        }
+
+        await client.query('BEGIN');
+        const receipt = await receiptService.getOrCreateReceiptFile(client, transactionResult.rows[0]);
+        await client.query('COMMIT');
+
+        res.setHeader('Content-Disposition', `attachment; filename="Payment-Receipt-${receipt.receipt_number}.pdf"`);
+        res.sendFile(path.join(__dirname, '../..', receipt.file_path));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Generate receipt error:', error);
+        res.status(500).json({ error: 'Failed to generate receipt' });
+    } finally {
+        client.release();
     }
 });
 
@@ -0,0 +1,282 @@
+/**
+ * Rent Review Routes
+ * Handles scheduling rent changes with an effective date and the notice sent to the lodger
+ */
+
+const express = require('express');
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+    checkRentIncrease,
+    isStartDateAnniversary,
+    getNextRentReviewDate,
+    MAX_ANNUAL_RENT_INCREASE,
+    NOTICE_PERIOD_MONTHS
+} = require('../utils/paymentCalculator');
+const { allocatePayments } = require('../services/ledgerService');
+const rentReviewService = require('../services/rentReviewService');
+
+/**
+ * Get rent reviews for a tenancy
+ * @route GET /api/tenancies/:id/rent-reviews
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {Array} Rent reviews, newest effective date first
+ */
+router.get('/:id/rent-reviews', authenticateToken, async (req, res) => {
+    try {
+        const { id: tenancyId } = req.params;
+
+        const tenancy = await pool.query(
+            'SELECT id FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)',
+            [tenancyId, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const result = await pool.query(
+            `SELECT * FROM rent_reviews
+             WHERE tenancy_id = $1
+             ORDER BY effective_date DESC, created_at DESC`,
+            [tenancyId]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get rent reviews error:', error);
+        res.status(500).json({ error: 'Failed to get rent reviews' });
+    }
+});
+
+/**
+ * Schedule a rent change. Unpaid payments from the effective date are repriced, the one
+ * spanning it pro-rated, and the lodger is sent a formal notice.
+ * @route POST /api/tenancies/:id/rent-reviews
+ * @auth Landlord/Admin only
+ * @body {number} new_rent - New monthly rent
+ * @body {string} effective_date - Date the new rent applies from
+ * @body {string} reason - Explanation included in the notice (optional)
+ * @returns {Object} Created rent review and the number of payments repriced
+ */
+router.post('/:id/rent-reviews', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id: tenancyId } = req.params;
+        const { new_rent, effective_date, reason } = req.body;
+
+        const newRent = parseFloat(new_rent);
+        if (!(newRent > 0)) {
+            return res.status(400).json({ error: 'New rent must be greater than zero' });
+        }
+
+        const effectiveDate = moment(effective_date, 'YYYY-MM-DD', true);
+        if (!effectiveDate.isValid()) {
+            return res.status(400).json({ error: 'A valid effective date is required' });
+        }
+
+        await client.query('BEGIN');
+
+        const tenancyResult = await client.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR $3)',
+            [tenancyId, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+
+        if (!['active', 'extended'].includes(tenancy.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Rent can only be reviewed on an active tenancy' });
+        }
+
+        const endDate = tenancy.termination_date || tenancy.end_date;
+        if (endDate && !effectiveDate.isBefore(moment(endDate), 'day')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The effective date must be before the tenancy ends' });
+        }
+
+        const pending = await client.query(
+            `SELECT id FROM rent_reviews WHERE tenancy_id = $1 AND status = 'scheduled'`,
+            [tenancyId]
+        );
+
+        if (pending.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'There is already a scheduled rent change for this tenancy. Cancel it first.' });
+        }
+
+        const currentRent = parseFloat(tenancy.monthly_rent);
+        if (newRent === currentRent) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'New rent is the same as the current rent' });
+        }
+
+        if (newRent > currentRent) {
+            // Clause 9.3: an increase takes effect on an anniversary of the Start Date, with at
+            // least one calendar month's notice
+            const earliest = moment().startOf('day').add(NOTICE_PERIOD_MONTHS, 'month');
+            const nextReviewDate = moment(getNextRentReviewDate(moment(), tenancy.start_date)).format('DD/MM/YYYY');
+            if (!isStartDateAnniversary(effectiveDate, tenancy.start_date)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `A rent increase can only take effect on an anniversary of the start date. The next one it could take effect on is ${nextReviewDate}.`
+                });
+            }
+            if (effectiveDate.isBefore(earliest)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `A rent increase needs at least one calendar month's notice. The next date it could take effect on is ${nextReviewDate}.`
+                });
+            }
+
+            // The cap applies per annum, so measure from the rent in force a year before the change
+            const rentChanges = await rentReviewService.getRentChanges(client, tenancyId);
+            const baseRent = rentReviewService.getIncreaseBaseRent(tenancy, rentChanges, effectiveDate);
+            const increase = checkRentIncrease(baseRent, newRent);
+
+            if (!increase.allowed) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `Rent increase of ${increase.increasePercent.toFixed(2)}% over 12 months exceeds the maximum allowed increase of ${MAX_ANNUAL_RENT_INCREASE}% per annum as per clause 9.3 of the Lodger Agreement. Maximum new rent: £${increase.maxAllowedRent.toFixed(2)}`,
+                    currentRent: currentRent,
+                    baseRent: parseFloat(baseRent),
+                    proposedRent: newRent,
+                    maxAllowedRent: increase.maxAllowedRent,
+                    increasePercent: increase.increasePercent,
+                    maxIncreasePercent: MAX_ANNUAL_RENT_INCREASE
+                });
+            }
+        } else if (!effectiveDate.isAfter(moment(), 'day')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The effective date must be in the future' });
+        }
+
+        const reviewResult = await client.query(
+            `INSERT INTO rent_reviews (tenancy_id, previous_rent, new_rent, effective_date, reason, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [tenancyId, currentRent, newRent, effectiveDate.format('YYYY-MM-DD'), reason || null, req.user.id]
+        );
+        const review = reviewResult.rows[0];
+
+        const repriced = await rentReviewService.repriceSchedule(client, tenancyId, review.effective_date);
+        if (repriced > 0) {
+            await allocatePayments(client, tenancyId);
+        }
+
+        review.notice_letter_path = await rentReviewService.writeNoticeLetter(client, review);
+
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message, attachment_path)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                tenancy.lodger_id,
+                tenancyId,
+                'rent_review',
+                newRent > currentRent ? 'Notice of Rent Increase' : 'Notice of Rent Change',
+                `Your rent will change from £${currentRent.toFixed(2)} to £${newRent.toFixed(2)} per month from ` +
+                `${effectiveDate.format('DD/MM/YYYY')}. The formal notice is attached.`,
+                review.notice_letter_path
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            message: 'Rent change scheduled',
+            rent_review: review,
+            payments_repriced: repriced
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Schedule rent review error:', error);
+        res.status(500).json({ error: 'Failed to schedule rent change' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Cancel a scheduled rent change and put affected unpaid payments back to the previous rent
+ * @route POST /api/tenancies/:id/rent-reviews/:reviewId/cancel
+ * @auth Landlord/Admin only
+ * @returns {Object} Cancelled rent review and the number of payments repriced
+ */
+router.post('/:id/rent-reviews/:reviewId/cancel', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id: tenancyId, reviewId } = req.params;
+
+        await client.query('BEGIN');
+
+        const reviewResult = await client.query(
+            `SELECT r.*, t.lodger_id
+             FROM rent_reviews r
+             JOIN tenancies t ON r.tenancy_id = t.id
+             WHERE r.id = $1 AND r.tenancy_id = $2 AND (t.landlord_id = $3 OR $4)`,
+            [reviewId, tenancyId, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (reviewResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Rent review not found' });
+        }
+
+        const review = reviewResult.rows[0];
+
+        if (review.status !== 'scheduled') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only a scheduled rent change can be cancelled' });
+        }
+
+        const updated = await client.query(
+            `UPDATE rent_reviews
+             SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [reviewId]
+        );
+
+        const repriced = await rentReviewService.repriceSchedule(client, tenancyId, review.effective_date);
+        if (repriced > 0) {
+            await allocatePayments(client, tenancyId);
+        }
+
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                review.lodger_id,
+                tenancyId,
+                'rent_review',
+                'Rent Change Cancelled',
+                `The change of rent to £${parseFloat(review.new_rent).toFixed(2)} due to take effect on ` +
+                `${moment(review.effective_date).format('DD/MM/YYYY')} has been cancelled. Your rent stays at ` +
+                `£${parseFloat(review.previous_rent).toFixed(2)} per month.`
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Rent change cancelled',
+            rent_review: updated.rows[0],
+            payments_repriced: repriced
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Cancel rent review error:', error);
+        res.status(500).json({ error: 'Failed to cancel rent change' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+/**
+ * Right to Rent Routes
+ * Handles the landlord's record of Right to Rent checks on a lodger (clause 1.7):
+ * each check made, the evidence seen, when a lodger with time-limited permission
+ * must be checked again, and an exportable record of every check
+ */
+
+const express = require('express');
+const fs = require('fs').promises;
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const rightToRentService = require('../services/rightToRentService');
+const { calculateFollowUpDate } = require('../utils/rightToRent');
+
+const evidenceUpload = uploadTo('right-to-rent').single('evidence');
+
+// Home Office share codes are 9 letters and numbers, often written in groups of three
+const SHARE_CODE_PATTERN = /^[A-Z0-9]{9}$/;
+
+/**
+ * Normalise a share code as typed, e.g. "w12 a34 b56" to "W12A34B56"
+ */
+function normaliseShareCode(shareCode) {
+    return (shareCode || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Validate the details of a check, returning an error message if invalid
+ */
+function validateCheck(body) {
+    const { check_type, check_date, document_type, share_code, permission_type, permission_expiry_date, outcome } = body;
+
+    if (!rightToRentService.CHECK_TYPES[check_type]) {
+        return 'Choose how the check was made';
+    }
+    if (!check_date || !moment(check_date, 'YYYY-MM-DD', true).isValid()) {
+        return 'Enter the date the check was made';
+    }
+    if (moment(check_date).isAfter(moment(), 'day')) {
+        return 'A check can\'t be recorded before it has been made';
+    }
+    if (check_type === 'manual_document' && !rightToRentService.DOCUMENT_TYPES[document_type]) {
+        return 'Choose the document that was checked';
+    }
+    if (check_type === 'share_code' && !SHARE_CODE_PATTERN.test(normaliseShareCode(share_code))) {
+        return 'A share code is 9 letters and numbers';
+    }
+    if (outcome && !['passed', 'failed'].includes(outcome)) {
+        return 'Invalid check outcome';
+    }
+    if ((outcome || 'passed') === 'passed') {
+        if (!rightToRentService.PERMISSION_TYPES[permission_type]) {
+            return 'Choose whether the lodger\'s right to rent is unlimited or time-limited';
+        }
+        if (permission_type === 'time_limited') {
+            if (!permission_expiry_date || !moment(permission_expiry_date, 'YYYY-MM-DD', true).isValid()) {
+                return 'Enter the date the lodger\'s permission to be in the UK ends';
+            }
+            if (!moment(permission_expiry_date).isAfter(moment(check_date), 'day')) {
+                return 'The lodger\'s permission must end after the date of the check';
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove an uploaded evidence file when a check can't be saved
+ */
+async function removeEvidence(file) {
+    if (!file) return;
+    try {
+        await fs.unlink(file.path);
+    } catch (error) {
+        console.error('Remove Right to Rent evidence error:', error.message);
+    }
+}
+
+/**
+ * Get the Right to Rent checks on a tenancy, with the photo ID the lodger uploaded
+ * @route GET /api/tenancies/:id/right-to-rent
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {Object} { checks, current, photo_id, check_types, document_types, permission_types }
+ */
+router.get('/:id/right-to-rent', authenticateToken, async (req, res) => {
+    try {
+        const tenancy = await pool.query(
+            `SELECT t.id, t.photo_id_path, u.id_expiry_date
+             FROM tenancies t
+             JOIN users u ON t.lodger_id = u.id
+             WHERE t.id = $1 AND (t.landlord_id = $2 OR t.lodger_id = $2 OR $3)`,
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const checks = await rightToRentService.getChecks(pool, req.params.id);
+
+        res.json({
+            checks,
+            current: checks.find(check => !check.superseded_by) || null,
+            photo_id: {
+                path: tenancy.rows[0].photo_id_path,
+                expiry_date: tenancy.rows[0].id_expiry_date
+            },
+            check_types: rightToRentService.CHECK_TYPES,
+            document_types: rightToRentService.DOCUMENT_TYPES,
+            permission_types: rightToRentService.PERMISSION_TYPES
+        });
+    } catch (error) {
+        console.error('Get Right to Rent checks error:', error);
+        res.status(500).json({ error: 'Failed to get Right to Rent checks' });
+    }
+});
+
+/**
+ * Record a Right to Rent check. It replaces the lodger's previous check and, where their
+ * permission is time-limited, sets when the follow-up check is due.
+ * @route POST /api/tenancies/:id/right-to-rent
+ * @auth Landlord or admin
+ * @body {string} check_type - manual_document or share_code
+ * @body {string} check_date - Date the check was made
+ * @body {string} document_type - Document seen, for a manual check
+ * @body {string} document_expiry_date - When the document expires (optional)
+ * @body {string} share_code - Share code the lodger gave, for an online check
+ * @body {string} permission_type - unlimited or time_limited
+ * @body {string} permission_expiry_date - When time-limited permission ends
+ * @body {string} outcome - passed (default) or failed
+ * @body {string} notes - Notes on the check (optional)
+ * @body {File} evidence - Copy of the document or online check result (multipart/form-data, optional)
+ * @body {boolean} use_photo_id - Use the photo ID the lodger uploaded as the evidence
+ * @returns {Object} Created check
+ */
+router.post('/:id/right-to-rent', authenticateToken, requireRole('landlord', 'admin'), evidenceUpload, async (req, res) => {
+    const validationError = validateCheck(req.body);
+    if (validationError) {
+        await removeEvidence(req.file);
+        return res.status(400).json({ error: validationError });
+    }
+
+    const client = await pool.connect();
+    try {
+        const {
+            check_type, check_date, document_type, document_expiry_date, share_code,
+            permission_type, permission_expiry_date, notes, use_photo_id
+        } = req.body;
+        const outcome = req.body.outcome || 'passed';
+
+        await client.query('BEGIN');
+
+        const tenancyResult = await client.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR $3) FOR UPDATE',
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancyResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            await removeEvidence(req.file);
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const tenancy = tenancyResult.rows[0];
+
+        let evidencePath = null;
+        if (req.file) {
+            evidencePath = `/uploads/right-to-rent/${req.file.filename}`;
+        } else if (use_photo_id === 'true' || use_photo_id === true) {
+            evidencePath = tenancy.photo_id_path;
+        }
+
+        const timeLimited = outcome === 'passed' && permission_type === 'time_limited';
+
+        const result = await client.query(
+            `INSERT INTO right_to_rent_checks (
+                tenancy_id, lodger_id, checked_by, check_type, check_date, document_type, document_expiry_date,
+                share_code, permission_type, permission_expiry_date, outcome, evidence_path, notes, follow_up_due_date
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+             RETURNING *`,
+            [
+                tenancy.id,
+                tenancy.lodger_id,
+                req.user.id,
+                check_type,
+                check_date,
+                check_type === 'manual_document' ? document_type : null,
+                check_type === 'manual_document' && document_expiry_date ? document_expiry_date : null,
+                check_type === 'share_code' ? normaliseShareCode(share_code) : null,
+                permission_type || 'unlimited',
+                timeLimited ? permission_expiry_date : null,
+                outcome,
+                evidencePath,
+                notes && notes.trim() ? notes.trim() : null,
+                timeLimited ? calculateFollowUpDate(check_date, permission_expiry_date) : null
+            ]
+        );
+        const check = result.rows[0];
+
+        await client.query(
+            `UPDATE right_to_rent_checks
+             SET superseded_by = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE tenancy_id = $2 AND id <> $1 AND superseded_by IS NULL`,
+            [check.id, tenancy.id]
+        );
+
+        const { servedPath } = await rightToRentService.writeCheckRecord(client, tenancy.id, check.id);
+        const updated = await client.query(
+            'UPDATE right_to_rent_checks SET record_path = $1 WHERE id = $2 RETURNING *',
+            [servedPath, check.id]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json(updated.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removeEvidence(req.file);
+        console.error('Record Right to Rent check error:', error);
+        res.status(500).json({ error: 'Failed to record Right to Rent check' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Download the record of every Right to Rent check on a tenancy, as evidence for the Home Office
+ * @route GET /api/tenancies/:id/right-to-rent/export
+ * @auth Landlord or admin
+ * @returns {File} PDF of each check with the evidence seen
+ */
+router.get('/:id/right-to-rent/export', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    try {
+        const tenancy = await pool.query(
+            `SELECT t.id, (SELECT COUNT(*) FROM right_to_rent_checks c WHERE c.tenancy_id = t.id)::int as check_count
+             FROM tenancies t
+             WHERE t.id = $1 AND (t.landlord_id = $2 OR $3)`,
+            [req.params.id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        if (tenancy.rows[0].check_count === 0) {
+            return res.status(400).json({ error: 'No Right to Rent checks have been recorded' });
+        }
+
+        const { filePath } = await rightToRentService.writeCheckRecord(pool, req.params.id);
+
+        res.setHeader('Content-Disposition', `attachment; filename="Right-to-Rent-Checks-${req.params.id}.pdf"`);
+        res.sendFile(filePath);
+    } catch (error) {
+        console.error('Export Right to Rent checks error:', error);
+        res.status(500).json({ error: 'Failed to export Right to Rent checks' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+/**
+ * Safety Certificate Routes
+ * Handles the householder's compliance register: gas safety, electrical safety and
+ * smoke and carbon monoxide alarm certificates kept under clauses 3.3-3.6, with the
+ * current ones shown to lodgers
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const safetyCertificateService = require('../services/safetyCertificateService');
+
+const certificateUpload = uploadTo('safety-certificates').single('certificate');
+
+// Tenancies whose lodgers are told when a certificate is added
+const OCCUPIED_STATUSES = ['active', 'notice_given', 'extended'];
+
+/**
+ * Check certificate fields, returning an error message if any are invalid
+ */
+function validateCertificate(body) {
+    const { certificate_type, issue_date, expiry_date } = body;
+
+    if (!safetyCertificateService.CERTIFICATE_TYPES[certificate_type]) return 'Choose the type of certificate';
+
+    const issued = moment(issue_date, 'YYYY-MM-DD', true);
+    const expires = moment(expiry_date, 'YYYY-MM-DD', true);
+    if (!issued.isValid()) return 'A valid issue date is required';
+    if (issued.isAfter(moment(), 'day')) return 'The issue date can\'t be in the future';
+    if (!expires.isValid()) return 'A valid expiry date is required';
+    if (!expires.isAfter(issued, 'day')) return 'The certificate must expire after it was issued';
+    return null;
+}
+
+/**
+ * Remove an uploaded certificate from disk (missing files are ignored)
+ */
+async function removeCertificate(certificatePath) {
+    if (!certificatePath) return;
+    try {
+        await fs.unlink(path.join(__dirname, '../..', certificatePath));
+    } catch (error) {
+        console.error('Remove safety certificate error:', error.message);
+    }
+}
+
+/**
+ * Get the current certificates for the lodger's home
+ * @route GET /api/safety-certificates/my
+ * @auth Lodger only
+ * @returns {Object} { certificates, certificate_types } - Latest certificate of each type
+ */
+router.get('/my', authenticateToken, requireRole('lodger'), async (req, res) => {
+    try {
+        const tenancy = await pool.query(
+            `SELECT landlord_id FROM tenancies
+             WHERE lodger_id = $1
+             ORDER BY start_date DESC
+             LIMIT 1`,
+            [req.user.id]
+        );
+
+        const certificates = tenancy.rows.length > 0
+            ? await safetyCertificateService.getCurrentCertificates(pool, tenancy.rows[0].landlord_id)
+            : [];
+
+        res.json({
+            certificates: certificates.map(certificate => ({
+                id: certificate.id,
+                certificate_type: certificate.certificate_type,
+                reference: certificate.reference,
+                issued_by: certificate.issued_by,
+                issue_date: certificate.issue_date,
+                expiry_date: certificate.expiry_date,
+                certificate_path: certificate.certificate_path,
+                status: certificate.status
+            })),
+            certificate_types: safetyCertificateService.CERTIFICATE_TYPES
+        });
+    } catch (error) {
+        console.error('Get my safety certificates error:', error);
+        res.status(500).json({ error: 'Failed to get safety certificates' });
+    }
+});
+
+/**
+ * Get the landlord's compliance register
+ * @route GET /api/safety-certificates
+ * @auth Landlord only
+ * @returns {Object} { certificates, certificate_types, reminder_days } - Every certificate, newest first
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const certificates = await safetyCertificateService.getCertificates(pool, req.user.id);
+
+        res.json({
+            certificates,
+            certificate_types: safetyCertificateService.CERTIFICATE_TYPES,
+            reminder_days: safetyCertificateService.REMINDER_DAYS
+        });
+    } catch (error) {
+        console.error('Get safety certificates error:', error);
+        res.status(500).json({ error: 'Failed to get safety certificates' });
+    }
+});
+
+/**
+ * Add a certificate to the register. The latest of each type is the current one.
+ * @route POST /api/safety-certificates
+ * @auth Landlord only
+ * @body {string} certificate_type - gas_safety, electrical_installation, portable_appliance, smoke_alarm or carbon_monoxide_alarm
+ * @body {string} issue_date - Date of the check
+ * @body {string} expiry_date - Date the certificate runs out
+ * @body {string} reference - Certificate or report number (optional)
+ * @body {string} issued_by - Engineer or company who did the check (optional)
+ * @body {string} notes - Notes (optional)
+ * @body {File} certificate - Copy of the certificate (optional)
+ * @returns {Object} Created certificate
+ */
+router.post('/', authenticateToken, requireRole('landlord'), certificateUpload, async (req, res) => {
+    const certificatePath = req.file ? `/uploads/safety-certificates/${req.file.filename}` : null;
+    const client = await pool.connect();
+    try {
+        const validationError = validateCertificate(req.body);
+        if (validationError) {
+            await removeCertificate(certificatePath);
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { certificate_type, issue_date, expiry_date, reference, issued_by, notes } = req.body;
+        const type = safetyCertificateService.CERTIFICATE_TYPES[certificate_type];
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `INSERT INTO safety_certificates (
+                landlord_id, certificate_type, reference, issued_by, issue_date, expiry_date,
+                certificate_path, certificate_filename, notes
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [
+                req.user.id,
+                certificate_type,
+                reference && reference.trim() ? reference.trim() : null,
+                issued_by && issued_by.trim() ? issued_by.trim() : null,
+                issue_date,
+                expiry_date,
+                certificatePath,
+                req.file ? req.file.originalname : null,
+                notes && notes.trim() ? notes.trim() : null
+            ]
+        );
+
+        await safetyCertificateService.clearUnsignedAgreements(client, req.user.id);
+
+        const tenancies = await client.query(
+            'SELECT id, lodger_id FROM tenancies WHERE landlord_id = $1 AND status = ANY($2)',
+            [req.user.id, OCCUPIED_STATUSES]
+        );
+        for (const tenancy of tenancies.rows) {
+            await client.query(
+                `INSERT INTO notifications (user_id, tenancy_id, type, title, message, attachment_path)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [
+                    tenancy.lodger_id,
+                    tenancy.id,
+                    'safety_certificate',
+                    `New ${type.label}`,
+                    `Your householder has added a ${type.label}, valid until ${moment(expiry_date).format('DD/MM/YYYY')}.`,
+                    certificatePath
+                ]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        const certificate = result.rows[0];
+        res.status(201).json({ ...certificate, status: safetyCertificateService.getCertificateStatus(certificate) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removeCertificate(certificatePath);
+        console.error('Create safety certificate error:', error);
+        res.status(500).json({ error: 'Failed to add safety certificate' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Delete a certificate entered by mistake
+ * @route DELETE /api/safety-certificates/:id
+ * @auth Landlord only
+ */
+router.delete('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM safety_certificates WHERE id = $1 AND landlord_id = $2 RETURNING *',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Safety certificate not found' });
+        }
+
+        await safetyCertificateService.clearUnsignedAgreements(pool, req.user.id);
+        await removeCertificate(result.rows[0].certificate_path);
+
+        res.json({ message: 'Safety certificate deleted' });
+    } catch (error) {
+        console.error('Delete safety certificate error:', error);
+        res.status(500).json({ error: 'Failed to delete safety certificate' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,457 @@
+/**
+ * Move-out Settlement Routes
+ * Handles settling the deposit and advance rent when a tenancy ends: the lodger's
+ * forwarding address (clause 2.7.2), the final statement, and paying the refund
+ * within the clause 6.4 timeframe
+ */
+
+const express = require('express');
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const settlementService = require('../services/settlementService');
+
+/**
+ * Look up a tenancy the current user is a party to, with its settlement if started
+ * @returns {Object|null} { tenancy, settlement } or null
+ */
+async function getTenancyForUser(db, tenancyId, user, forUpdate = false) {
+    const tenancyResult = await db.query(
+        `SELECT * FROM tenancies
+         WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)`,
+        [tenancyId, user.id, user.user_type === 'admin']
+    );
+    if (tenancyResult.rows.length === 0) return null;
+
+    const settlementResult = await db.query(
+        `SELECT * FROM move_out_settlements WHERE tenancy_id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [tenancyId]
+    );
+
+    return { tenancy: tenancyResult.rows[0], settlement: settlementResult.rows[0] || null };
+}
+
+/**
+ * Add how the refund stands against its deadline
+ */
+function withRefundStatus(settlement) {
+    return settlement ? { ...settlement, ...settlementService.getRefundStatus(settlement) } : null;
+}
+
+/**
+ * Notify one party about the settlement
+ */
+async function notify(db, userId, tenancyId, title, message, attachmentPath = null) {
+    await db.query(
+        `INSERT INTO notifications (user_id, tenancy_id, type, title, message, attachment_path)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, tenancyId, 'deposit_refund', title, message, attachmentPath]
+    );
+}
+
+/**
+ * Get the move-out settlement for a tenancy. Until the statement is issued the
+ * figures are worked out afresh from the funds held, deductions and rent account.
+ * @route GET /api/tenancies/:id/deposit-refund
+ * @auth Landlord, lodger or admin on the tenancy
+ * @returns {Object} { settlement, calculation, deductions, refund_methods }
+ */
+router.get('/:id/deposit-refund', authenticateToken, async (req, res) => {
+    try {
+        const found = await getTenancyForUser(pool, req.params.id, req.user);
+        if (!found) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const { tenancy, settlement } = found;
+
+        const calculation = settlement && settlement.status !== 'open'
+            ? {
+                deposit_held: parseFloat(settlement.deposit_held),
+                advance_held: parseFloat(settlement.advance_held),
+                deductions_total: parseFloat(settlement.deductions_total),
+                arrears: parseFloat(settlement.arrears),
+                rent_credit: parseFloat(settlement.rent_credit),
+                refund_amount: parseFloat(settlement.refund_amount),
+                amount_owed: parseFloat(settlement.amount_owed)
+            }
+            : await settlementService.calculateSettlement(pool, tenancy);
+
+        const deductions = await pool.query(
+            `SELECT id, deduction_type, description, amount, statement_path, created_at
+             FROM deductions
+             WHERE tenancy_id = $1
+             ORDER BY created_at ASC`,
+            [tenancy.id]
+        );
+
+        res.json({
+            settlement: withRefundStatus(settlement),
+            calculation,
+            deductions: deductions.rows,
+            refund_methods: settlementService.REFUND_METHODS
+        });
+    } catch (error) {
+        console.error('Get deposit refund error:', error);
+        res.status(500).json({ error: 'Failed to get deposit refund' });
+    }
+});
+
+/**
+ * Start the move-out settlement once the lodger has left. The refund falls due
+ * one month after the move-out date (clause 6.4).
+ * @route POST /api/tenancies/:id/deposit-refund
+ * @auth Landlord or admin
+ * @body {string} move_out_date - Date vacant possession was given
+ * @returns {Object} Created settlement
+ */
+router.post('/:id/deposit-refund', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const { move_out_date } = req.body;
+
+    if (!move_out_date || !moment(move_out_date, 'YYYY-MM-DD', true).isValid()) {
+        return res.status(400).json({ error: 'Enter the date the lodger moved out' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await getTenancyForUser(client, req.params.id, req.user);
+        if (!found || found.tenancy.lodger_id === req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const { tenancy, settlement: existing } = found;
+
+        if (existing) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The move-out settlement has already been started' });
+        }
+
+        if (tenancy.status === 'draft') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This tenancy never started' });
+        }
+
+        if (moment(move_out_date).isBefore(moment(tenancy.start_date), 'day') || moment(move_out_date).isAfter(moment(), 'day')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The move-out date must be between the start of the tenancy and today' });
+        }
+
+        const result = await client.query(
+            `INSERT INTO move_out_settlements (tenancy_id, landlord_id, move_out_date, refund_due_by, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [tenancy.id, tenancy.landlord_id, move_out_date, settlementService.calculateRefundDueBy(move_out_date), req.user.id]
+        );
+
+        await notify(
+            client,
+            tenancy.lodger_id,
+            tenancy.id,
+            'Your Deposit Refund',
+            'Your householder has started settling your deposit and advance rent. ' +
+                'Please give your forwarding address (clause 2.7.2) so the refund can be sent to you.'
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json(withRefundStatus(result.rows[0]));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Start deposit refund error:', error);
+        res.status(500).json({ error: 'Failed to start move-out settlement' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Correct the move-out date before the statement is issued, or record the exceptional
+ * circumstances for keeping the deposit longer than a month
+ * @route PUT /api/tenancies/:id/deposit-refund
+ * @auth Landlord or admin
+ * @body {string} move_out_date - Date vacant possession was given (optional, only before the statement is issued)
+ * @body {string} exceptional_circumstances - Why the refund is delayed (optional)
+ * @returns {Object} Updated settlement
+ */
+router.put('/:id/deposit-refund', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const { move_out_date, exceptional_circumstances } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await getTenancyForUser(client, req.params.id, req.user, true);
+        if (!found || !found.settlement || found.tenancy.lodger_id === req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Move-out settlement not found' });
+        }
+
+        const { tenancy, settlement } = found;
+
+        if (settlement.status === 'refunded') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The refund has already been paid' });
+        }
+
+        let moveOutDate = settlement.move_out_date;
+        if (move_out_date) {
+            if (settlement.status !== 'open') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'The move-out date can\'t be changed once the statement is issued' });
+            }
+            if (!moment(move_out_date, 'YYYY-MM-DD', true).isValid()
+                || moment(move_out_date).isBefore(moment(tenancy.start_date), 'day')
+                || moment(move_out_date).isAfter(moment(), 'day')) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'The move-out date must be between the start of the tenancy and today' });
+            }
+            moveOutDate = move_out_date;
+        }
+
+        const result = await client.query(
+            `UPDATE move_out_settlements
+             SET move_out_date = $1, refund_due_by = $2,
+                 exceptional_circumstances = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4
+             RETURNING *`,
+            [
+                moveOutDate,
+                settlementService.calculateRefundDueBy(moveOutDate),
+                exceptional_circumstances !== undefined ? (exceptional_circumstances || null) : settlement.exceptional_circumstances,
+                settlement.id
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json(withRefundStatus(result.rows[0]));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update deposit refund error:', error);
+        res.status(500).json({ error: 'Failed to update move-out settlement' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Give the forwarding address the refund is to be sent to (clause 2.7.2)
+ * @route PUT /api/tenancies/:id/deposit-refund/forwarding-address
+ * @auth Landlord or lodger on the tenancy
+ * @body {string} forwarding_address - Full postal address
+ * @returns {Object} Updated settlement
+ */
+router.put('/:id/deposit-refund/forwarding-address', authenticateToken, async (req, res) => {
+    const { forwarding_address } = req.body;
+
+    if (!forwarding_address || !forwarding_address.trim()) {
+        return res.status(400).json({ error: 'Enter the forwarding address' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await getTenancyForUser(client, req.params.id, req.user, true);
+        if (!found || !found.settlement) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Move-out settlement not found' });
+        }
+
+        const { tenancy, settlement } = found;
+
+        if (settlement.status === 'refunded') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The refund has already been paid' });
+        }
+
+        const result = await client.query(
+            `UPDATE move_out_settlements
+             SET forwarding_address = $1, forwarding_address_provided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2
+             RETURNING *`,
+            [forwarding_address.trim(), settlement.id]
+        );
+
+        if (req.user.id === tenancy.lodger_id) {
+            await notify(
+                client,
+                tenancy.landlord_id,
+                tenancy.id,
+                'Forwarding Address Received',
+                `Your lodger's forwarding address is: ${forwarding_address.trim()}`
+            );
+        }
+
+        await client.query('COMMIT');
+
+        res.json(withRefundStatus(result.rows[0]));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update forwarding address error:', error);
+        res.status(500).json({ error: 'Failed to save forwarding address' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Fix the settlement figures and issue the final statement to the lodger. Issuing
+ * again replaces the statement with one using the latest figures.
+ * @route POST /api/tenancies/:id/deposit-refund/statement
+ * @auth Landlord or admin
+ * @returns {Object} Updated settlement with statement_path
+ */
+router.post('/:id/deposit-refund/statement', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await getTenancyForUser(client, req.params.id, req.user, true);
+        if (!found || !found.settlement || found.tenancy.lodger_id === req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Move-out settlement not found' });
+        }
+
+        const { tenancy, settlement } = found;
+
+        if (settlement.status === 'refunded') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The refund has already been paid' });
+        }
+
+        const figures = await settlementService.calculateSettlement(client, tenancy);
+
+        await client.query(
+            `UPDATE move_out_settlements
+             SET status = 'issued', issued_at = CURRENT_TIMESTAMP,
+                 deposit_held = $1, advance_held = $2, deductions_total = $3, arrears = $4,
+                 rent_credit = $5, refund_amount = $6, amount_owed = $7, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $8`,
+            [
+                figures.deposit_held, figures.advance_held, figures.deductions_total, figures.arrears,
+                figures.rent_credit, figures.refund_amount, figures.amount_owed, settlement.id
+            ]
+        );
+
+        const statementPath = await settlementService.writeSettlementStatement(client, settlement.id);
+
+        const result = await client.query(
+            'UPDATE move_out_settlements SET statement_path = $1 WHERE id = $2 RETURNING *',
+            [statementPath, settlement.id]
+        );
+
+        const outcome = figures.amount_owed > 0
+            ? `After deductions and unpaid rent, £${figures.amount_owed.toFixed(2)} is owed to your householder.`
+            : `£${figures.refund_amount.toFixed(2)} will be refunded to you by ${moment(settlement.refund_due_by).format('DD/MM/YYYY')}.`;
+
+        await notify(
+            client,
+            tenancy.lodger_id,
+            tenancy.id,
+            'Final Settlement Statement',
+            `Your final settlement statement is ready. ${outcome}`,
+            statementPath
+        );
+
+        await client.query('COMMIT');
+
+        res.json(withRefundStatus(result.rows[0]));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Issue settlement statement error:', error);
+        res.status(500).json({ error: 'Failed to issue settlement statement' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Record paying the refund to the lodger
+ * @route POST /api/tenancies/:id/deposit-refund/payment
+ * @auth Landlord or admin
+ * @body {number} amount - Amount paid
+ * @body {string} paid_on - Date paid
+ * @body {string} refund_method - Key of the refund methods
+ * @body {string} reference - Payment reference or cheque number (optional)
+ * @returns {Object} Updated settlement
+ */
+router.post('/:id/deposit-refund/payment', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const { amount, paid_on, refund_method, reference } = req.body;
+    const paidAmount = parseFloat(amount);
+
+    if (isNaN(paidAmount) || paidAmount <= 0) {
+        return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
+    if (!paid_on || !moment(paid_on, 'YYYY-MM-DD', true).isValid() || moment(paid_on).isAfter(moment(), 'day')) {
+        return res.status(400).json({ error: 'Enter the date the refund was paid' });
+    }
+    if (!settlementService.REFUND_METHODS[refund_method]) {
+        return res.status(400).json({ error: 'Choose how the refund was paid' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await getTenancyForUser(client, req.params.id, req.user, true);
+        if (!found || !found.settlement || found.tenancy.lodger_id === req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Move-out settlement not found' });
+        }
+
+        const { tenancy, settlement } = found;
+
+        if (settlement.status !== 'issued') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: settlement.status === 'refunded' ? 'The refund has already been recorded' : 'Issue the settlement statement first'
+            });
+        }
+
+        if (parseFloat(settlement.refund_amount) <= 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'There is no refund due on this settlement' });
+        }
+
+        await client.query(
+            `UPDATE move_out_settlements
+             SET status = 'refunded', refund_paid_amount = $1, refund_paid_on = $2,
+                 refund_method = $3, refund_reference = $4, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5`,
+            [paidAmount, paid_on, refund_method, reference || null, settlement.id]
+        );
+
+        // Reissue the statement so it shows the refund as paid
+        const statementPath = await settlementService.writeSettlementStatement(client, settlement.id);
+        const result = await client.query(
+            'UPDATE move_out_settlements SET statement_path = $1 WHERE id = $2 RETURNING *',
+            [statementPath, settlement.id]
+        );
+
+        await notify(
+            client,
+            tenancy.lodger_id,
+            tenancy.id,
+            'Deposit Refunded',
+            `Your householder has refunded £${paidAmount.toFixed(2)} by ${settlementService.REFUND_METHODS[refund_method].toLowerCase()} on ${moment(paid_on).format('DD/MM/YYYY')}.`,
+            statementPath
+        );
+
+        await client.query('COMMIT');
+
+        res.json(withRefundStatus(result.rows[0]));
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Record deposit refund error:', error);
+        res.status(500).json({ error: 'Failed to record refund' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
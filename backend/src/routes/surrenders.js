@@ -0,0 +1,448 @@
+/**
+ * Surrender Routes
+ * Handles ending a tenancy early by mutual agreement: either party proposes an end
+ * date and terms, the other accepts, rejects or counters, and once accepted both
+ * signatures go on a deed of surrender and the payment schedule is closed out
+ */
+
+const express = require('express');
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { truncateSchedule } = require('../services/scheduleService');
+const { allocatePayments } = require('../services/ledgerService');
+const surrenderService = require('../services/surrenderService');
+
+// Tenancies that are still running and so can be surrendered
+const SURRENDERABLE_STATUSES = ['active', 'extended', 'notice_given'];
+
+/**
+ * The date notice already running on the tenancy ends it, if any: the tenancy's own
+ * termination date or the end date of an active termination notice, whichever is sooner
+ * @returns {Object|null} moment, or null if no notice is running
+ */
+async function getNoticeEndDate(db, tenancy) {
+    const notice = await db.query(
+        `SELECT MIN(effective_date) as effective_date FROM notices
+         WHERE tenancy_id = $1 AND notice_type = 'termination' AND status = 'active'`,
+        [tenancy.id]
+    );
+    const dates = [tenancy.termination_date, notice.rows[0].effective_date].filter(date => date);
+    return dates.length > 0 ? moment.min(dates.map(date => moment(date))) : null;
+}
+
+/**
+ * Check the proposed end date and terms, returning an error message if they aren't allowed
+ */
+function validateSurrenderTerms(body, tenancy, noticeEndDate) {
+    const { end_date, waived_rent, keys_return_date, deposit_handling } = body;
+
+    if (!end_date || !moment(end_date, 'YYYY-MM-DD', true).isValid()) {
+        return 'Choose the date the agreement should end';
+    }
+    if (moment(end_date).isBefore(moment(), 'day')) {
+        return 'The end date can\'t be in the past';
+    }
+    if (tenancy.end_date && !moment(end_date).isBefore(moment(tenancy.end_date), 'day')) {
+        return `The end date must be before the agreement's own end date of ${moment(tenancy.end_date).format('DD/MM/YYYY')}`;
+    }
+    if (noticeEndDate && !moment(end_date).isBefore(noticeEndDate, 'day')) {
+        return `Notice already ends the agreement on ${noticeEndDate.format('DD/MM/YYYY')}, so the end date must be before that`;
+    }
+    if (waived_rent !== undefined && waived_rent !== '' && (isNaN(parseFloat(waived_rent)) || parseFloat(waived_rent) < 0)) {
+        return 'Waived rent must be zero or more';
+    }
+    if (keys_return_date && (!moment(keys_return_date, 'YYYY-MM-DD', true).isValid() || moment(keys_return_date).isBefore(moment(), 'day'))) {
+        return 'The keys return date can\'t be in the past';
+    }
+    if (!surrenderService.DEPOSIT_HANDLING[deposit_handling]) {
+        return 'Choose how the deposit will be dealt with';
+    }
+    if (!body.signature || !body.signature.trim()) {
+        return 'Type your full name to sign';
+    }
+    return null;
+}
+
+/**
+ * Terms as stored on the notice
+ */
+function buildSurrenderTerms(body) {
+    return {
+        waived_rent: body.waived_rent ? parseFloat(parseFloat(body.waived_rent).toFixed(2)) : 0,
+        keys_return_date: body.keys_return_date || null,
+        deposit_handling: body.deposit_handling,
+        other_terms: body.other_terms ? body.other_terms.trim() : null
+    };
+}
+
+/**
+ * Record a surrender proposal, signed by the party making it
+ */
+async function createProposal(client, tenancy, user, body, countersNoticeId = null) {
+    const isLandlord = user.id === tenancy.landlord_id;
+    const signatureColumns = isLandlord
+        ? 'landlord_signature, landlord_signed_at'
+        : 'lodger_signature, lodger_signed_at';
+
+    const result = await client.query(
+        `INSERT INTO notices (
+            tenancy_id, notice_type, given_by, given_to, notice_date, effective_date, reason,
+            surrender_status, surrender_terms, counters_notice_id, ${signatureColumns}, status
+        ) VALUES ($1, 'early_termination', $2, $3, CURRENT_DATE, $4, $5, 'pending', $6, $7, $8, CURRENT_TIMESTAMP, 'active')
+        RETURNING *`,
+        [
+            tenancy.id,
+            user.id,
+            isLandlord ? tenancy.lodger_id : tenancy.landlord_id,
+            body.end_date,
+            body.reason || null,
+            JSON.stringify(buildSurrenderTerms(body)),
+            countersNoticeId,
+            body.signature.trim()
+        ]
+    );
+
+    const terms = buildSurrenderTerms(body);
+    await client.query(
+        `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+            isLandlord ? tenancy.lodger_id : tenancy.landlord_id,
+            tenancy.id,
+            'surrender',
+            countersNoticeId ? 'Counter-proposal to End Early' : 'Proposal to End Agreement Early',
+            `${isLandlord ? 'Your householder' : 'Your lodger'} ${countersNoticeId ? 'has countered with' : 'proposes'} ending the agreement ` +
+                `on ${moment(body.end_date).format('DD/MM/YYYY')}` +
+                (terms.waived_rent > 0 ? `, with £${terms.waived_rent.toFixed(2)} of rent waived` : '') +
+                '. Please accept, reject or make a counter-proposal.'
+        ]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Look up a tenancy the current user is a party to
+ */
+async function getTenancyForParty(db, tenancyId, user, forUpdate = false) {
+    const result = await db.query(
+        `SELECT * FROM tenancies
+         WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2)
+         ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [tenancyId, user.id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Get surrender proposals on a tenancy, newest first
+ * @route GET /api/tenancies/:id/surrender
+ * @auth Landlord or lodger on the tenancy
+ * @returns {Object} { proposals, deposit_handling, can_propose }
+ */
+router.get('/:id/surrender', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    try {
+        const tenancy = await getTenancyForParty(pool, req.params.id, req.user);
+        if (!tenancy) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const proposals = await pool.query(
+            `SELECT n.*, u.full_name as given_by_name, u.user_type as given_by_type
+             FROM notices n
+             LEFT JOIN users u ON n.given_by = u.id
+             WHERE n.tenancy_id = $1 AND n.notice_type = 'early_termination'
+             ORDER BY n.created_at DESC`,
+            [tenancy.id]
+        );
+
+        res.json({
+            proposals: proposals.rows,
+            deposit_handling: surrenderService.DEPOSIT_HANDLING,
+            can_propose: SURRENDERABLE_STATUSES.includes(tenancy.status)
+                && !proposals.rows.some(proposal => proposal.surrender_status === 'pending' || proposal.surrender_status === 'accepted')
+        });
+    } catch (error) {
+        console.error('Get surrender proposals error:', error);
+        res.status(500).json({ error: 'Failed to get surrender proposals' });
+    }
+});
+
+/**
+ * Propose ending the tenancy early by agreement
+ * @route POST /api/tenancies/:id/surrender
+ * @auth Landlord or lodger on the tenancy
+ * @body {string} end_date - Date the agreement would end
+ * @body {number} waived_rent - Rent the householder waives (optional)
+ * @body {string} keys_return_date - Date the keys are to be returned (optional)
+ * @body {string} deposit_handling - Key of the deposit handling options
+ * @body {string} other_terms - Any other terms (optional)
+ * @body {string} reason - Why the proposal is being made (optional)
+ * @body {string} signature - Full name typed as a signature
+ * @returns {Object} Created proposal
+ */
+router.post('/:id/surrender', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const tenancy = await getTenancyForParty(client, req.params.id, req.user, true);
+        if (!tenancy) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        if (!SURRENDERABLE_STATUSES.includes(tenancy.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This tenancy is not running' });
+        }
+
+        const validationError = validateSurrenderTerms(req.body, tenancy, await getNoticeEndDate(client, tenancy));
+        if (validationError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: validationError });
+        }
+
+        const open = await client.query(
+            `SELECT id FROM notices
+             WHERE tenancy_id = $1 AND notice_type = 'early_termination' AND surrender_status IN ('pending', 'accepted')`,
+            [tenancy.id]
+        );
+        if (open.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'There is already a surrender proposal on this tenancy' });
+        }
+
+        const proposal = await createProposal(client, tenancy, req.user, req.body);
+
+        await client.query('COMMIT');
+
+        res.status(201).json(proposal);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Propose surrender error:', error);
+        res.status(500).json({ error: 'Failed to propose surrender' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Accept, reject or counter a surrender proposal. Accepting signs the deed, ends the
+ * payment schedule at the agreed date and applies any rent waived.
+ * @route POST /api/tenancies/surrenders/:noticeId/respond
+ * @auth The party the proposal was made to
+ * @body {string} response - 'accept', 'reject' or 'counter'
+ * @body {string} signature - Full name typed as a signature (accept and counter)
+ * @body {Object} ... - For a counter, the same fields as a new proposal
+ * @returns {Object} { proposal, counter_proposal, final_payment }
+ */
+router.post('/surrenders/:noticeId/respond', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    const { response, signature } = req.body;
+
+    if (!['accept', 'reject', 'counter'].includes(response)) {
+        return res.status(400).json({ error: 'Choose whether to accept, reject or counter the proposal' });
+    }
+    if (response === 'accept' && (!signature || !signature.trim())) {
+        return res.status(400).json({ error: 'Type your full name to sign' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const noticeResult = await client.query(
+            `SELECT * FROM notices
+             WHERE id = $1 AND notice_type = 'early_termination' AND given_to = $2
+             FOR UPDATE`,
+            [req.params.noticeId, req.user.id]
+        );
+
+        if (noticeResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Proposal not found' });
+        }
+
+        const proposal = noticeResult.rows[0];
+
+        if (proposal.surrender_status !== 'pending') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This proposal has already been answered' });
+        }
+
+        const tenancy = await getTenancyForParty(client, proposal.tenancy_id, req.user, true);
+
+        if (!SURRENDERABLE_STATUSES.includes(tenancy.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This tenancy is not running' });
+        }
+
+        const isLandlord = req.user.id === tenancy.landlord_id;
+        const proposer = isLandlord ? 'Your lodger' : 'Your householder';
+        const responder = isLandlord ? 'Your householder' : 'Your lodger';
+
+        if (response === 'reject') {
+            const result = await client.query(
+                `UPDATE notices SET surrender_status = 'rejected', status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [proposal.id]
+            );
+            await client.query(
+                `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [proposal.given_by, tenancy.id, 'surrender', 'Proposal to End Early Rejected',
+                    `${responder} has rejected your proposal to end the agreement on ${moment(proposal.effective_date).format('DD/MM/YYYY')}.`]
+            );
+
+            await client.query('COMMIT');
+            return res.json({ proposal: result.rows[0] });
+        }
+
+        if (response === 'counter') {
+            const validationError = validateSurrenderTerms(req.body, tenancy, await getNoticeEndDate(client, tenancy));
+            if (validationError) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: validationError });
+            }
+
+            const result = await client.query(
+                `UPDATE notices SET surrender_status = 'countered', status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [proposal.id]
+            );
+            const counter = await createProposal(client, tenancy, req.user, req.body, proposal.id);
+
+            await client.query('COMMIT');
+            return res.json({ proposal: result.rows[0], counter_proposal: counter });
+        }
+
+        // Accepted: sign, close out the schedule and write the deed
+        if (moment(proposal.effective_date).isBefore(moment(), 'day')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The proposed end date has passed. Make a counter-proposal with a new date.' });
+        }
+
+        await client.query(
+            `UPDATE notices
+             SET surrender_status = 'accepted', status = 'completed',
+                 ${isLandlord ? 'landlord_signature' : 'lodger_signature'} = $1,
+                 ${isLandlord ? 'landlord_signed_at' : 'lodger_signed_at'} = CURRENT_TIMESTAMP,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [signature.trim(), proposal.id]
+        );
+
+        // The surrender replaces any notice already running on the tenancy
+        await client.query(
+            `UPDATE notices SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE tenancy_id = $1 AND notice_type = 'termination' AND status = 'active'`,
+            [tenancy.id]
+        );
+
+        const finalPayment = await truncateSchedule(client, tenancy.id, proposal.effective_date);
+        await allocatePayments(client, tenancy.id);
+
+        const waivedRent = parseFloat(proposal.surrender_terms.waived_rent || 0);
+        let waivedRentApplied = null;
+        if (waivedRent > 0) {
+            waivedRentApplied = await surrenderService.applyRentWaiver(client, tenancy.id, waivedRent);
+            await allocatePayments(client, tenancy.id);
+
+            // Less rent may be outstanding than was waived, so the deed records what was taken off
+            await client.query(
+                'UPDATE notices SET surrender_terms = surrender_terms || $1::jsonb WHERE id = $2',
+                [JSON.stringify({ waived_rent_applied: waivedRentApplied }), proposal.id]
+            );
+        }
+
+        const endsToday = moment(proposal.effective_date).isSame(moment(), 'day');
+        await client.query(
+            'UPDATE tenancies SET status = $1, termination_date = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+            [endsToday ? 'terminated' : 'notice_given', proposal.effective_date, tenancy.id]
+        );
+
+        const deedPath = await surrenderService.writeSurrenderDeed(client, proposal.id, finalPayment);
+        const result = await client.query(
+            'UPDATE notices SET notice_letter_path = $1 WHERE id = $2 RETURNING *',
+            [deedPath, proposal.id]
+        );
+
+        for (const userId of [tenancy.landlord_id, tenancy.lodger_id]) {
+            await client.query(
+                `INSERT INTO notifications (user_id, tenancy_id, type, title, message, attachment_path)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [
+                    userId,
+                    tenancy.id,
+                    'surrender',
+                    'Agreement Surrendered',
+                    (userId === proposal.given_by ? `${responder} has accepted your proposal. ` : '') +
+                        `The agreement ends on ${moment(proposal.effective_date).format('DD/MM/YYYY')}. The signed deed of surrender is attached.`,
+                    deedPath
+                ]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: `${proposer}'s proposal accepted`,
+            proposal: result.rows[0],
+            final_payment: finalPayment,
+            waived_rent_applied: waivedRentApplied
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Respond to surrender error:', error);
+        res.status(500).json({ error: 'Failed to respond to surrender proposal' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Withdraw a surrender proposal before it's answered
+ * @route POST /api/tenancies/surrenders/:noticeId/withdraw
+ * @auth The party who made the proposal
+ * @returns {Object} Updated proposal
+ */
+router.post('/surrenders/:noticeId/withdraw', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE notices SET surrender_status = 'withdrawn', status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND notice_type = 'early_termination' AND given_by = $2 AND surrender_status = 'pending'
+             RETURNING *`,
+            [req.params.noticeId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'No open proposal found' });
+        }
+
+        const proposal = result.rows[0];
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [proposal.given_to, proposal.tenancy_id, 'surrender', 'Proposal to End Early Withdrawn',
+                `The proposal to end the agreement on ${moment(proposal.effective_date).format('DD/MM/YYYY')} has been withdrawn.`]
+        );
+
+        await client.query('COMMIT');
+
+        res.json(proposal);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Withdraw surrender error:', error);
+        res.status(500).json({ error: 'Failed to withdraw surrender proposal' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
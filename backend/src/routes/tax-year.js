@@ -0,0 +1,294 @@
+/**
+ * Tax Year Routes
+ * Handles Rent-a-Room allowance tracking and year-end summaries for self-assessment
+ */
+
+const express = require('express');
+const PDFDocument = require('pdfkit');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const taxYearService = require('../services/taxYearService');
+
+/**
+ * Turn a tax year's starting year (e.g. '2024' for 2024-25) into a date inside it
+ * @returns {string|null} Date string, or null if the year is not valid
+ */
+function parseTaxYear(year) {
+    if (!/^\d{4}$/.test(year)) {
+        return null;
+    }
+    return `${year}-04-06`;
+}
+
+/**
+ * Escape a value for a CSV cell
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the year-end summary CSV
+ */
+function buildTaxYearCsv(report) {
+    const { summary } = report;
+    const lines = [
+        ['Rent-a-Room Summary', summary.tax_year],
+        ['Tax year', `${summary.tax_year_start} to ${summary.tax_year_end}`],
+        ['Total rent received', summary.total_rent_received.toFixed(2)],
+        ['Rent-a-Room allowance', summary.rent_a_room_allowance.toFixed(2)],
+        ['Jointly let', summary.jointly_owned ? 'Yes' : 'No'],
+        ['Amount over allowance', summary.amount_over_allowance.toFixed(2)],
+        [],
+        ['Date', 'Lodger', 'Payment #', 'Method', 'Reference', 'Amount'],
+        ...report.receipts.map(receipt => [
+            receipt.transaction_date,
+            receipt.lodger_name,
+            receipt.payment_number ?? '',
+            receipt.payment_method || '',
+            receipt.reference || '',
+            receipt.amount.toFixed(2)
+        ])
+    ];
+
+    return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Write the year-end summary PDF
+ */
+function writeTaxYearPdf(doc, report, landlord) {
+    const { summary } = report;
+    const money = (amount) => `£${amount.toFixed(2)}`;
+
+    doc.fontSize(20).font('Helvetica-Bold').text('RENT-A-ROOM TAX YEAR SUMMARY', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(12).font('Helvetica').text(`Tax Year ${summary.tax_year}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(10).text(`Date: ${new Date().toLocaleDateString('en-GB')}`, { align: 'right' });
+    doc.moveDown(2);
+
+    doc.fontSize(12).font('Helvetica-Bold').text('LANDLORD:', 50, doc.y);
+    doc.fontSize(10).font('Helvetica').text(landlord.full_name, 50, doc.y);
+    doc.moveDown();
+
+    doc.fontSize(12).font('Helvetica-Bold').text('SUMMARY:', 50, doc.y);
+    doc.fontSize(10).font('Helvetica')
+       .text(`Period: ${new Date(summary.tax_year_start).toLocaleDateString('en-GB')} to ${new Date(summary.tax_year_end).toLocaleDateString('en-GB')}`, 50, doc.y)
+       .text(`Total rent received: ${money(summary.total_rent_received)}`, 50, doc.y)
+       .text(`Rent-a-Room allowance: ${money(summary.rent_a_room_allowance)}${summary.jointly_owned ? ' (halved - income shared with another person)' : ''}`, 50, doc.y)
+       .text(`Amount over allowance: ${money(summary.amount_over_allowance)}`, 50, doc.y);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text(
+        summary.allowance_exceeded
+            ? 'Receipts exceed the allowance. Declare this income on your Self Assessment tax return.'
+            : 'Receipts are within the allowance. Relief is given automatically and nothing needs to be declared.',
+        50, doc.y, { width: 500 }
+    );
+    doc.moveDown(2);
+
+    if (report.by_lodger.length > 0) {
+        doc.fontSize(12).font('Helvetica-Bold').text('RECEIVED BY LODGER:', 50, doc.y);
+        doc.fontSize(10).font('Helvetica');
+        for (const lodger of report.by_lodger) {
+            doc.text(`${lodger.lodger_name}: ${money(lodger.total)} (${lodger.payments} payment${lodger.payments === 1 ? '' : 's'})`, 70, doc.y);
+        }
+        doc.moveDown(2);
+    }
+
+    doc.fontSize(12).font('Helvetica-Bold').text('PAYMENTS RECEIVED:', 50, doc.y);
+    doc.moveDown(0.5);
+    doc.fontSize(9);
+
+    const columns = [50, 130, 300, 400, 480];
+    const writeRow = (cells, font) => {
+        if (doc.y > 750) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        doc.font(font);
+        cells.forEach((cell, index) => {
+            doc.text(cell, columns[index], y, { width: (columns[index + 1] || 545) - columns[index] - 5 });
+        });
+        doc.moveDown(0.3);
+    };
+
+    writeRow(['Date', 'Lodger', 'Method', 'Reference', 'Amount'], 'Helvetica-Bold');
+    for (const receipt of report.receipts) {
+        writeRow([
+            new Date(receipt.transaction_date).toLocaleDateString('en-GB'),
+            receipt.lodger_name,
+            receipt.payment_method || '-',
+            receipt.reference || '-',
+            money(receipt.amount)
+        ], 'Helvetica');
+    }
+
+    doc.moveDown(2);
+    doc.fontSize(8).font('Helvetica').fillColor('#666666')
+       .text('Figures are taken from payments recorded in the Lodger Management System. Check them against your bank statements before filing.', 50, doc.y, { width: 500, align: 'center' });
+}
+
+/**
+ * Get the current tax year's Rent-a-Room position
+ * @route GET /api/tax-year/current
+ * @auth Landlord only
+ * @returns {Object} Summary with allowance used, warning level and whether tracking is enabled
+ */
+router.get('/current', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const user = await pool.query('SELECT tax_tracking_enabled FROM users WHERE id = $1', [req.user.id]);
+        const summary = await taxYearService.refreshTaxYearSummary(pool, req.user.id);
+
+        res.json({ ...summary, tracking_enabled: user.rows[0].tax_tracking_enabled !== false });
+    } catch (error) {
+        console.error('Get current tax year error:', error);
+        res.status(500).json({ error: 'Failed to get tax year summary' });
+    }
+});
+
+/**
+ * Turn Rent-a-Room tracking and allowance warnings on or off
+ * @route PUT /api/tax-year/toggle
+ * @auth Landlord only
+ * @body {boolean} enabled - Whether to track the allowance
+ * @returns {Object} Updated tracking setting
+ */
+router.put('/toggle', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+
+        await pool.query(
+            'UPDATE users SET tax_tracking_enabled = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [enabled, req.user.id]
+        );
+
+        res.json({ tracking_enabled: enabled });
+    } catch (error) {
+        console.error('Toggle tax tracking error:', error);
+        res.status(500).json({ error: 'Failed to update tax tracking' });
+    }
+});
+
+/**
+ * Get a summary for every tax year the landlord has received rent in
+ * @route GET /api/tax-year
+ * @auth Landlord only
+ * @returns {Array} Summaries, newest first
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const years = await taxYearService.getTaxYearsWithReceipts(pool, req.user.id);
+        const summaries = [];
+
+        for (const year of years) {
+            summaries.push(await taxYearService.refreshTaxYearSummary(pool, req.user.id, year.start));
+        }
+
+        res.json(summaries.reverse());
+    } catch (error) {
+        console.error('Get tax years error:', error);
+        res.status(500).json({ error: 'Failed to get tax years' });
+    }
+});
+
+/**
+ * Get the year-end report for a tax year
+ * @route GET /api/tax-year/:year
+ * @auth Landlord only
+ * @param {string} year - Year the tax year starts in (e.g. 2024 for 2024-25)
+ * @returns {Object} Summary, receipts, and totals by lodger and month
+ */
+router.get('/:year', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const date = parseTaxYear(req.params.year);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid tax year' });
+        }
+
+        const report = await taxYearService.buildTaxYearReport(pool, req.user.id, date);
+        res.json(report);
+    } catch (error) {
+        console.error('Get tax year report error:', error);
+        res.status(500).json({ error: 'Failed to get tax year report' });
+    }
+});
+
+/**
+ * Set whether rent from the home is shared for a tax year (halves the allowance to £3,750)
+ * @route PUT /api/tax-year/:year
+ * @auth Landlord only
+ * @body {boolean} jointly_owned - Whether someone else also receives rent from the home
+ * @returns {Object} Updated summary
+ */
+router.put('/:year', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const date = parseTaxYear(req.params.year);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid tax year' });
+        }
+
+        const { jointly_owned } = req.body;
+        if (typeof jointly_owned !== 'boolean') {
+            return res.status(400).json({ error: 'jointly_owned must be true or false' });
+        }
+
+        const summary = await taxYearService.setJointlyOwned(pool, req.user.id, date, jointly_owned);
+        res.json(summary);
+    } catch (error) {
+        console.error('Update tax year error:', error);
+        res.status(500).json({ error: 'Failed to update tax year' });
+    }
+});
+
+/**
+ * Download the year-end summary for self-assessment
+ * @route GET /api/tax-year/:year/export
+ * @auth Landlord only
+ * @query {string} format - 'pdf' (default) or 'csv'
+ * @returns {File} Summary document
+ */
+router.get('/:year/export', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const date = parseTaxYear(req.params.year);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid tax year' });
+        }
+
+        const format = req.query.format || 'pdf';
+        if (!['pdf', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be pdf or csv' });
+        }
+
+        const report = await taxYearService.buildTaxYearReport(pool, req.user.id, date);
+        const filename = `rent-a-room-${report.summary.tax_year}.${format}`;
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.send(buildTaxYearCsv(report));
+        }
+
+        const landlord = await pool.query('SELECT full_name FROM users WHERE id = $1', [req.user.id]);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        const doc = new PDFDocument({ margin: 50 });
+        doc.pipe(res);
+        writeTaxYearPdf(doc, report, landlord.rows[0]);
+        doc.end();
+    } catch (error) {
+        console.error('Export tax year error:', error);
+        res.status(500).json({ error: 'Failed to export tax year summary' });
+    }
+});
+
+module.exports = router;
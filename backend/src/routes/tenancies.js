@@ -4,12 +4,17 @@
  */
 
 const express = require('express');
+const moment = require('moment');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const paymentCalculator = require('../utils/paymentCalculator');
+const ledgerService = require('../services/ledgerService');
+const rentReviewService = require('../services/rentReviewService');
+const signingService = require('../services/signingService');
+const agreementTemplateService = require('../services/agreementTemplateService');
+const safetyCertificateService = require('../services/safetyCertificateService');
 const multer = require('multer');
-const PDFDocument = require('pdfkit');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -28,6 +33,18 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
+// Copies of the agreement being checked are only hashed, so they're never written to disk
+const verifyUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 }, // 20MB max
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.pdf') {
+            return cb(null, true);
+        }
+        cb(new Error('Only PDF files can be checked'));
+    }
+});
+
 /**
  * Map payment frequency to cycle days
  * @param {string} paymentFrequency - Payment frequency
@@ -110,6 +127,101 @@ function parseAddress(addressString) {
     };
 }
 
+/**
+ * Get a tenancy with the names of both parties, as the agreement needs them
+ */
+async function getAgreementTenancy(db, tenancyId) {
+    const result = await db.query(
+        `SELECT t.*, landlord.full_name as landlord_name, lodger.full_name as lodger_name
+         FROM tenancies t
+         JOIN users landlord ON t.landlord_id = landlord.id
+         JOIN users lodger ON t.lodger_id = lodger.id
+         WHERE t.id = $1`,
+        [tenancyId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Make sure there's a fixed agreement document for the parties to read and sign against.
+ * It's written once and hashed; editing the tenancy before the lodger signs clears it so
+ * the next person to open it gets a fresh copy.
+ * @returns {Object} The tenancy with agreement_document_path and agreement_document_hash set
+ */
+async function prepareAgreementDocument(db, tenancy, req) {
+    if (tenancy.agreement_document_path && tenancy.agreement_document_hash) {
+        return tenancy;
+    }
+
+    // The agreement lists the safety certificates held when it's prepared for signing
+    const safetyCertificates = await safetyCertificateService.getAgreementCertificates(db, tenancy.landlord_id);
+
+    const fileName = `agreement_${tenancy.id}_${Date.now()}_unsigned.pdf`;
+    const uploadDir = path.join(__dirname, '../../uploads/agreements');
+    await fs.mkdir(uploadDir, { recursive: true });
+    const template = await agreementTemplateService.writeAgreementPDF(
+        db, { ...tenancy, safety_certificates: safetyCertificates }, path.join(uploadDir, fileName)
+    );
+
+    const documentPath = `/uploads/agreements/${fileName}`;
+    const documentHash = await signingService.hashUpload(documentPath);
+
+    // The tenancy records the exact template version its agreement is signed under
+    await db.query(
+        `UPDATE tenancies
+         SET agreement_document_path = $1, agreement_document_hash = $2, agreement_template_id = $3,
+             safety_certificates = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+        [documentPath, documentHash, template.id, JSON.stringify(safetyCertificates), tenancy.id]
+    );
+    await signingService.recordSigningEvent(db, {
+        tenancy_id: tenancy.id,
+        user_id: req.user.id,
+        event_type: 'document_created',
+        document_hash: documentHash,
+        ...signingService.getRequestOrigin(req)
+    });
+
+    return {
+        ...tenancy,
+        agreement_document_path: documentPath,
+        agreement_document_hash: documentHash,
+        agreement_template_id: template.id,
+        safety_certificates: safetyCertificates
+    };
+}
+
+/**
+ * Check a signer is signing the agreement document they were shown, and that it hasn't
+ * changed on disk since it was hashed
+ * @returns {string|null} Error message, or null if it's safe to sign
+ */
+async function checkAgreementDocument(tenancy, documentHash) {
+    if (!tenancy.agreement_document_hash) {
+        return 'Open the agreement before signing it';
+    }
+    if (documentHash !== tenancy.agreement_document_hash) {
+        return 'The agreement has changed since you opened it. Please read it again before signing.';
+    }
+    const currentHash = await signingService.hashUpload(tenancy.agreement_document_path);
+    if (currentHash !== tenancy.agreement_document_hash) {
+        return 'The agreement document no longer matches the copy prepared for signing, so it can\'t be signed';
+    }
+    return null;
+}
+
+/**
+ * Remove a file written while signing when the signing is rolled back (missing files are ignored)
+ */
+async function removeSigningUpload(servedPath) {
+    if (!servedPath) return;
+    try {
+        await fs.unlink(signingService.resolveUpload(servedPath));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Remove signing upload error:', error.message);
+    }
+}
+
 // Get tenancies
 router.get('/', authenticateToken, async (req, res) => {
     try {
@@ -323,6 +435,20 @@ router.put('/:id', authenticateToken, requireRole('landlord', 'admin'), async (r
         const { id } = req.params;
         const updates = req.body;
 
+        const tenancyCheck = await pool.query(
+            'SELECT lodger_signature FROM tenancies WHERE id = $1 AND landlord_id = $2',
+            [id, req.user.id]
+        );
+
+        if (tenancyCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        // The signed terms can only be changed by a deed of variation
+        if (tenancyCheck.rows[0].lodger_signature) {
+            return res.status(400).json({ error: 'The lodger has already signed this agreement, so its terms can\'t be changed' });
+        }
+
         // Build dynamic update query
         const setClause = Object.keys(updates)
             .map((key, index) => `${key} = $${index + 2}`)
@@ -331,8 +457,10 @@ router.put('/:id', authenticateToken, requireRole('landlord', 'admin'), async (r
         const values = Object.values(updates);
 
         const result = await pool.query(
-            `UPDATE tenancies SET ${setClause}, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $1 AND landlord_id = $${values.length + 2}
+            `UPDATE tenancies SET ${setClause},
+                 agreement_document_path = NULL, agreement_document_hash = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND landlord_id = $${values.length + 2} AND lodger_signature IS NULL
              RETURNING *`,
             [id, ...values, req.user.id]
         );
@@ -350,9 +478,12 @@ router.put('/:id', authenticateToken, requireRole('landlord', 'admin'), async (r
 
 // Accept tenancy agreement (lodger only)
 router.post('/:id/accept', authenticateToken, upload.single('photo_id'), async (req, res) => {
+    const client = await pool.connect();
+    let signatureImagePath = null;
+
     try {
         const { id } = req.params;
-        const { date_of_birth, id_expiry_date } = req.body;
+        const { date_of_birth, id_expiry_date, signature_method, signature_image, document_hash } = req.body;
 
         // Verify tenancy belongs to lodger
         const tenancyCheck = await pool.query(
@@ -364,10 +495,26 @@ router.post('/:id/accept', authenticateToken, upload.single('photo_id'), async (
             return res.status(404).json({ error: 'Tenancy not found' });
         }
 
+        const tenancy = tenancyCheck.rows[0];
+
+        if (tenancy.lodger_signature) {
+            return res.status(400).json({ error: 'You have already signed this agreement' });
+        }
+
+        const signatureError = signingService.validateSignature(signature_method, signature_image)
+            || await checkAgreementDocument(tenancy, document_hash);
+        if (signatureError) {
+            return res.status(400).json({ error: signatureError });
+        }
+
         const photoIdPath = req.file ? `/uploads/general/${req.file.filename}` : null;
+        signatureImagePath = await signingService.saveSignatureImage(signature_image, id, 'lodger');
+
+        // The signature only goes on the audit trail if the tenancy is marked signed with it
+        await client.query('BEGIN');
 
         // Update user with date of birth and ID expiry date
-        await pool.query(
+        await client.query(
             `UPDATE users
              SET date_of_birth = $1,
                  id_expiry_date = $2,
@@ -377,21 +524,46 @@ router.post('/:id/accept', authenticateToken, upload.single('photo_id'), async (
         );
 
         // Update tenancy with lodger signature and photo ID
-        const result = await pool.query(
+        const result = await client.query(
             `UPDATE tenancies
              SET lodger_signature = $1,
                  photo_id_path = $2,
                  signature_date = CURRENT_TIMESTAMP,
                  updated_at = CURRENT_TIMESTAMP
-             WHERE id = $3 AND lodger_id = $4
+             WHERE id = $3 AND lodger_id = $4 AND lodger_signature IS NULL AND agreement_document_hash = $5
              RETURNING *`,
-            [req.user.full_name, photoIdPath, id, req.user.id]
+            [req.user.full_name, photoIdPath, id, req.user.id, document_hash]
         );
 
+        // Signed or changed by another request since it was checked above
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            await removeSigningUpload(signatureImagePath);
+            return res.status(400).json({ error: 'The agreement has changed since you opened it. Please read it again before signing.' });
+        }
+
+        await signingService.recordSigningEvent(client, {
+            tenancy_id: id,
+            user_id: req.user.id,
+            event_type: 'signed',
+            signer_role: 'lodger',
+            signed_name: req.user.full_name,
+            signature_method,
+            signature_image_path: signatureImagePath,
+            document_hash,
+            ...signingService.getRequestOrigin(req)
+        });
+
+        await client.query('COMMIT');
+
         res.json(result.rows[0]);
     } catch (error) {
+        await client.query('ROLLBACK');
+        await removeSigningUpload(signatureImagePath);
         console.error('Accept tenancy error:', error);
         res.status(500).json({ error: 'Failed to accept tenancy' });
+    } finally {
+        client.release();
     }
 });
 
@@ -438,6 +610,20 @@ router.post('/:id/upload-id', authenticateToken, requireRole('lodger'), upload.s
             [photoIdPath, id, req.user.id]
         );
 
+        // New ID is the landlord's prompt to check the lodger's right to rent again
+        const expiry = id_expiry_date ? ` It expires on ${moment(id_expiry_date).format('DD/MM/YYYY')}.` : '';
+        await pool.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                tenancyCheck.rows[0].landlord_id,
+                id,
+                'right_to_rent',
+                'New Photo ID Uploaded',
+                `Your lodger has uploaded new photo ID.${expiry} Check it and record a Right to Rent check.`
+            ]
+        );
+
         res.json({
             message: 'Photo ID uploaded successfully',
             tenancy: result.rows[0]
@@ -448,17 +634,19 @@ router.post('/:id/upload-id', authenticateToken, requireRole('lodger'), upload.s
     }
 });
 
-// Approve tenancy and generate PDF (landlord only)
+// Approve tenancy, countersign and generate the signed agreement PDF (landlord only)
 router.post('/:id/approve', authenticateToken, requireRole('landlord', 'admin'), async (req, res) => {
+    const client = await pool.connect();
+    let signatureImagePath = null;
+    let pdfPath = null;
+
     try {
         const { id } = req.params;
+        const { signature_method, signature_image, document_hash } = req.body;
 
         // Verify tenancy belongs to landlord and get lodger info
         const tenancyCheck = await pool.query(
-            `SELECT t.*, u.full_name as lodger_name
-             FROM tenancies t
-             JOIN users u ON t.lodger_id = u.id
-             WHERE t.id = $1 AND t.landlord_id = $2`,
+            'SELECT id FROM tenancies WHERE id = $1 AND landlord_id = $2',
             [id, req.user.id]
         );
 
@@ -466,221 +654,298 @@ router.post('/:id/approve', authenticateToken, requireRole('landlord', 'admin'),
             return res.status(404).json({ error: 'Tenancy not found' });
         }
 
-        const tenancy = tenancyCheck.rows[0];
+        const tenancy = await getAgreementTenancy(pool, id);
 
         // Check if lodger has signed
         if (!tenancy.lodger_signature) {
             return res.status(400).json({ error: 'Lodger has not signed the agreement yet' });
         }
 
+        if (tenancy.signed_agreement_path) {
+            return res.status(400).json({ error: 'This agreement has already been signed by both parties' });
+        }
+
+        const signatureError = signingService.validateSignature(signature_method, signature_image)
+            || await checkAgreementDocument(tenancy, document_hash);
+        if (signatureError) {
+            return res.status(400).json({ error: signatureError });
+        }
+
+        signatureImagePath = await signingService.saveSignatureImage(signature_image, id, 'landlord');
+
+        // The signature only goes on the audit trail if the signed copy is issued with it
+        await client.query('BEGIN');
+
+        await signingService.recordSigningEvent(client, {
+            tenancy_id: id,
+            user_id: req.user.id,
+            event_type: 'signed',
+            signer_role: 'landlord',
+            signed_name: req.user.full_name,
+            signature_method,
+            signature_image_path: signatureImagePath,
+            document_hash,
+            ...signingService.getRequestOrigin(req)
+        });
+
         // Generate PDF path
         const pdfFileName = `agreement_${id}_${Date.now()}.pdf`;
-        const pdfPath = `/uploads/agreements/${pdfFileName}`;
+        pdfPath = `/uploads/agreements/${pdfFileName}`;
 
         // Create directory if it doesn't exist
         const uploadDir = path.join(__dirname, '../../uploads/agreements');
         await fs.mkdir(uploadDir, { recursive: true });
 
-        // Generate PDF document
-        const pdfDoc = new PDFDocument();
-        const pdfFilePath = path.join(uploadDir, pdfFileName);
-        const writeStream = require('fs').createWriteStream(pdfFilePath);
+        await agreementTemplateService.writeAgreementPDF(
+            client, tenancy, path.join(uploadDir, pdfFileName), await agreementTemplateService.getSigningDetails(client, tenancy)
+        );
 
-        pdfDoc.pipe(writeStream);
+        const signedHash = await signingService.hashUpload(pdfPath);
 
-        // Add content to PDF
-        const margin = 50;
-        const pageWidth = pdfDoc.page.width - (margin * 2);
+        // Update tenancy with landlord signature and PDF path
+        const result = await client.query(
+            `UPDATE tenancies
+             SET landlord_signature = $1,
+                 signed_agreement_path = $2,
+                 signed_agreement_hash = $3,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4 AND signed_agreement_path IS NULL AND agreement_document_hash = $5
+             RETURNING *`,
+            [req.user.full_name, pdfPath, signedHash, id, document_hash]
+        );
 
-        pdfDoc.fontSize(18).text('LODGER AGREEMENT', { align: 'center' });
-        pdfDoc.moveDown(0.5);
-        pdfDoc.fontSize(12).text('AGREEMENT FOR NON-EXCLUSIVE OR SHARED OCCUPATION', { align: 'center' });
-        pdfDoc.moveDown();
+        // Signed or changed by another request since it was checked above
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            await removeSigningUpload(signatureImagePath);
+            await removeSigningUpload(pdfPath);
+            return res.status(400).json({ error: 'The agreement has changed since you opened it. Please read it again before signing.' });
+        }
 
-        pdfDoc.fontSize(9).text('This LODGER AGREEMENT is made up of the details about the parties and the agreement in Part 1, the Terms and Conditions printed below in Part 2, and any Special Terms and Conditions agreed between the parties which have been recorded in Part 3, whereby the Room is licensed by the Householder and taken by the Lodger during the Term upon making the Accommodation Payment.', { align: 'justify' });
-        pdfDoc.moveDown();
+        await signingService.recordSigningEvent(client, {
+            tenancy_id: id,
+            user_id: req.user.id,
+            event_type: 'certified',
+            document_hash: signedHash,
+            ...signingService.getRequestOrigin(req)
+        });
 
-        // PART 1 - PARTICULARS
-        pdfDoc.fontSize(12).text('PART 1 - PARTICULARS', { underline: true });
-        pdfDoc.moveDown(0.5);
-        pdfDoc.fontSize(9);
-        const propertyAddress = [tenancy.property_house_number, tenancy.property_street_name, tenancy.property_city, tenancy.property_county, tenancy.property_postcode]
-            .filter(part => part)
-            .join(', ');
-        pdfDoc.text(`PROPERTY: ${propertyAddress}`);
-        pdfDoc.text(`ROOM: ${tenancy.room_description || 'means the room or rooms in the Property which as the Householder from time to time allocates to the Lodger'}`);
-        pdfDoc.text(`SHARED AREAS: ${tenancy.shared_areas || 'the entrance hall, staircase and landings of the Property, the kitchen for cooking eating and the storage of food, the lavatory and bathroom, the sitting room, the garden (where applicable). Should the Lodger not be allowed to use any of these areas or there are any additional Shared Areas in the Property they can use, this should be reflected in Part 3: Property Rules and Services and Any Additional Terms'}`);
-        pdfDoc.text(`HOUSEHOLDER: ${req.user.full_name}`);
-        pdfDoc.text(`LODGER: ${tenancy.lodger_name}`);
-        pdfDoc.moveDown(0.3);
-        pdfDoc.text('_________________________________');
-        pdfDoc.moveDown(0.3);
-        pdfDoc.text(`START DAY: ${new Date(tenancy.start_date).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })}`);
-        pdfDoc.text(`TERM: ${tenancy.initial_term_months} Months Rolling Contract until Terminated by either party`);
-        pdfDoc.text(`INITIAL PAYMENT: £${tenancy.initial_payment}, (current and month in advanced payment)`);
-        pdfDoc.text(`ACCOMMODATION PAYMENT: £${tenancy.monthly_rent} PM`);
-        pdfDoc.text(`PAYMENT DAY: The 28th day of each month`);
-        pdfDoc.text(`DEPOSIT: £${tenancy.deposit_amount || 0} If Applicable (${tenancy.deposit_applicable ? 'yes' : 'no'})`);
-        pdfDoc.moveDown();
-
-        // EARLY TERMINATION & UTILITIES
-        pdfDoc.fontSize(10).text('EARLY TERMINATION:', { underline: true });
-        pdfDoc.fontSize(9).text('Either party may at any time end this Agreement earlier than the End Date by giving notice in writing of at least one calendar month ending on the Payment Day if within of the rental term any if any deposits and or advance payments was taken will be void unless mutually agreed by both parties and or breach of this agreement');
-        pdfDoc.moveDown(0.5);
-
-        pdfDoc.fontSize(10).text('UTILITY COSTS:', { underline: true });
-        pdfDoc.fontSize(9).text('all utilities including, gas, electric, water, basic internet.');
-        pdfDoc.fontSize(10).text('Excluded Utility Cost:', { underline: true, continued: true });
-        pdfDoc.fontSize(9).text(' Television License is not included, if the lodger would like to view any LIVE broadcast, the lodger accepts responsibility to pay for the television licence and provide evidence of the purchase at their own expense (bbc iplayer etc)');
-        pdfDoc.fontSize(9).text('Any Utilities not listed as payable by the Lodger in Part 3 of this agreement are included in the Accommodation Payment.');
-        pdfDoc.fontSize(9).text('Note: The Householder may not require the Lodger to pay any charge which is not a permitted payment under the Tenant Fees Act 2019.');
-        pdfDoc.moveDown();
-
-        // Add new page for terms
-        pdfDoc.addPage();
-
-        pdfDoc.fontSize(11).text('NOW IT IS AGREED AS FOLLOWS:', { underline: true });
-        pdfDoc.moveDown();
-
-        // Section 1
-        pdfDoc.fontSize(10).text('1. About the Licence to Occupy a Room in the Property', { underline: true });
-        pdfDoc.fontSize(8);
-        pdfDoc.text('1.1. The Householder permits the Lodger to occupy the Room until either party ends the arrangement as provided for under clause 9 of this agreement.');
-        pdfDoc.text('1.2. The Lodger will occupy the Room personally and shall not share the Room with any other person, except where the Lodger has asked to share the Room with another person and the Householder has agreed in writing (in Part 3: Property Rules and Services and Any Additional Terms) that this person (the "Permitted Occupier") may occupy the Room with Lodger during the Term.');
-        pdfDoc.text('1.3. The Lodger shall have use of the Contents in the Room, an inventory of which will be prepared by the Householder and provided to the Lodger.');
-        pdfDoc.text('1.4. The Lodger may use the facilities of the Shared Areas of the Property in common with the Householder (and the other Lodgers of the Householder) but only in conjunction with their occupation of the Room under this agreement.');
-        pdfDoc.text('1.5. This agreement is not intended to confer exclusive possession upon the Lodger nor to create the relationship of landlord and tenant between the parties. The Lodger shall not be entitled to an assured tenancy or a statutory periodic tenancy under the Housing Act 1988 or any other statutory security of tenure now or when the licence ends.');
-        pdfDoc.text('1.6. This agreement is personal to the Lodger, cannot be assigned to any other party, and can be terminated by either party on notice or without notice in the case of serious breaches of the agreement.');
-        pdfDoc.text('1.7. It is a condition of this agreement that the Lodger maintain a "Right to Rent" as defined by the Immigration Act 2014 at all times during the Term.');
-        pdfDoc.moveDown();
-
-        // Section 2
-        pdfDoc.fontSize(10).text('2. Lodger Obligations', { underline: true });
-        pdfDoc.fontSize(9).text('The Lodger Agrees with the Householder:');
-        pdfDoc.fontSize(8);
-        pdfDoc.text('2.1. Payments');
-        pdfDoc.text('  2.1.1. To pay the Accommodation Payment at the times and in the manner set out above.');
-        pdfDoc.text('  2.1.2. To pay simple interest at the rate of 3% above the Bank of England base rate upon any payment which is not paid within 14 days after the due date.');
-        pdfDoc.text('2.2. Utilities - To make only reasonable use of the Utilities consistent with ordinary residential use.');
-        pdfDoc.text('2.3. Use of the Property');
-        pdfDoc.text('  2.3.1. Not to use or occupy the Room in any way whatsoever other than as a private residence;');
-        pdfDoc.text('  2.3.2. Not to let or share any rooms or take in any lodger without consent. Occasional overnight visitors allowed with prior permission.');
-        pdfDoc.text('2.4. Maintenance');
-        pdfDoc.text('  2.4.1. To keep the interior of the Room and Shared Parts in good and clean condition and make good any damage.');
-        pdfDoc.text('  2.4.2. To keep the Contents in good condition and not remove any articles from the Room.');
-        pdfDoc.text('  2.4.3. To replace damaged items with articles of similar kind and value.');
-        pdfDoc.text('2.5. Activities at the Property');
-        pdfDoc.text('  2.5.1. Not to smoke cigarettes, cigars, pipes or any other substances in the Property only outside.');
-        pdfDoc.text('  2.5.2. To cook at the Property only in the kitchen;');
-        pdfDoc.text('  2.5.3. Not to keep any pet without prior consent;');
-        pdfDoc.text('  2.5.4. Not to make any alteration without prior written consent;');
-        pdfDoc.text('  2.5.5. Not do anything which may be a nuisance or prejudice insurance;');
-        pdfDoc.text('  2.5.6. To ensure Room cleaned weekly and rubbish disposed of daily.');
-        pdfDoc.text('2.6. Other Obligations - Comply with Right to Rent checks. Assist with Council Tax discounts/exemptions.');
-        pdfDoc.text('2.7. At the end of the Agreement - Vacate and leave in clean condition (fair wear and tear excepted). Return all keys. Provide forwarding address. Remove all personal items.');
-        pdfDoc.moveDown();
-
-        // Section 3
-        pdfDoc.fontSize(10).text('3. Householder Obligations', { underline: true });
-        pdfDoc.fontSize(9).text('The Householder agrees with the Lodger:');
-        pdfDoc.fontSize(8);
-        pdfDoc.text('3.1. To keep in good repair the structure and exterior of the Property and the Room (including drains gutters and external pipes) and to keep in repair and proper working order the installations (if any) in the Property for the supply of water gas and electricity and for sanitation (including basins sinks and sanitary conveniences but not the fixtures, fittings, and appliances for making use of water gas or electricity) and for space heating and heating water');
-        pdfDoc.text('  provided that the Householder is not required:');
-        pdfDoc.text('    3.1.1. to carry out any works or repairs for which the Lodger is liable, or');
-        pdfDoc.text('    3.1.2. to rebuild or reinstate the Property in the case of destruction or damage by fire by tempest flood or other inevitable accident, or');
-        pdfDoc.text('    3.1.3. to keep in repair or maintain anything which the Lodger is entitled to remove from the Property.');
-        pdfDoc.text('3.2. To keep in good repair and working order such fixtures and fittings as are provided by the Householder for use by the Lodger');
-        pdfDoc.text('3.3. To comply with the Gas Safety (Installation and Use) Regulations 1998 (as amended) by ensuring that all gas appliances in the Property are checked by a Gas Safe-registered installer on an annual basis');
-        pdfDoc.text('3.4. To ensure that all furniture and furnishings provided for use by the Lodger complies with the Furniture and Furnishings (Fire)(Safety) Regulations, 1988 (as amended).');
-        pdfDoc.text('3.5. To ensure that all electrical equipment supplied to the Lodger is kept in good repair and is not damaged or defective.');
-        pdfDoc.text('3.6. To install and keep in good working order smoke detectors in the Property, and, if there is a fixed combustion appliance in any part of the Property, to install and keep in good working order a carbon monoxide detector.');
-        pdfDoc.text('3.7. To ensure that all times the Room and the Shared Areas are fit for human habitation.');
-        pdfDoc.text('3.8. To pay the Council Tax for the Property during the Term.');
-        pdfDoc.text('3.9. To warrant that they have permission to take in lodgers in the Property.');
-        pdfDoc.moveDown();
-
-        // Sections 4-8
-        pdfDoc.fontSize(10).text('4. Amicable Sharing', { underline: true });
-        pdfDoc.fontSize(8);
-        pdfDoc.text('4.1. The Lodger shall use his or her best efforts to share the use of the Room and Property amicably and peaceably with the Householder (and the Property with such other Lodgers as the Householder shall from time to time permit to use the Property). The Lodger shall not interfere with or otherwise obstruct such shared occupation in any way.');
-        pdfDoc.text('4.2. The Householder and the Lodger will respect each other\'s reasonable needs for privacy and decency. Neither party will exercise their rights of access to any room in a way that is likely to violate such reasonable needs. Nothing in this clause is intended to grant the Lodger exclusive possession of the Room or any other part of the Property.');
-        pdfDoc.moveDown(0.5);
-
-        pdfDoc.fontSize(10).text('5. Keys', { underline: true });
-        pdfDoc.fontSize(8);
-        pdfDoc.text('5.1. The Householder shall give the Lodger one set of keys to the Room (if applicable) and to the Property.');
-        pdfDoc.text('5.2. The Lodger will keep safe any keys or other security devices giving access to the Property or to the Room, and will pay the Householder\'s reasonable costs incurred in consequence of the loss of any such key, or other such device.');
-        pdfDoc.text('5.3. The Householder shall retain his or her own set of keys and the Householder and any persons authorised by him or her may exercise their right to use these and obtain free entry to the Room at any reasonable time.');
-        pdfDoc.moveDown(0.5);
-
-        pdfDoc.fontSize(10).text('6. Deposit if applicable', { underline: true });
-        pdfDoc.fontSize(8);
-        pdfDoc.text('6.1. The Deposit will be held by the Householder during the Term. No interest will be payable by the Householder to the Lodger in respect of the deposit money.');
-        pdfDoc.text('6.2. The Householder is not required to protect the Deposit with a Government approved protection scheme.');
-        pdfDoc.text('6.3. At the end of the Term (however it ends) on giving vacant possession of the Room to the Householder the Deposit shall will be refunded to the Lodger but less any reasonable deductions properly made by the Householder to cover any reasonable costs incurred by or losses caused to him by any breaches of the Lodger\'s obligations under this Agreement.');
-        pdfDoc.text('6.4. The Deposit shall be repaid to the Lodger, at the forwarding address provided to the Householder, as soon as reasonably practicable. The Householder shall not except where they can demonstrate exceptional circumstances retain the Deposit for more than one month.');
-        pdfDoc.moveDown(0.5);
-
-        pdfDoc.fontSize(10).text('7. Uninhabitability', { underline: true });
-        pdfDoc.fontSize(8).text('7.1. In the event of destruction to the Property or of damage to it which shall make the same or a substantial portion of the same uninhabitable, the Lodger shall be relieved from making the Payment by an amount proportionate to the extent to which the Lodger\'s ability to live in the Property is thereby prevented, save where the destruction or damage has been caused by any act or default by the Lodger or where the Householder\'s insurance cover has been adversely affected by any act or omission on the part of the Lodger.');
-        pdfDoc.moveDown(0.5);
-
-        pdfDoc.fontSize(10).text('8. Moving to another room', { underline: true });
-        pdfDoc.fontSize(8);
-        pdfDoc.text('8.1. The Householder may give reasonable written notice directing the Lodger to use another room of similar size and condition to the Room in the Property. If such notice is given the Lodger must remove his or her personal belongings to the new room and must leave the old room in a clean and tidy condition.');
-        pdfDoc.text('8.2. Notice to use another room in the Property must give the Lodger a minimum of 48 hours to move or an amount of time which is reasonable in the circumstances, whichever is longer.');
-        pdfDoc.moveDown();
-
-        // Section 9 - Ending Agreement
-        pdfDoc.fontSize(10).text('9. Ending this Agreement', { underline: true });
-        pdfDoc.fontSize(8);
-        pdfDoc.text('9.1. Termination for breach of this Agreement: If at any time during the Term the Lodger is in breach of any term of this agreement, or any sums due under this agreement are more than 14 days late, or if the Lodger is declared bankrupt or enters into any form of arrangement with his creditors, the Householder may terminate this agreement by giving 7 days\' notice to the Lodger in writing to remedy the breach. If after 7 days the breach has not been remedied the landlord may terminate this agreement by giving a further 14 days\' notice in writing to the Lodger.');
-        pdfDoc.text('9.2. Break Clause: Either party may at any time during the Term terminate this Agreement by giving to the other prior written notice of not less than one calendar month expiring the day before a Payment Day. Upon the expiry of that notice this Agreement shall end with no further liability for either party except for any existing breaches.');
-        pdfDoc.text('9.3. Behaviour Clause: If the householder deems that the behaviour of the tenant is unacceptable, the householder will provide in writing a warning notice of this breach, if the tenant fails to correct this behaviour the householder may terminate the contract with a maximum of 14 days notice, depending on the severity of the behaviour, for example aggressive behavior, the contract may be terminated with immediate effect.');
-        pdfDoc.text('9.4. At the end of the agreement any items remaining in the Property or Room which are the property of the Lodger must be removed by the Lodger. If any items (apart from perishable food) are left behind by the Lodger the Householder will make reasonable efforts to notify the Lodger and will store them for a period of 14 days, after which time the Householder will be permitted to dispose of the items as they see fit.');
-        pdfDoc.moveDown();
-
-        // Section 10
-        pdfDoc.fontSize(10).text('10. About the Legal Effect of this agreement', { underline: true });
-        pdfDoc.fontSize(8);
-        pdfDoc.text('10.1. If any term of this agreement is, in whole or in part, held to be illegal or unenforceable to any extent under any enactment or rule of law, that term or part shall to that extent be deemed not to form part of this agreement and the enforceability of the remainder of this agreement shall not be affected.');
-        pdfDoc.text('10.2. The Householder and the Lodger agree that this agreement shall be exclusively governed by and interpreted in accordance with the laws of England and Wales, and agree to submit to the exclusive jurisdiction of the English Courts.');
-        pdfDoc.text('10.3. This agreement including the attached Property Rules and Services in Part 3 embody the entire understanding of the parties relating to the Room and the Property and to all matters dealt with by any of the provisions in this agreement.');
-        pdfDoc.moveDown();
-
-        // SIGNATURES
-        pdfDoc.fontSize(12).text('SIGNATURES', { underline: true });
-        pdfDoc.moveDown();
-        pdfDoc.fontSize(10);
-        pdfDoc.text(`Signed by the Lodger: ${tenancy.lodger_signature}`);
-        pdfDoc.text(`Date: ${new Date(tenancy.signature_date).toLocaleString('en-GB')}`);
-        pdfDoc.moveDown();
-        pdfDoc.text(`Signed by the Householder: ${req.user.full_name}`);
-        pdfDoc.text(`Date: ${new Date().toLocaleString('en-GB')}`);
-
-        pdfDoc.end();
-
-        // Wait for PDF to be written
-        await new Promise((resolve, reject) => {
-            writeStream.on('finish', resolve);
-            writeStream.on('error', reject);
+        await client.query('COMMIT');
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removeSigningUpload(signatureImagePath);
+        await removeSigningUpload(pdfPath);
+        console.error('Approve tenancy error:', error);
+        res.status(500).json({ error: 'Failed to approve tenancy' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Get the agreement to sign and its signing audit trail. Prepares the document to sign
+ * the first time either party opens it.
+ * @route GET /api/tenancies/:id/signing
+ * @auth Landlord or lodger on the tenancy, or admin
+ * @returns {Object} { document_path, document_hash, signed_agreement_path, signed_agreement_hash, events, signature_methods }
+ */
+router.get('/:id/signing', authenticateToken, async (req, res) => {
+    try {
+        let tenancy = await getAgreementTenancy(pool, req.params.id);
+
+        if (!tenancy) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const isParty = tenancy.landlord_id === req.user.id || tenancy.lodger_id === req.user.id;
+        if (!isParty && req.user.user_type !== 'admin') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (isParty && !tenancy.signed_agreement_path) {
+            tenancy = await prepareAgreementDocument(pool, tenancy, req);
+        }
+
+        res.json({
+            document_path: tenancy.agreement_document_path,
+            document_hash: tenancy.agreement_document_hash,
+            signed_agreement_path: tenancy.signed_agreement_path,
+            signed_agreement_hash: tenancy.signed_agreement_hash,
+            events: await signingService.getSigningEvents(pool, tenancy.id),
+            signature_methods: signingService.SIGNATURE_METHODS
         });
+    } catch (error) {
+        console.error('Get agreement signing error:', error);
+        res.status(500).json({ error: 'Failed to get agreement signing details' });
+    }
+});
 
-        // Update tenancy with landlord signature and PDF path
+/**
+ * Check a copy of the agreement against the hashes recorded when it was signed
+ * @route POST /api/tenancies/:id/signing/verify
+ * @auth Landlord or lodger on the tenancy, or admin
+ * @body {File} document - The PDF to check
+ * @returns {Object} { matched, matched_document, hash, signed_agreement_hash, document_hash }
+ */
+router.post('/:id/signing/verify', authenticateToken, verifyUpload.single('document'), async (req, res) => {
+    try {
+        const tenancy = await getAgreementTenancy(pool, req.params.id);
+
+        if (!tenancy) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const isParty = tenancy.landlord_id === req.user.id || tenancy.lodger_id === req.user.id;
+        if (!isParty && req.user.user_type !== 'admin') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'Choose the PDF to check' });
+        }
+
+        if (!tenancy.signed_agreement_hash) {
+            return res.status(400).json({ error: 'This agreement hasn\'t been signed by both parties yet' });
+        }
+
+        const hash = signingService.hashBuffer(req.file.buffer);
+        let matchedDocument = null;
+        if (hash === tenancy.signed_agreement_hash) {
+            matchedDocument = 'signed_agreement';
+        } else if (hash === tenancy.agreement_document_hash) {
+            matchedDocument = 'agreement_document';
+        } else {
+            // Signed copies issued before the agreement was last varied, and the deeds of variation
+            const earlier = await pool.query(
+                `SELECT 'earlier_signed_agreement' as matched_document FROM signing_events
+                 WHERE tenancy_id = $1 AND event_type = 'certified' AND document_hash = $2
+                 UNION ALL
+                 SELECT 'variation_deed' FROM agreement_variations
+                 WHERE tenancy_id = $1 AND deed_hash = $2`,
+                [tenancy.id, hash]
+            );
+            matchedDocument = earlier.rows.length > 0 ? earlier.rows[0].matched_document : null;
+        }
+
+        await signingService.recordSigningEvent(pool, {
+            tenancy_id: tenancy.id,
+            user_id: req.user.id,
+            event_type: 'verified',
+            document_hash: hash,
+            hash_matched: matchedDocument !== null,
+            ...signingService.getRequestOrigin(req)
+        });
+
+        res.json({
+            matched: matchedDocument !== null,
+            matched_document: matchedDocument,
+            hash,
+            signed_agreement_hash: tenancy.signed_agreement_hash,
+            document_hash: tenancy.agreement_document_hash
+        });
+    } catch (error) {
+        console.error('Verify agreement error:', error);
+        res.status(500).json({ error: 'Failed to verify agreement' });
+    }
+});
+
+/**
+ * Get the template and Part 3 special terms a tenancy's agreement is written from
+ * @route GET /api/tenancies/:id/agreement-terms
+ * @auth Landlord or lodger on the tenancy, or admin
+ * @returns {Object} { template, special_terms, categories, locked }
+ */
+router.get('/:id/agreement-terms', authenticateToken, async (req, res) => {
+    try {
+        const tenancy = await getAgreementTenancy(pool, req.params.id);
+
+        if (!tenancy) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const isParty = tenancy.landlord_id === req.user.id || tenancy.lodger_id === req.user.id;
+        if (!isParty && req.user.user_type !== 'admin') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const template = await agreementTemplateService.getTemplateForTenancy(pool, tenancy);
+
+        res.json({
+            template: template && {
+                id: template.id,
+                group_id: template.group_id,
+                name: template.name,
+                version: template.version,
+                is_standard: !template.landlord_id
+            },
+            special_terms: tenancy.special_terms || [],
+            categories: agreementTemplateService.CLAUSE_CATEGORIES,
+            locked: !!tenancy.lodger_signature
+        });
+    } catch (error) {
+        console.error('Get agreement terms error:', error);
+        res.status(500).json({ error: 'Failed to get agreement terms' });
+    }
+});
+
+/**
+ * Choose the agreement template and Part 3 special terms for a tenancy, before the
+ * lodger signs
+ * @route PUT /api/tenancies/:id/agreement-terms
+ * @auth Landlord only
+ * @body {string} agreement_template_id - Any version of the template to use
+ * @body {Array<string>} clause_ids - Clauses from the library, in order
+ * @body {Array<Object>} custom_terms - [{ category, title, body }] written for this tenancy
+ * @returns {Object} Updated tenancy
+ */
+router.put('/:id/agreement-terms', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const { agreement_template_id, clause_ids = [], custom_terms = [] } = req.body;
+
+        const tenancyCheck = await pool.query(
+            'SELECT * FROM tenancies WHERE id = $1 AND landlord_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (tenancyCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        if (tenancyCheck.rows[0].lodger_signature) {
+            return res.status(400).json({ error: 'The lodger has already signed this agreement, so its terms can\'t be changed' });
+        }
+
+        if (!Array.isArray(clause_ids) || !Array.isArray(custom_terms)) {
+            return res.status(400).json({ error: 'Special terms must be lists' });
+        }
+
+        const template = await agreementTemplateService.getTemplateForLandlord(pool, agreement_template_id, req.user.id);
+        if (!template) {
+            return res.status(400).json({ error: 'Choose one of your agreement templates' });
+        }
+
+        const { special_terms, error } = await agreementTemplateService.buildSpecialTerms(pool, req.user.id, clause_ids, custom_terms);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Clearing the prepared document means the next person to open it sees the new terms
         const result = await pool.query(
             `UPDATE tenancies
-             SET landlord_signature = $1,
-                 signed_agreement_path = $2,
+             SET agreement_template_id = $1, special_terms = $2,
+                 agreement_document_path = NULL, agreement_document_hash = NULL,
                  updated_at = CURRENT_TIMESTAMP
              WHERE id = $3
              RETURNING *`,
-            [req.user.full_name, pdfPath, id]
+            [template.id, JSON.stringify(special_terms), req.params.id]
         );
 
         res.json(result.rows[0]);
     } catch (error) {
-        console.error('Approve tenancy error:', error);
-        res.status(500).json({ error: 'Failed to approve tenancy' });
+        console.error('Update agreement terms error:', error);
+        res.status(500).json({ error: 'Failed to update agreement terms' });
     }
 });
 
@@ -826,18 +1091,13 @@ async function extendPaymentSchedule(tenancyId) {
             // Map payment frequency to cycle days
             const cycleDays = mapPaymentFrequencyToDays(tenancy.payment_frequency || '4-weekly');
 
-            // Generate next 12 months of payments
-            let nextPaymentDate;
-            if (tenancy.payment_type === 'calendar') {
-                // For calendar payments, add months
-                nextPaymentDate = new Date(lastDueDate);
-                nextPaymentDate.setMonth(nextPaymentDate.getMonth() + 1);
-                nextPaymentDate.setDate(tenancy.payment_day_of_month);
-            } else {
-                // For cycle payments, add cycle days
-                nextPaymentDate = new Date(lastDueDate);
-                nextPaymentDate.setDate(nextPaymentDate.getDate() + cycleDays);
-            }
+            // Generate next 12 months of payments, carrying on from the last due date
+            const nextPaymentDate = paymentCalculator.getNextDueDate(
+                lastDueDate,
+                cycleDays,
+                tenancy.payment_type || 'cycle',
+                tenancy.payment_day_of_month || 1
+            );
 
             const newSchedule = paymentCalculator.generatePaymentSchedule(
                 nextPaymentDate,
@@ -846,7 +1106,8 @@ async function extendPaymentSchedule(tenancyId) {
                 0,   // deposit
                 cycleDays,
                 tenancy.payment_type || 'cycle',
-                tenancy.payment_day_of_month || 1
+                tenancy.payment_day_of_month || 1,
+                { continuation: true }
             );
 
             // Insert new payments with adjusted payment numbers
@@ -860,6 +1121,9 @@ async function extendPaymentSchedule(tenancyId) {
                 );
             }
 
+            // New payments falling after a scheduled rent change take the new rent
+            await rentReviewService.repriceSchedule(pool, tenancyId);
+
             console.log(`Extended payment schedule for tenancy ${tenancyId} with 13 more payments`);
         }
     } catch (error) {
@@ -895,4 +1159,37 @@ router.get('/:id/payments', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Get ledger statement for tenancy
+ * Built from recorded transactions rather than the schedule's balance column
+ * @route GET /api/tenancies/:id/ledger
+ * @auth Landlord, lodger or admin on the tenancy
+ * @param {string} id - Tenancy ID
+ * @query {boolean} include_future - Also list rent not yet due
+ * @returns {Object} Chronological entries with running balance and totals
+ */
+router.get('/:id/ledger', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const tenancy = await pool.query(
+            'SELECT id FROM tenancies WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2 OR $3)',
+            [id, req.user.id, req.user.user_type === 'admin']
+        );
+
+        if (tenancy.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const ledger = await ledgerService.buildLedger(pool, id, {
+            includeFuture: req.query.include_future === 'true'
+        });
+
+        res.json(ledger);
+    } catch (error) {
+        console.error('Get ledger error:', error);
+        res.status(500).json({ error: 'Failed to get ledger' });
+    }
+});
+
 module.exports = router;
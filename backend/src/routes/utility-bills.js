@@ -0,0 +1,394 @@
+/**
+ * Utility Bill Routes
+ * Handles household bills entered by the landlord and recharged to lodgers as ledger charges
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const { allocatePayments } = require('../services/ledgerService');
+const utilityBillService = require('../services/utilityBillService');
+
+const billUpload = uploadTo('utility-bills').single('bill');
+
+/**
+ * Check bill fields, returning an error message if any are invalid
+ */
+function validateBill(body) {
+    const { utility_type, amount, period_start, period_end, split_method, due_date } = body;
+
+    if (!utilityBillService.UTILITY_TYPES[utility_type]) return 'Choose a valid utility';
+    if (!(parseFloat(amount) > 0)) return 'Amount must be greater than zero';
+
+    const start = moment(period_start, 'YYYY-MM-DD', true);
+    const end = moment(period_end, 'YYYY-MM-DD', true);
+    if (!start.isValid() || !end.isValid()) return 'A valid billing period is required';
+    if (end.isBefore(start)) return 'The billing period must end on or after it starts';
+
+    if (!utilityBillService.SPLIT_METHODS[split_method]) return 'Choose how to split the bill';
+    if (!moment(due_date, 'YYYY-MM-DD', true).isValid()) return 'A valid due date is required';
+    return null;
+}
+
+/**
+ * Parse a JSON form field sent alongside an upload
+ */
+function parseJsonField(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Remove an uploaded bill from disk (missing files are ignored)
+ */
+async function removeBill(billPath) {
+    if (!billPath) return;
+    try {
+        await fs.unlink(path.join(__dirname, '../..', billPath));
+    } catch (error) {
+        console.error('Remove utility bill error:', error.message);
+    }
+}
+
+/**
+ * Get utility types and split methods
+ * @route GET /api/utility-bills/types
+ * @auth Any authenticated user
+ * @returns {Object} { utility_types, split_methods } labels keyed by value
+ */
+router.get('/types', authenticateToken, (req, res) => {
+    res.json({
+        utility_types: utilityBillService.UTILITY_TYPES,
+        split_methods: utilityBillService.SPLIT_METHODS
+    });
+});
+
+/**
+ * Get the lodgers in occupation during a billing period, to choose who shares a bill
+ * @route GET /api/utility-bills/occupancy
+ * @auth Landlord only
+ * @query {string} period_start - First day of the billing period
+ * @query {string} period_end - Last day of the billing period
+ * @returns {Object} { bill_days, occupants: [{ tenancy_id, lodger_name, occupied_from, occupied_to, days }] }
+ */
+router.get('/occupancy', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const { period_start, period_end } = req.query;
+        const start = moment(period_start, 'YYYY-MM-DD', true);
+        const end = moment(period_end, 'YYYY-MM-DD', true);
+
+        if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+            return res.status(400).json({ error: 'A valid billing period is required' });
+        }
+
+        const occupants = await utilityBillService.getOccupancy(pool, req.user.id, period_start, period_end);
+
+        res.json({
+            bill_days: end.diff(start, 'days') + 1,
+            occupants
+        });
+    } catch (error) {
+        console.error('Get utility occupancy error:', error);
+        res.status(500).json({ error: 'Failed to get occupancy for the billing period' });
+    }
+});
+
+/**
+ * Get the lodger's share of utility bills
+ * @route GET /api/utility-bills/my
+ * @auth Lodger only
+ * @returns {Array} Shares with bill details and what has been paid, newest bill first
+ */
+router.get('/my', authenticateToken, requireRole('lodger'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT s.id, s.tenancy_id, s.days_occupied, s.share_percent, s.amount,
+                    b.id as bill_id, b.utility_type, b.supplier, b.amount as bill_amount,
+                    b.period_start, b.period_end, b.split_method, b.include_householder,
+                    b.due_date, b.bill_path, b.bill_filename,
+                    (SELECT COUNT(*) FROM utility_bill_shares other WHERE other.bill_id = b.id)::integer as lodgers_sharing,
+                    COALESCE(c.amount_paid, 0) as amount_paid, c.status as charge_status
+             FROM utility_bill_shares s
+             JOIN utility_bills b ON s.bill_id = b.id
+             JOIN tenancies t ON s.tenancy_id = t.id
+             LEFT JOIN ledger_charges c ON s.charge_id = c.id
+             WHERE t.lodger_id = $1
+             ORDER BY b.period_end DESC, b.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get my utility charges error:', error);
+        res.status(500).json({ error: 'Failed to get utility charges' });
+    }
+});
+
+/**
+ * Get landlord's utility bills with how each was split
+ * @route GET /api/utility-bills
+ * @auth Landlord only
+ * @returns {Array} Bills with their shares, newest billing period first
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT b.*,
+                    COALESCE(json_agg(json_build_object(
+                        'tenancy_id', s.tenancy_id,
+                        'lodger_name', u.full_name,
+                        'days_occupied', s.days_occupied,
+                        'share_percent', s.share_percent,
+                        'amount', s.amount,
+                        'amount_paid', COALESCE(c.amount_paid, 0),
+                        'charge_status', c.status
+                    ) ORDER BY u.full_name) FILTER (WHERE s.id IS NOT NULL), '[]') as shares
+             FROM utility_bills b
+             LEFT JOIN utility_bill_shares s ON s.bill_id = b.id
+             LEFT JOIN tenancies t ON s.tenancy_id = t.id
+             LEFT JOIN users u ON t.lodger_id = u.id
+             LEFT JOIN ledger_charges c ON s.charge_id = c.id
+             WHERE b.landlord_id = $1
+             GROUP BY b.id
+             ORDER BY b.period_end DESC, b.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get utility bills error:', error);
+        res.status(500).json({ error: 'Failed to get utility bills' });
+    }
+});
+
+/**
+ * Record a utility bill, split it between lodgers and add each share to their ledger
+ * @route POST /api/utility-bills
+ * @auth Landlord only
+ * @body {string} utility_type - gas, electricity, water, broadband or council_tax
+ * @body {number} amount - Bill total
+ * @body {string} period_start - First day the bill covers
+ * @body {string} period_end - Last day the bill covers
+ * @body {string} split_method - days_occupied or fixed_share
+ * @body {boolean} include_householder - Householder takes a share by days occupied (default true)
+ * @body {string} due_date - Date lodgers' shares are due
+ * @body {string} tenancy_ids - JSON array of tenancies to charge (default: everyone in occupation)
+ * @body {string} shares - JSON object of percentage by tenancy ID (fixed_share only)
+ * @body {string} supplier - Who issued the bill (optional)
+ * @body {string} notes - Notes (optional)
+ * @body {File} bill - Copy of the bill (optional)
+ * @returns {Object} Created bill with its shares
+ */
+router.post('/', authenticateToken, requireRole('landlord'), billUpload, async (req, res) => {
+    const billPath = req.file ? `/uploads/utility-bills/${req.file.filename}` : null;
+    const client = await pool.connect();
+    try {
+        const validationError = validateBill(req.body);
+        if (validationError) {
+            await removeBill(billPath);
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { utility_type, supplier, amount, period_start, period_end, split_method, due_date, notes } = req.body;
+        const includeHouseholder = req.body.include_householder !== 'false' && req.body.include_householder !== false;
+        const tenancyIds = parseJsonField(req.body.tenancy_ids, null);
+        const fixedShares = parseJsonField(req.body.shares, {});
+
+        if (tenancyIds === undefined || fixedShares === undefined) {
+            await removeBill(billPath);
+            return res.status(400).json({ error: 'Invalid lodger selection' });
+        }
+
+        let occupancy = await utilityBillService.getOccupancy(client, req.user.id, period_start, period_end);
+        if (Array.isArray(tenancyIds)) {
+            occupancy = occupancy.filter(row => tenancyIds.includes(row.tenancy_id));
+        }
+
+        if (occupancy.length === 0) {
+            await removeBill(billPath);
+            return res.status(400).json({ error: 'No lodgers were in occupation during the billing period' });
+        }
+
+        const bill = {
+            utility_type,
+            amount: parseFloat(amount),
+            period_start,
+            period_end,
+            split_method,
+            include_householder: includeHouseholder
+        };
+
+        let shares;
+        try {
+            shares = utilityBillService.calculateShares(bill, occupancy, fixedShares);
+        } catch (error) {
+            await removeBill(billPath);
+            return res.status(400).json({ error: error.message });
+        }
+
+        await client.query('BEGIN');
+
+        const billResult = await client.query(
+            `INSERT INTO utility_bills (
+                landlord_id, utility_type, supplier, amount, period_start, period_end,
+                split_method, include_householder, due_date, bill_path, bill_filename, notes
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             RETURNING *`,
+            [
+                req.user.id,
+                utility_type,
+                supplier || null,
+                bill.amount,
+                period_start,
+                period_end,
+                split_method,
+                includeHouseholder,
+                due_date,
+                billPath,
+                req.file ? req.file.originalname : null,
+                notes || null
+            ]
+        );
+        const created = billResult.rows[0];
+        created.shares = [];
+
+        for (const share of shares) {
+            let chargeId = null;
+
+            if (share.amount > 0) {
+                const charge = await client.query(
+                    `INSERT INTO ledger_charges (
+                        tenancy_id, charge_type, description, amount,
+                        period_start, period_end, due_date, status, created_by
+                    ) VALUES ($1, 'utility_recharge', $2, $3, $4, $5, $6, 'outstanding', $7)
+                    RETURNING id`,
+                    [
+                        share.tenancy_id,
+                        utilityBillService.describeShare(created, share),
+                        share.amount,
+                        period_start,
+                        period_end,
+                        due_date,
+                        req.user.id
+                    ]
+                );
+                chargeId = charge.rows[0].id;
+
+                await allocatePayments(client, share.tenancy_id);
+
+                await client.query(
+                    `INSERT INTO notifications (user_id, tenancy_id, type, title, message, attachment_path)
+                     VALUES ($1, $2, $3, $4, $5, $6)`,
+                    [
+                        share.lodger_id,
+                        share.tenancy_id,
+                        'utility_recharge',
+                        `${utilityBillService.UTILITY_TYPES[utility_type]} Bill`,
+                        `Your share of the ${utilityBillService.UTILITY_TYPES[utility_type].toLowerCase()} bill for ` +
+                        `${moment(period_start).format('DD/MM/YYYY')} to ${moment(period_end).format('DD/MM/YYYY')} is ` +
+                        `£${share.amount.toFixed(2)}, due ${moment(due_date).format('DD/MM/YYYY')}. It has been added to your statement.`,
+                        billPath
+                    ]
+                );
+            }
+
+            const shareResult = await client.query(
+                `INSERT INTO utility_bill_shares (bill_id, tenancy_id, charge_id, days_occupied, share_percent, amount)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING *`,
+                [created.id, share.tenancy_id, chargeId, share.days, share.share_percent, share.amount]
+            );
+            created.shares.push({ ...shareResult.rows[0], lodger_name: share.lodger_name });
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json(created);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await removeBill(billPath);
+        console.error('Create utility bill error:', error);
+        res.status(500).json({ error: 'Failed to record utility bill' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Delete a utility bill and withdraw the charges raised for it.
+ * Payments already allocated to the charges are re-allocated across the lodger's ledger.
+ * @route DELETE /api/utility-bills/:id
+ * @auth Landlord only
+ */
+router.delete('/:id', authenticateToken, requireRole('landlord'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const billResult = await client.query(
+            'SELECT * FROM utility_bills WHERE id = $1 AND landlord_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (billResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Utility bill not found' });
+        }
+
+        const bill = billResult.rows[0];
+
+        const shares = await client.query(
+            `SELECT s.tenancy_id, s.charge_id, s.amount, t.lodger_id
+             FROM utility_bill_shares s
+             JOIN tenancies t ON s.tenancy_id = t.id
+             WHERE s.bill_id = $1`,
+            [bill.id]
+        );
+
+        await client.query('DELETE FROM utility_bills WHERE id = $1', [bill.id]);
+
+        for (const share of shares.rows.filter(row => row.charge_id)) {
+            await client.query('DELETE FROM ledger_charges WHERE id = $1', [share.charge_id]);
+            await allocatePayments(client, share.tenancy_id);
+
+            await client.query(
+                `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [
+                    share.lodger_id,
+                    share.tenancy_id,
+                    'utility_recharge',
+                    'Utility Charge Withdrawn',
+                    `The £${parseFloat(share.amount).toFixed(2)} charge for your share of the ` +
+                    `${utilityBillService.UTILITY_TYPES[bill.utility_type].toLowerCase()} bill for ` +
+                    `${moment(bill.period_start).format('DD/MM/YYYY')} to ${moment(bill.period_end).format('DD/MM/YYYY')} ` +
+                    'has been removed from your statement.'
+                ]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        await removeBill(bill.bill_path);
+
+        res.json({ message: 'Utility bill deleted' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete utility bill error:', error);
+        res.status(500).json({ error: 'Failed to delete utility bill' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
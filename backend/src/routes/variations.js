@@ -0,0 +1,372 @@
+/**
+ * Variation Routes
+ * Handles deeds of variation to a signed agreement: the landlord drafts and signs
+ * changes to specific terms, the lodger reviews them side by side and signs or
+ * rejects, and once signed the changes apply from the agreed date
+ */
+
+const express = require('express');
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const signingService = require('../services/signingService');
+const variationService = require('../services/variationService');
+const { CLAUSE_CATEGORIES } = require('../services/agreementTemplateService');
+
+// Tenancies that are still running and so can be varied
+const VARIABLE_STATUSES = ['active', 'extended', 'notice_given'];
+
+/**
+ * Check the effective date and signature, returning an error message if they aren't allowed
+ */
+function validateVariation(body, tenancy) {
+    const { effective_date, signature_method, signature_image } = body;
+
+    if (!effective_date || !moment(effective_date, 'YYYY-MM-DD', true).isValid()) {
+        return 'Choose the date the changes take effect';
+    }
+    if (moment(effective_date).isBefore(moment(), 'day')) {
+        return 'The changes can\'t take effect in the past';
+    }
+    if (tenancy.termination_date && !moment(effective_date).isBefore(moment(tenancy.termination_date), 'day')) {
+        return `The agreement ends on ${moment(tenancy.termination_date).format('DD/MM/YYYY')}, so the changes must take effect before then`;
+    }
+    return signingService.validateSignature(signature_method, signature_image);
+}
+
+/**
+ * Look up a tenancy the current user is a party to
+ */
+async function getTenancyForParty(db, tenancyId, user, forUpdate = false) {
+    const result = await db.query(
+        `SELECT * FROM tenancies
+         WHERE id = $1 AND (landlord_id = $2 OR lodger_id = $2)
+         ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [tenancyId, user.id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Get a tenancy's variations and the terms that can be varied
+ * @route GET /api/tenancies/:id/variations
+ * @auth Landlord or lodger on the tenancy
+ * @returns {Object} { variations, fields, current, categories, can_propose }
+ */
+router.get('/:id/variations', authenticateToken, requireRole('landlord', 'lodger'), async (req, res) => {
+    try {
+        const tenancy = await getTenancyForParty(pool, req.params.id, req.user);
+        if (!tenancy) {
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        const variations = await variationService.getVariations(pool, tenancy.id);
+
+        res.json({
+            variations,
+            fields: variationService.VARIABLE_FIELDS,
+            current: Object.fromEntries(Object.keys(variationService.VARIABLE_FIELDS).map(field => (
+                [field, field === 'special_terms' ? (tenancy.special_terms || []) : tenancy[field]]
+            ))),
+            categories: CLAUSE_CATEGORIES,
+            can_propose: tenancy.landlord_id === req.user.id
+                && !!tenancy.signed_agreement_path
+                && VARIABLE_STATUSES.includes(tenancy.status)
+                && !variations.some(variation => ['pending', 'accepted'].includes(variation.status))
+        });
+    } catch (error) {
+        console.error('Get agreement variations error:', error);
+        res.status(500).json({ error: 'Failed to get agreement variations' });
+    }
+});
+
+/**
+ * Propose a variation to a signed agreement, signed by the landlord
+ * @route POST /api/tenancies/:id/variations
+ * @auth Landlord only
+ * @body {Object} changes - New value for each term being varied, keyed by field
+ * @body {string} effective_date - Date the changes take effect
+ * @body {string} reason - Why the agreement is being varied (optional)
+ * @body {string} signature_method - 'drawn' or 'typed'
+ * @body {string} signature_image - PNG data URL of the signature
+ * @returns {Object} Created variation
+ */
+router.post('/:id/variations', authenticateToken, requireRole('landlord'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const tenancy = await getTenancyForParty(client, req.params.id, req.user, true);
+        if (!tenancy || tenancy.landlord_id !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Tenancy not found' });
+        }
+
+        if (!tenancy.signed_agreement_path) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The agreement hasn\'t been signed yet. Edit the tenancy instead.' });
+        }
+
+        if (!VARIABLE_STATUSES.includes(tenancy.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This tenancy is not running' });
+        }
+
+        const validationError = validateVariation(req.body, tenancy);
+        if (validationError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { changes, error } = variationService.buildChanges(tenancy, req.body.changes);
+        if (error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error });
+        }
+
+        const open = await client.query(
+            `SELECT id FROM agreement_variations
+             WHERE tenancy_id = $1 AND status IN ('pending', 'accepted')`,
+            [tenancy.id]
+        );
+        if (open.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'There is already a variation waiting to be signed or to take effect on this tenancy' });
+        }
+
+        const signaturePath = await signingService.saveSignatureImage(req.body.signature_image, tenancy.id, 'landlord');
+
+        const result = await client.query(
+            `INSERT INTO agreement_variations (
+                tenancy_id, changes, reason, effective_date, proposed_by,
+                landlord_signed_name, landlord_signature_method, landlord_signature_path, landlord_signed_at, landlord_ip_address
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, $9)
+             RETURNING *`,
+            [
+                tenancy.id,
+                JSON.stringify(changes),
+                req.body.reason ? req.body.reason.trim() : null,
+                req.body.effective_date,
+                req.user.id,
+                req.user.full_name,
+                req.body.signature_method,
+                signaturePath,
+                signingService.getRequestOrigin(req).ip_address
+            ]
+        );
+
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                tenancy.lodger_id,
+                tenancy.id,
+                'variation',
+                'Proposed Changes to Your Agreement',
+                `Your householder has signed a deed of variation changing ${changes.map(change => change.label).join(', ')} ` +
+                    `from ${moment(req.body.effective_date).format('DD/MM/YYYY')}. Please review the changes and sign or reject them.`
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Propose agreement variation error:', error);
+        res.status(500).json({ error: 'Failed to propose variation' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Sign or reject a proposed variation. Signing writes the deed of variation and a new
+ * signed copy of the agreement with the variation appended; the changes apply straight
+ * away if the effective date is today, or on the morning of that date.
+ * @route POST /api/tenancies/variations/:variationId/respond
+ * @auth Lodger on the tenancy
+ * @body {string} response - 'accept' or 'reject'
+ * @body {string} signature_method - 'drawn' or 'typed' (accept)
+ * @body {string} signature_image - PNG data URL of the signature (accept)
+ * @body {string} reason - Why the variation is rejected (optional)
+ * @returns {Object} Updated variation
+ */
+router.post('/variations/:variationId/respond', authenticateToken, requireRole('lodger'), async (req, res) => {
+    const { response, signature_method, signature_image, reason } = req.body;
+
+    if (!['accept', 'reject'].includes(response)) {
+        return res.status(400).json({ error: 'Choose whether to sign or reject the changes' });
+    }
+    if (response === 'accept') {
+        const signatureError = signingService.validateSignature(signature_method, signature_image);
+        if (signatureError) {
+            return res.status(400).json({ error: signatureError });
+        }
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const variationResult = await client.query(
+            `SELECT v.*
+             FROM agreement_variations v
+             JOIN tenancies t ON v.tenancy_id = t.id
+             WHERE v.id = $1 AND t.lodger_id = $2
+             FOR UPDATE OF v`,
+            [req.params.variationId, req.user.id]
+        );
+
+        if (variationResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Variation not found' });
+        }
+
+        const variation = variationResult.rows[0];
+
+        if (variation.status !== 'pending') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This variation has already been answered' });
+        }
+
+        const tenancy = await getTenancyForParty(client, variation.tenancy_id, req.user, true);
+
+        if (response === 'reject') {
+            const result = await client.query(
+                `UPDATE agreement_variations
+                 SET status = 'rejected', rejection_reason = $1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $2
+                 RETURNING *`,
+                [reason ? reason.trim() : null, variation.id]
+            );
+            await client.query(
+                `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [tenancy.landlord_id, tenancy.id, 'variation', 'Variation Rejected',
+                    `Your lodger has rejected the proposed changes to the agreement${reason ? `: ${reason.trim()}` : '.'}`]
+            );
+
+            await client.query('COMMIT');
+            return res.json(result.rows[0]);
+        }
+
+        if (!VARIABLE_STATUSES.includes(tenancy.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This tenancy is not running' });
+        }
+
+        if (moment(variation.effective_date).isBefore(moment(), 'day')) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The date these changes were to take effect has passed. Ask your householder to propose them again.' });
+        }
+
+        // The lodger is signing a change from the terms as they were when it was drafted
+        if (variationService.hasChangedSinceDrafted(tenancy, variation)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The agreement has changed since this variation was drafted. Ask your householder to propose it again.' });
+        }
+
+        const signaturePath = await signingService.saveSignatureImage(signature_image, tenancy.id, 'lodger');
+        const origin = signingService.getRequestOrigin(req);
+
+        await client.query(
+            `UPDATE agreement_variations
+             SET status = 'accepted',
+                 variation_number = (
+                     SELECT COALESCE(MAX(variation_number), 0) + 1 FROM agreement_variations WHERE tenancy_id = $1
+                 ),
+                 lodger_signed_name = $2, lodger_signature_method = $3, lodger_signature_path = $4,
+                 lodger_signed_at = CURRENT_TIMESTAMP, lodger_ip_address = $5, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6`,
+            [tenancy.id, req.user.full_name, signature_method, signaturePath, origin.ip_address, variation.id]
+        );
+
+        if (!moment(variation.effective_date).isAfter(moment(), 'day')) {
+            await variationService.applyVariation(client, variation);
+        }
+
+        const signed = await variationService.writeVariationDocuments(client, variation.id);
+
+        await signingService.recordSigningEvent(client, {
+            tenancy_id: tenancy.id,
+            user_id: req.user.id,
+            event_type: 'certified',
+            document_hash: signed.agreement_hash,
+            ...origin
+        });
+
+        for (const userId of [tenancy.landlord_id, tenancy.lodger_id]) {
+            await client.query(
+                `INSERT INTO notifications (user_id, tenancy_id, type, title, message, attachment_path)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [
+                    userId,
+                    tenancy.id,
+                    'variation',
+                    'Agreement Varied',
+                    (userId === tenancy.landlord_id ? 'Your lodger has signed the deed of variation. ' : '') +
+                        `The changes take effect on ${moment(variation.effective_date).format('DD/MM/YYYY')}. The signed deed is attached.`,
+                    signed.deed_path
+                ]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        res.json(signed);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Respond to agreement variation error:', error);
+        res.status(500).json({ error: 'Failed to respond to variation' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Withdraw a variation before the lodger has answered it
+ * @route POST /api/tenancies/variations/:variationId/withdraw
+ * @auth Landlord who proposed it
+ * @returns {Object} Updated variation
+ */
+router.post('/variations/:variationId/withdraw', authenticateToken, requireRole('landlord'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE agreement_variations
+             SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND proposed_by = $2 AND status = 'pending'
+             RETURNING *`,
+            [req.params.variationId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Variation not found or already answered' });
+        }
+
+        const tenancy = await client.query('SELECT lodger_id FROM tenancies WHERE id = $1', [result.rows[0].tenancy_id]);
+        await client.query(
+            `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [tenancy.rows[0].lodger_id, result.rows[0].tenancy_id, 'variation', 'Variation Withdrawn',
+                'Your householder has withdrawn the proposed changes to your agreement.']
+        );
+
+        await client.query('COMMIT');
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Withdraw agreement variation error:', error);
+        res.status(500).json({ error: 'Failed to withdraw variation' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
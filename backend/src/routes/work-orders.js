@@ -0,0 +1,338 @@
+/**
+ * Work Order Routes
+ * Handles repairs sent to contractors, their job sheets, quotes and invoices.
+ * Invoices are recorded as repairs expenses for tax reporting.
+ */
+
+const express = require('express');
+const moment = require('moment');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { uploadTo } = require('../middleware/upload');
+const maintenanceService = require('../services/maintenanceService');
+const workOrderService = require('../services/workOrderService');
+
+const invoiceUpload = uploadTo('invoices').single('invoice');
+
+/**
+ * Check work order amounts and dates, returning an error message if any are invalid
+ */
+function validateWorkOrder(body) {
+    const { quote_amount, invoice_amount, invoice_date, completion_date, attendance_date } = body;
+
+    if (quote_amount !== undefined && quote_amount !== '' && !(parseFloat(quote_amount) >= 0)) return 'Enter a valid quote';
+    if (invoice_amount !== undefined && invoice_amount !== '' && !(parseFloat(invoice_amount) > 0)) return 'Invoice amount must be greater than zero';
+    if (invoice_date && !moment(invoice_date, 'YYYY-MM-DD', true).isValid()) return 'Enter a valid invoice date';
+    if (completion_date) {
+        if (!moment(completion_date, 'YYYY-MM-DD', true).isValid()) return 'Enter a valid completion date';
+        if (moment(completion_date).isAfter(moment(), 'day')) return 'The completion date cannot be in the future';
+    }
+    if (attendance_date && !moment(attendance_date).isValid()) return 'Enter a valid attendance date';
+    return null;
+}
+
+/**
+ * Look up one of the landlord's active contractors
+ */
+async function getContractor(db, contractorId, landlordId) {
+    const result = await db.query(
+        'SELECT * FROM contractors WHERE id = $1 AND landlord_id = $2 AND is_active',
+        [contractorId, landlordId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Get landlord's work orders
+ * @route GET /api/work-orders
+ * @auth Landlord only
+ * @query {string} maintenance_request_id - Only work orders for this request (optional)
+ * @returns {Array} Work orders with contractor and repair details, newest first
+ */
+router.get('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT w.*, m.title as request_title, m.status as request_status,
+                    c.name as contractor_name, c.company_name as contractor_company_name,
+                    c.trade as contractor_trade, c.phone as contractor_phone
+             FROM work_orders w
+             JOIN maintenance_requests m ON w.maintenance_request_id = m.id
+             LEFT JOIN contractors c ON w.contractor_id = c.id
+             WHERE w.landlord_id = $1
+             AND ($2::uuid IS NULL OR w.maintenance_request_id = $2::uuid)
+             ORDER BY w.sequence_number DESC`,
+            [req.user.id, req.query.maintenance_request_id || null]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get work orders error:', error);
+        res.status(500).json({ error: 'Failed to get work orders' });
+    }
+});
+
+/**
+ * Send an acknowledged repair to a contractor. Giving an attendance date books the repair
+ * and tells the lodger when to expect the contractor.
+ * @route POST /api/work-orders
+ * @auth Landlord only
+ * @body {string} maintenance_request_id - Repair the work is for
+ * @body {string} contractor_id - Contractor doing the work
+ * @body {string} instructions - What the contractor should do (optional)
+ * @body {string} access_arrangements - How the contractor gets in (optional)
+ * @body {string} attendance_date - When the contractor will attend (optional)
+ * @body {number} quote_amount - Agreed quote (optional)
+ * @returns {Object} Created work order
+ */
+router.post('/', authenticateToken, requireRole('landlord'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { maintenance_request_id, contractor_id, instructions, access_arrangements, attendance_date, quote_amount } = req.body;
+
+        const validationError = validateWorkOrder(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await client.query('BEGIN');
+
+        const requestResult = await client.query(
+            `SELECT m.*, t.lodger_id
+             FROM maintenance_requests m
+             JOIN tenancies t ON m.tenancy_id = t.id
+             WHERE m.id = $1 AND m.landlord_id = $2
+             FOR UPDATE OF m`,
+            [maintenance_request_id, req.user.id]
+        );
+
+        if (requestResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Maintenance request not found' });
+        }
+
+        const request = requestResult.rows[0];
+        if (!['acknowledged', 'scheduled'].includes(request.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: request.status === 'reported'
+                    ? 'Acknowledge the request before sending it to a contractor'
+                    : 'This request has been resolved'
+            });
+        }
+
+        const contractor = await getContractor(client, contractor_id, req.user.id);
+        if (!contractor) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Contractor not found' });
+        }
+
+        const { sequence, number } = await workOrderService.nextWorkOrderNumber(client, req.user.id);
+
+        const result = await client.query(
+            `INSERT INTO work_orders (
+                landlord_id, maintenance_request_id, contractor_id, sequence_number, work_order_number,
+                instructions, access_arrangements, attendance_date, quote_amount, created_by
+             ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [
+                req.user.id,
+                request.id,
+                contractor.id,
+                sequence,
+                number,
+                instructions || null,
+                access_arrangements || null,
+                attendance_date ? moment(attendance_date).toDate() : null,
+                quote_amount !== undefined && quote_amount !== '' ? parseFloat(quote_amount) : null,
+                req.user.id
+            ]
+        );
+
+        if (attendance_date) {
+            await maintenanceService.scheduleRepair(client, request, attendance_date);
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create work order error:', error);
+        res.status(500).json({ error: 'Failed to create work order' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Update a work order: change its details, record the quote, invoice and completion date, or
+ * cancel it. Once an invoice amount is recorded it is added to expenses as a repair cost.
+ * @route PUT /api/work-orders/:id
+ * @auth Landlord only
+ * @body {string} contractor_id - Reassign to another contractor (optional)
+ * @body {string} instructions - What the contractor should do (optional)
+ * @body {string} access_arrangements - How the contractor gets in (optional)
+ * @body {string} attendance_date - When the contractor will attend; rebooks the repair (optional)
+ * @body {number} quote_amount - Agreed quote (optional)
+ * @body {number} invoice_amount - Amount invoiced (optional)
+ * @body {string} invoice_reference - Contractor's invoice number (optional)
+ * @body {string} invoice_date - Invoice date; the expense is dated this day (optional)
+ * @body {string} completion_date - Date the work was finished; marks the work order completed (optional)
+ * @body {string} status - 'cancelled' to cancel (optional)
+ * @body {File} invoice - Copy of the invoice (multipart/form-data, optional)
+ * @returns {Object} Updated work order
+ */
+router.put('/:id', authenticateToken, requireRole('landlord'), invoiceUpload, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const validationError = validateWorkOrder(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            'SELECT * FROM work_orders WHERE id = $1 AND landlord_id = $2 FOR UPDATE',
+            [req.params.id, req.user.id]
+        );
+
+        if (existing.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        const workOrder = existing.rows[0];
+        const {
+            contractor_id, instructions, access_arrangements, attendance_date, quote_amount,
+            invoice_amount, invoice_reference, invoice_date, completion_date, status
+        } = req.body;
+
+        if (workOrder.status === 'cancelled') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This work order has been cancelled' });
+        }
+
+        if (status === 'cancelled') {
+            if (workOrder.invoice_amount) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'A work order with an invoice recorded cannot be cancelled' });
+            }
+
+            const cancelled = await client.query(
+                `UPDATE work_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [workOrder.id]
+            );
+
+            await client.query('COMMIT');
+            return res.json(cancelled.rows[0]);
+        }
+
+        if (contractor_id && contractor_id !== workOrder.contractor_id) {
+            const contractor = await getContractor(client, contractor_id, req.user.id);
+            if (!contractor) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Contractor not found' });
+            }
+        }
+
+        const optionalAmount = (value) => (value === undefined ? undefined : value === '' ? null : parseFloat(value));
+        const updates = {
+            contractor_id: contractor_id || undefined,
+            instructions,
+            access_arrangements,
+            attendance_date: attendance_date ? moment(attendance_date).toDate() : undefined,
+            quote_amount: optionalAmount(quote_amount),
+            invoice_amount: optionalAmount(invoice_amount),
+            invoice_reference,
+            invoice_date: invoice_date || undefined,
+            completion_date: completion_date || undefined,
+            status: completion_date ? 'completed' : undefined,
+            invoice_path: req.file ? `/uploads/invoices/${req.file.filename}` : undefined,
+            invoice_filename: req.file ? req.file.originalname : undefined
+        };
+
+        if (workOrder.invoice_amount && updates.invoice_amount === null) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'An invoice recorded as an expense can be corrected but not removed' });
+        }
+
+        const fields = Object.keys(updates).filter(field => updates[field] !== undefined);
+        if (fields.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const result = await client.query(
+            `UPDATE work_orders
+             SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${fields.length + 1}
+             RETURNING *`,
+            [...fields.map(field => updates[field]), workOrder.id]
+        );
+        let updated = result.rows[0];
+
+        const invoiceChanged = ['invoice_amount', 'invoice_reference', 'invoice_date', 'invoice_path', 'completion_date', 'contractor_id']
+            .some(field => fields.includes(field));
+        if (updated.invoice_amount && invoiceChanged) {
+            const expenseId = await workOrderService.recordInvoiceExpense(client, updated);
+            updated = { ...updated, expense_id: expenseId };
+        }
+
+        if (updates.attendance_date) {
+            const requestResult = await client.query(
+                `SELECT m.*, t.lodger_id
+                 FROM maintenance_requests m
+                 JOIN tenancies t ON m.tenancy_id = t.id
+                 WHERE m.id = $1
+                 FOR UPDATE OF m`,
+                [workOrder.maintenance_request_id]
+            );
+            const request = requestResult.rows[0];
+            if (maintenanceService.canTransition(request.status, 'scheduled')) {
+                await maintenanceService.scheduleRepair(client, request, updates.attendance_date);
+            }
+        }
+
+        await client.query('COMMIT');
+
+        res.json(updated);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update work order error:', error);
+        res.status(500).json({ error: 'Failed to update work order' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * Download a work order's job sheet to give to the contractor
+ * @route GET /api/work-orders/:id/job-sheet
+ * @auth Landlord only
+ * @returns {File} Job sheet PDF
+ */
+router.get('/:id/job-sheet', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const existing = await pool.query(
+            'SELECT id FROM work_orders WHERE id = $1 AND landlord_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        const { filePath, workOrderNumber } = await workOrderService.writeJobSheet(pool, req.params.id);
+
+        res.setHeader('Content-Disposition', `attachment; filename="Job-Sheet-${workOrderNumber}.pdf"`);
+        res.sendFile(filePath);
+    } catch (error) {
+        console.error('Generate job sheet error:', error);
+        res.status(500).json({ error: 'Failed to generate job sheet' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,464 @@
+const { buildMergeData, findUnknownMergeFields } = require('../utils/agreementTemplate');
+const { generateAgreementPDF } = require('./pdfService');
+const signingService = require('./signingService');
+
+// Part 3: Property Rules and Services and Any Additional Terms
+const CLAUSE_CATEGORIES = {
+  house_rules: 'House Rules',
+  guests: 'Guests',
+  parking: 'Parking',
+  services: 'Services',
+  other: 'Additional Terms'
+};
+
+// The agreement every landlord starts from. Landlords copy it into their own template
+// to change it; the standard template itself is never edited.
+const STANDARD_TEMPLATE_NAME = 'Standard Lodger Agreement';
+
+const STANDARD_TEMPLATE_CONTENT = {
+  title: 'LODGER AGREEMENT',
+  subtitle: 'AGREEMENT FOR NON-EXCLUSIVE OR SHARED OCCUPATION',
+  introduction: 'This LODGER AGREEMENT is made up of the details about the parties and the agreement in Part 1, the Terms and Conditions printed below in Part 2, and any Special Terms and Conditions agreed between the parties which have been recorded in Part 3, whereby the Room is licensed by the Householder and taken by the Lodger during the Term upon making the Accommodation Payment.',
+  particulars: [
+    'PROPERTY: {{property_address}}',
+    'ROOM: {{room_description}}',
+    'SHARED AREAS: {{shared_areas}}',
+    'HOUSEHOLDER: {{landlord_name}}',
+    'LODGER: {{lodger_name}}',
+    'START DAY: {{start_date}}',
+    'TERM: {{term_months}} Months Rolling Contract until Terminated by either party',
+    'INITIAL PAYMENT: {{initial_payment}}, (current and month in advanced payment)',
+    'ACCOMMODATION PAYMENT: {{rent_amount}} payable {{payment_frequency}}',
+    'PAYMENT DAY: {{payment_day}}',
+    'DEPOSIT: {{deposit_amount}} If Applicable ({{deposit_applicable}})'
+  ],
+  notes: [
+    {
+      heading: 'EARLY TERMINATION',
+      text: 'Either party may at any time end this Agreement earlier than the End Date by giving notice in writing of at least one calendar month ending on the Payment Day if within of the rental term any if any deposits and or advance payments was taken will be void unless mutually agreed by both parties and or breach of this agreement'
+    },
+    {
+      heading: 'UTILITY COSTS',
+      text: 'all utilities including, gas, electric, water, basic internet. Excluded Utility Cost: Television License is not included, if the lodger would like to view any LIVE broadcast, the lodger accepts responsibility to pay for the television licence and provide evidence of the purchase at their own expense (bbc iplayer etc). Any Utilities not listed as payable by the Lodger in Part 3 of this agreement are included in the Accommodation Payment. Note: The Householder may not require the Lodger to pay any charge which is not a permitted payment under the Tenant Fees Act 2019.'
+    }
+  ],
+  sections: [
+    {
+      heading: '1. About the Licence to Occupy a Room in the Property',
+      clauses: [
+        '1.1. The Householder permits the Lodger to occupy the Room until either party ends the arrangement as provided for under clause 9 of this agreement.',
+        '1.2. The Lodger will occupy the Room personally and shall not share the Room with any other person, except where the Lodger has asked to share the Room with another person and the Householder has agreed in writing (in Part 3: Property Rules and Services and Any Additional Terms) that this person (the "Permitted Occupier") may occupy the Room with Lodger during the Term.',
+        '1.3. The Lodger shall have use of the Contents in the Room, an inventory of which will be prepared by the Householder and provided to the Lodger.',
+        '1.4. The Lodger may use the facilities of the Shared Areas of the Property in common with the Householder (and the other Lodgers of the Householder) but only in conjunction with their occupation of the Room under this agreement.',
+        '1.5. This agreement is not intended to confer exclusive possession upon the Lodger nor to create the relationship of landlord and tenant between the parties. The Lodger shall not be entitled to an assured tenancy or a statutory periodic tenancy under the Housing Act 1988 or any other statutory security of tenure now or when the licence ends.',
+        '1.6. This agreement is personal to the Lodger, cannot be assigned to any other party, and can be terminated by either party on notice or without notice in the case of serious breaches of the agreement.',
+        '1.7. It is a condition of this agreement that the Lodger maintain a "Right to Rent" as defined by the Immigration Act 2014 at all times during the Term.'
+      ]
+    },
+    {
+      heading: '2. Lodger Obligations',
+      intro: 'The Lodger Agrees with the Householder:',
+      clauses: [
+        '2.1. Payments',
+        '  2.1.1. To pay the Accommodation Payment at the times and in the manner set out above.',
+        '  2.1.2. To pay simple interest at the rate of 3% above the Bank of England base rate upon any payment which is not paid within 14 days after the due date.',
+        '2.2. Utilities - To make only reasonable use of the Utilities consistent with ordinary residential use.',
+        '2.3. Use of the Property',
+        '  2.3.1. Not to use or occupy the Room in any way whatsoever other than as a private residence;',
+        '  2.3.2. Not to let or share any rooms or take in any lodger without consent. Occasional overnight visitors allowed with prior permission.',
+        '2.4. Maintenance',
+        '  2.4.1. To keep the interior of the Room and Shared Parts in good and clean condition and make good any damage.',
+        '  2.4.2. To keep the Contents in good condition and not remove any articles from the Room.',
+        '  2.4.3. To replace damaged items with articles of similar kind and value.',
+        '2.5. Activities at the Property',
+        '  2.5.1. Not to smoke cigarettes, cigars, pipes or any other substances in the Property only outside.',
+        '  2.5.2. To cook at the Property only in the kitchen;',
+        '  2.5.3. Not to keep any pet without prior consent;',
+        '  2.5.4. Not to make any alteration without prior written consent;',
+        '  2.5.5. Not do anything which may be a nuisance or prejudice insurance;',
+        '  2.5.6. To ensure Room cleaned weekly and rubbish disposed of daily.',
+        '2.6. Other Obligations - Comply with Right to Rent checks. Assist with Council Tax discounts/exemptions.',
+        '2.7. At the end of the Agreement - Vacate and leave in clean condition (fair wear and tear excepted). Return all keys. Provide forwarding address. Remove all personal items.'
+      ]
+    },
+    {
+      heading: '3. Householder Obligations',
+      intro: 'The Householder agrees with the Lodger:',
+      clauses: [
+        '3.1. To keep in good repair the structure and exterior of the Property and the Room (including drains gutters and external pipes) and to keep in repair and proper working order the installations (if any) in the Property for the supply of water gas and electricity and for sanitation (including basins sinks and sanitary conveniences but not the fixtures, fittings, and appliances for making use of water gas or electricity) and for space heating and heating water',
+        '  provided that the Householder is not required:',
+        '    3.1.1. to carry out any works or repairs for which the Lodger is liable, or',
+        '    3.1.2. to rebuild or reinstate the Property in the case of destruction or damage by fire by tempest flood or other inevitable accident, or',
+        '    3.1.3. to keep in repair or maintain anything which the Lodger is entitled to remove from the Property.',
+        '3.2. To keep in good repair and working order such fixtures and fittings as are provided by the Householder for use by the Lodger',
+        '3.3. To comply with the Gas Safety (Installation and Use) Regulations 1998 (as amended) by ensuring that all gas appliances in the Property are checked by a Gas Safe-registered installer on an annual basis',
+        '3.4. To ensure that all furniture and furnishings provided for use by the Lodger complies with the Furniture and Furnishings (Fire)(Safety) Regulations, 1988 (as amended).',
+        '3.5. To ensure that all electrical equipment supplied to the Lodger is kept in good repair and is not damaged or defective.',
+        '3.6. To install and keep in good working order smoke detectors in the Property, and, if there is a fixed combustion appliance in any part of the Property, to install and keep in good working order a carbon monoxide detector.',
+        '3.7. To ensure that all times the Room and the Shared Areas are fit for human habitation.',
+        '3.8. To pay the Council Tax for the Property during the Term.',
+        '3.9. To warrant that they have permission to take in lodgers in the Property.'
+      ]
+    },
+    {
+      heading: '4. Amicable Sharing',
+      clauses: [
+        '4.1. The Lodger shall use his or her best efforts to share the use of the Room and Property amicably and peaceably with the Householder (and the Property with such other Lodgers as the Householder shall from time to time permit to use the Property). The Lodger shall not interfere with or otherwise obstruct such shared occupation in any way.',
+        '4.2. The Householder and the Lodger will respect each other\'s reasonable needs for privacy and decency. Neither party will exercise their rights of access to any room in a way that is likely to violate such reasonable needs. Nothing in this clause is intended to grant the Lodger exclusive possession of the Room or any other part of the Property.'
+      ]
+    },
+    {
+      heading: '5. Keys',
+      clauses: [
+        '5.1. The Householder shall give the Lodger one set of keys to the Room (if applicable) and to the Property.',
+        '5.2. The Lodger will keep safe any keys or other security devices giving access to the Property or to the Room, and will pay the Householder\'s reasonable costs incurred in consequence of the loss of any such key, or other such device.',
+        '5.3. The Householder shall retain his or her own set of keys and the Householder and any persons authorised by him or her may exercise their right to use these and obtain free entry to the Room at any reasonable time.'
+      ]
+    },
+    {
+      heading: '6. Deposit if applicable',
+      clauses: [
+        '6.1. The Deposit will be held by the Householder during the Term. No interest will be payable by the Householder to the Lodger in respect of the deposit money.',
+        '6.2. The Householder is not required to protect the Deposit with a Government approved protection scheme.',
+        '6.3. At the end of the Term (however it ends) on giving vacant possession of the Room to the Householder the Deposit shall will be refunded to the Lodger but less any reasonable deductions properly made by the Householder to cover any reasonable costs incurred by or losses caused to him by any breaches of the Lodger\'s obligations under this Agreement.',
+        '6.4. The Deposit shall be repaid to the Lodger, at the forwarding address provided to the Householder, as soon as reasonably practicable. The Householder shall not except where they can demonstrate exceptional circumstances retain the Deposit for more than one month.'
+      ]
+    },
+    {
+      heading: '7. Uninhabitability',
+      clauses: [
+        '7.1. In the event of destruction to the Property or of damage to it which shall make the same or a substantial portion of the same uninhabitable, the Lodger shall be relieved from making the Payment by an amount proportionate to the extent to which the Lodger\'s ability to live in the Property is thereby prevented, save where the destruction or damage has been caused by any act or default by the Lodger or where the Householder\'s insurance cover has been adversely affected by any act or omission on the part of the Lodger.'
+      ]
+    },
+    {
+      heading: '8. Moving to another room',
+      clauses: [
+        '8.1. The Householder may give reasonable written notice directing the Lodger to use another room of similar size and condition to the Room in the Property. If such notice is given the Lodger must remove his or her personal belongings to the new room and must leave the old room in a clean and tidy condition.',
+        '8.2. Notice to use another room in the Property must give the Lodger a minimum of 48 hours to move or an amount of time which is reasonable in the circumstances, whichever is longer.'
+      ]
+    },
+    {
+      heading: '9. Ending this Agreement',
+      clauses: [
+        '9.1. Termination for breach of this Agreement: If at any time during the Term the Lodger is in breach of any term of this agreement, or any sums due under this agreement are more than 14 days late, or if the Lodger is declared bankrupt or enters into any form of arrangement with his creditors, the Householder may terminate this agreement by giving 7 days\' notice to the Lodger in writing to remedy the breach. If after 7 days the breach has not been remedied the landlord may terminate this agreement by giving a further 14 days\' notice in writing to the Lodger.',
+        '9.2. Break Clause: Either party may at any time during the Term terminate this Agreement by giving to the other prior written notice of not less than one calendar month expiring the day before a Payment Day. Upon the expiry of that notice this Agreement shall end with no further liability for either party except for any existing breaches.',
+        '9.3. Behaviour Clause: If the householder deems that the behaviour of the tenant is unacceptable, the householder will provide in writing a warning notice of this breach, if the tenant fails to correct this behaviour the householder may terminate the contract with a maximum of 14 days notice, depending on the severity of the behaviour, for example aggressive behavior, the contract may be terminated with immediate effect.',
+        '9.4. At the end of the agreement any items remaining in the Property or Room which are the property of the Lodger must be removed by the Lodger. If any items (apart from perishable food) are left behind by the Lodger the Householder will make reasonable efforts to notify the Lodger and will store them for a period of 14 days, after which time the Householder will be permitted to dispose of the items as they see fit.'
+      ]
+    },
+    {
+      heading: '10. About the Legal Effect of this agreement',
+      clauses: [
+        '10.1. If any term of this agreement is, in whole or in part, held to be illegal or unenforceable to any extent under any enactment or rule of law, that term or part shall to that extent be deemed not to form part of this agreement and the enforceability of the remainder of this agreement shall not be affected.',
+        '10.2. The Householder and the Lodger agree that this agreement shall be exclusively governed by and interpreted in accordance with the laws of England and Wales, and agree to submit to the exclusive jurisdiction of the English Courts.',
+        '10.3. This agreement including the attached Property Rules and Services in Part 3 embody the entire understanding of the parties relating to the Room and the Property and to all matters dealt with by any of the provisions in this agreement.'
+      ]
+    }
+  ]
+};
+
+// Clause library every landlord can pick Part 3 terms from
+const STANDARD_CLAUSES = [
+  ['house_rules', 'Quiet hours', 'The Lodger will keep noise to a minimum between 10pm and 7am, including music, television and phone calls.'],
+  ['house_rules', 'Kitchen and Shared Areas', 'The Lodger will wash up and clear away straight after using the kitchen, and leave the Shared Areas clean and tidy.'],
+  ['house_rules', 'Heating and hot water', 'Heating and hot water are set by the Householder. The Lodger will not change the boiler or thermostat settings without asking first.'],
+  ['house_rules', 'Recycling and rubbish', 'The Lodger will sort recycling and put rubbish in the correct bins on the days set by the council.'],
+  ['guests', 'Overnight guests', 'The Lodger may have one overnight guest on no more than two nights in any week, with at least 24 hours\' notice to the Householder. The Lodger is responsible for the behaviour of their guests.'],
+  ['guests', 'No overnight guests', 'The Lodger may not have overnight guests at the Property.'],
+  ['guests', 'Day visitors', 'Visitors are welcome between 9am and 10pm. The Lodger will tell the Householder in advance and stay with their visitors while they are in the Property.'],
+  ['parking', 'Off-street parking', 'The Lodger may park one roadworthy, taxed and insured vehicle on the driveway of the Property. The Householder accepts no liability for loss of or damage to the vehicle.'],
+  ['parking', 'No parking', 'No parking is provided at the Property. Any vehicle must be parked on the street in line with local restrictions.'],
+  ['parking', 'Bicycle storage', 'The Lodger may keep a bicycle in the place the Householder shows them, at their own risk.'],
+  ['services', 'Cleaning of Shared Areas', 'The Householder will clean the Shared Areas once a week. The Lodger remains responsible for cleaning the Room.'],
+  ['services', 'Bed linen and towels', 'The Householder will provide bed linen and towels and wash them once a week.'],
+  ['services', 'Meals', 'The Householder will provide an evening meal on weekdays. The Lodger will give notice by midday if they won\'t need it.']
+];
+
+/**
+ * Latest version of every template a landlord can use: their own and the standard one
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord's user ID
+ * @returns {Array} agreement_templates rows, standard template first
+ */
+async function getLatestTemplates(db, landlordId) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (group_id) *
+     FROM agreement_templates
+     WHERE landlord_id = $1 OR landlord_id IS NULL
+     ORDER BY group_id, version DESC`,
+    [landlordId]
+  );
+  return result.rows.sort((a, b) => {
+    if (!a.landlord_id !== !b.landlord_id) return a.landlord_id ? 1 : -1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * A template version, if the landlord can use it
+ * @param {Object} db - pg pool or client
+ * @param {string} templateId - agreement_templates ID
+ * @param {string} landlordId - Landlord's user ID
+ * @returns {Object|null} agreement_templates row
+ */
+async function getTemplateForLandlord(db, templateId, landlordId) {
+  const result = await db.query(
+    'SELECT * FROM agreement_templates WHERE id = $1 AND (landlord_id = $2 OR landlord_id IS NULL)',
+    [templateId, landlordId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Every version of a template, newest first
+ * @param {Object} db - pg pool or client
+ * @param {string} groupId - Shared by all versions of the template
+ * @returns {Array} Versions without their content
+ */
+async function getTemplateVersions(db, groupId) {
+  const result = await db.query(
+    `SELECT t.id, t.version, t.name, t.change_note, t.created_at, u.full_name as created_by_name,
+            (SELECT COUNT(*) FROM tenancies WHERE agreement_template_id = t.id)::int as tenancy_count
+     FROM agreement_templates t
+     LEFT JOIN users u ON t.created_by = u.id
+     WHERE t.group_id = $1
+     ORDER BY t.version DESC`,
+    [groupId]
+  );
+  return result.rows;
+}
+
+/**
+ * Latest version of the template a version belongs to
+ * @param {Object} db - pg pool or client
+ * @param {string} templateId - Any version's ID
+ * @returns {Object|null} agreement_templates row
+ */
+async function getLatestVersion(db, templateId) {
+  const result = await db.query(
+    `SELECT latest.*
+     FROM agreement_templates t
+     JOIN agreement_templates latest ON latest.group_id = t.group_id
+     WHERE t.id = $1
+     ORDER BY latest.version DESC
+     LIMIT 1`,
+    [templateId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The template version a tenancy's agreement is written from: the one it was signed
+ * under, or before signing the latest version of the template chosen for it (the
+ * standard template if none was chosen)
+ * @param {Object} db - pg pool or client
+ * @param {Object} tenancy - tenancies row
+ * @returns {Object} agreement_templates row
+ */
+async function getTemplateForTenancy(db, tenancy) {
+  if (tenancy.agreement_template_id) {
+    if (tenancy.lodger_signature) {
+      const result = await db.query('SELECT * FROM agreement_templates WHERE id = $1', [tenancy.agreement_template_id]);
+      return result.rows[0];
+    }
+    return getLatestVersion(db, tenancy.agreement_template_id);
+  }
+
+  const result = await db.query(
+    `SELECT * FROM agreement_templates
+     WHERE landlord_id IS NULL
+     ORDER BY version DESC
+     LIMIT 1`
+  );
+  return result.rows[0];
+}
+
+/**
+ * Save a template. Templates are never changed in place: each save adds a new version,
+ * so agreements signed under an earlier version can always be reproduced.
+ * @param {Object} db - pg pool or client
+ * @param {Object} template - { group_id (omit for a new template), landlord_id, name, content, change_note, created_by }
+ * @returns {Object} The new agreement_templates row
+ */
+async function saveTemplateVersion(db, template) {
+  const result = await db.query(
+    `INSERT INTO agreement_templates (group_id, landlord_id, name, version, content, change_note, created_by)
+     SELECT COALESCE($1::uuid, uuid_generate_v4()), $2::uuid, $3::varchar,
+            COALESCE((SELECT MAX(version) FROM agreement_templates WHERE group_id = $1::uuid), 0) + 1,
+            $4::jsonb, $5::text, $6::uuid
+     RETURNING *`,
+    [
+      template.group_id || null,
+      template.landlord_id,
+      template.name,
+      JSON.stringify(template.content),
+      template.change_note || null,
+      template.created_by
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Clauses a landlord can add to Part 3: their own and the standard library
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord's user ID
+ * @returns {Array} agreement_clauses rows grouped in category order
+ */
+async function getClauses(db, landlordId) {
+  const result = await db.query(
+    `SELECT * FROM agreement_clauses
+     WHERE (landlord_id = $1 OR landlord_id IS NULL) AND is_active = true
+     ORDER BY landlord_id NULLS FIRST, title`,
+    [landlordId]
+  );
+  const categories = Object.keys(CLAUSE_CATEGORIES);
+  return result.rows.sort((a, b) => categories.indexOf(a.category) - categories.indexOf(b.category));
+}
+
+/**
+ * Check a clause before it's saved to the library
+ * @returns {string|null} Error message, or null if the clause can be saved
+ */
+function validateClause({ category, title, body }) {
+  if (!CLAUSE_CATEGORIES[category]) {
+    return 'Choose a category for the clause';
+  }
+  if (!title || !title.trim()) {
+    return 'Give the clause a title';
+  }
+  if (!body || !body.trim()) {
+    return 'Write the clause';
+  }
+  const unknown = findUnknownMergeFields(body);
+  if (unknown.length > 0) {
+    return `Unknown merge field${unknown.length > 1 ? 's' : ''}: ${unknown.map(field => `{{${field}}}`).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Build the Part 3 terms for a tenancy from library clauses and any terms written just
+ * for it. The text is copied onto the tenancy so later edits to the library don't
+ * change an agreement that's already been offered.
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord's user ID
+ * @param {Array<string>} clauseIds - agreement_clauses IDs, in the order chosen
+ * @param {Array<Object>} customTerms - [{ category, title, body }]
+ * @returns {Object} { special_terms } or { error }
+ */
+async function buildSpecialTerms(db, landlordId, clauseIds = [], customTerms = []) {
+  const specialTerms = [];
+
+  if (clauseIds.length > 0) {
+    const result = await db.query(
+      `SELECT * FROM agreement_clauses
+       WHERE id = ANY($1::uuid[]) AND (landlord_id = $2 OR landlord_id IS NULL) AND is_active = true`,
+      [clauseIds, landlordId]
+    );
+    for (const clauseId of clauseIds) {
+      const clause = result.rows.find(row => row.id === clauseId);
+      if (!clause) {
+        return { error: 'One of the chosen clauses is no longer in your library' };
+      }
+      specialTerms.push({ clause_id: clause.id, category: clause.category, title: clause.title, body: clause.body });
+    }
+  }
+
+  for (const term of customTerms) {
+    const error = validateClause(term);
+    if (error) return { error };
+    specialTerms.push({ clause_id: null, category: term.category, title: term.title.trim(), body: term.body.trim() });
+  }
+
+  return { special_terms: specialTerms };
+}
+
+/**
+ * The signatures and signing certificate for a tenancy's signed agreement, from its
+ * signing audit trail
+ * @param {Object} db - pg pool or client
+ * @param {Object} tenancy - tenancies row
+ * @returns {Object} { signatures, certificate } for writeAgreementPDF
+ */
+async function getSigningDetails(db, tenancy) {
+  const events = await signingService.getSigningEvents(db, tenancy.id);
+  const signatures = events
+    .filter(event => event.event_type === 'signed')
+    .map(event => ({
+      role: event.signer_role,
+      name: event.signed_name,
+      image_path: event.signature_image_path,
+      signed_at: event.created_at
+    }));
+
+  // Agreements the lodger signed before signatures were captured only have their typed name
+  if (!signatures.some(signature => signature.role === 'lodger')) {
+    signatures.unshift({ role: 'lodger', name: tenancy.lodger_signature, image_path: null, signed_at: tenancy.signature_date });
+  }
+
+  return {
+    signatures,
+    certificate: {
+      tenancy_id: tenancy.id,
+      property_address: [
+        tenancy.property_house_number, tenancy.property_street_name, tenancy.property_city,
+        tenancy.property_county, tenancy.property_postcode
+      ].filter(part => part).join(', '),
+      document_hash: tenancy.agreement_document_hash,
+      events,
+      issued_at: new Date()
+    }
+  };
+}
+
+/**
+ * Write the lodger agreement PDF from the tenancy's template. Without signing details
+ * this is the document the parties read and sign against; with them it's the signed
+ * copy, with the signatures filled in, any deeds of variation and the signing
+ * certificate appended. Safety certificates are listed from the tenancy's own copy,
+ * taken when the agreement was prepared for signing.
+ * @param {Object} db - pg pool or client
+ * @param {Object} tenancy - tenancies row with landlord_name and lodger_name
+ * @param {string} outputPath - Where to write the PDF
+ * @param {Object} signing - { signatures, certificate, variations } for the signed copy (optional)
+ * @returns {Object} The agreement_templates version the agreement was written from
+ */
+async function writeAgreementPDF(db, tenancy, outputPath, signing = null) {
+  const template = await getTemplateForTenancy(db, tenancy);
+
+  await generateAgreementPDF({
+    content: template.content,
+    merge_data: buildMergeData(tenancy),
+    special_terms: tenancy.special_terms || [],
+    categories: CLAUSE_CATEGORIES,
+    safety_certificates: tenancy.safety_certificates,
+    signing: signing && {
+      ...signing,
+      signatures: signing.signatures.map(signature => ({
+        ...signature,
+        image_file: signature.image_path ? signingService.resolveUpload(signature.image_path) : null
+      }))
+    }
+  }, outputPath);
+
+  return template;
+}
+
+module.exports = {
+  CLAUSE_CATEGORIES,
+  STANDARD_TEMPLATE_NAME,
+  STANDARD_TEMPLATE_CONTENT,
+  STANDARD_CLAUSES,
+  getLatestTemplates,
+  getTemplateForLandlord,
+  getTemplateVersions,
+  getLatestVersion,
+  getTemplateForTenancy,
+  saveTemplateVersion,
+  getClauses,
+  validateClause,
+  buildSpecialTerms,
+  getSigningDetails,
+  writeAgreementPDF
+};
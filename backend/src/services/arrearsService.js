@@ -0,0 +1,232 @@
+const { pool } = require('../config/database');
+
+/**
+ * Defaults used when a landlord has not saved their own arrears settings.
+ * breach_threshold_days mirrors clause 9.1 (sums more than 14 days late).
+ */
+const DEFAULT_ARREARS_SETTINGS = {
+  grace_period_days: 0,
+  reminder_days: [1, 7, 14],
+  breach_threshold_amount: 0,
+  breach_threshold_days: 14,
+  auto_draft_breach: true
+};
+
+function formatMoney(amount) {
+  return `£${parseFloat(amount).toFixed(2)}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-GB');
+}
+
+/**
+ * Get arrears settings for a landlord, falling back to the defaults
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Object} Arrears settings
+ */
+async function getArrearsSettings(db, landlordId) {
+  const result = await (db || pool).query(
+    'SELECT * FROM arrears_settings WHERE landlord_id = $1',
+    [landlordId]
+  );
+
+  if (result.rows.length === 0) {
+    return { landlord_id: landlordId, ...DEFAULT_ARREARS_SETTINGS };
+  }
+
+  const settings = result.rows[0];
+  return {
+    ...settings,
+    breach_threshold_amount: parseFloat(settings.breach_threshold_amount)
+  };
+}
+
+/**
+ * Flip unpaid schedule rows to 'overdue' once the landlord's grace period has passed
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Number of rows marked overdue
+ */
+async function markOverduePayments(client) {
+  const result = await client.query(
+    `UPDATE payment_schedule ps
+     SET payment_status = 'overdue', updated_at = CURRENT_TIMESTAMP
+     FROM tenancies t
+     LEFT JOIN arrears_settings s ON s.landlord_id = t.landlord_id
+     WHERE ps.tenancy_id = t.id
+     AND t.status IN ('active', 'notice_given', 'extended')
+     AND ps.payment_status IN ('pending', 'partial')
+     AND ps.rent_paid < ps.rent_due
+     AND ps.due_date + COALESCE(s.grace_period_days, $1) < CURRENT_DATE
+     RETURNING ps.id`,
+    [DEFAULT_ARREARS_SETTINGS.grace_period_days]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Send staged reminders for overdue payments.
+ * Each payment gets at most one reminder per stage; if several stages have been
+ * reached since the last run only the latest one is sent.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Number of reminders sent
+ */
+async function sendArrearsReminders(client) {
+  const overdue = await client.query(
+    `SELECT ps.id, ps.tenancy_id, ps.payment_number, ps.due_date, ps.rent_due, ps.rent_paid,
+            t.landlord_id, t.lodger_id, l.full_name as lodger_name,
+            CURRENT_DATE - ps.due_date as days_overdue,
+            COALESCE(s.reminder_days, $1::jsonb) as reminder_days,
+            (SELECT MAX(stage) FROM arrears_reminders ar WHERE ar.payment_id = ps.id) as last_stage
+     FROM payment_schedule ps
+     JOIN tenancies t ON ps.tenancy_id = t.id
+     JOIN users l ON t.lodger_id = l.id
+     LEFT JOIN arrears_settings s ON s.landlord_id = t.landlord_id
+     WHERE ps.payment_status = 'overdue'`,
+    [JSON.stringify(DEFAULT_ARREARS_SETTINGS.reminder_days)]
+  );
+
+  let remindersSent = 0;
+
+  for (const payment of overdue.rows) {
+    const stages = payment.reminder_days.map(Number).sort((a, b) => a - b);
+    const reached = stages.filter(days => days <= payment.days_overdue);
+
+    if (reached.length === 0) continue;
+
+    const stage = reached[reached.length - 1];
+    if (payment.last_stage !== null && stage <= payment.last_stage) continue;
+
+    await client.query(
+      `INSERT INTO arrears_reminders (payment_id, stage)
+       VALUES ($1, $2)
+       ON CONFLICT (payment_id, stage) DO NOTHING`,
+      [payment.id, stage]
+    );
+
+    const outstanding = parseFloat(payment.rent_due) - parseFloat(payment.rent_paid);
+    const isFinal = stage === stages[stages.length - 1];
+    const prefix = isFinal ? 'Final Reminder' : 'Reminder';
+
+    await client.query(
+      `INSERT INTO notifications (user_id, tenancy_id, payment_id, type, title, message)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        payment.lodger_id,
+        payment.tenancy_id,
+        payment.id,
+        'payment_overdue',
+        `${prefix}: Payment Overdue`,
+        `Payment #${payment.payment_number} was due on ${formatDate(payment.due_date)} and is now ${payment.days_overdue} days overdue. ` +
+        `${formatMoney(outstanding)} is outstanding. Please pay as soon as possible. ` +
+        'Under clause 2.1.2 of your agreement, interest may be charged on payments more than 14 days late.'
+      ]
+    );
+
+    await client.query(
+      `INSERT INTO notifications (user_id, tenancy_id, payment_id, type, title, message)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        payment.landlord_id,
+        payment.tenancy_id,
+        payment.id,
+        'payment_overdue',
+        `Overdue Payment from ${payment.lodger_name}`,
+        `Payment #${payment.payment_number} from ${payment.lodger_name} (due ${formatDate(payment.due_date)}) is ${payment.days_overdue} days overdue with ${formatMoney(outstanding)} outstanding. ` +
+        `${isFinal ? 'This was the final automatic reminder.' : 'An automatic reminder has been sent to the lodger.'}`
+      ]
+    );
+
+    remindersSent++;
+  }
+
+  return remindersSent;
+}
+
+/**
+ * Open a draft non-payment breach notice for tenancies whose arrears have crossed
+ * the landlord's threshold. Drafts are not visible to the lodger until the landlord
+ * issues them.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Number of draft notices created
+ */
+async function draftArrearsBreachNotices(client) {
+  const candidates = await client.query(
+    `SELECT t.id as tenancy_id, t.landlord_id, t.lodger_id, l.full_name as lodger_name,
+            SUM(ps.rent_due - ps.rent_paid) as arrears,
+            COUNT(*) as overdue_count,
+            MIN(ps.due_date) as oldest_due_date,
+            CURRENT_DATE - MIN(ps.due_date) as oldest_days_overdue,
+            COALESCE(s.breach_threshold_amount, $1) as threshold_amount,
+            COALESCE(s.breach_threshold_days, $2) as threshold_days,
+            COALESCE(s.auto_draft_breach, $3) as auto_draft
+     FROM payment_schedule ps
+     JOIN tenancies t ON ps.tenancy_id = t.id
+     JOIN users l ON t.lodger_id = l.id
+     LEFT JOIN arrears_settings s ON s.landlord_id = t.landlord_id
+     WHERE ps.payment_status = 'overdue'
+     AND NOT EXISTS (
+       SELECT 1 FROM notices n
+       WHERE n.tenancy_id = t.id
+       AND n.notice_type = 'breach'
+       AND n.breach_clause = 'non_payment'
+       AND n.status IN ('draft', 'active')
+     )
+     GROUP BY t.id, l.full_name, s.breach_threshold_amount, s.breach_threshold_days, s.auto_draft_breach`,
+    [
+      DEFAULT_ARREARS_SETTINGS.breach_threshold_amount,
+      DEFAULT_ARREARS_SETTINGS.breach_threshold_days,
+      DEFAULT_ARREARS_SETTINGS.auto_draft_breach
+    ]
+  );
+
+  let draftsCreated = 0;
+
+  for (const tenancy of candidates.rows) {
+    const arrears = parseFloat(tenancy.arrears);
+
+    if (!tenancy.auto_draft) continue;
+    if (arrears <= 0 || arrears < parseFloat(tenancy.threshold_amount)) continue;
+    if (tenancy.oldest_days_overdue < tenancy.threshold_days) continue;
+
+    const reason = 'Breach of Agreement: Non-payment of rent' +
+      `\n\nDetails: Rent arrears of ${formatMoney(arrears)} across ${tenancy.overdue_count} overdue payment(s). ` +
+      `The oldest unpaid payment was due on ${formatDate(tenancy.oldest_due_date)} (${tenancy.oldest_days_overdue} days ago).` +
+      '\n\n[DRAFT generated automatically - awaiting landlord approval]';
+
+    await client.query(
+      `INSERT INTO notices (
+         tenancy_id, notice_type, given_by, given_to, notice_date,
+         effective_date, reason, breach_clause, status
+       ) VALUES ($1, 'breach', $2, $3, CURRENT_DATE, CURRENT_DATE, $4, 'non_payment', 'draft')`,
+      [tenancy.tenancy_id, tenancy.landlord_id, tenancy.lodger_id, reason]
+    );
+
+    await client.query(
+      `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        tenancy.landlord_id,
+        tenancy.tenancy_id,
+        'arrears_breach_draft',
+        'Breach Notice Drafted - Approval Required',
+        `${tenancy.lodger_name} is ${formatMoney(arrears)} in arrears and the oldest payment is ${tenancy.oldest_days_overdue} days late. ` +
+        'A non-payment breach notice has been drafted. Review and issue it from your dashboard, or discard it.'
+      ]
+    );
+
+    draftsCreated++;
+  }
+
+  return draftsCreated;
+}
+
+module.exports = {
+  DEFAULT_ARREARS_SETTINGS,
+  getArrearsSettings,
+  markOverduePayments,
+  sendArrearsReminders,
+  draftArrearsBreachNotices
+};
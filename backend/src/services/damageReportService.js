@@ -0,0 +1,118 @@
+const DAMAGE_REPORT_STATUSES = {
+  awaiting_lodger: 'Awaiting Lodger',
+  acknowledged: 'Acknowledged',
+  disputed: 'Disputed',
+  converted: 'Deducted',
+  withdrawn: 'Withdrawn'
+};
+
+// Reports that can still be answered, withdrawn or turned into a deduction
+const OPEN_STATUSES = ['awaiting_lodger', 'acknowledged', 'disputed'];
+
+const EVENT_LABELS = {
+  raised: 'Report raised',
+  acknowledged: 'Lodger acknowledged',
+  disputed: 'Lodger disputed',
+  responded: 'Landlord responded',
+  converted: 'Converted to deduction',
+  withdrawn: 'Report withdrawn'
+};
+
+/**
+ * Add an entry to a report's history
+ * @param {Object} db - pg pool or client
+ * @param {string} reportId - damage_reports id
+ * @param {string} userId - Who did it
+ * @param {string} eventType - Key of EVENT_LABELS
+ * @param {string} comment - What they said (optional)
+ * @returns {Object} damage_report_events row
+ */
+async function recordEvent(db, reportId, userId, eventType, comment = null) {
+  const result = await db.query(
+    `INSERT INTO damage_report_events (report_id, user_id, event_type, comment)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [reportId, userId, eventType, comment || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get the history of one or more reports, oldest first
+ * @param {Object} db - pg pool or client
+ * @param {string[]} reportIds - damage_reports ids
+ * @returns {Array} Events with the name and role of who made them
+ */
+async function getReportEvents(db, reportIds) {
+  if (reportIds.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT e.*, u.full_name as user_name, u.user_type
+     FROM damage_report_events e
+     LEFT JOIN users u ON e.user_id = u.id
+     WHERE e.report_id = ANY($1::uuid[])
+     ORDER BY e.created_at ASC`,
+    [reportIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Let the other party know a report has been raised or answered
+ * @param {Object} db - pg pool or client
+ * @param {Object} report - damage_reports row with lodger_id
+ * @param {string} event - raised, responded, acknowledged, disputed or withdrawn
+ * @returns {Object} Created notification
+ */
+async function notifyDamageReport(db, report, event) {
+  const toLandlord = ['acknowledged', 'disputed'].includes(event);
+  const cost = `£${parseFloat(report.estimated_cost).toFixed(2)}`;
+
+  const messages = {
+    raised: {
+      title: 'Damage Reported',
+      message: `Your householder has reported damage: "${report.title}" (${report.room_area}), estimated at ${cost}. ` +
+        'Please review the photos and acknowledge or dispute it.'
+    },
+    responded: {
+      title: 'Response to Your Dispute',
+      message: `Your householder has responded to your dispute of "${report.title}". The estimate is now ${cost}. Please review it again.`
+    },
+    acknowledged: {
+      title: 'Damage Report Acknowledged',
+      message: `Your lodger has acknowledged "${report.title}" (${cost}).`
+    },
+    disputed: {
+      title: 'Damage Report Disputed',
+      message: `Your lodger has disputed "${report.title}": ${report.lodger_response}`
+    },
+    withdrawn: {
+      title: 'Damage Report Withdrawn',
+      message: `Your householder has withdrawn the damage report "${report.title}". Nothing will be deducted for it.`
+    }
+  };
+
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [
+      toLandlord ? report.landlord_id : report.lodger_id,
+      report.tenancy_id,
+      'damage_report',
+      messages[event].title,
+      messages[event].message
+    ]
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  DAMAGE_REPORT_STATUSES,
+  OPEN_STATUSES,
+  EVENT_LABELS,
+  recordEvent,
+  getReportEvents,
+  notifyDamageReport
+};
@@ -0,0 +1,209 @@
+const DISPUTE_STATUSES = {
+  none: 'Not disputed',
+  awaiting_landlord: 'Disputed, awaiting landlord',
+  awaiting_lodger: 'Counter-offer, awaiting lodger',
+  agreed: 'Agreed',
+  escalated: 'Escalated for mediation',
+  resolved: 'Resolved by mediation'
+};
+
+// Which party has to answer while a dispute is being negotiated
+const AWAITING_PARTY = {
+  awaiting_landlord: 'landlord',
+  awaiting_lodger: 'lodger'
+};
+
+const DEDUCTION_EVENT_LABELS = {
+  created: 'Deduction made',
+  disputed: 'Lodger disputed',
+  countered: 'Counter-offer',
+  accepted: 'Accepted',
+  escalated: 'Escalated for mediation',
+  resolved: 'Resolved by mediator'
+};
+
+/**
+ * Work out how much of a tenancy's deposit and advance rent is left after deductions
+ * @param {Object} db - pg pool or client
+ * @param {Object} tenancy - tenancies row
+ * @returns {Object} Original, deducted and available amounts of each
+ */
+async function getAvailableFunds(db, tenancy) {
+  const deductions = await db.query(
+    'SELECT SUM(amount_from_deposit) as total_from_deposit, SUM(amount_from_advance) as total_from_advance FROM deductions WHERE tenancy_id = $1',
+    [tenancy.id]
+  );
+
+  const totalFromDeposit = parseFloat(deductions.rows[0]?.total_from_deposit || 0);
+  const totalFromAdvance = parseFloat(deductions.rows[0]?.total_from_advance || 0);
+
+  const availableDeposit = parseFloat(tenancy.deposit_amount || 0) - totalFromDeposit;
+  const availableAdvance = parseFloat(tenancy.initial_payment || 0) - totalFromAdvance;
+
+  return {
+    original_deposit: parseFloat(tenancy.deposit_amount || 0),
+    original_advance: parseFloat(tenancy.initial_payment || 0),
+    deducted_from_deposit: totalFromDeposit,
+    deducted_from_advance: totalFromAdvance,
+    available_deposit: Math.max(0, availableDeposit),
+    available_advance: Math.max(0, availableAdvance),
+    total_available: Math.max(0, availableDeposit) + Math.max(0, availableAdvance)
+  };
+}
+
+/**
+ * Check a deduction can be taken from the funds held, returning an error message if not
+ * @param {Object} funds - From getAvailableFunds
+ * @param {number} amount - Total deduction
+ * @param {number} fromDeposit - Part taken from the deposit
+ * @param {number} fromAdvance - Part taken from advance rent
+ * @returns {string|null} Error message, or null if the deduction is allowed
+ */
+function checkDeductionAllocation(funds, amount, fromDeposit, fromAdvance) {
+  if (fromDeposit > funds.available_deposit) {
+    return `Insufficient deposit funds. Available: £${funds.available_deposit.toFixed(2)}, Requested: £${fromDeposit.toFixed(2)}`;
+  }
+
+  if (fromAdvance > funds.available_advance) {
+    return `Insufficient advance rent. Available: £${funds.available_advance.toFixed(2)}, Requested: £${fromAdvance.toFixed(2)}`;
+  }
+
+  // Compare in pence so splits like 100.10 + 50.20 aren't rejected for float rounding
+  if (Math.round((fromDeposit + fromAdvance) * 100) !== Math.round(amount * 100)) {
+    return `Deduction amounts don't match total. Total: £${amount.toFixed(2)}, Allocated: £${(fromDeposit + fromAdvance).toFixed(2)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Record a deduction and tell the lodger. Check it with checkDeductionAllocation first.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} tenancy - tenancies row
+ * @param {Object} deduction - { deductionType, description, amount, fromDeposit, fromAdvance, evidencePaths, notes, createdBy }
+ * @returns {Object} deductions row
+ */
+async function createDeduction(client, tenancy, deduction) {
+  let deductedFrom = 'both';
+  if (deduction.fromDeposit > 0 && deduction.fromAdvance === 0) deductedFrom = 'deposit';
+  if (deduction.fromAdvance > 0 && deduction.fromDeposit === 0) deductedFrom = 'advance_rent';
+
+  const result = await client.query(
+    `INSERT INTO deductions (
+        tenancy_id, deduction_type, description, amount,
+        deducted_from, amount_from_deposit, amount_from_advance,
+        evidence_paths, created_by, notes
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [
+      tenancy.id, deduction.deductionType, deduction.description, deduction.amount,
+      deductedFrom, deduction.fromDeposit, deduction.fromAdvance,
+      JSON.stringify(deduction.evidencePaths || []), deduction.createdBy, deduction.notes
+    ]
+  );
+
+  await recordDeductionEvent(client, result.rows[0].id, deduction.createdBy, 'created', {
+    amount: deduction.amount,
+    comment: deduction.description
+  });
+
+  await client.query(
+    `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      tenancy.lodger_id,
+      tenancy.id,
+      'deduction_made',
+      'Deduction from Deposit/Advance Rent',
+      `A deduction of £${parseFloat(deduction.amount).toFixed(2)} has been made for: ${deduction.description}. A detailed statement will be provided.`
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Add an entry to a deduction's history
+ * @param {Object} db - pg pool or client
+ * @param {string} deductionId - deductions id
+ * @param {string} userId - Who did it
+ * @param {string} eventType - Key of DEDUCTION_EVENT_LABELS
+ * @param {Object} details - { amount, comment, evidencePaths }, all optional
+ * @returns {Object} deduction_events row
+ */
+async function recordDeductionEvent(db, deductionId, userId, eventType, details = {}) {
+  const result = await db.query(
+    `INSERT INTO deduction_events (deduction_id, user_id, event_type, amount, comment, evidence_paths)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [
+      deductionId, userId, eventType,
+      details.amount !== undefined ? details.amount : null,
+      details.comment || null,
+      JSON.stringify(details.evidencePaths || [])
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get the history of one or more deductions, oldest first
+ * @param {Object} db - pg pool or client
+ * @param {string[]} deductionIds - deductions ids
+ * @returns {Array} Events with the name and role of who made them
+ */
+async function getDeductionEvents(db, deductionIds) {
+  if (deductionIds.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT e.*, u.full_name as user_name, u.user_type
+     FROM deduction_events e
+     LEFT JOIN users u ON e.user_id = u.id
+     WHERE e.deduction_id = ANY($1::uuid[])
+     ORDER BY e.created_at ASC`,
+    [deductionIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Change a deduction to the amount agreed or decided in a dispute. The deposit and
+ * advance rent parts are scaled down in proportion, and the old statement is cleared
+ * so a new one is generated with the agreed figure.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} deduction - deductions row
+ * @param {number} newAmount - Agreed amount, no more than the current amount
+ * @param {string} disputeStatus - agreed or resolved
+ * @returns {Object} Updated deductions row
+ */
+async function applyDeductionAmount(client, deduction, newAmount, disputeStatus) {
+  const totalPence = Math.round(parseFloat(deduction.amount) * 100);
+  const newPence = Math.round(newAmount * 100);
+  const depositPence = totalPence > 0
+    ? Math.round(newPence * Math.round(parseFloat(deduction.amount_from_deposit) * 100) / totalPence)
+    : 0;
+
+  const result = await client.query(
+    `UPDATE deductions
+     SET original_amount = COALESCE(original_amount, amount),
+         amount = $1, amount_from_deposit = $2, amount_from_advance = $3,
+         dispute_status = $4, proposed_amount = NULL, statement_path = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [newPence / 100, depositPence / 100, (newPence - depositPence) / 100, disputeStatus, deduction.id]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  DISPUTE_STATUSES,
+  AWAITING_PARTY,
+  DEDUCTION_EVENT_LABELS,
+  getAvailableFunds,
+  checkDeductionAllocation,
+  createDeduction,
+  recordDeductionEvent,
+  getDeductionEvents,
+  applyDeductionAmount
+};
@@ -0,0 +1,153 @@
+const { pool } = require('../config/database');
+const { getTaxYear } = require('../utils/paymentCalculator');
+const { refreshTaxYearSummary } = require('./taxYearService');
+
+// Allowable expense categories for property income, as grouped on the SA105 pages
+const EXPENSE_CATEGORIES = {
+  repairs_maintenance: 'Repairs & maintenance',
+  utilities: 'Utilities (gas, electricity, water)',
+  council_tax: 'Council tax',
+  insurance: 'Insurance',
+  cleaning: 'Cleaning',
+  replacement_furnishings: 'Replacement of domestic items',
+  professional_fees: 'Legal & professional fees',
+  advertising: 'Advertising for lodgers',
+  services: 'Services provided (e.g. broadband, laundry)',
+  travel: 'Travel',
+  other: 'Other'
+};
+
+// Marginal income tax rate assumed when estimating tax if none is given
+const DEFAULT_TAX_RATE = 20;
+
+/**
+ * Total a landlord's expenses between two dates
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @param {string} start - First day (YYYY-MM-DD)
+ * @param {string} end - Last day (YYYY-MM-DD)
+ * @returns {Object} { total, allowable, by_category: [{ category, label, total, allowable }] }
+ */
+async function getExpenseTotals(db, landlordId, start, end) {
+  const result = await (db || pool).query(
+    `SELECT category, SUM(amount) as total, SUM(allowable_amount) as allowable
+     FROM expenses
+     WHERE landlord_id = $1 AND expense_date BETWEEN $2 AND $3
+     GROUP BY category
+     ORDER BY category`,
+    [landlordId, start, end]
+  );
+
+  const byCategory = result.rows.map(row => ({
+    category: row.category,
+    label: EXPENSE_CATEGORIES[row.category] || row.category,
+    total: parseFloat(row.total),
+    allowable: parseFloat(row.allowable)
+  }));
+
+  return {
+    total: parseFloat(byCategory.reduce((sum, row) => sum + row.total, 0).toFixed(2)),
+    allowable: parseFloat(byCategory.reduce((sum, row) => sum + row.allowable, 0).toFixed(2)),
+    by_category: byCategory
+  };
+}
+
+/**
+ * Compare the tax outcome of the Rent-a-Room allowance with declaring actual
+ * income less expenses for one tax year. Received rent comes from the same
+ * tax_year_summary figures used for allowance tracking.
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @param {Date|string} date - Any date in the tax year
+ * @param {number} taxRate - Marginal income tax rate as a percentage
+ * @returns {Object} Both methods side by side with the recommended one
+ */
+async function compareReliefMethods(db, landlordId, date, taxRate = DEFAULT_TAX_RATE) {
+  const database = db || pool;
+  const summary = await refreshTaxYearSummary(database, landlordId, date);
+  const expenses = await getExpenseTotals(database, landlordId, summary.tax_year_start, summary.tax_year_end);
+
+  const income = summary.total_rent_received;
+  const allowanceTaxable = Math.max(0, income - summary.rent_a_room_allowance);
+  const actualProfit = income - expenses.allowable;
+  const actualTaxable = Math.max(0, actualProfit);
+
+  const estimateTax = (taxable) => parseFloat((taxable * taxRate / 100).toFixed(2));
+
+  const allowanceMethod = {
+    taxable_profit: parseFloat(allowanceTaxable.toFixed(2)),
+    estimated_tax: estimateTax(allowanceTaxable)
+  };
+  const expensesMethod = {
+    expenses_claimed: expenses.allowable,
+    profit: parseFloat(actualProfit.toFixed(2)),
+    taxable_profit: parseFloat(actualTaxable.toFixed(2)),
+    estimated_tax: estimateTax(actualTaxable)
+  };
+
+  // Ties go to the allowance as it needs no expense records to back it up
+  const recommended = expensesMethod.taxable_profit < allowanceMethod.taxable_profit ? 'expenses' : 'allowance';
+
+  let note;
+  if (actualProfit < 0) {
+    note = 'Expenses exceed rent. Opting out of Rent-a-Room lets you record a loss to carry forward against future rental profits.';
+  } else if (income <= summary.rent_a_room_allowance) {
+    note = 'Rent is within the allowance, so relief is automatic and nothing needs to be declared.';
+  } else if (recommended === 'allowance') {
+    note = 'Claim the allowance on your Self Assessment return by ticking the Rent-a-Room box and entering gross rent.';
+  } else {
+    note = 'Declaring actual income less expenses gives a lower taxable profit. Keep receipts for every expense claimed.';
+  }
+
+  return {
+    tax_year: summary.tax_year,
+    tax_year_start: summary.tax_year_start,
+    tax_year_end: summary.tax_year_end,
+    rent_received: income,
+    rent_a_room_allowance: summary.rent_a_room_allowance,
+    jointly_owned: summary.jointly_owned,
+    tax_rate: taxRate,
+    expenses,
+    allowance_method: allowanceMethod,
+    expenses_method: expensesMethod,
+    recommended,
+    saving: parseFloat(Math.abs(allowanceMethod.estimated_tax - expensesMethod.estimated_tax).toFixed(2)),
+    note
+  };
+}
+
+/**
+ * Tax years with any rent or expenses recorded, oldest first, always including the current one
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Array} Tax years as { start, end, label }
+ */
+async function getTaxYearsWithActivity(db, landlordId) {
+  const result = await (db || pool).query(
+    `SELECT LEAST(
+       (SELECT MIN(pt.transaction_date)::date FROM payment_transactions pt
+        JOIN tenancies t ON pt.tenancy_id = t.id WHERE t.landlord_id = $1),
+       (SELECT MIN(expense_date) FROM expenses WHERE landlord_id = $1)
+     ) as first_date`,
+    [landlordId]
+  );
+
+  const current = getTaxYear();
+  const years = [];
+  let year = getTaxYear(result.rows[0].first_date || new Date());
+
+  while (year.start <= current.start) {
+    years.push(year);
+    year = getTaxYear(`${parseInt(year.start.slice(0, 4)) + 1}-04-06`);
+  }
+
+  return years;
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  DEFAULT_TAX_RATE,
+  getExpenseTotals,
+  compareReliefMethods,
+  getTaxYearsWithActivity
+};
@@ -0,0 +1,123 @@
+const moment = require('moment');
+const { pool } = require('../config/database');
+const { calculatePaymentInterest, getBaseRateOn, LATE_INTEREST_MARGIN, LATE_INTEREST_GRACE_DAYS } = require('../utils/paymentCalculator');
+
+/**
+ * Get the base rate history, oldest first
+ * @param {Object} db - pg pool or client
+ * @returns {Array} Rates as { rate, effective_from }
+ */
+async function getBaseRates(db) {
+  const result = await (db || pool).query(
+    'SELECT rate, effective_from FROM base_rates ORDER BY effective_from ASC'
+  );
+
+  return result.rows.map(row => ({
+    rate: parseFloat(row.rate),
+    effective_from: moment(row.effective_from).format('YYYY-MM-DD')
+  }));
+}
+
+/**
+ * Build an itemised clause 2.1.2 interest statement for a tenancy.
+ * The paid part of each row accrues interest up to its payment date; anything still
+ * outstanding keeps accruing up to asOf. Amounts already charged or waived are
+ * subtracted so only the uncharged balance is offered to the landlord.
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @param {Date|string} asOf - Date to calculate outstanding interest up to (default today)
+ * @returns {Object} Statement with items, charges and totals
+ */
+async function buildInterestStatement(db, tenancyId, asOf = new Date()) {
+  const database = db || pool;
+  const asOfDate = moment(asOf).format('YYYY-MM-DD');
+  const baseRates = await getBaseRates(database);
+
+  const paymentsResult = await database.query(
+    `SELECT id, payment_number, due_date, rent_due, rent_paid, payment_status, payment_date
+     FROM payment_schedule
+     WHERE tenancy_id = $1
+     AND rent_due > 0
+     AND payment_status != 'waived'
+     AND due_date < $2::date - $3::int
+     ORDER BY payment_number ASC`,
+    [tenancyId, asOfDate, LATE_INTEREST_GRACE_DAYS]
+  );
+
+  const chargesResult = await database.query(
+    `SELECT * FROM ledger_charges
+     WHERE tenancy_id = $1 AND charge_type = 'late_interest'
+     ORDER BY created_at ASC`,
+    [tenancyId]
+  );
+
+  // Each receipt towards a payment carries interest up to its own date
+  const allocationsResult = await database.query(
+    `SELECT pa.payment_schedule_id, pa.amount, pt.transaction_date
+     FROM payment_allocations pa
+     JOIN payment_transactions pt ON pa.transaction_id = pt.id
+     WHERE pt.tenancy_id = $1 AND pa.payment_schedule_id IS NOT NULL
+     ORDER BY pt.transaction_date ASC, pt.created_at ASC`,
+    [tenancyId]
+  );
+
+  const items = [];
+
+  for (const payment of paymentsResult.rows) {
+    const rentDue = parseFloat(payment.rent_due);
+    const rentPaid = parseFloat(payment.rent_paid);
+    const instalments = allocationsResult.rows
+      .filter(allocation => allocation.payment_schedule_id === payment.id)
+      .map(allocation => ({ amount: allocation.amount, date: allocation.transaction_date }));
+    const { daysLate, outstanding, interest, periods } = calculatePaymentInterest(payment, instalments, asOfDate, baseRates);
+    if (interest <= 0) continue;
+
+    const paymentCharges = chargesResult.rows.filter(charge => charge.payment_id === payment.id);
+    const charged = paymentCharges
+      .filter(charge => charge.status !== 'waived')
+      .reduce((sum, charge) => sum + parseFloat(charge.amount), 0);
+    const waived = paymentCharges
+      .filter(charge => charge.status === 'waived')
+      .reduce((sum, charge) => sum + parseFloat(charge.amount), 0);
+
+    items.push({
+      payment_id: payment.id,
+      payment_number: payment.payment_number,
+      due_date: moment(payment.due_date).format('YYYY-MM-DD'),
+      payment_date: payment.payment_date,
+      rent_due: rentDue,
+      rent_paid: rentPaid,
+      outstanding,
+      days_late: daysLate,
+      still_accruing: outstanding > 0,
+      periods,
+      interest,
+      charged: parseFloat(charged.toFixed(2)),
+      waived: parseFloat(waived.toFixed(2)),
+      uncharged: parseFloat(Math.max(0, interest - charged - waived).toFixed(2))
+    });
+  }
+
+  const total = (key) => parseFloat(items.reduce((sum, item) => sum + item[key], 0).toFixed(2));
+
+  return {
+    tenancy_id: tenancyId,
+    as_of: asOfDate,
+    margin: LATE_INTEREST_MARGIN,
+    grace_days: LATE_INTEREST_GRACE_DAYS,
+    current_base_rate: getBaseRateOn(asOfDate, baseRates),
+    items,
+    charges: chargesResult.rows,
+    totals: {
+      interest: total('interest'),
+      charged: total('charged'),
+      waived: total('waived'),
+      uncharged: total('uncharged')
+    }
+  };
+}
+
+module.exports = {
+  getBaseRates,
+  buildInterestStatement
+};
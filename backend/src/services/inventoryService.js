@@ -0,0 +1,162 @@
+// Condition grades, best first. Comparisons rely on this order.
+const CONDITION_GRADES = {
+  new: 'New',
+  excellent: 'Excellent',
+  good: 'Good',
+  fair: 'Fair',
+  poor: 'Poor',
+  damaged: 'Damaged',
+  missing: 'Missing'
+};
+
+const INVENTORY_TYPES = {
+  check_in: 'Check-in',
+  check_out: 'Check-out'
+};
+
+/**
+ * Position of a grade in CONDITION_GRADES, higher is worse
+ * @param {string} condition - Key of CONDITION_GRADES
+ * @returns {number} Rank
+ */
+function conditionRank(condition) {
+  return Object.keys(CONDITION_GRADES).indexOf(condition);
+}
+
+/**
+ * Compare each check-in item with its check-out counterpart (clause 2.7.1: the Room
+ * is to be left in the same condition). A check-in item with no counterpart at
+ * check-out is treated as missing.
+ * @param {Array} checkInItems - inventory_items rows from the check-in inventory
+ * @param {Array} checkOutItems - inventory_items rows from the check-out inventory
+ * @returns {Array} One entry per check-in item, flagging those that got worse
+ */
+function compareInventories(checkInItems, checkOutItems) {
+  return checkInItems.map(checkInItem => {
+    const checkOutItem = checkOutItems.find(item => item.check_in_item_id === checkInItem.id) || null;
+    const checkOutCondition = checkOutItem ? checkOutItem.condition : 'missing';
+    const checkOutQuantity = checkOutItem ? checkOutItem.quantity : 0;
+    const gradesDropped = conditionRank(checkOutCondition) - conditionRank(checkInItem.condition);
+
+    return {
+      room: checkInItem.room,
+      item_name: checkInItem.item_name,
+      check_in_item_id: checkInItem.id,
+      check_out_item_id: checkOutItem ? checkOutItem.id : null,
+      check_in_condition: checkInItem.condition,
+      check_out_condition: checkOutCondition,
+      check_in_quantity: checkInItem.quantity,
+      check_out_quantity: checkOutQuantity,
+      check_in_photos: checkInItem.photos || [],
+      check_out_photos: checkOutItem ? checkOutItem.photos || [] : [],
+      check_out_notes: checkOutItem ? checkOutItem.notes : null,
+      grades_dropped: Math.max(0, gradesDropped),
+      worsened: gradesDropped > 0 || checkOutQuantity < checkInItem.quantity
+    };
+  });
+}
+
+/**
+ * Turn worsened items into deductions the landlord can start from. A drop of one
+ * grade is marked as possibly fair wear and tear, which can't be deducted for.
+ * @param {Array} comparison - From compareInventories
+ * @returns {Array} { inventory_item_id, deduction_type, description, possible_wear_and_tear }
+ */
+function buildDeductionCandidates(comparison) {
+  return comparison
+    .filter(entry => entry.worsened)
+    .map(entry => {
+      const missing = entry.check_out_condition === 'missing' || entry.check_out_quantity === 0;
+      const shortBy = entry.check_in_quantity - entry.check_out_quantity;
+
+      let description;
+      if (missing) {
+        description = `${entry.room}: ${entry.item_name} missing at check-out`;
+      } else if (shortBy > 0 && entry.grades_dropped === 0) {
+        description = `${entry.room}: ${shortBy} of ${entry.check_in_quantity} ${entry.item_name} missing at check-out`;
+      } else {
+        description = `${entry.room}: ${entry.item_name} was ${CONDITION_GRADES[entry.check_in_condition].toLowerCase()} at check-in ` +
+          `and ${CONDITION_GRADES[entry.check_out_condition].toLowerCase()} at check-out`;
+        if (shortBy > 0) description += `, ${shortBy} missing`;
+      }
+      if (entry.check_out_notes) description += ` (${entry.check_out_notes})`;
+
+      return {
+        inventory_item_id: entry.check_out_item_id || entry.check_in_item_id,
+        room: entry.room,
+        item_name: entry.item_name,
+        deduction_type: missing || (shortBy > 0 && entry.grades_dropped === 0) ? 'other' : 'damage',
+        description,
+        possible_wear_and_tear: !missing && shortBy === 0 && entry.grades_dropped === 1 &&
+          !['damaged', 'missing'].includes(entry.check_out_condition)
+      };
+    });
+}
+
+/**
+ * Photos of an inventory item, and of the check-in item it was copied from, to use
+ * as a deduction's evidence
+ * @param {Object} db - pg pool or client
+ * @param {string} itemId - inventory_items id
+ * @param {string} tenancyId - Tenancy the deduction is for
+ * @returns {string[]|null} Photo paths, or null if the item isn't on the tenancy
+ */
+async function getItemEvidencePaths(db, itemId, tenancyId) {
+  const result = await db.query(
+    `SELECT item.photos, check_in.photos as check_in_photos
+     FROM inventory_items item
+     JOIN inventories i ON item.inventory_id = i.id
+     LEFT JOIN inventory_items check_in ON item.check_in_item_id = check_in.id
+     WHERE item.id = $1 AND i.tenancy_id = $2`,
+    [itemId, tenancyId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const { photos, check_in_photos } = result.rows[0];
+  return [...(check_in_photos || []), ...(photos || [])].map(photo => photo.path);
+}
+
+/**
+ * Tell the other party that an inventory has been signed
+ * @param {Object} db - pg pool or client
+ * @param {Object} inventory - inventories row with lodger_id
+ * @param {boolean} signedByLandlord - Whether the landlord just signed
+ * @returns {Object} Created notification
+ */
+async function notifyInventorySigned(db, inventory, signedByLandlord) {
+  const label = INVENTORY_TYPES[inventory.inventory_type].toLowerCase();
+  const complete = inventory.status === 'signed';
+
+  const title = complete ? 'Inventory Signed' : 'Inventory Ready to Sign';
+  const message = complete
+    ? `The ${label} inventory has been signed by both of you and can no longer be changed.`
+    : signedByLandlord
+      ? `Your householder has prepared and signed the ${label} inventory of the Room's contents. Please check each item and its condition, then sign it or add your comments.`
+      : `Your lodger has signed the ${label} inventory. Please check it and add your signature.`;
+
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [
+      signedByLandlord ? inventory.lodger_id : inventory.landlord_id,
+      inventory.tenancy_id,
+      'inventory',
+      title,
+      message
+    ]
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  CONDITION_GRADES,
+  INVENTORY_TYPES,
+  conditionRank,
+  compareInventories,
+  buildDeductionCandidates,
+  getItemEvidencePaths,
+  notifyInventorySigned
+};
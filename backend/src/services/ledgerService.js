@@ -0,0 +1,365 @@
+const moment = require('moment');
+const { pool } = require('../config/database');
+const { refreshTaxYearSummary } = require('./taxYearService');
+
+// Work in pence so repeated allocation never drifts by rounding
+const toPence = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const toPounds = (pence) => parseFloat((pence / 100).toFixed(2));
+
+/**
+ * Get everything a lodger owes on a tenancy, oldest first.
+ * Rent rows and extra ledger charges (e.g. late payment interest) are merged by due
+ * date; rent is settled before a charge falling due on the same day.
+ * @param {Object} client - pg client
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Array} Debts as { kind, id, dueDate, amount (pence), status }
+ */
+async function getDebts(client, tenancyId) {
+  const rentResult = await client.query(
+    `SELECT id, due_date, rent_due, payment_status
+     FROM payment_schedule
+     WHERE tenancy_id = $1 AND rent_due > 0 AND payment_status != 'waived'
+     ORDER BY due_date ASC, payment_number ASC`,
+    [tenancyId]
+  );
+
+  const chargeResult = await client.query(
+    `SELECT id, due_date, amount, status
+     FROM ledger_charges
+     WHERE tenancy_id = $1 AND status != 'waived'
+     ORDER BY due_date ASC, created_at ASC`,
+    [tenancyId]
+  );
+
+  const debts = [
+    ...rentResult.rows.map(row => ({
+      kind: 'rent', id: row.id, dueDate: moment(row.due_date), amount: toPence(row.rent_due), status: row.payment_status
+    })),
+    ...chargeResult.rows.map(row => ({
+      kind: 'charge', id: row.id, dueDate: moment(row.due_date), amount: toPence(row.amount), status: row.status
+    }))
+  ];
+
+  return debts.sort((a, b) => {
+    const diff = a.dueDate.diff(b.dueDate, 'days');
+    if (diff !== 0) return diff;
+    return a.kind === b.kind ? 0 : (a.kind === 'rent' ? -1 : 1);
+  });
+}
+
+/**
+ * Status for a schedule row once its allocated amount is known.
+ * Overdue and submitted rows keep their status until fully paid; the daily
+ * overdue job takes care of flipping unpaid rows back to overdue.
+ */
+function getScheduleStatus(debt, paid) {
+  if (paid >= debt.amount) return 'paid';
+  if (debt.status === 'overdue' || debt.status === 'submitted') return debt.status;
+  return paid > 0 ? 'partial' : 'pending';
+}
+
+/**
+ * Re-allocate every receipt on a tenancy across its debts, oldest debt first.
+ * Allocations are rebuilt from scratch so the result is the same no matter which
+ * schedule row a receipt was recorded against. Anything left over once every debt
+ * is covered is credit carried forward.
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Object} { allocated, credit } in pounds
+ */
+async function allocatePayments(client, tenancyId) {
+  const transactions = await client.query(
+    `SELECT id, amount, transaction_date
+     FROM payment_transactions
+     WHERE tenancy_id = $1
+     ORDER BY transaction_date ASC, created_at ASC`,
+    [tenancyId]
+  );
+
+  const debts = await getDebts(client, tenancyId);
+  const paid = new Map(debts.map(debt => [debt.id, { pence: 0, lastDate: null }]));
+
+  await client.query(
+    `DELETE FROM payment_allocations
+     WHERE transaction_id IN (SELECT id FROM payment_transactions WHERE tenancy_id = $1)`,
+    [tenancyId]
+  );
+
+  let debtIndex = 0;
+  let allocated = 0;
+  let credit = 0;
+
+  for (const transaction of transactions.rows) {
+    let remaining = toPence(transaction.amount);
+
+    // Corrections and refunds reduce any credit rather than un-paying rent
+    if (remaining <= 0) {
+      credit += remaining;
+      continue;
+    }
+
+    while (remaining > 0 && debtIndex < debts.length) {
+      const debt = debts[debtIndex];
+      const debtPaid = paid.get(debt.id);
+      const portion = Math.min(remaining, debt.amount - debtPaid.pence);
+
+      if (portion > 0) {
+        await client.query(
+          `INSERT INTO payment_allocations (transaction_id, payment_schedule_id, charge_id, amount)
+           VALUES ($1, $2, $3, $4)`,
+          [
+            transaction.id,
+            debt.kind === 'rent' ? debt.id : null,
+            debt.kind === 'charge' ? debt.id : null,
+            toPounds(portion)
+          ]
+        );
+        debtPaid.pence += portion;
+        debtPaid.lastDate = transaction.transaction_date;
+        remaining -= portion;
+        allocated += portion;
+      }
+
+      if (debtPaid.pence >= debt.amount) debtIndex++;
+    }
+
+    credit += remaining;
+  }
+
+  for (const debt of debts) {
+    const debtPaid = paid.get(debt.id);
+
+    if (debt.kind === 'rent') {
+      await client.query(
+        `UPDATE payment_schedule
+         SET rent_paid = $1, payment_date = $2, payment_status = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [toPounds(debtPaid.pence), debtPaid.lastDate, getScheduleStatus(debt, debtPaid.pence), debt.id]
+      );
+    } else {
+      await client.query(
+        `UPDATE ledger_charges
+         SET amount_paid = $1, status = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [toPounds(debtPaid.pence), debtPaid.pence >= debt.amount ? 'paid' : 'outstanding', debt.id]
+      );
+    }
+  }
+
+  return { allocated: toPounds(allocated), credit: toPounds(credit) };
+}
+
+/**
+ * Record a receipt against a tenancy, re-allocate, and update the landlord's tax year total
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} payment - { tenancyId, paymentScheduleId, amount, transactionDate, paymentMethod, reference, notes, createdBy }
+ * @returns {Object} { transaction, allocated, credit }
+ */
+async function recordPayment(client, payment) {
+  const result = await client.query(
+    `INSERT INTO payment_transactions (
+       payment_schedule_id, tenancy_id, amount, transaction_date,
+       payment_method, reference, notes, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      payment.paymentScheduleId || null,
+      payment.tenancyId,
+      payment.amount,
+      payment.transactionDate || new Date(),
+      payment.paymentMethod || null,
+      payment.reference || null,
+      payment.notes || null,
+      payment.createdBy || null
+    ]
+  );
+
+  const allocation = await allocatePayments(client, payment.tenancyId);
+
+  // Keep the Rent-a-Room running total for the receipt's tax year current
+  const tenancy = await client.query('SELECT landlord_id FROM tenancies WHERE id = $1', [payment.tenancyId]);
+  await refreshTaxYearSummary(client, tenancy.rows[0].landlord_id, result.rows[0].transaction_date);
+
+  return { transaction: result.rows[0], ...allocation };
+}
+
+/**
+ * Confirm a payment received against a schedule row. Shared by manual confirmation
+ * and bank reconciliation so both record and allocate receipts the same way.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} payment - Schedule row the money was received against
+ * @param {Object} receipt - { amount, paymentDate, paymentMethod, reference, notes, createdBy }
+ * @returns {Object} { payment, transaction, allocations, credit }
+ */
+async function confirmPayment(client, payment, receipt) {
+  const { transaction, credit } = await recordPayment(client, {
+    tenancyId: payment.tenancy_id,
+    paymentScheduleId: payment.id,
+    amount: receipt.amount,
+    transactionDate: receipt.paymentDate || new Date(),
+    paymentMethod: receipt.paymentMethod,
+    reference: receipt.reference,
+    notes: receipt.notes,
+    createdBy: receipt.createdBy
+  });
+
+  const updated = await client.query(
+    `UPDATE payment_schedule
+     SET payment_method = $1,
+         payment_reference = $2,
+         notes = $3,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [receipt.paymentMethod, receipt.reference, receipt.notes, payment.id]
+  );
+
+  const allocations = await client.query(
+    `SELECT pa.amount, pa.payment_schedule_id, pa.charge_id, ps.payment_number
+     FROM payment_allocations pa
+     LEFT JOIN payment_schedule ps ON pa.payment_schedule_id = ps.id
+     WHERE pa.transaction_id = $1
+     ORDER BY ps.due_date ASC`,
+    [transaction.id]
+  );
+
+  return {
+    payment: updated.rows[0],
+    transaction,
+    allocations: allocations.rows,
+    credit
+  };
+}
+
+/**
+ * Build a running-balance statement for a tenancy from its transactions.
+ * Balance follows the schedule convention: positive = credit, negative = owed.
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @param {Object} options - { includeFuture } to also list rent not yet due
+ * @returns {Object} { entries, totals }
+ */
+async function buildLedger(db, tenancyId, options = {}) {
+  const database = db || pool;
+  const today = moment().format('YYYY-MM-DD');
+
+  const rentResult = await database.query(
+    `SELECT id, payment_number, due_date, rent_due, rent_paid, payment_status, notes
+     FROM payment_schedule
+     WHERE tenancy_id = $1 AND payment_status != 'waived'
+     AND ($2 OR due_date <= $3)
+     ORDER BY due_date ASC, payment_number ASC`,
+    [tenancyId, Boolean(options.includeFuture), today]
+  );
+
+  const chargeResult = await database.query(
+    `SELECT c.id, c.charge_type, c.description, c.amount, c.amount_paid, c.due_date, c.status,
+            b.bill_path as attachment_path
+     FROM ledger_charges c
+     LEFT JOIN utility_bill_shares s ON s.charge_id = c.id
+     LEFT JOIN utility_bills b ON s.bill_id = b.id
+     WHERE c.tenancy_id = $1 AND c.status != 'waived'
+     AND ($2 OR c.due_date <= $3)
+     ORDER BY c.due_date ASC, c.created_at ASC`,
+    [tenancyId, Boolean(options.includeFuture), today]
+  );
+
+  const transactionResult = await database.query(
+    `SELECT pt.*, u.full_name as recorded_by_name,
+            COALESCE(
+              json_agg(json_build_object(
+                'payment_schedule_id', pa.payment_schedule_id,
+                'charge_id', pa.charge_id,
+                'payment_number', ps.payment_number,
+                'amount', pa.amount
+              ) ORDER BY ps.due_date) FILTER (WHERE pa.id IS NOT NULL),
+              '[]'
+            ) as allocations
+     FROM payment_transactions pt
+     LEFT JOIN users u ON pt.created_by = u.id
+     LEFT JOIN payment_allocations pa ON pa.transaction_id = pt.id
+     LEFT JOIN payment_schedule ps ON pa.payment_schedule_id = ps.id
+     WHERE pt.tenancy_id = $1
+     GROUP BY pt.id, u.full_name
+     ORDER BY pt.transaction_date ASC, pt.created_at ASC`,
+    [tenancyId]
+  );
+
+  const entries = [
+    ...rentResult.rows.map(row => {
+      const amount = toPence(row.rent_due);
+      return {
+        date: moment(row.due_date).format('YYYY-MM-DD'),
+        order: 0,
+        type: amount >= 0 ? 'rent' : 'refund_due',
+        description: amount >= 0 ? `Rent payment #${row.payment_number}` : (row.notes || `Refund due #${row.payment_number}`),
+        payment_id: row.id,
+        status: row.payment_status,
+        debit: amount >= 0 ? amount : 0,
+        credit: amount < 0 ? -amount : 0
+      };
+    }),
+    ...chargeResult.rows.map(row => ({
+      date: moment(row.due_date).format('YYYY-MM-DD'),
+      order: 1,
+      type: row.charge_type,
+      description: row.description,
+      charge_id: row.id,
+      attachment_path: row.attachment_path,
+      status: row.status,
+      debit: toPence(row.amount),
+      credit: 0
+    })),
+    ...transactionResult.rows.map(row => {
+      const amount = toPence(row.amount);
+      return {
+        date: moment(row.transaction_date).format('YYYY-MM-DD'),
+        order: 2,
+        type: 'payment',
+        description: `Payment received${row.payment_method ? ` (${row.payment_method.replace(/_/g, ' ')})` : ''}${row.reference ? ` - ${row.reference}` : ''}`,
+        transaction_id: row.id,
+        recorded_by: row.recorded_by_name,
+        notes: row.notes,
+        allocations: row.allocations,
+        debit: amount < 0 ? -amount : 0,
+        credit: amount > 0 ? amount : 0
+      };
+    })
+  ].sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+
+  let balance = 0;
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  const statement = entries.map(({ order, ...entry }) => {
+    balance += entry.credit - entry.debit;
+    totalDebit += entry.debit;
+    totalCredit += entry.credit;
+    return {
+      ...entry,
+      debit: toPounds(entry.debit),
+      credit: toPounds(entry.credit),
+      balance: toPounds(balance)
+    };
+  });
+
+  return {
+    tenancy_id: tenancyId,
+    as_of: today,
+    entries: statement,
+    totals: {
+      debit: toPounds(totalDebit),
+      credit: toPounds(totalCredit),
+      balance: toPounds(balance),
+      arrears: balance < 0 ? toPounds(-balance) : 0,
+      credit_carried_forward: balance > 0 ? toPounds(balance) : 0
+    }
+  };
+}
+
+module.exports = {
+  allocatePayments,
+  recordPayment,
+  confirmPayment,
+  buildLedger
+};
@@ -0,0 +1,264 @@
+const moment = require('moment');
+
+const MAINTENANCE_CATEGORIES = {
+  plumbing: 'Plumbing & drains',
+  heating: 'Heating & hot water',
+  electrical: 'Electrical',
+  appliances: 'Appliances',
+  structural: 'Structure, walls & roof',
+  damp_mould: 'Damp & mould',
+  pests: 'Pests',
+  furniture: 'Furniture & contents',
+  security: 'Locks, doors & windows',
+  other: 'Other'
+};
+
+// The householder's repairing duty (clause 3.2) runs from when a defect is reported to
+// them in writing, and repairs must then be done within a reasonable time. What is
+// reasonable depends on how serious the defect is.
+const MAINTENANCE_PRIORITIES = {
+  emergency: {
+    label: 'Emergency - no heating, hot water or water, gas leak, unsafe electrics',
+    acknowledge_hours: 4,
+    resolve_days: 1
+  },
+  urgent: {
+    label: 'Urgent - affects daily living but the home is safe',
+    acknowledge_hours: 24,
+    resolve_days: 7
+  },
+  routine: {
+    label: 'Routine - minor repair',
+    acknowledge_hours: 72,
+    resolve_days: 28
+  }
+};
+
+const MAINTENANCE_STATUSES = {
+  reported: 'Reported',
+  acknowledged: 'Acknowledged',
+  scheduled: 'Repair scheduled',
+  resolved: 'Resolved'
+};
+
+// Where a request can move next. A scheduled repair can be rearranged, and a lodger can
+// reopen a resolved request if the repair didn't fix it.
+const STATUS_TRANSITIONS = {
+  reported: ['acknowledged'],
+  acknowledged: ['scheduled', 'resolved'],
+  scheduled: ['scheduled', 'resolved'],
+  resolved: ['reported']
+};
+
+/**
+ * Work out when a request should be acknowledged and resolved by
+ * @param {string} priority - Key of MAINTENANCE_PRIORITIES
+ * @param {Date|string} reportedAt - When the request was reported in writing
+ * @returns {Object} { acknowledge_by, resolve_by } as Dates
+ */
+function calculateDeadlines(priority, reportedAt) {
+  const sla = MAINTENANCE_PRIORITIES[priority] || MAINTENANCE_PRIORITIES.routine;
+  const reported = moment(reportedAt);
+
+  return {
+    acknowledge_by: reported.clone().add(sla.acknowledge_hours, 'hours').toDate(),
+    resolve_by: reported.clone().add(sla.resolve_days, 'days').toDate()
+  };
+}
+
+/**
+ * Describe how a request is doing against its deadlines
+ * @param {Object} request - maintenance_requests row
+ * @param {Date} now - Time to check against (defaults to now)
+ * @returns {Object} { acknowledge_overdue, resolve_overdue, breached }
+ */
+function getSlaStatus(request, now = new Date()) {
+  const acknowledgedAt = request.acknowledged_at ? new Date(request.acknowledged_at) : null;
+  const resolvedAt = request.resolved_at && request.status === 'resolved' ? new Date(request.resolved_at) : null;
+
+  const acknowledgeOverdue = (acknowledgedAt || now) > new Date(request.acknowledge_by);
+  const resolveOverdue = (resolvedAt || now) > new Date(request.resolve_by);
+
+  return {
+    acknowledge_overdue: acknowledgeOverdue,
+    resolve_overdue: resolveOverdue,
+    breached: acknowledgeOverdue || resolveOverdue
+  };
+}
+
+/**
+ * Check a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the request can move from one to the other
+ */
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Tell the other party about a change to a maintenance request
+ * @param {Object} db - pg pool or client
+ * @param {Object} request - maintenance_requests row, with lodger_id
+ * @param {string} event - 'reported', 'acknowledged', 'scheduled', 'rescheduled', 'resolved', 'reopened' or 'comment'
+ * @returns {Object} notifications row
+ */
+async function notifyMaintenanceUpdate(db, request, event) {
+  const toLandlord = ['reported', 'reopened'].includes(event) || (event === 'comment' && request.commented_by_lodger);
+  const when = request.scheduled_for ? moment(request.scheduled_for).format('DD/MM/YYYY [at] HH:mm') : null;
+
+  const messages = {
+    reported: {
+      title: 'New Maintenance Request',
+      message: `Your lodger has reported "${request.title}" (${MAINTENANCE_CATEGORIES[request.category]}, ${request.priority} priority). ` +
+        `Please acknowledge it by ${moment(request.acknowledge_by).format('DD/MM/YYYY HH:mm')} and have it put right by ${moment(request.resolve_by).format('DD/MM/YYYY')}.`
+    },
+    reopened: {
+      title: 'Maintenance Request Reopened',
+      message: `Your lodger says "${request.title}" has not been fixed and has reopened the request.`
+    },
+    acknowledged: {
+      title: 'Maintenance Request Acknowledged',
+      message: `Your householder has acknowledged "${request.title}" and will arrange the repair.`
+    },
+    scheduled: {
+      title: 'Repair Scheduled',
+      message: `The repair for "${request.title}" is booked for ${when}.`
+    },
+    rescheduled: {
+      title: 'Repair Rescheduled',
+      message: `The repair for "${request.title}" has been moved to ${when}.`
+    },
+    resolved: {
+      title: 'Maintenance Request Resolved',
+      message: `"${request.title}" has been marked as fixed.` +
+        (request.resolution_notes ? ` ${request.resolution_notes}` : '') +
+        ' If the problem is still there, you can reopen the request.'
+    },
+    comment: {
+      title: 'New Comment on Maintenance Request',
+      message: `There is a new comment on "${request.title}".`
+    }
+  };
+
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [
+      toLandlord ? request.landlord_id : request.lodger_id,
+      request.tenancy_id,
+      'maintenance_update',
+      messages[event].title,
+      messages[event].message
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Book a repair for a request, telling the lodger when it will be done
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} request - maintenance_requests row, with lodger_id
+ * @param {Date|string} scheduledFor - When the repair is booked
+ * @returns {Object} Updated request, with lodger_id
+ */
+async function scheduleRepair(client, request, scheduledFor) {
+  const result = await client.query(
+    `UPDATE maintenance_requests
+     SET status = 'scheduled', scheduled_for = $1, scheduled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [moment(scheduledFor).toDate(), request.id]
+  );
+
+  const updated = { ...result.rows[0], lodger_id: request.lodger_id };
+  await notifyMaintenanceUpdate(client, updated, request.status === 'scheduled' ? 'rescheduled' : 'scheduled');
+
+  return updated;
+}
+
+/**
+ * Arrange comments into threads, with replies nested under the comment they answer
+ * @param {Array} comments - maintenance_comments rows, oldest first
+ * @returns {Array} Top-level comments, each with a replies array
+ */
+function buildCommentThreads(comments) {
+  const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+
+  byId.forEach(comment => {
+    const parent = comment.parent_id ? byId.get(comment.parent_id) : null;
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      // Replies to comments the viewer can't see are shown at the top level
+      threads.push(comment);
+    }
+  });
+
+  return threads;
+}
+
+/**
+ * Remind landlords about open requests that have missed a deadline. Each request is
+ * only chased once per missed deadline.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Reminders sent
+ */
+async function sendSlaReminders(client) {
+  const overdue = await client.query(
+    `SELECT m.*, u.full_name as lodger_name
+     FROM maintenance_requests m
+     JOIN users u ON m.reported_by = u.id
+     WHERE m.status <> 'resolved'
+     AND (
+       (m.status = 'reported' AND m.acknowledge_by < CURRENT_TIMESTAMP
+        AND (m.sla_reminder_sent_at IS NULL OR m.sla_reminder_sent_at < m.acknowledge_by))
+       OR
+       (m.resolve_by < CURRENT_TIMESTAMP
+        AND (m.sla_reminder_sent_at IS NULL OR m.sla_reminder_sent_at < m.resolve_by))
+     )`
+  );
+
+  for (const request of overdue.rows) {
+    const resolveMissed = new Date(request.resolve_by) < new Date();
+    const deadline = resolveMissed ? request.resolve_by : request.acknowledge_by;
+
+    await client.query(
+      `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        request.landlord_id,
+        request.tenancy_id,
+        'maintenance_update',
+        'Maintenance Request Overdue',
+        `"${request.title}" reported by ${request.lodger_name} on ${moment(request.reported_at).format('DD/MM/YYYY')} ` +
+          `should have been ${resolveMissed ? 'put right' : 'acknowledged'} by ${moment(deadline).format('DD/MM/YYYY HH:mm')}. ` +
+          'Repairs must be carried out within a reasonable time of being reported.'
+      ]
+    );
+
+    await client.query(
+      'UPDATE maintenance_requests SET sla_reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [request.id]
+    );
+  }
+
+  return overdue.rows.length;
+}
+
+module.exports = {
+  MAINTENANCE_CATEGORIES,
+  MAINTENANCE_PRIORITIES,
+  MAINTENANCE_STATUSES,
+  STATUS_TRANSITIONS,
+  calculateDeadlines,
+  getSlaStatus,
+  canTransition,
+  notifyMaintenanceUpdate,
+  scheduleRepair,
+  buildCommentThreads,
+  sendSlaReminders
+};
@@ -0,0 +1,109 @@
+const reconciliationService = require('../reconciliationService');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Payment feed provider registry.
+ * A provider adapter exposes:
+ *   key, name, description, configFields
+ *   isEnabled() - whether it can be used on this server
+ *   validateConfig(config) - error message or null
+ *   fetchTransactions({ config, account, cursor }) - { transactions, cursor }
+ * Add new adapters (e.g. an Open Banking aggregator) to this list.
+ */
+const PROVIDERS = [mockProvider];
+
+/**
+ * Get a provider adapter by key
+ * @param {string} key - Provider key
+ * @returns {Object|null} Adapter, or null if unknown or disabled
+ */
+function getProvider(key) {
+  const provider = PROVIDERS.find(adapter => adapter.key === key);
+  return provider && provider.isEnabled() ? provider : null;
+}
+
+/**
+ * List providers available on this server
+ * @returns {Array} Provider summaries
+ */
+function listProviders() {
+  return PROVIDERS
+    .filter(adapter => adapter.isEnabled())
+    .map(({ key, name, description, configFields }) => ({ key, name, description, configFields }));
+}
+
+/**
+ * Pull new transactions for a connection and feed them into reconciliation.
+ * The cursor and last-sync status are stored on the connection either way.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} connection - payment_feed_connections row joined with account_number and sort_code
+ * @returns {Object} { imported, import } where import is the created bank import (if any)
+ */
+async function syncConnection(client, connection) {
+  const provider = getProvider(connection.provider);
+  if (!provider) {
+    throw new Error(`Payment feed provider "${connection.provider}" is not available`);
+  }
+
+  const { transactions, cursor } = await provider.fetchTransactions({
+    config: connection.config || {},
+    account: { account_number: connection.account_number, sort_code: connection.sort_code },
+    cursor: connection.sync_cursor
+  });
+
+  let bankImport = null;
+
+  if (transactions.length > 0) {
+    bankImport = await reconciliationService.createImport(client, {
+      landlordId: connection.landlord_id,
+      source: 'feed',
+      filename: `${provider.name} sync`,
+      preset: provider.key,
+      transactions: transactions.map((transaction, index) => ({
+        rowNumber: index + 1,
+        date: transaction.date,
+        amount: parseFloat(transaction.amount),
+        description: transaction.description || '',
+        reference: transaction.reference || '',
+        raw: transaction
+      }))
+    });
+  }
+
+  const message = bankImport
+    ? `${bankImport.total_rows} payment(s) in, ${bankImport.proposed_rows} matched`
+    : 'No new transactions';
+
+  await client.query(
+    `UPDATE payment_feed_connections
+     SET sync_cursor = $1, last_sync_at = CURRENT_TIMESTAMP, last_sync_status = 'success',
+         last_sync_message = $2, last_import_id = COALESCE($3, last_import_id), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [cursor, message, bankImport ? bankImport.id : null, connection.id]
+  );
+
+  return { imported: transactions.length, message, import: bankImport };
+}
+
+/**
+ * Record a failed sync so it shows in the landlord's settings
+ * @param {Object} db - pg pool or client (outside the failed transaction)
+ * @param {string} connectionId - Connection ID
+ * @param {Error} error - Error raised by the sync
+ */
+async function recordSyncFailure(db, connectionId, error) {
+  await db.query(
+    `UPDATE payment_feed_connections
+     SET last_sync_at = CURRENT_TIMESTAMP, last_sync_status = 'error',
+         last_sync_message = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [String(error.message || error).slice(0, 500), connectionId]
+  );
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  syncConnection,
+  recordSyncFailure
+};
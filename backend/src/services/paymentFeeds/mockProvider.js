@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Feed files must live here so a connection can never read arbitrary files
+const MOCK_FEED_DIR = path.join(__dirname, '../../../mock-feeds');
+
+/**
+ * Mock payment feed provider.
+ * Reads transactions from a JSON file in backend/mock-feeds, or from a local HTTP
+ * endpoint serving the same format, so feed syncing can be developed offline.
+ *
+ * Feed format:
+ * {
+ *   "accounts": {
+ *     "<account number>": [
+ *       { "id": "tx-1", "date": "2025-03-01", "amount": 800, "description": "J SMITH", "reference": "LODGE-SMITH" }
+ *     ]
+ *   }
+ * }
+ */
+const mockProvider = {
+  key: 'mock',
+  name: 'Mock Bank Feed',
+  description: 'Reads transactions from a local JSON file or HTTP endpoint. For development and testing.',
+  configFields: [
+    { name: 'source', label: 'Source', type: 'select', options: ['file', 'http'], required: true },
+    { name: 'file', label: 'Feed file (in backend/mock-feeds)', type: 'text', placeholder: 'sample-feed.json' },
+    { name: 'url', label: 'Feed URL', type: 'text', placeholder: 'http://localhost:4000/feed.json' }
+  ],
+
+  /**
+   * Only available outside production unless explicitly enabled
+   */
+  isEnabled() {
+    return process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_PAYMENT_FEED === 'true';
+  },
+
+  /**
+   * Check a connection's config
+   * @param {Object} config - Connection config
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateConfig(config) {
+    if (config.source === 'file') {
+      if (!config.file) return 'A feed file is required';
+      return null;
+    }
+    if (config.source === 'http') {
+      try {
+        const url = new URL(config.url);
+        if (!['http:', 'https:'].includes(url.protocol)) return 'Feed URL must be http or https';
+      } catch (error) {
+        return 'A valid feed URL is required';
+      }
+      return null;
+    }
+    return 'Source must be file or http';
+  },
+
+  /**
+   * Load the raw feed
+   */
+  async loadFeed(config) {
+    if (config.source === 'http') {
+      const response = await fetch(config.url);
+      if (!response.ok) {
+        throw new Error(`Feed request failed with status ${response.status}`);
+      }
+      return response.json();
+    }
+
+    const filePath = path.join(MOCK_FEED_DIR, path.basename(config.file));
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  },
+
+  /**
+   * Pull transactions for an account since the last sync
+   * @param {Object} options - { config, account: { account_number, sort_code }, cursor }
+   * @returns {Object} { transactions: [{ id, date, amount, description, reference }], cursor }
+   */
+  async fetchTransactions({ config, account, cursor }) {
+    const feed = await this.loadFeed(config);
+    const transactions = (feed.accounts && feed.accounts[account.account_number]) || [];
+
+    // Feed is ordered oldest first; the cursor is the ID of the last transaction already synced
+    const sorted = [...transactions].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    const cursorIndex = cursor ? sorted.findIndex(transaction => transaction.id === cursor) : -1;
+    const newTransactions = sorted.slice(cursorIndex + 1);
+
+    return {
+      transactions: newTransactions,
+      cursor: newTransactions.length > 0 ? newTransactions[newTransactions.length - 1].id : cursor
+    };
+  }
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { pool } = require('../config/database');
+const ledgerService = require('./ledgerService');
+const receiptService = require('./receiptService');
+
+// Payment methods a landlord can accept from lodgers
+const PAYMENT_METHODS = {
+  bank_transfer: 'Bank transfer',
+  standing_order: 'Standing order',
+  cash: 'Cash',
+  card: 'Card (via payment provider)'
+};
+
+const DEFAULT_PAYMENT_METHOD_SETTINGS = {
+  accepted_methods: ['bank_transfer', 'standing_order'],
+  card_provider_name: null,
+  card_payment_url: null,
+  cash_instructions: null
+};
+
+// Banks accept up to 18 characters of letters, digits, spaces and hyphens in a reference
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Get a landlord's payment method settings, falling back to defaults
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Object} Payment method settings
+ */
+async function getPaymentMethodSettings(db, landlordId) {
+  const result = await (db || pool).query(
+    'SELECT * FROM payment_method_settings WHERE landlord_id = $1',
+    [landlordId]
+  );
+
+  if (result.rows.length === 0) {
+    return { landlord_id: landlordId, ...DEFAULT_PAYMENT_METHOD_SETTINGS };
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Get the bank account lodgers should pay into. The details saved for bank feeds are
+ * preferred, falling back to the account on the landlord's profile.
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Object|null} { account_name, account_number, sort_code } or null if none is set up
+ */
+async function getLandlordBankDetails(db, landlordId) {
+  const details = await db.query(
+    `SELECT account_name, account_number, sort_code
+     FROM landlord_payment_details
+     WHERE landlord_id = $1
+     ORDER BY updated_at DESC
+     LIMIT 1`,
+    [landlordId]
+  );
+
+  if (details.rows.length > 0) {
+    return details.rows[0];
+  }
+
+  const profile = await db.query(
+    'SELECT full_name, bank_account_number, bank_sort_code FROM users WHERE id = $1',
+    [landlordId]
+  );
+  const user = profile.rows[0];
+
+  if (!user || !user.bank_account_number || !user.bank_sort_code) {
+    return null;
+  }
+
+  return {
+    account_name: user.full_name,
+    account_number: user.bank_account_number,
+    sort_code: user.bank_sort_code
+  };
+}
+
+/**
+ * Get a tenancy's standing order reference, creating one the first time it is asked for.
+ * References are the start of the lodger's surname and a random code, unique across all tenancies.
+ * @param {Object} db - pg pool or client
+ * @param {Object} tenancy - tenancies row, with lodger_name
+ * @returns {string} Standing order reference
+ */
+async function getStandingOrderReference(db, tenancy) {
+  if (tenancy.standing_order_reference) {
+    return tenancy.standing_order_reference;
+  }
+
+  const surname = (tenancy.lodger_name || '').trim().split(/\s+/).pop() || '';
+  const prefix = surname.toUpperCase().replace(/[^A-Z]/g, '').slice(0, 6) || 'LODGER';
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = Array.from(crypto.randomBytes(6), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+    const reference = `${prefix}-${code}`;
+
+    try {
+      const result = await db.query(
+        `UPDATE tenancies
+         SET standing_order_reference = COALESCE(standing_order_reference, $1)
+         WHERE id = $2
+         RETURNING standing_order_reference`,
+        [reference, tenancy.id]
+      );
+      return result.rows[0].standing_order_reference;
+    } catch (error) {
+      // Another tenancy already has this code; try another
+      if (error.code !== '23505') throw error;
+    }
+  }
+
+  throw new Error('Could not create a unique standing order reference');
+}
+
+/**
+ * Gather what goes on a standing order instruction sheet for a tenancy
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Object} Details for pdfService.generateStandingOrderPDF
+ */
+async function getStandingOrderDetails(db, tenancyId) {
+  const result = await db.query(
+    `SELECT t.*, landlord.full_name as landlord_name, lodger.full_name as lodger_name
+     FROM tenancies t
+     JOIN users landlord ON t.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     WHERE t.id = $1`,
+    [tenancyId]
+  );
+  const tenancy = result.rows[0];
+
+  const reference = await getStandingOrderReference(db, tenancy);
+  const bank = await getLandlordBankDetails(db, tenancy.landlord_id);
+
+  // Payments still to be made; the standing order starts from the first of them
+  const schedule = await db.query(
+    `SELECT payment_number, due_date, rent_due
+     FROM payment_schedule
+     WHERE tenancy_id = $1 AND due_date >= CURRENT_DATE AND rent_due > 0
+     AND payment_status IN ('pending', 'overdue', 'partial')
+     ORDER BY due_date ASC
+     LIMIT 13`,
+    [tenancyId]
+  );
+
+  const paymentType = tenancy.payment_type || 'cycle';
+  const frequency = paymentType === 'calendar'
+    ? `Monthly on day ${tenancy.payment_day_of_month || 1} (or the last day of shorter months)`
+    : {
+      'weekly': 'Weekly',
+      'bi-weekly': 'Every 2 weeks',
+      'monthly': 'Every 30 days',
+      '4-weekly': 'Every 4 weeks'
+    }[tenancy.payment_frequency || '4-weekly'] || 'Every 4 weeks';
+
+  // The regular amount is the most common payment; a pro-rated or repriced first row is listed separately
+  const counts = {};
+  schedule.rows.forEach(row => {
+    counts[row.rent_due] = (counts[row.rent_due] || 0) + 1;
+  });
+  const regular = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+  return {
+    landlord_name: tenancy.landlord_name,
+    lodger_name: tenancy.lodger_name,
+    property_address: [tenancy.property_house_number, tenancy.property_street_name, tenancy.property_city, tenancy.property_county, tenancy.property_postcode]
+      .filter(part => part)
+      .join(', '),
+    bank,
+    reference,
+    frequency,
+    regular_amount: regular ? parseFloat(regular) : parseFloat(tenancy.monthly_rent),
+    first_payment_date: schedule.rows.length > 0 ? schedule.rows[0].due_date : null,
+    final_payment_date: tenancy.termination_date || null,
+    schedule: schedule.rows
+  };
+}
+
+/**
+ * Record a cash handover. The person recording it is taken as acknowledging it; the
+ * other party is asked to acknowledge it before the payment is posted to the ledger.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} handover - { tenancy, paymentScheduleId, amount, handedOverDate, notes, recordedBy, recordedByType }
+ * @returns {Object} cash_handovers row
+ */
+async function createCashHandover(client, handover) {
+  const byLodger = handover.recordedByType === 'lodger';
+  const date = handover.handedOverDate ? moment(handover.handedOverDate).format('YYYY-MM-DD') : moment().format('YYYY-MM-DD');
+
+  const result = await client.query(
+    `INSERT INTO cash_handovers (
+        tenancy_id, payment_schedule_id, amount, handed_over_date, status,
+        lodger_acknowledged_at, landlord_acknowledged_at, notes, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      handover.tenancy.id,
+      handover.paymentScheduleId || null,
+      handover.amount,
+      date,
+      byLodger ? 'awaiting_landlord' : 'awaiting_lodger',
+      byLodger ? new Date() : null,
+      byLodger ? null : new Date(),
+      handover.notes || null,
+      handover.recordedBy
+    ]
+  );
+
+  await client.query(
+    `INSERT INTO notifications (user_id, tenancy_id, payment_id, type, title, message)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      byLodger ? handover.tenancy.landlord_id : handover.tenancy.lodger_id,
+      handover.tenancy.id,
+      handover.paymentScheduleId || null,
+      'cash_handover',
+      'Please Confirm Cash Payment',
+      byLodger
+        ? `Your lodger says they handed you £${parseFloat(handover.amount).toFixed(2)} in cash on ${moment(date).format('DD/MM/YYYY')}. Please confirm you received it.`
+        : `Your landlord has recorded receiving £${parseFloat(handover.amount).toFixed(2)} in cash from you on ${moment(date).format('DD/MM/YYYY')}. ` +
+          'Please confirm you handed it over so a receipt can be issued.'
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Acknowledge a cash handover on behalf of the party who didn't record it. Once both
+ * have acknowledged, the cash is posted to the ledger and a receipt is sent to the lodger.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} handover - cash_handovers row
+ * @param {string} userId - User acknowledging
+ * @returns {Object} { handover, transaction, receipt }
+ */
+async function acknowledgeCashHandover(client, handover, userId) {
+  const column = handover.status === 'awaiting_landlord' ? 'landlord_acknowledged_at' : 'lodger_acknowledged_at';
+
+  let transaction;
+  if (handover.payment_schedule_id) {
+    const payment = await client.query('SELECT * FROM payment_schedule WHERE id = $1', [handover.payment_schedule_id]);
+    const confirmed = await ledgerService.confirmPayment(client, payment.rows[0], {
+      amount: parseFloat(handover.amount),
+      paymentDate: handover.handed_over_date,
+      paymentMethod: 'cash',
+      notes: handover.notes,
+      createdBy: userId
+    });
+    transaction = confirmed.transaction;
+  } else {
+    const recorded = await ledgerService.recordPayment(client, {
+      tenancyId: handover.tenancy_id,
+      amount: parseFloat(handover.amount),
+      transactionDate: handover.handed_over_date,
+      paymentMethod: 'cash',
+      notes: handover.notes,
+      createdBy: userId
+    });
+    transaction = recorded.transaction;
+  }
+
+  const updated = await client.query(
+    `UPDATE cash_handovers
+     SET ${column} = CURRENT_TIMESTAMP, status = 'confirmed', transaction_id = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [transaction.id, handover.id]
+  );
+
+  const receipt = await receiptService.issueReceipt(client, transaction, { notify: true });
+
+  return { handover: updated.rows[0], transaction, receipt };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  DEFAULT_PAYMENT_METHOD_SETTINGS,
+  getPaymentMethodSettings,
+  getLandlordBankDetails,
+  getStandingOrderReference,
+  getStandingOrderDetails,
+  createCashHandover,
+  acknowledgeCashHandover
+};
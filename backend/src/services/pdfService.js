@@ -6,60 +6,141 @@
 
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
-const path = require('path');
+const { mergeText } = require('../utils/agreementTemplate');
 
 /**
- * Generate a complete lodger agreement PDF
- * @param {Object} tenancy - Tenancy data from database
- * @param {Object} landlord - Landlord user data
- * @param {Object} lodger - Lodger user data
- * @param {Object} property - Property data
+ * Generate a lodger agreement PDF from a template. Without signing details this is the
+ * document the parties read and sign against; with them it's the signed copy, with the
+ * signatures filled in, any deeds of variation and the signing certificate appended.
+ * @param {Object} agreement - { content, merge_data, special_terms, categories, safety_certificates, signing }
  * @param {string} outputPath - Where to save the PDF
  * @returns {Promise<string>} Path to generated PDF
  */
-async function generateAgreementPDF(tenancy, landlord, lodger, property, outputPath) {
+async function generateAgreementPDF(agreement, outputPath) {
     return new Promise((resolve, reject) => {
         try {
-            // Create PDF document
-            const doc = new PDFDocument({
-                size: 'A4',
-                margins: {
-                    top: 50,
-                    bottom: 50,
-                    left: 50,
-                    right: 50
-                }
-            });
+            const {
+                content, merge_data: mergeData, special_terms: specialTerms = [],
+                safety_certificates: safetyCertificates, signing
+            } = agreement;
+            const merge = (text) => mergeText(text, mergeData);
 
-            // Pipe to file
+            const doc = new PDFDocument();
             const stream = fs.createWriteStream(outputPath);
             doc.pipe(stream);
 
-            // Generate content
-            addHeader(doc);
-            addTitle(doc, 'LODGER AGREEMENT');
-            addSubtitle(doc, 'AGREEMENT FOR NON-EXCLUSIVE OR SHARED OCCUPATION');
-            
-            addIntroduction(doc, tenancy);
-            addParticulars(doc, tenancy, landlord, lodger, property);
-            addTermsAndConditions(doc);
-            addSignatures(doc, tenancy, landlord, lodger);
-            
-            // Add photo ID if available
-            if (tenancy.photo_id_path) {
-                addPhotoID(doc, tenancy);
+            doc.fontSize(18).text(merge(content.title), { align: 'center' });
+            doc.moveDown(0.5);
+            if (content.subtitle) {
+                doc.fontSize(12).text(merge(content.subtitle), { align: 'center' });
+                doc.moveDown();
+            }
+            if (content.introduction) {
+                doc.fontSize(9).text(merge(content.introduction), { align: 'justify' });
+                doc.moveDown();
             }
 
-            // Finalize PDF
-            doc.end();
+            // PART 1 - PARTICULARS
+            doc.fontSize(12).text('PART 1 - PARTICULARS', { underline: true });
+            doc.moveDown(0.5);
+            doc.fontSize(9);
+            content.particulars.forEach(line => doc.text(merge(line)));
+            doc.moveDown();
+
+            (content.notes || []).forEach(note => {
+                doc.fontSize(10).text(`${merge(note.heading)}:`, { underline: true });
+                doc.fontSize(9).text(merge(note.text));
+                doc.moveDown(0.5);
+            });
+
+            // PART 2 - TERMS AND CONDITIONS
+            doc.addPage();
+            doc.fontSize(11).text('NOW IT IS AGREED AS FOLLOWS:', { underline: true });
+            doc.moveDown();
 
-            stream.on('finish', () => {
-                resolve(outputPath);
+            content.sections.forEach(section => {
+                doc.fontSize(10).text(merge(section.heading), { underline: true });
+                if (section.intro) {
+                    doc.fontSize(9).text(merge(section.intro));
+                }
+                doc.fontSize(8);
+                section.clauses.forEach(clause => doc.text(merge(clause)));
+                doc.moveDown();
             });
 
-            stream.on('error', (error) => {
-                reject(error);
+            // PART 3 - terms agreed for this tenancy
+            doc.fontSize(12).text('PART 3 - PROPERTY RULES AND SERVICES AND ANY ADDITIONAL TERMS', { underline: true });
+            doc.moveDown(0.5);
+            if (specialTerms.length === 0) {
+                doc.fontSize(9).text('None.');
+            }
+            Object.entries(agreement.categories || {}).forEach(([category, label]) => {
+                const terms = specialTerms.filter(term => term.category === category);
+                if (terms.length === 0) return;
+                doc.fontSize(10).text(label, { underline: true });
+                doc.fontSize(8);
+                terms.forEach(term => {
+                    const number = specialTerms.indexOf(term) + 1;
+                    doc.font('Helvetica-Bold').text(`P3.${number}. ${term.title}: `, { continued: true })
+                       .font('Helvetica').text(merge(term.body));
+                });
+                doc.moveDown(0.5);
             });
+            doc.moveDown();
+
+            // Safety certificates held when the agreement was prepared for signing. Agreements
+            // prepared before the register existed have none recorded and leave this out.
+            if (safetyCertificates) {
+                doc.fontSize(12).text('SAFETY CERTIFICATES', { underline: true });
+                doc.moveDown(0.5);
+                doc.fontSize(9).text('Certificates held by the Householder under clauses 3.3 to 3.6 on the date this agreement was prepared for signing:');
+                doc.moveDown(0.5);
+                if (safetyCertificates.length === 0) {
+                    doc.text('None recorded.');
+                }
+                doc.fontSize(8);
+                safetyCertificates.forEach(certificate => {
+                    const details = [
+                        certificate.reference && `Ref. ${certificate.reference}`,
+                        certificate.issued_by && `issued by ${certificate.issued_by}`,
+                        `dated ${formatDate(certificate.issue_date)}`,
+                        `valid until ${formatDate(certificate.expiry_date)}`
+                    ].filter(part => part).join(', ');
+                    doc.font('Helvetica-Bold').text(`${certificate.label} (clause ${certificate.clause}): `, { continued: true })
+                       .font('Helvetica').text(details);
+                });
+                doc.moveDown();
+            }
+
+            // SIGNATURES
+            doc.fontSize(12).text('SIGNATURES', { underline: true });
+            doc.moveDown();
+            doc.fontSize(10);
+
+            if (!signing) {
+                doc.text('This agreement is signed electronically by the Lodger and then the Householder. The signed copy shows both signatures, followed by a signing certificate recording the SHA-256 hash of this document.');
+            } else {
+                signing.signatures.forEach(signature => {
+                    doc.text(`Signed by the ${signature.role === 'lodger' ? 'Lodger' : 'Householder'}: ${signature.name}`);
+                    if (signature.image_file) {
+                        doc.image(signature.image_file, { fit: [180, 60] });
+                    }
+                    doc.text(`Date: ${new Date(signature.signed_at).toLocaleString('en-GB')}`);
+                    doc.moveDown();
+                });
+
+                (signing.variations || []).forEach(variation => {
+                    doc.addPage();
+                    addVariation(doc, variation);
+                });
+
+                addSigningCertificate(doc, signing.certificate);
+            }
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
 
         } catch (error) {
             reject(error);
@@ -100,368 +181,6 @@ function addSubtitle(doc, subtitle) {
        .moveDown(2);
 }
 
-/**
- * Add introduction paragraph
- */
-function addIntroduction(doc, tenancy) {
-    doc.fontSize(10)
-       .fillColor('#000000')
-       .font('Helvetica')
-       .text(
-           'This LODGER AGREEMENT is made up of the details about the parties and the agreement in Part 1, ' +
-           'the Terms and Conditions printed below in Part 2, and any Special Terms and Conditions agreed ' +
-           'between the parties which have been recorded in Part 3, whereby the Room is licensed by the ' +
-           'Householder and taken by the Lodger during the Term upon making the Accommodation Payment.',
-           { align: 'justify' }
-       )
-       .moveDown(2);
-}
-
-/**
- * Add Part 1 - Particulars
- */
-function addParticulars(doc, tenancy, landlord, lodger, property) {
-    addSectionHeader(doc, 'PART 1 - PARTICULARS');
-
-    const particulars = [
-        {
-            label: 'PROPERTY:',
-            value: `${property.address_line1}${property.address_line2 ? ', ' + property.address_line2 : ''}${property.city ? ', ' + property.city : ''}${property.county ? ', ' + property.county : ''}, ${property.postcode}`
-        },
-        {
-            label: 'ROOM:',
-            value: tenancy.room_description && tenancy.room_description.trim() 
-                ? tenancy.room_description 
-                : 'The room or rooms in the Property which the Householder from time to time allocates to the Lodger'
-        },
-        {
-            label: 'SHARED AREAS:',
-            value: property.shared_areas || 'The entrance hall, staircase and landings of the Property, the kitchen for cooking eating and the storage of food, the lavatory and bathroom, the sitting room, the garden (where applicable).'
-        },
-        {
-            label: 'HOUSEHOLDER:',
-            value: landlord.full_name
-        },
-        {
-            label: 'LODGER:',
-            value: lodger.full_name
-        },
-        {
-            label: 'START DATE:',
-            value: formatDate(tenancy.start_date)
-        },
-        {
-            label: 'TERM:',
-            value: `${tenancy.initial_term_months} Months Rolling Contract until Terminated by either party`
-        },
-        {
-            label: 'INITIAL PAYMENT:',
-            value: `£${parseFloat(tenancy.initial_payment).toFixed(2)} (current and month in advance payment)`
-        },
-        {
-            label: 'ACCOMMODATION PAYMENT:',
-            value: `£${parseFloat(tenancy.monthly_rent).toFixed(2)} per month`
-        },
-        {
-            label: 'PAYMENT DAY:',
-            value: tenancy.payment_type === 'calendar'
-                ? `On the ${tenancy.payment_day_of_month}th of each month`
-                : `Every ${tenancy.payment_cycle_days || 28} days from the Start Date`
-        },
-        {
-            label: 'DEPOSIT:',
-            value: tenancy.deposit_applicable 
-                ? `£${parseFloat(tenancy.deposit_amount).toFixed(2)}` 
-                : 'Not Applicable'
-        },
-        {
-            label: 'EARLY TERMINATION:',
-            value: 'Either party may at any time end this Agreement earlier than the End Date by giving notice in writing of at least one calendar month ending on the Payment Day. If within the rental term any deposits taken will be void unless mutually agreed by both parties.'
-        },
-        {
-            label: 'UTILITY COSTS:',
-            value: 'All utilities including gas, electric, water, basic internet. Council Tax paid by Householder.'
-        },
-        {
-            label: 'EXCLUDED UTILITY COST:',
-            value: 'Television License is not included. If the lodger would like to view any LIVE broadcast, the lodger accepts responsibility to pay for the television licence and provide evidence of the purchase at their own expense.'
-        }
-    ];
-
-    particulars.forEach(item => {
-        doc.fontSize(10)
-           .font('Helvetica-Bold')
-           .text(item.label, { continued: false })
-           .font('Helvetica')
-           .text(item.value, { indent: 20 })
-           .moveDown(0.5);
-    });
-
-    doc.moveDown();
-}
-
-/**
- * Add section header
- */
-function addSectionHeader(doc, title) {
-    doc.fontSize(14)
-       .font('Helvetica-Bold')
-       .fillColor('#000000')
-       .text(title)
-       .moveDown(1);
-}
-
-/**
- * Add Terms and Conditions
- */
-function addTermsAndConditions(doc) {
-    doc.addPage();
-    addSectionHeader(doc, 'PART 2 - TERMS AND CONDITIONS');
-
-    const sections = [
-        {
-            number: '1.',
-            title: 'About the Licence to Occupy a Room in the Property',
-            clauses: [
-                'The Householder permits the Lodger to occupy the Room until either party ends the arrangement as provided for under clause 9 of this agreement.',
-                'The Lodger will occupy the Room personally and shall not share the Room with any other person, except where the Lodger has asked to share the Room with another person and the Householder has agreed in writing.',
-                'The Lodger shall have use of the Contents in the Room, an inventory of which will be prepared by the Householder and provided to the Lodger.',
-                'The Lodger may use the facilities of the Shared Areas of the Property in common with the Householder (and the other Lodgers of the Householder) but only in conjunction with their occupation of the Room under this agreement.',
-                'This agreement is not intended to confer exclusive possession upon the Lodger nor to create the relationship of landlord and tenant between the parties. The Lodger shall not be entitled to an assured tenancy or a statutory periodic tenancy under the Housing Act 1988 or any other statutory security of tenure now or when the licence ends.',
-                'This agreement is personal to the Lodger, cannot be assigned to any other party, and can be terminated by either party on notice or without notice in the case of serious breaches of the agreement.',
-                'It is a condition of this agreement that the Lodger maintain a "Right to Rent" as defined by the Immigration Act 2014 at all times during the Term.'
-            ]
-        },
-        {
-            number: '2.',
-            title: 'Lodger Obligations',
-            clauses: [
-                '2.1. Payments',
-                '2.1.1. To pay the Accommodation Payment at the times and in the manner set out above.',
-                '2.1.2. To pay simple interest at the rate of 3% above the Bank of England base rate upon any payment or other money lawfully due from the Lodger under this Agreement which is not paid to the Householder within 14 days after the due date for payment.',
-                '',
-                '2.2. Use of the Property',
-                '2.2.1. Not to use or occupy the Room in any way whatsoever other than as a private residence.',
-                '2.2.2. Not to let or purport to let or share any rooms at the Property or take in any lodger or paying guest.',
-                '2.2.3. With the Householder\'s prior permission, the Lodger is allowed to have occasional overnight visitors.',
-                '',
-                '2.3. Maintenance',
-                '2.3.1. To keep the interior of the Room and all other Shared Parts (including the lavatory and bathroom) in good and clean condition.',
-                '2.3.2. To keep the Contents in good condition and shall not remove any articles from the Room.',
-                '2.3.3. To make good all damage to the Contents and replace with articles of a similar kind and value any items broken or damaged by the Lodger.',
-                '',
-                '2.4. Activities at the Property',
-                '2.4.1. Not to smoke cigarettes, cigars, pipes or any other substances in the Property (only outside).',
-                '2.4.2. To cook at the Property only in the kitchen.',
-                '2.4.3. Not to keep any pet or any kind of animal at the Property without the Householder\'s prior consent.',
-                '2.4.4. Not make any alteration or addition to the Room or without the Householder\'s prior written consent do any redecoration or painting of the Room.',
-                '2.4.5. Not do or omit to do anything on or at the Property which may be or become a nuisance or annoyance to the Householder or any other occupiers of the Property.',
-                '2.4.6. To ensure that the Room is cleaned weekly and that all rubbish is disposed of daily.',
-                '',
-                '2.5. At the end of the Agreement',
-                '2.5.1. To vacate the Room and the Property at the end of Term and leave the Room in the same clean and tidy state and condition it was in at the beginning of the Term (fair wear and tear excepted).',
-                '2.5.2. To provide the Householder with a forwarding address when the agreement comes to an end and remove all rubbish and all personal items from the Property before leaving.'
-            ]
-        },
-        {
-            number: '3.',
-            title: 'Householder Obligations',
-            clauses: [
-                'The Householder agrees with the Lodger:',
-                '3.1. To keep in good repair the structure and exterior of the Property and the Room (including drains gutters and external pipes).',
-                '3.2. To keep in repair and proper working order the installations in the Property for the supply of water, gas and electricity and for sanitation.',
-                '3.3. To comply with the Gas Safety (Installation and Use) Regulations 1998 by ensuring that all gas appliances in the Property are checked by a Gas Safe-registered installer on an annual basis.',
-                '3.4. To ensure that all furniture and furnishings provided for use by the Lodger complies with the Furniture and Furnishings (Fire)(Safety) Regulations, 1988.',
-                '3.5. To ensure that all electrical equipment supplied to the Lodger is kept in good repair and is not damaged or defective.',
-                '3.6. To install and keep in good working order smoke detectors in the Property, and, if there is a fixed combustion appliance, a carbon monoxide detector.',
-                '3.7. To ensure that at all times the Room and the Shared Areas are fit for human habitation.',
-                '3.8. To pay the Council Tax for the Property during the Term.',
-                '3.9. To warrant that they have permission to take in lodgers in the Property.'
-            ]
-        }
-    ];
-
-    sections.forEach(section => {
-        doc.fontSize(11)
-           .font('Helvetica-Bold')
-           .text(`${section.number} ${section.title}`)
-           .moveDown(0.5);
-
-        section.clauses.forEach(clause => {
-            if (clause === '') {
-                doc.moveDown(0.3);
-            } else {
-                doc.fontSize(9)
-                   .font('Helvetica')
-                   .text(clause, { indent: clause.startsWith('2.') || clause.startsWith('3.') ? 0 : 20 })
-                   .moveDown(0.3);
-            }
-        });
-
-        doc.moveDown(1);
-    });
-
-    // Add page for remaining clauses
-    addRemainingClauses(doc);
-}
-
-/**
- * Add remaining clauses (Ending Agreement, Deposit, etc.)
- */
-function addRemainingClauses(doc) {
-    doc.addPage();
-
-    const additionalSections = [
-        {
-            number: '9.',
-            title: 'Ending this Agreement',
-            clauses: [
-                '9.1. Termination for breach: If at any time during the Term the Lodger is in breach of any term of this agreement, or any sums due under this agreement are more than 14 days late, the Householder may terminate this agreement by giving 7 days\' notice to the Lodger in writing to remedy the breach. If after 7 days the breach has not been remedied the landlord may terminate this agreement by giving a further 14 days\' notice in writing to the Lodger.',
-                '',
-                '9.2. Break Clause: Either party may at any time during the Term terminate this Agreement by giving to the other prior written notice of not less than one calendar month expiring the day before a Payment Day. Upon the expiry of that notice this Agreement shall end with no further liability for either party except for any existing breaches.',
-                '',
-                '9.3. Behaviour Clause: If the householder deems that the behaviour of the tenant is unacceptable, the householder will provide in writing a warning notice of this breach. If the tenant fails to correct this behaviour the householder may terminate the contract with a maximum of 14 days notice, depending on the severity of the behaviour. For example, aggressive behavior may result in immediate termination.',
-                '',
-                '9.4. At the end of the agreement any items remaining in the Property or Room which are the property of the Lodger must be removed by the Lodger. If any items (apart from perishable food) are left behind by the Lodger the Householder will make reasonable efforts to notify the Lodger and will store them for a period of 14 days, after which time the Householder will be permitted to dispose of the items as they see fit.'
-            ]
-        },
-        {
-            number: '6.',
-            title: 'Deposit (if applicable)',
-            clauses: [
-                '6.1. The Deposit will be held by the Householder during the Term. No interest will be payable by the Householder to the Lodger in respect of the deposit money.',
-                '6.2. The Householder is not required to protect the Deposit with a Government approved protection scheme.',
-                '6.3. At the end of the Term (however it ends) on giving vacant possession of the Room to the Householder the Deposit shall will be refunded to the Lodger but less any reasonable deductions properly made by the Householder to cover any reasonable costs incurred by or losses caused to him by any breaches of the Lodger\'s obligations under this Agreement.',
-                '6.4. The Deposit shall be repaid to the Lodger, at the forwarding address provided to the Householder, as soon as reasonably practicable. The Householder shall not except where they can demonstrate exceptional circumstances retain the Deposit for more than one month.'
-            ]
-        }
-    ];
-
-    additionalSections.forEach(section => {
-        doc.fontSize(11)
-           .font('Helvetica-Bold')
-           .text(`${section.number} ${section.title}`)
-           .moveDown(0.5);
-
-        section.clauses.forEach(clause => {
-            if (clause === '') {
-                doc.moveDown(0.3);
-            } else {
-                doc.fontSize(9)
-                   .font('Helvetica')
-                   .text(clause, { indent: 20 })
-                   .moveDown(0.3);
-            }
-        });
-
-        doc.moveDown(1);
-    });
-}
-
-/**
- * Add signatures section
- */
-function addSignatures(doc, tenancy, landlord, lodger) {
-    doc.addPage();
-    addSectionHeader(doc, 'SIGNATURES');
-
-    doc.fontSize(10)
-       .font('Helvetica')
-       .text('The parties agree to the terms and conditions set out in this agreement:', { align: 'justify' })
-       .moveDown(2);
-
-    // Agreement Reference
-    doc.fontSize(9)
-       .font('Helvetica-Bold')
-       .text('Agreement Reference: ', { continued: true })
-       .font('Helvetica')
-       .text(tenancy.agreement_reference)
-       .moveDown(2);
-
-    // Lodger Signature
-    doc.fontSize(10)
-       .font('Helvetica-Bold')
-       .text('LODGER SIGNATURE')
-       .moveDown(0.5);
-
-    if (tenancy.lodger_signature_data) {
-        doc.font('Helvetica-Oblique')
-           .fontSize(12)
-           .text(lodger.full_name)
-           .fontSize(9)
-           .font('Helvetica')
-           .text(tenancy.lodger_signature_data)
-           .moveDown(0.3);
-    }
-
-    doc.fontSize(9)
-       .text('Date: ' + formatDate(tenancy.signature_date || tenancy.created_at))
-       .moveDown(2);
-
-    // Landlord Signature
-    doc.fontSize(10)
-       .font('Helvetica-Bold')
-       .text('HOUSEHOLDER (LANDLORD) SIGNATURE')
-       .moveDown(0.5);
-
-    if (tenancy.landlord_signature_data) {
-        doc.font('Helvetica-Oblique')
-           .fontSize(12)
-           .text(landlord.full_name)
-           .fontSize(9)
-           .font('Helvetica')
-           .text(tenancy.landlord_signature_data)
-           .moveDown(0.3);
-    }
-
-    doc.fontSize(9)
-       .text('Date: ' + formatDate(tenancy.signature_date || tenancy.created_at))
-       .moveDown(3);
-
-    // Important Notice
-    doc.fontSize(8)
-       .fillColor('#666666')
-       .text(
-           'This agreement is legally binding. Both parties should keep a signed copy for their records. ' +
-           'This document was generated electronically by the Lodger Management System.',
-           { align: 'center' }
-       );
-}
-
-/**
- * Add photo ID page
- */
-function addPhotoID(doc, tenancy) {
-    doc.addPage();
-    addSectionHeader(doc, 'PHOTO IDENTIFICATION');
-
-    doc.fontSize(10)
-       .font('Helvetica')
-       .text('ID Type: ', { continued: true })
-       .font('Helvetica-Bold')
-       .text(tenancy.photo_id_type === 'passport' ? 'Passport' : 'Driving License')
-       .font('Helvetica')
-       .text('Expiry Date: ', { continued: true })
-       .font('Helvetica-Bold')
-       .text(formatDate(tenancy.photo_id_expiry_date))
-       .moveDown(2);
-
-    // Add photo if exists
-    try {
-        const photoPath = path.join(__dirname, '..', tenancy.photo_id_path);
-        if (fs.existsSync(photoPath)) {
-            doc.image(photoPath, {
-                fit: [400, 400],
-                align: 'center'
-            });
-        }
-    } catch (error) {
-        doc.fontSize(9)
-           .fillColor('#999999')
-           .text('Photo ID image could not be embedded', { align: 'center' });
-    }
-}
-
 /**
  * Format date helper
  */
@@ -593,7 +312,1008 @@ function getNoticeText(notice) {
     }
 }
 
+/**
+ * Generate a numbered payment receipt
+ * @param {Object} receipt - Receipt details: receipt_number, issued_at, landlord_name, lodger_name,
+ *   property_address, payment_number, period_start, period_end, amount, payment_date,
+ *   payment_method, reference, balance, cash_handover (dates both parties acknowledged a cash payment, optional)
+ * @param {string} outputPath - Where to save the PDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+async function generatePaymentReceiptPDF(receipt, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            addHeader(doc);
+            addTitle(doc, 'PAYMENT RECEIPT');
+
+            doc.fontSize(12)
+               .font('Helvetica')
+               .fillColor('#666666')
+               .text(`Receipt No. ${receipt.receipt_number}`, { align: 'center' })
+               .moveDown(2);
+
+            const row = (label, value) => {
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(`${label}: `, { continued: true })
+                   .font('Helvetica')
+                   .text(value);
+            };
+
+            row('Date Issued', formatDate(receipt.issued_at));
+            doc.moveDown();
+            row('Received From', receipt.lodger_name);
+            row('Received By', receipt.landlord_name);
+            row('Property', receipt.property_address || 'N/A');
+            doc.moveDown();
+
+            const period = receipt.period_start
+                ? `${formatDate(receipt.period_start)} to ${formatDate(receipt.period_end)}`
+                : 'Payment on account';
+            row('Payment', receipt.payment_number !== null && receipt.payment_number !== undefined
+                ? `Rent payment #${receipt.payment_number}`
+                : 'Payment on account');
+            row('Period Covered', period);
+            row('Date Received', formatDate(receipt.payment_date));
+            row('Payment Method', receipt.payment_method ? receipt.payment_method.replace(/_/g, ' ') : 'Not specified');
+            row('Reference', receipt.reference || 'None');
+            if (receipt.cash_handover) {
+                row('Cash Handed Over', formatDate(receipt.cash_handover.handed_over_date));
+                row('Acknowledged by Lodger', formatDate(receipt.cash_handover.lodger_acknowledged_at));
+                row('Acknowledged by Householder', formatDate(receipt.cash_handover.landlord_acknowledged_at));
+            }
+            doc.moveDown(1.5);
+
+            doc.fontSize(16)
+               .font('Helvetica-Bold')
+               .text(`Amount Received: £${parseFloat(receipt.amount).toFixed(2)}`, { align: 'center' })
+               .moveDown(1.5);
+
+            const balance = parseFloat(receipt.balance);
+            doc.fontSize(11)
+               .font('Helvetica')
+               .text(
+                   balance < 0
+                       ? `Balance outstanding after this payment: £${Math.abs(balance).toFixed(2)}`
+                       : balance > 0
+                           ? `Balance in credit after this payment: £${balance.toFixed(2)}`
+                           : 'Account fully paid up to date after this payment.',
+                   { align: 'center' }
+               )
+               .moveDown(3);
+
+            doc.fontSize(9)
+               .fillColor('#666666')
+               .text('This receipt is issued under the terms of the Lodger Agreement. Please keep it for your records.', { align: 'center' });
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Generate a formal notice of a change in rent
+ * @param {Object} notice - Notice details: landlord_name, lodger_name, property_address, notice_date,
+ *   effective_date, previous_rent, new_rent, increase_percent, reason, schedule (upcoming payments
+ *   as { due_date, rent_due })
+ * @param {string} outputPath - Where to save the PDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+async function generateRentIncreaseNoticePDF(notice, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            const previousRent = parseFloat(notice.previous_rent);
+            const newRent = parseFloat(notice.new_rent);
+            const isIncrease = newRent > previousRent;
+
+            addHeader(doc);
+            addTitle(doc, isIncrease ? 'NOTICE OF RENT INCREASE' : 'NOTICE OF RENT CHANGE');
+
+            doc.fontSize(10)
+               .font('Helvetica')
+               .text('Date: ' + formatDate(notice.notice_date), { align: 'right' })
+               .moveDown(2);
+
+            const row = (label, value) => {
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(`${label}: `, { continued: true })
+                   .font('Helvetica')
+                   .text(value);
+            };
+
+            row('To', notice.lodger_name);
+            row('From', notice.landlord_name);
+            row('Property', notice.property_address || 'N/A');
+            doc.moveDown(1.5);
+
+            doc.fontSize(11)
+               .text('Dear ' + notice.lodger_name + ',')
+               .moveDown(1);
+
+            doc.text(
+                `I am writing to give you formal notice that the rent payable under your Lodger Agreement will change ` +
+                `from £${previousRent.toFixed(2)} to £${newRent.toFixed(2)} per month with effect from ` +
+                `${formatDate(notice.effective_date)}.`,
+                { align: 'justify' }
+            ).moveDown(1);
+
+            if (isIncrease) {
+                doc.text(
+                    `This is an increase of ${parseFloat(notice.increase_percent).toFixed(2)}%, which is within the maximum ` +
+                    'increase of 5% per annum permitted under clause 9.3 of the agreement.',
+                    { align: 'justify' }
+                ).moveDown(1);
+            }
+
+            if (notice.reason) {
+                doc.text(notice.reason, { align: 'justify' }).moveDown(1);
+            }
+
+            doc.text(
+                'Rent for any payment period that runs across the date of the change is charged at the previous rent ' +
+                'for the days before that date and at the new rent from that date. All other terms of the agreement ' +
+                'remain unchanged.',
+                { align: 'justify' }
+            ).moveDown(1.5);
+
+            row('Current Rent', `£${previousRent.toFixed(2)} per month`);
+            row('New Rent', `£${newRent.toFixed(2)} per month`);
+            row('Effective Date', formatDate(notice.effective_date));
+            doc.moveDown(1.5);
+
+            if (notice.schedule && notice.schedule.length > 0) {
+                doc.fontSize(11)
+                   .font('Helvetica-Bold')
+                   .text('Your Upcoming Payments')
+                   .moveDown(0.5);
+
+                notice.schedule.forEach(payment => {
+                    doc.fontSize(10)
+                       .font('Helvetica')
+                       .text(`${formatDate(payment.due_date)}: £${parseFloat(payment.rent_due).toFixed(2)}`);
+                });
+                doc.moveDown(1.5);
+            }
+
+            doc.fontSize(9)
+               .fillColor('#666666')
+               .text('This notice is issued in accordance with the terms of the Lodger Agreement.')
+               .moveDown(2);
+
+            doc.fontSize(10)
+               .fillColor('#000000')
+               .text('Yours sincerely,')
+               .moveDown(3)
+               .font('Helvetica-Bold')
+               .text(notice.landlord_name);
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Generate a standing order instruction sheet for a lodger to set up with their bank
+ * @param {Object} instruction - Instruction details: landlord_name, lodger_name, property_address,
+ *   bank ({ account_name, account_number, sort_code } or null), reference, frequency, regular_amount,
+ *   first_payment_date, final_payment_date, schedule (upcoming payments as { due_date, rent_due })
+ * @param {string} outputPath - Where to save the PDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+async function generateStandingOrderPDF(instruction, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            addHeader(doc);
+            addTitle(doc, 'STANDING ORDER INSTRUCTIONS');
+
+            const row = (label, value) => {
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(`${label}: `, { continued: true })
+                   .font('Helvetica')
+                   .text(value);
+            };
+
+            row('Lodger', instruction.lodger_name);
+            row('Householder', instruction.landlord_name);
+            row('Property', instruction.property_address || 'N/A');
+            doc.moveDown(1.5);
+
+            doc.fontSize(11)
+               .text(
+                   'Please set up a standing order with your bank using the details below. Always quote the ' +
+                   'reference exactly as shown so your payments can be matched to your account.',
+                   { align: 'justify' }
+               )
+               .moveDown(1.5);
+
+            doc.fontSize(12)
+               .font('Helvetica-Bold')
+               .text('Payee')
+               .moveDown(0.5);
+
+            if (instruction.bank) {
+                row('Account Name', instruction.bank.account_name);
+                row('Sort Code', instruction.bank.sort_code);
+                row('Account Number', instruction.bank.account_number);
+            } else {
+                doc.fontSize(10)
+                   .font('Helvetica')
+                   .text('Bank details have not been provided yet. Please ask your householder for them.');
+            }
+            doc.moveDown(1);
+
+            doc.fontSize(12)
+               .font('Helvetica-Bold')
+               .text('Payment')
+               .moveDown(0.5);
+
+            row('Reference', instruction.reference);
+            row('Amount', `£${parseFloat(instruction.regular_amount).toFixed(2)}`);
+            row('Frequency', instruction.frequency);
+            row('First Payment', instruction.first_payment_date ? formatDate(instruction.first_payment_date) : 'Ask your householder');
+            row('Final Payment', instruction.final_payment_date ? `On or before ${formatDate(instruction.final_payment_date)}` : 'Until cancelled');
+            doc.moveDown(1.5);
+
+            if (instruction.schedule && instruction.schedule.length > 0) {
+                doc.fontSize(11)
+                   .font('Helvetica-Bold')
+                   .text('Payment Dates')
+                   .moveDown(0.5);
+
+                instruction.schedule.forEach(payment => {
+                    const amount = parseFloat(payment.rent_due);
+                    doc.fontSize(10)
+                       .font('Helvetica')
+                       .text(
+                           `${formatDate(payment.due_date)}: £${amount.toFixed(2)}` +
+                           (amount !== parseFloat(instruction.regular_amount) ? ' (differs from the standing order amount - please pay the difference separately or amend the order)' : '')
+                       );
+                });
+                doc.moveDown(1.5);
+            }
+
+            doc.fontSize(9)
+               .fillColor('#666666')
+               .text(
+                   'Rent is due in advance on each payment date under clause 2.1 of the Lodger Agreement. Please allow ' +
+                   'for weekends and bank holidays so each payment arrives by its due date, and cancel the standing ' +
+                   'order once your tenancy has ended.',
+                   { align: 'justify' }
+               );
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Generate a job sheet for a contractor carrying out a repair
+ * @param {Object} jobSheet - Work order with contractor, property, lodger and repair details
+ * @param {string} outputPath - Where to save the PDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+async function generateJobSheetPDF(jobSheet, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            addHeader(doc);
+            addTitle(doc, 'JOB SHEET');
+
+            const row = (label, value) => {
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(`${label}: `, { continued: true })
+                   .font('Helvetica')
+                   .text(value);
+            };
+
+            const heading = (text) => {
+                doc.fontSize(12)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(text)
+                   .moveDown(0.5);
+            };
+
+            row('Work Order', jobSheet.work_order_number);
+            row('Issued', formatDate(jobSheet.created_at));
+            row('Issued By', jobSheet.landlord_name);
+            if (jobSheet.landlord_phone) row('Householder Phone', jobSheet.landlord_phone);
+            doc.moveDown(1);
+
+            heading('Contractor');
+            row('Name', jobSheet.contractor_company_name
+                ? `${jobSheet.contractor_name} (${jobSheet.contractor_company_name})`
+                : jobSheet.contractor_name);
+            row('Trade', jobSheet.trade_label);
+            if (jobSheet.gas_safe_number) row('Gas Safe Registration', jobSheet.gas_safe_number);
+            if (jobSheet.niceic_number) row('NICEIC Registration', jobSheet.niceic_number);
+            if (jobSheet.contractor_phone) row('Phone', jobSheet.contractor_phone);
+            doc.moveDown(1);
+
+            heading('Property');
+            row('Address', jobSheet.property_address || 'N/A');
+            row('Occupier', jobSheet.lodger_name);
+            if (jobSheet.lodger_phone) row('Occupier Phone', jobSheet.lodger_phone);
+            row('Access', jobSheet.access_arrangements || 'Contact the householder to arrange access');
+            row('Attendance', jobSheet.attendance_date
+                ? `${formatDate(jobSheet.attendance_date)} at ${new Date(jobSheet.attendance_date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`
+                : 'To be arranged');
+            doc.moveDown(1);
+
+            heading('Work Required');
+            row('Problem', jobSheet.title);
+            row('Category', jobSheet.category_label);
+            row('Priority', jobSheet.priority.charAt(0).toUpperCase() + jobSheet.priority.slice(1));
+            if (jobSheet.location) row('Location', jobSheet.location);
+            row('Reported', formatDate(jobSheet.reported_at));
+            doc.moveDown(0.5);
+            doc.fontSize(10)
+               .font('Helvetica')
+               .text(jobSheet.description, { align: 'justify' })
+               .moveDown(0.5);
+
+            if (jobSheet.instructions) {
+                doc.font('Helvetica-Bold').text('Instructions').font('Helvetica').text(jobSheet.instructions, { align: 'justify' });
+                doc.moveDown(0.5);
+            }
+
+            if (jobSheet.quote_amount !== null && jobSheet.quote_amount !== undefined) {
+                row('Agreed Quote', `£${parseFloat(jobSheet.quote_amount).toFixed(2)}`);
+                doc.fontSize(9)
+                   .fillColor('#666666')
+                   .text('Please contact the householder before doing any work that would exceed the agreed quote.');
+            }
+            doc.moveDown(1.5);
+
+            heading('Completion');
+            ['Work carried out', 'Parts used', 'Date completed', 'Contractor signature', 'Occupier signature'].forEach(label => {
+                doc.fontSize(10)
+                   .font('Helvetica')
+                   .text(`${label}: ______________________________________________________________`)
+                   .moveDown(0.8);
+            });
+
+            doc.moveDown(0.5);
+            doc.fontSize(9)
+               .fillColor('#666666')
+               .text(
+                   `Please quote ${jobSheet.work_order_number} on your invoice. The occupier lives at the property; ` +
+                   'please treat their room and belongings with respect and only enter the areas needed for the work.',
+                   { align: 'justify' }
+               );
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Generate the final settlement statement for a tenancy that has ended
+ * @param {Object} settlement - Settlement figures with parties, property and deductions
+ * @param {string} outputPath - Where to save the PDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+async function generateSettlementStatementPDF(settlement, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            addHeader(doc);
+            addTitle(doc, 'FINAL SETTLEMENT STATEMENT');
+            addSubtitle(doc, 'Deposit and advance rent at the end of the tenancy');
+
+            const money = (amount) => `£${parseFloat(amount || 0).toFixed(2)}`;
+
+            const row = (label, value) => {
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(`${label}: `, { continued: true })
+                   .font('Helvetica')
+                   .text(value);
+            };
+
+            const heading = (text) => {
+                doc.fontSize(12)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(text)
+                   .moveDown(0.5);
+            };
+
+            // A line of the calculation, with the amount right-aligned
+            const line = (label, amount, bold = false) => {
+                const y = doc.y;
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+                   .text(label, 50, y, { width: 380 });
+                const labelEnd = doc.y;
+                doc.text(amount, 430, y, { width: 115, align: 'right' });
+                doc.x = 50;
+                doc.y = Math.max(labelEnd, doc.y);
+            };
+
+            heading('Parties');
+            row('Householder', settlement.landlord_name);
+            if (settlement.landlord_address) row('Householder Address', settlement.landlord_address);
+            row('Lodger', settlement.lodger_name);
+            row('Forwarding Address', settlement.forwarding_address || 'Not provided');
+            doc.moveDown(1);
+
+            heading('Tenancy');
+            row('Property', settlement.property_address || 'N/A');
+            row('Start Date', formatDate(settlement.start_date));
+            row('Vacated', formatDate(settlement.move_out_date));
+            doc.moveDown(1);
+
+            heading('Settlement');
+            line('Deposit held', money(settlement.deposit_held));
+            settlement.deductions.forEach(deduction => {
+                line(`Less deduction (${formatDate(deduction.created_at)}): ${deduction.description}`, `-${money(deduction.amount)}`);
+            });
+            if (parseFloat(settlement.arrears) > 0) {
+                line('Less rent and charges unpaid', `-${money(settlement.arrears)}`);
+            }
+            if (parseFloat(settlement.rent_credit) > 0) {
+                line('Plus rent paid in credit, including advance rent not used', money(settlement.rent_credit));
+            }
+            if (parseFloat(settlement.advance_held) > 0) {
+                doc.fontSize(9)
+                   .fillColor('#666666')
+                   .text(`Advance rent of ${money(settlement.advance_held)} was paid with the first payment and is included in the rent account above.`, 50, doc.y + 2, { width: 495 })
+                   .fillColor('#000000');
+                doc.moveDown(0.5);
+            }
+            doc.moveTo(50, doc.y + 4).lineTo(545, doc.y + 4).strokeColor('#999999').stroke();
+            doc.moveDown(0.5);
+            if (parseFloat(settlement.amount_owed) > 0) {
+                line('Balance owed by the Lodger', money(settlement.amount_owed), true);
+            } else {
+                line('Refund due to the Lodger', money(settlement.refund_amount), true);
+            }
+            doc.moveDown(1.5);
+
+            if (settlement.status === 'refunded') {
+                heading('Refund Paid');
+                row('Amount', money(settlement.refund_paid_amount));
+                row('Paid On', formatDate(settlement.refund_paid_on));
+                if (settlement.refund_method_label) row('Method', settlement.refund_method_label);
+                if (settlement.refund_reference) row('Reference', settlement.refund_reference);
+            } else if (parseFloat(settlement.refund_amount) > 0) {
+                heading('Repayment');
+                row('To Be Repaid By', formatDate(settlement.refund_due_by));
+                doc.fontSize(9)
+                   .fillColor('#666666')
+                   .text(
+                       'Clause 6.4: the Deposit shall be repaid to the Lodger, at the forwarding address provided to the Householder, ' +
+                       'as soon as reasonably practicable, and not kept for more than one month except in exceptional circumstances.',
+                       { align: 'justify' }
+                   );
+                if (settlement.exceptional_circumstances) {
+                    doc.moveDown(0.5);
+                    row('Reason for Delay', settlement.exceptional_circumstances);
+                }
+            }
+
+            doc.moveDown(2);
+            doc.fontSize(9)
+               .fillColor('#666666')
+               .text(
+                   'Each deduction is set out in its own deduction statement. If you have any queries about this settlement, ' +
+                   'please contact your householder.',
+                   { align: 'center' }
+               );
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Generate the record of a lodger's Right to Rent checks, kept as evidence that each
+ * check was made and when (clause 1.7)
+ * @param {Object} record - { landlord_name, lodger_name, property_address, tenancy_id,
+ *                            checks: [{ check_type_label, check_date, document_type_label, document_expiry_date,
+ *                                       share_code, permission_label, permission_expiry_date, outcome,
+ *                                       follow_up_due_date, checked_by_name, notes, evidence_file, created_at }] }
+ * @param {string} outputPath - Where to save the PDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+async function generateRightToRentRecordPDF(record, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            addHeader(doc);
+            addTitle(doc, 'RIGHT TO RENT CHECK RECORD');
+            addSubtitle(doc, 'Checks of the Lodger\'s right to rent in the UK');
+
+            const row = (label, value) => {
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(`${label}: `, { continued: true })
+                   .font('Helvetica')
+                   .text(value || 'N/A');
+            };
+
+            const heading = (text) => {
+                doc.fontSize(12)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(text)
+                   .moveDown(0.5);
+            };
+
+            heading('Parties');
+            row('Householder', record.landlord_name);
+            row('Lodger', record.lodger_name);
+            row('Property', record.property_address);
+            row('Tenancy Reference', record.tenancy_id);
+            doc.moveDown(1);
+
+            record.checks.forEach((check, index) => {
+                if (index > 0) doc.addPage();
+                heading(record.checks.length > 1 ? `Check ${record.checks.length - index}` : 'Check');
+                row('Type of Check', check.check_type_label);
+                row('Date of Check', formatDate(check.check_date));
+                row('Checked By', check.checked_by_name);
+                if (check.share_code) row('Share Code', check.share_code);
+                if (check.document_type_label) row('Document', check.document_type_label);
+                if (check.document_expiry_date) row('Document Expires', formatDate(check.document_expiry_date));
+                row('Permission', check.permission_label);
+                if (check.permission_expiry_date) row('Permission Ends', formatDate(check.permission_expiry_date));
+                row('Outcome', check.outcome === 'passed' ? 'Right to rent confirmed' : 'Right to rent not confirmed');
+                if (check.follow_up_due_date) row('Follow-up Check Due By', formatDate(check.follow_up_due_date));
+                if (check.notes) row('Notes', check.notes);
+                row('Recorded', new Date(check.created_at).toLocaleString('en-GB'));
+
+                if (check.evidence_file) {
+                    doc.moveDown(0.5);
+                    doc.fontSize(10).font('Helvetica-Bold').text('Copy of the evidence seen:');
+                    doc.image(check.evidence_file, { fit: [495, 400] });
+                } else if (check.has_evidence) {
+                    doc.moveDown(0.5);
+                    doc.fontSize(9)
+                       .font('Helvetica')
+                       .fillColor('#666666')
+                       .text('A copy of the evidence seen is held with this record as a separate file.');
+                }
+                doc.moveDown(1);
+            });
+
+            doc.moveDown(1);
+            doc.fontSize(9)
+               .fillColor('#666666')
+               .text(
+                   'Clause 1.7: it is a condition of this agreement that the Lodger maintain a "Right to Rent" as defined by the ' +
+                   'Immigration Act 2014 at all times during the Term. ' +
+                   'This record should be kept for the length of the agreement and for at least one year after it ends.',
+                   { align: 'center' }
+               );
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Generate the deed of surrender both parties signed to end the agreement early
+ * @param {Object} deed - Accepted surrender notice with parties, property and terms
+ * @param {string} outputPath - Where to write the PDF
+ */
+async function generateSurrenderDeedPDF(deed, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            addHeader(doc);
+            addTitle(doc, 'DEED OF SURRENDER');
+            addSubtitle(doc, 'Agreement to end the Lodger Agreement early by mutual consent');
+
+            const money = (amount) => `£${parseFloat(amount || 0).toFixed(2)}`;
+            const terms = deed.surrender_terms || {};
+
+            const row = (label, value) => {
+                doc.fontSize(10)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(`${label}: `, { continued: true })
+                   .font('Helvetica')
+                   .text(value);
+            };
+
+            const heading = (text) => {
+                doc.fontSize(12)
+                   .fillColor('#000000')
+                   .font('Helvetica-Bold')
+                   .text(text)
+                   .moveDown(0.5);
+            };
+
+            heading('Parties');
+            row('Householder', deed.landlord_name);
+            row('Lodger', deed.lodger_name);
+            doc.moveDown(1);
+
+            heading('Agreement Surrendered');
+            row('Property', deed.property_address || 'N/A');
+            row('Agreement Start Date', formatDate(deed.start_date));
+            if (deed.end_date) row('Original End Date', formatDate(deed.end_date));
+            doc.moveDown(1);
+
+            heading('Terms');
+            doc.fontSize(10)
+               .font('Helvetica')
+               .text(
+                   `1. The Householder and the Lodger agree that the Lodger Agreement ends on ${formatDate(deed.effective_date)} ` +
+                   '(the Surrender Date), and that neither party will have any further liability under it after that date except ' +
+                   'as set out below or for any breach before the Surrender Date.',
+                   { align: 'justify' }
+               )
+               .moveDown(0.5);
+            doc.text(
+                   terms.keys_return_date
+                       ? `2. The Lodger will leave the Room and return all keys to the Householder by ${formatDate(terms.keys_return_date)}.`
+                       : '2. The Lodger will leave the Room and return all keys to the Householder by the Surrender Date.',
+                   { align: 'justify' }
+               )
+               .moveDown(0.5);
+            doc.text(
+                   parseFloat(terms.waived_rent) > 0
+                       ? `3. The Householder waives ${money(terms.waived_rent)} of the rent that would otherwise be payable up to the Surrender Date.` +
+                         (terms.waived_rent_applied !== undefined && terms.waived_rent_applied < parseFloat(terms.waived_rent)
+                             ? ` Only ${money(terms.waived_rent_applied)} of rent was outstanding when this deed was signed, so that is the amount taken off the Lodger's account.`
+                             : '')
+                       : '3. Rent is payable up to and including the Surrender Date. No rent is waived.',
+                   { align: 'justify' }
+               )
+               .moveDown(0.5);
+            doc.text(`4. Deposit: ${deed.deposit_handling_label}.`, { align: 'justify' })
+               .moveDown(0.5);
+            if (terms.other_terms) {
+                doc.text(`5. ${terms.other_terms}`, { align: 'justify' })
+                   .moveDown(0.5);
+            }
+            doc.moveDown(1);
+
+            if (deed.final_payment) {
+                heading('Final Payment');
+                row('Due', formatDate(deed.final_payment.dueDate));
+                row(deed.final_payment.finalAmount < 0 ? 'Refund Due to the Lodger' : 'Amount', money(Math.abs(deed.final_payment.finalAmount)));
+                doc.moveDown(1);
+            }
+
+            heading('Signed by the Parties');
+            [
+                ['HOUSEHOLDER', deed.landlord_name, deed.landlord_signature, deed.landlord_signed_at],
+                ['LODGER', deed.lodger_name, deed.lodger_signature, deed.lodger_signed_at]
+            ].forEach(([role, name, signature, signedAt]) => {
+                doc.fontSize(10)
+                   .font('Helvetica-Bold')
+                   .fillColor('#000000')
+                   .text(role)
+                   .font('Helvetica-Oblique')
+                   .fontSize(12)
+                   .text(signature || '')
+                   .font('Helvetica')
+                   .fontSize(9)
+                   .text(`${name}, signed electronically on ${signedAt ? new Date(signedAt).toLocaleString('en-GB') : 'N/A'}`)
+                   .moveDown(1);
+            });
+
+            doc.moveDown(1);
+            doc.fontSize(8)
+               .fillColor('#666666')
+               .text(
+                   'Each party signed this deed by typing their name through the Lodger Management System. ' +
+                   'Both parties should keep a copy for their records.',
+                   { align: 'center' }
+               );
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Generate a deed of variation on its own, for the parties to keep alongside the agreement
+ * @param {Object} variation - As for addVariation
+ * @param {string} outputPath - Where to save the PDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+async function generateVariationDeedPDF(variation, outputPath) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            const stream = fs.createWriteStream(outputPath);
+            doc.pipe(stream);
+
+            addHeader(doc);
+            addVariation(doc, variation);
+
+            doc.end();
+
+            stream.on('finish', () => resolve(outputPath));
+            stream.on('error', reject);
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Write a deed of variation: what changes in the agreement, from when, and both signatures
+ * @param {PDFDocument} doc - Document being written, positioned where the deed starts
+ * @param {Object} variation - { variation_number, effective_date, reason, changes: [{ label, from_text, to_text }],
+ *                               signatures: [{ role, name, image_file, signed_at }], landlord_name, lodger_name,
+ *                               property_address, start_date }
+ */
+function addVariation(doc, variation) {
+    addTitle(doc, `DEED OF VARIATION No. ${variation.variation_number}`);
+    addSubtitle(doc, 'Variation of the Lodger Agreement by agreement of both parties');
+
+    const row = (label, value) => {
+        doc.fontSize(10)
+           .fillColor('#000000')
+           .font('Helvetica-Bold')
+           .text(`${label}: `, { continued: true })
+           .font('Helvetica')
+           .text(value || 'N/A');
+    };
+
+    const heading = (text) => {
+        doc.fontSize(12)
+           .fillColor('#000000')
+           .font('Helvetica-Bold')
+           .text(text)
+           .moveDown(0.5);
+    };
+
+    heading('Parties');
+    row('Householder', variation.landlord_name);
+    row('Lodger', variation.lodger_name);
+    row('Property', variation.property_address);
+    row('Agreement Start Date', formatDate(variation.start_date));
+    doc.moveDown(1);
+
+    heading('Terms');
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(
+           `1. The Householder and the Lodger agree that from ${formatDate(variation.effective_date)} (the Variation Date) ` +
+           'the Lodger Agreement is varied as set out below.',
+           { align: 'justify' }
+       )
+       .moveDown(0.5)
+       .text('2. Every other term of the Lodger Agreement continues to apply unchanged.', { align: 'justify' })
+       .moveDown(0.5);
+    if (variation.reason) {
+        doc.text(`3. Reason for the variation: ${variation.reason}`, { align: 'justify' })
+           .moveDown(0.5);
+    }
+    doc.moveDown(0.5);
+
+    heading('Variations');
+    variation.changes.forEach((change, index) => {
+        doc.fontSize(10)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(`${index + 1}. ${change.label}`);
+        doc.fontSize(9)
+           .font('Helvetica-Bold')
+           .text('Previously: ', { continued: true })
+           .font('Helvetica')
+           .text(change.from_text)
+           .font('Helvetica-Bold')
+           .text('From the Variation Date: ', { continued: true })
+           .font('Helvetica')
+           .text(change.to_text)
+           .moveDown(0.6);
+    });
+    doc.moveDown(0.5);
+
+    heading('Signed by the Parties');
+    variation.signatures.forEach(signature => {
+        doc.fontSize(10)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(signature.role === 'lodger' ? 'LODGER' : 'HOUSEHOLDER');
+        if (signature.image_file) {
+            doc.image(signature.image_file, { fit: [180, 60] });
+        }
+        doc.font('Helvetica')
+           .fontSize(9)
+           .text(`${signature.name}, signed electronically on ${new Date(signature.signed_at).toLocaleString('en-GB')}`)
+           .moveDown(1);
+    });
+}
+
+/**
+ * Append the signing certificate to an agreement: the hash of the document that was
+ * signed and every event in its signing audit trail
+ * @param {PDFDocument} doc - Document being written, before doc.end()
+ * @param {Object} certificate - { tenancy_id, property_address, document_hash, events, issued_at }
+ */
+function addSigningCertificate(doc, certificate) {
+    doc.addPage();
+    addTitle(doc, 'SIGNING CERTIFICATE');
+    addSubtitle(doc, 'Electronic signature audit trail');
+
+    const row = (label, value) => {
+        doc.fontSize(9)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(`${label}: `, { continued: true })
+           .font('Helvetica')
+           .text(value || 'N/A');
+    };
+
+    row('Document', 'Lodger Agreement');
+    row('Tenancy Reference', certificate.tenancy_id);
+    row('Property', certificate.property_address);
+    row('Certificate Issued', new Date(certificate.issued_at).toLocaleString('en-GB'));
+    doc.moveDown(0.5);
+
+    doc.fontSize(9)
+       .font('Helvetica-Bold')
+       .text('SHA-256 of the agreement as signed:')
+       .font('Courier')
+       .fontSize(8)
+       .text(certificate.document_hash)
+       .moveDown(1);
+
+    doc.fontSize(11)
+       .font('Helvetica-Bold')
+       .text('Events')
+       .moveDown(0.5);
+
+    certificate.events.forEach((event, index) => {
+        doc.fontSize(9)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(`${index + 1}. ${event.label} - ${new Date(event.created_at).toLocaleString('en-GB')}`);
+        doc.font('Helvetica').fontSize(8);
+        if (event.user_name) {
+            doc.text(`By: ${event.user_name}${event.signer_role ? ` (${event.signer_role === 'landlord' ? 'Householder' : 'Lodger'})` : ''}`);
+        }
+        if (event.signature_method) {
+            doc.text(`Method: ${event.signature_method === 'drawn' ? 'Drawn signature' : 'Typed signature'}, signed as "${event.signed_name}"`);
+        }
+        if (event.ip_address) {
+            doc.text(`IP Address: ${event.ip_address}`);
+        }
+        if (event.user_agent) {
+            doc.text(`Device: ${event.user_agent}`);
+        }
+        doc.font('Courier').text(`Document SHA-256: ${event.document_hash}`);
+        doc.font('Helvetica').moveDown(0.6);
+    });
+
+    doc.moveDown(1);
+    doc.fontSize(8)
+       .fillColor('#666666')
+       .text(
+           'Each signature above was given against the agreement with the SHA-256 hash shown. A copy of this ' +
+           'signed agreement can be checked from the tenancy in the Lodger Management System: uploading it ' +
+           'confirms whether it is identical to the copy issued with this certificate.',
+           { align: 'center' }
+       );
+}
+
 module.exports = {
     generateAgreementPDF,
-    generateTerminationNoticePDF
+    generateTerminationNoticePDF,
+    generatePaymentReceiptPDF,
+    generateRentIncreaseNoticePDF,
+    generateStandingOrderPDF,
+    generateJobSheetPDF,
+    generateSettlementStatementPDF,
+    generateSurrenderDeedPDF,
+    generateVariationDeedPDF,
+    generateRightToRentRecordPDF
 };
\ No newline at end of file
@@ -0,0 +1,191 @@
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const { pool } = require('../config/database');
+const { generatePaymentReceiptPDF } = require('./pdfService');
+const { buildLedger } = require('./ledgerService');
+
+const RECEIPT_DIR = path.join(__dirname, '../../uploads/payment-receipts');
+
+/**
+ * Gather everything printed on a receipt for a transaction
+ * @param {Object} db - pg pool or client
+ * @param {Object} receipt - payment_receipts row
+ * @returns {Object} Receipt details for pdfService.generatePaymentReceiptPDF
+ */
+async function getReceiptDetails(db, receipt) {
+  const result = await db.query(
+    `SELECT pt.amount, pt.transaction_date, pt.payment_method, pt.reference,
+            ps.payment_number, ps.due_date,
+            t.id as tenancy_id, t.end_date, t.termination_date,
+            t.property_house_number, t.property_street_name, t.property_city,
+            t.property_county, t.property_postcode,
+            landlord.full_name as landlord_name, lodger.full_name as lodger_name,
+            ch.handed_over_date, ch.lodger_acknowledged_at, ch.landlord_acknowledged_at
+     FROM payment_transactions pt
+     JOIN tenancies t ON pt.tenancy_id = t.id
+     JOIN users landlord ON t.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     LEFT JOIN payment_schedule ps ON pt.payment_schedule_id = ps.id
+     LEFT JOIN cash_handovers ch ON ch.transaction_id = pt.id
+     WHERE pt.id = $1`,
+    [receipt.transaction_id]
+  );
+  const row = result.rows[0];
+
+  // The period covered runs up to the day before the next payment falls due
+  let periodEnd = null;
+  if (row.due_date) {
+    const next = await db.query(
+      `SELECT MIN(due_date) as next_due FROM payment_schedule
+       WHERE tenancy_id = $1 AND due_date > $2`,
+      [row.tenancy_id, row.due_date]
+    );
+    periodEnd = next.rows[0].next_due
+      ? moment(next.rows[0].next_due).subtract(1, 'day').toDate()
+      : (row.termination_date || row.end_date);
+  }
+
+  const ledger = await buildLedger(db, row.tenancy_id);
+  const entry = ledger.entries.find(item => item.transaction_id === receipt.transaction_id);
+
+  return {
+    receipt_number: receipt.receipt_number,
+    issued_at: receipt.created_at,
+    landlord_name: row.landlord_name,
+    lodger_name: row.lodger_name,
+    property_address: [row.property_house_number, row.property_street_name, row.property_city, row.property_county, row.property_postcode]
+      .filter(part => part)
+      .join(', '),
+    payment_number: row.payment_number,
+    period_start: row.due_date,
+    period_end: periodEnd,
+    amount: row.amount,
+    payment_date: row.transaction_date,
+    payment_method: row.payment_method,
+    reference: row.reference,
+    balance: entry ? entry.balance : ledger.totals.balance,
+    cash_handover: row.lodger_acknowledged_at && row.landlord_acknowledged_at
+      ? {
+        handed_over_date: row.handed_over_date,
+        lodger_acknowledged_at: row.lodger_acknowledged_at,
+        landlord_acknowledged_at: row.landlord_acknowledged_at
+      }
+      : null
+  };
+}
+
+/**
+ * Write the PDF for a receipt and store its path
+ * @returns {string} Public path of the PDF
+ */
+async function writeReceiptFile(db, receipt) {
+  await fs.mkdir(RECEIPT_DIR, { recursive: true });
+
+  const fileName = `receipt-${receipt.receipt_number}-${receipt.id}.pdf`;
+  const details = await getReceiptDetails(db, receipt);
+  await generatePaymentReceiptPDF(details, path.join(RECEIPT_DIR, fileName));
+
+  const filePath = `/uploads/payment-receipts/${fileName}`;
+  await db.query('UPDATE payment_receipts SET file_path = $1 WHERE id = $2', [filePath, receipt.id]);
+
+  return filePath;
+}
+
+/**
+ * Issue the numbered receipt for a recorded payment. Receipts are numbered
+ * per landlord; a transaction only ever gets one receipt.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} transaction - payment_transactions row
+ * @param {Object} options - { notify } to send the lodger a payment_received notification with the receipt
+ * @returns {Object} payment_receipts row
+ */
+async function issueReceipt(client, transaction, options = {}) {
+  const existing = await client.query(
+    'SELECT * FROM payment_receipts WHERE transaction_id = $1',
+    [transaction.id]
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  const tenancyResult = await client.query(
+    'SELECT landlord_id, lodger_id FROM tenancies WHERE id = $1',
+    [transaction.tenancy_id]
+  );
+  const tenancy = tenancyResult.rows[0];
+
+  // Serialise numbering per landlord so concurrent confirmations can't take the same number
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payment_receipts:${tenancy.landlord_id}`]);
+
+  const sequenceResult = await client.query(
+    'SELECT COALESCE(MAX(sequence_number), 0) + 1 as next FROM payment_receipts WHERE landlord_id = $1',
+    [tenancy.landlord_id]
+  );
+  const sequence = parseInt(sequenceResult.rows[0].next);
+
+  const inserted = await client.query(
+    `INSERT INTO payment_receipts (
+       landlord_id, tenancy_id, payment_schedule_id, transaction_id,
+       sequence_number, receipt_number, amount
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      tenancy.landlord_id,
+      transaction.tenancy_id,
+      transaction.payment_schedule_id,
+      transaction.id,
+      sequence,
+      `R-${String(sequence).padStart(6, '0')}`,
+      transaction.amount
+    ]
+  );
+  const receipt = inserted.rows[0];
+  receipt.file_path = await writeReceiptFile(client, receipt);
+
+  if (options.notify) {
+    await client.query(
+      `INSERT INTO notifications (user_id, tenancy_id, payment_id, type, title, message, attachment_path)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        tenancy.lodger_id,
+        transaction.tenancy_id,
+        transaction.payment_schedule_id,
+        'payment_received',
+        'Payment Received',
+        `Your payment of £${parseFloat(transaction.amount).toFixed(2)} received on ` +
+        `${moment(transaction.transaction_date).format('DD/MM/YYYY')} has been confirmed. Receipt ${receipt.receipt_number} is attached.`,
+        receipt.file_path
+      ]
+    );
+  }
+
+  return receipt;
+}
+
+/**
+ * Get the receipt PDF for a transaction, issuing it (without notification) if the payment
+ * was recorded before receipts existed, and regenerating the file if it has gone missing
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} transaction - payment_transactions row
+ * @returns {Object} payment_receipts row with file_path
+ */
+async function getOrCreateReceiptFile(client, transaction) {
+  const receipt = await issueReceipt(client, transaction);
+
+  const exists = receipt.file_path && await fs.access(path.join(__dirname, '../..', receipt.file_path))
+    .then(() => true)
+    .catch(() => false);
+
+  if (!exists) {
+    receipt.file_path = await writeReceiptFile(client, receipt);
+  }
+
+  return receipt;
+}
+
+module.exports = {
+  issueReceipt,
+  getOrCreateReceiptFile,
+  getReceiptDetails
+};
@@ -0,0 +1,188 @@
+const { confirmPayment } = require('./ledgerService');
+const { issueReceipt } = require('./receiptService');
+const { DEFAULT_DATE_WINDOW_DAYS, scoreMatch, proposeMatches } = require('../utils/paymentMatcher');
+
+/**
+ * Get a landlord's unpaid schedule rows that bank receipts could be matched to
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Array} Candidate rows
+ */
+async function getOpenPayments(db, landlordId) {
+  const result = await db.query(
+    `SELECT ps.id, ps.tenancy_id, ps.payment_number, ps.due_date, ps.rent_due, ps.rent_paid,
+            ps.rent_due - ps.rent_paid as outstanding, ps.payment_status,
+            ps.lodger_submitted_amount, ps.lodger_submitted_date, ps.lodger_payment_reference,
+            u.full_name as lodger_name, u.payment_reference as lodger_reference
+     FROM payment_schedule ps
+     JOIN tenancies t ON ps.tenancy_id = t.id
+     JOIN users u ON t.lodger_id = u.id
+     WHERE t.landlord_id = $1
+     AND t.status IN ('active', 'notice_given', 'extended')
+     AND ps.rent_due > 0
+     AND ps.payment_status IN ('pending', 'partial', 'overdue', 'submitted')
+     AND ps.due_date <= CURRENT_DATE + 31
+     ORDER BY ps.due_date ASC`,
+    [landlordId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Store incoming bank transactions as an import awaiting review, with proposed matches.
+ * Debits are dropped; credits already reconciled in an earlier import are flagged as duplicates.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} options - { landlordId, source, filename, preset, mapping, dateWindowDays, transactions }
+ * @returns {Object} Created import row with counts
+ */
+async function createImport(client, options) {
+  const dateWindowDays = options.dateWindowDays || DEFAULT_DATE_WINDOW_DAYS;
+  const credits = options.transactions.filter(transaction => transaction.amount > 0);
+
+  const importResult = await client.query(
+    `INSERT INTO bank_imports (
+       landlord_id, source, filename, preset, column_mapping, date_window_days, total_rows
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      options.landlordId,
+      options.source || 'csv',
+      options.filename || null,
+      options.preset || null,
+      options.mapping ? JSON.stringify(options.mapping) : null,
+      dateWindowDays,
+      credits.length
+    ]
+  );
+  const bankImport = importResult.rows[0];
+
+  const candidates = await getOpenPayments(client, options.landlordId);
+  const proposals = proposeMatches(credits, candidates, dateWindowDays);
+
+  let proposed = 0;
+  let duplicates = 0;
+
+  for (let i = 0; i < credits.length; i++) {
+    const transaction = credits[i];
+
+    const existing = await client.query(
+      `SELECT r.id FROM bank_import_rows r
+       JOIN bank_imports i ON r.import_id = i.id
+       WHERE i.landlord_id = $1
+       AND r.status = 'confirmed'
+       AND r.transaction_date = $2 AND r.amount = $3 AND r.description = $4`,
+      [options.landlordId, transaction.date, transaction.amount, transaction.description || '']
+    );
+
+    const proposal = existing.rows.length > 0 ? null : proposals[i];
+    const status = existing.rows.length > 0 ? 'duplicate' : (proposal ? 'proposed' : 'unmatched');
+
+    if (status === 'proposed') proposed++;
+    if (status === 'duplicate') duplicates++;
+
+    await client.query(
+      `INSERT INTO bank_import_rows (
+         import_id, row_number, transaction_date, amount, description, reference,
+         raw_data, matched_payment_id, match_score, match_reasons, status
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        bankImport.id,
+        transaction.rowNumber || i + 1,
+        transaction.date,
+        transaction.amount,
+        transaction.description || '',
+        transaction.reference || null,
+        transaction.raw ? JSON.stringify(transaction.raw) : null,
+        proposal ? proposal.paymentId : null,
+        proposal ? proposal.score : null,
+        JSON.stringify(proposal ? proposal.reasons : []),
+        status
+      ]
+    );
+  }
+
+  return {
+    ...bankImport,
+    proposed_rows: proposed,
+    duplicate_rows: duplicates,
+    skipped_debits: options.transactions.length - credits.length
+  };
+}
+
+/**
+ * Confirm proposed matches on an import, running the same confirmation and
+ * receipt as a manual POST /payments/:id/confirm for each one
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} bankImport - Import row (already checked to belong to the landlord)
+ * @param {Array<string>} rowIds - Rows to confirm (default all proposed rows)
+ * @param {string} userId - User confirming
+ * @returns {Array} Confirmed rows with their transaction IDs
+ */
+async function confirmImportRows(client, bankImport, rowIds, userId) {
+  const rowsResult = await client.query(
+    `SELECT * FROM bank_import_rows
+     WHERE import_id = $1
+     AND status = 'proposed'
+     AND matched_payment_id IS NOT NULL
+     AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))
+     ORDER BY transaction_date ASC, row_number ASC`,
+    [bankImport.id, Array.isArray(rowIds) && rowIds.length > 0 ? rowIds : null]
+  );
+
+  const confirmed = [];
+
+  for (const row of rowsResult.rows) {
+    const paymentResult = await client.query(
+      `SELECT ps.* FROM payment_schedule ps
+       JOIN tenancies t ON ps.tenancy_id = t.id
+       WHERE ps.id = $1 AND t.landlord_id = $2`,
+      [row.matched_payment_id, bankImport.landlord_id]
+    );
+
+    if (paymentResult.rows.length === 0) continue;
+
+    const result = await confirmPayment(client, paymentResult.rows[0], {
+      amount: parseFloat(row.amount),
+      paymentDate: row.transaction_date,
+      paymentMethod: 'bank_transfer',
+      reference: (row.reference || row.description || '').slice(0, 100),
+      notes: `Reconciled from bank ${bankImport.source === 'feed' ? 'feed' : 'statement import'}`,
+      createdBy: userId
+    });
+
+    await issueReceipt(client, result.transaction, { notify: true });
+
+    await client.query(
+      `UPDATE bank_import_rows
+       SET status = 'confirmed', transaction_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [result.transaction.id, row.id]
+    );
+
+    confirmed.push({ row_id: row.id, payment_id: row.matched_payment_id, transaction_id: result.transaction.id });
+  }
+
+  await client.query(
+    `UPDATE bank_imports
+     SET matched_rows = (SELECT COUNT(*) FROM bank_import_rows WHERE import_id = $1 AND status = 'confirmed'),
+         status = CASE
+           WHEN EXISTS (SELECT 1 FROM bank_import_rows WHERE import_id = $1 AND status IN ('proposed', 'unmatched'))
+           THEN 'review' ELSE 'completed'
+         END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [bankImport.id]
+  );
+
+  return confirmed;
+}
+
+module.exports = {
+  DEFAULT_DATE_WINDOW_DAYS,
+  scoreMatch,
+  getOpenPayments,
+  proposeMatches,
+  createImport,
+  confirmImportRows
+};
@@ -0,0 +1,202 @@
+const path = require('path');
+const fs = require('fs').promises;
+const paymentCalculator = require('../utils/paymentCalculator');
+const { mapPaymentFrequencyToDays } = require('../utils/paymentHelpers');
+const { generateRentIncreaseNoticePDF } = require('./pdfService');
+
+const NOTICE_DIR = path.join(__dirname, '../../uploads/rent-reviews');
+
+/**
+ * Get the rent changes that stand on a tenancy (scheduled or applied), oldest first
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Array} rent_reviews rows
+ */
+async function getRentChanges(db, tenancyId) {
+  const result = await db.query(
+    `SELECT * FROM rent_reviews
+     WHERE tenancy_id = $1 AND status != 'cancelled'
+     ORDER BY effective_date ASC, created_at ASC`,
+    [tenancyId]
+  );
+  return result.rows;
+}
+
+/**
+ * Monthly rent before the first change that stands on a tenancy
+ * @param {Object} tenancy - tenancies row
+ * @param {Array} rentChanges - From getRentChanges
+ * @returns {number} Monthly rent
+ */
+function getInitialRent(tenancy, rentChanges) {
+  return rentChanges.length > 0 ? rentChanges[0].previous_rent : tenancy.monthly_rent;
+}
+
+/**
+ * Monthly rent in force on a date, taking scheduled and applied changes into account
+ * @param {Object} tenancy - tenancies row
+ * @param {Array} rentChanges - From getRentChanges
+ * @param {Date|string} date - Date to look up
+ * @returns {number} Monthly rent
+ */
+function getRentOn(tenancy, rentChanges, date) {
+  return paymentCalculator.getRentOn(date, getInitialRent(tenancy, rentChanges), rentChanges);
+}
+
+/**
+ * Monthly rent a rent increase taking effect on a date is measured from under clause 9.3
+ * @param {Object} tenancy - tenancies row
+ * @param {Array} rentChanges - From getRentChanges
+ * @param {Date|string} effectiveDate - Date the increase takes effect
+ * @returns {number} Monthly rent
+ */
+function getIncreaseBaseRent(tenancy, rentChanges, effectiveDate) {
+  return paymentCalculator.getIncreaseBaseRent(effectiveDate, getInitialRent(tenancy, rentChanges), rentChanges);
+}
+
+/**
+ * Reprice unpaid schedule rows whose period ends on or after a date so each day is charged at
+ * the rent in force on that day (see paymentCalculator.repriceScheduleRows for the rows left alone).
+ * Callers should re-run ledgerService.allocatePayments when rows change.
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @param {Date|string} fromDate - Earliest date affected (default: the earliest scheduled change)
+ * @returns {number} Number of rows repriced
+ */
+async function repriceSchedule(db, tenancyId, fromDate = null) {
+  const tenancyResult = await db.query('SELECT * FROM tenancies WHERE id = $1', [tenancyId]);
+  const tenancy = tenancyResult.rows[0];
+  if (!tenancy) return 0;
+
+  const rentChanges = await getRentChanges(db, tenancyId);
+
+  if (!fromDate) {
+    const scheduled = rentChanges.find(change => change.status === 'scheduled');
+    if (!scheduled) return 0;
+    fromDate = scheduled.effective_date;
+  }
+
+  const rows = await db.query(
+    `SELECT id, payment_number, due_date, rent_due, rent_paid, payment_status
+     FROM payment_schedule
+     WHERE tenancy_id = $1
+     ORDER BY due_date ASC, payment_number ASC`,
+    [tenancyId]
+  );
+
+  // Once notice is given the last payment is the final settlement worked out by
+  // scheduleService.truncateSchedule, so it isn't repriced as an ordinary period
+  const ending = ['notice_given', 'terminated'].includes(tenancy.status);
+  const settlementRowId = ending && rows.rows.length > 0 ? rows.rows[rows.rows.length - 1].id : null;
+
+  const repriced = paymentCalculator.repriceScheduleRows(rows.rows, fromDate, getInitialRent(tenancy, rentChanges), rentChanges, {
+    cycleDays: mapPaymentFrequencyToDays(tenancy.payment_frequency || '4-weekly'),
+    paymentType: tenancy.payment_type || 'cycle',
+    paymentDayOfMonth: tenancy.payment_day_of_month || 1,
+    settlementRowId
+  });
+
+  for (const row of repriced) {
+    await db.query(
+      'UPDATE payment_schedule SET rent_due = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [row.rent_due, row.id]
+    );
+  }
+
+  return repriced.length;
+}
+
+/**
+ * Write the rent change notice for a review and store its path
+ * @param {Object} db - pg pool or client
+ * @param {Object} review - rent_reviews row
+ * @returns {string} Public path of the PDF
+ */
+async function writeNoticeLetter(db, review) {
+  const result = await db.query(
+    `SELECT t.property_house_number, t.property_street_name, t.property_city,
+            t.property_county, t.property_postcode,
+            landlord.full_name as landlord_name, lodger.full_name as lodger_name
+     FROM tenancies t
+     JOIN users landlord ON t.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     WHERE t.id = $1`,
+    [review.tenancy_id]
+  );
+  const row = result.rows[0];
+
+  // Show the lodger the first few payments the change affects
+  const schedule = await db.query(
+    `SELECT due_date, rent_due FROM payment_schedule
+     WHERE tenancy_id = $1 AND due_date >= (
+       SELECT COALESCE(MAX(due_date), $2) FROM payment_schedule WHERE tenancy_id = $1 AND due_date <= $2
+     )
+     ORDER BY due_date ASC
+     LIMIT 3`,
+    [review.tenancy_id, review.effective_date]
+  );
+
+  await fs.mkdir(NOTICE_DIR, { recursive: true });
+  const fileName = `rent-review-${review.id}.pdf`;
+
+  await generateRentIncreaseNoticePDF({
+    landlord_name: row.landlord_name,
+    lodger_name: row.lodger_name,
+    property_address: [row.property_house_number, row.property_street_name, row.property_city, row.property_county, row.property_postcode]
+      .filter(part => part)
+      .join(', '),
+    notice_date: review.notice_date,
+    effective_date: review.effective_date,
+    previous_rent: review.previous_rent,
+    new_rent: review.new_rent,
+    increase_percent: paymentCalculator.checkRentIncrease(review.previous_rent, review.new_rent).increasePercent,
+    reason: review.reason,
+    schedule: schedule.rows
+  }, path.join(NOTICE_DIR, fileName));
+
+  const filePath = `/uploads/rent-reviews/${fileName}`;
+  await db.query(
+    'UPDATE rent_reviews SET notice_letter_path = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [filePath, review.id]
+  );
+
+  return filePath;
+}
+
+/**
+ * Make scheduled rent changes that have reached their effective date the tenancy's rent.
+ * The schedule already carries the new rent, so only the tenancy record changes.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Number of changes applied
+ */
+async function applyDueRentReviews(client) {
+  const due = await client.query(
+    `SELECT * FROM rent_reviews
+     WHERE status = 'scheduled' AND effective_date <= CURRENT_DATE
+     ORDER BY effective_date ASC`
+  );
+
+  for (const review of due.rows) {
+    await client.query(
+      'UPDATE tenancies SET monthly_rent = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [review.new_rent, review.tenancy_id]
+    );
+    await client.query(
+      `UPDATE rent_reviews
+       SET status = 'applied', applied_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [review.id]
+    );
+  }
+
+  return due.rows.length;
+}
+
+module.exports = {
+  getRentChanges,
+  getRentOn,
+  getIncreaseBaseRent,
+  repriceSchedule,
+  writeNoticeLetter,
+  applyDueRentReviews
+};
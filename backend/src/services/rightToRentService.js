@@ -0,0 +1,169 @@
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const { getReminderToSend } = require('../utils/rightToRent');
+const { generateRightToRentRecordPDF } = require('./pdfService');
+const signingService = require('./signingService');
+
+const RECORD_DIR = path.join(__dirname, '../../uploads/right-to-rent');
+
+const CHECK_TYPES = {
+  manual_document: 'Manual check of original documents',
+  share_code: 'Online check with a Home Office share code'
+};
+
+// Documents accepted for a manual check. A passport or birth certificate proves an
+// unlimited right to rent; the rest usually show permission for a limited time.
+const DOCUMENT_TYPES = {
+  uk_irish_passport: 'UK or Irish passport (current or expired)',
+  birth_certificate: 'UK or Irish birth or adoption certificate, with proof of name',
+  naturalisation_certificate: 'Certificate of naturalisation or registration as a British citizen',
+  immigration_status_document: 'Home Office immigration status document',
+  visa_or_vignette: 'Passport with a visa or vignette',
+  home_office_letter: 'Letter from the Home Office (Right to Rent Checking Service)',
+  other: 'Other document'
+};
+
+const PERMISSION_TYPES = {
+  unlimited: 'Unlimited right to rent',
+  time_limited: 'Time-limited right to rent'
+};
+
+// Evidence that can be printed on the check record; PDFs and Word files are kept alongside it
+const EMBEDDABLE_EVIDENCE = ['.jpg', '.jpeg', '.png'];
+
+/**
+ * Get a tenancy's Right to Rent checks, newest first
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Array} right_to_rent_checks rows with who checked
+ */
+async function getChecks(db, tenancyId) {
+  const result = await db.query(
+    `SELECT c.*, u.full_name as checked_by_name
+     FROM right_to_rent_checks c
+     LEFT JOIN users u ON c.checked_by = u.id
+     WHERE c.tenancy_id = $1
+     ORDER BY c.check_date DESC, c.created_at DESC`,
+    [tenancyId]
+  );
+  return result.rows;
+}
+
+/**
+ * Write a PDF record of Right to Rent checks on a tenancy: one check, as evidence made at
+ * the time, or the tenancy's full history for export
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @param {string} checkId - Check to record, or null for every check on the tenancy
+ * @returns {Object} { filePath, servedPath }
+ */
+async function writeCheckRecord(db, tenancyId, checkId = null) {
+  const tenancyResult = await db.query(
+    `SELECT t.id, t.property_house_number, t.property_street_name, t.property_city, t.property_county, t.property_postcode,
+            landlord.full_name as landlord_name, lodger.full_name as lodger_name
+     FROM tenancies t
+     JOIN users landlord ON t.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     WHERE t.id = $1`,
+    [tenancyId]
+  );
+  const tenancy = tenancyResult.rows[0];
+
+  const checks = (await getChecks(db, tenancyId)).filter(check => !checkId || check.id === checkId);
+
+  await fs.mkdir(RECORD_DIR, { recursive: true });
+  const fileName = checkId ? `right-to-rent-check-${checkId}.pdf` : `right-to-rent-history-${tenancyId}.pdf`;
+  const filePath = path.join(RECORD_DIR, fileName);
+
+  await generateRightToRentRecordPDF({
+    tenancy_id: tenancy.id,
+    landlord_name: tenancy.landlord_name,
+    lodger_name: tenancy.lodger_name,
+    property_address: [
+      tenancy.property_house_number, tenancy.property_street_name, tenancy.property_city,
+      tenancy.property_county, tenancy.property_postcode
+    ].filter(part => part).join(', '),
+    checks: checks.map(check => {
+      const embeddable = check.evidence_path
+        && EMBEDDABLE_EVIDENCE.includes(path.extname(check.evidence_path).toLowerCase());
+      return {
+        ...check,
+        check_type_label: CHECK_TYPES[check.check_type],
+        document_type_label: check.document_type ? DOCUMENT_TYPES[check.document_type] : null,
+        permission_label: PERMISSION_TYPES[check.permission_type],
+        has_evidence: !!check.evidence_path,
+        evidence_file: embeddable ? signingService.resolveUpload(check.evidence_path) : null
+      };
+    })
+  }, filePath);
+
+  return { filePath, servedPath: `/uploads/right-to-rent/${fileName}` };
+}
+
+/**
+ * Remind landlords of follow-up Right to Rent checks for lodgers with time-limited
+ * permission: 28 and 7 days before the check is due, then weekly once it's overdue.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Reminders sent
+ */
+async function sendFollowUpReminders(client) {
+  const due = await client.query(
+    `SELECT c.*, t.landlord_id, u.full_name as lodger_name
+     FROM right_to_rent_checks c
+     JOIN tenancies t ON c.tenancy_id = t.id
+     JOIN users u ON t.lodger_id = u.id
+     WHERE c.superseded_by IS NULL
+     AND c.outcome = 'passed'
+     AND c.follow_up_due_date IS NOT NULL
+     AND t.status IN ('active', 'notice_given', 'extended')`
+  );
+
+  let sent = 0;
+  for (const check of due.rows) {
+    const stage = getReminderToSend(check);
+    if (stage === null) continue;
+
+    const dueBy = moment(check.follow_up_due_date).format('DD/MM/YYYY');
+    const permissionEnds = check.permission_expiry_date
+      ? ` Their permission to be in the UK ends on ${moment(check.permission_expiry_date).format('DD/MM/YYYY')}.`
+      : '';
+
+    const message = stage === 0
+      ? `The follow-up Right to Rent check for ${check.lodger_name} was due by ${dueBy}.${permissionEnds} ` +
+        'Check their right to rent again now. If they no longer have one, you must report them to the Home Office.'
+      : `A follow-up Right to Rent check for ${check.lodger_name} is due by ${dueBy}.${permissionEnds} ` +
+        'Clause 1.7 makes keeping a right to rent a condition of the agreement.';
+
+    await client.query(
+      `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        check.landlord_id,
+        check.tenancy_id,
+        'right_to_rent',
+        stage === 0 ? 'Right to Rent Check Overdue' : 'Right to Rent Check Due Soon',
+        message
+      ]
+    );
+
+    await client.query(
+      `UPDATE right_to_rent_checks
+       SET reminder_stage = $1, reminder_sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [stage, check.id]
+    );
+    sent++;
+  }
+
+  return sent;
+}
+
+module.exports = {
+  CHECK_TYPES,
+  DOCUMENT_TYPES,
+  PERMISSION_TYPES,
+  getChecks,
+  writeCheckRecord,
+  sendFollowUpReminders
+};
@@ -0,0 +1,158 @@
+const moment = require('moment');
+const { getReminderStage, getReminderToSend } = require('../utils/reminderSchedule');
+
+// Certificates the householder keeps to meet clauses 3.3-3.6, with how long each usually lasts
+const CERTIFICATE_TYPES = {
+  gas_safety: { label: 'Gas Safety Record (CP12)', clause: '3.3', validity_months: 12 },
+  electrical_installation: { label: 'Electrical Installation Condition Report (EICR)', clause: '3.5', validity_months: 60 },
+  portable_appliance: { label: 'Portable Appliance Test (PAT)', clause: '3.5', validity_months: 12 },
+  smoke_alarm: { label: 'Smoke Alarm Test', clause: '3.6', validity_months: 12 },
+  carbon_monoxide_alarm: { label: 'Carbon Monoxide Alarm Test', clause: '3.6', validity_months: 12 }
+};
+
+// Reminders to the landlord, in days before a certificate expires
+const REMINDER_DAYS = [60, 30, 7];
+
+/**
+ * Whether a certificate is in date
+ * @param {Object} certificate - safety_certificates row
+ * @returns {string} 'valid', 'expiring' (within the first reminder) or 'expired'
+ */
+function getCertificateStatus(certificate) {
+  const stage = getReminderStage(certificate.expiry_date, REMINDER_DAYS);
+  if (stage === 0) return 'expired';
+  return stage === null ? 'valid' : 'expiring';
+}
+
+/**
+ * Get a landlord's certificates, newest first, marking the latest of each type as current
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord's user ID
+ * @returns {Array} safety_certificates rows with is_current and status
+ */
+async function getCertificates(db, landlordId) {
+  const result = await db.query(
+    `SELECT c.*,
+            c.id = (
+              SELECT latest.id FROM safety_certificates latest
+              WHERE latest.landlord_id = c.landlord_id AND latest.certificate_type = c.certificate_type
+              ORDER BY latest.issue_date DESC, latest.created_at DESC
+              LIMIT 1
+            ) as is_current
+     FROM safety_certificates c
+     WHERE c.landlord_id = $1
+     ORDER BY c.issue_date DESC, c.created_at DESC`,
+    [landlordId]
+  );
+  return result.rows.map(certificate => ({ ...certificate, status: getCertificateStatus(certificate) }));
+}
+
+/**
+ * The latest certificate of each type a landlord holds
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord's user ID
+ * @returns {Array} Current certificates with status, in CERTIFICATE_TYPES order
+ */
+async function getCurrentCertificates(db, landlordId) {
+  const certificates = (await getCertificates(db, landlordId)).filter(certificate => certificate.is_current);
+  const order = Object.keys(CERTIFICATE_TYPES);
+  return certificates.sort((a, b) => order.indexOf(a.certificate_type) - order.indexOf(b.certificate_type));
+}
+
+/**
+ * The in-date certificates to list in an agreement being prepared for signing. They're
+ * copied onto the tenancy so the signed copy shows what was in place when it was signed.
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord's user ID
+ * @returns {Array} [{ certificate_type, label, clause, reference, issued_by, issue_date, expiry_date }]
+ */
+async function getAgreementCertificates(db, landlordId) {
+  const certificates = await getCurrentCertificates(db, landlordId);
+  return certificates
+    .filter(certificate => certificate.status !== 'expired')
+    .map(certificate => ({
+      certificate_type: certificate.certificate_type,
+      label: CERTIFICATE_TYPES[certificate.certificate_type].label,
+      clause: CERTIFICATE_TYPES[certificate.certificate_type].clause,
+      reference: certificate.reference,
+      issued_by: certificate.issued_by,
+      issue_date: moment(certificate.issue_date).format('YYYY-MM-DD'),
+      expiry_date: moment(certificate.expiry_date).format('YYYY-MM-DD')
+    }));
+}
+
+/**
+ * Agreements prepared for signing but not yet signed list the certificates held at the
+ * time, so they need writing out again when the register changes
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord's user ID
+ */
+async function clearUnsignedAgreements(db, landlordId) {
+  await db.query(
+    `UPDATE tenancies
+     SET agreement_document_path = NULL, agreement_document_hash = NULL
+     WHERE landlord_id = $1 AND lodger_signature IS NULL`,
+    [landlordId]
+  );
+}
+
+/**
+ * Remind landlords of safety certificates coming up to expiry: 60, 30 and 7 days
+ * before, then weekly once expired. Only the latest certificate of each type counts,
+ * so uploading a renewal stops the reminders.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Reminders sent
+ */
+async function sendExpiryReminders(client) {
+  const current = await client.query(
+    `SELECT DISTINCT ON (c.landlord_id, c.certificate_type) c.*
+     FROM safety_certificates c
+     JOIN users u ON c.landlord_id = u.id
+     WHERE u.is_active = true
+     ORDER BY c.landlord_id, c.certificate_type, c.issue_date DESC, c.created_at DESC`
+  );
+
+  let sent = 0;
+  for (const certificate of current.rows) {
+    const stage = getReminderToSend(certificate.expiry_date, REMINDER_DAYS, certificate);
+    if (stage === null) continue;
+
+    const type = CERTIFICATE_TYPES[certificate.certificate_type];
+    const expiry = moment(certificate.expiry_date).format('DD/MM/YYYY');
+    const daysLeft = moment(certificate.expiry_date).startOf('day').diff(moment().startOf('day'), 'days');
+
+    await client.query(
+      `INSERT INTO notifications (user_id, type, title, message)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        certificate.landlord_id,
+        'safety_certificate',
+        stage === 0 ? `${type.label} Expired` : `${type.label} Expiring`,
+        stage === 0
+          ? `Your ${type.label} expired on ${expiry}. Clause ${type.clause} of your lodger agreements requires it to be kept up to date. Upload the renewed certificate once the check is done.`
+          : `Your ${type.label} expires on ${expiry}, in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Book the check and upload the renewed certificate (clause ${type.clause}).`
+      ]
+    );
+
+    await client.query(
+      `UPDATE safety_certificates
+       SET reminder_stage = $1, reminder_sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [stage, certificate.id]
+    );
+    sent++;
+  }
+
+  return sent;
+}
+
+module.exports = {
+  CERTIFICATE_TYPES,
+  REMINDER_DAYS,
+  getCertificateStatus,
+  getCertificates,
+  getCurrentCertificates,
+  getAgreementCertificates,
+  clearUnsignedAgreements,
+  sendExpiryReminders
+};
@@ -0,0 +1,113 @@
+const moment = require('moment');
+const paymentCalculator = require('../utils/paymentCalculator');
+const { mapPaymentFrequencyToDays } = require('../utils/paymentHelpers');
+const rentReviewService = require('./rentReviewService');
+
+/**
+ * Cut a tenancy's payment schedule back to its termination date.
+ *
+ * Payments falling due after the tenancy ends are removed. The last remaining payment
+ * becomes the final settlement: rent for the days from its due date up to and including
+ * the termination date, less the period of rent paid in advance with the first payment.
+ * A negative amount is a refund due to the lodger, which the ledger shows as a credit.
+ * Scheduled rent changes that would take effect after the tenancy ends are cancelled.
+ * Callers should re-run ledgerService.allocatePayments afterwards.
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} tenancyId - Tenancy ID
+ * @param {Date|string} terminationDate - Last day of the tenancy
+ * @returns {Object|null} Final payment details, or null if nothing falls due before the termination date
+ */
+async function truncateSchedule(client, tenancyId, terminationDate) {
+  const tenancyResult = await client.query('SELECT * FROM tenancies WHERE id = $1', [tenancyId]);
+  const tenancy = tenancyResult.rows[0];
+  const endDate = moment(terminationDate).startOf('day');
+  const paymentType = tenancy.payment_type || 'cycle';
+  const cycleDays = mapPaymentFrequencyToDays(tenancy.payment_frequency || '4-weekly');
+  const paymentDayOfMonth = tenancy.payment_day_of_month || 1;
+
+  const rows = await client.query(
+    `SELECT ps.*, EXISTS (
+       SELECT 1 FROM payment_transactions pt WHERE pt.payment_schedule_id = ps.id
+     ) as has_transactions
+     FROM payment_schedule ps
+     WHERE ps.tenancy_id = $1
+     ORDER BY ps.due_date ASC, ps.payment_number ASC`,
+    [tenancyId]
+  );
+
+  let removed = 0;
+  for (const row of rows.rows.filter(item => moment(item.due_date).isAfter(endDate, 'day'))) {
+    // Deleting a row would delete the receipts recorded against it, so those are kept at nil
+    // and the money is re-allocated to what is still owed
+    if (row.has_transactions) {
+      await client.query(
+        `UPDATE payment_schedule
+         SET rent_due = 0, notes = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [`Not due - tenancy ended ${endDate.format('DD/MM/YYYY')}`, row.id]
+      );
+    } else {
+      await client.query('DELETE FROM payment_schedule WHERE id = $1', [row.id]);
+    }
+    removed++;
+  }
+
+  await client.query(
+    `UPDATE rent_reviews
+     SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE tenancy_id = $1 AND status = 'scheduled' AND effective_date > $2`,
+    [tenancyId, endDate.format('YYYY-MM-DD')]
+  );
+
+  const remaining = rows.rows.filter(item => !moment(item.due_date).isAfter(endDate, 'day'));
+  if (remaining.length === 0) {
+    return null;
+  }
+
+  const finalPayment = remaining[remaining.length - 1];
+  const isFirstPayment = finalPayment.id === remaining[0].id;
+
+  const rentChanges = await rentReviewService.getRentChanges(client, tenancyId);
+  const initialRent = rentChanges.length > 0 ? parseFloat(rentChanges[0].previous_rent) : parseFloat(tenancy.monthly_rent);
+  const rent = rentReviewService.getRentOn(tenancy, rentChanges, finalPayment.due_date);
+
+  const period = paymentCalculator.calculatePartialPeriodRent(
+    finalPayment.due_date, endDate, rent, cycleDays, paymentType, paymentDayOfMonth
+  );
+
+  // The advance only exists once the first payment's period has passed
+  const advanceCredit = isFirstPayment
+    ? 0
+    : parseFloat(paymentCalculator.getRentPerPeriod(initialRent, cycleDays, paymentType).toFixed(2));
+  const finalAmount = parseFloat((period.rent - advanceCredit).toFixed(2));
+
+  const periodText = `${period.days} days from ${moment(period.periodStart).format('DD/MM/YYYY')} to ${moment(period.periodEnd).format('DD/MM/YYYY')}`;
+  const notes = finalAmount < 0
+    ? `Final settlement: £${advanceCredit.toFixed(2)} rent in advance less £${period.rent.toFixed(2)} for ${periodText}. REFUND DUE TO LODGER.`
+    : `Final payment: £${period.rent.toFixed(2)} for ${periodText}` +
+      (advanceCredit > 0 ? ` less £${advanceCredit.toFixed(2)} rent in advance.` : '.');
+
+  await client.query(
+    `UPDATE payment_schedule
+     SET rent_due = $1, notes = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [finalAmount, notes, finalPayment.id]
+  );
+
+  return {
+    paymentNumber: finalPayment.payment_number,
+    dueDate: moment(finalPayment.due_date).format('YYYY-MM-DD'),
+    terminationDate: endDate.format('YYYY-MM-DD'),
+    daysToCharge: period.days,
+    fullPeriod: period.fullPeriod,
+    proRataAmount: period.rent,
+    advanceCredit: advanceCredit,
+    finalAmount: finalAmount,
+    paymentsRemoved: removed,
+    type: finalAmount > 0 ? 'payment_due' : 'refund_due'
+  };
+}
+
+module.exports = {
+  truncateSchedule
+};
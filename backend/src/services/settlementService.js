@@ -0,0 +1,174 @@
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const { getAvailableFunds } = require('./deductionService');
+const { buildLedger } = require('./ledgerService');
+const { generateSettlementStatementPDF } = require('./pdfService');
+const { calculateSettlementFigures } = require('../utils/settlementCalculator');
+
+const STATEMENT_DIR = path.join(__dirname, '../../uploads/settlements');
+
+// Clause 6.4: the Deposit is not to be kept for more than one month
+const REFUND_DEADLINE_MONTHS = 1;
+
+// How many days before the deadline the landlord is first reminded
+const REFUND_REMINDER_DAYS = 7;
+
+const REFUND_METHODS = {
+  bank_transfer: 'Bank transfer',
+  cheque: 'Cheque (posted to forwarding address)',
+  cash: 'Cash'
+};
+
+/**
+ * Latest date the refund can be paid under clause 6.4
+ * @param {string|Date} moveOutDate - Date vacant possession was given
+ * @returns {string} YYYY-MM-DD
+ */
+function calculateRefundDueBy(moveOutDate) {
+  return moment(moveOutDate).add(REFUND_DEADLINE_MONTHS, 'month').format('YYYY-MM-DD');
+}
+
+/**
+ * Work out what's owed either way when a tenancy ends (see settlementCalculator for how)
+ * @param {Object} db - pg pool or client
+ * @param {Object} tenancy - tenancies row
+ * @returns {Object} Figures in pounds, with refund_amount or amount_owed (the other is 0)
+ */
+async function calculateSettlement(db, tenancy) {
+  const funds = await getAvailableFunds(db, tenancy);
+  const ledger = await buildLedger(db, tenancy.id);
+
+  return calculateSettlementFigures(funds, ledger.totals);
+}
+
+/**
+ * How the refund stands against the clause 6.4 deadline
+ * @param {Object} settlement - move_out_settlements row
+ * @param {Date} now - Defaults to now
+ * @returns {Object} { days_remaining, overdue }
+ */
+function getRefundStatus(settlement, now = new Date()) {
+  if (settlement.status === 'refunded' || parseFloat(settlement.amount_owed) > 0) {
+    return { days_remaining: null, overdue: false };
+  }
+
+  const daysRemaining = moment(settlement.refund_due_by).startOf('day').diff(moment(now).startOf('day'), 'days');
+  return { days_remaining: daysRemaining, overdue: daysRemaining < 0 };
+}
+
+/**
+ * Write the final settlement statement for a settlement whose figures are stored
+ * @param {Object} db - pg pool or client
+ * @param {string} settlementId - move_out_settlements id
+ * @returns {string} Path to serve the statement from
+ */
+async function writeSettlementStatement(db, settlementId) {
+  const result = await db.query(
+    `SELECT s.*, t.start_date, t.monthly_rent, t.lodger_id,
+            t.property_house_number, t.property_street_name, t.property_city, t.property_county, t.property_postcode,
+            landlord.full_name as landlord_name, landlord.house_number as landlord_house_number,
+            landlord.street_name as landlord_street_name, landlord.city as landlord_city,
+            landlord.county as landlord_county, landlord.postcode as landlord_postcode,
+            lodger.full_name as lodger_name, lodger.email as lodger_email
+     FROM move_out_settlements s
+     JOIN tenancies t ON s.tenancy_id = t.id
+     JOIN users landlord ON t.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     WHERE s.id = $1`,
+    [settlementId]
+  );
+  const settlement = result.rows[0];
+
+  const deductions = await db.query(
+    `SELECT deduction_type, description, amount, created_at
+     FROM deductions
+     WHERE tenancy_id = $1
+     ORDER BY created_at ASC`,
+    [settlement.tenancy_id]
+  );
+
+  await fs.mkdir(STATEMENT_DIR, { recursive: true });
+  const fileName = `settlement-${settlement.id}.pdf`;
+
+  await generateSettlementStatementPDF({
+    ...settlement,
+    property_address: [
+      settlement.property_house_number, settlement.property_street_name, settlement.property_city,
+      settlement.property_county, settlement.property_postcode
+    ].filter(part => part).join(', '),
+    landlord_address: [
+      settlement.landlord_house_number, settlement.landlord_street_name, settlement.landlord_city,
+      settlement.landlord_county, settlement.landlord_postcode
+    ].filter(part => part).join(', '),
+    deductions: deductions.rows,
+    refund_method_label: settlement.refund_method ? REFUND_METHODS[settlement.refund_method] : null
+  }, path.join(STATEMENT_DIR, fileName));
+
+  return `/uploads/settlements/${fileName}`;
+}
+
+/**
+ * Remind landlords of deposit refunds coming up to, or past, the clause 6.4 deadline.
+ * One reminder a week before it's due, then weekly once it's late.
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Reminders sent
+ */
+async function sendRefundReminders(client) {
+  const due = await client.query(
+    `SELECT s.*, u.full_name as lodger_name
+     FROM move_out_settlements s
+     JOIN tenancies t ON s.tenancy_id = t.id
+     JOIN users u ON t.lodger_id = u.id
+     WHERE s.status <> 'refunded'
+     AND COALESCE(s.amount_owed, 0) = 0
+     AND (
+       (s.refund_due_by - CURRENT_DATE <= $1 AND s.reminder_sent_at IS NULL)
+       OR
+       (s.refund_due_by < CURRENT_DATE
+        AND (s.reminder_sent_at IS NULL OR s.reminder_sent_at < s.refund_due_by OR s.reminder_sent_at < CURRENT_TIMESTAMP - INTERVAL '7 days'))
+     )`,
+    [REFUND_REMINDER_DAYS]
+  );
+
+  for (const settlement of due.rows) {
+    const overdue = moment(settlement.refund_due_by).isBefore(moment(), 'day');
+    const dueBy = moment(settlement.refund_due_by).format('DD/MM/YYYY');
+
+    let message = overdue
+      ? `The deposit refund for ${settlement.lodger_name} was due by ${dueBy}. Clause 6.4 says the Deposit must not be kept for more than one month except in exceptional circumstances.`
+      : `The deposit refund for ${settlement.lodger_name} must be paid by ${dueBy} (clause 6.4).`;
+    if (settlement.status === 'open') message += ' The settlement statement has not been issued yet.';
+    if (!settlement.forwarding_address) message += ' Your lodger has not given a forwarding address yet.';
+    if (overdue && settlement.exceptional_circumstances) message += ` Recorded reason for the delay: ${settlement.exceptional_circumstances}`;
+
+    await client.query(
+      `INSERT INTO notifications (user_id, tenancy_id, type, title, message)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        settlement.landlord_id,
+        settlement.tenancy_id,
+        'deposit_refund',
+        overdue ? 'Deposit Refund Overdue' : 'Deposit Refund Due Soon',
+        message
+      ]
+    );
+
+    await client.query(
+      'UPDATE move_out_settlements SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [settlement.id]
+    );
+  }
+
+  return due.rows.length;
+}
+
+module.exports = {
+  REFUND_DEADLINE_MONTHS,
+  REFUND_METHODS,
+  calculateRefundDueBy,
+  calculateSettlement,
+  getRefundStatus,
+  writeSettlementStatement,
+  sendRefundReminders
+};
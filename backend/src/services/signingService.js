@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+const SIGNATURE_DIR = path.join(__dirname, '../../uploads/signatures');
+
+const SIGNATURE_METHODS = {
+  drawn: 'Drawn signature',
+  typed: 'Typed signature'
+};
+
+const SIGNING_EVENT_LABELS = {
+  document_created: 'Agreement prepared for signing',
+  signed: 'Signed',
+  certified: 'Signed copy and certificate issued',
+  verified: 'Copy checked against signed hash'
+};
+
+// Signature images are small PNGs from the signing pad
+const MAX_SIGNATURE_IMAGE_BYTES = 500 * 1024;
+
+const PNG_DATA_URL = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/;
+
+/**
+ * SHA-256 of a document, as lowercase hex
+ * @param {Buffer} buffer - File contents
+ * @returns {string} 64-character hash
+ */
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * SHA-256 of a file under uploads/, from the path it's served at
+ * @param {string} servedPath - e.g. /uploads/agreements/agreement_x.pdf
+ * @returns {string|null} Hash, or null if the file no longer exists
+ */
+async function hashUpload(servedPath) {
+  try {
+    const buffer = await fs.readFile(resolveUpload(servedPath));
+    return hashBuffer(buffer);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Location on disk of a file served from /uploads
+ * @param {string} servedPath - Path starting /uploads/
+ * @returns {string} Absolute path
+ */
+function resolveUpload(servedPath) {
+  return path.join(__dirname, '../..', servedPath);
+}
+
+/**
+ * Check a captured signature before it's stored
+ * @param {string} method - 'drawn' or 'typed'
+ * @param {string} imageDataUrl - PNG data URL from the signing pad
+ * @returns {string|null} Error message, or null if the signature can be used
+ */
+function validateSignature(method, imageDataUrl) {
+  if (!SIGNATURE_METHODS[method]) {
+    return 'Draw or type your signature';
+  }
+  const match = PNG_DATA_URL.exec(imageDataUrl || '');
+  if (!match) {
+    return 'Your signature could not be read. Please sign again.';
+  }
+  if (Buffer.byteLength(match[1], 'base64') > MAX_SIGNATURE_IMAGE_BYTES) {
+    return 'Your signature image is too large. Please clear it and sign again.';
+  }
+  return null;
+}
+
+/**
+ * Store a signature image from the signing pad
+ * @param {string} imageDataUrl - PNG data URL, already validated
+ * @param {string} tenancyId - Tenancy being signed
+ * @param {string} role - 'landlord' or 'lodger'
+ * @returns {string} Path to serve the image from
+ */
+async function saveSignatureImage(imageDataUrl, tenancyId, role) {
+  const [, base64] = PNG_DATA_URL.exec(imageDataUrl);
+
+  await fs.mkdir(SIGNATURE_DIR, { recursive: true });
+  const fileName = `signature-${tenancyId}-${role}-${Date.now()}.png`;
+  await fs.writeFile(path.join(SIGNATURE_DIR, fileName), Buffer.from(base64, 'base64'));
+
+  return `/uploads/signatures/${fileName}`;
+}
+
+/**
+ * Who made a request, for the audit trail
+ * @param {Object} req - Express request
+ * @returns {Object} { ip_address, user_agent }
+ */
+function getRequestOrigin(req) {
+  return {
+    ip_address: req.ip || (req.connection && req.connection.remoteAddress) || null,
+    user_agent: req.get('User-Agent') || null
+  };
+}
+
+/**
+ * Add an entry to a tenancy's signing audit trail
+ * @param {Object} db - pg pool or client
+ * @param {Object} event - signing_events columns
+ * @returns {Object} Created row
+ */
+async function recordSigningEvent(db, event) {
+  const result = await db.query(
+    `INSERT INTO signing_events (
+        tenancy_id, user_id, event_type, signer_role, signed_name, signature_method,
+        signature_image_path, document_hash, hash_matched, ip_address, user_agent
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      event.tenancy_id,
+      event.user_id || null,
+      event.event_type,
+      event.signer_role || null,
+      event.signed_name || null,
+      event.signature_method || null,
+      event.signature_image_path || null,
+      event.document_hash,
+      event.hash_matched === undefined ? null : event.hash_matched,
+      event.ip_address || null,
+      event.user_agent || null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * A tenancy's signing audit trail, oldest first
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Array} signing_events rows with the user's name and a label for each event
+ */
+async function getSigningEvents(db, tenancyId) {
+  const result = await db.query(
+    `SELECT se.*, u.full_name as user_name
+     FROM signing_events se
+     LEFT JOIN users u ON se.user_id = u.id
+     WHERE se.tenancy_id = $1
+     ORDER BY se.created_at ASC`,
+    [tenancyId]
+  );
+  return result.rows.map(event => ({
+    ...event,
+    label: SIGNING_EVENT_LABELS[event.event_type]
+  }));
+}
+
+module.exports = {
+  SIGNATURE_METHODS,
+  SIGNING_EVENT_LABELS,
+  hashBuffer,
+  hashUpload,
+  resolveUpload,
+  validateSignature,
+  saveSignatureImage,
+  getRequestOrigin,
+  recordSigningEvent,
+  getSigningEvents
+};
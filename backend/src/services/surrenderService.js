@@ -0,0 +1,98 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { generateSurrenderDeedPDF } = require('./pdfService');
+
+const DEED_DIR = path.join(__dirname, '../../uploads/surrenders');
+
+const DEPOSIT_HANDLING = {
+  standard: 'Refunded under clause 6.4, less any reasonable deductions',
+  full_refund: 'Refunded in full, with no deductions',
+  applied_to_rent: 'Used towards rent and charges owed up to the Surrender Date, with any balance refunded'
+};
+
+/**
+ * Waive part of the rent still owed when a tenancy is surrendered. The latest unpaid
+ * rent is reduced first, so rent already paid is never touched. Run allocatePayments
+ * before this so rent_paid is current, and again afterwards.
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} tenancyId - Tenancy ID
+ * @param {number} amount - Rent to waive
+ * @returns {number} Amount actually waived, which is less if less was owed
+ */
+async function applyRentWaiver(client, tenancyId, amount) {
+  const rows = await client.query(
+    `SELECT id, rent_due, rent_paid, notes
+     FROM payment_schedule
+     WHERE tenancy_id = $1 AND rent_due > rent_paid AND payment_status != 'waived'
+     ORDER BY due_date DESC, payment_number DESC`,
+    [tenancyId]
+  );
+
+  let remaining = Math.round(amount * 100);
+  let waived = 0;
+
+  for (const row of rows.rows) {
+    if (remaining <= 0) break;
+
+    const outstanding = Math.round((parseFloat(row.rent_due) - parseFloat(row.rent_paid)) * 100);
+    const reduction = Math.min(remaining, outstanding);
+    const newRentDue = Math.round(parseFloat(row.rent_due) * 100) - reduction;
+    const note = `£${(reduction / 100).toFixed(2)} waived under surrender agreement`;
+
+    await client.query(
+      `UPDATE payment_schedule
+       SET rent_due = $1, payment_status = CASE WHEN $1 = 0 THEN 'waived' ELSE payment_status END,
+           notes = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [newRentDue / 100, row.notes ? `${row.notes} ${note}` : note, row.id]
+    );
+
+    remaining -= reduction;
+    waived += reduction;
+  }
+
+  return waived / 100;
+}
+
+/**
+ * Write the deed of surrender for an accepted proposal
+ * @param {Object} db - pg pool or client
+ * @param {string} noticeId - notices id of the accepted surrender
+ * @param {Object} finalPayment - From scheduleService.truncateSchedule, or null
+ * @returns {string} Path to serve the deed from
+ */
+async function writeSurrenderDeed(db, noticeId, finalPayment) {
+  const result = await db.query(
+    `SELECT n.*, t.start_date, t.end_date,
+            t.property_house_number, t.property_street_name, t.property_city, t.property_county, t.property_postcode,
+            landlord.full_name as landlord_name, lodger.full_name as lodger_name
+     FROM notices n
+     JOIN tenancies t ON n.tenancy_id = t.id
+     JOIN users landlord ON t.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     WHERE n.id = $1`,
+    [noticeId]
+  );
+  const deed = result.rows[0];
+
+  await fs.mkdir(DEED_DIR, { recursive: true });
+  const fileName = `surrender-deed-${deed.id}.pdf`;
+
+  await generateSurrenderDeedPDF({
+    ...deed,
+    property_address: [
+      deed.property_house_number, deed.property_street_name, deed.property_city,
+      deed.property_county, deed.property_postcode
+    ].filter(part => part).join(', '),
+    deposit_handling_label: DEPOSIT_HANDLING[deed.surrender_terms.deposit_handling],
+    final_payment: finalPayment
+  }, path.join(DEED_DIR, fileName));
+
+  return `/uploads/surrenders/${fileName}`;
+}
+
+module.exports = {
+  DEPOSIT_HANDLING,
+  applyRentWaiver,
+  writeSurrenderDeed
+};
@@ -0,0 +1,281 @@
+const moment = require('moment');
+const { pool } = require('../config/database');
+const { getTaxYear } = require('../utils/paymentCalculator');
+
+// Rent-a-Room scheme allowance per tax year, halved when someone else also
+// receives rent from furnished letting in the same home (e.g. joint owners)
+const RENT_A_ROOM_ALLOWANCE = 7500;
+const JOINT_RENT_A_ROOM_ALLOWANCE = 3750;
+
+// Share of the allowance at which the landlord is warned they are getting close
+const APPROACHING_THRESHOLD = 0.8;
+
+const WARNING_LEVELS = ['none', 'approaching', 'exceeded'];
+
+const formatMoney = (amount) => `£${parseFloat(amount).toFixed(2)}`;
+
+/**
+ * Work out how close receipts are to the allowance
+ * @returns {string} 'none', 'approaching' or 'exceeded'
+ */
+function getWarningLevel(total, allowance) {
+  if (total > allowance) return 'exceeded';
+  if (total >= allowance * APPROACHING_THRESHOLD) return 'approaching';
+  return 'none';
+}
+
+/**
+ * Get rent received by a landlord between two dates, taken from the payment ledger
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @param {string} start - First day (YYYY-MM-DD)
+ * @param {string} end - Last day (YYYY-MM-DD)
+ * @returns {Array} Receipts, oldest first
+ */
+async function getReceipts(db, landlordId, start, end) {
+  const result = await db.query(
+    `SELECT pt.id, pt.transaction_date, pt.amount, pt.payment_method, pt.reference,
+            t.id as tenancy_id, u.full_name as lodger_name,
+            ps.payment_number
+     FROM payment_transactions pt
+     JOIN tenancies t ON pt.tenancy_id = t.id
+     JOIN users u ON t.lodger_id = u.id
+     LEFT JOIN payment_schedule ps ON pt.payment_schedule_id = ps.id
+     WHERE t.landlord_id = $1
+     AND pt.transaction_date::date BETWEEN $2 AND $3
+     ORDER BY pt.transaction_date ASC, pt.created_at ASC`,
+    [landlordId, start, end]
+  );
+  return result.rows;
+}
+
+/**
+ * Shape a tax_year_summary row for the API
+ */
+function formatSummary(row, taxYear) {
+  const total = parseFloat(row.total_rent_received);
+  const allowance = parseFloat(row.rent_a_room_allowance);
+
+  return {
+    id: row.id,
+    tax_year: taxYear.label,
+    tax_year_start: taxYear.start,
+    tax_year_end: taxYear.end,
+    total_rent_received: total,
+    rent_a_room_allowance: allowance,
+    jointly_owned: row.jointly_owned,
+    allowance_exceeded: row.allowance_exceeded,
+    remaining_allowance: parseFloat(Math.max(0, allowance - total).toFixed(2)),
+    amount_over_allowance: parseFloat(Math.max(0, total - allowance).toFixed(2)),
+    percentage_used: allowance > 0 ? Math.round((total / allowance) * 100) : 0,
+    warning_level: row.warning_level,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Recalculate rent received for the tax year containing a date and store it in
+ * tax_year_summary. When the landlord crosses the approaching or exceeded threshold
+ * in the current tax year they are sent a notification (once per level).
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @param {Date|string} date - Any date in the tax year (default today)
+ * @returns {Object} Formatted summary
+ */
+async function refreshTaxYearSummary(db, landlordId, date = new Date()) {
+  const database = db || pool;
+  const taxYear = getTaxYear(date);
+
+  const totalResult = await database.query(
+    `SELECT COALESCE(SUM(pt.amount), 0) as total
+     FROM payment_transactions pt
+     JOIN tenancies t ON pt.tenancy_id = t.id
+     WHERE t.landlord_id = $1
+     AND pt.transaction_date::date BETWEEN $2 AND $3`,
+    [landlordId, taxYear.start, taxYear.end]
+  );
+  const total = parseFloat(totalResult.rows[0].total);
+
+  const existingResult = await database.query(
+    'SELECT * FROM tax_year_summary WHERE landlord_id = $1 AND tax_year_start = $2',
+    [landlordId, taxYear.start]
+  );
+  let existing = existingResult.rows[0];
+
+  if (!existing) {
+    // Carry joint ownership over from the previous year so it only has to be set once
+    const previous = await database.query(
+      `SELECT jointly_owned FROM tax_year_summary
+       WHERE landlord_id = $1 AND tax_year_start < $2
+       ORDER BY tax_year_start DESC LIMIT 1`,
+      [landlordId, taxYear.start]
+    );
+    const jointlyOwned = previous.rows.length > 0 && previous.rows[0].jointly_owned;
+
+    const inserted = await database.query(
+      `INSERT INTO tax_year_summary (landlord_id, tax_year_start, tax_year_end, rent_a_room_allowance, jointly_owned)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        landlordId,
+        taxYear.start,
+        taxYear.end,
+        jointlyOwned ? JOINT_RENT_A_ROOM_ALLOWANCE : RENT_A_ROOM_ALLOWANCE,
+        jointlyOwned
+      ]
+    );
+    existing = inserted.rows[0];
+  }
+
+  const warningLevel = getWarningLevel(total, parseFloat(existing.rent_a_room_allowance));
+
+  const updated = await database.query(
+    `UPDATE tax_year_summary
+     SET total_rent_received = $1, warning_level = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [total, warningLevel, existing.id]
+  );
+  const summary = formatSummary(updated.rows[0], taxYear);
+
+  const isCurrentYear = getTaxYear().start === taxYear.start;
+  const levelRaised = WARNING_LEVELS.indexOf(warningLevel) > WARNING_LEVELS.indexOf(existing.warning_level);
+
+  if (isCurrentYear && levelRaised) {
+    const landlord = await database.query(
+      'SELECT tax_tracking_enabled FROM users WHERE id = $1',
+      [landlordId]
+    );
+
+    if (landlord.rows.length > 0 && landlord.rows[0].tax_tracking_enabled !== false) {
+      const message = warningLevel === 'exceeded'
+        ? `You have received ${formatMoney(total)} in rent for the ${taxYear.label} tax year, which is over your ` +
+          `${formatMoney(summary.rent_a_room_allowance)} Rent-a-Room allowance. You will need to declare this income ` +
+          'on a Self Assessment tax return.'
+        : `You have received ${formatMoney(total)} in rent for the ${taxYear.label} tax year, ${summary.percentage_used}% ` +
+          `of your ${formatMoney(summary.rent_a_room_allowance)} Rent-a-Room allowance. ` +
+          `${formatMoney(summary.remaining_allowance)} remains before you need to declare it.`;
+
+      await database.query(
+        `INSERT INTO notifications (user_id, type, title, message)
+         VALUES ($1, $2, $3, $4)`,
+        [
+          landlordId,
+          'tax_allowance_warning',
+          warningLevel === 'exceeded' ? 'Rent-a-Room Allowance Exceeded' : 'Approaching Rent-a-Room Allowance',
+          message
+        ]
+      );
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Set whether the home is jointly let for a tax year, which halves the allowance
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @param {Date|string} date - Any date in the tax year
+ * @param {boolean} jointlyOwned - Whether someone else also receives rent from the home
+ * @returns {Object} Formatted summary
+ */
+async function setJointlyOwned(db, landlordId, date, jointlyOwned) {
+  const database = db || pool;
+  const taxYear = getTaxYear(date);
+
+  // Make sure the row exists before changing it
+  await refreshTaxYearSummary(database, landlordId, date);
+
+  await database.query(
+    `UPDATE tax_year_summary
+     SET jointly_owned = $1, rent_a_room_allowance = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE landlord_id = $3 AND tax_year_start = $4`,
+    [
+      jointlyOwned,
+      jointlyOwned ? JOINT_RENT_A_ROOM_ALLOWANCE : RENT_A_ROOM_ALLOWANCE,
+      landlordId,
+      taxYear.start
+    ]
+  );
+
+  return refreshTaxYearSummary(database, landlordId, date);
+}
+
+/**
+ * Build the year-end report for a tax year: summary, receipts, and totals per lodger and per month
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @param {Date|string} date - Any date in the tax year
+ * @returns {Object} { summary, receipts, by_lodger, by_month }
+ */
+async function buildTaxYearReport(db, landlordId, date) {
+  const database = db || pool;
+  const summary = await refreshTaxYearSummary(database, landlordId, date);
+  const receipts = await getReceipts(database, landlordId, summary.tax_year_start, summary.tax_year_end);
+
+  const byLodger = {};
+  const byMonth = {};
+
+  for (const receipt of receipts) {
+    const amount = parseFloat(receipt.amount);
+
+    if (!byLodger[receipt.tenancy_id]) {
+      byLodger[receipt.tenancy_id] = { tenancy_id: receipt.tenancy_id, lodger_name: receipt.lodger_name, total: 0, payments: 0 };
+    }
+    byLodger[receipt.tenancy_id].total += amount;
+    byLodger[receipt.tenancy_id].payments++;
+
+    const month = moment(receipt.transaction_date).format('YYYY-MM');
+    byMonth[month] = (byMonth[month] || 0) + amount;
+  }
+
+  return {
+    summary,
+    receipts: receipts.map(receipt => ({
+      ...receipt,
+      transaction_date: moment(receipt.transaction_date).format('YYYY-MM-DD'),
+      amount: parseFloat(receipt.amount)
+    })),
+    by_lodger: Object.values(byLodger).map(lodger => ({ ...lodger, total: parseFloat(lodger.total.toFixed(2)) })),
+    by_month: Object.keys(byMonth).sort().map(month => ({ month, total: parseFloat(byMonth[month].toFixed(2)) }))
+  };
+}
+
+/**
+ * Tax years the landlord has received rent in, oldest first, always including the current one
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Array} Tax years as { start, end, label }
+ */
+async function getTaxYearsWithReceipts(db, landlordId) {
+  const result = await (db || pool).query(
+    `SELECT MIN(pt.transaction_date) as first_receipt
+     FROM payment_transactions pt
+     JOIN tenancies t ON pt.tenancy_id = t.id
+     WHERE t.landlord_id = $1`,
+    [landlordId]
+  );
+
+  const current = getTaxYear();
+  const years = [];
+  let year = getTaxYear(result.rows[0].first_receipt || new Date());
+
+  while (year.start <= current.start) {
+    years.push(year);
+    year = getTaxYear(moment(year.end).add(1, 'day'));
+  }
+
+  return years;
+}
+
+module.exports = {
+  RENT_A_ROOM_ALLOWANCE,
+  JOINT_RENT_A_ROOM_ALLOWANCE,
+  APPROACHING_THRESHOLD,
+  getWarningLevel,
+  refreshTaxYearSummary,
+  setJointlyOwned,
+  buildTaxYearReport,
+  getTaxYearsWithReceipts
+};
@@ -0,0 +1,104 @@
+const moment = require('moment');
+const paymentCalculator = require('../utils/paymentCalculator');
+
+// Household bills that can be recharged to lodgers under clause 2.2
+const UTILITY_TYPES = {
+  gas: 'Gas',
+  electricity: 'Electricity',
+  water: 'Water',
+  broadband: 'Broadband',
+  council_tax: 'Council tax'
+};
+
+const SPLIT_METHODS = {
+  days_occupied: 'By days occupied',
+  fixed_share: 'Fixed share'
+};
+
+/**
+ * Get a landlord's tenancies that were in occupation during a billing period, with the
+ * number of days each lodger was there. A tenancy is occupied from its start date until its
+ * termination date, or its end date once it has ended.
+ * @param {Object} db - pg pool or client
+ * @param {string} landlordId - Landlord user ID
+ * @param {string} periodStart - First day of the billing period (YYYY-MM-DD)
+ * @param {string} periodEnd - Last day of the billing period (YYYY-MM-DD)
+ * @returns {Array} { tenancy_id, lodger_id, lodger_name, occupied_from, occupied_to, days }
+ */
+async function getOccupancy(db, landlordId, periodStart, periodEnd) {
+  const result = await db.query(
+    `SELECT t.id as tenancy_id, t.lodger_id, u.full_name as lodger_name, t.start_date,
+            COALESCE(t.termination_date, CASE WHEN t.status = 'terminated' THEN t.end_date END) as occupied_to
+     FROM tenancies t
+     JOIN users u ON t.lodger_id = u.id
+     WHERE t.landlord_id = $1
+       AND t.status IN ('active', 'notice_given', 'extended', 'terminated')
+       AND t.start_date <= $3
+       AND (t.termination_date IS NULL OR t.termination_date >= $2)
+     ORDER BY t.start_date ASC`,
+    [landlordId, periodStart, periodEnd]
+  );
+
+  return result.rows
+    .map(row => ({
+      tenancy_id: row.tenancy_id,
+      lodger_id: row.lodger_id,
+      lodger_name: row.lodger_name,
+      occupied_from: moment(row.start_date).format('YYYY-MM-DD'),
+      occupied_to: row.occupied_to ? moment(row.occupied_to).format('YYYY-MM-DD') : null,
+      days: paymentCalculator.countDaysOccupied(periodStart, periodEnd, row.start_date, row.occupied_to)
+    }))
+    .filter(row => row.days > 0);
+}
+
+/**
+ * Work out each lodger's share of a bill
+ * @param {Object} bill - { amount, period_start, period_end, split_method, include_householder }
+ * @param {Array} occupancy - From getOccupancy, limited to the lodgers being charged
+ * @param {Object} fixedShares - Percentage keyed by tenancy ID (fixed_share only)
+ * @returns {Array} Occupancy rows with share_percent and amount added
+ * @throws {Error} If fixed shares are missing or add up to more than 100%
+ */
+function calculateShares(bill, occupancy, fixedShares = {}) {
+  const amount = parseFloat(bill.amount);
+
+  if (bill.split_method === 'fixed_share') {
+    const missing = occupancy.find(row => fixedShares[row.tenancy_id] === undefined);
+    if (missing) {
+      throw new Error(`Enter a share for ${missing.lodger_name}`);
+    }
+
+    return paymentCalculator
+      .splitBillByFixedShare(amount, occupancy.map(row => ({ ...row, sharePercent: parseFloat(fixedShares[row.tenancy_id]) })))
+      .map(({ sharePercent, ...row }) => ({ ...row, share_percent: sharePercent }));
+  }
+
+  const billDays = paymentCalculator.countDaysOccupied(bill.period_start, bill.period_end, bill.period_start);
+
+  return paymentCalculator
+    .splitBillByDaysOccupied(amount, billDays, occupancy, bill.include_householder !== false)
+    .map(({ sharePercent, ...row }) => ({ ...row, share_percent: sharePercent }));
+}
+
+/**
+ * Describe a lodger's share of a bill for their ledger
+ * @param {Object} bill - utility_bills row
+ * @param {Object} share - Share from calculateShares
+ * @returns {string} Ledger line description
+ */
+function describeShare(bill, share) {
+  const period = `${moment(bill.period_start).format('DD/MM/YYYY')} to ${moment(bill.period_end).format('DD/MM/YYYY')}`;
+  const basis = bill.split_method === 'fixed_share'
+    ? `${parseFloat(share.share_percent)}% share`
+    : `${share.days} days occupied`;
+
+  return `${UTILITY_TYPES[bill.utility_type]} bill ${period} (${basis})`;
+}
+
+module.exports = {
+  UTILITY_TYPES,
+  SPLIT_METHODS,
+  getOccupancy,
+  calculateShares,
+  describeShare
+};
@@ -0,0 +1,283 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { MERGE_FIELDS, buildMergeData, mergeText } = require('../utils/agreementTemplate');
+const { generateVariationDeedPDF } = require('./pdfService');
+const agreementTemplateService = require('./agreementTemplateService');
+const signingService = require('./signingService');
+
+const VARIATION_DIR = path.join(__dirname, '../../uploads/variations');
+const AGREEMENT_DIR = path.join(__dirname, '../../uploads/agreements');
+
+// Terms of a signed agreement that a deed of variation can change. Rent goes through a
+// rent review instead, as it needs notice rather than agreement.
+const VARIABLE_FIELDS = {
+  room_description: 'The Room',
+  shared_areas: 'Shared Areas',
+  utilities_included: 'Utilities included in the Accommodation Payment',
+  utilities_excluded: 'Utilities the Lodger pays for separately',
+  special_terms: 'Part 3: Property Rules and Services and Any Additional Terms'
+};
+
+/**
+ * A term's value on the tenancy as it stands
+ */
+function currentValue(tenancy, field) {
+  return field === 'special_terms' ? (tenancy.special_terms || []) : (tenancy[field] || null);
+}
+
+// JSONB doesn't keep the order of keys, so Part 3 terms are compared field by field
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const normalise = (terms) => (terms || []).map(term => [term.clause_id || null, term.category, term.title, term.body]);
+    return JSON.stringify(normalise(a)) === JSON.stringify(normalise(b));
+  }
+  return (a || null) === (b || null);
+}
+
+/**
+ * Work out what a proposed variation changes, compared with the tenancy as it stands
+ * @param {Object} tenancy - tenancies row
+ * @param {Object} proposed - New value for each field being varied
+ * @returns {Object} { changes: [{ field, label, from, to }] } or { error }
+ */
+function buildChanges(tenancy, proposed) {
+  if (!proposed || typeof proposed !== 'object' || Object.keys(proposed).length === 0) {
+    return { error: 'Choose at least one term to vary' };
+  }
+
+  const changes = [];
+
+  for (const [field, value] of Object.entries(proposed)) {
+    if (!VARIABLE_FIELDS[field]) {
+      return { error: 'That term of the agreement can\'t be varied' };
+    }
+
+    let to;
+    if (field === 'special_terms') {
+      if (!Array.isArray(value)) {
+        return { error: 'Part 3 terms must be a list' };
+      }
+      const currentClauseIds = (tenancy.special_terms || []).map(term => term.clause_id).filter(id => id);
+      to = [];
+      for (const term of value) {
+        const error = agreementTemplateService.validateClause(term);
+        if (error) return { error };
+        to.push({
+          clause_id: currentClauseIds.includes(term.clause_id) ? term.clause_id : null,
+          category: term.category,
+          title: term.title.trim(),
+          body: term.body.trim()
+        });
+      }
+    } else {
+      if (value !== null && typeof value !== 'string') {
+        return { error: `${VARIABLE_FIELDS[field]} must be text` };
+      }
+      to = value && value.trim() ? value.trim() : null;
+    }
+
+    const from = currentValue(tenancy, field);
+    if (!sameValue(from, to)) {
+      changes.push({ field, label: VARIABLE_FIELDS[field], from, to });
+    }
+  }
+
+  if (changes.length === 0) {
+    return { error: 'The proposed terms are the same as the current agreement' };
+  }
+  return { changes };
+}
+
+/**
+ * Whether any term a variation changes is no longer what it was when the variation was drafted
+ * @param {Object} tenancy - tenancies row
+ * @param {Object} variation - agreement_variations row
+ * @returns {boolean}
+ */
+function hasChangedSinceDrafted(tenancy, variation) {
+  return variation.changes.some(change => !sameValue(currentValue(tenancy, change.field), change.from));
+}
+
+/**
+ * A tenancy's variations, newest first
+ * @param {Object} db - pg pool or client
+ * @param {string} tenancyId - Tenancy ID
+ * @returns {Array} agreement_variations rows with the proposer's name
+ */
+async function getVariations(db, tenancyId) {
+  const result = await db.query(
+    `SELECT v.*, u.full_name as proposed_by_name
+     FROM agreement_variations v
+     LEFT JOIN users u ON v.proposed_by = u.id
+     WHERE v.tenancy_id = $1
+     ORDER BY v.created_at DESC`,
+    [tenancyId]
+  );
+  return result.rows;
+}
+
+/**
+ * Make an accepted variation's changes to the tenancy
+ * @param {Object} db - pg pool or client
+ * @param {Object} variation - agreement_variations row
+ */
+async function applyVariation(db, variation) {
+  for (const change of variation.changes) {
+    // Field names come from VARIABLE_FIELDS, never from the request
+    if (!VARIABLE_FIELDS[change.field]) continue;
+    await db.query(
+      `UPDATE tenancies SET ${change.field} = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [change.field === 'special_terms' ? JSON.stringify(change.to) : change.to, variation.tenancy_id]
+    );
+  }
+
+  await db.query(
+    `UPDATE agreement_variations
+     SET status = 'applied', applied_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [variation.id]
+  );
+}
+
+/**
+ * Apply accepted variations that have reached their effective date
+ * @param {Object} client - pg client inside a transaction
+ * @returns {number} Number of variations applied
+ */
+async function applyDueVariations(client) {
+  const due = await client.query(
+    `SELECT * FROM agreement_variations
+     WHERE status = 'accepted' AND effective_date <= CURRENT_DATE
+     ORDER BY effective_date ASC, variation_number ASC`
+  );
+
+  for (const variation of due.rows) {
+    await applyVariation(client, variation);
+  }
+
+  return due.rows.length;
+}
+
+/**
+ * A variation's value as it reads in the agreement
+ */
+function describeValue(tenancy, field, value, mergeData) {
+  if (field === 'special_terms') {
+    return value.length > 0
+      ? value.map(term => `${term.title}: ${mergeText(term.body, mergeData)}`).join('\n')
+      : 'None';
+  }
+  // The Room and Shared Areas read as the agreement's standard wording when left blank
+  if (MERGE_FIELDS[field]) {
+    return buildMergeData({ ...tenancy, [field]: value })[field];
+  }
+  return value || 'None stated';
+}
+
+/**
+ * A variation in the form the PDF generator takes
+ */
+function toDeed(variation, tenancy, mergeData) {
+  return {
+    variation_number: variation.variation_number,
+    effective_date: variation.effective_date,
+    reason: variation.reason,
+    changes: variation.changes.map(change => ({
+      label: change.label,
+      from_text: describeValue(tenancy, change.field, change.from, mergeData),
+      to_text: describeValue(tenancy, change.field, change.to, mergeData)
+    })),
+    signatures: ['landlord', 'lodger']
+      .filter(role => variation[`${role}_signed_at`])
+      .map(role => ({
+        role,
+        name: variation[`${role}_signed_name`],
+        image_file: variation[`${role}_signature_path`] ? signingService.resolveUpload(variation[`${role}_signature_path`]) : null,
+        signed_at: variation[`${role}_signed_at`]
+      })),
+    landlord_name: tenancy.landlord_name,
+    lodger_name: tenancy.lodger_name,
+    property_address: mergeData.property_address,
+    start_date: tenancy.start_date
+  };
+}
+
+/**
+ * Write the deed for a variation both parties have signed, and a new signed copy of the
+ * agreement with every agreed variation appended. The agreement itself is written with
+ * the terms as originally signed, so earlier variations already applied are undone first.
+ * The new copy becomes the tenancy's signed agreement.
+ * @param {Object} db - pg pool or client
+ * @param {string} variationId - agreement_variations ID
+ * @returns {Object} Updated agreement_variations row
+ */
+async function writeVariationDocuments(db, variationId) {
+  const variationResult = await db.query('SELECT * FROM agreement_variations WHERE id = $1', [variationId]);
+  const variation = variationResult.rows[0];
+
+  const tenancyResult = await db.query(
+    `SELECT t.*, landlord.full_name as landlord_name, lodger.full_name as lodger_name
+     FROM tenancies t
+     JOIN users landlord ON t.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     WHERE t.id = $1`,
+    [variation.tenancy_id]
+  );
+  const tenancy = tenancyResult.rows[0];
+
+  const agreed = await db.query(
+    `SELECT * FROM agreement_variations
+     WHERE tenancy_id = $1 AND status IN ('accepted', 'applied')
+     ORDER BY variation_number ASC`,
+    [tenancy.id]
+  );
+
+  const original = { ...tenancy };
+  agreed.rows
+    .filter(row => row.status === 'applied')
+    .reverse()
+    .forEach(row => row.changes.forEach(change => { original[change.field] = change.from; }));
+
+  const mergeData = buildMergeData(original);
+
+  await fs.mkdir(VARIATION_DIR, { recursive: true });
+  const deedFileName = `variation-deed-${variation.id}.pdf`;
+  await generateVariationDeedPDF(toDeed(variation, original, mergeData), path.join(VARIATION_DIR, deedFileName));
+  const deedPath = `/uploads/variations/${deedFileName}`;
+
+  await fs.mkdir(AGREEMENT_DIR, { recursive: true });
+  const agreementFileName = `agreement_${tenancy.id}_${Date.now()}_varied.pdf`;
+  const signing = await agreementTemplateService.getSigningDetails(db, original);
+  await agreementTemplateService.writeAgreementPDF(db, original, path.join(AGREEMENT_DIR, agreementFileName), {
+    ...signing,
+    variations: agreed.rows.map(row => toDeed(row, original, mergeData))
+  });
+  const agreementPath = `/uploads/agreements/${agreementFileName}`;
+  const agreementHash = await signingService.hashUpload(agreementPath);
+
+  await db.query(
+    `UPDATE tenancies
+     SET signed_agreement_path = $1, signed_agreement_hash = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [agreementPath, agreementHash, tenancy.id]
+  );
+
+  const result = await db.query(
+    `UPDATE agreement_variations
+     SET deed_path = $1, deed_hash = $2, agreement_path = $3, agreement_hash = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING *`,
+    [deedPath, await signingService.hashUpload(deedPath), agreementPath, agreementHash, variation.id]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  VARIABLE_FIELDS,
+  buildChanges,
+  hasChangedSinceDrafted,
+  getVariations,
+  applyVariation,
+  applyDueVariations,
+  writeVariationDocuments
+};
@@ -0,0 +1,176 @@
+const path = require('path');
+const fs = require('fs').promises;
+const moment = require('moment');
+const { generateJobSheetPDF } = require('./pdfService');
+const { MAINTENANCE_CATEGORIES } = require('./maintenanceService');
+
+const CONTRACTOR_TRADES = {
+  plumber: 'Plumber',
+  gas_engineer: 'Gas / heating engineer',
+  electrician: 'Electrician',
+  carpenter: 'Carpenter / joiner',
+  builder: 'Builder',
+  roofer: 'Roofer',
+  decorator: 'Painter & decorator',
+  locksmith: 'Locksmith',
+  glazier: 'Glazier',
+  pest_control: 'Pest control',
+  appliance_repair: 'Appliance repair',
+  cleaner: 'Cleaner',
+  handyperson: 'Handyperson',
+  other: 'Other'
+};
+
+const WORK_ORDER_STATUSES = {
+  issued: 'Issued',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+const JOB_SHEET_DIR = path.join(__dirname, '../../uploads/job-sheets');
+
+/**
+ * Take the next work order number for a landlord. Numbers run in sequence per landlord.
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} landlordId - Landlord user ID
+ * @returns {Object} { sequence, number }
+ */
+async function nextWorkOrderNumber(client, landlordId) {
+  // Serialise numbering per landlord so concurrent work orders can't take the same number
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`work_orders:${landlordId}`]);
+
+  const result = await client.query(
+    'SELECT COALESCE(MAX(sequence_number), 0) + 1 as next FROM work_orders WHERE landlord_id = $1',
+    [landlordId]
+  );
+  const sequence = parseInt(result.rows[0].next);
+
+  return { sequence, number: `WO-${String(sequence).padStart(5, '0')}` };
+}
+
+/**
+ * Gather what goes on a work order's job sheet
+ * @param {Object} db - pg pool or client
+ * @param {string} workOrderId - Work order ID
+ * @returns {Object|null} Details for pdfService.generateJobSheetPDF
+ */
+async function getJobSheetDetails(db, workOrderId) {
+  const result = await db.query(
+    `SELECT w.*, m.title, m.description, m.location, m.category, m.priority, m.reported_at,
+            c.name as contractor_name, c.company_name as contractor_company_name, c.trade,
+            c.phone as contractor_phone, c.gas_safe_number, c.niceic_number,
+            landlord.full_name as landlord_name, COALESCE(landlord.phone, landlord.phone_number) as landlord_phone,
+            lodger.full_name as lodger_name, COALESCE(lodger.phone, lodger.phone_number) as lodger_phone,
+            t.property_house_number, t.property_street_name, t.property_city, t.property_county, t.property_postcode
+     FROM work_orders w
+     JOIN maintenance_requests m ON w.maintenance_request_id = m.id
+     JOIN tenancies t ON m.tenancy_id = t.id
+     JOIN users landlord ON w.landlord_id = landlord.id
+     JOIN users lodger ON t.lodger_id = lodger.id
+     LEFT JOIN contractors c ON w.contractor_id = c.id
+     WHERE w.id = $1`,
+    [workOrderId]
+  );
+  const workOrder = result.rows[0];
+
+  if (!workOrder) {
+    return null;
+  }
+
+  return {
+    ...workOrder,
+    contractor_name: workOrder.contractor_name || 'Not yet assigned',
+    trade_label: CONTRACTOR_TRADES[workOrder.trade] || 'N/A',
+    category_label: MAINTENANCE_CATEGORIES[workOrder.category],
+    property_address: [workOrder.property_house_number, workOrder.property_street_name, workOrder.property_city, workOrder.property_county, workOrder.property_postcode]
+      .filter(part => part)
+      .join(', ')
+  };
+}
+
+/**
+ * Write a work order's job sheet to disk
+ * @param {Object} db - pg pool or client
+ * @param {string} workOrderId - Work order ID
+ * @returns {Object} { filePath, workOrderNumber }
+ */
+async function writeJobSheet(db, workOrderId) {
+  const details = await getJobSheetDetails(db, workOrderId);
+
+  await fs.mkdir(JOB_SHEET_DIR, { recursive: true });
+  const filePath = path.join(JOB_SHEET_DIR, `job-sheet-${details.work_order_number}-${details.id}.pdf`);
+  await generateJobSheetPDF(details, filePath);
+
+  return { filePath, workOrderNumber: details.work_order_number };
+}
+
+/**
+ * Record a contractor's invoice as a repairs expense, so it counts towards the landlord's
+ * allowable expenses for the tax year it was paid in. The expense is kept in step with the
+ * invoice if it is corrected later.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} workOrder - work_orders row with an invoice_amount
+ * @returns {string} Expense ID
+ */
+async function recordInvoiceExpense(client, workOrder) {
+  const details = await client.query(
+    `SELECT m.title, m.tenancy_id, c.name as contractor_name, c.company_name
+     FROM maintenance_requests m
+     LEFT JOIN contractors c ON c.id = $2
+     WHERE m.id = $1`,
+    [workOrder.maintenance_request_id, workOrder.contractor_id]
+  );
+  const { title, tenancy_id: tenancyId, contractor_name: contractorName, company_name: companyName } = details.rows[0];
+
+  const expense = {
+    description: `${workOrder.work_order_number}: ${title}`,
+    supplier: companyName || contractorName || null,
+    amount: workOrder.invoice_amount,
+    expenseDate: moment(workOrder.invoice_date || workOrder.completion_date || undefined).format('YYYY-MM-DD'),
+    notes: workOrder.invoice_reference ? `Invoice ${workOrder.invoice_reference}` : null
+  };
+
+  if (workOrder.expense_id) {
+    // The landlord may have apportioned the expense since; that is left as they set it
+    const updated = await client.query(
+      `UPDATE expenses
+       SET description = $1, supplier = $2, amount = $3, expense_date = $4, notes = $5,
+           receipt_path = COALESCE($6, receipt_path), receipt_filename = COALESCE($7, receipt_filename),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING id`,
+      [
+        expense.description, expense.supplier, expense.amount, expense.expenseDate, expense.notes,
+        workOrder.invoice_path, workOrder.invoice_filename, workOrder.expense_id
+      ]
+    );
+    if (updated.rows.length > 0) {
+      return updated.rows[0].id;
+    }
+  }
+
+  const created = await client.query(
+    `INSERT INTO expenses (
+        landlord_id, tenancy_id, category, description, supplier, amount,
+        expense_date, receipt_path, receipt_filename, notes
+     ) VALUES ($1, $2, 'repairs_maintenance', $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      workOrder.landlord_id, tenancyId, expense.description, expense.supplier, expense.amount,
+      expense.expenseDate, workOrder.invoice_path, workOrder.invoice_filename, expense.notes
+    ]
+  );
+
+  await client.query('UPDATE work_orders SET expense_id = $1 WHERE id = $2', [created.rows[0].id, workOrder.id]);
+
+  return created.rows[0].id;
+}
+
+module.exports = {
+  CONTRACTOR_TRADES,
+  WORK_ORDER_STATUSES,
+  nextWorkOrderNumber,
+  getJobSheetDetails,
+  writeJobSheet,
+  recordInvoiceExpense
+};
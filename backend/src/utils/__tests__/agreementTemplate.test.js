@@ -0,0 +1,70 @@
+const {
+  buildMergeData,
+  mergeText,
+  findUnknownMergeFields,
+  validateTemplateContent
+} = require('../agreementTemplate');
+
+const validContent = () => ({
+  title: 'Lodger Agreement',
+  particulars: ['Householder: {{landlord_name}}'],
+  sections: [{ heading: 'Payments', clauses: ['The Lodger pays {{rent_amount}} {{payment_frequency}}.'] }]
+});
+
+describe('mergeText', () => {
+  it('replaces known fields and leaves unknown ones', () => {
+    expect(mergeText('{{lodger_name}} pays {{ rent_amount }} to {{nobody}}', {
+      lodger_name: 'Sam Lee',
+      rent_amount: '£550.00'
+    })).toBe('Sam Lee pays £550.00 to {{nobody}}');
+  });
+
+  it('treats missing text as empty', () => {
+    expect(mergeText(null, {})).toBe('');
+  });
+});
+
+describe('findUnknownMergeFields', () => {
+  it('lists each unknown field once', () => {
+    expect(findUnknownMergeFields(['{{pet_name}} and {{lodger_name}}', '{{pet_name}} {{car_reg}}']))
+      .toEqual(['pet_name', 'car_reg']);
+  });
+});
+
+describe('buildMergeData', () => {
+  it('describes a calendar payment day', () => {
+    const data = buildMergeData({ payment_type: 'calendar', payment_day_of_month: 22, payment_frequency: 'monthly', monthly_rent: 600 });
+    expect(data.payment_day).toBe('The 22nd day of each month');
+    expect(data.payment_frequency).toBe('monthly');
+    expect(data.rent_amount).toBe('£600.00');
+  });
+
+  it('describes a payment cycle from the start day', () => {
+    const data = buildMergeData({ payment_type: 'cycle', payment_frequency: '4-weekly', start_date: '2026-03-01' });
+    expect(data.payment_day).toBe('Every 28 days from the Start Day');
+    expect(data.start_date).toBe('1 March 2026');
+  });
+
+  it('joins the parts of the address that are set', () => {
+    const data = buildMergeData({ property_house_number: '12', property_street_name: 'High Street', property_postcode: 'AB1 2CD' });
+    expect(data.property_address).toBe('12, High Street, AB1 2CD');
+  });
+});
+
+describe('validateTemplateContent', () => {
+  it('accepts complete content', () => {
+    expect(validateTemplateContent(validContent())).toBeNull();
+  });
+
+  it('needs a clause in every section', () => {
+    const content = validContent();
+    content.sections.push({ heading: 'Notice', clauses: [] });
+    expect(validateTemplateContent(content)).toBe('Section "Notice" needs at least one clause');
+  });
+
+  it('rejects unknown merge fields', () => {
+    const content = validContent();
+    content.sections[0].clauses.push('Parking bay {{bay_number}}');
+    expect(validateTemplateContent(content)).toBe('Unknown merge field: {{bay_number}}');
+  });
+});
@@ -0,0 +1,141 @@
+const {
+  BANK_PRESETS,
+  parseCsv,
+  parseAmount,
+  findHeaderRow,
+  detectPreset,
+  parseBankStatement
+} = require('../bankStatementParser');
+
+describe('parseCsv', () => {
+  it('handles quoted commas, escaped quotes and line breaks inside quotes', () => {
+    const text = 'Date,Description\n01/03/2025,"SMITH, J ""RENT"""\n02/03/2025,"LINE ONE\nLINE TWO"\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['Date', 'Description'],
+      ['01/03/2025', 'SMITH, J "RENT"'],
+      ['02/03/2025', 'LINE ONE\nLINE TWO']
+    ]);
+  });
+
+  it('strips a byte order mark, reads CRLF line endings and skips blank lines', () => {
+    expect(parseCsv('\uFEFFDate,Amount\r\n\r\n01/03/2025,600.00\r\n')).toEqual([
+      ['Date', 'Amount'],
+      ['01/03/2025', '600.00']
+    ]);
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads pounds with symbols and thousands separators', () => {
+    expect(parseAmount('£1,234.56')).toBe(1234.56);
+    expect(parseAmount('+600.00')).toBe(600);
+  });
+
+  it('reads a leading minus or brackets as a negative amount', () => {
+    expect(parseAmount('-50.00')).toBe(-50);
+    expect(parseAmount('(50.00)')).toBe(-50);
+  });
+
+  it('returns null for an empty or unreadable cell', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount(undefined)).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+  });
+});
+
+describe('findHeaderRow', () => {
+  it('skips account details above the column headers', () => {
+    const rows = [['Account Name:', 'FlexAccount'], ['Account Balance:', '£1,000.00'], ['Date', 'Description', 'Paid in']];
+
+    expect(findHeaderRow(rows, 'Date')).toBe(2);
+  });
+
+  it('uses the first row when the date column is not found', () => {
+    expect(findHeaderRow([['When', 'Amount']], 'Date')).toBe(0);
+  });
+});
+
+describe('detectPreset', () => {
+  it('recognises banks with separate money in and money out columns', () => {
+    const headers = ['Transaction Date', 'Transaction Type', 'Sort Code', 'Account Number', 'Transaction Description', 'Debit Amount', 'Credit Amount', 'Balance'];
+
+    expect(detectPreset(headers)).toBe('lloyds');
+  });
+
+  it('prefers the bank needing the most columns when a simpler one also fits', () => {
+    const monzo = ['Transaction ID', 'Date', 'Time', 'Type', 'Name', 'Category', 'Amount', 'Currency', 'Notes and #tags', 'Description'];
+
+    expect(detectPreset(monzo)).toBe('monzo');
+    expect(detectPreset(['Date', 'Description', 'Amount'])).toBe('hsbc');
+  });
+
+  it('ignores the case of headers', () => {
+    expect(detectPreset(['date', 'type', 'description', 'value', 'balance'])).toBe('natwest');
+  });
+
+  it('returns null when no bank matches', () => {
+    expect(detectPreset(['When', 'How much'])).toBeNull();
+  });
+});
+
+describe('parseBankStatement', () => {
+  it('reads a single signed amount column', () => {
+    const text = 'Date,Description,Amount\n03/03/2025,FP J SMITH LDG12345,600.00\n04/03/2025,COUNCIL TAX,-120.50\n';
+    const { transactions, errors } = parseBankStatement(text, BANK_PRESETS.hsbc);
+
+    expect(errors).toEqual([]);
+    expect(transactions.map(({ rowNumber, date, amount, reference }) => ({ rowNumber, date, amount, reference }))).toEqual([
+      { rowNumber: 2, date: '2025-03-03', amount: 600, reference: 'FP J SMITH LDG12345' },
+      { rowNumber: 3, date: '2025-03-04', amount: -120.5, reference: 'COUNCIL TAX' }
+    ]);
+  });
+
+  it('combines money in and money out columns and reads written month dates', () => {
+    const text = [
+      '"Account Name:","FlexAccount ****1234"',
+      '"Date","Transaction type","Description","Paid out","Paid in","Balance"',
+      '"03 Mar 2025","Bank credit","J SMITH LDG12345","","£600.00","£1,600.00"',
+      '"04 Mar 2025","Payment to","COUNCIL TAX","£120.50","","£1,479.50"'
+    ].join('\n');
+    const { headers, transactions } = parseBankStatement(text, BANK_PRESETS.nationwide);
+
+    expect(headers[0]).toBe('Date');
+    expect(transactions.map(({ date, amount }) => ({ date, amount }))).toEqual([
+      { date: '2025-03-03', amount: 600 },
+      { date: '2025-03-04', amount: -120.5 }
+    ]);
+  });
+
+  it('accepts ISO dates whatever the mapped format', () => {
+    const { transactions } = parseBankStatement('Date,Description,Amount\n2025-03-03,RENT,600\n', BANK_PRESETS.hsbc);
+
+    expect(transactions[0].date).toBe('2025-03-03');
+  });
+
+  it('joins description columns and keeps the raw row', () => {
+    const text = 'Date,Name,Description,Amount,Notes and #tags\n03/03/2025,Jane Smith,Bank transfer,600.00,LDG12345\n';
+    const [transaction] = parseBankStatement(text, BANK_PRESETS.monzo).transactions;
+
+    expect(transaction.description).toBe('Jane Smith Bank transfer');
+    expect(transaction.reference).toBe('LDG12345');
+    expect(transaction.raw.Name).toBe('Jane Smith');
+  });
+
+  it('reports rows with a bad date or no amount and carries on', () => {
+    const text = 'Date,Description,Amount\n31/02/2025,RENT,600\n03/03/2025,RENT,\n04/03/2025,RENT,600\n';
+    const { transactions, errors } = parseBankStatement(text, BANK_PRESETS.hsbc);
+
+    expect(errors).toEqual([
+      { rowNumber: 2, error: 'Invalid date "31/02/2025"' },
+      { rowNumber: 3, error: 'Missing amount' }
+    ]);
+    expect(transactions).toHaveLength(1);
+  });
+
+  it('rejects a mapping the file does not fit', () => {
+    expect(() => parseBankStatement('When,Amount\n03/03/2025,600\n', BANK_PRESETS.hsbc)).toThrow('Date column "Date" not found in file');
+    expect(() => parseBankStatement('Date,Description\n03/03/2025,RENT\n', { date: 'Date', description: ['Description'] }))
+      .toThrow('Mapping must include an amount or credit column');
+  });
+});
@@ -0,0 +1,434 @@
+const {
+  generatePaymentSchedule,
+  getNextDueDate,
+  calculatePartialPeriodRent,
+  calculatePeriodRent,
+  checkRentIncrease,
+  getIncreaseBaseRent,
+  isStartDateAnniversary,
+  getNextRentReviewDate,
+  repriceScheduleRows,
+  getNoticeExpiryDates,
+  calculateLateInterest,
+  calculatePaymentInterest,
+  countDaysOccupied,
+  splitBillByDaysOccupied,
+  splitBillByFixedShare
+} = require('../paymentCalculator');
+
+const dueDates = (schedule) => schedule.map(payment => payment.dueDate);
+const total = (schedule) => parseFloat(schedule.reduce((sum, payment) => sum + payment.rentDue, 0).toFixed(2));
+
+describe('getNextDueDate', () => {
+  it('adds the cycle length for cycle payments', () => {
+    expect(getNextDueDate('2025-01-01', 28, 'cycle').format('YYYY-MM-DD')).toBe('2025-01-29');
+  });
+
+  it('moves payment day 31 to the last day of shorter months', () => {
+    expect(getNextDueDate('2025-01-31', 30, 'calendar', 31).format('YYYY-MM-DD')).toBe('2025-02-28');
+    expect(getNextDueDate('2024-01-31', 30, 'calendar', 31).format('YYYY-MM-DD')).toBe('2024-02-29');
+    expect(getNextDueDate('2025-03-31', 30, 'calendar', 31).format('YYYY-MM-DD')).toBe('2025-04-30');
+  });
+
+  it('returns to the 31st after a short month', () => {
+    expect(getNextDueDate('2025-02-28', 30, 'calendar', 31).format('YYYY-MM-DD')).toBe('2025-03-31');
+  });
+
+  it('uses the payment day later in the same month when the start is before it', () => {
+    expect(getNextDueDate('2025-01-10', 30, 'calendar', 20).format('YYYY-MM-DD')).toBe('2025-01-20');
+  });
+});
+
+describe('generatePaymentSchedule', () => {
+  describe('cycle payments', () => {
+    it('charges the first cycle plus a cycle in advance, then full cycles', () => {
+      const schedule = generatePaymentSchedule('2025-01-01', 600, 3, 0, 28, 'cycle');
+
+      expect(dueDates(schedule)).toEqual(['2025-01-01', '2025-01-29', '2025-02-26']);
+      expect(schedule[0].rentDue).toBe(1103.82);
+      expect(schedule[1].rentDue).toBe(551.91);
+      expect(schedule[2].rentDue).toBe(551.91);
+    });
+
+    it('pro-rates the final cycle by the day and credits the advance', () => {
+      const schedule = generatePaymentSchedule('2025-01-01', 600, 52, 0, 28, 'cycle', 1, { endDate: '2025-03-10' });
+
+      expect(dueDates(schedule)).toEqual(['2025-01-01', '2025-01-29', '2025-02-26']);
+      // 13 days from 26 Feb to 10 Mar at £19.71 a day, less the £551.91 advance
+      expect(schedule[2].rentDue).toBe(-295.67);
+      // Two full cycles plus 13 days, once the advance has been used
+      expect(total(schedule)).toBe(1360.06);
+    });
+
+    it('charges a final cycle ending the day before the next due date in full', () => {
+      const schedule = generatePaymentSchedule('2025-01-01', 600, 52, 0, 28, 'cycle', 1, { endDate: '2025-02-25' });
+
+      expect(schedule).toHaveLength(2);
+      expect(schedule[1].rentDue).toBe(0);
+    });
+  });
+
+  describe('calendar payments', () => {
+    it('charges a full month plus advance when the tenancy starts on the payment day', () => {
+      const schedule = generatePaymentSchedule('2025-01-01', 600, 3, 0, 30, 'calendar', 1);
+
+      expect(dueDates(schedule)).toEqual(['2025-01-01', '2025-02-01', '2025-03-01']);
+      expect(schedule[0].rentDue).toBe(1200);
+      expect(schedule[1].rentDue).toBe(600);
+    });
+
+    it('pro-rates a short first period up to the first payment day', () => {
+      const schedule = generatePaymentSchedule('2025-01-15', 600, 3, 0, 30, 'calendar', 1);
+
+      expect(dueDates(schedule)).toEqual(['2025-01-15', '2025-02-01', '2025-03-01']);
+      // 17 days at £600 x 12 / 365, plus a month in advance
+      expect(schedule[0].rentDue).toBe(935.34);
+    });
+
+    it('keeps payment day 31 on the last day of each month without drifting', () => {
+      const schedule = generatePaymentSchedule('2025-01-31', 600, 6, 0, 30, 'calendar', 31);
+
+      expect(dueDates(schedule)).toEqual([
+        '2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31', '2025-06-30'
+      ]);
+      expect(schedule[0].rentDue).toBe(1200);
+      schedule.slice(1).forEach(payment => expect(payment.rentDue).toBe(600));
+    });
+
+    it('handles payment day 31 in a leap year February', () => {
+      const schedule = generatePaymentSchedule('2024-01-31', 600, 3, 0, 30, 'calendar', 31);
+
+      expect(dueDates(schedule)).toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+    });
+
+    it('pro-rates a start part way through the month when payment day is 31', () => {
+      const schedule = generatePaymentSchedule('2025-02-10', 600, 3, 0, 30, 'calendar', 31);
+
+      expect(dueDates(schedule)).toEqual(['2025-02-10', '2025-02-28', '2025-03-31']);
+      // 18 days from 10 to 27 Feb, plus a month in advance
+      expect(schedule[0].rentDue).toBe(955.07);
+    });
+
+    it('pro-rates the final month and shows a refund when the advance exceeds it', () => {
+      const schedule = generatePaymentSchedule('2025-01-15', 600, 52, 0, 30, 'calendar', 1, { endDate: '2025-03-10' });
+
+      expect(dueDates(schedule)).toEqual(['2025-01-15', '2025-02-01', '2025-03-01']);
+      // 10 days in March less the month in advance
+      expect(schedule[2].rentDue).toBe(-402.74);
+    });
+
+    it('charges only the days occupied when the tenancy ends in the first period', () => {
+      const schedule = generatePaymentSchedule('2025-01-15', 600, 52, 0, 30, 'calendar', 1, { endDate: '2025-01-24' });
+
+      expect(schedule).toHaveLength(1);
+      expect(schedule[0].rentDue).toBe(197.26);
+    });
+  });
+
+  it('continues an existing schedule without an advance', () => {
+    const schedule = generatePaymentSchedule('2025-02-28', 600, 3, 0, 30, 'calendar', 31, { continuation: true });
+
+    expect(dueDates(schedule)).toEqual(['2025-02-28', '2025-03-31', '2025-04-30']);
+    schedule.forEach(payment => expect(payment.rentDue).toBe(600));
+  });
+});
+
+describe('calculatePartialPeriodRent', () => {
+  it('charges a full calendar month in full regardless of its length', () => {
+    const period = calculatePartialPeriodRent('2025-02-28', '2025-03-30', 600, 30, 'calendar', 31);
+
+    expect(period.fullPeriod).toBe(true);
+    expect(period.days).toBe(31);
+    expect(period.rent).toBe(600);
+  });
+
+  it('never charges beyond the end of the period', () => {
+    const period = calculatePartialPeriodRent('2025-01-01', '2025-06-01', 600, 28, 'cycle');
+
+    expect(period.periodEnd).toBe('2025-01-28');
+    expect(period.rent).toBe(551.91);
+  });
+});
+
+describe('calculatePeriodRent', () => {
+  it('splits a period between the old and new rent at the effective date', () => {
+    const changes = [{ effective_date: '2025-01-16', new_rent: 630 }];
+
+    // 15 days at £600 and 16 days at £630 of a 31 day month
+    expect(calculatePeriodRent('2025-01-01', '2025-01-31', 600, changes, 30, 'calendar')).toBe(615.48);
+  });
+
+  it('uses the new rent for a whole period after the change', () => {
+    const changes = [{ effective_date: '2025-01-16', new_rent: 630 }];
+
+    expect(calculatePeriodRent('2025-02-01', '2025-02-28', 600, changes, 30, 'calendar')).toBe(630);
+  });
+
+  it('uses the old rent for a whole period before the change', () => {
+    const changes = [{ effective_date: '2025-02-16', new_rent: 630 }];
+
+    expect(calculatePeriodRent('2025-01-01', '2025-01-31', 600, changes, 30, 'calendar')).toBe(600);
+  });
+
+  it('pro-rates a 28-day cycle by days', () => {
+    const changes = [{ effective_date: '2025-02-10', new_rent: 630 }];
+
+    // 12 days at £551.91 and 16 days at £579.50 per cycle
+    expect(calculatePeriodRent('2025-01-29', '2025-02-25', 600, changes, 28, 'cycle')).toBe(567.67);
+  });
+
+  it('splits a period across more than one change', () => {
+    const changes = [
+      { effective_date: '2025-01-08', new_rent: 620 },
+      { effective_date: '2025-01-22', new_rent: 640 }
+    ];
+
+    expect(calculatePeriodRent('2025-01-01', '2025-01-28', 600, changes, 28, 'cycle')).toBe(570.3);
+  });
+});
+
+describe('checkRentIncrease', () => {
+  it('allows an increase of up to 5%', () => {
+    expect(checkRentIncrease(600, 630)).toEqual({ allowed: true, increasePercent: 5, maxAllowedRent: 630 });
+  });
+
+  it('rejects an increase over 5%', () => {
+    expect(checkRentIncrease(600, 640).allowed).toBe(false);
+  });
+
+  it('always allows a decrease', () => {
+    expect(checkRentIncrease(600, 550)).toEqual({ allowed: true, increasePercent: 0, maxAllowedRent: 630 });
+  });
+
+  it('rejects a rent a penny over the cap even though the percentage rounds to 5%', () => {
+    expect(checkRentIncrease(600.1, 630.11)).toEqual({ allowed: false, increasePercent: 5, maxAllowedRent: 630.1 });
+  });
+
+  it('allows a rent exactly at the cap where the percentage works out a fraction over 5%', () => {
+    expect(checkRentIncrease(100.6, 105.63).allowed).toBe(true);
+  });
+});
+
+describe('getIncreaseBaseRent', () => {
+  const changes = [{ effective_date: '2025-03-01', new_rent: 630 }];
+
+  it('measures from the rent in force a year before, so an earlier increase within 12 months counts', () => {
+    expect(getIncreaseBaseRent('2026-01-01', 600, changes)).toBe(600);
+    expect(checkRentIncrease(getIncreaseBaseRent('2026-01-01', 600, changes), 650).allowed).toBe(false);
+  });
+
+  it('measures from the changed rent once it has been in force for a year', () => {
+    expect(getIncreaseBaseRent('2026-03-01', 600, changes)).toBe(630);
+  });
+});
+
+describe('isStartDateAnniversary', () => {
+  it('accepts the same day in a later year', () => {
+    expect(isStartDateAnniversary('2026-03-10', '2025-03-10')).toBe(true);
+    expect(isStartDateAnniversary('2028-03-10', '2025-03-10')).toBe(true);
+  });
+
+  it('rejects any other day, and the start date itself', () => {
+    expect(isStartDateAnniversary('2026-03-11', '2025-03-10')).toBe(false);
+    expect(isStartDateAnniversary('2026-04-10', '2025-03-10')).toBe(false);
+    expect(isStartDateAnniversary('2025-03-10', '2025-03-10')).toBe(false);
+  });
+
+  it('takes 28 February as the anniversary of a 29 February start outside a leap year', () => {
+    expect(isStartDateAnniversary('2025-02-28', '2024-02-29')).toBe(true);
+  });
+});
+
+describe('getNextRentReviewDate', () => {
+  it('gives the next anniversary at least a calendar month after notice is given', () => {
+    expect(getNextRentReviewDate('2026-02-10', '2025-03-10')).toBe('2026-03-10');
+  });
+
+  it('moves to the following year when less than a calendar month is left', () => {
+    expect(getNextRentReviewDate('2026-02-11', '2025-03-10')).toBe('2027-03-10');
+  });
+
+  it('measures the month by the calendar rather than as 28 days', () => {
+    // 28 days from 10 April would reach 8 May, but a calendar month runs to 10 May
+    expect(getNextRentReviewDate('2026-04-10', '2025-05-08')).toBe('2027-05-08');
+  });
+});
+
+describe('repriceScheduleRows', () => {
+  const changes = [{ effective_date: '2025-02-10', new_rent: 630 }];
+  const row = (id, paymentNumber, dueDate, extra = {}) => ({
+    id,
+    payment_number: paymentNumber,
+    due_date: dueDate,
+    rent_due: paymentNumber === 1 ? 1103.81 : 551.91,
+    rent_paid: 0,
+    payment_status: 'pending',
+    ...extra
+  });
+
+  it('pro-rates the period spanning the change and charges the new rent after it', () => {
+    const rows = [row('a', 1, '2025-01-01'), row('b', 2, '2025-01-29'), row('c', 3, '2025-02-26'), row('d', 4, '2025-03-26')];
+
+    expect(repriceScheduleRows(rows, '2025-02-10', 600, changes, { cycleDays: 28 })).toEqual([
+      { id: 'b', rent_due: 567.67 },
+      { id: 'c', rent_due: 579.5 },
+      { id: 'd', rent_due: 579.5 }
+    ]);
+  });
+
+  it('leaves the first payment alone even when its period spans the change', () => {
+    const rows = [row('a', 1, '2025-01-01'), row('b', 2, '2025-03-01')];
+
+    expect(repriceScheduleRows(rows, '2025-01-15', 600, [{ effective_date: '2025-01-15', new_rent: 630 }], { cycleDays: 28 })
+      .map(repriced => repriced.id)).toEqual(['b']);
+  });
+
+  it('leaves rows with money against them, settled rows and the final settlement alone', () => {
+    const rows = [
+      row('a', 1, '2025-01-01'),
+      row('b', 2, '2025-01-29', { rent_paid: 100, payment_status: 'partial' }),
+      row('c', 3, '2025-02-26', { payment_status: 'paid' }),
+      row('d', 4, '2025-03-26'),
+      row('e', 5, '2025-04-23')
+    ];
+
+    expect(repriceScheduleRows(rows, '2025-02-10', 600, changes, { cycleDays: 28, settlementRowId: 'e' })).toEqual([
+      { id: 'd', rent_due: 579.5 }
+    ]);
+  });
+
+  it('leaves periods ending before the date and rows already at the right rent alone', () => {
+    const rows = [row('a', 1, '2025-01-01'), row('b', 2, '2025-01-29'), row('c', 3, '2025-02-26', { rent_due: 579.5 })];
+
+    expect(repriceScheduleRows(rows, '2025-02-26', 600, changes, { cycleDays: 28 })).toEqual([]);
+  });
+});
+
+describe('getNoticeExpiryDates', () => {
+  it('expires the day before the first payment day a month or more away', () => {
+    expect(getNoticeExpiryDates('2025-03-10', '2025-01-01', 30, 'calendar', 1)).toEqual(['2025-04-30']);
+  });
+
+  it('allows exactly a month when notice is given on a payment day', () => {
+    expect(getNoticeExpiryDates('2025-03-01', '2025-01-01', 30, 'calendar', 1)).toEqual(['2025-03-31']);
+  });
+
+  it('follows 28 day cycles and lists later dates in order', () => {
+    expect(getNoticeExpiryDates('2025-02-01', '2025-01-01', 28, 'cycle', 1, 2)).toEqual(['2025-03-25', '2025-04-22']);
+  });
+});
+
+describe('calculateLateInterest', () => {
+  const baseRates = [
+    { rate: 5.25, effective_from: '2023-08-03' },
+    { rate: 5, effective_from: '2024-08-01' },
+    { rate: 4.75, effective_from: '2024-11-07' }
+  ];
+
+  it('charges nothing for a payment made within 14 days of the due date', () => {
+    expect(calculateLateInterest(600, '2024-09-01', '2024-09-15', baseRates)).toEqual({ daysLate: 14, interest: 0, periods: [] });
+  });
+
+  it('charges interest from the due date once the 14 days have passed', () => {
+    // 15 days at 5% base + 3%
+    expect(calculateLateInterest(600, '2024-09-01', '2024-09-16', baseRates)).toEqual({
+      daysLate: 15,
+      interest: 1.97,
+      periods: [{ from: '2024-09-01', to: '2024-09-16', days: 15, baseRate: 5, annualRate: 8, interest: 1.97 }]
+    });
+  });
+
+  it('splits the period where the base rate changes', () => {
+    const result = calculateLateInterest(600, '2024-10-01', '2024-12-01', baseRates);
+
+    expect(result.periods.map(({ days, annualRate, interest }) => ({ days, annualRate, interest }))).toEqual([
+      { days: 37, annualRate: 8, interest: 4.87 },
+      { days: 24, annualRate: 7.75, interest: 3.06 }
+    ]);
+    expect(result.interest).toBe(7.93);
+  });
+
+  it('charges just the margin when no base rate was in force', () => {
+    expect(calculateLateInterest(600, '2024-09-01', '2024-10-01', []).interest).toBe(1.48);
+  });
+});
+
+describe('calculatePaymentInterest', () => {
+  const baseRates = [
+    { rate: 5, effective_from: '2024-08-01' },
+    { rate: 4.75, effective_from: '2024-11-07' }
+  ];
+
+  it('charges only the late instalment, from the due date to the day it was paid', () => {
+    // £590 paid within the 14 days, the last £10 paid 90 days late
+    const payment = { due_date: '2024-09-01', rent_due: '600.00', rent_paid: '600.00', payment_date: '2024-11-30' };
+    const instalments = [{ amount: '590.00', date: '2024-09-05' }, { amount: '10.00', date: '2024-11-30' }];
+    const result = calculatePaymentInterest(payment, instalments, '2024-12-31', baseRates);
+
+    expect(result.periods.map(({ principal, basis, days, annualRate }) => ({ principal, basis, days, annualRate }))).toEqual([
+      { principal: 10, basis: 'paid', days: 67, annualRate: 8 },
+      { principal: 10, basis: 'paid', days: 23, annualRate: 7.75 }
+    ]);
+    expect(result).toMatchObject({ daysLate: 90, outstanding: 0, interest: 0.2 });
+  });
+
+  it('runs each late instalment to its own date and the rest still owed to date', () => {
+    const payment = { due_date: '2024-09-01', rent_due: '600.00', rent_paid: '400.00', payment_date: '2024-10-01' };
+    const instalments = [{ amount: '150.00', date: '2024-09-10' }, { amount: '250.00', date: '2024-10-01' }];
+    const result = calculatePaymentInterest(payment, instalments, '2024-10-31', baseRates);
+
+    expect(result.periods.map(({ principal, basis, days }) => ({ principal, basis, days }))).toEqual([
+      { principal: 250, basis: 'paid', days: 30 },
+      { principal: 200, basis: 'outstanding', days: 60 }
+    ]);
+    expect(result).toMatchObject({ daysLate: 60, outstanding: 200, interest: 4.27 });
+  });
+
+  it('takes rent paid without allocations as paid on the payment date', () => {
+    const payment = { due_date: '2024-09-01', rent_due: '600.00', rent_paid: '600.00', payment_date: '2024-10-01' };
+
+    expect(calculatePaymentInterest(payment, [], '2024-10-31', baseRates)).toMatchObject({ daysLate: 30, interest: 3.95 });
+  });
+
+  it('charges nothing on rent paid in full within 14 days', () => {
+    const payment = { due_date: '2024-09-01', rent_due: '600.00', rent_paid: '600.00', payment_date: '2024-09-10' };
+    const instalments = [{ amount: '600.00', date: '2024-09-10' }];
+
+    expect(calculatePaymentInterest(payment, instalments, '2024-10-01', baseRates)).toEqual({ daysLate: 9, outstanding: 0, interest: 0, periods: [] });
+  });
+});
+
+describe('countDaysOccupied', () => {
+  it('counts only the days inside the billing period', () => {
+    expect(countDaysOccupied('2025-01-01', '2025-03-31', '2025-02-15', null)).toBe(45);
+    expect(countDaysOccupied('2025-01-01', '2025-03-31', '2024-06-01', '2025-01-10')).toBe(10);
+    expect(countDaysOccupied('2025-01-01', '2025-03-31', '2025-04-01', null)).toBe(0);
+  });
+});
+
+describe('splitBillByDaysOccupied', () => {
+  it('leaves the householder a share for every day of the period', () => {
+    const shares = splitBillByDaysOccupied(300, 90, [{ id: 'a', days: 90 }, { id: 'b', days: 45 }]);
+
+    expect(shares.map(share => share.amount)).toEqual([120, 60]);
+    expect(shares[0].sharePercent).toBe(40);
+  });
+
+  it('shares the whole bill between lodgers when the householder is excluded', () => {
+    const shares = splitBillByDaysOccupied(100, 90, [{ id: 'a', days: 90 }, { id: 'b', days: 90 }, { id: 'c', days: 90 }], false);
+
+    expect(shares.map(share => share.amount)).toEqual([33.33, 33.33, 33.34]);
+  });
+});
+
+describe('splitBillByFixedShare', () => {
+  it('charges each lodger their percentage of the bill', () => {
+    const shares = splitBillByFixedShare(250, [{ id: 'a', sharePercent: 25 }, { id: 'b', sharePercent: 33.3 }]);
+
+    expect(shares.map(share => share.amount)).toEqual([62.5, 83.25]);
+  });
+
+  it('rejects shares adding up to more than 100%', () => {
+    expect(() => splitBillByFixedShare(100, [{ id: 'a', sharePercent: 60 }, { id: 'b', sharePercent: 50 }])).toThrow();
+  });
+});
@@ -0,0 +1,106 @@
+const { referenceSimilarity, scoreMatch, proposeMatches } = require('../paymentMatcher');
+
+const candidate = (overrides = {}) => ({
+  id: 'march',
+  due_date: '2025-03-01',
+  outstanding: '600.00',
+  lodger_reference: 'LDG12345',
+  lodger_name: 'Jane Smith',
+  ...overrides
+});
+
+const transaction = (overrides = {}) => ({
+  date: '2025-03-01',
+  amount: 600,
+  description: '',
+  reference: '',
+  ...overrides
+});
+
+describe('referenceSimilarity', () => {
+  it('finds a reference inside the bank text whatever its punctuation', () => {
+    expect(referenceSimilarity('LDG-12345', 'FASTER PAYMENT J SMITH LDG12345 RENT')).toBe(1);
+  });
+
+  it('scores a reference the bank has cut short', () => {
+    expect(referenceSimilarity('LDG12345', 'J SMITH LDG1234')).toBe(0.875);
+  });
+
+  it('ignores references too short to be told apart', () => {
+    expect(referenceSimilarity('AB1', 'AB1 RENT')).toBe(0);
+  });
+});
+
+describe('scoreMatch', () => {
+  it('scores a payment with the reference, the amount due and the due date', () => {
+    expect(scoreMatch(transaction({ description: 'FP LDG12345' }), candidate())).toEqual({
+      score: 100,
+      reasons: ['Payment reference matches', 'Amount matches exactly', 'Same day as expected'],
+      referenceMatched: true,
+      amountMatched: true
+    });
+  });
+
+  it('gives fewer points for an amount within 2% or a possible part payment', () => {
+    expect(scoreMatch(transaction({ amount: 590, description: 'LDG12345' }), candidate())).toMatchObject({ score: 90, amountMatched: true });
+    expect(scoreMatch(transaction({ amount: 300, description: 'LDG12345' }), candidate())).toMatchObject({ score: 75, amountMatched: false });
+  });
+
+  it('matches the amount the lodger said they paid', () => {
+    const result = scoreMatch(transaction({ amount: 250, description: 'LDG12345' }), candidate({ lodger_submitted_amount: '250.00' }));
+
+    expect(result.reasons).toContain('Amount matches exactly');
+  });
+
+  it('gives no date points outside the window', () => {
+    expect(scoreMatch(transaction({ date: '2025-03-20', description: 'LDG12345' }), candidate()).score).toBe(80);
+  });
+
+  it('counts the lodger\'s surname in the description', () => {
+    const result = scoreMatch(transaction({ date: '2025-03-03', description: 'J SMITH RENT' }), candidate());
+
+    expect(result).toMatchObject({ score: 58, referenceMatched: false, amountMatched: true });
+    expect(result.reasons).toContain('Lodger name appears in description');
+  });
+});
+
+describe('proposeMatches', () => {
+  it('proposes a match backed by the reference or the amount that scores at least 60', () => {
+    expect(proposeMatches([transaction({ amount: 300, description: 'LDG12345' })], [candidate()])[0])
+      .toMatchObject({ paymentId: 'march', score: 75 });
+    expect(proposeMatches([transaction({ description: 'J SMITH RENT' })], [candidate()])[0])
+      .toMatchObject({ paymentId: 'march', score: 65 });
+  });
+
+  it('proposes nothing for a weak match or one backed by neither the reference nor the amount', () => {
+    expect(proposeMatches([transaction({ date: '2025-03-03', description: 'J SMITH RENT' })], [candidate()])).toEqual([null]);
+    expect(proposeMatches([transaction({ amount: 100, description: 'J SMITH RENT' })], [candidate({ lodger_reference: null })])).toEqual([null]);
+  });
+
+  it('proposes each schedule row for only one transaction, best score first', () => {
+    const proposals = proposeMatches([
+      transaction({ date: '2025-03-04', description: 'LDG12345' }),
+      transaction({ description: 'FP LDG12345' })
+    ], [candidate()]);
+
+    expect(proposals[0]).toBeNull();
+    expect(proposals[1]).toMatchObject({ paymentId: 'march', score: 100 });
+  });
+
+  it('settles an ambiguous payment by the date when two rows are for the same amount', () => {
+    const rows = [candidate(), candidate({ id: 'april', due_date: '2025-03-29' })];
+    const proposals = proposeMatches([transaction({ date: '2025-03-28', description: 'LDG12345' })], rows);
+
+    expect(proposals[0].paymentId).toBe('april');
+  });
+
+  it('gives the second of two identical payments the other row', () => {
+    const rows = [candidate(), candidate({ id: 'april', due_date: '2025-03-29' })];
+    const proposals = proposeMatches([
+      transaction({ date: '2025-03-01', description: 'LDG12345' }),
+      transaction({ date: '2025-03-01', description: 'LDG12345' })
+    ], rows);
+
+    expect(proposals.map(proposal => proposal && proposal.paymentId)).toEqual(['march', 'april']);
+  });
+});
@@ -0,0 +1,40 @@
+const { getReminderStage, getReminderToSend } = require('../reminderSchedule');
+
+const STAGES = [60, 30, 7];
+
+describe('getReminderStage', () => {
+  it('has no reminder before the first stage', () => {
+    expect(getReminderStage('2026-06-30', STAGES, '2026-04-01')).toBeNull();
+  });
+
+  it('reaches each stage in turn', () => {
+    expect(getReminderStage('2026-06-30', STAGES, '2026-05-01')).toBe(60);
+    expect(getReminderStage('2026-06-30', STAGES, '2026-05-31')).toBe(30);
+    expect(getReminderStage('2026-06-30', STAGES, '2026-06-23')).toBe(7);
+    expect(getReminderStage('2026-06-30', STAGES, '2026-06-30')).toBe(0);
+  });
+
+  it('does not depend on the order the stages are given in', () => {
+    expect(getReminderStage('2026-06-30', [7, 60, 30], '2026-06-01')).toBe(30);
+  });
+});
+
+describe('getReminderToSend', () => {
+  const none = { reminder_stage: null, reminder_sent_at: null };
+
+  it('sends each stage once', () => {
+    expect(getReminderToSend('2026-06-30', STAGES, none, '2026-05-01')).toBe(60);
+    expect(getReminderToSend('2026-06-30', STAGES, { reminder_stage: 60, reminder_sent_at: '2026-05-01' }, '2026-05-15')).toBeNull();
+    expect(getReminderToSend('2026-06-30', STAGES, { reminder_stage: 60, reminder_sent_at: '2026-05-01' }, '2026-06-01')).toBe(30);
+  });
+
+  it('skips stages that were missed', () => {
+    expect(getReminderToSend('2026-06-30', STAGES, none, '2026-06-25')).toBe(7);
+  });
+
+  it('repeats weekly once the date has passed', () => {
+    const sent = { reminder_stage: 0, reminder_sent_at: '2026-07-01' };
+    expect(getReminderToSend('2026-06-30', STAGES, sent, '2026-07-04')).toBeNull();
+    expect(getReminderToSend('2026-06-30', STAGES, sent, '2026-07-08')).toBe(0);
+  });
+});
@@ -0,0 +1,51 @@
+const {
+  calculateFollowUpDate,
+  getReminderStage,
+  getReminderToSend
+} = require('../rightToRent');
+
+describe('calculateFollowUpDate', () => {
+  it('uses the permission expiry when it is more than 12 months away', () => {
+    expect(calculateFollowUpDate('2026-01-10', '2027-06-30')).toBe('2027-06-30');
+  });
+
+  it('uses 12 months after the check when permission expires sooner', () => {
+    expect(calculateFollowUpDate('2026-01-10', '2026-05-01')).toBe('2027-01-10');
+  });
+});
+
+describe('getReminderStage', () => {
+  it('has no reminder more than 28 days out', () => {
+    expect(getReminderStage('2026-03-01', '2026-01-20')).toBeNull();
+  });
+
+  it('reaches the 28 and 7 day reminders', () => {
+    expect(getReminderStage('2026-03-01', '2026-02-01')).toBe(28);
+    expect(getReminderStage('2026-03-01', '2026-02-22')).toBe(7);
+  });
+
+  it('is 0 on and after the due date', () => {
+    expect(getReminderStage('2026-03-01', '2026-03-01')).toBe(0);
+    expect(getReminderStage('2026-03-01', '2026-03-20')).toBe(0);
+  });
+});
+
+describe('getReminderToSend', () => {
+  const check = { follow_up_due_date: '2026-03-01', reminder_stage: null, reminder_sent_at: null };
+
+  it('sends each reminder once', () => {
+    expect(getReminderToSend(check, '2026-02-10')).toBe(28);
+    expect(getReminderToSend({ ...check, reminder_stage: 28 }, '2026-02-11')).toBeNull();
+    expect(getReminderToSend({ ...check, reminder_stage: 28 }, '2026-02-23')).toBe(7);
+  });
+
+  it('sends the latest reminder reached when earlier ones were missed', () => {
+    expect(getReminderToSend(check, '2026-03-02')).toBe(0);
+  });
+
+  it('repeats the overdue reminder weekly', () => {
+    const overdue = { ...check, reminder_stage: 0, reminder_sent_at: '2026-03-02' };
+    expect(getReminderToSend(overdue, '2026-03-05')).toBeNull();
+    expect(getReminderToSend(overdue, '2026-03-09')).toBe(0);
+  });
+});
@@ -0,0 +1,48 @@
+const { calculateSettlementFigures } = require('../settlementCalculator');
+
+const funds = (overrides = {}) => ({
+  original_deposit: 0,
+  original_advance: 1000,
+  deducted_from_deposit: 0,
+  deducted_from_advance: 0,
+  ...overrides
+});
+
+describe('calculateSettlementFigures', () => {
+  it('refunds advance rent only through the rent credit the cut-back schedule leaves', () => {
+    // £500 a month with £1000 paid up front, everything paid and the tenancy ending half way through a period
+    expect(calculateSettlementFigures(funds(), { arrears: 0, credit_carried_forward: 250 })).toEqual({
+      deposit_held: 0,
+      advance_held: 1000,
+      deductions_total: 0,
+      arrears: 0,
+      rent_credit: 250,
+      refund_amount: 250,
+      amount_owed: 0
+    });
+  });
+
+  it('takes deductions from advance rent out of the rent credit', () => {
+    const result = calculateSettlementFigures(funds({ deducted_from_advance: 100 }), { arrears: 0, credit_carried_forward: 250 });
+
+    expect(result).toMatchObject({ deductions_total: 100, refund_amount: 150, amount_owed: 0 });
+  });
+
+  it('returns the deposit less deductions and rent arrears', () => {
+    const result = calculateSettlementFigures(
+      funds({ original_deposit: 600, deducted_from_deposit: 200.1 }),
+      { arrears: 49.95, credit_carried_forward: 0 }
+    );
+
+    expect(result).toMatchObject({ deductions_total: 200.1, refund_amount: 349.95, amount_owed: 0 });
+  });
+
+  it('shows what the lodger owes when arrears and deductions are more than is held', () => {
+    const result = calculateSettlementFigures(
+      funds({ original_deposit: 200, deducted_from_deposit: 150 }),
+      { arrears: 300, credit_carried_forward: 0 }
+    );
+
+    expect(result).toMatchObject({ refund_amount: 0, amount_owed: 250 });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Agreement Template Helpers
+ * Merge fields for lodger agreement templates and checks on template content
+ */
+
+const moment = require('moment');
+const { mapPaymentFrequencyToDays } = require('./paymentHelpers');
+
+// Fields a template can use as {{field_name}}, with what each is replaced by
+const MERGE_FIELDS = {
+  landlord_name: 'Householder\'s full name',
+  lodger_name: 'Lodger\'s full name',
+  property_address: 'Full property address',
+  room_description: 'Description of the Room',
+  shared_areas: 'Shared Areas the Lodger may use',
+  start_date: 'Start Day (e.g. 1 March 2026)',
+  term_months: 'Initial term in months',
+  end_date: 'End of the initial term',
+  rent_amount: 'Accommodation Payment per period (e.g. £550.00)',
+  payment_frequency: 'How often rent is paid (e.g. every 4 weeks)',
+  payment_day: 'When each payment falls due',
+  initial_payment: 'Initial payment taken before moving in',
+  deposit_amount: 'Deposit (e.g. £500.00)',
+  deposit_applicable: 'Whether a deposit is taken (yes/no)'
+};
+
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const FREQUENCY_LABELS = {
+  weekly: 'weekly',
+  'bi-weekly': 'every 2 weeks',
+  '4-weekly': 'every 4 weeks',
+  monthly: 'monthly'
+};
+
+// Used when the tenancy doesn't describe the Room or Shared Areas itself
+const DEFAULT_ROOM_DESCRIPTION = 'means the room or rooms in the Property which as the Householder from time to time allocates to the Lodger';
+const DEFAULT_SHARED_AREAS = 'the entrance hall, staircase and landings of the Property, the kitchen for cooking eating and the storage of food, the lavatory and bathroom, the sitting room, the garden (where applicable). Should the Lodger not be allowed to use any of these areas or there are any additional Shared Areas in the Property they can use, this should be reflected in Part 3: Property Rules and Services and Any Additional Terms';
+
+const money = (amount) => `£${parseFloat(amount || 0).toFixed(2)}`;
+
+/**
+ * Ordinal for a day of the month, e.g. 1st, 22nd, 28th
+ * @param {number} day - Day of month
+ * @returns {string}
+ */
+function ordinal(day) {
+  const suffix = (day % 100 >= 11 && day % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th');
+  return `${day}${suffix}`;
+}
+
+/**
+ * Values for each merge field, from a tenancy and the names of both parties
+ * @param {Object} tenancy - tenancies row with landlord_name and lodger_name
+ * @returns {Object} Merge field name -> text
+ */
+function buildMergeData(tenancy) {
+  const frequency = tenancy.payment_frequency || '4-weekly';
+  const paymentDay = tenancy.payment_type === 'calendar'
+    ? `The ${ordinal(tenancy.payment_day_of_month || 1)} day of each month`
+    : `Every ${mapPaymentFrequencyToDays(frequency)} days from the Start Day`;
+
+  return {
+    landlord_name: tenancy.landlord_name || '',
+    lodger_name: tenancy.lodger_name || '',
+    property_address: [
+      tenancy.property_house_number, tenancy.property_street_name, tenancy.property_city,
+      tenancy.property_county, tenancy.property_postcode
+    ].filter(part => part).join(', '),
+    room_description: tenancy.room_description || DEFAULT_ROOM_DESCRIPTION,
+    shared_areas: tenancy.shared_areas || DEFAULT_SHARED_AREAS,
+    start_date: tenancy.start_date ? moment(tenancy.start_date).format('D MMMM YYYY') : '',
+    term_months: tenancy.initial_term_months ? String(tenancy.initial_term_months) : '',
+    end_date: tenancy.end_date ? moment(tenancy.end_date).format('D MMMM YYYY') : '',
+    rent_amount: money(tenancy.monthly_rent),
+    payment_frequency: FREQUENCY_LABELS[frequency] || frequency,
+    payment_day: paymentDay,
+    initial_payment: money(tenancy.initial_payment),
+    deposit_amount: money(tenancy.deposit_amount),
+    deposit_applicable: tenancy.deposit_applicable ? 'yes' : 'no'
+  };
+}
+
+/**
+ * Replace merge fields in a piece of template text
+ * @param {string} text - Template text containing {{field_name}}s
+ * @param {Object} data - From buildMergeData
+ * @returns {string} Merged text. Unknown fields are left as they are.
+ */
+function mergeText(text, data) {
+  return (text || '').replace(MERGE_FIELD_PATTERN, (match, field) => (
+    Object.prototype.hasOwnProperty.call(data, field) ? data[field] : match
+  ));
+}
+
+/**
+ * Every piece of text in a template's content, in reading order
+ * @param {Object} content - Template content
+ * @returns {Array<string>}
+ */
+function templateTexts(content) {
+  return [
+    content.title,
+    content.subtitle,
+    content.introduction,
+    ...(content.particulars || []),
+    ...(content.notes || []).flatMap(note => [note.heading, note.text]),
+    ...(content.sections || []).flatMap(section => [section.heading, section.intro, ...(section.clauses || [])])
+  ].filter(text => text);
+}
+
+/**
+ * Merge fields used in text that aren't in MERGE_FIELDS
+ * @param {Array<string>|string} texts - Text to check
+ * @returns {Array<string>} Unknown field names, without duplicates
+ */
+function findUnknownMergeFields(texts) {
+  const unknown = new Set();
+  for (const text of [].concat(texts)) {
+    for (const [, field] of (text || '').matchAll(MERGE_FIELD_PATTERN)) {
+      if (!MERGE_FIELDS[field]) unknown.add(field);
+    }
+  }
+  return [...unknown];
+}
+
+/**
+ * Check template content has the shape the agreement PDF needs
+ * @param {Object} content - { title, subtitle, introduction, particulars, notes, sections }
+ * @returns {string|null} Error message, or null if the content can be used
+ */
+function validateTemplateContent(content) {
+  if (!content || typeof content !== 'object') {
+    return 'Template content is missing';
+  }
+  if (!content.title || !content.title.trim()) {
+    return 'Give the agreement a title';
+  }
+  if (!Array.isArray(content.particulars) || content.particulars.some(line => typeof line !== 'string')) {
+    return 'Part 1 particulars must be a list of lines';
+  }
+  if (content.notes && (!Array.isArray(content.notes) || content.notes.some(note => !note.heading || !note.text))) {
+    return 'Each note needs a heading and text';
+  }
+  if (!Array.isArray(content.sections) || content.sections.length === 0) {
+    return 'The agreement needs at least one section of terms';
+  }
+  for (const section of content.sections) {
+    if (!section.heading || !section.heading.trim()) {
+      return 'Every section needs a heading';
+    }
+    if (!Array.isArray(section.clauses) || section.clauses.length === 0 || section.clauses.some(clause => typeof clause !== 'string' || !clause.trim())) {
+      return `Section "${section.heading}" needs at least one clause`;
+    }
+  }
+
+  const unknown = findUnknownMergeFields(templateTexts(content));
+  if (unknown.length > 0) {
+    return `Unknown merge field${unknown.length > 1 ? 's' : ''}: ${unknown.map(field => `{{${field}}}`).join(', ')}`;
+  }
+  return null;
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  buildMergeData,
+  mergeText,
+  findUnknownMergeFields,
+  validateTemplateContent
+};
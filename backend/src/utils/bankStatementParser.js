@@ -0,0 +1,261 @@
+/**
+ * Bank Statement Parser
+ * Reads bank CSV exports into a common transaction shape using a column mapping
+ */
+
+const moment = require('moment');
+
+/**
+ * Built-in column mappings for common UK bank CSV exports.
+ * Columns are matched by header name (case-insensitive). A bank either exports a
+ * single signed amount column or separate money in / money out columns.
+ */
+const BANK_PRESETS = {
+  barclays: {
+    name: 'Barclays',
+    date: 'Date',
+    amount: 'Amount',
+    description: ['Memo'],
+    reference: 'Memo',
+    dateFormat: 'DD/MM/YYYY'
+  },
+  hsbc: {
+    name: 'HSBC',
+    date: 'Date',
+    amount: 'Amount',
+    description: ['Description'],
+    reference: 'Description',
+    dateFormat: 'DD/MM/YYYY'
+  },
+  lloyds: {
+    name: 'Lloyds / Halifax / Bank of Scotland',
+    date: 'Transaction Date',
+    credit: 'Credit Amount',
+    debit: 'Debit Amount',
+    description: ['Transaction Description'],
+    reference: 'Transaction Description',
+    dateFormat: 'DD/MM/YYYY'
+  },
+  natwest: {
+    name: 'NatWest / RBS',
+    date: 'Date',
+    amount: 'Value',
+    description: ['Description'],
+    reference: 'Description',
+    dateFormat: 'DD/MM/YYYY'
+  },
+  nationwide: {
+    name: 'Nationwide',
+    date: 'Date',
+    credit: 'Paid in',
+    debit: 'Paid out',
+    description: ['Description'],
+    reference: 'Description',
+    dateFormat: 'DD MMM YYYY'
+  },
+  santander: {
+    name: 'Santander',
+    date: 'Date',
+    credit: 'Money in',
+    debit: 'Money out',
+    description: ['Description'],
+    reference: 'Description',
+    dateFormat: 'DD/MM/YYYY'
+  },
+  monzo: {
+    name: 'Monzo',
+    date: 'Date',
+    amount: 'Amount',
+    description: ['Name', 'Description'],
+    reference: 'Notes and #tags',
+    dateFormat: 'DD/MM/YYYY'
+  },
+  starling: {
+    name: 'Starling',
+    date: 'Date',
+    amount: 'Amount (GBP)',
+    description: ['Counter Party'],
+    reference: 'Reference',
+    dateFormat: 'DD/MM/YYYY'
+  }
+};
+
+/**
+ * Split CSV text into rows of fields, handling quoted fields, escaped quotes
+ * and line breaks inside quotes
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of raw field values
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Find the header row. Some banks (e.g. Nationwide) put account details above
+ * the column headers, so use the first row containing the mapped date column.
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @param {string} dateColumn - Header name of the date column
+ * @returns {number} Index of the header row (0 if not found)
+ */
+function findHeaderRow(rows, dateColumn) {
+  if (!dateColumn) return 0;
+  const target = dateColumn.toLowerCase();
+  const index = rows.findIndex(row => row.some(value => value.toLowerCase() === target));
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Parse a money value such as "£1,234.56", "-50.00" or "(50.00)"
+ * @param {string} value - Raw cell value
+ * @returns {number|null} Parsed amount or null if empty
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[£,()\s+-]/g, ''));
+
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+/**
+ * Guess which preset a file uses from its headers
+ * @param {Array<string>} headers - Header row values
+ * @returns {string|null} Preset key or null if none match
+ */
+function detectPreset(headers) {
+  const lower = headers.map(header => header.toLowerCase());
+  const has = (column) => !column || lower.includes(column.toLowerCase());
+
+  // Presets needing the most columns first, so e.g. Monzo (which has every HSBC column) is not mistaken for HSBC
+  const columnCount = (preset) => new Set(
+    [preset.date, preset.amount, preset.credit, preset.debit, preset.reference, ...preset.description].filter(Boolean)
+  ).size;
+  const ordered = Object.entries(BANK_PRESETS)
+    .sort(([, a], [, b]) => columnCount(b) - columnCount(a));
+
+  for (const [key, preset] of ordered) {
+    if (has(preset.date) && has(preset.amount) && has(preset.credit) && has(preset.debit) &&
+        has(preset.reference) && preset.description.every(has)) {
+      return key;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a bank CSV into transactions using a column mapping
+ * @param {string} text - CSV file contents
+ * @param {Object} mapping - { date, amount | credit/debit, description: [], reference, dateFormat }
+ * @returns {Object} { headers, transactions: [{ rowNumber, date, amount, description, reference, raw }], errors }
+ */
+function parseBankStatement(text, mapping) {
+  const rows = parseCsv(text);
+  const headerIndex = findHeaderRow(rows, mapping.date);
+  const headers = rows[headerIndex] || [];
+  const column = (name) => headers.findIndex(header => header.toLowerCase() === String(name || '').toLowerCase());
+
+  const dateCol = column(mapping.date);
+  if (dateCol === -1) {
+    throw new Error(`Date column "${mapping.date}" not found in file`);
+  }
+  if (!mapping.amount && !mapping.credit) {
+    throw new Error('Mapping must include an amount or credit column');
+  }
+
+  const transactions = [];
+  const errors = [];
+
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const rowNumber = headerIndex + index + 2;
+    const raw = Object.fromEntries(headers.map((header, i) => [header, row[i] || '']));
+
+    const date = moment(row[dateCol], [mapping.dateFormat || 'DD/MM/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'DD MMM YYYY'], true);
+    if (!date.isValid()) {
+      errors.push({ rowNumber, error: `Invalid date "${row[dateCol] || ''}"` });
+      return;
+    }
+
+    let amount;
+    if (mapping.amount) {
+      amount = parseAmount(row[column(mapping.amount)]);
+    } else {
+      const credit = parseAmount(row[column(mapping.credit)]) || 0;
+      const debit = mapping.debit ? parseAmount(row[column(mapping.debit)]) || 0 : 0;
+      amount = credit - Math.abs(debit);
+    }
+
+    if (amount === null) {
+      errors.push({ rowNumber, error: 'Missing amount' });
+      return;
+    }
+
+    const descriptionColumns = Array.isArray(mapping.description) ? mapping.description : [mapping.description];
+    const description = descriptionColumns
+      .map(name => row[column(name)])
+      .filter(value => value)
+      .join(' ');
+
+    transactions.push({
+      rowNumber,
+      date: date.format('YYYY-MM-DD'),
+      amount: parseFloat(amount.toFixed(2)),
+      description,
+      reference: mapping.reference ? row[column(mapping.reference)] || '' : '',
+      raw
+    });
+  });
+
+  return { headers, transactions, errors };
+}
+
+module.exports = {
+  BANK_PRESETS,
+  parseCsv,
+  parseAmount,
+  findHeaderRow,
+  detectPreset,
+  parseBankStatement
+};
@@ -5,98 +5,337 @@
 
 const moment = require('moment');
 
+// Average days per month (365.25 / 12), used to convert monthly rent to a cycle amount
+const AVERAGE_DAYS_PER_MONTH = 30.44;
+
+// Clause 9.3: rent may not rise by more than 5% in any year
+const MAX_ANNUAL_RENT_INCREASE = 5;
+
+/**
+ * Get the calendar due date in a month, moving a payment day the month doesn't
+ * have (e.g. the 31st) back to the last day of that month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} paymentDayOfMonth - Day of month for calendar payments (1-31)
+ * @returns {moment.Moment} Due date
+ */
+function getCalendarDueDate(year, month, paymentDayOfMonth) {
+  const firstOfMonth = moment({ year, month, date: 1 });
+  return firstOfMonth.date(Math.min(paymentDayOfMonth, firstOfMonth.daysInMonth()));
+}
+
 /**
- * Generate complete payment schedule for a tenancy
- * @param {Date} startDate - Tenancy start date
+ * Get the payment due date that follows another
+ * @param {Date|string} dueDate - Current due date (or tenancy start date)
+ * @param {number} cycleDays - Payment cycle in days (default 28)
+ * @param {string} paymentType - 'cycle' or 'calendar'
+ * @param {number} paymentDayOfMonth - Day of month for calendar payments (1-31)
+ * @returns {moment.Moment} Next due date
+ */
+function getNextDueDate(dueDate, cycleDays = 28, paymentType = 'cycle', paymentDayOfMonth = 1) {
+  const current = moment(dueDate).startOf('day');
+
+  if (paymentType !== 'calendar') {
+    return current.add(cycleDays, 'days');
+  }
+
+  // Work from the payment day each month rather than adding a month to the last
+  // due date, so a short month doesn't pull every later payment earlier
+  const thisMonth = getCalendarDueDate(current.year(), current.month(), paymentDayOfMonth);
+  if (thisMonth.isAfter(current, 'day')) {
+    return thisMonth;
+  }
+
+  const nextMonth = current.clone().startOf('month').add(1, 'month');
+  return getCalendarDueDate(nextMonth.year(), nextMonth.month(), paymentDayOfMonth);
+}
+
+/**
+ * Daily rent used to pro-rate a partial period
+ * @param {number} monthlyRent - Monthly rent amount
+ * @param {number} cycleDays - Payment cycle in days (default 28)
+ * @param {string} paymentType - 'cycle' or 'calendar'
+ * @returns {number} Rent per day (unrounded)
+ */
+function calculateDailyRent(monthlyRent, cycleDays = 28, paymentType = 'cycle') {
+  return paymentType === 'calendar'
+    ? monthlyRent * 12 / 365
+    : getRentPerPeriod(monthlyRent, cycleDays, 'cycle') / cycleDays;
+}
+
+/**
+ * Rent for the part of a period from its due date to a given last day. A period
+ * that runs its full length is charged in full; anything shorter, including a
+ * calendar period that doesn't start on the payment day, is charged by the day.
+ * @param {Date|string} dueDate - Date the period starts (its due date)
+ * @param {Date|string} lastDay - Last day charged, inclusive
+ * @param {number} monthlyRent - Monthly rent amount
+ * @param {number} cycleDays - Payment cycle in days (default 28)
+ * @param {string} paymentType - 'cycle' or 'calendar'
+ * @param {number} paymentDayOfMonth - Day of month for calendar payments (1-31)
+ * @returns {Object} { periodStart, periodEnd, days, fullPeriod, rent }
+ */
+function calculatePartialPeriodRent(dueDate, lastDay, monthlyRent, cycleDays = 28, paymentType = 'cycle', paymentDayOfMonth = 1) {
+  const start = moment(dueDate).startOf('day');
+  const fullPeriodEnd = getNextDueDate(start, cycleDays, paymentType, paymentDayOfMonth).subtract(1, 'day');
+  const end = moment.min(moment(lastDay).startOf('day'), fullPeriodEnd);
+  const days = Math.max(0, end.diff(start, 'days') + 1);
+  const startsOnPaymentDay = paymentType !== 'calendar' ||
+    start.isSame(getCalendarDueDate(start.year(), start.month(), paymentDayOfMonth), 'day');
+  const fullPeriod = startsOnPaymentDay && end.isSame(fullPeriodEnd, 'day');
+
+  const rent = fullPeriod
+    ? getRentPerPeriod(monthlyRent, cycleDays, paymentType)
+    : calculateDailyRent(monthlyRent, cycleDays, paymentType) * days;
+
+  return {
+    periodStart: start.format('YYYY-MM-DD'),
+    periodEnd: end.format('YYYY-MM-DD'),
+    days,
+    fullPeriod,
+    rent: parseFloat(rent.toFixed(2))
+  };
+}
+
+/**
+ * Generate complete payment schedule for a tenancy.
+ *
+ * The first payment is the rent for the first period plus one full period in advance.
+ * For calendar payments a tenancy starting on a day other than the payment day has a
+ * short first period up to the first payment day, charged by the day. The advance pays
+ * for the final period, so when an end date is given the schedule stops there and the
+ * last payment is the (pro-rated) final period less the advance; a negative amount is a
+ * refund due to the lodger.
+ * @param {Date} startDate - Tenancy start date (or, with options.continuation, the next due date)
  * @param {number} monthlyRent - Monthly rent amount
  * @param {number} numberOfPayments - Number of payments to generate (default 52 for 1 year)
  * @param {number} depositAmount - Deposit amount (optional)
  * @param {number} cycleDays - Payment cycle in days (default 28)
  * @param {string} paymentType - 'cycle' or 'calendar'
  * @param {number} paymentDayOfMonth - Day of month for calendar payments (1-31)
+ * @param {Object} options - { endDate } last day of the tenancy; { continuation } to extend an
+ *   existing schedule from a due date, with no advance or short first period
  * @returns {Array} Array of payment schedule objects
  */
-function generatePaymentSchedule(startDate, monthlyRent, numberOfPayments = 52, depositAmount = 0, cycleDays = 28, paymentType = 'cycle', paymentDayOfMonth = 1) {
+function generatePaymentSchedule(startDate, monthlyRent, numberOfPayments = 52, depositAmount = 0, cycleDays = 28, paymentType = 'cycle', paymentDayOfMonth = 1, options = {}) {
   const schedule = [];
   let previousBalance = 0;
 
-  // Calculate rent per cycle based on cycle days
-  // Using 30.44 as average days per month (365.25 / 12)
-  const AVERAGE_DAYS_PER_MONTH = 30.44;
-
-  if (paymentType === 'calendar') {
-    // Calendar-based: first payment on start date, subsequent on payment_day_of_month
-    let currentDate = moment(startDate);
-
-    for (let i = 1; i <= numberOfPayments; i++) {
-      let dueDate;
-
-      if (i === 1) {
-        // First payment: always on start date
-        dueDate = currentDate.clone();
-      } else {
-        // Subsequent payments: on payment_day_of_month of each month
-        dueDate = currentDate.clone().add(i - 1, 'month').date(paymentDayOfMonth);
-      }
-
-      const dueDateStr = dueDate.format('YYYY-MM-DD');
-
-      // First payment is current + advance
-      // For calendar payments, use full monthlyRent since it's monthly
-      const rentDue = i === 1 ? monthlyRent * 2 : monthlyRent;
-
-      // Calculate balance: Rent Paid (C) - Rent Due (B) = Balance (D)
-      // For new payments, assume nothing paid yet
-      const rentPaid = 0;
-      const balance = previousBalance + rentPaid - rentDue;
-
-      schedule.push({
-        paymentNumber: i,
-        dueDate: dueDateStr,
-        rentDue: parseFloat(rentDue.toFixed(2)),
-        rentPaid: parseFloat(rentPaid.toFixed(2)),
-        balance: parseFloat(balance.toFixed(2)),
-        status: 'pending',
-        previousBalance: parseFloat(previousBalance.toFixed(2))
-      });
+  const start = moment(startDate).startOf('day');
+  const endDate = options.endDate ? moment(options.endDate).startOf('day') : null;
+  const advance = options.continuation ? 0 : getRentPerPeriod(monthlyRent, cycleDays, paymentType);
+
+  let dueDate = start.clone();
+
+  for (let i = 1; i <= numberOfPayments; i++) {
+    if (endDate && dueDate.isAfter(endDate, 'day')) break;
+
+    const nextDueDate = getNextDueDate(dueDate, cycleDays, paymentType, paymentDayOfMonth);
+    const isFinal = endDate !== null && nextDueDate.isAfter(endDate, 'day');
+
+    // Charge up to the day before the next payment, or the end date for the final period
+    const lastDay = isFinal ? endDate : nextDueDate.clone().subtract(1, 'day');
+    let rentDue = calculatePartialPeriodRent(dueDate, lastDay, monthlyRent, cycleDays, paymentType, paymentDayOfMonth).rent;
+
+    // First payment is current + advance; the advance then pays for the final period
+    if (i === 1) rentDue += advance;
+    if (isFinal) rentDue -= advance;
+
+    // Calculate balance: Rent Paid (C) - Rent Due (B) = Balance (D)
+    // For new payments, assume nothing paid yet
+    const rentPaid = 0;
+    const balance = previousBalance + rentPaid - rentDue;
+
+    schedule.push({
+      paymentNumber: i,
+      dueDate: dueDate.format('YYYY-MM-DD'),
+      rentDue: parseFloat(rentDue.toFixed(2)),
+      rentPaid: parseFloat(rentPaid.toFixed(2)),
+      balance: parseFloat(balance.toFixed(2)),
+      status: 'pending',
+      previousBalance: parseFloat(previousBalance.toFixed(2))
+    });
 
-      previousBalance = balance;
+    previousBalance = balance;
+    if (isFinal) break;
+    dueDate = nextDueDate;
+  }
+
+  return schedule;
+}
+
+/**
+ * Rent due for one full schedule period
+ * @param {number} monthlyRent - Monthly rent amount
+ * @param {number} cycleDays - Payment cycle in days (default 28)
+ * @param {string} paymentType - 'cycle' or 'calendar'
+ * @returns {number} Rent for the period (unrounded)
+ */
+function getRentPerPeriod(monthlyRent, cycleDays = 28, paymentType = 'cycle') {
+  return paymentType === 'calendar' ? monthlyRent : monthlyRent * cycleDays / AVERAGE_DAYS_PER_MONTH;
+}
+
+/**
+ * Find the monthly rent in force on a given date
+ * @param {Date|string} date - Date to look up
+ * @param {number} initialRent - Monthly rent before the first change
+ * @param {Array} rentChanges - Changes as { new_rent, effective_date }, sorted by effective_date ascending
+ * @returns {number} Monthly rent
+ */
+function getRentOn(date, initialRent, rentChanges) {
+  const day = moment(date).startOf('day');
+  let rent = parseFloat(initialRent);
+
+  for (const change of rentChanges) {
+    if (moment(change.effective_date).startOf('day').isAfter(day)) break;
+    rent = parseFloat(change.new_rent);
+  }
+
+  return rent;
+}
+
+/**
+ * Calculate the rent due for a schedule period that may span one or more rent changes.
+ * Each day of the period is charged as a share of the full period amount at the rent
+ * in force on that day, so a change part way through is pro-rated by days.
+ * @param {Date|string} periodStart - First day of the period (the due date)
+ * @param {Date|string} periodEnd - Last day of the period
+ * @param {number} initialRent - Monthly rent before the first change
+ * @param {Array} rentChanges - Changes as { new_rent, effective_date }, sorted by effective_date ascending
+ * @param {number} cycleDays - Payment cycle in days (default 28)
+ * @param {string} paymentType - 'cycle' or 'calendar'
+ * @returns {number} Rent due for the period
+ */
+function calculatePeriodRent(periodStart, periodEnd, initialRent, rentChanges, cycleDays = 28, paymentType = 'cycle') {
+  const start = moment(periodStart).startOf('day');
+  const end = moment(periodEnd).startOf('day');
+  const totalDays = end.diff(start, 'days') + 1;
+
+  // Rent changes that take effect after the first day of the period
+  const boundaries = rentChanges
+    .map(change => moment(change.effective_date).startOf('day'))
+    .filter(date => date.isAfter(start) && !date.isAfter(end));
+
+  let amount = 0;
+  let segmentStart = start.clone();
+
+  for (const boundary of [...boundaries, end.clone().add(1, 'day')]) {
+    const days = boundary.diff(segmentStart, 'days');
+    if (days > 0) {
+      const rent = getRentOn(segmentStart, initialRent, rentChanges);
+      amount += getRentPerPeriod(rent, cycleDays, paymentType) * days / totalDays;
     }
-  } else {
-    // Cycle-based: existing interval logic
-    const PAYMENT_CYCLE_DAYS = cycleDays;
-    let currentDate = moment(startDate);
-
-    // Calculate rent per cycle based on actual cycle days
-    const rentPerCycle = monthlyRent * cycleDays / AVERAGE_DAYS_PER_MONTH;
-
-    for (let i = 1; i <= numberOfPayments; i++) {
-      const dueDate = currentDate.format('YYYY-MM-DD');
-
-      // First payment is current + advance (2 cycles worth)
-      const rentDue = i === 1 ? rentPerCycle * 2 : rentPerCycle;
-
-      // Calculate balance: Rent Paid (C) - Rent Due (B) = Balance (D)
-      // For new payments, assume nothing paid yet
-      const rentPaid = 0;
-      const balance = previousBalance + rentPaid - rentDue;
-
-      schedule.push({
-        paymentNumber: i,
-        dueDate: dueDate,
-        rentDue: parseFloat(rentDue.toFixed(2)),
-        rentPaid: parseFloat(rentPaid.toFixed(2)),
-        balance: parseFloat(balance.toFixed(2)),
-        status: 'pending',
-        previousBalance: parseFloat(previousBalance.toFixed(2))
-      });
+    segmentStart = boundary.clone();
+  }
+
+  return parseFloat(amount.toFixed(2));
+}
+
+/**
+ * Check a proposed rent against the clause 9.3 cap on increases
+ * @param {number} baseRent - Monthly rent the increase is measured from
+ * @param {number} proposedRent - Proposed monthly rent
+ * @param {number} maxIncrease - Maximum increase as a percentage (default 5)
+ * @returns {Object} { allowed, increasePercent, maxAllowedRent }
+ */
+function checkRentIncrease(baseRent, proposedRent, maxIncrease = MAX_ANNUAL_RENT_INCREASE) {
+  const base = parseFloat(baseRent);
+  const proposed = parseFloat(proposedRent);
+  const increasePercent = proposed > base ? ((proposed - base) / base) * 100 : 0;
+
+  // Compared in pence, with the cap rounded down, so a rent a fraction over the cap
+  // isn't let through by rounding and one exactly at it isn't refused by float error
+  const maxAllowedPence = Math.floor(parseFloat((base * (100 + maxIncrease)).toFixed(4)));
+
+  return {
+    allowed: Math.round(proposed * 100) <= maxAllowedPence,
+    increasePercent: parseFloat(increasePercent.toFixed(2)),
+    maxAllowedRent: maxAllowedPence / 100
+  };
+}
+
+/**
+ * The rent a proposed increase is measured from under clause 9.3: the rent in force a
+ * year before it takes effect, so increases within any 12 months count together
+ * @param {Date|string} effectiveDate - Date the proposed rent takes effect
+ * @param {number} initialRent - Monthly rent before the first change
+ * @param {Array} rentChanges - Changes as { new_rent, effective_date }, sorted by effective_date ascending
+ * @returns {number} Monthly rent
+ */
+function getIncreaseBaseRent(effectiveDate, initialRent, rentChanges) {
+  return getRentOn(moment(effectiveDate).subtract(1, 'year'), initialRent, rentChanges);
+}
+
+/**
+ * Whether a date is an anniversary of the Start Date, the only day clause 9.3 lets an
+ * increase take effect on
+ * @param {Date|string} date - Proposed effective date
+ * @param {Date|string} startDate - Tenancy start date
+ * @returns {boolean}
+ */
+function isStartDateAnniversary(date, startDate) {
+  const day = moment(date).startOf('day');
+  const start = moment(startDate).startOf('day');
+  const years = day.diff(start, 'years');
+
+  return years >= 1 && start.add(years, 'years').isSame(day, 'day');
+}
 
-      previousBalance = balance;
-      currentDate.add(PAYMENT_CYCLE_DAYS, 'days');
+/**
+ * The first Start Date anniversary an increase could take effect on if notice is given
+ * on a day, allowing the calendar month's notice clause 9.3 requires
+ * @param {Date|string} noticeDate - Date notice is given
+ * @param {Date|string} startDate - Tenancy start date
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getNextRentReviewDate(noticeDate, startDate) {
+  const earliest = moment(noticeDate).startOf('day').add(NOTICE_PERIOD_MONTHS, 'month');
+  const start = moment(startDate).startOf('day');
+
+  let years = 1;
+  while (start.clone().add(years, 'years').isBefore(earliest, 'day')) {
+    years++;
+  }
+  return start.add(years, 'years').format('YYYY-MM-DD');
+}
+
+/**
+ * Work out the rent for unpaid schedule rows whose period ends on or after a date, so each
+ * day is charged at the rent in force on that day. The row spanning a change is pro-rated
+ * between the two rents. The first payment (rent plus rent in advance), a final settlement
+ * and rows with money against them are left alone.
+ * @param {Array} rows - payment_schedule rows { id, payment_number, due_date, rent_due, rent_paid, payment_status }, sorted by due_date
+ * @param {Date|string} fromDate - Earliest date affected
+ * @param {number} initialRent - Monthly rent before the first change
+ * @param {Array} rentChanges - Changes as { new_rent, effective_date }, sorted by effective_date ascending
+ * @param {Object} options - { cycleDays, paymentType, paymentDayOfMonth, settlementRowId }
+ * @returns {Array} { id, rent_due } for each row whose rent changes
+ */
+function repriceScheduleRows(rows, fromDate, initialRent, rentChanges, options = {}) {
+  const { cycleDays = 28, paymentType = 'cycle', paymentDayOfMonth = 1, settlementRowId = null } = options;
+  const from = moment(fromDate).startOf('day');
+  const repriced = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const next = rows[i + 1];
+
+    // A period runs until the day before the next payment falls due
+    const periodEnd = next
+      ? moment(next.due_date).subtract(1, 'day')
+      : getNextDueDate(row.due_date, cycleDays, paymentType, paymentDayOfMonth).subtract(1, 'day');
+
+    if (row.payment_number === 1 || row.id === settlementRowId || periodEnd.isBefore(from)) continue;
+    if (parseFloat(row.rent_paid) > 0 || !['pending', 'overdue'].includes(row.payment_status)) continue;
+
+    const rentDue = calculatePeriodRent(row.due_date, periodEnd, initialRent, rentChanges, cycleDays, paymentType);
+
+    if (rentDue !== parseFloat(row.rent_due)) {
+      repriced.push({ id: row.id, rent_due: rentDue });
     }
   }
 
-  return schedule;
+  return repriced;
 }
 
 /**
@@ -213,6 +452,24 @@ function getPaymentStatus(dueDate, isSubmitted, isConfirmed) {
   return 'pending';
 }
 
+/**
+ * Get the UK tax year (6 April to 5 April) containing a date
+ * @param {Date|string} date - Any date in the tax year
+ * @returns {Object} { start, end, label } with dates as YYYY-MM-DD and label like '2024-25'
+ */
+function getTaxYear(date = new Date()) {
+  const day = moment(date);
+  const startYear = day.isBefore(moment({ year: day.year(), month: 3, date: 6 }), 'day')
+    ? day.year() - 1
+    : day.year();
+
+  return {
+    start: `${startYear}-04-06`,
+    end: `${startYear + 1}-04-05`,
+    label: `${startYear}-${String(startYear + 1).slice(-2)}`
+  };
+}
+
 /**
  * Calculate total income for tax year (Rent-a-Room allowance tracking)
  * @param {Array} payments - Array of payment objects
@@ -296,16 +553,278 @@ function calculateNoticeEndDate(noticeDate, noticePeriodDays = 28, lastPaymentDa
   return nextPaymentDate.format('YYYY-MM-DD');
 }
 
+// Clause 9.2: either party may end the agreement with one calendar month's written
+// notice expiring the day before a Payment Day
+const NOTICE_PERIOD_MONTHS = 1;
+
+/**
+ * Dates a notice given on a day could expire on under clause 9.2: the day before a
+ * payment day, at least one calendar month after the notice is given
+ * @param {Date|string} noticeDate - Date notice is given
+ * @param {Date|string} startDate - Tenancy start date (the first payment day)
+ * @param {number} cycleDays - Payment cycle in days (default 28)
+ * @param {string} paymentType - 'cycle' or 'calendar'
+ * @param {number} paymentDayOfMonth - Day of month for calendar payments (1-31)
+ * @param {number} count - How many dates to return, earliest first (default 1)
+ * @returns {string[]} End dates as YYYY-MM-DD
+ */
+function getNoticeExpiryDates(noticeDate, startDate, cycleDays = 28, paymentType = 'cycle', paymentDayOfMonth = 1, count = 1) {
+  // A month's notice given on 10 March runs to 9 April, so the next payment day
+  // must be no earlier than 10 April
+  const firstAllowedPaymentDay = moment(noticeDate).startOf('day').add(NOTICE_PERIOD_MONTHS, 'month');
+
+  let paymentDay = moment(startDate).startOf('day');
+  while (paymentDay.isBefore(firstAllowedPaymentDay, 'day')) {
+    paymentDay = getNextDueDate(paymentDay, cycleDays, paymentType, paymentDayOfMonth);
+  }
+
+  const endDates = [];
+  while (endDates.length < count) {
+    endDates.push(paymentDay.clone().subtract(1, 'day').format('YYYY-MM-DD'));
+    paymentDay = getNextDueDate(paymentDay, cycleDays, paymentType, paymentDayOfMonth);
+  }
+  return endDates;
+}
+
+// Clause 2.1.2: simple interest at 3% above Bank of England base rate on any
+// payment not paid within 14 days after the due date
+const LATE_INTEREST_MARGIN = 3;
+const LATE_INTEREST_GRACE_DAYS = 14;
+
+/**
+ * Find the base rate in force on a given date
+ * @param {Date|string} date - Date to look up
+ * @param {Array} baseRates - Rates as { rate, effective_from }, sorted by effective_from ascending
+ * @returns {number} Base rate as a percentage (0 if no rate was in force)
+ */
+function getBaseRateOn(date, baseRates) {
+  const day = moment(date).startOf('day');
+  let rate = 0;
+
+  for (const baseRate of baseRates) {
+    if (moment(baseRate.effective_from).startOf('day').isAfter(day)) break;
+    rate = parseFloat(baseRate.rate);
+  }
+
+  return rate;
+}
+
+/**
+ * Calculate daily simple interest on a late payment from its due date to the date it was paid.
+ * No interest is due if the payment was made within the 14 day grace period, but once that
+ * is exceeded interest runs from the due date itself. The period is split wherever the
+ * base rate changed so each day is charged at the rate in force on that day.
+ * @param {number} principal - Amount that was paid late (or is still outstanding)
+ * @param {Date|string} dueDate - Date the payment was due
+ * @param {Date|string} paidDate - Date the payment was made (or the date to calculate up to)
+ * @param {Array} baseRates - Rates as { rate, effective_from }, sorted by effective_from ascending
+ * @param {number} margin - Percentage added to the base rate (default 3)
+ * @returns {Object} { daysLate, interest, periods: [{ from, to, days, baseRate, annualRate, interest }] }
+ */
+function calculateLateInterest(principal, dueDate, paidDate, baseRates, margin = LATE_INTEREST_MARGIN) {
+  const start = moment(dueDate).startOf('day');
+  const end = moment(paidDate).startOf('day');
+  const daysLate = Math.max(0, end.diff(start, 'days'));
+
+  if (principal <= 0 || daysLate <= LATE_INTEREST_GRACE_DAYS) {
+    return { daysLate, interest: 0, periods: [] };
+  }
+
+  // Rate changes that fall inside the late period
+  const boundaries = baseRates
+    .map(baseRate => moment(baseRate.effective_from).startOf('day'))
+    .filter(date => date.isAfter(start) && date.isBefore(end));
+
+  const periods = [];
+  let periodStart = start.clone();
+
+  for (const boundary of [...boundaries, end]) {
+    const days = boundary.diff(periodStart, 'days');
+    if (days > 0) {
+      const baseRate = getBaseRateOn(periodStart, baseRates);
+      const annualRate = baseRate + margin;
+      const interest = principal * (annualRate / 100) * days / 365;
+
+      periods.push({
+        from: periodStart.format('YYYY-MM-DD'),
+        to: boundary.format('YYYY-MM-DD'),
+        days,
+        baseRate,
+        annualRate,
+        interest: parseFloat(interest.toFixed(2))
+      });
+    }
+    periodStart = boundary.clone();
+  }
+
+  const interest = periods.reduce((sum, period) => sum + period.interest, 0);
+
+  return {
+    daysLate,
+    interest: parseFloat(interest.toFixed(2)),
+    periods
+  };
+}
+
+/**
+ * Late interest on a schedule row. Each instalment paid towards it runs from the due date
+ * to the day that instalment was paid, so a part paid within the 14 days attracts nothing;
+ * anything still owed runs on to the date given.
+ * @param {Object} payment - payment_schedule row { due_date, rent_due, rent_paid, payment_date }
+ * @param {Array} instalments - Receipts allocated to the row as { amount, date }, oldest first
+ * @param {Date|string} asOfDate - Date to calculate unpaid rent up to
+ * @param {Array} baseRates - Rates as { rate, effective_from }, sorted by effective_from ascending
+ * @returns {Object} { daysLate, outstanding, interest, periods: [{ ...period, principal, basis: 'paid' | 'outstanding' }] }
+ */
+function calculatePaymentInterest(payment, instalments, asOfDate, baseRates) {
+  const toPence = (amount) => Math.round(parseFloat(amount || 0) * 100);
+  const rentDue = toPence(payment.rent_due);
+  const rentPaid = Math.min(toPence(payment.rent_paid), rentDue);
+
+  // Rent recorded as paid without allocations (e.g. before receipts were allocated) is
+  // taken as paid on the row's payment date
+  const slices = [];
+  let allocated = 0;
+  for (const instalment of instalments) {
+    const amount = Math.min(toPence(instalment.amount), rentPaid - allocated);
+    if (amount <= 0) continue;
+    slices.push({ amount, date: instalment.date });
+    allocated += amount;
+  }
+  if (rentPaid > allocated && payment.payment_date) {
+    slices.push({ amount: rentPaid - allocated, date: payment.payment_date });
+  }
+
+  const periods = [];
+  let daysLate = 0;
+
+  for (const slice of slices) {
+    const principal = slice.amount / 100;
+    const paid = calculateLateInterest(principal, payment.due_date, slice.date, baseRates);
+    periods.push(...paid.periods.map(period => ({ ...period, principal, basis: 'paid' })));
+    daysLate = Math.max(daysLate, paid.daysLate);
+  }
+
+  const outstanding = Math.max(0, rentDue - rentPaid) / 100;
+  if (outstanding > 0) {
+    const unpaid = calculateLateInterest(outstanding, payment.due_date, asOfDate, baseRates);
+    periods.push(...unpaid.periods.map(period => ({ ...period, principal: outstanding, basis: 'outstanding' })));
+    daysLate = Math.max(daysLate, unpaid.daysLate);
+  }
+
+  const interest = periods.reduce((sum, period) => sum + period.interest, 0);
+
+  return {
+    daysLate,
+    outstanding,
+    interest: parseFloat(interest.toFixed(2)),
+    periods
+  };
+}
+
+/**
+ * Count the days someone occupied the property during a billing period, both ends inclusive
+ * @param {Date|string} periodStart - First day of the billing period
+ * @param {Date|string} periodEnd - Last day of the billing period
+ * @param {Date|string} occupiedFrom - First day of occupation
+ * @param {Date|string|null} occupiedTo - Last day of occupation (null if still in occupation)
+ * @returns {number} Days in the period that were occupied
+ */
+function countDaysOccupied(periodStart, periodEnd, occupiedFrom, occupiedTo = null) {
+  const from = moment.max(moment(periodStart).startOf('day'), moment(occupiedFrom).startOf('day'));
+  const to = occupiedTo
+    ? moment.min(moment(periodEnd).startOf('day'), moment(occupiedTo).startOf('day'))
+    : moment(periodEnd).startOf('day');
+
+  return Math.max(0, to.diff(from, 'days') + 1);
+}
+
+/**
+ * Split a utility bill between lodgers in proportion to the days each occupied the property.
+ * When the householder is included they count as occupying every day of the billing period
+ * and pay whatever is left after the lodgers' shares. Otherwise the lodgers share the whole
+ * bill and the last share takes any rounding so the shares add up to the bill.
+ * @param {number} amount - Bill total
+ * @param {number} billDays - Days in the billing period
+ * @param {Array} occupants - Lodgers as { id, days }
+ * @param {boolean} includeHouseholder - Whether the householder takes a share (default true)
+ * @returns {Array} Occupants with sharePercent and amount added
+ */
+function splitBillByDaysOccupied(amount, billDays, occupants, includeHouseholder = true) {
+  const totalDays = occupants.reduce((sum, occupant) => sum + occupant.days, 0) + (includeHouseholder ? billDays : 0);
+  if (totalDays === 0) {
+    return occupants.map(occupant => ({ ...occupant, sharePercent: 0, amount: 0 }));
+  }
+
+  const shares = occupants.map(occupant => ({
+    ...occupant,
+    sharePercent: parseFloat(((occupant.days / totalDays) * 100).toFixed(3)),
+    amount: parseFloat((amount * occupant.days / totalDays).toFixed(2))
+  }));
+
+  if (!includeHouseholder && shares.length > 0) {
+    const allocated = shares.reduce((sum, share) => sum + Math.round(share.amount * 100), 0);
+    const last = shares[shares.length - 1];
+    last.amount = parseFloat(((Math.round(last.amount * 100) + Math.round(amount * 100) - allocated) / 100).toFixed(2));
+  }
+
+  return shares;
+}
+
+/**
+ * Split a utility bill between lodgers by an agreed percentage each.
+ * Whatever the percentages leave is the householder's share.
+ * @param {number} amount - Bill total
+ * @param {Array} occupants - Lodgers as { id, sharePercent }
+ * @returns {Array} Occupants with amount added
+ * @throws {Error} If a share is negative or the shares add up to more than 100%
+ */
+function splitBillByFixedShare(amount, occupants) {
+  const totalPercent = occupants.reduce((sum, occupant) => sum + occupant.sharePercent, 0);
+  if (occupants.some(occupant => !(occupant.sharePercent >= 0)) || totalPercent > 100) {
+    throw new Error('Shares must be between 0% and 100% and add up to no more than 100%');
+  }
+
+  return occupants.map(occupant => ({
+    ...occupant,
+    amount: parseFloat((amount * occupant.sharePercent / 100).toFixed(2))
+  }));
+}
+
 module.exports = {
   generatePaymentSchedule,
   calculateNextPaymentDate,
   calculateBalance,
   calculateProRataRent,
+  getCalendarDueDate,
+  getNextDueDate,
+  calculateDailyRent,
+  calculatePartialPeriodRent,
+  getRentPerPeriod,
+  getRentOn,
+  calculatePeriodRent,
+  checkRentIncrease,
+  getIncreaseBaseRent,
+  isStartDateAnniversary,
+  getNextRentReviewDate,
+  repriceScheduleRows,
   calculateFinalPayment,
   isPaymentOverdue,
   daysUntilDue,
   getPaymentStatus,
   calculateTaxYearIncome,
+  getTaxYear,
   updateScheduleAfterPayment,
-  calculateNoticeEndDate
+  calculateNoticeEndDate,
+  getNoticeExpiryDates,
+  getBaseRateOn,
+  calculateLateInterest,
+  calculatePaymentInterest,
+  countDaysOccupied,
+  splitBillByDaysOccupied,
+  splitBillByFixedShare,
+  LATE_INTEREST_MARGIN,
+  LATE_INTEREST_GRACE_DAYS,
+  MAX_ANNUAL_RENT_INCREASE,
+  NOTICE_PERIOD_MONTHS
 };
\ No newline at end of file
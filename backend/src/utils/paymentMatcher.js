@@ -0,0 +1,170 @@
+/**
+ * Payment Matcher
+ * Scores bank transactions against open payment schedule rows by reference, lodger
+ * name, amount and date, and proposes the best match for each transaction
+ */
+
+const moment = require('moment');
+
+const DEFAULT_DATE_WINDOW_DAYS = 5;
+
+// A proposal needs at least this score, and must be backed by the reference or the amount
+const MATCH_THRESHOLD = 60;
+
+const normalise = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = temp;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How closely a payment reference appears in bank text (0-1).
+ * Banks often truncate or mangle references, so compare the reference against
+ * every word and every same-length window of the squashed text.
+ */
+function referenceSimilarity(reference, text) {
+  const ref = normalise(reference);
+  if (ref.length < 4) return 0;
+
+  const squashed = normalise(text);
+  if (squashed.includes(ref)) return 1;
+
+  const candidates = String(text || '').toUpperCase().split(/[^A-Z0-9]+/).filter(word => word.length >= 3);
+  for (let i = 0; i + ref.length <= squashed.length; i++) {
+    candidates.push(squashed.slice(i, i + ref.length));
+  }
+
+  let best = 0;
+  for (const candidate of candidates) {
+    const similarity = 1 - editDistance(ref, candidate) / Math.max(ref.length, candidate.length);
+    best = Math.max(best, similarity);
+  }
+
+  return best;
+}
+
+/**
+ * Score how likely a bank transaction is payment of a schedule row
+ * @param {Object} transaction - { date, amount, description, reference }
+ * @param {Object} candidate - Schedule row joined with lodger_reference, lodger_name and outstanding
+ * @param {number} dateWindowDays - Days either side of the due/submitted date to accept
+ * @returns {Object} { score (0-115), reasons: [], referenceMatched, amountMatched }
+ */
+function scoreMatch(transaction, candidate, dateWindowDays = DEFAULT_DATE_WINDOW_DAYS) {
+  const text = `${transaction.description || ''} ${transaction.reference || ''}`;
+  const reasons = [];
+  let score = 0;
+
+  // Reference (up to 50)
+  const references = [candidate.lodger_reference, candidate.lodger_payment_reference].filter(Boolean);
+  const similarity = Math.max(0, ...references.map(reference => referenceSimilarity(reference, text)));
+  let referenceMatched = false;
+  if (similarity === 1) {
+    score += 50;
+    reasons.push('Payment reference matches');
+    referenceMatched = true;
+  } else if (similarity >= 0.75) {
+    score += Math.round(40 * similarity);
+    reasons.push(`Payment reference similar (${Math.round(similarity * 100)}%)`);
+    referenceMatched = true;
+  }
+
+  // Lodger surname (up to 15)
+  const surname = normalise(String(candidate.lodger_name || '').trim().split(/\s+/).pop());
+  if (surname.length >= 3 && normalise(text).includes(surname)) {
+    score += 15;
+    reasons.push('Lodger name appears in description');
+  }
+
+  // Amount (up to 30)
+  const amount = parseFloat(transaction.amount);
+  const expected = [candidate.outstanding, candidate.lodger_submitted_amount]
+    .filter(value => value !== null && value !== undefined)
+    .map(value => parseFloat(value))
+    .filter(value => value > 0);
+  let amountMatched = false;
+  if (expected.some(value => Math.abs(value - amount) < 0.01)) {
+    score += 30;
+    reasons.push('Amount matches exactly');
+    amountMatched = true;
+  } else if (expected.some(value => Math.abs(value - amount) / value <= 0.02)) {
+    score += 20;
+    reasons.push('Amount within 2%');
+    amountMatched = true;
+  } else if (expected.some(value => amount < value)) {
+    score += 5;
+    reasons.push('Possible part payment');
+  }
+
+  // Date (up to 20)
+  const anchor = moment(candidate.lodger_submitted_date || candidate.due_date).startOf('day');
+  const daysApart = Math.abs(moment(transaction.date).startOf('day').diff(anchor, 'days'));
+  if (daysApart <= dateWindowDays) {
+    score += Math.round(20 * (1 - daysApart / (dateWindowDays + 1)));
+    reasons.push(daysApart === 0 ? 'Same day as expected' : `${daysApart} day(s) from expected date`);
+  }
+
+  return { score, reasons, referenceMatched, amountMatched };
+}
+
+/**
+ * Propose the best schedule row for each incoming transaction.
+ * Every pairing is scored and the highest scores are assigned first, so each
+ * schedule row is proposed for at most one transaction.
+ * @param {Array} transactions - Parsed bank transactions (credits only)
+ * @param {Array} candidates - Open schedule rows from getOpenPayments
+ * @param {number} dateWindowDays - Date window in days
+ * @returns {Array} One { paymentId, score, reasons } (or null) per transaction, in order
+ */
+function proposeMatches(transactions, candidates, dateWindowDays = DEFAULT_DATE_WINDOW_DAYS) {
+  const pairs = [];
+
+  transactions.forEach((transaction, index) => {
+    for (const candidate of candidates) {
+      const result = scoreMatch(transaction, candidate, dateWindowDays);
+      if (result.score >= MATCH_THRESHOLD && (result.referenceMatched || result.amountMatched)) {
+        pairs.push({ index, candidate, ...result });
+      }
+    }
+  });
+
+  pairs.sort((a, b) => b.score - a.score);
+
+  const proposals = transactions.map(() => null);
+  const usedPayments = new Set();
+
+  for (const pair of pairs) {
+    if (proposals[pair.index] || usedPayments.has(pair.candidate.id)) continue;
+    proposals[pair.index] = { paymentId: pair.candidate.id, score: pair.score, reasons: pair.reasons };
+    usedPayments.add(pair.candidate.id);
+  }
+
+  return proposals;
+}
+
+module.exports = {
+  DEFAULT_DATE_WINDOW_DAYS,
+  MATCH_THRESHOLD,
+  referenceSimilarity,
+  scoreMatch,
+  proposeMatches
+};
@@ -0,0 +1,54 @@
+/**
+ * Reminder Schedule
+ * Staged reminders before a date falls due (e.g. 60, 30 and 7 days before), repeated
+ * weekly once it has passed
+ */
+
+const moment = require('moment');
+
+// Once a date has passed the reminder is repeated this often
+const OVERDUE_REMINDER_INTERVAL_DAYS = 7;
+
+/**
+ * Which reminder a due date has reached
+ * @param {Date|string} dueDate - When the thing being reminded about falls due
+ * @param {Array<number>} reminderDays - Days before the due date to remind, e.g. [60, 30, 7]
+ * @param {Date|string} today - Date to check from (default: today)
+ * @returns {number|null} Days before the due date of the reminder reached (0 once due), or null if none yet
+ */
+function getReminderStage(dueDate, reminderDays, today = moment()) {
+  const daysLeft = moment(dueDate).startOf('day').diff(moment(today).startOf('day'), 'days');
+  if (daysLeft <= 0) return 0;
+  const stages = [...reminderDays].sort((a, b) => a - b);
+  const stage = stages.find(days => daysLeft <= days);
+  return stage === undefined ? null : stage;
+}
+
+/**
+ * Whether a reminder should go out today. Each stage is sent once, skipping any missed;
+ * after the due date the reminder is repeated every OVERDUE_REMINDER_INTERVAL_DAYS.
+ * @param {Date|string} dueDate - When the thing being reminded about falls due
+ * @param {Array<number>} reminderDays - Days before the due date to remind
+ * @param {Object} sent - { reminder_stage, reminder_sent_at } of the last reminder sent
+ * @param {Date|string} today - Date to check from (default: today)
+ * @returns {number|null} Stage to send, or null if no reminder is due
+ */
+function getReminderToSend(dueDate, reminderDays, sent, today = moment()) {
+  const stage = getReminderStage(dueDate, reminderDays, today);
+  if (stage === null) return null;
+
+  const lastStage = sent.reminder_stage === null || sent.reminder_stage === undefined ? null : sent.reminder_stage;
+  if (lastStage === null || stage < lastStage) return stage;
+
+  if (stage === 0 && sent.reminder_sent_at
+    && moment(today).diff(moment(sent.reminder_sent_at), 'days') >= OVERDUE_REMINDER_INTERVAL_DAYS) {
+    return stage;
+  }
+  return null;
+}
+
+module.exports = {
+  OVERDUE_REMINDER_INTERVAL_DAYS,
+  getReminderStage,
+  getReminderToSend
+};
@@ -0,0 +1,51 @@
+/**
+ * Right to Rent Helpers
+ * Follow-up check dates and reminder timing for lodgers whose permission to be in the
+ * UK is time-limited (clause 1.7)
+ */
+
+const moment = require('moment');
+const reminderSchedule = require('./reminderSchedule');
+
+// Reminders to the landlord, in days before a follow-up check is due
+const REMINDER_DAYS = [28, 7];
+
+/**
+ * When a follow-up check is due: the later of the day the lodger's permission expires
+ * and 12 months after the check, as the Home Office code of practice sets out
+ * @param {Date|string} checkDate - Date of the check just made
+ * @param {Date|string} permissionExpiryDate - Last day of the lodger's permission
+ * @returns {string} Follow-up date as YYYY-MM-DD
+ */
+function calculateFollowUpDate(checkDate, permissionExpiryDate) {
+  const twelveMonths = moment(checkDate).add(12, 'months');
+  return moment.max(moment(permissionExpiryDate), twelveMonths).format('YYYY-MM-DD');
+}
+
+/**
+ * Which reminder a follow-up date has reached
+ * @param {Date|string} followUpDate - When the follow-up check is due
+ * @param {Date|string} today - Date to check from (default: today)
+ * @returns {number|null} Days before the due date of the reminder reached (0 once due), or null if none yet
+ */
+function getReminderStage(followUpDate, today = moment()) {
+  return reminderSchedule.getReminderStage(followUpDate, REMINDER_DAYS, today);
+}
+
+/**
+ * Whether to remind the landlord about a follow-up check today. Each reminder is sent
+ * once; after the due date they're repeated weekly.
+ * @param {Object} check - { follow_up_due_date, reminder_stage, reminder_sent_at }
+ * @param {Date|string} today - Date to check from (default: today)
+ * @returns {number|null} Stage to send, or null if no reminder is due
+ */
+function getReminderToSend(check, today = moment()) {
+  return reminderSchedule.getReminderToSend(check.follow_up_due_date, REMINDER_DAYS, check, today);
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  calculateFollowUpDate,
+  getReminderStage,
+  getReminderToSend
+};
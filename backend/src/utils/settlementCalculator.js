@@ -0,0 +1,37 @@
+/**
+ * Settlement Calculator
+ * Works out what's owed either way when a tenancy ends, from the deposit and deductions
+ * held against it and the final position of the rent ledger
+ */
+
+/**
+ * Settle up at the end of a tenancy: the deposit, less every deduction and any rent
+ * arrears, plus any rent paid in credit. Advance rent is already in the ledger, because
+ * the final schedule row is cut back and credits whatever was paid for days after the
+ * tenancy ended, so it's only counted through the rent credit. Deductions taken from
+ * advance rent come out of that credit.
+ * @param {Object} funds - From deductionService.getAvailableFunds
+ * @param {Object} ledgerTotals - From ledgerService.buildLedger: { arrears, credit_carried_forward }
+ * @returns {Object} Figures in pounds, with refund_amount or amount_owed (the other is 0)
+ */
+function calculateSettlementFigures(funds, ledgerTotals) {
+  const toPence = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+  const deductions = toPence(funds.deducted_from_deposit) + toPence(funds.deducted_from_advance);
+  const balance = toPence(funds.original_deposit) - deductions -
+    toPence(ledgerTotals.arrears) + toPence(ledgerTotals.credit_carried_forward);
+
+  return {
+    deposit_held: funds.original_deposit,
+    advance_held: funds.original_advance,
+    deductions_total: deductions / 100,
+    arrears: ledgerTotals.arrears,
+    rent_credit: ledgerTotals.credit_carried_forward,
+    refund_amount: balance > 0 ? balance / 100 : 0,
+    amount_owed: balance < 0 ? -balance / 100 : 0
+  };
+}
+
+module.exports = {
+  calculateSettlementFigures
+};
@@ -3,6 +3,8 @@ import { Home, Users, Settings, LogOut, Bell, Plus, Eye, FileText, TrendingUp, C
 import axios from 'axios';
 import { API_URL } from '../config';
 import { showSuccess, showError } from '../utils/toast';
+import BaseRateManager from './BaseRateManager';
+import DeductionDispute from './DeductionDispute';
 
 /**
  * Admin Dashboard Component
@@ -78,6 +80,10 @@ const AdminDashboard = ({ user, onLogout }) => {
   });
   const [showDeleteModal, setShowDeleteModal] = useState(false);
 
+  // Deduction disputes escalated for mediation
+  const [escalatedDeductions, setEscalatedDeductions] = useState([]);
+  const [disputeStatuses, setDisputeStatuses] = useState({});
+
   useEffect(() => {
     fetchAdminData();
   }, []);
@@ -90,6 +96,24 @@ const AdminDashboard = ({ user, onLogout }) => {
     }
   }, [activeTab, activityTimeRange, analyticsTimeRange, activeMonitoringTab, logTimeRange]);
 
+  useEffect(() => {
+    if (activeTab === 'disputes') {
+      fetchEscalatedDeductions();
+    }
+  }, [activeTab]);
+
+  const fetchEscalatedDeductions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/deductions/escalated`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setEscalatedDeductions(response.data.deductions || []);
+      setDisputeStatuses(response.data.dispute_statuses || {});
+    } catch (error) {
+      console.error('Fetch escalated deductions error:', error);
+    }
+  };
+
   // Close notification dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -196,6 +220,8 @@ const AdminDashboard = ({ user, onLogout }) => {
       setActiveTab('overview');
     } else if (notification.type === 'tenancy_expiring') {
       setActiveTab('overview');
+    } else if (notification.type === 'deduction_dispute') {
+      setActiveTab('disputes');
     }
   };
 
@@ -774,7 +800,7 @@ const AdminDashboard = ({ user, onLogout }) => {
         {/* Tab Navigation */}
         <div className="mb-6 border-b border-gray-200">
           <nav className="flex gap-8 overflow-x-auto">
-            {['overview', 'users', 'announcements', 'monitoring', 'reset-requests', 'settings'].map((tab) => (
+            {['overview', 'users', 'announcements', 'monitoring', 'reset-requests', 'disputes', 'settings'].map((tab) => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -1218,6 +1244,67 @@ const AdminDashboard = ({ user, onLogout }) => {
           </div>
         )}
 
+        {/* Deduction Disputes Tab */}
+        {activeTab === 'disputes' && (
+          <div className="space-y-6">
+            <h2 className="text-2xl font-bold">Deduction Disputes</h2>
+
+            {escalatedDeductions.length > 0 ? (
+              <div className="space-y-4">
+                {escalatedDeductions.map((deduction) => (
+                  <div key={deduction.id} className="bg-white rounded-lg shadow p-6">
+                    <div className="flex items-start justify-between mb-4">
+                      <div>
+                        <h3 className="text-lg font-semibold">{deduction.description}</h3>
+                        <p className="text-sm text-gray-600">
+                          {deduction.landlord_name} (householder) and {deduction.lodger_name} (lodger)
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {[deduction.property_house_number, deduction.property_street_name, deduction.property_postcode].filter(part => part).join(', ')}
+                          {' · '}Deducted: {new Date(deduction.created_at).toLocaleDateString('en-GB')}
+                        </p>
+                      </div>
+                      <p className="text-lg font-bold text-red-600">£{parseFloat(deduction.amount).toFixed(2)}</p>
+                    </div>
+
+                    {(deduction.evidence_paths || []).length > 0 && (
+                      <div className="mb-4">
+                        <h4 className="font-medium text-gray-900 mb-2">Householder's Evidence:</h4>
+                        <div className="flex flex-wrap gap-2">
+                          {deduction.evidence_paths.map(evidencePath => (
+                            <a
+                              key={evidencePath}
+                              href={`${API_URL}${evidencePath}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-sm text-blue-600 hover:text-blue-800 underline"
+                            >
+                              {evidencePath.split('/').pop()}
+                            </a>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    <DeductionDispute
+                      deduction={deduction}
+                      userType="admin"
+                      disputeStatuses={disputeStatuses}
+                      onUpdated={fetchEscalatedDeductions}
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="bg-white rounded-lg shadow p-12 text-center">
+                <Shield className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-gray-700 mb-2">No Disputes to Mediate</h3>
+                <p className="text-gray-600">Deduction disputes escalated by householders or lodgers will appear here</p>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Announcements Tab */}
         {activeTab === 'announcements' && (
           <div className="space-y-6">
@@ -1880,6 +1967,8 @@ const AdminDashboard = ({ user, onLogout }) => {
           <div className="bg-white rounded-lg shadow p-6">
             <h2 className="text-2xl font-bold mb-6">System Settings</h2>
 
+            <BaseRateManager />
+
             {/* Backup & Export Section */}
             <div className="mb-6">
               <h3 className="text-lg font-semibold mb-4 text-gray-900">Backup & Export</h3>
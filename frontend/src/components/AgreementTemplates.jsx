@@ -0,0 +1,434 @@
+import React, { useState, useEffect } from 'react';
+import { BookOpen, Copy, History, Plus, Trash2 } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const emptyClause = { category: 'house_rules', title: '', body: '' };
+
+// Sections are edited as one clause per line
+const toDraft = (template) => ({
+  id: template.id,
+  name: template.name,
+  change_note: '',
+  title: template.content.title || '',
+  subtitle: template.content.subtitle || '',
+  introduction: template.content.introduction || '',
+  particulars: (template.content.particulars || []).join('\n'),
+  notes: template.content.notes || [],
+  sections: (template.content.sections || []).map(section => ({
+    heading: section.heading,
+    intro: section.intro || '',
+    clauses: section.clauses.join('\n')
+  }))
+});
+
+const fromDraft = (draft) => ({
+  title: draft.title,
+  subtitle: draft.subtitle || undefined,
+  introduction: draft.introduction || undefined,
+  particulars: draft.particulars.split('\n').map(line => line.trim()).filter(line => line),
+  notes: draft.notes,
+  sections: draft.sections.map(section => ({
+    heading: section.heading,
+    intro: section.intro || undefined,
+    clauses: section.clauses.split('\n').map(line => line.trim()).filter(line => line)
+  }))
+});
+
+/**
+ * AgreementTemplates Component
+ *
+ * The landlord's lodger agreement templates and Part 3 clause library. Templates use
+ * merge fields such as {{lodger_name}} and {{rent_amount}}, and every save is kept as
+ * a new version so signed agreements can always be traced to the wording they used.
+ * The standard template and clauses can be copied but not edited.
+ */
+const AgreementTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [mergeFields, setMergeFields] = useState({});
+  const [categories, setCategories] = useState({});
+  const [clauses, setClauses] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [clauseForm, setClauseForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchData = async () => {
+    try {
+      const [templatesResponse, clausesResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/agreement-templates`, { headers: authHeaders() }),
+        axios.get(`${API_URL}/api/agreement-templates/clauses`, { headers: authHeaders() })
+      ]);
+      setTemplates(templatesResponse.data.templates);
+      setMergeFields(templatesResponse.data.merge_fields);
+      setCategories(templatesResponse.data.categories);
+      setClauses(clausesResponse.data);
+    } catch (error) {
+      console.error('Failed to fetch agreement templates:', error);
+      showError('Failed to load agreement templates');
+    }
+  };
+
+  const openTemplate = async (templateId) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/agreement-templates/${templateId}`, { headers: authHeaders() });
+      setSelected(response.data);
+      setDraft(response.data.template.is_standard ? null : toDraft(response.data.template));
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to load template');
+    }
+  };
+
+  const handleCopy = async (template) => {
+    const name = prompt('Name for the new template', `${template.name} (copy)`);
+    if (!name) return;
+
+    try {
+      const response = await axios.post(`${API_URL}/api/agreement-templates`, {
+        name,
+        based_on_id: template.id
+      }, { headers: authHeaders() });
+      showSuccess('Template created');
+      await fetchData();
+      openTemplate(response.data.id);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to copy template');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.put(`${API_URL}/api/agreement-templates/${draft.id}`, {
+        name: draft.name,
+        content: fromDraft(draft),
+        change_note: draft.change_note
+      }, { headers: authHeaders() });
+      showSuccess(`Saved as version ${response.data.version}`);
+      fetchData();
+      openTemplate(response.data.id);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateSection = (index, changes) => {
+    setDraft({
+      ...draft,
+      sections: draft.sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    });
+  };
+
+  const handleSaveClause = async (e) => {
+    e.preventDefault();
+    try {
+      const { id, ...clause } = clauseForm;
+      if (id) {
+        await axios.put(`${API_URL}/api/agreement-templates/clauses/${id}`, clause, { headers: authHeaders() });
+      } else {
+        await axios.post(`${API_URL}/api/agreement-templates/clauses`, clause, { headers: authHeaders() });
+      }
+      showSuccess(id ? 'Clause updated' : 'Clause added');
+      setClauseForm(null);
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to save clause');
+    }
+  };
+
+  const handleDeleteClause = async (clause) => {
+    if (!confirm(`Remove "${clause.title}" from your clause library?`)) return;
+
+    try {
+      const response = await axios.delete(`${API_URL}/api/agreement-templates/clauses/${clause.id}`, { headers: authHeaders() });
+      showSuccess(response.data.message);
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to remove clause');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 text-gray-900 flex items-center gap-2">
+        <BookOpen className="w-5 h-5 text-indigo-600" />
+        Agreement Templates
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        The wording of your lodger agreements. Each save is kept as a new version; agreements already signed stay on
+        the version they were signed under.
+      </p>
+
+      <div className="border border-gray-200 rounded-lg divide-y mb-4">
+        {templates.map(template => (
+          <div key={template.id} className="flex items-center justify-between p-3">
+            <div>
+              <p className="font-medium text-gray-900">{template.name}</p>
+              <p className="text-xs text-gray-500">
+                {template.is_standard ? 'Standard template (read only)' : `Version ${template.version}`}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => openTemplate(template.id)}
+                className="px-3 py-1.5 border border-gray-300 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition"
+              >
+                {template.is_standard ? 'View' : 'Edit'}
+              </button>
+              <button
+                onClick={() => handleCopy(template)}
+                className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition"
+              >
+                <Copy className="w-3 h-3" />
+                Copy
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-semibold text-gray-900">
+              {selected.template.name} - version {selected.template.version}
+            </h4>
+            <button onClick={() => { setSelected(null); setDraft(null); }} className="text-sm text-gray-600 hover:text-gray-900">
+              Close
+            </button>
+          </div>
+
+          {draft ? (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Template Name</label>
+                  <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={inputClass} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Agreement Title</label>
+                  <input type="text" value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} className={inputClass} required />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Subtitle</label>
+                <input type="text" value={draft.subtitle} onChange={(e) => setDraft({ ...draft, subtitle: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Introduction</label>
+                <textarea rows={3} value={draft.introduction} onChange={(e) => setDraft({ ...draft, introduction: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Part 1: Particulars (one per line)</label>
+                <textarea rows={6} value={draft.particulars} onChange={(e) => setDraft({ ...draft, particulars: e.target.value })} className={`${inputClass} font-mono text-sm`} />
+              </div>
+
+              <div className="space-y-3">
+                <p className="text-sm font-medium text-gray-700">Part 2: Terms (one clause per line)</p>
+                {draft.sections.map((section, index) => (
+                  <div key={index} className="bg-gray-50 rounded-lg p-3 space-y-2">
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={section.heading}
+                        onChange={(e) => updateSection(index, { heading: e.target.value })}
+                        placeholder="Section heading"
+                        className={inputClass}
+                        required
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setDraft({ ...draft, sections: draft.sections.filter((_, i) => i !== index) })}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Remove section"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                    <input
+                      type="text"
+                      value={section.intro}
+                      onChange={(e) => updateSection(index, { intro: e.target.value })}
+                      placeholder="Introductory line (optional)"
+                      className={inputClass}
+                    />
+                    <textarea
+                      rows={5}
+                      value={section.clauses}
+                      onChange={(e) => updateSection(index, { clauses: e.target.value })}
+                      className={`${inputClass} text-sm`}
+                    />
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setDraft({ ...draft, sections: [...draft.sections, { heading: '', intro: '', clauses: '' }] })}
+                  className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add Section
+                </button>
+              </div>
+
+              <div className="bg-indigo-50 rounded-lg p-3">
+                <p className="text-sm font-medium text-indigo-900 mb-1">Merge fields</p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 text-xs text-indigo-800">
+                  {Object.entries(mergeFields).map(([field, description]) => (
+                    <p key={field}><span className="font-mono">{`{{${field}}}`}</span> - {description}</p>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">What changed in this version?</label>
+                <input type="text" value={draft.change_note} onChange={(e) => setDraft({ ...draft, change_note: e.target.value })} className={inputClass} />
+              </div>
+
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save as New Version'}
+              </button>
+            </form>
+          ) : (
+            <div className="text-sm text-gray-700 space-y-2 max-h-96 overflow-y-auto">
+              <p className="font-semibold">{selected.template.content.title}</p>
+              {selected.template.content.sections.map(section => (
+                <div key={section.heading}>
+                  <p className="font-medium">{section.heading}</p>
+                  <ul className="list-disc pl-5 text-gray-600">
+                    {section.clauses.map((clause, index) => <li key={index}>{clause}</li>)}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="mt-4 pt-4 border-t">
+            <p className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-1">
+              <History className="w-4 h-4" />
+              Versions
+            </p>
+            <ul className="space-y-1">
+              {selected.versions.map(version => (
+                <li key={version.id} className="flex items-center justify-between text-xs text-gray-600">
+                  <span>
+                    Version {version.version} · {new Date(version.created_at).toLocaleDateString('en-GB')}
+                    {version.created_by_name && ` · ${version.created_by_name}`}
+                    {version.change_note && ` · ${version.change_note}`}
+                    {` · ${version.tenancy_count} ${version.tenancy_count === 1 ? 'tenancy' : 'tenancies'}`}
+                  </span>
+                  {!selected.template.is_standard && version.id !== selected.template.id && (
+                    <button onClick={() => openTemplate(version.id)} className="text-indigo-600 hover:text-indigo-800">
+                      Open
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-gray-900">Part 3 Clause Library</h4>
+        {!clauseForm && (
+          <button
+            onClick={() => setClauseForm(emptyClause)}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium"
+          >
+            Add Clause
+          </button>
+        )}
+      </div>
+
+      {clauseForm && (
+        <form onSubmit={handleSaveClause} className="border border-gray-200 rounded-lg p-4 space-y-3 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <select value={clauseForm.category} onChange={(e) => setClauseForm({ ...clauseForm, category: e.target.value })} className={inputClass}>
+              {Object.entries(categories).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={clauseForm.title}
+              onChange={(e) => setClauseForm({ ...clauseForm, title: e.target.value })}
+              placeholder="Title, e.g. Quiet hours"
+              className={inputClass}
+              required
+            />
+          </div>
+          <textarea
+            rows={3}
+            value={clauseForm.body}
+            onChange={(e) => setClauseForm({ ...clauseForm, body: e.target.value })}
+            placeholder="Clause wording"
+            className={inputClass}
+            required
+          />
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium">
+              {clauseForm.id ? 'Save Clause' : 'Add Clause'}
+            </button>
+            <button type="button" onClick={() => setClauseForm(null)} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {Object.entries(categories).map(([category, label]) => {
+        const inCategory = clauses.filter(clause => clause.category === category);
+        if (inCategory.length === 0) return null;
+        return (
+          <div key={category} className="mb-3">
+            <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{label}</p>
+            <ul className="border border-gray-200 rounded-lg divide-y">
+              {inCategory.map(clause => (
+                <li key={clause.id} className="flex items-start justify-between gap-3 p-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {clause.title}
+                      {clause.is_standard && <span className="ml-2 text-xs font-normal text-gray-500">Standard</span>}
+                    </p>
+                    <p className="text-sm text-gray-600">{clause.body}</p>
+                  </div>
+                  {!clause.is_standard && (
+                    <div className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => setClauseForm({ id: clause.id, category: clause.category, title: clause.title, body: clause.body })}
+                        className="text-sm text-indigo-600 hover:text-indigo-800"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => handleDeleteClause(clause)} className="text-red-600 hover:text-red-800" title="Remove clause">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AgreementTemplates;
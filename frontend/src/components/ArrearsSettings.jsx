@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+/**
+ * ArrearsSettings Component
+ *
+ * Lets a landlord configure how overdue payments are handled: the grace period
+ * before a payment is marked overdue, when reminders are sent, and when a
+ * non-payment breach notice is drafted for approval.
+ */
+const ArrearsSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [reminderDaysInput, setReminderDaysInput] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/arrears/settings`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSettings(response.data);
+      setReminderDaysInput(response.data.reminder_days.join(', '));
+    } catch (error) {
+      console.error('Failed to fetch arrears settings:', error);
+      showError('Failed to load arrears settings');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      const reminderDays = reminderDaysInput
+        .split(',')
+        .map(day => day.trim())
+        .filter(day => day !== '')
+        .map(day => parseInt(day));
+
+      const response = await axios.put(`${API_URL}/api/arrears/settings`, {
+        grace_period_days: parseInt(settings.grace_period_days),
+        reminder_days: reminderDays,
+        breach_threshold_amount: parseFloat(settings.breach_threshold_amount),
+        breach_threshold_days: parseInt(settings.breach_threshold_days),
+        auto_draft_breach: settings.auto_draft_breach
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      setSettings(response.data);
+      setReminderDaysInput(response.data.reminder_days.join(', '));
+      showSuccess('Arrears settings saved');
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to save arrears settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 text-gray-900">Overdue Payments & Arrears</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Payments are checked every morning. Once the grace period has passed they are marked overdue and
+        the lodger is sent reminders. When arrears reach your threshold a breach notice is drafted for you
+        to review - it is never sent to the lodger without your approval.
+      </p>
+
+      <form onSubmit={handleSave} className="border border-gray-200 rounded-lg p-4 space-y-4">
+        <div className="flex items-start gap-3">
+          <Clock className="w-5 h-5 text-indigo-600 flex-shrink-0 mt-0.5" />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 flex-1">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Grace Period (days)</label>
+              <input
+                type="number"
+                min="0"
+                max="28"
+                value={settings.grace_period_days}
+                onChange={(e) => setSettings({ ...settings, grace_period_days: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reminder Days</label>
+              <input
+                type="text"
+                value={reminderDaysInput}
+                onChange={(e) => setReminderDaysInput(e.target.value)}
+                placeholder="1, 7, 14"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                required
+              />
+              <p className="text-xs text-gray-500 mt-1">Days overdue at which a reminder is sent, comma separated</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Breach Threshold Amount (£)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={settings.breach_threshold_amount}
+                onChange={(e) => setSettings({ ...settings, breach_threshold_amount: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Breach Threshold (days late)</label>
+              <input
+                type="number"
+                min="14"
+                value={settings.breach_threshold_days}
+                onChange={(e) => setSettings({ ...settings, breach_threshold_days: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                required
+              />
+              <p className="text-xs text-gray-500 mt-1">Minimum 14 days as per clause 9.1</p>
+            </div>
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.auto_draft_breach}
+            onChange={(e) => setSettings({ ...settings, auto_draft_breach: e.target.checked })}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Automatically draft a non-payment breach notice when the threshold is reached
+        </label>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Arrears Settings'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ArrearsSettings;
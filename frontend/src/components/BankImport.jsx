@@ -0,0 +1,419 @@
+import React, { useState, useEffect } from 'react';
+import { Upload, CheckCircle, X } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const EMPTY_MAPPING = {
+  date: '',
+  amount: '',
+  credit: '',
+  debit: '',
+  description: '',
+  reference: '',
+  dateFormat: 'DD/MM/YYYY'
+};
+
+/**
+ * BankImport Component
+ *
+ * Upload a bank statement CSV, review the proposed matches against the
+ * payment schedule and confirm them as received payments.
+ *
+ * @param {Function} onComplete - Called after matches are confirmed
+ */
+const BankImport = ({ onComplete }) => {
+  const [presets, setPresets] = useState({});
+  const [imports, setImports] = useState([]);
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [preset, setPreset] = useState('');
+  const [mapping, setMapping] = useState(EMPTY_MAPPING);
+  const [dateWindowDays, setDateWindowDays] = useState(5);
+  const [uploading, setUploading] = useState(false);
+  const [review, setReview] = useState(null);
+  const [selectedRows, setSelectedRows] = useState([]);
+
+  useEffect(() => {
+    fetchPresets();
+    fetchImports();
+  }, []);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchPresets = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/bank-imports/presets`, { headers: authHeaders() });
+      setPresets(response.data);
+    } catch (error) {
+      console.error('Failed to fetch bank presets:', error);
+    }
+  };
+
+  const fetchImports = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/bank-imports`, { headers: authHeaders() });
+      setImports(response.data);
+    } catch (error) {
+      console.error('Failed to fetch bank imports:', error);
+    }
+  };
+
+  const fetchReview = async (importId) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/bank-imports/${importId}`, { headers: authHeaders() });
+      setReview(response.data);
+      setSelectedRows(response.data.rows.filter(row => row.status === 'proposed').map(row => row.id));
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to load import');
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    setFile(selected);
+    try {
+      const formData = new FormData();
+      formData.append('file', selected);
+      const response = await axios.post(`${API_URL}/api/bank-imports/preview`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      setPreview(response.data);
+      setPreset(response.data.detected_preset || 'custom');
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to read bank statement');
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('date_window_days', dateWindowDays);
+      if (preset === 'custom') {
+        formData.append('mapping', JSON.stringify({
+          ...mapping,
+          amount: mapping.amount || undefined,
+          credit: mapping.amount ? undefined : mapping.credit,
+          debit: mapping.amount ? undefined : mapping.debit,
+          description: [mapping.description].filter(Boolean),
+          reference: mapping.reference || undefined
+        }));
+      } else {
+        formData.append('preset', preset);
+      }
+
+      const response = await axios.post(`${API_URL}/api/bank-imports`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+
+      showSuccess(`Imported ${response.data.total_rows} payment(s) in, ${response.data.proposed_rows} matched automatically`);
+      setFile(null);
+      setPreview(null);
+      setMapping(EMPTY_MAPPING);
+      fetchImports();
+      fetchReview(response.data.id);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to import bank statement');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleChangeMatch = async (rowId, paymentId) => {
+    try {
+      await axios.put(`${API_URL}/api/bank-imports/rows/${rowId}`, {
+        payment_id: paymentId || null
+      }, { headers: authHeaders() });
+      fetchReview(review.id);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update match');
+    }
+  };
+
+  const handleIgnore = async (rowId) => {
+    try {
+      await axios.put(`${API_URL}/api/bank-imports/rows/${rowId}`, { ignore: true }, { headers: authHeaders() });
+      fetchReview(review.id);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to ignore row');
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (selectedRows.length === 0) return;
+
+    try {
+      const response = await axios.post(`${API_URL}/api/bank-imports/${review.id}/confirm`, {
+        row_ids: selectedRows
+      }, { headers: authHeaders() });
+      showSuccess(response.data.message);
+      fetchReview(review.id);
+      fetchImports();
+      if (onComplete) onComplete();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to confirm matches');
+    }
+  };
+
+  const toggleRow = (rowId) => {
+    setSelectedRows(selectedRows.includes(rowId)
+      ? selectedRows.filter(id => id !== rowId)
+      : [...selectedRows, rowId]);
+  };
+
+  const getRowStatusBadge = (status) => {
+    const styles = {
+      proposed: 'bg-blue-100 text-blue-700',
+      confirmed: 'bg-green-100 text-green-700',
+      unmatched: 'bg-yellow-100 text-yellow-700',
+      ignored: 'bg-gray-100 text-gray-600',
+      duplicate: 'bg-gray-100 text-gray-600'
+    };
+    return (
+      <span className={`px-2 py-1 rounded-full text-xs font-medium ${styles[status] || styles.unmatched}`}>
+        {status.charAt(0).toUpperCase() + status.slice(1)}
+      </span>
+    );
+  };
+
+  const columnSelect = (field, label, required = false) => (
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+      <select
+        value={mapping[field]}
+        onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+        className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+        required={required}
+      >
+        <option value="">-</option>
+        {preview.headers.map(header => (
+          <option key={header} value={header}>{header}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-semibold mb-1 flex items-center gap-2">
+        <Upload className="w-5 h-5 text-indigo-600" />
+        Bank Statement Import
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Upload a CSV export from your bank. Payments in are matched to your lodgers' payments using their
+        payment reference, the amount and the date, then you review the matches before they are recorded.
+      </p>
+
+      <form onSubmit={handleUpload} className="space-y-4">
+        <div className="flex gap-4 items-end flex-wrap">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Statement CSV</label>
+            <input type="file" accept=".csv" onChange={handleFileChange} className="text-sm" />
+          </div>
+          {preview && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Bank Format</label>
+                <select
+                  value={preset}
+                  onChange={(e) => setPreset(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  {Object.entries(presets).map(([key, bank]) => (
+                    <option key={key} value={key}>{bank.name}</option>
+                  ))}
+                  <option value="custom">Custom column mapping</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Date Window (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="31"
+                  value={dateWindowDays}
+                  onChange={(e) => setDateWindowDays(e.target.value)}
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={uploading}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium text-sm disabled:opacity-50"
+              >
+                {uploading ? 'Importing...' : 'Import & Match'}
+              </button>
+            </>
+          )}
+        </div>
+
+        {preview && preset === 'custom' && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 p-4 bg-gray-50 rounded-lg">
+            {columnSelect('date', 'Date *', true)}
+            {columnSelect('amount', 'Amount (signed)')}
+            {columnSelect('credit', 'Money In')}
+            {columnSelect('debit', 'Money Out')}
+            {columnSelect('description', 'Description')}
+            {columnSelect('reference', 'Reference')}
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Date Format</label>
+              <select
+                value={mapping.dateFormat}
+                onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+                <option value="DD MMM YYYY">DD MMM YYYY</option>
+                <option value="DD-MM-YYYY">DD-MM-YYYY</option>
+              </select>
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <p className="text-xs text-gray-500">
+            Columns found: {preview.headers.join(', ')}
+          </p>
+        )}
+      </form>
+
+      {/* Review */}
+      {review && (
+        <div className="mt-6 border-t border-gray-200 pt-4">
+          <div className="flex justify-between items-center mb-3">
+            <h4 className="font-semibold text-gray-900">
+              Review: {review.filename || 'Bank feed'} ({new Date(review.created_at).toLocaleDateString('en-GB')})
+            </h4>
+            <div className="flex gap-2">
+              <button
+                onClick={handleConfirm}
+                disabled={selectedRows.length === 0}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition font-medium text-sm disabled:opacity-50 inline-flex items-center gap-1"
+              >
+                <CheckCircle className="w-4 h-4" />
+                Confirm {selectedRows.length} Selected
+              </button>
+              <button
+                onClick={() => setReview(null)}
+                className="p-2 text-gray-500 hover:text-gray-700"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2"></th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Match</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {review.rows.map((row) => {
+                  const editable = row.status === 'proposed' || row.status === 'unmatched';
+                  return (
+                    <tr key={row.id} className="align-top">
+                      <td className="px-3 py-2">
+                        {row.status === 'proposed' && (
+                          <input
+                            type="checkbox"
+                            checked={selectedRows.includes(row.id)}
+                            onChange={() => toggleRow(row.id)}
+                            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                          />
+                        )}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {new Date(row.transaction_date).toLocaleDateString('en-GB')}
+                      </td>
+                      <td className="px-3 py-2">{row.description}</td>
+                      <td className="px-3 py-2 whitespace-nowrap font-medium">£{parseFloat(row.amount).toFixed(2)}</td>
+                      <td className="px-3 py-2">
+                        {editable ? (
+                          <select
+                            value={row.matched_payment_id || ''}
+                            onChange={(e) => handleChangeMatch(row.id, e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded text-xs max-w-xs"
+                          >
+                            <option value="">No match</option>
+                            {review.open_payments.map(payment => (
+                              <option key={payment.id} value={payment.id}>
+                                {payment.lodger_name} #{payment.payment_number} - due {new Date(payment.due_date).toLocaleDateString('en-GB')} - £{parseFloat(payment.outstanding).toFixed(2)}
+                              </option>
+                            ))}
+                            {row.matched_payment_id && !review.open_payments.some(payment => payment.id === row.matched_payment_id) && (
+                              <option value={row.matched_payment_id}>
+                                {row.lodger_name} #{row.payment_number}
+                              </option>
+                            )}
+                          </select>
+                        ) : (
+                          row.payment_number && <span>{row.lodger_name} #{row.payment_number}</span>
+                        )}
+                        {row.match_reasons && row.match_reasons.length > 0 && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            {row.match_score !== null && `Score ${row.match_score}: `}{row.match_reasons.join(', ')}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">{getRowStatusBadge(row.status)}</td>
+                      <td className="px-3 py-2">
+                        {editable && (
+                          <button
+                            onClick={() => handleIgnore(row.id)}
+                            className="text-gray-500 hover:text-gray-700 text-xs font-medium"
+                          >
+                            Ignore
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Previous imports */}
+      {imports.length > 0 && !review && (
+        <div className="mt-6 border-t border-gray-200 pt-4">
+          <h4 className="font-semibold text-gray-900 mb-2">Previous Imports</h4>
+          <div className="space-y-2">
+            {imports.slice(0, 5).map((bankImport) => (
+              <div key={bankImport.id} className="flex justify-between items-center text-sm">
+                <span className="text-gray-700">
+                  {bankImport.filename || 'Bank feed'} - {new Date(bankImport.created_at).toLocaleDateString('en-GB')} -
+                  {' '}{bankImport.matched_rows}/{bankImport.total_rows} confirmed
+                </span>
+                <button
+                  onClick={() => fetchReview(bankImport.id)}
+                  className="text-indigo-600 hover:text-indigo-800 font-medium"
+                >
+                  {bankImport.status === 'review' ? 'Review' : 'View'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BankImport;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { TrendingUp } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+/**
+ * BaseRateManager Component
+ *
+ * Admin view of the Bank of England base rate history used to calculate
+ * late payment interest. New rate changes are added here as they are announced.
+ */
+const BaseRateManager = () => {
+  const [rates, setRates] = useState([]);
+  const [form, setForm] = useState({ rate: '', effective_from: '' });
+
+  useEffect(() => {
+    fetchRates();
+  }, []);
+
+  const fetchRates = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/base-rates`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setRates(response.data);
+    } catch (error) {
+      console.error('Failed to fetch base rates:', error);
+      showError('Failed to load base rates');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/api/base-rates`, {
+        rate: parseFloat(form.rate),
+        effective_from: form.effective_from
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Base rate added');
+      setForm({ rate: '', effective_from: '' });
+      fetchRates();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to add base rate');
+    }
+  };
+
+  const handleDelete = async (rateId) => {
+    if (!confirm('Delete this base rate? Interest statements will be recalculated without it.')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`${API_URL}/api/base-rates/${rateId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Base rate deleted');
+      fetchRates();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to delete base rate');
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-semibold mb-4 text-gray-900 flex items-center gap-2">
+        <TrendingUp className="w-5 h-5 text-indigo-600" />
+        Bank of England Base Rate
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Late payment interest is charged at 3% above the base rate in force on each day a payment is late.
+      </p>
+
+      <form onSubmit={handleAdd} className="flex gap-3 items-end flex-wrap mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Rate (%)</label>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={form.rate}
+            onChange={(e) => setForm({ ...form, rate: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Effective From</label>
+          <input
+            type="date"
+            value={form.effective_from}
+            onChange={(e) => setForm({ ...form, effective_from: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            required
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+        >
+          Add Rate Change
+        </button>
+      </form>
+
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-64 overflow-y-auto">
+        {rates.map((rate) => (
+          <div key={rate.id} className="flex justify-between items-center px-4 py-2 text-sm">
+            <span className="text-gray-700">
+              From {new Date(rate.effective_from).toLocaleDateString('en-GB')}
+            </span>
+            <div className="flex items-center gap-4">
+              <span className="font-semibold">{parseFloat(rate.rate).toFixed(2)}%</span>
+              <button
+                onClick={() => handleDelete(rate.id)}
+                className="text-red-600 hover:text-red-800 font-medium"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BaseRateManager;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { Banknote } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const statusStyles = {
+  awaiting_landlord: 'bg-yellow-100 text-yellow-800',
+  awaiting_lodger: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-green-100 text-green-800',
+  disputed: 'bg-red-100 text-red-800'
+};
+
+const statusLabels = {
+  awaiting_landlord: 'Awaiting householder',
+  awaiting_lodger: 'Awaiting lodger',
+  confirmed: 'Confirmed',
+  disputed: 'Disputed'
+};
+
+/**
+ * CashHandovers Component
+ *
+ * Lists cash payments on a tenancy. A cash payment is posted to the ledger and
+ * a receipt issued only once both landlord and lodger have acknowledged it, so
+ * whoever it is waiting on can confirm or dispute it here. Used by both views.
+ *
+ * @param {string} tenancyId - Tenancy to list cash payments for
+ * @param {string} userType - 'landlord' or 'lodger'
+ * @param {number} refreshKey - Change to force the list to reload
+ * @param {Function} onChange - Called after a cash payment is confirmed or disputed
+ */
+const CashHandovers = ({ tenancyId, userType, refreshKey, onChange }) => {
+  const [handovers, setHandovers] = useState([]);
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    fetchHandovers();
+  }, [tenancyId, refreshKey]);
+
+  const fetchHandovers = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/payment-methods/cash-handovers`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { tenancy_id: tenancyId }
+      });
+      setHandovers(response.data);
+    } catch (error) {
+      console.error('Failed to fetch cash payments:', error);
+    }
+  };
+
+  const handleAcknowledge = async (handover) => {
+    const action = userType === 'lodger' ? 'handed over' : 'received';
+    if (!confirm(`Confirm you ${action} £${parseFloat(handover.amount).toFixed(2)} in cash on ${new Date(handover.handed_over_date).toLocaleDateString('en-GB')}?`)) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/api/payment-methods/cash-handovers/${handover.id}/acknowledge`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess(`Cash payment confirmed. Receipt ${response.data.receipt.receipt_number} issued.`);
+      fetchHandovers();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to confirm cash payment');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleDispute = async (handover) => {
+    const reason = prompt('Why are you disputing this cash payment?');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/api/payment-methods/cash-handovers/${handover.id}/dispute`, { reason }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Cash payment disputed');
+      fetchHandovers();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to dispute cash payment');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (handovers.length === 0) {
+    return null;
+  }
+
+  const waitingOnMe = (handover) => handover.status === (userType === 'lodger' ? 'awaiting_lodger' : 'awaiting_landlord');
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mt-6">
+      <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+        <Banknote className="w-5 h-5 text-indigo-600" />
+        Cash Payments
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Handed Over</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">For</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {handovers.map(handover => (
+              <tr key={handover.id}>
+                <td className="px-4 py-2">{new Date(handover.handed_over_date).toLocaleDateString('en-GB')}</td>
+                <td className="px-4 py-2">
+                  {handover.payment_number ? `Payment #${handover.payment_number}` : 'Payment on account'}
+                </td>
+                <td className="px-4 py-2 text-right font-medium">£{parseFloat(handover.amount).toFixed(2)}</td>
+                <td className="px-4 py-2">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[handover.status]}`}>
+                    {statusLabels[handover.status]}
+                  </span>
+                  {handover.dispute_reason && (
+                    <p className="text-xs text-gray-500 mt-1">{handover.dispute_reason}</p>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-right whitespace-nowrap">
+                  {waitingOnMe(handover) && (
+                    <>
+                      <button
+                        onClick={() => handleAcknowledge(handover)}
+                        disabled={processing}
+                        className="text-xs text-green-600 hover:text-green-800 font-medium mr-3 disabled:opacity-50"
+                      >
+                        Confirm
+                      </button>
+                      <button
+                        onClick={() => handleDispute(handover)}
+                        disabled={processing}
+                        className="text-xs text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                      >
+                        Dispute
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CashHandovers;
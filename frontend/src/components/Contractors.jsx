@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import { HardHat, Trash2 } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const emptyContractor = {
+  name: '',
+  company_name: '',
+  trade: '',
+  phone: '',
+  email: '',
+  gas_safe_number: '',
+  niceic_number: '',
+  notes: ''
+};
+
+/**
+ * Contractors Component
+ *
+ * The landlord's directory of tradespeople, with the Gas Safe and NICEIC
+ * registrations to check before they're sent a job.
+ *
+ * @param {Function} onChange - Called after a contractor is added or removed
+ */
+const Contractors = ({ onChange }) => {
+  const [contractors, setContractors] = useState([]);
+  const [trades, setTrades] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [newContractor, setNewContractor] = useState(emptyContractor);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { Authorization: `Bearer ${token}` };
+      const [contractorsResponse, tradesResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/contractors`, { headers }),
+        axios.get(`${API_URL}/api/contractors/trades`, { headers })
+      ]);
+      setContractors(contractorsResponse.data);
+      setTrades(tradesResponse.data);
+    } catch (error) {
+      console.error('Failed to fetch contractors:', error);
+      showError('Failed to load contractors');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/api/contractors`, newContractor, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Contractor added');
+      setNewContractor(emptyContractor);
+      setShowForm(false);
+      fetchData();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to add contractor');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (contractor) => {
+    if (!confirm(`Remove ${contractor.name} from your contractors?`)) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.delete(`${API_URL}/api/contractors/${contractor.id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess(response.data.message);
+      fetchData();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to remove contractor');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <HardHat className="w-5 h-5 text-indigo-600" />
+          Contractors
+        </h3>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+          >
+            Add Contractor
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Contact Name</label>
+              <input
+                type="text"
+                value={newContractor.name}
+                onChange={(e) => setNewContractor({ ...newContractor, name: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Business Name</label>
+              <input
+                type="text"
+                value={newContractor.company_name}
+                onChange={(e) => setNewContractor({ ...newContractor, company_name: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Trade</label>
+              <select
+                value={newContractor.trade}
+                onChange={(e) => setNewContractor({ ...newContractor, trade: e.target.value })}
+                className={inputClass}
+                required
+              >
+                <option value="">Select trade</option>
+                {Object.entries(trades).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+              <input
+                type="tel"
+                value={newContractor.phone}
+                onChange={(e) => setNewContractor({ ...newContractor, phone: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                value={newContractor.email}
+                onChange={(e) => setNewContractor({ ...newContractor, email: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Gas Safe Number{newContractor.trade === 'gas_engineer' ? '' : ' (if registered)'}
+              </label>
+              <input
+                type="text"
+                value={newContractor.gas_safe_number}
+                onChange={(e) => setNewContractor({ ...newContractor, gas_safe_number: e.target.value })}
+                className={inputClass}
+                required={newContractor.trade === 'gas_engineer'}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">NICEIC Number (if registered)</label>
+              <input
+                type="text"
+                value={newContractor.niceic_number}
+                onChange={(e) => setNewContractor({ ...newContractor, niceic_number: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+              <input
+                type="text"
+                value={newContractor.notes}
+                onChange={(e) => setNewContractor({ ...newContractor, notes: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Contractor'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {contractors.length === 0 ? (
+        <p className="text-sm text-gray-500">No contractors added yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Trade</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Contact</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Registrations</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Jobs</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {contractors.map(contractor => (
+                <tr key={contractor.id}>
+                  <td className="px-4 py-2">
+                    <p className="font-medium">{contractor.name}</p>
+                    {contractor.company_name && <p className="text-xs text-gray-500">{contractor.company_name}</p>}
+                  </td>
+                  <td className="px-4 py-2">{trades[contractor.trade] || contractor.trade}</td>
+                  <td className="px-4 py-2">
+                    {contractor.phone && <p>{contractor.phone}</p>}
+                    {contractor.email && <p className="text-xs text-gray-500">{contractor.email}</p>}
+                  </td>
+                  <td className="px-4 py-2 text-xs">
+                    {contractor.gas_safe_number && <p>Gas Safe {contractor.gas_safe_number}</p>}
+                    {contractor.niceic_number && <p>NICEIC {contractor.niceic_number}</p>}
+                  </td>
+                  <td className="px-4 py-2 text-right">{contractor.work_order_count}</td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => handleDelete(contractor)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove contractor"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Contractors;
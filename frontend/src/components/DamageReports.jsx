@@ -0,0 +1,504 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, Camera } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const statusStyles = {
+  awaiting_lodger: 'bg-yellow-100 text-yellow-800',
+  acknowledged: 'bg-blue-100 text-blue-800',
+  disputed: 'bg-red-100 text-red-800',
+  converted: 'bg-green-100 text-green-800',
+  withdrawn: 'bg-gray-100 text-gray-600'
+};
+
+const eventLabels = {
+  raised: 'Reported',
+  acknowledged: 'Acknowledged by lodger',
+  disputed: 'Disputed by lodger',
+  responded: 'Householder responded',
+  converted: 'Deducted',
+  withdrawn: 'Withdrawn'
+};
+
+const openStatuses = ['awaiting_lodger', 'acknowledged', 'disputed'];
+
+const emptyReport = {
+  title: '',
+  room_area: '',
+  description: '',
+  estimated_cost: '',
+  incident_date: ''
+};
+
+/**
+ * DamageReports Component
+ *
+ * Damage raised by the householder during a tenancy, with photos. The lodger
+ * acknowledges or disputes each report, and the householder can answer a dispute,
+ * withdraw the report or turn it into a deduction from the deposit or advance rent.
+ *
+ * @param {string} tenancyId - Tenancy the reports are on
+ * @param {string} userType - 'landlord' or 'lodger'
+ * @param {Function} onDeduction - Called after a report is turned into a deduction
+ */
+const DamageReports = ({ tenancyId, userType, onDeduction }) => {
+  const [reports, setReports] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [newReport, setNewReport] = useState(emptyReport);
+  const [photos, setPhotos] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [action, setAction] = useState(null);
+  const [funds, setFunds] = useState(null);
+
+  const isLodger = userType === 'lodger';
+
+  useEffect(() => {
+    fetchReports();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchReports = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/damage-reports`, { headers: authHeaders() });
+      setReports(response.data.reports);
+      setStatuses(response.data.statuses);
+    } catch (error) {
+      console.error('Failed to fetch damage reports:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      Object.entries(newReport).forEach(([key, value]) => {
+        if (value !== '') formData.append(key, value);
+      });
+      photos.forEach(photo => formData.append('photos', photo));
+
+      await axios.post(`${API_URL}/api/tenancies/${tenancyId}/damage-reports`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+
+      showSuccess('Damage reported to your lodger');
+      setNewReport(emptyReport);
+      setPhotos([]);
+      setShowForm(false);
+      fetchReports();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to report damage');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddPhotos = async (report, files) => {
+    if (files.length === 0) return;
+    try {
+      const formData = new FormData();
+      Array.from(files).forEach(photo => formData.append('photos', photo));
+      await axios.post(`${API_URL}/api/tenancies/damage-reports/${report.id}/photos`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      showSuccess('Photos added');
+      fetchReports();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to add photos');
+    }
+  };
+
+  const startAction = async (report, type) => {
+    setAction({
+      reportId: report.id,
+      type,
+      comment: '',
+      estimated_cost: '',
+      amount: parseFloat(report.estimated_cost).toFixed(2),
+      deduct_from_deposit: '',
+      deduct_from_advance: '',
+      notes: ''
+    });
+
+    if (type === 'convert') {
+      try {
+        const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/available-funds`, { headers: authHeaders() });
+        setFunds(response.data);
+        // Take the deduction from the deposit first, then advance rent
+        const amount = parseFloat(report.estimated_cost);
+        const fromDeposit = Math.min(amount, response.data.available_deposit);
+        setAction(current => current && ({
+          ...current,
+          deduct_from_deposit: fromDeposit.toFixed(2),
+          deduct_from_advance: Math.max(0, amount - fromDeposit).toFixed(2)
+        }));
+      } catch (error) {
+        showError('Failed to load available funds');
+      }
+    }
+  };
+
+  const submitAction = async (report) => {
+    const messages = {
+      acknowledge: 'Report acknowledged',
+      dispute: 'Dispute sent to your householder',
+      respond: 'Response sent to your lodger',
+      convert: 'Deduction created',
+      withdraw: 'Report withdrawn'
+    };
+
+    const bodies = {
+      acknowledge: { comment: action.comment },
+      dispute: { comment: action.comment },
+      respond: { comment: action.comment, estimated_cost: action.estimated_cost },
+      convert: {
+        amount: action.amount,
+        deduct_from_deposit: action.deduct_from_deposit || 0,
+        deduct_from_advance: action.deduct_from_advance || 0,
+        notes: action.notes
+      },
+      withdraw: { comment: action.comment }
+    };
+
+    setSaving(true);
+    try {
+      await axios.post(
+        `${API_URL}/api/tenancies/damage-reports/${report.id}/${action.type}`,
+        bodies[action.type],
+        { headers: authHeaders() }
+      );
+      showSuccess(messages[action.type]);
+      if (action.type === 'convert' && onDeduction) onDeduction();
+      setAction(null);
+      fetchReports();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update damage report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  const renderActionForm = (report) => {
+    const commentLabels = {
+      acknowledge: 'Comment (optional)',
+      dispute: 'Why do you dispute this report?',
+      respond: 'Your response',
+      withdraw: 'Reason (optional)'
+    };
+
+    return (
+      <div className="mt-3 p-3 bg-gray-50 rounded-lg space-y-3">
+        {action.type === 'convert' ? (
+          <>
+            {funds && (
+              <p className="text-xs text-gray-600">
+                Available: £{funds.available_deposit.toFixed(2)} deposit, £{funds.available_advance.toFixed(2)} advance rent
+              </p>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Amount (£)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  value={action.amount}
+                  onChange={(e) => setAction({ ...action, amount: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">From Deposit (£)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={action.deduct_from_deposit}
+                  onChange={(e) => setAction({ ...action, deduct_from_deposit: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">From Advance Rent (£)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={action.deduct_from_advance}
+                  onChange={(e) => setAction({ ...action, deduct_from_advance: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <input
+              type="text"
+              placeholder="Notes for the statement (optional)"
+              value={action.notes}
+              onChange={(e) => setAction({ ...action, notes: e.target.value })}
+              className={inputClass}
+            />
+            {report.status === 'disputed' && (
+              <p className="text-xs text-red-700">
+                Your lodger disputes this report. Their dispute will be printed on the deduction statement.
+              </p>
+            )}
+          </>
+        ) : (
+          <>
+            <textarea
+              placeholder={commentLabels[action.type]}
+              value={action.comment}
+              onChange={(e) => setAction({ ...action, comment: e.target.value })}
+              className={inputClass}
+              rows={2}
+              required={['dispute', 'respond'].includes(action.type)}
+            />
+            {action.type === 'respond' && (
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                placeholder="Revised estimate (£, optional)"
+                value={action.estimated_cost}
+                onChange={(e) => setAction({ ...action, estimated_cost: e.target.value })}
+                className={inputClass}
+              />
+            )}
+          </>
+        )}
+        <div className="flex gap-2">
+          <button
+            onClick={() => submitAction(report)}
+            disabled={saving}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Confirm'}
+          </button>
+          <button
+            onClick={() => setAction(null)}
+            className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition font-medium"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className={isLodger ? 'bg-white rounded-lg shadow p-6' : 'mt-6 pt-6 border-t'}>
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2">
+          <AlertTriangle className="w-4 h-4 text-orange-600" />
+          Damage Reports
+        </h4>
+        {!isLodger && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-3 py-1.5 bg-orange-600 text-white text-sm rounded-lg hover:bg-orange-700 transition font-medium"
+          >
+            Report Damage
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">What is damaged?</label>
+              <input
+                type="text"
+                value={newReport.title}
+                onChange={(e) => setNewReport({ ...newReport, title: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Room / Area</label>
+              <input
+                type="text"
+                value={newReport.room_area}
+                onChange={(e) => setNewReport({ ...newReport, room_area: e.target.value })}
+                className={inputClass}
+                placeholder="e.g. Lodger's bedroom, shared kitchen"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Estimated Cost (£)</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                value={newReport.estimated_cost}
+                onChange={(e) => setNewReport({ ...newReport, estimated_cost: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date of Damage (if known)</label>
+              <input
+                type="date"
+                value={newReport.incident_date}
+                onChange={(e) => setNewReport({ ...newReport, incident_date: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <textarea
+              value={newReport.description}
+              onChange={(e) => setNewReport({ ...newReport, description: e.target.value })}
+              className={inputClass}
+              rows={3}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Photos (up to 10)</label>
+            <input
+              type="file"
+              accept=".jpg,.jpeg,.png"
+              multiple
+              onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, 10))}
+              className="text-sm"
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Send to Lodger'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {reports.length === 0 ? (
+        <p className="text-sm text-gray-500">No damage reported</p>
+      ) : (
+        <div className="space-y-3">
+          {reports.map(report => (
+            <div key={report.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between items-start">
+                <div>
+                  <p className="font-medium text-gray-900">{report.title}</p>
+                  <p className="text-xs text-gray-600">
+                    {report.room_area}
+                    {report.incident_date && ` · ${new Date(report.incident_date).toLocaleDateString('en-GB')}`}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <span className={`inline-block px-2 py-0.5 text-xs font-semibold rounded ${statusStyles[report.status]}`}>
+                    {statuses[report.status] || report.status}
+                  </span>
+                  <p className="font-bold text-gray-900 mt-1">£{parseFloat(report.estimated_cost).toFixed(2)}</p>
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">{report.description}</p>
+
+              {report.photos.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {report.photos.map(photo => (
+                    <a key={photo.path} href={`${API_URL}${photo.path}`} target="_blank" rel="noopener noreferrer">
+                      <img src={`${API_URL}${photo.path}`} alt={photo.filename} className="w-16 h-16 object-cover rounded border border-gray-200" />
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-3 space-y-1">
+                {report.events.map(event => (
+                  <div key={event.id} className="text-xs">
+                    <span className="text-gray-500">{new Date(event.created_at).toLocaleDateString('en-GB')}</span>{' '}
+                    <span className="font-medium text-gray-700">{eventLabels[event.event_type]}</span>
+                    {event.comment && <span className="text-gray-600">: {event.comment}</span>}
+                  </div>
+                ))}
+              </div>
+
+              {openStatuses.includes(report.status) && (
+                <div className="flex flex-wrap items-center gap-3 mt-3 pt-3 border-t border-gray-100">
+                  {isLodger && ['awaiting_lodger', 'disputed'].includes(report.status) && (
+                    <button
+                      onClick={() => startAction(report, 'acknowledge')}
+                      className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      Acknowledge
+                    </button>
+                  )}
+                  {isLodger && report.status === 'awaiting_lodger' && (
+                    <button
+                      onClick={() => startAction(report, 'dispute')}
+                      className="text-sm text-red-600 hover:text-red-800 font-medium"
+                    >
+                      Dispute
+                    </button>
+                  )}
+                  {!isLodger && report.status === 'disputed' && (
+                    <button
+                      onClick={() => startAction(report, 'respond')}
+                      className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      Respond
+                    </button>
+                  )}
+                  {!isLodger && (
+                    <>
+                      <button
+                        onClick={() => startAction(report, 'convert')}
+                        className="text-sm text-orange-600 hover:text-orange-800 font-medium"
+                      >
+                        Deduct
+                      </button>
+                      <button
+                        onClick={() => startAction(report, 'withdraw')}
+                        className="text-sm text-gray-600 hover:text-gray-800 font-medium"
+                      >
+                        Withdraw
+                      </button>
+                    </>
+                  )}
+                  <label className="text-sm text-gray-600 hover:text-gray-800 font-medium flex items-center gap-1 cursor-pointer">
+                    <Camera className="w-4 h-4" />
+                    Add Photos
+                    <input
+                      type="file"
+                      accept=".jpg,.jpeg,.png"
+                      multiple
+                      onChange={(e) => handleAddPhotos(report, e.target.files)}
+                      className="hidden"
+                    />
+                  </label>
+                </div>
+              )}
+
+              {action && action.reportId === report.id && renderActionForm(report)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DamageReports;
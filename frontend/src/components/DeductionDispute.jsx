@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import { Scale } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const statusStyles = {
+  awaiting_landlord: 'bg-yellow-100 text-yellow-800',
+  awaiting_lodger: 'bg-yellow-100 text-yellow-800',
+  agreed: 'bg-green-100 text-green-800',
+  escalated: 'bg-purple-100 text-purple-800',
+  resolved: 'bg-green-100 text-green-800'
+};
+
+const eventLabels = {
+  created: 'Deducted',
+  disputed: 'Disputed, proposing',
+  countered: 'Counter-offer of',
+  accepted: 'Agreed at',
+  escalated: 'Escalated for mediation',
+  resolved: 'Mediator decided'
+};
+
+const partyLabels = {
+  landlord: 'Householder',
+  lodger: 'Lodger',
+  admin: 'Mediator'
+};
+
+// Who has to answer while a dispute is being negotiated
+const awaitingParty = {
+  awaiting_landlord: 'landlord',
+  awaiting_lodger: 'lodger'
+};
+
+/**
+ * DeductionDispute Component
+ *
+ * The dispute history of one deduction and the lodger's, householder's or mediator's
+ * next step. The lodger can accept a deduction or dispute it with a proposed amount
+ * and evidence; the two sides then accept or counter each other's offers, and either
+ * can escalate to an administrator, who decides the amount.
+ *
+ * @param {Object} deduction - Deduction with its history
+ * @param {string} userType - 'landlord', 'lodger' or 'admin'
+ * @param {Object} disputeStatuses - Labels for each dispute status
+ * @param {Function} onUpdated - Called after any action so the deduction can be reloaded
+ */
+const DeductionDispute = ({ deduction, userType, disputeStatuses = {}, onUpdated }) => {
+  const [action, setAction] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [comment, setComment] = useState('');
+  const [evidence, setEvidence] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const history = deduction.history || [];
+  const myTurn = awaitingParty[deduction.dispute_status] === userType;
+  const negotiating = Boolean(awaitingParty[deduction.dispute_status]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const openAction = (name) => {
+    setAction(name);
+    setAmount(name === 'resolve' && deduction.proposed_amount !== null ? deduction.proposed_amount : '');
+    setComment('');
+    setEvidence([]);
+  };
+
+  const submit = async (endpoint, body, successMessage, fallbackError) => {
+    setSaving(true);
+    try {
+      await axios.post(`${API_URL}/api/tenancies/deductions/${deduction.id}/${endpoint}`, body, { headers: authHeaders() });
+      showSuccess(successMessage);
+      setAction(null);
+      onUpdated && onUpdated();
+    } catch (error) {
+      showError(error.response?.data?.error || fallbackError);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const withEvidence = (fields) => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    evidence.forEach(file => formData.append('evidence', file));
+    return formData;
+  };
+
+  const handleAccept = () => {
+    const agreed = deduction.dispute_status === 'none' ? deduction.amount : deduction.proposed_amount;
+    if (!window.confirm(`Agree to a deduction of £${parseFloat(agreed).toFixed(2)}?`)) return;
+    submit('accept', {}, 'Deduction agreed', 'Failed to accept deduction');
+  };
+
+  const handleSubmitAction = (e) => {
+    e.preventDefault();
+    if (action === 'dispute') {
+      submit('dispute', withEvidence({ proposed_amount: amount, reason: comment }), 'Deduction disputed', 'Failed to dispute deduction');
+    } else if (action === 'counter') {
+      submit('counter', withEvidence({ amount, comment }), 'Counter-offer sent', 'Failed to send counter-offer');
+    } else if (action === 'escalate') {
+      submit('escalate', { comment }, 'Dispute escalated for mediation', 'Failed to escalate dispute');
+    } else if (action === 'resolve') {
+      submit('resolve', { amount, comment }, 'Dispute resolved', 'Failed to resolve dispute');
+    }
+  };
+
+  const renderEvidence = (paths) => (paths || []).length > 0 && (
+    <div className="flex flex-wrap gap-2 mt-1">
+      {paths.map(evidencePath => (
+        <a
+          key={evidencePath}
+          href={`${API_URL}${evidencePath}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-xs text-blue-600 hover:text-blue-800 underline"
+        >
+          {evidencePath.split('/').pop()}
+        </a>
+      ))}
+    </div>
+  );
+
+  const actionTitles = {
+    dispute: 'Dispute this deduction',
+    counter: 'Make a counter-offer',
+    escalate: 'Escalate for mediation',
+    resolve: 'Decide the amount'
+  };
+
+  return (
+    <div className="mt-2">
+      {deduction.dispute_status !== 'none' && (
+        <div className="flex flex-wrap items-center gap-2 mb-2">
+          <span className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-semibold rounded ${statusStyles[deduction.dispute_status] || 'bg-gray-100 text-gray-700'}`}>
+            <Scale className="w-3 h-3" />
+            {disputeStatuses[deduction.dispute_status] || deduction.dispute_status}
+          </span>
+          {deduction.original_amount !== null && parseFloat(deduction.original_amount) !== parseFloat(deduction.amount) && (
+            <span className="text-xs text-gray-500">Originally £{parseFloat(deduction.original_amount).toFixed(2)}</span>
+          )}
+        </div>
+      )}
+
+      {history.length > 0 && deduction.dispute_status !== 'none' && (
+        <ul className="space-y-1.5 mb-2 border-l-2 border-gray-200 pl-3">
+          {history.map(event => (
+            <li key={event.id} className="text-xs text-gray-700">
+              <span className="font-medium">{partyLabels[event.user_type] || event.user_name}</span>
+              {' '}{eventLabels[event.event_type]}
+              {event.amount !== null && event.event_type !== 'escalated' && ` £${parseFloat(event.amount).toFixed(2)}`}
+              <span className="text-gray-400"> · {new Date(event.created_at).toLocaleDateString('en-GB')}</span>
+              {event.comment && event.event_type !== 'created' && (
+                <p className="text-gray-600 mt-0.5">{event.comment}</p>
+              )}
+              {renderEvidence(event.evidence_paths)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!action && (
+        <div className="flex flex-wrap gap-3">
+          {userType === 'lodger' && deduction.dispute_status === 'none' && (
+            <>
+              <button onClick={handleAccept} disabled={saving} className="text-xs text-green-700 hover:text-green-900 font-medium">
+                Accept
+              </button>
+              <button onClick={() => openAction('dispute')} className="text-xs text-red-600 hover:text-red-800 font-medium">
+                Dispute
+              </button>
+            </>
+          )}
+          {myTurn && (
+            <>
+              <button onClick={handleAccept} disabled={saving} className="text-xs text-green-700 hover:text-green-900 font-medium">
+                Accept £{parseFloat(deduction.proposed_amount).toFixed(2)}
+              </button>
+              <button onClick={() => openAction('counter')} className="text-xs text-blue-600 hover:text-blue-800 font-medium">
+                Counter-offer
+              </button>
+            </>
+          )}
+          {negotiating && userType !== 'admin' && (
+            <button onClick={() => openAction('escalate')} className="text-xs text-purple-700 hover:text-purple-900 font-medium">
+              Escalate for Mediation
+            </button>
+          )}
+          {negotiating && !myTurn && userType !== 'admin' && (
+            <span className="text-xs text-gray-500">
+              Waiting for the {awaitingParty[deduction.dispute_status] === 'lodger' ? 'lodger' : 'householder'} to respond
+            </span>
+          )}
+          {userType === 'admin' && deduction.dispute_status === 'escalated' && (
+            <button onClick={() => openAction('resolve')} className="text-xs text-purple-700 hover:text-purple-900 font-medium">
+              Decide Amount
+            </button>
+          )}
+        </div>
+      )}
+
+      {action && (
+        <form onSubmit={handleSubmitAction} className="mt-2 p-3 bg-white border border-gray-200 rounded-lg space-y-2">
+          <p className="text-sm font-medium text-gray-900">{actionTitles[action]}</p>
+          {action !== 'escalate' && (
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                {action === 'resolve' ? 'Amount to deduct (£)' : 'Amount you think is fair (£)'}
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                max={deduction.amount}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                required
+                className="w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">
+              {action === 'dispute' ? 'Why you dispute it' : action === 'resolve' ? 'Reasons for the decision' : action === 'escalate' ? 'What the mediator should look at' : 'Comment'}
+            </label>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={2}
+              required={action !== 'counter'}
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+          </div>
+          {(action === 'dispute' || action === 'counter') && (
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Evidence (photos, receipts, quotes)</label>
+              <input
+                type="file"
+                multiple
+                onChange={(e) => setEvidence(Array.from(e.target.files))}
+                className="text-xs"
+              />
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 bg-blue-600 text-white text-xs rounded-lg hover:bg-blue-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Sending...' : 'Send'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setAction(null)}
+              className="px-3 py-1.5 border border-gray-300 text-xs rounded-lg hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DeductionDispute;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Download, MinusCircle } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import DeductionDispute from './DeductionDispute';
+
+/**
+ * Deductions Component
+ *
+ * The deductions taken from a lodger's deposit and advance rent, with the evidence
+ * and statement for each. The lodger can accept or dispute each one from here.
+ *
+ * @param {string} tenancyId - Tenancy the deductions were made on
+ */
+const Deductions = ({ tenancyId }) => {
+  const [deductions, setDeductions] = useState([]);
+  const [disputeStatuses, setDisputeStatuses] = useState({});
+
+  useEffect(() => {
+    fetchDeductions();
+  }, [tenancyId]);
+
+  const fetchDeductions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/deductions`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setDeductions(response.data.deductions || []);
+      setDisputeStatuses(response.data.dispute_statuses || {});
+    } catch (error) {
+      console.error('Failed to fetch deductions:', error);
+    }
+  };
+
+  if (deductions.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2 mb-4">
+        <MinusCircle className="w-4 h-4 text-orange-600" />
+        Deductions
+      </h4>
+      <p className="text-xs text-gray-500 mb-3">
+        Clause 6.3 allows reasonable deductions from your deposit for breaches of the agreement. If you think a
+        deduction is wrong or too high, you can dispute it and propose a different amount.
+      </p>
+      <div className="space-y-3">
+        {deductions.map(deduction => (
+          <div key={deduction.id} className="bg-orange-50 border border-orange-200 rounded-lg p-3">
+            <div className="flex justify-between items-start">
+              <div className="flex-1">
+                <span className="inline-block px-2 py-0.5 bg-orange-200 text-orange-900 text-xs font-semibold rounded mb-1">
+                  {deduction.deduction_type.replace('_', ' ').toUpperCase()}
+                </span>
+                <p className="text-sm font-medium text-gray-900">{deduction.description}</p>
+                <p className="text-xs text-gray-600 mt-1">Date: {new Date(deduction.created_at).toLocaleDateString('en-GB')}</p>
+              </div>
+              <p className="font-bold text-base text-red-600 ml-3">-£{parseFloat(deduction.amount).toFixed(2)}</p>
+            </div>
+            {(deduction.evidence_paths || []).length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-1">
+                {deduction.evidence_paths.map(evidencePath => (
+                  <a
+                    key={evidencePath}
+                    href={`${API_URL}${evidencePath}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-xs text-blue-600 hover:text-blue-800 underline"
+                  >
+                    {evidencePath.split('/').pop()}
+                  </a>
+                ))}
+              </div>
+            )}
+            {deduction.statement_path && (
+              <a
+                href={`${API_URL}${deduction.statement_path}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="mt-2 inline-flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 font-medium"
+              >
+                <Download className="w-3 h-3" />
+                View Statement
+              </a>
+            )}
+            <DeductionDispute
+              deduction={deduction}
+              userType="lodger"
+              disputeStatuses={disputeStatuses}
+              onUpdated={fetchDeductions}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Deductions;
@@ -0,0 +1,485 @@
+import React, { useState, useEffect } from 'react';
+import { PiggyBank, FileText, MapPin, AlertTriangle } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const formatMoney = (amount) => `£${parseFloat(amount || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+const today = () => new Date().toISOString().split('T')[0];
+
+const statusLabels = {
+  open: 'Statement not issued',
+  issued: 'Statement issued',
+  refunded: 'Refunded'
+};
+
+/**
+ * DepositSettlement Component
+ *
+ * Settles the deposit and advance rent when the lodger moves out: the figures after
+ * deductions and rent arrears, the forwarding address (clause 2.7.2), the final
+ * statement, and the refund itself, which clause 6.4 says should be paid within
+ * a month of moving out.
+ *
+ * @param {string} tenancyId - Tenancy being settled
+ * @param {string} userType - 'landlord' or 'lodger'
+ */
+const DepositSettlement = ({ tenancyId, userType }) => {
+  const [data, setData] = useState(null);
+  const [moveOutDate, setMoveOutDate] = useState(today());
+  const [forwardingAddress, setForwardingAddress] = useState('');
+  const [editingAddress, setEditingAddress] = useState(false);
+  const [exceptional, setExceptional] = useState('');
+  const [editingExceptional, setEditingExceptional] = useState(false);
+  const [payment, setPayment] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const isLodger = userType === 'lodger';
+
+  useEffect(() => {
+    fetchSettlement();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchSettlement = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/deposit-refund`, { headers: authHeaders() });
+      setData(response.data);
+    } catch (error) {
+      console.error('Failed to fetch deposit refund:', error);
+    }
+  };
+
+  const submit = async (request, successMessage, fallbackError) => {
+    setSaving(true);
+    try {
+      await request();
+      showSuccess(successMessage);
+      fetchSettlement();
+      return true;
+    } catch (error) {
+      showError(error.response?.data?.error || fallbackError);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    await submit(
+      () => axios.post(`${API_URL}/api/tenancies/${tenancyId}/deposit-refund`, { move_out_date: moveOutDate }, { headers: authHeaders() }),
+      'Move-out settlement started',
+      'Failed to start move-out settlement'
+    );
+  };
+
+  const handleSaveAddress = async (e) => {
+    e.preventDefault();
+    const saved = await submit(
+      () => axios.put(
+        `${API_URL}/api/tenancies/${tenancyId}/deposit-refund/forwarding-address`,
+        { forwarding_address: forwardingAddress },
+        { headers: authHeaders() }
+      ),
+      'Forwarding address saved',
+      'Failed to save forwarding address'
+    );
+    if (saved) setEditingAddress(false);
+  };
+
+  const handleSaveExceptional = async (e) => {
+    e.preventDefault();
+    const saved = await submit(
+      () => axios.put(
+        `${API_URL}/api/tenancies/${tenancyId}/deposit-refund`,
+        { exceptional_circumstances: exceptional },
+        { headers: authHeaders() }
+      ),
+      'Reason for delay saved',
+      'Failed to save reason for delay'
+    );
+    if (saved) setEditingExceptional(false);
+  };
+
+  const handleIssueStatement = async () => {
+    const reissue = data.settlement.status === 'issued';
+    if (!window.confirm(reissue
+      ? 'Reissue the statement with the latest figures? The lodger will be sent the new statement.'
+      : 'Issue the final settlement statement to the lodger? The figures will be fixed as shown.')) return;
+
+    await submit(
+      () => axios.post(`${API_URL}/api/tenancies/${tenancyId}/deposit-refund/statement`, {}, { headers: authHeaders() }),
+      reissue ? 'Statement reissued' : 'Statement issued to the lodger',
+      'Failed to issue settlement statement'
+    );
+  };
+
+  const handleRecordPayment = async (e) => {
+    e.preventDefault();
+    const saved = await submit(
+      () => axios.post(`${API_URL}/api/tenancies/${tenancyId}/deposit-refund/payment`, payment, { headers: authHeaders() }),
+      'Refund recorded',
+      'Failed to record refund'
+    );
+    if (saved) setPayment(null);
+  };
+
+  if (!data) return null;
+
+  const { settlement, calculation, deductions, refund_methods: refundMethods } = data;
+
+  // Nothing to show the lodger until their householder starts the settlement
+  if (isLodger && !settlement) return null;
+
+  const renderFigures = () => (
+    <table className="w-full text-sm mb-4">
+      <tbody className="divide-y divide-gray-100">
+        <tr>
+          <td className="py-1.5 text-gray-600">Deposit held</td>
+          <td className="py-1.5 text-right">{formatMoney(calculation.deposit_held)}</td>
+        </tr>
+        {deductions.map(deduction => (
+          <tr key={deduction.id}>
+            <td className="py-1.5 text-gray-600 pl-4">Less: {deduction.description}</td>
+            <td className="py-1.5 text-right text-red-700">-{formatMoney(deduction.amount)}</td>
+          </tr>
+        ))}
+        {calculation.arrears > 0 && (
+          <tr>
+            <td className="py-1.5 text-gray-600">Less: rent arrears</td>
+            <td className="py-1.5 text-right text-red-700">-{formatMoney(calculation.arrears)}</td>
+          </tr>
+        )}
+        {calculation.rent_credit > 0 && (
+          <tr>
+            <td className="py-1.5 text-gray-600">Add: rent paid in credit, including advance rent not used</td>
+            <td className="py-1.5 text-right text-green-700">+{formatMoney(calculation.rent_credit)}</td>
+          </tr>
+        )}
+        <tr className="font-semibold">
+          {calculation.amount_owed > 0 ? (
+            <>
+              <td className="py-2 text-gray-900">Owed to the householder</td>
+              <td className="py-2 text-right text-red-700">{formatMoney(calculation.amount_owed)}</td>
+            </>
+          ) : (
+            <>
+              <td className="py-2 text-gray-900">Refund due to the lodger</td>
+              <td className="py-2 text-right text-green-700">{formatMoney(calculation.refund_amount)}</td>
+            </>
+          )}
+        </tr>
+      </tbody>
+    </table>
+  );
+
+  const renderDeadline = () => {
+    if (settlement.status === 'refunded') {
+      return (
+        <div className="p-3 rounded-lg bg-green-50 text-sm text-green-800 mb-4">
+          {formatMoney(settlement.refund_paid_amount)} refunded by {refundMethods[settlement.refund_method]?.toLowerCase()} on {formatDate(settlement.refund_paid_on)}
+          {settlement.refund_reference && ` (ref ${settlement.refund_reference})`}
+        </div>
+      );
+    }
+    if (settlement.days_remaining === null) return null;
+
+    return (
+      <div className={`p-3 rounded-lg text-sm mb-4 flex items-start gap-2 ${settlement.overdue ? 'bg-red-50 text-red-800' : 'bg-yellow-50 text-yellow-800'}`}>
+        {settlement.overdue && <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+        <div>
+          {settlement.overdue
+            ? `The refund was due by ${formatDate(settlement.refund_due_by)}, ${-settlement.days_remaining} day${settlement.days_remaining === -1 ? '' : 's'} ago.`
+            : `The refund is due by ${formatDate(settlement.refund_due_by)} (${settlement.days_remaining} day${settlement.days_remaining === 1 ? '' : 's'} left).`}
+          {' '}Clause 6.4 says the deposit should not be kept for more than one month except in exceptional circumstances.
+          {settlement.exceptional_circumstances && (
+            <p className="mt-1">Reason for delay: {settlement.exceptional_circumstances}</p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderForwardingAddress = () => {
+    const canEdit = settlement.status !== 'refunded';
+
+    if (editingAddress || (isLodger && !settlement.forwarding_address)) {
+      return (
+        <form onSubmit={handleSaveAddress} className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Forwarding address</label>
+          {isLodger && !settlement.forwarding_address && (
+            <p className="text-xs text-gray-500 mb-2">
+              Clause 2.7.2 of your agreement asks you to give a forwarding address when you leave, so your refund can reach you.
+            </p>
+          )}
+          <textarea
+            value={forwardingAddress}
+            onChange={(e) => setForwardingAddress(e.target.value)}
+            rows={3}
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+          />
+          <div className="flex gap-2 mt-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              Save Address
+            </button>
+            {editingAddress && (
+              <button
+                type="button"
+                onClick={() => setEditingAddress(false)}
+                className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <div className="mb-4 text-sm">
+        <div className="flex items-center justify-between">
+          <span className="font-medium text-gray-700 flex items-center gap-1">
+            <MapPin className="w-4 h-4 text-gray-400" />
+            Forwarding address
+          </span>
+          {canEdit && (
+            <button
+              onClick={() => {
+                setForwardingAddress(settlement.forwarding_address || '');
+                setEditingAddress(true);
+              }}
+              className="text-indigo-600 hover:text-indigo-800 text-xs font-medium"
+            >
+              {settlement.forwarding_address ? 'Change' : 'Add'}
+            </button>
+          )}
+        </div>
+        {settlement.forwarding_address ? (
+          <p className="text-gray-900 whitespace-pre-line mt-1">{settlement.forwarding_address}</p>
+        ) : (
+          <p className="text-yellow-700 mt-1">The lodger has not given a forwarding address yet (clause 2.7.2).</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderLandlordActions = () => {
+    if (settlement.status === 'refunded') return null;
+
+    return (
+      <div className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={handleIssueStatement}
+            disabled={saving}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+          >
+            {settlement.status === 'issued' ? 'Reissue Statement' : 'Issue Statement'}
+          </button>
+          {settlement.status === 'issued' && calculation.refund_amount > 0 && !payment && (
+            <button
+              onClick={() => setPayment({
+                amount: calculation.refund_amount.toFixed(2),
+                paid_on: today(),
+                refund_method: 'bank_transfer',
+                reference: ''
+              })}
+              className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition font-medium"
+            >
+              Record Refund
+            </button>
+          )}
+          {!editingExceptional && (
+            <button
+              onClick={() => {
+                setExceptional(settlement.exceptional_circumstances || '');
+                setEditingExceptional(true);
+              }}
+              className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+            >
+              {settlement.exceptional_circumstances ? 'Edit Reason for Delay' : 'Record Reason for Delay'}
+            </button>
+          )}
+        </div>
+
+        {editingExceptional && (
+          <form onSubmit={handleSaveExceptional}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Exceptional circumstances</label>
+            <p className="text-xs text-gray-500 mb-2">
+              Why the deposit needs to be kept for longer than a month, for example while the cost of a repair is confirmed.
+            </p>
+            <textarea
+              value={exceptional}
+              onChange={(e) => setExceptional(e.target.value)}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+            />
+            <div className="flex gap-2 mt-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditingExceptional(false)}
+                className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {payment && (
+          <form onSubmit={handleRecordPayment} className="border border-gray-200 rounded-lg p-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Amount (£)</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                value={payment.amount}
+                onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Paid on</label>
+              <input
+                type="date"
+                value={payment.paid_on}
+                max={today()}
+                onChange={(e) => setPayment({ ...payment, paid_on: e.target.value })}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+              <select
+                value={payment.refund_method}
+                onChange={(e) => setPayment({ ...payment, refund_method: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+              >
+                {Object.entries(refundMethods).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+              <input
+                type="text"
+                value={payment.reference}
+                onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                placeholder="Optional"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+              />
+            </div>
+            <div className="md:col-span-2 flex gap-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition font-medium disabled:opacity-50"
+              >
+                Save Refund
+              </button>
+              <button
+                type="button"
+                onClick={() => setPayment(null)}
+                className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={isLodger ? 'bg-white rounded-lg shadow p-6' : 'mt-6 pt-6 border-t'}>
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2">
+          <PiggyBank className="w-4 h-4 text-indigo-600" />
+          Deposit Refund
+        </h4>
+        {settlement && (
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+            settlement.status === 'refunded' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+          }`}>
+            {statusLabels[settlement.status]}
+          </span>
+        )}
+      </div>
+
+      {!settlement ? (
+        <form onSubmit={handleStart} className="flex flex-wrap items-end gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Move-out date</label>
+            <input
+              type="date"
+              value={moveOutDate}
+              max={today()}
+              onChange={(e) => setMoveOutDate(e.target.value)}
+              required
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-3 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+          >
+            Start Move-out Settlement
+          </button>
+          <p className="w-full text-xs text-gray-500">
+            Once the lodger has left, start the settlement to work out their refund. It must be paid within a month of the move-out date.
+          </p>
+        </form>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-3">Moved out on {formatDate(settlement.move_out_date)}</p>
+          {renderDeadline()}
+          {settlement.status === 'open' && (
+            <p className="text-xs text-gray-500 mb-2">
+              {isLodger
+                ? 'These figures may change until your householder issues the final statement.'
+                : 'Figures are worked out from the current deductions and rent account until the statement is issued.'}
+            </p>
+          )}
+          {renderFigures()}
+          {settlement.statement_path && (
+            <a
+              href={`${API_URL}${settlement.statement_path}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium mb-4"
+            >
+              <FileText className="w-4 h-4" />
+              Settlement statement (issued {formatDate(settlement.issued_at)})
+            </a>
+          )}
+          {renderForwardingAddress()}
+          {!isLodger && renderLandlordActions()}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DepositSettlement;
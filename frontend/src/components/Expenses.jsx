@@ -0,0 +1,302 @@
+import React, { useState, useEffect } from 'react';
+import { Receipt, Trash2, Paperclip } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+import ReliefComparison from './ReliefComparison';
+
+const emptyExpense = {
+  category: '',
+  description: '',
+  supplier: '',
+  amount: '',
+  expense_date: new Date().toISOString().split('T')[0],
+  apportionment_percent: '100',
+  tenancy_id: '',
+  notes: ''
+};
+
+/**
+ * Expenses Component
+ *
+ * Lets a landlord record expenses with receipts, apportioning household bills
+ * to the share used by the letting, and compares the tax outcome with the
+ * Rent-a-Room allowance.
+ * @param {Array} tenancies - Landlord's tenancies, for linking an expense to a lodger
+ */
+const Expenses = ({ tenancies = [] }) => {
+  const [expenses, setExpenses] = useState([]);
+  const [categories, setCategories] = useState({});
+  const [newExpense, setNewExpense] = useState(emptyExpense);
+  const [receipt, setReceipt] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { Authorization: `Bearer ${token}` };
+      const [categoriesRes, expensesRes] = await Promise.all([
+        axios.get(`${API_URL}/api/expenses/categories`, { headers }),
+        axios.get(`${API_URL}/api/expenses`, { headers })
+      ]);
+      setCategories(categoriesRes.data);
+      setExpenses(expensesRes.data);
+    } catch (error) {
+      console.error('Failed to fetch expenses:', error);
+      showError('Failed to load expenses');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      const formData = new FormData();
+      Object.entries(newExpense).forEach(([key, value]) => {
+        if (value !== '') formData.append(key, value);
+      });
+      if (receipt) {
+        formData.append('receipt', receipt);
+      }
+
+      await axios.post(`${API_URL}/api/expenses`, formData, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+
+      showSuccess('Expense recorded');
+      setNewExpense(emptyExpense);
+      setReceipt(null);
+      setShowForm(false);
+      setVersion(version + 1);
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to record expense');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (expenseId) => {
+    if (!window.confirm('Delete this expense and its receipt?')) {
+      return;
+    }
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`${API_URL}/api/expenses/${expenseId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Expense deleted');
+      setVersion(version + 1);
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to delete expense');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Receipt className="w-5 h-5 text-indigo-600" />
+            Expenses
+          </h3>
+          {!showForm && (
+            <button
+              onClick={() => setShowForm(true)}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+            >
+              Add Expense
+            </button>
+          )}
+        </div>
+
+        {showForm && (
+          <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <select
+                  value={newExpense.category}
+                  onChange={(e) => setNewExpense({ ...newExpense, category: e.target.value })}
+                  className={inputClass}
+                  required
+                >
+                  <option value="">Select category</option>
+                  {Object.entries(categories).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  type="text"
+                  value={newExpense.description}
+                  onChange={(e) => setNewExpense({ ...newExpense, description: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount Paid (£)</label>
+                <input
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={newExpense.amount}
+                  onChange={(e) => setNewExpense({ ...newExpense, amount: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Date Paid</label>
+                <input
+                  type="date"
+                  value={newExpense.expense_date}
+                  onChange={(e) => setNewExpense({ ...newExpense, expense_date: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Letting Share (%)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  step="0.01"
+                  value={newExpense.apportionment_percent}
+                  onChange={(e) => setNewExpense({ ...newExpense, apportionment_percent: e.target.value })}
+                  className={inputClass}
+                />
+                <p className="text-xs text-gray-500 mt-1">For household bills, the share used by the lodger (e.g. 50)</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+                <input
+                  type="text"
+                  value={newExpense.supplier}
+                  onChange={(e) => setNewExpense({ ...newExpense, supplier: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Lodger (optional)</label>
+                <select
+                  value={newExpense.tenancy_id}
+                  onChange={(e) => setNewExpense({ ...newExpense, tenancy_id: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">Whole household</option>
+                  {tenancies.map(tenancy => (
+                    <option key={tenancy.id} value={tenancy.id}>{tenancy.lodger_name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Receipt</label>
+                <input
+                  type="file"
+                  accept=".jpg,.jpeg,.png,.pdf"
+                  onChange={(e) => setReceipt(e.target.files[0] || null)}
+                  className="w-full text-sm"
+                />
+              </div>
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Expense'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition font-medium"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {expenses.length === 0 ? (
+          <p className="text-sm text-gray-500">No expenses recorded yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Paid</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Share</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Allowable</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {expenses.map(expense => (
+                  <tr key={expense.id}>
+                    <td className="px-4 py-2">{new Date(expense.expense_date).toLocaleDateString('en-GB')}</td>
+                    <td className="px-4 py-2">{categories[expense.category] || expense.category}</td>
+                    <td className="px-4 py-2">
+                      {expense.description}
+                      {expense.supplier && <span className="text-gray-500"> - {expense.supplier}</span>}
+                      {expense.lodger_name && <span className="text-gray-500"> ({expense.lodger_name})</span>}
+                    </td>
+                    <td className="px-4 py-2 text-right">£{parseFloat(expense.amount).toFixed(2)}</td>
+                    <td className="px-4 py-2 text-right">{parseFloat(expense.apportionment_percent)}%</td>
+                    <td className="px-4 py-2 text-right font-medium">£{parseFloat(expense.allowable_amount).toFixed(2)}</td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      {expense.receipt_path && (
+                        <a
+                          href={`${API_URL}${expense.receipt_path}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex p-1 text-indigo-600 hover:bg-indigo-50 rounded"
+                          title={expense.receipt_filename}
+                        >
+                          <Paperclip className="w-4 h-4" />
+                        </a>
+                      )}
+                      <button
+                        onClick={() => handleDelete(expense.id)}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ReliefComparison refreshKey={version} />
+    </div>
+  );
+};
+
+export default Expenses;
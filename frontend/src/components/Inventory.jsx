@@ -0,0 +1,503 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardCheck, Camera, Trash2, PenLine } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const conditionStyles = {
+  new: 'text-green-700',
+  excellent: 'text-green-700',
+  good: 'text-gray-800',
+  fair: 'text-yellow-700',
+  poor: 'text-orange-700',
+  damaged: 'text-red-700',
+  missing: 'text-red-700'
+};
+
+const emptyItem = {
+  room: '',
+  item_name: '',
+  quantity: 1,
+  condition: 'good',
+  notes: ''
+};
+
+/**
+ * Inventory Component
+ *
+ * The check-in and check-out inventories of the Room's contents, graded item by item
+ * with photos and signed by both parties. Once both exist, the check-out is compared
+ * with the check-in and anything left in worse condition can be started as a deduction.
+ *
+ * @param {string} tenancyId - Tenancy the inventories are for
+ * @param {string} userType - 'landlord' or 'lodger'
+ * @param {Function} onUseAsDeduction - Called with a deduction candidate from the comparison
+ */
+const Inventory = ({ tenancyId, userType, onUseAsDeduction }) => {
+  const [inventories, setInventories] = useState({ check_in: null, check_out: null });
+  const [options, setOptions] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [newItem, setNewItem] = useState(emptyItem);
+  const [photos, setPhotos] = useState([]);
+  const [addingTo, setAddingTo] = useState(null);
+  const [signing, setSigning] = useState(null);
+  const [signature, setSignature] = useState('');
+  const [comments, setComments] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const isLodger = userType === 'lodger';
+
+  useEffect(() => {
+    fetchOptions();
+    fetchInventories();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchOptions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/inventories/options`, { headers: authHeaders() });
+      setOptions(response.data);
+    } catch (error) {
+      console.error('Failed to fetch inventory options:', error);
+    }
+  };
+
+  const fetchInventories = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/inventories`, { headers: authHeaders() });
+      setInventories(response.data);
+
+      if (response.data.check_in && response.data.check_out) {
+        const comparisonResponse = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/inventory-comparison`, { headers: authHeaders() });
+        setComparison(comparisonResponse.data);
+      } else {
+        setComparison(null);
+      }
+    } catch (error) {
+      console.error('Failed to fetch inventories:', error);
+    }
+  };
+
+  const handleStart = async (inventoryType) => {
+    setSaving(true);
+    try {
+      await axios.post(
+        `${API_URL}/api/tenancies/${tenancyId}/inventories`,
+        { inventory_type: inventoryType },
+        { headers: authHeaders() }
+      );
+      showSuccess(inventoryType === 'check_out'
+        ? 'Check-out inventory started from the check-in items'
+        : 'Check-in inventory started');
+      fetchInventories();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to start inventory');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddItem = async (e, inventory) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      Object.entries(newItem).forEach(([key, value]) => {
+        if (value !== '') formData.append(key, value);
+      });
+      photos.forEach(photo => formData.append('photos', photo));
+
+      await axios.post(`${API_URL}/api/tenancies/inventories/${inventory.id}/items`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+
+      // Keep the room so the next item in it can be added straight away
+      setNewItem({ ...emptyItem, room: newItem.room });
+      setPhotos([]);
+      fetchInventories();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to add item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateItem = async (item, changes, files = []) => {
+    try {
+      const formData = new FormData();
+      Object.entries(changes).forEach(([key, value]) => formData.append(key, value));
+      Array.from(files).forEach(photo => formData.append('photos', photo));
+
+      await axios.put(`${API_URL}/api/tenancies/inventory-items/${item.id}`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      fetchInventories();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update item');
+    }
+  };
+
+  const handleDeleteItem = async (item, inventory) => {
+    const prompt = inventory.inventory_type === 'check_out'
+      ? `Remove ${item.item_name}? It will be recorded as missing at check-out.`
+      : `Remove ${item.item_name} from the inventory?`;
+    if (!confirm(prompt)) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/tenancies/inventory-items/${item.id}`, { headers: authHeaders() });
+      fetchInventories();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to remove item');
+    }
+  };
+
+  const handleSign = async (inventory) => {
+    setSaving(true);
+    try {
+      await axios.post(
+        `${API_URL}/api/tenancies/inventories/${inventory.id}/sign`,
+        { signature, comments },
+        { headers: authHeaders() }
+      );
+      showSuccess('Inventory signed');
+      setSigning(null);
+      setSignature('');
+      setComments('');
+      fetchInventories();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to sign inventory');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  const renderInventory = (inventory) => {
+    const editable = !isLodger && inventory.status === 'draft';
+    const signedByMe = isLodger ? inventory.lodger_signed_at : inventory.landlord_signed_at;
+    const rooms = [...new Set(inventory.items.map(item => item.room))];
+
+    return (
+      <div key={inventory.id} className="border border-gray-200 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h5 className="font-semibold text-gray-900">{options.types[inventory.inventory_type]} Inventory</h5>
+          <span className={`px-2 py-0.5 text-xs font-semibold rounded ${inventory.status === 'signed' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+            {inventory.status === 'signed' ? 'Signed by both parties' : 'Draft'}
+          </span>
+        </div>
+
+        {inventory.items.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-3">No items added yet.</p>
+        ) : (
+          rooms.map(room => (
+            <div key={room} className="mb-3">
+              <p className="text-xs font-semibold text-gray-500 uppercase mb-1">{room}</p>
+              <table className="w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {inventory.items.filter(item => item.room === room).map(item => (
+                    <tr key={item.id}>
+                      <td className="py-1.5 pr-2">
+                        {item.item_name}
+                        {item.notes && <p className="text-xs text-gray-500">{item.notes}</p>}
+                      </td>
+                      <td className="py-1.5 pr-2 text-gray-600 whitespace-nowrap">× {item.quantity}</td>
+                      <td className="py-1.5 pr-2">
+                        {editable ? (
+                          <select
+                            value={item.condition}
+                            onChange={(e) => updateItem(item, { condition: e.target.value })}
+                            className="px-2 py-1 text-sm border border-gray-300 rounded"
+                          >
+                            {Object.entries(options.conditions).map(([key, label]) => (
+                              <option key={key} value={key}>{label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className={`font-medium ${conditionStyles[item.condition]}`}>{options.conditions[item.condition]}</span>
+                        )}
+                      </td>
+                      <td className="py-1.5 pr-2">
+                        <div className="flex flex-wrap gap-1">
+                          {item.photos.map(photo => (
+                            <a key={photo.path} href={`${API_URL}${photo.path}`} target="_blank" rel="noopener noreferrer">
+                              <img src={`${API_URL}${photo.path}`} alt={photo.filename} className="w-10 h-10 object-cover rounded border border-gray-200" />
+                            </a>
+                          ))}
+                        </div>
+                      </td>
+                      {editable && (
+                        <td className="py-1.5 text-right whitespace-nowrap">
+                          <label className="inline-block text-gray-500 hover:text-gray-700 cursor-pointer mr-2" title="Add photos">
+                            <Camera className="w-4 h-4" />
+                            <input
+                              type="file"
+                              accept=".jpg,.jpeg,.png"
+                              multiple
+                              onChange={(e) => updateItem(item, {}, e.target.files)}
+                              className="hidden"
+                            />
+                          </label>
+                          <button
+                            onClick={() => handleDeleteItem(item, inventory)}
+                            className="text-red-600 hover:text-red-800"
+                            title="Remove item"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))
+        )}
+
+        {editable && (
+          addingTo === inventory.id ? (
+            <form onSubmit={(e) => handleAddItem(e, inventory)} className="bg-gray-50 rounded-lg p-3 space-y-3 mb-3">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <input
+                  type="text"
+                  placeholder="Room / area"
+                  value={newItem.room}
+                  onChange={(e) => setNewItem({ ...newItem, room: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+                <input
+                  type="text"
+                  placeholder="Item"
+                  value={newItem.item_name}
+                  onChange={(e) => setNewItem({ ...newItem, item_name: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={newItem.quantity}
+                  onChange={(e) => setNewItem({ ...newItem, quantity: e.target.value })}
+                  className={inputClass}
+                />
+                <select
+                  value={newItem.condition}
+                  onChange={(e) => setNewItem({ ...newItem, condition: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.entries(options.conditions).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <input
+                type="text"
+                placeholder="Marks, wear or other detail (optional)"
+                value={newItem.notes}
+                onChange={(e) => setNewItem({ ...newItem, notes: e.target.value })}
+                className={inputClass}
+              />
+              <input
+                type="file"
+                accept=".jpg,.jpeg,.png"
+                multiple
+                onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, 6))}
+                className="text-sm"
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Add Item'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setAddingTo(null)}
+                  className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition font-medium"
+                >
+                  Done
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button
+              onClick={() => setAddingTo(inventory.id)}
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium mb-3"
+            >
+              + Add Item
+            </button>
+          )
+        )}
+
+        <div className="border-t border-gray-100 pt-3 text-xs text-gray-600 space-y-1">
+          <p>
+            Householder: {inventory.landlord_signed_at
+              ? `signed by ${inventory.landlord_signature} on ${new Date(inventory.landlord_signed_at).toLocaleDateString('en-GB')}`
+              : 'not signed'}
+          </p>
+          <p>
+            Lodger: {inventory.lodger_signed_at
+              ? `signed by ${inventory.lodger_signature} on ${new Date(inventory.lodger_signed_at).toLocaleDateString('en-GB')}`
+              : 'not signed'}
+          </p>
+          {inventory.lodger_comments && <p className="text-gray-800">Lodger's comments: {inventory.lodger_comments}</p>}
+        </div>
+
+        {!signedByMe && inventory.items.length > 0 && (
+          signing === inventory.id ? (
+            <div className="mt-3 bg-gray-50 rounded-lg p-3 space-y-3">
+              <p className="text-xs text-gray-600">
+                Signing confirms the items and conditions listed above. Any later change to the list clears both signatures.
+              </p>
+              {isLodger && (
+                <textarea
+                  placeholder="Anything you disagree with or want noted (optional)"
+                  value={comments}
+                  onChange={(e) => setComments(e.target.value)}
+                  className={inputClass}
+                  rows={2}
+                />
+              )}
+              <input
+                type="text"
+                placeholder="Type your full name"
+                value={signature}
+                onChange={(e) => setSignature(e.target.value)}
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleSign(inventory)}
+                  disabled={saving || !signature.trim()}
+                  className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition font-medium disabled:opacity-50"
+                >
+                  {saving ? 'Signing...' : 'Sign Inventory'}
+                </button>
+                <button
+                  onClick={() => setSigning(null)}
+                  className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition font-medium"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => setSigning(inventory.id)}
+              className="mt-3 inline-flex items-center gap-1 text-sm text-green-600 hover:text-green-800 font-medium"
+            >
+              <PenLine className="w-4 h-4" />
+              Sign
+            </button>
+          )
+        )}
+      </div>
+    );
+  };
+
+  if (!options) return null;
+
+  return (
+    <div className={isLodger ? 'bg-white rounded-lg shadow p-6' : 'mt-6 pt-6 border-t'}>
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2">
+          <ClipboardCheck className="w-4 h-4 text-indigo-600" />
+          Inventory
+        </h4>
+        {!isLodger && !inventories.check_in && (
+          <button
+            onClick={() => handleStart('check_in')}
+            disabled={saving}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+          >
+            Start Check-in Inventory
+          </button>
+        )}
+        {!isLodger && inventories.check_in?.status === 'signed' && !inventories.check_out && (
+          <button
+            onClick={() => handleStart('check_out')}
+            disabled={saving}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+          >
+            Start Check-out Inventory
+          </button>
+        )}
+      </div>
+
+      {!inventories.check_in && (
+        <p className="text-sm text-gray-500">
+          {isLodger
+            ? 'Your householder has not prepared the inventory of the Room\'s contents yet.'
+            : 'No inventory yet. Clause 1.3 of the agreement says one will be provided to the lodger.'}
+        </p>
+      )}
+
+      <div className="space-y-4">
+        {inventories.check_in && renderInventory(inventories.check_in)}
+        {inventories.check_out && renderInventory(inventories.check_out)}
+      </div>
+
+      {comparison && (
+        <div className="mt-4 border border-gray-200 rounded-lg p-4">
+          <h5 className="font-semibold text-gray-900 mb-1">Check-in vs Check-out</h5>
+          {!comparison.check_out_signed && (
+            <p className="text-xs text-yellow-700 mb-2">The check-out inventory has not been signed by both parties yet.</p>
+          )}
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check-in</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check-out</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {comparison.items.map(entry => (
+                <tr key={entry.check_in_item_id} className={entry.worsened ? 'bg-red-50' : ''}>
+                  <td className="px-3 py-1.5">{entry.room}: {entry.item_name}</td>
+                  <td className="px-3 py-1.5">{options.conditions[entry.check_in_condition]} × {entry.check_in_quantity}</td>
+                  <td className={`px-3 py-1.5 ${entry.worsened ? 'text-red-700 font-medium' : ''}`}>
+                    {options.conditions[entry.check_out_condition]} × {entry.check_out_quantity}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {!isLodger && comparison.candidates.length > 0 && (
+            <div className="mt-4 space-y-2">
+              <p className="text-xs font-semibold text-gray-500 uppercase">Possible Deductions</p>
+              {comparison.candidates.map(candidate => (
+                <div key={candidate.inventory_item_id} className="flex items-start justify-between gap-3 bg-orange-50 border border-orange-200 rounded-lg p-3">
+                  <div>
+                    <p className="text-sm text-gray-900">{candidate.description}</p>
+                    {candidate.possible_wear_and_tear && (
+                      <p className="text-xs text-yellow-700 mt-1">
+                        Only one grade worse. This may be fair wear and tear, which can't be deducted for.
+                      </p>
+                    )}
+                  </div>
+                  {onUseAsDeduction && (
+                    <button
+                      onClick={() => onUseAsDeduction(candidate)}
+                      className="text-sm text-orange-600 hover:text-orange-800 font-medium whitespace-nowrap"
+                    >
+                      Record Deduction
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Inventory;
@@ -4,6 +4,27 @@ import axios from 'axios';
 import StatCard from './StatCard';
 import PaymentSchedule from './PaymentSchedule';
 import PaymentCalendar from './PaymentCalendar';
+import ArrearsSettings from './ArrearsSettings';
+import PaymentFeedSettings from './PaymentFeedSettings';
+import PaymentMethodSettings from './PaymentMethodSettings';
+import BankImport from './BankImport';
+import TaxYearSummary from './TaxYearSummary';
+import Expenses from './Expenses';
+import UtilityBills from './UtilityBills';
+import MaintenanceRequests from './MaintenanceRequests';
+import Contractors from './Contractors';
+import DamageReports from './DamageReports';
+import Inventory from './Inventory';
+import DepositSettlement from './DepositSettlement';
+import Surrender from './Surrender';
+import SignAgreement from './SignAgreement';
+import SigningRecord from './SigningRecord';
+import AgreementTemplates from './AgreementTemplates';
+import SpecialTerms from './SpecialTerms';
+import Variations from './Variations';
+import RightToRent from './RightToRent';
+import SafetyCertificates from './SafetyCertificates';
+import DeductionDispute from './DeductionDispute';
 import { API_URL } from '../config';
 import AddressDisplay from './AddressDisplay';
 import { showSuccess, showError, showWarning } from '../utils/toast';
@@ -68,34 +89,36 @@ function parseAddress(addressString) {
 
 
 // Deductions History Component
-const DeductionsHistory = ({ tenancyId }) => {
+const DeductionsHistory = ({ tenancyId, refreshKey }) => {
   console.log('DeductionsHistory render for tenancyId:', tenancyId);
    const [tenancyDeductions, setTenancyDeductions] = useState([]);
    const [fundsSummary, setFundsSummary] = useState(null);
    const [loadingDeductions, setLoadingDeductions] = useState(true);
+   const [disputeStatuses, setDisputeStatuses] = useState({});
+
+   const fetchDeductions = async () => {
+     try {
+       const [deductionsRes, fundsRes] = await Promise.all([
+         axios.get(`${API_URL}/api/tenancies/${tenancyId}/deductions`, {
+           headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+         }),
+         axios.get(`${API_URL}/api/tenancies/${tenancyId}/available-funds`, {
+           headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+         })
+       ]);
+       setTenancyDeductions(deductionsRes.data.deductions || []);
+       setDisputeStatuses(deductionsRes.data.dispute_statuses || {});
+       setFundsSummary(fundsRes.data);
+     } catch (error) {
+       console.error('Error fetching deductions:', error);
+     } finally {
+       setLoadingDeductions(false);
+     }
+   };
 
    useEffect(() => {
-     const fetchDeductions = async () => {
-    console.log('DeductionsHistory useEffect running for tenancyId:', tenancyId);
-       try {
-         const [deductionsRes, fundsRes] = await Promise.all([
-           axios.get(`${API_URL}/api/tenancies/${tenancyId}/deductions`, {
-             headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
-           }),
-           axios.get(`${API_URL}/api/tenancies/${tenancyId}/available-funds`, {
-             headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
-           })
-         ]);
-         setTenancyDeductions(deductionsRes.data.deductions || []);
-         setFundsSummary(fundsRes.data);
-       } catch (error) {
-         console.error('Error fetching deductions:', error);
-       } finally {
-         setLoadingDeductions(false);
-       }
-     };
      fetchDeductions();
-   }, [tenancyId]);
+   }, [tenancyId, refreshKey]);
 
    if (loadingDeductions) {
      return (
@@ -109,16 +132,12 @@ const DeductionsHistory = ({ tenancyId }) => {
    const handleGenerateStatement = async (deductionId) => {
      try {
        await axios.post(
-         `${API_URL}/api/deductions/${deductionId}/generate-statement`,
+         `${API_URL}/api/tenancies/deductions/${deductionId}/generate-statement`,
          {},
          { headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }
        );
        showSuccess('Statement generated successfully');
-       // Refresh
-       const deductionsRes = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/deductions`, {
-         headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
-       });
-       setTenancyDeductions(deductionsRes.data.deductions || []);
+       fetchDeductions();
      } catch (error) {
        showError('Failed to generate statement');
      }
@@ -151,8 +170,8 @@ const DeductionsHistory = ({ tenancyId }) => {
 
        {tenancyDeductions.length > 0 ? (
          <div className="space-y-2 max-h-64 overflow-y-auto">
-           {tenancyDeductions.map((deduction, idx) => (
-             <div key={idx} className="bg-orange-50 border border-orange-200 rounded-lg p-3">
+           {tenancyDeductions.map((deduction) => (
+             <div key={deduction.id} className="bg-orange-50 border border-orange-200 rounded-lg p-3">
                <div className="flex justify-between items-start">
                  <div className="flex-1">
                    <span className="inline-block px-2 py-0.5 bg-orange-200 text-orange-900 text-xs font-semibold rounded mb-1">
@@ -190,6 +209,12 @@ const DeductionsHistory = ({ tenancyId }) => {
                    Generate Statement
                  </button>
                )}
+               <DeductionDispute
+                 deduction={deduction}
+                 userType="landlord"
+                 disputeStatuses={disputeStatuses}
+                 onUpdated={fetchDeductions}
+               />
              </div>
            ))}
          </div>
@@ -244,6 +269,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
   });
   const [selectedTenancy, setSelectedTenancy] = useState(null);
   const [showTenancyModal, setShowTenancyModal] = useState(false);
+  const [approvalSignature, setApprovalSignature] = useState(null);
   const [showNoticeModal, setShowNoticeModal] = useState(false);
   const [noticeForm, setNoticeForm] = useState({
     reason: '',
@@ -258,6 +284,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
     additional_notes: ''
   });
   const [activeBreachNotices, setActiveBreachNotices] = useState([]);
+  const [draftBreachNotices, setDraftBreachNotices] = useState([]);
   const [showExtensionModal, setShowExtensionModal] = useState(false);
   const [extensionForm, setExtensionForm] = useState({
     extension_months: 6,
@@ -291,6 +318,8 @@ const LandlordDashboard = ({ user, onLogout }) => {
     payment_reference: user.payment_reference || ''
   });
   const [showPaymentSchedule, setShowPaymentSchedule] = useState(false);
+  const [contractorsVersion, setContractorsVersion] = useState(0);
+  const [deductionsVersion, setDeductionsVersion] = useState(0);
   const [selectedTenancyForPayments, setSelectedTenancyForPayments] = useState(null);
   const [showConfirmPaymentModal, setShowConfirmPaymentModal] = useState(false);
   const [selectedPayment, setSelectedPayment] = useState(null);
@@ -666,6 +695,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
     try {
       const token = localStorage.getItem('token');
       const allNotices = [];
+      const drafts = [];
 
       for (const tenancy of tenancies) {
         const response = await axios.get(
@@ -676,14 +706,59 @@ const LandlordDashboard = ({ user, onLogout }) => {
           n => n.notice_type === 'breach' && n.status === 'active'
         );
         allNotices.push(...breachNotices);
+        drafts.push(...response.data.filter(
+          n => n.notice_type === 'breach' && n.status === 'draft'
+        ));
       }
 
       setActiveBreachNotices(allNotices);
+      setDraftBreachNotices(drafts);
     } catch (error) {
       console.error('Failed to fetch breach notices:', error);
     }
   };
 
+  const handleIssueDraftBreach = async (noticeId) => {
+    if (!confirm('Issue this breach notice to the lodger? They will have 7 days to remedy the breach.')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `${API_URL}/api/tenancies/notices/${noticeId}/issue`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      showSuccess('Breach notice issued successfully!');
+      fetchBreachNotices();
+      fetchDashboardData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to issue breach notice');
+    }
+  };
+
+  const handleDiscardDraftBreach = async (noticeId) => {
+    if (!confirm('Discard this draft breach notice? The lodger will not be notified.')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `${API_URL}/api/tenancies/notices/${noticeId}/discard`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      showSuccess('Draft breach notice discarded');
+      fetchBreachNotices();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to discard draft notice');
+    }
+  };
+
   const handleRemedyBreach = async (noticeId) => {
     const notes = prompt('Enter notes about how the breach was remedied (optional):');
     if (notes === null) return; // User cancelled
@@ -992,7 +1067,8 @@ const LandlordDashboard = ({ user, onLogout }) => {
   const handleOpenConfirmPayment = (payment) => {
     setSelectedPayment(payment);
     setPaymentConfirmForm({
-      amount: payment.rent_due || '',
+      amount: payment.lodger_submitted_amount ||
+        (parseFloat(payment.rent_due || 0) - parseFloat(payment.rent_paid || 0)).toFixed(2),
       payment_method: 'bank_transfer',
       payment_reference: '',
       notes: ''
@@ -1005,7 +1081,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
 
     try {
       const token = localStorage.getItem('token');
-      await axios.post(
+      const response = await axios.post(
         `${API_URL}/api/payments/${selectedPayment.id}/confirm`,
         paymentConfirmForm,
         {
@@ -1013,7 +1089,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
         }
       );
 
-      showSuccess('Payment confirmed successfully!');
+      showSuccess(response.status === 202 ? response.data.message : 'Payment confirmed successfully!');
       setShowConfirmPaymentModal(false);
       setSelectedPayment(null);
       setPaymentConfirmForm({
@@ -1081,6 +1157,33 @@ const LandlordDashboard = ({ user, onLogout }) => {
       setActiveTab('tenancies');
     } else if (notification.type === 'tenancy_expiring') {
       setActiveTab('tenancies');
+    } else if (notification.type === 'maintenance_update' || notification.type === 'safety_certificate') {
+      setActiveTab('maintenance');
+    } else if (notification.type === 'damage_report' || notification.type === 'inventory' || notification.type === 'deposit_refund' || notification.type === 'deduction_dispute' || notification.type === 'surrender' || notification.type === 'variation' || notification.type === 'right_to_rent') {
+      setActiveTab('tenancies');
+    }
+  };
+
+  // Open the deduction form, optionally pre-filled (e.g. from the inventory comparison)
+  const openDeductionModal = async (prefill = {}) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${selectedTenancy.id}/available-funds`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setAvailableFunds(response.data);
+      setDeductionForm({
+        deduction_type: 'damage',
+        description: '',
+        amount: '',
+        deduct_from_deposit: '',
+        deduct_from_advance: '',
+        notes: '',
+        ...prefill
+      });
+      setShowDeductionModal(true);
+    } catch (error) {
+      console.error('Error fetching available funds:', error);
+      showError('Failed to load deduction form');
     }
   };
 
@@ -1243,7 +1346,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
         {/* Tab Navigation */}
         <div className="mb-6 border-b border-gray-200">
           <nav className="flex gap-8">
-            {['overview', 'lodgers', 'tenancies', 'payments', 'calendar', 'profile', 'support', 'settings'].map((tab) => (
+            {['overview', 'lodgers', 'tenancies', 'payments', 'expenses', 'maintenance', 'calendar', 'profile', 'support', 'settings'].map((tab) => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -1298,6 +1401,51 @@ const LandlordDashboard = ({ user, onLogout }) => {
               </div>
             </div>
 
+            {/* Draft Breach Notices Awaiting Approval */}
+            {draftBreachNotices.length > 0 && (
+              <div className="bg-amber-50 border-l-4 border-amber-500 rounded-lg p-6">
+                <div className="flex items-start gap-4">
+                  <Clock className="w-6 h-6 text-amber-600 flex-shrink-0 mt-1" />
+                  <div className="flex-1">
+                    <h3 className="text-lg font-bold text-amber-900 mb-2">
+                      Breach Notices Awaiting Approval ({draftBreachNotices.length})
+                    </h3>
+                    <p className="text-sm text-amber-800 mb-3">
+                      These notices were drafted automatically because rent arrears reached your threshold.
+                      They have not been sent to the lodger.
+                    </p>
+                    <div className="space-y-3">
+                      {draftBreachNotices.map((notice) => (
+                        <div key={notice.id} className="bg-white rounded-lg p-4 border border-amber-200">
+                          <p className="font-semibold text-gray-900">{notice.given_to_name}</p>
+                          <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">
+                            {notice.reason.replace(/\n\n\[DRAFT[^\]]*\]/, '')}
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            Drafted: {new Date(notice.created_at).toLocaleDateString('en-GB')}
+                          </p>
+                          <div className="flex gap-2 mt-3 flex-wrap">
+                            <button
+                              onClick={() => handleIssueDraftBreach(notice.id)}
+                              className="px-3 py-1.5 bg-red-600 text-white rounded text-xs font-medium hover:bg-red-700"
+                            >
+                              Issue Breach Notice
+                            </button>
+                            <button
+                              onClick={() => handleDiscardDraftBreach(notice.id)}
+                              className="px-3 py-1.5 bg-gray-200 text-gray-800 rounded text-xs font-medium hover:bg-gray-300"
+                            >
+                              Discard
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Active Breach Notices Alert */}
             {activeBreachNotices.length > 0 && (
               <div className="bg-red-50 border-l-4 border-red-500 rounded-lg p-6">
@@ -2268,26 +2416,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
                                 Issue Breach Notice
                               </button>
                               <button
-                                onClick={async () => {
-                                  try {
-                                    const response = await axios.get(`${API_URL}/api/tenancies/${selectedTenancy.id}/available-funds`, {
-                                      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
-                                    });
-                                    setAvailableFunds(response.data);
-                                    setDeductionForm({
-                                      deduction_type: 'damage',
-                                      description: '',
-                                      amount: '',
-                                      deduct_from_deposit: '',
-                                      deduct_from_advance: '',
-                                      notes: ''
-                                    });
-                                    setShowDeductionModal(true);
-                                  } catch (error) {
-                                    console.error('Error fetching available funds:', error);
-                                    showError('Failed to load deduction form');
-                                  }
-                                }}
+                                onClick={() => openDeductionModal()}
                                 className="flex items-center justify-center gap-2 px-6 py-4 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition font-semibold text-base"
                               >
                                 <DollarSign className="w-5 h-5" />
@@ -2299,7 +2428,38 @@ const LandlordDashboard = ({ user, onLogout }) => {
                       )}
 
                       {/* Deductions History */}
-                      <DeductionsHistory tenancyId={selectedTenancy.id} />
+                      <DeductionsHistory tenancyId={selectedTenancy.id} refreshKey={deductionsVersion} />
+
+                      {/* Damage Reports */}
+                      <DamageReports
+                        tenancyId={selectedTenancy.id}
+                        userType="landlord"
+                        onDeduction={() => setDeductionsVersion(version => version + 1)}
+                      />
+
+                      {/* Inventory */}
+                      <Inventory
+                        tenancyId={selectedTenancy.id}
+                        userType="landlord"
+                        onUseAsDeduction={(candidate) => openDeductionModal({
+                          deduction_type: candidate.deduction_type,
+                          description: candidate.description,
+                          notes: 'From the check-in / check-out inventory comparison',
+                          inventory_item_id: candidate.inventory_item_id
+                        })}
+                      />
+
+                      <Surrender
+                        tenancyId={selectedTenancy.id}
+                        userType="landlord"
+                        onSurrendered={fetchDashboardData}
+                      />
+
+                      <DepositSettlement
+                        key={`${selectedTenancy.id}-${deductionsVersion}`}
+                        tenancyId={selectedTenancy.id}
+                        userType="landlord"
+                      />
                     </div>
                   </div>
               ) : (
@@ -2330,6 +2490,8 @@ const LandlordDashboard = ({ user, onLogout }) => {
         {activeTab === 'payments' && (
           <div className="space-y-6">
             <h2 className="text-2xl font-bold">Payment Management</h2>
+            <BankImport onComplete={fetchDashboardData} />
+            <TaxYearSummary />
             <div className="bg-white rounded-lg shadow overflow-x-auto">
               <table className="w-full">
                 <thead className="bg-gray-50">
@@ -2413,6 +2575,25 @@ const LandlordDashboard = ({ user, onLogout }) => {
           </div>
         )}
 
+        {/* Expenses Tab */}
+        {activeTab === 'expenses' && (
+          <div className="space-y-6">
+            <h2 className="text-2xl font-bold">Expenses & Tax</h2>
+            <Expenses tenancies={tenancies} />
+            <UtilityBills />
+          </div>
+        )}
+
+        {/* Maintenance Tab */}
+        {activeTab === 'maintenance' && (
+          <div className="space-y-6">
+            <h2 className="text-2xl font-bold">Maintenance</h2>
+            <MaintenanceRequests userType="landlord" refreshKey={contractorsVersion} />
+            <Contractors onChange={() => setContractorsVersion(version => version + 1)} />
+            <SafetyCertificates userType="landlord" />
+          </div>
+        )}
+
         {/* Calendar Tab */}
         {activeTab === 'calendar' && (
           <div className="bg-white rounded-lg shadow p-6">
@@ -2730,6 +2911,14 @@ const LandlordDashboard = ({ user, onLogout }) => {
 
             {/* Backup & Restore Section */}
             <div className="space-y-6">
+              <ArrearsSettings />
+
+              <PaymentFeedSettings />
+
+              <PaymentMethodSettings />
+
+              <AgreementTemplates />
+
               <div>
                 <h3 className="text-lg font-semibold mb-4 text-gray-900">Backup & Restore</h3>
                 <p className="text-sm text-gray-600 mb-6">
@@ -3122,6 +3311,8 @@ const LandlordDashboard = ({ user, onLogout }) => {
                 </div>
               </div>
 
+              <SpecialTerms tenancyId={selectedTenancy.id} />
+
               {/* Photo ID Section */}
               {selectedTenancy.lodger_signature && (
                 <div className="bg-white border-2 border-gray-300 rounded-lg p-6">
@@ -3153,6 +3344,8 @@ const LandlordDashboard = ({ user, onLogout }) => {
                 </div>
               )}
 
+              <RightToRent tenancyId={selectedTenancy.id} userType="landlord" />
+
               {/* Signature Information */}
               {selectedTenancy.lodger_signature && (
                 <div className="bg-white border-2 border-gray-300 rounded-lg p-6">
@@ -3172,6 +3365,22 @@ const LandlordDashboard = ({ user, onLogout }) => {
                 </div>
               )}
 
+              {selectedTenancy.signed_agreement_path && (
+                <>
+                  <SigningRecord tenancyId={selectedTenancy.id} userType="landlord" />
+                  <Variations tenancyId={selectedTenancy.id} userType="landlord" signerName={user.fullName} onVaried={fetchDashboardData} />
+                </>
+              )}
+
+              {/* Countersign */}
+              {selectedTenancy.lodger_signature && !selectedTenancy.signed_agreement_path && (
+                <SignAgreement
+                  tenancyId={selectedTenancy.id}
+                  signerName={user.fullName}
+                  onChange={setApprovalSignature}
+                />
+              )}
+
               {/* Deductions Section */}
               <DeductionsHistory tenancyId={selectedTenancy.id} />
 
@@ -3184,19 +3393,21 @@ const LandlordDashboard = ({ user, onLogout }) => {
                         const token = localStorage.getItem('token');
                         await axios.post(
                           `${API_URL}/api/tenancies/${selectedTenancy.id}/approve`,
-                          {},
+                          approvalSignature,
                           { headers: { Authorization: `Bearer ${token}` }}
                         );
-                        showSuccess('Agreement approved and PDF generated successfully!');
+                        showSuccess('Agreement signed and PDF generated successfully!');
+                        setApprovalSignature(null);
                         setShowTenancyModal(false);
                         fetchDashboardData();
                       } catch (error) {
                         showError(error.response?.data?.error || 'Failed to approve agreement');
                       }
                     }}
-                    className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition font-semibold"
+                    disabled={!approvalSignature}
+                    className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    Approve & Generate Agreement PDF
+                    Sign & Generate Agreement PDF
                   </button>
                 )}
                 {selectedTenancy.signed_agreement_path && (
@@ -3927,6 +4138,9 @@ const LandlordDashboard = ({ user, onLogout }) => {
                 formData.append('deduct_from_deposit', deductionForm.deduct_from_deposit);
                 formData.append('deduct_from_advance', deductionForm.deduct_from_advance);
                 formData.append('notes', deductionForm.notes);
+                if (deductionForm.inventory_item_id) {
+                  formData.append('inventory_item_id', deductionForm.inventory_item_id);
+                }
 
                 await axios.post(
                   `${API_URL}/api/tenancies/${selectedTenancy.id}/deductions`,
@@ -3936,6 +4150,7 @@ const LandlordDashboard = ({ user, onLogout }) => {
 
                 showSuccess('Deduction recorded successfully');
                 setShowDeductionModal(false);
+                setDeductionsVersion(version => version + 1);
                 fetchDashboardData();
               } catch (error) {
                 console.error('Error creating deduction:', error);
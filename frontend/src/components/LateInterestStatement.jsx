@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { TrendingUp } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+/**
+ * LateInterestStatement Component
+ *
+ * Itemised clause 2.1.2 interest (3% above Bank of England base rate on payments
+ * more than 14 days late) for a tenancy. Landlords can add uncharged interest to
+ * the ledger or waive it.
+ *
+ * @param {Object} tenancy - Tenancy to show the statement for
+ * @param {Function} onChange - Called after interest is charged or waived
+ */
+const LateInterestStatement = ({ tenancy, onChange }) => {
+  const [statement, setStatement] = useState(null);
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    fetchStatement();
+  }, [tenancy.id]);
+
+  const fetchStatement = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancy.id}/interest`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setStatement(response.data);
+    } catch (error) {
+      console.error('Failed to fetch interest statement:', error);
+    }
+  };
+
+  const handleCharge = async (paymentIds = []) => {
+    if (!confirm('Add this interest to the lodger\'s ledger? The lodger will be notified.')) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/api/tenancies/${tenancy.id}/interest/charge`, {
+        payment_ids: paymentIds
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess(`Interest of £${response.data.total.toFixed(2)} added to ledger`);
+      fetchStatement();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to charge interest');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleWaive = async (paymentIds = []) => {
+    const reason = prompt('Reason for waiving interest (optional):');
+    if (reason === null) return; // User cancelled
+
+    setProcessing(true);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/api/tenancies/${tenancy.id}/interest/waive`, {
+        payment_ids: paymentIds,
+        reason
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Interest waived');
+      fetchStatement();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to waive interest');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleWaiveCharge = async (chargeId) => {
+    const reason = prompt('Reason for waiving this charge (optional):');
+    if (reason === null) return; // User cancelled
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/api/tenancies/interest/charges/${chargeId}/waive`, {
+        reason
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Interest charge waived');
+      fetchStatement();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to waive interest charge');
+    }
+  };
+
+  if (!statement || statement.items.length === 0) {
+    return null;
+  }
+
+  const outstandingCharges = statement.charges.filter(charge => charge.status === 'outstanding');
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mt-6">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-start gap-4 flex-wrap">
+        <div>
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <TrendingUp className="w-5 h-5 text-orange-600" />
+            Late Payment Interest
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Clause 2.1.2: {statement.margin}% above Bank of England base rate
+            (currently {statement.current_base_rate}%) on payments more than {statement.grace_days} days late.
+            Calculated to {new Date(statement.as_of).toLocaleDateString('en-GB')}.
+          </p>
+        </div>
+        {statement.totals.uncharged > 0 && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleCharge()}
+              disabled={processing}
+              className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition font-medium text-sm disabled:opacity-50"
+            >
+              Charge £{statement.totals.uncharged.toFixed(2)}
+            </button>
+            <button
+              onClick={() => handleWaive()}
+              disabled={processing}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition font-medium text-sm disabled:opacity-50"
+            >
+              Waive All
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Days Late</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Breakdown</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Interest</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Charged</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Waived</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {statement.items.map((item) => (
+              <tr key={item.payment_id} className="hover:bg-gray-50 align-top">
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <p className="font-medium">#{item.payment_number}</p>
+                  <p className="text-xs text-gray-500">Due {new Date(item.due_date).toLocaleDateString('en-GB')}</p>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  {item.days_late}
+                  {item.still_accruing && (
+                    <span className="ml-2 text-xs text-red-600">(still accruing)</span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-xs text-gray-600">
+                  {item.periods.map((period, index) => (
+                    <p key={index}>
+                      £{period.principal.toFixed(2)} × {period.annualRate}% × {period.days} days
+                      ({new Date(period.from).toLocaleDateString('en-GB')} - {new Date(period.to).toLocaleDateString('en-GB')})
+                      = £{period.interest.toFixed(2)}
+                    </p>
+                  ))}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap font-medium">£{item.interest.toFixed(2)}</td>
+                <td className="px-6 py-4 whitespace-nowrap">£{item.charged.toFixed(2)}</td>
+                <td className="px-6 py-4 whitespace-nowrap">£{item.waived.toFixed(2)}</td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  {item.uncharged > 0 && (
+                    <div className="space-x-3">
+                      <button
+                        onClick={() => handleCharge([item.payment_id])}
+                        disabled={processing}
+                        className="text-orange-600 hover:text-orange-900 font-medium text-sm"
+                      >
+                        Charge £{item.uncharged.toFixed(2)}
+                      </button>
+                      <button
+                        onClick={() => handleWaive([item.payment_id])}
+                        disabled={processing}
+                        className="text-gray-600 hover:text-gray-900 font-medium text-sm"
+                      >
+                        Waive
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {outstandingCharges.length > 0 && (
+        <div className="px-6 py-4 border-t border-gray-200">
+          <h3 className="font-semibold text-gray-900 mb-2">Outstanding Interest Charges</h3>
+          <div className="space-y-2">
+            {outstandingCharges.map((charge) => (
+              <div key={charge.id} className="flex justify-between items-center text-sm">
+                <span className="text-gray-700">{charge.description}</span>
+                <div className="flex items-center gap-3">
+                  <span className="font-medium">£{parseFloat(charge.amount).toFixed(2)}</span>
+                  <button
+                    onClick={() => handleWaiveCharge(charge.id)}
+                    className="text-gray-600 hover:text-gray-900 font-medium"
+                  >
+                    Waive
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LateInterestStatement;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Paperclip } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+/**
+ * LedgerStatement Component
+ *
+ * Running-balance statement for a tenancy built from recorded payments,
+ * showing how each payment was allocated across rent and charges.
+ *
+ * @param {Object} tenancy - Tenancy to show the ledger for
+ * @param {number} refreshKey - Change to force the ledger to reload
+ */
+const LedgerStatement = ({ tenancy, refreshKey }) => {
+  const [ledger, setLedger] = useState(null);
+  const [includeFuture, setIncludeFuture] = useState(false);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [tenancy.id, includeFuture, refreshKey]);
+
+  const fetchLedger = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancy.id}/ledger`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { include_future: includeFuture }
+      });
+      setLedger(response.data);
+    } catch (error) {
+      console.error('Failed to fetch ledger:', error);
+    }
+  };
+
+  if (!ledger) {
+    return null;
+  }
+
+  const formatAmount = (amount) => (amount > 0 ? `£${amount.toFixed(2)}` : '');
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mt-6">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-start gap-4 flex-wrap">
+        <div>
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <FileText className="w-5 h-5 text-indigo-600" />
+            Ledger Statement
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Payments are applied to the oldest amount owed first. Any overpayment is carried forward as credit.
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-sm text-gray-600">Balance</p>
+          <p className={`text-2xl font-bold ${ledger.totals.balance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+            £{Math.abs(ledger.totals.balance).toFixed(2)} {ledger.totals.balance > 0 ? 'credit' : ledger.totals.balance < 0 ? 'owed' : ''}
+          </p>
+          <label className="flex items-center justify-end gap-2 text-xs text-gray-600 mt-1">
+            <input
+              type="checkbox"
+              checked={includeFuture}
+              onChange={(e) => setIncludeFuture(e.target.checked)}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            Include future rent
+          </label>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Charged</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Paid</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {ledger.entries.length > 0 ? (
+              ledger.entries.map((entry, index) => (
+                <tr key={index} className="hover:bg-gray-50 align-top">
+                  <td className="px-6 py-3 whitespace-nowrap text-sm">
+                    {new Date(entry.date).toLocaleDateString('en-GB')}
+                  </td>
+                  <td className="px-6 py-3 text-sm">
+                    <p className="text-gray-900">{entry.description}</p>
+                    {entry.attachment_path && (
+                      <a
+                        href={`${API_URL}${entry.attachment_path}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-900 font-medium mt-1"
+                      >
+                        <Paperclip className="w-3 h-3" />
+                        View bill
+                      </a>
+                    )}
+                    {entry.allocations && entry.allocations.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Applied to: {entry.allocations.map(allocation =>
+                          `${allocation.payment_number ? `#${allocation.payment_number}` : 'charge'} £${parseFloat(allocation.amount).toFixed(2)}`
+                        ).join(', ')}
+                      </p>
+                    )}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-red-600">
+                    {formatAmount(entry.debit)}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-green-600">
+                    {formatAmount(entry.credit)}
+                  </td>
+                  <td className={`px-6 py-3 whitespace-nowrap text-sm text-right font-semibold ${
+                    entry.balance >= 0 ? 'text-green-600' : 'text-red-600'
+                  }`}>
+                    £{entry.balance.toFixed(2)}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="5" className="px-6 py-12 text-center text-gray-500">
+                  No ledger entries yet
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LedgerStatement;
@@ -4,6 +4,23 @@ import axios from 'axios';
 import { API_URL } from '../config';
 import AddressDisplay from './AddressDisplay';
 import PaymentCalendar from './PaymentCalendar';
+import LedgerStatement from './LedgerStatement';
+import UtilityCharges from './UtilityCharges';
+import PaymentInstructions from './PaymentInstructions';
+import CashHandovers from './CashHandovers';
+import MaintenanceRequests from './MaintenanceRequests';
+import DamageReports from './DamageReports';
+import Inventory from './Inventory';
+import LodgerNotice from './LodgerNotice';
+import DepositSettlement from './DepositSettlement';
+import Surrender from './Surrender';
+import SignAgreement from './SignAgreement';
+import SigningRecord from './SigningRecord';
+import Variations from './Variations';
+import RightToRent from './RightToRent';
+import SafetyCertificates from './SafetyCertificates';
+import Deductions from './Deductions';
+import PaymentReceiptButton from './PaymentReceiptButton';
 import { showSuccess, showError, showWarning } from '../utils/toast';
 
 /**
@@ -113,6 +130,7 @@ const LodgerDashboard = ({ user, onLogout }) => {
   const [photoIdFile, setPhotoIdFile] = useState(null);
   const [photoIdPreview, setPhotoIdPreview] = useState(null);
   const [uploadingAgreement, setUploadingAgreement] = useState(false);
+  const [agreementSignature, setAgreementSignature] = useState(null);
   const [dateOfBirth, setDateOfBirth] = useState('');
   const [idExpiryDate, setIdExpiryDate] = useState('');
   const [showSubmitPayment, setShowSubmitPayment] = useState(false);
@@ -127,6 +145,7 @@ const LodgerDashboard = ({ user, onLogout }) => {
     payment_reference: '',
     notes: ''
   });
+  const [paymentMethods, setPaymentMethods] = useState(null);
   const [notifications, setNotifications] = useState([]);
   const [showNotificationDropdown, setShowNotificationDropdown] = useState(false);
 
@@ -163,6 +182,9 @@ const LodgerDashboard = ({ user, onLogout }) => {
         if (currentTenancy) {
           const paymentResponse = await axios.get(`${API_URL}/api/tenancies/${currentTenancy.id}/payments`, config);
           setPayments(paymentResponse.data);
+
+          const methodsResponse = await axios.get(`${API_URL}/api/payment-methods/tenancies/${currentTenancy.id}`, config);
+          setPaymentMethods(methodsResponse.data);
         }
       }
 
@@ -216,6 +238,11 @@ const LodgerDashboard = ({ user, onLogout }) => {
       return;
     }
 
+    if (!agreementSignature) {
+      showError('Please sign the agreement');
+      return;
+    }
+
     setUploadingAgreement(true);
 
     try {
@@ -225,6 +252,9 @@ const LodgerDashboard = ({ user, onLogout }) => {
       formData.append('agreed', 'true');
       formData.append('date_of_birth', dateOfBirth);
       formData.append('id_expiry_date', idExpiryDate);
+      formData.append('signature_method', agreementSignature.signature_method);
+      formData.append('signature_image', agreementSignature.signature_image);
+      formData.append('document_hash', agreementSignature.document_hash);
 
       await axios.post(`${API_URL}/api/tenancies/${tenancy.id}/accept`, formData, {
         headers: {
@@ -243,11 +273,13 @@ const LodgerDashboard = ({ user, onLogout }) => {
     }
   };
 
+  const defaultPaymentMethod = paymentMethods?.methods[0]?.value || 'bank_transfer';
+
   const handleSubmitPayment = async (e) => {
     e.preventDefault();
     try {
       const token = localStorage.getItem('token');
-      await axios.post(`${API_URL}/api/payments/${selectedPayment.id}/submit`, {
+      const response = await axios.post(`${API_URL}/api/payments/${selectedPayment.id}/submit`, {
         amount: parseFloat(paymentSubmitForm.amount),
         payment_reference: paymentSubmitForm.payment_reference,
         payment_method: paymentSubmitForm.payment_method,
@@ -260,12 +292,16 @@ const LodgerDashboard = ({ user, onLogout }) => {
       setSelectedPayment(null);
       setPaymentSubmitForm({
         amount: '',
-        payment_method: 'bank_transfer',
+        payment_method: defaultPaymentMethod,
         payment_reference: '',
         notes: ''
       });
       fetchLodgerData();
-      showSuccess('Payment submitted successfully! Your landlord will review and confirm.');
+      if (response.data.cash_handover) {
+        showSuccess('Cash payment submitted. A receipt will be issued once your landlord confirms they received it.');
+      } else {
+        showSuccess('Payment submitted successfully! Your landlord will review and confirm.');
+      }
     } catch (error) {
       showError(error.response?.data?.error || 'Failed to submit payment');
     }
@@ -295,12 +331,18 @@ const LodgerDashboard = ({ user, onLogout }) => {
     // Navigate to relevant tab based on notification type
     setShowNotificationDropdown(false);
 
-    if (notification.type === 'payment_reminder' || notification.type === 'payment_received') {
+    if (notification.attachment_path) {
+      window.open(`${API_URL}${notification.attachment_path}`, '_blank', 'noopener,noreferrer');
+    }
+
+    if (notification.type === 'payment_reminder' || notification.type === 'payment_received' || notification.type === 'rent_review' || notification.type === 'utility_recharge' || notification.type === 'cash_handover') {
       setActiveTab('payments');
-    } else if (notification.type === 'tenancy_expiring') {
+    } else if (notification.type === 'tenancy_expiring' || notification.type === 'damage_report' || notification.type === 'inventory' || notification.type === 'deposit_refund' || notification.type === 'deduction_made' || notification.type === 'deduction_dispute' || notification.type === 'surrender' || notification.type === 'variation' || notification.type === 'right_to_rent' || notification.type === 'safety_certificate') {
       setActiveTab('agreement');
     } else if (notification.type === 'extension_offer') {
       setActiveTab('extension offer');
+    } else if (notification.type === 'maintenance_update') {
+      setActiveTab('maintenance');
     }
   };
 
@@ -516,6 +558,14 @@ const LodgerDashboard = ({ user, onLogout }) => {
                                 <p className="text-xs text-gray-600 line-clamp-2">
                                   {notification.message}
                                 </p>
+                                {notification.attachment_path && (
+                                  <p className="text-xs text-indigo-600 mt-1 flex items-center gap-1">
+                                    <FileText className="w-3 h-3" />
+                                    {notification.type === 'payment_received'
+                                      ? 'Receipt attached'
+                                      : notification.type === 'utility_recharge' ? 'Bill attached' : 'Notice attached'}
+                                  </p>
+                                )}
                                 <p className="text-xs text-gray-400 mt-1">
                                   {new Date(notification.created_at).toLocaleDateString('en-GB', {
                                     day: 'numeric',
@@ -778,7 +828,7 @@ const LodgerDashboard = ({ user, onLogout }) => {
                         setSelectedPayment(nextUnpaid);
                         setPaymentSubmitForm({
                           amount: nextUnpaid.rent_due,
-                          payment_method: 'bank_transfer',
+                          payment_method: defaultPaymentMethod,
                           payment_reference: '',
                           notes: ''
                         });
@@ -797,7 +847,10 @@ const LodgerDashboard = ({ user, onLogout }) => {
                       </div>
                     </div>
                   </button>
-                  <button className="w-full p-4 border-2 border-gray-200 rounded-lg hover:border-indigo-600 hover:bg-indigo-50 transition text-left">
+                  <button
+                    onClick={() => setActiveTab('maintenance')}
+                    className="w-full p-4 border-2 border-gray-200 rounded-lg hover:border-indigo-600 hover:bg-indigo-50 transition text-left"
+                  >
                     <div className="flex items-center gap-3">
                       <Wrench className="w-5 h-5 text-indigo-600" />
                       <div>
@@ -931,7 +984,7 @@ const LodgerDashboard = ({ user, onLogout }) => {
                                   setSelectedPayment(payment);
                                   setPaymentSubmitForm({
                                     amount: payment.rent_due,
-                                    payment_method: 'bank_transfer',
+                                    payment_method: defaultPaymentMethod,
                                     payment_reference: '',
                                     notes: ''
                                   });
@@ -947,6 +1000,11 @@ const LodgerDashboard = ({ user, onLogout }) => {
                                 Awaiting confirmation
                               </span>
                             )}
+                            {parseFloat(payment.rent_paid || 0) > 0 && (
+                              <div className="mt-1">
+                                <PaymentReceiptButton payment={payment} />
+                              </div>
+                            )}
                           </td>
                         </tr>
                       );
@@ -962,6 +1020,20 @@ const LodgerDashboard = ({ user, onLogout }) => {
               </table>
             </div>
 
+            {/* Ledger Statement */}
+            {tenancy && <LedgerStatement tenancy={tenancy} refreshKey={payments.length} />}
+
+            {/* Utility Bills */}
+            <UtilityCharges refreshKey={payments.length} />
+
+            {/* Cash Payments */}
+            {tenancy && (
+              <CashHandovers tenancyId={tenancy.id} userType="lodger" refreshKey={payments} onChange={fetchLodgerData} />
+            )}
+
+            {/* How to Pay */}
+            {tenancy && <PaymentInstructions tenancy={tenancy} paymentMethods={paymentMethods} />}
+
             {/* Payment Information */}
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
               <h3 className="font-semibold text-blue-900 mb-2">Payment Information</h3>
@@ -1108,6 +1180,29 @@ const LodgerDashboard = ({ user, onLogout }) => {
                 </div>
               </div>
             </div>
+
+            {tenancy.signed_agreement_path && <SigningRecord tenancyId={tenancy.id} userType="lodger" />}
+
+            {tenancy.signed_agreement_path && (
+              <Variations tenancyId={tenancy.id} userType="lodger" signerName={user.fullName} onVaried={fetchLodgerData} />
+            )}
+
+            <RightToRent tenancyId={tenancy.id} userType="lodger" />
+
+            <SafetyCertificates userType="lodger" />
+
+            <LodgerNotice tenancyId={tenancy.id} onNoticeGiven={fetchLodgerData} />
+
+            <Surrender tenancyId={tenancy.id} userType="lodger" onSurrendered={fetchLodgerData} />
+
+            {/* Inventory */}
+            <Inventory tenancyId={tenancy.id} userType="lodger" />
+
+            <DamageReports tenancyId={tenancy.id} userType="lodger" />
+
+            <Deductions tenancyId={tenancy.id} />
+
+            <DepositSettlement tenancyId={tenancy.id} userType="lodger" />
           </div>
         )}
 
@@ -1491,9 +1586,7 @@ const LodgerDashboard = ({ user, onLogout }) => {
         {activeTab === 'maintenance' && (
           <div className="space-y-6">
             <h2 className="text-2xl font-bold">Maintenance Requests</h2>
-            <div className="bg-white rounded-lg shadow p-6">
-              <p className="text-gray-600">Maintenance request system coming soon...</p>
-            </div>
+            <MaintenanceRequests userType="lodger" />
           </div>
         )}
       </div>
@@ -1792,6 +1885,8 @@ const LodgerDashboard = ({ user, onLogout }) => {
                 )}
               </div>
 
+              <SignAgreement tenancyId={tenancy.id} signerName={user.fullName} onChange={setAgreementSignature} />
+
               {/* Agreement Checkbox */}
               <div className="border-t pt-4">
                 <label className="flex items-start gap-3 cursor-pointer">
@@ -1811,9 +1906,9 @@ const LodgerDashboard = ({ user, onLogout }) => {
               <div className="flex gap-3 pt-4 border-t">
                 <button
                   onClick={handleAcceptAgreement}
-                  disabled={!agreedToTerms || !photoIdFile || uploadingAgreement}
+                  disabled={!agreedToTerms || !photoIdFile || !agreementSignature || uploadingAgreement}
                   className={`flex-1 py-3 rounded-lg font-semibold transition ${
-                    agreedToTerms && photoIdFile && !uploadingAgreement
+                    agreedToTerms && photoIdFile && agreementSignature && !uploadingAgreement
                       ? 'bg-indigo-600 text-white hover:bg-indigo-700'
                       : 'bg-gray-300 text-gray-500 cursor-not-allowed'
                   }`}
@@ -1900,12 +1995,17 @@ const LodgerDashboard = ({ user, onLogout }) => {
                   onChange={(e) => setPaymentSubmitForm({...paymentSubmitForm, payment_method: e.target.value})}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
                 >
-                  <option value="bank_transfer">Bank Transfer</option>
-                  <option value="cash">Cash</option>
-                  <option value="cheque">Cheque</option>
-                  <option value="standing_order">Standing Order</option>
-                  <option value="other">Other</option>
+                  {paymentMethods ? (
+                    paymentMethods.methods.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))
+                  ) : (
+                    <option value="bank_transfer">Bank Transfer</option>
+                  )}
                 </select>
+                {paymentSubmitForm.payment_method === 'cash' && (
+                  <p className="text-xs text-gray-500 mt-1">Your landlord will be asked to confirm they received the cash before it is added to your statement.</p>
+                )}
               </div>
 
               <div>
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { DoorOpen, FileText } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+/**
+ * LodgerNotice Component
+ *
+ * Lets the lodger give notice to end their agreement under clause 9.2: at least one
+ * calendar month, expiring the day before a payment day. Offers only the end dates
+ * the agreement allows, and once notice is given shows the letter and end date.
+ *
+ * @param {string} tenancyId - Tenancy the lodger is giving notice on
+ * @param {Function} onNoticeGiven - Called after notice is given so the tenancy can be reloaded
+ */
+const LodgerNotice = ({ tenancyId, onNoticeGiven }) => {
+  const [options, setOptions] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [endDate, setEndDate] = useState('');
+  const [reason, setReason] = useState('');
+  const [finalPayment, setFinalPayment] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchOptions();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchOptions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/lodger-notice`, { headers: authHeaders() });
+      setOptions(response.data);
+      setEndDate(response.data.end_dates[0] || '');
+    } catch (error) {
+      console.error('Failed to fetch notice dates:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Give notice to end your agreement on ${formatDate(endDate)}? This can't be withdrawn without your householder's agreement.`)) return;
+
+    setSaving(true);
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/tenancies/${tenancyId}/lodger-notice`,
+        { end_date: endDate, reason },
+        { headers: authHeaders() }
+      );
+      showSuccess('Notice given. Your householder has been sent your letter.');
+      setFinalPayment(response.data.final_payment);
+      setShowForm(false);
+      fetchOptions();
+      onNoticeGiven && onNoticeGiven();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to give notice');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!options) return null;
+
+  const { notice } = options;
+
+  // Nothing to offer if the tenancy isn't running and no notice is in force
+  if (!notice && !options.can_give_notice) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2 mb-4">
+        <DoorOpen className="w-4 h-4 text-indigo-600" />
+        Ending Your Agreement
+      </h4>
+
+      {notice ? (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">
+            Notice was given on {formatDate(notice.notice_date)}. Your agreement ends on{' '}
+            <span className="font-semibold text-gray-900">{formatDate(notice.effective_date)}</span>.
+          </p>
+          {finalPayment && (
+            <p className="text-sm text-gray-700">
+              {finalPayment.finalAmount < 0
+                ? `Your final payment on ${formatDate(finalPayment.dueDate)} becomes a refund of £${Math.abs(finalPayment.finalAmount).toFixed(2)}.`
+                : `Your final payment on ${formatDate(finalPayment.dueDate)} is £${finalPayment.finalAmount.toFixed(2)}.`}
+            </p>
+          )}
+          {notice.notice_letter_path && (
+            <a
+              href={`${API_URL}${notice.notice_letter_path}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              <FileText className="w-4 h-4" />
+              View Notice Letter
+            </a>
+          )}
+          <p className="text-xs text-gray-500">
+            Before you leave, clause 2.7 asks you to return the Room in the condition you found it, hand back your keys and give a forwarding address for your deposit.
+          </p>
+        </div>
+      ) : options.end_dates.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          Your agreement ends on {formatDate(options.tenancy_end_date)}, before notice given today could expire, so you don't need to give notice.
+        </p>
+      ) : !showForm ? (
+        <div className="flex items-center justify-between gap-4">
+          <p className="text-sm text-gray-600">
+            You can end your agreement with at least one calendar month's notice, ending the day before a payment day (clause 9.2).
+            The earliest date you can leave is <span className="font-semibold text-gray-900">{formatDate(options.end_dates[0])}</span>.
+          </p>
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium whitespace-nowrap"
+          >
+            Give Notice
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Last day of your agreement</label>
+            <select
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+            >
+              {options.end_dates.map((date, index) => (
+                <option key={date} value={date}>
+                  {formatDate(date)}{index === 0 ? ' (earliest)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason for leaving (optional)</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Your payment schedule will be cut back to this date and your last payment worked out for the days up to it.
+            A notice letter will be sent to your householder.
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving || !endDate}
+              className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Giving Notice...' : 'Give Notice'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default LodgerNotice;
@@ -0,0 +1,544 @@
+import React, { useState, useEffect } from 'react';
+import { Wrench, MessageSquare, Camera, Reply, Lock } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+import WorkOrders from './WorkOrders';
+
+const statusStyles = {
+  reported: 'bg-yellow-100 text-yellow-800',
+  acknowledged: 'bg-blue-100 text-blue-800',
+  scheduled: 'bg-indigo-100 text-indigo-800',
+  resolved: 'bg-green-100 text-green-800'
+};
+
+const priorityStyles = {
+  emergency: 'bg-red-100 text-red-800',
+  urgent: 'bg-orange-100 text-orange-800',
+  routine: 'bg-gray-100 text-gray-800'
+};
+
+const emptyRequest = {
+  title: '',
+  category: '',
+  priority: 'routine',
+  location: '',
+  description: ''
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-GB', {
+  day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+/**
+ * CommentThread Component
+ *
+ * Renders a comment and its replies, indented under the comment they answer.
+ */
+const CommentThread = ({ comment, onReply, depth = 0 }) => (
+  <div className={depth > 0 ? 'ml-6 border-l-2 border-gray-100 pl-3' : ''}>
+    <div className={`rounded-lg p-3 mb-2 ${comment.is_internal ? 'bg-amber-50 border border-amber-200' : 'bg-gray-50'}`}>
+      <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+        <span>
+          <span className="font-medium text-gray-700">{comment.author_name}</span>
+          {comment.author_type === 'landlord' && ' (householder)'}
+          {' · '}{formatDateTime(comment.created_at)}
+        </span>
+        {comment.is_internal && (
+          <span className="flex items-center gap-1 text-amber-700 font-medium">
+            <Lock className="w-3 h-3" />
+            Internal
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-gray-800 whitespace-pre-wrap">{comment.comment}</p>
+      <button
+        onClick={() => onReply(comment)}
+        className="mt-1 text-xs text-indigo-600 hover:text-indigo-800 font-medium flex items-center gap-1"
+      >
+        <Reply className="w-3 h-3" />
+        Reply
+      </button>
+    </div>
+    {comment.replies.map(reply => (
+      <CommentThread key={reply.id} comment={reply} onReply={onReply} depth={depth + 1} />
+    ))}
+  </div>
+);
+
+/**
+ * MaintenanceRequests Component
+ *
+ * Lodgers report repairs here, with photos, and follow them through to being fixed.
+ * Householders acknowledge, schedule and resolve them against deadlines set by the
+ * priority, send them to contractors, and can keep internal notes in the comments
+ * that the lodger never sees.
+ *
+ * @param {string} userType - 'landlord' or 'lodger'
+ * @param {number} refreshKey - Change to reload the landlord's contractors
+ */
+const MaintenanceRequests = ({ userType, refreshKey }) => {
+  const [requests, setRequests] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [newRequest, setNewRequest] = useState(emptyRequest);
+  const [photos, setPhotos] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [commentText, setCommentText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [internal, setInternal] = useState(false);
+  const [scheduleFor, setScheduleFor] = useState({});
+
+  const isLodger = userType === 'lodger';
+
+  useEffect(() => {
+    fetchOptions();
+    fetchRequests();
+  }, []);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchOptions = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/maintenance/options`, { headers: authHeaders() });
+      setOptions(response.data);
+    } catch (error) {
+      console.error('Failed to fetch maintenance options:', error);
+    }
+  };
+
+  const fetchRequests = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/maintenance`, { headers: authHeaders() });
+      setRequests(response.data);
+    } catch (error) {
+      console.error('Failed to fetch maintenance requests:', error);
+      showError('Failed to load maintenance requests');
+    }
+  };
+
+  const fetchComments = async (requestId) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/maintenance/${requestId}/comments`, { headers: authHeaders() });
+      setComments(response.data);
+    } catch (error) {
+      showError('Failed to load comments');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      Object.entries(newRequest).forEach(([key, value]) => {
+        if (value !== '') formData.append(key, value);
+      });
+      photos.forEach(photo => formData.append('photos', photo));
+
+      await axios.post(`${API_URL}/api/maintenance`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+
+      showSuccess('Repair reported to your householder');
+      setNewRequest(emptyRequest);
+      setPhotos([]);
+      setShowForm(false);
+      fetchRequests();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to report repair');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateRequest = async (request, updates, message) => {
+    setSaving(true);
+    try {
+      await axios.put(`${API_URL}/api/maintenance/${request.id}`, updates, { headers: authHeaders() });
+      showSuccess(message);
+      fetchRequests();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update maintenance request');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSchedule = (request) => {
+    if (!scheduleFor[request.id]) {
+      showError('Choose when the repair is booked for');
+      return;
+    }
+    updateRequest(request, { status: 'scheduled', scheduled_for: scheduleFor[request.id] }, 'Repair scheduled');
+  };
+
+  const handleResolve = (request) => {
+    const notes = prompt('What was done to fix it? (optional)');
+    if (notes === null) return;
+    updateRequest(request, { status: 'resolved', resolution_notes: notes.trim() || null }, 'Request marked as resolved');
+  };
+
+  const handleReopen = (request) => {
+    if (!confirm('Reopen this request and tell your householder the problem has not been fixed?')) return;
+    updateRequest(request, { status: 'reported' }, 'Request reopened');
+  };
+
+  const handleAddPhotos = async (request, files) => {
+    if (files.length === 0) return;
+    try {
+      const formData = new FormData();
+      Array.from(files).forEach(photo => formData.append('photos', photo));
+      await axios.post(`${API_URL}/api/maintenance/${request.id}/photos`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      showSuccess('Photos added');
+      fetchRequests();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to add photos');
+    }
+  };
+
+  const toggleComments = (request) => {
+    if (expandedId === request.id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(request.id);
+    setComments([]);
+    setReplyTo(null);
+    setCommentText('');
+    fetchComments(request.id);
+  };
+
+  const handleComment = async (e, request) => {
+    e.preventDefault();
+    try {
+      await axios.post(`${API_URL}/api/maintenance/${request.id}/comments`, {
+        comment: commentText,
+        is_internal: !isLodger && internal,
+        parent_id: replyTo ? replyTo.id : null
+      }, { headers: authHeaders() });
+
+      setCommentText('');
+      setReplyTo(null);
+      setInternal(false);
+      fetchComments(request.id);
+      fetchRequests();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to add comment');
+    }
+  };
+
+  if (!options) {
+    return null;
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <Wrench className="w-5 h-5 text-indigo-600" />
+          {isLodger ? 'Your Repair Requests' : 'Repair Requests'}
+        </h3>
+        {isLodger && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+          >
+            Report a Repair
+          </button>
+        )}
+      </div>
+
+      {isLodger && (
+        <p className="text-sm text-gray-600 mb-4">
+          Reporting a repair here is your written notice to your householder. They should acknowledge it and put it
+          right within a reasonable time, which depends on how serious it is.
+        </p>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">What's wrong?</label>
+              <input
+                type="text"
+                value={newRequest.title}
+                onChange={(e) => setNewRequest({ ...newRequest, title: e.target.value })}
+                placeholder="e.g. Shower not draining"
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Where?</label>
+              <input
+                type="text"
+                value={newRequest.location}
+                onChange={(e) => setNewRequest({ ...newRequest, location: e.target.value })}
+                placeholder="e.g. Shared bathroom"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select
+                value={newRequest.category}
+                onChange={(e) => setNewRequest({ ...newRequest, category: e.target.value })}
+                className={inputClass}
+                required
+              >
+                <option value="">Select category</option>
+                {Object.entries(options.categories).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">How urgent?</label>
+              <select
+                value={newRequest.priority}
+                onChange={(e) => setNewRequest({ ...newRequest, priority: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(options.priorities).map(([key, priority]) => (
+                  <option key={key} value={key}>{priority.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Details</label>
+            <textarea
+              value={newRequest.description}
+              onChange={(e) => setNewRequest({ ...newRequest, description: e.target.value })}
+              placeholder="When did it start, and what have you noticed?"
+              className={inputClass}
+              rows={3}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Photos (up to 6)</label>
+            <input
+              type="file"
+              accept=".jpg,.jpeg,.png"
+              multiple
+              onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, 6))}
+              className="w-full text-sm"
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Sending...' : 'Send to Householder'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {requests.length === 0 ? (
+        <p className="text-sm text-gray-500">No repairs have been reported.</p>
+      ) : (
+        <div className="space-y-4">
+          {requests.map(request => (
+            <div key={request.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div>
+                  <p className="font-semibold">{request.title}</p>
+                  <p className="text-xs text-gray-500">
+                    {options.categories[request.category]}
+                    {request.location && ` · ${request.location}`}
+                    {!isLodger && ` · ${request.lodger_name}, ${[request.property_house_number, request.property_street_name].filter(part => part).join(' ')}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${priorityStyles[request.priority]}`}>
+                    {request.priority}
+                  </span>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[request.status]}`}>
+                    {options.statuses[request.status]}
+                  </span>
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">{request.description}</p>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-xs mt-3">
+                <p className="text-gray-600">Reported {formatDateTime(request.reopened_at || request.reported_at)}</p>
+                <p className={request.sla.acknowledge_overdue ? 'text-red-600 font-medium' : 'text-gray-600'}>
+                  {request.acknowledged_at
+                    ? `Acknowledged ${formatDateTime(request.acknowledged_at)}`
+                    : `Acknowledge by ${formatDateTime(request.acknowledge_by)}`}
+                </p>
+                <p className={request.sla.resolve_overdue ? 'text-red-600 font-medium' : 'text-gray-600'}>
+                  {request.status === 'resolved'
+                    ? `Resolved ${formatDateTime(request.resolved_at)}`
+                    : `Fix by ${formatDateTime(request.resolve_by)}`}
+                </p>
+                {request.status === 'scheduled' && (
+                  <p className="text-indigo-700 font-medium">Repair booked for {formatDateTime(request.scheduled_for)}</p>
+                )}
+              </div>
+
+              {request.resolution_notes && request.status === 'resolved' && (
+                <p className="text-sm text-green-800 bg-green-50 rounded p-2 mt-2">{request.resolution_notes}</p>
+              )}
+
+              {request.photos.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {request.photos.map(photo => (
+                    <a key={photo.path} href={`${API_URL}${photo.path}`} target="_blank" rel="noopener noreferrer">
+                      <img src={`${API_URL}${photo.path}`} alt={photo.filename} className="w-16 h-16 object-cover rounded border border-gray-200" />
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex flex-wrap items-center gap-3 mt-3 pt-3 border-t border-gray-100">
+                {!isLodger && request.status === 'reported' && (
+                  <button
+                    onClick={() => updateRequest(request, { status: 'acknowledged' }, 'Request acknowledged')}
+                    disabled={saving}
+                    className="text-sm text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+                  >
+                    Acknowledge
+                  </button>
+                )}
+                {!isLodger && ['acknowledged', 'scheduled'].includes(request.status) && (
+                  <>
+                    <input
+                      type="datetime-local"
+                      value={scheduleFor[request.id] || ''}
+                      onChange={(e) => setScheduleFor({ ...scheduleFor, [request.id]: e.target.value })}
+                      className="px-2 py-1 text-sm border border-gray-300 rounded"
+                    />
+                    <button
+                      onClick={() => handleSchedule(request)}
+                      disabled={saving}
+                      className="text-sm text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+                    >
+                      {request.status === 'scheduled' ? 'Reschedule' : 'Schedule Repair'}
+                    </button>
+                    <button
+                      onClick={() => handleResolve(request)}
+                      disabled={saving}
+                      className="text-sm text-green-600 hover:text-green-800 font-medium disabled:opacity-50"
+                    >
+                      Mark Resolved
+                    </button>
+                  </>
+                )}
+                {!isLodger && request.status !== 'resolved' && (
+                  <select
+                    value={request.priority}
+                    onChange={(e) => updateRequest(request, { priority: e.target.value }, 'Priority changed')}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded"
+                  >
+                    {Object.keys(options.priorities).map(key => (
+                      <option key={key} value={key} className="capitalize">{key}</option>
+                    ))}
+                  </select>
+                )}
+                {isLodger && request.status === 'resolved' && (
+                  <button
+                    onClick={() => handleReopen(request)}
+                    disabled={saving}
+                    className="text-sm text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                  >
+                    Still Not Fixed
+                  </button>
+                )}
+                <label className="text-sm text-gray-600 hover:text-gray-800 font-medium flex items-center gap-1 cursor-pointer">
+                  <Camera className="w-4 h-4" />
+                  Add Photos
+                  <input
+                    type="file"
+                    accept=".jpg,.jpeg,.png"
+                    multiple
+                    onChange={(e) => handleAddPhotos(request, e.target.files)}
+                    className="hidden"
+                  />
+                </label>
+                <button
+                  onClick={() => toggleComments(request)}
+                  className="text-sm text-gray-600 hover:text-gray-800 font-medium flex items-center gap-1 ml-auto"
+                >
+                  <MessageSquare className="w-4 h-4" />
+                  Comments ({request.comment_count})
+                </button>
+              </div>
+
+              {!isLodger && (
+                <WorkOrders request={request} refreshKey={refreshKey} onChange={fetchRequests} />
+              )}
+
+              {expandedId === request.id && (
+                <div className="mt-3">
+                  {comments.map(comment => (
+                    <CommentThread key={comment.id} comment={comment} onReply={setReplyTo} />
+                  ))}
+                  <form onSubmit={(e) => handleComment(e, request)} className="space-y-2">
+                    {replyTo && (
+                      <p className="text-xs text-gray-500">
+                        Replying to {replyTo.author_name}
+                        <button type="button" onClick={() => setReplyTo(null)} className="ml-2 text-indigo-600 hover:text-indigo-800">
+                          Cancel
+                        </button>
+                      </p>
+                    )}
+                    <textarea
+                      value={commentText}
+                      onChange={(e) => setCommentText(e.target.value)}
+                      placeholder="Add a comment"
+                      className={inputClass}
+                      rows={2}
+                      required
+                    />
+                    <div className="flex items-center gap-3">
+                      <button
+                        type="submit"
+                        className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+                      >
+                        Post
+                      </button>
+                      {!isLodger && (
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={internal || Boolean(replyTo && replyTo.is_internal)}
+                            disabled={Boolean(replyTo && replyTo.is_internal)}
+                            onChange={(e) => setInternal(e.target.checked)}
+                          />
+                          Internal note (not shown to the lodger)
+                        </label>
+                      )}
+                    </div>
+                  </form>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceRequests;
@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, Link2, Trash2 } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+/**
+ * PaymentFeedSettings Component
+ *
+ * Lets a landlord connect their bank account to a payment feed provider so
+ * incoming transactions are pulled in each morning and matched against the
+ * payment schedule. Shows each connection's last sync status and cursor.
+ */
+const PaymentFeedSettings = () => {
+  const [providers, setProviders] = useState([]);
+  const [connections, setConnections] = useState([]);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [form, setForm] = useState({ provider: '', account_number: '', sort_code: '', config: {} });
+  const [saving, setSaving] = useState(false);
+  const [syncingId, setSyncingId] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { Authorization: `Bearer ${token}` };
+      const [providersRes, connectionsRes] = await Promise.all([
+        axios.get(`${API_URL}/api/payment-feeds/providers`, { headers }),
+        axios.get(`${API_URL}/api/payment-feeds`, { headers })
+      ]);
+      setProviders(providersRes.data);
+      setConnections(connectionsRes.data);
+    } catch (error) {
+      console.error('Failed to fetch payment feeds:', error);
+      showError('Failed to load payment feeds');
+    }
+  };
+
+  const selectedProvider = providers.find(provider => provider.key === form.provider);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/api/payment-feeds`, {
+        provider: form.provider,
+        config: form.config,
+        account_number: form.account_number || undefined,
+        sort_code: form.sort_code || undefined
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Payment feed connected');
+      setShowAddForm(false);
+      setForm({ provider: '', account_number: '', sort_code: '', config: {} });
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to connect payment feed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSync = async (connectionId) => {
+    setSyncingId(connectionId);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/api/payment-feeds/${connectionId}/sync`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess(response.data.import
+        ? `${response.data.message}. Review the import under Bank Statement Import.`
+        : response.data.message);
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to sync payment feed');
+    } finally {
+      setSyncingId(null);
+      fetchData();
+    }
+  };
+
+  const handleToggleActive = async (connection) => {
+    try {
+      const token = localStorage.getItem('token');
+      await axios.put(`${API_URL}/api/payment-feeds/${connection.id}`, {
+        is_active: !connection.is_active
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update payment feed');
+    }
+  };
+
+  const handleDelete = async (connectionId) => {
+    if (!window.confirm('Disconnect this payment feed? Imports it has already created will be kept.')) {
+      return;
+    }
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`${API_URL}/api/payment-feeds/${connectionId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Payment feed disconnected');
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to disconnect payment feed');
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const styles = {
+      success: 'bg-green-100 text-green-800',
+      error: 'bg-red-100 text-red-800',
+      never: 'bg-gray-100 text-gray-700'
+    };
+    const labels = { success: 'Synced', error: 'Failed', never: 'Not synced yet' };
+    return (
+      <span className={`px-2 py-1 rounded-full text-xs font-medium ${styles[status] || styles.never}`}>
+        {labels[status] || status}
+      </span>
+    );
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 text-gray-900">Bank Payment Feeds</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Connect your bank account to pull in incoming payments automatically every morning. New payments are
+        matched against your payment schedule and appear as an import for you to review and confirm.
+      </p>
+
+      {connections.length > 0 && (
+        <div className="space-y-3 mb-4">
+          {connections.map(connection => (
+            <div key={connection.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900">
+                      {providers.find(provider => provider.key === connection.provider)?.name || connection.provider}
+                    </span>
+                    {getStatusBadge(connection.last_sync_status)}
+                    {!connection.is_active && (
+                      <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Paused</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {connection.account_name} · {connection.sort_code} · {connection.account_number}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Last sync: {connection.last_sync_at ? new Date(connection.last_sync_at).toLocaleString('en-GB') : 'Never'}
+                    {connection.sync_cursor && ` · Synced up to ${connection.sync_cursor}`}
+                  </p>
+                  {connection.last_sync_message && (
+                    <p className={`text-xs mt-1 ${connection.last_sync_status === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+                      {connection.last_sync_message}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleSync(connection.id)}
+                    disabled={syncingId === connection.id}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${syncingId === connection.id ? 'animate-spin' : ''}`} />
+                    Sync Now
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(connection)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+                  >
+                    {connection.is_active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(connection.id)}
+                    className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg transition"
+                    title="Disconnect"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {providers.length === 0 ? (
+        <p className="text-sm text-gray-500">No payment feed providers are available on this server.</p>
+      ) : showAddForm ? (
+        <form onSubmit={handleAdd} className="border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Provider</label>
+              <select
+                value={form.provider}
+                onChange={(e) => setForm({ ...form, provider: e.target.value, config: {} })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                required
+              >
+                <option value="">Select provider</option>
+                {providers.map(provider => (
+                  <option key={provider.key} value={provider.key}>{provider.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Account Number</label>
+              <input
+                type="text"
+                maxLength="8"
+                value={form.account_number}
+                onChange={(e) => setForm({ ...form, account_number: e.target.value })}
+                placeholder="From your profile"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Sort Code</label>
+              <input
+                type="text"
+                maxLength="8"
+                value={form.sort_code}
+                onChange={(e) => setForm({ ...form, sort_code: e.target.value })}
+                placeholder="From your profile"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          {selectedProvider && (
+            <>
+              <p className="text-xs text-gray-500">{selectedProvider.description}</p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {selectedProvider.configFields.map(field => (
+                  <div key={field.name}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                    {field.type === 'select' ? (
+                      <select
+                        value={form.config[field.name] || ''}
+                        onChange={(e) => setForm({ ...form, config: { ...form.config, [field.name]: e.target.value } })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        required={field.required}
+                      >
+                        <option value="">Select</option>
+                        {field.options.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        value={form.config[field.name] || ''}
+                        onChange={(e) => setForm({ ...form, config: { ...form.config, [field.name]: e.target.value } })}
+                        placeholder={field.placeholder}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        required={field.required}
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Connecting...' : 'Connect Feed'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowAddForm(false)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setShowAddForm(true)}
+          className="flex items-center gap-2 px-4 py-2 border border-indigo-600 text-indigo-600 rounded-lg hover:bg-indigo-50 transition font-medium"
+        >
+          <Link2 className="w-4 h-4" />
+          Connect Bank Feed
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PaymentFeedSettings;
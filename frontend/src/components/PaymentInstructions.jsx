@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { CreditCard, Download, ExternalLink } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showError } from '../utils/toast';
+
+/**
+ * PaymentInstructions Component
+ *
+ * Shows a lodger the ways their landlord accepts payment, with the bank details,
+ * their standing order reference and instruction sheet, the card payment link
+ * and any instructions for handing over cash.
+ *
+ * @param {Object} tenancy - Tenancy being paid for
+ * @param {Object} paymentMethods - Response from GET /api/payment-methods/tenancies/:id
+ */
+const PaymentInstructions = ({ tenancy, paymentMethods }) => {
+  const [downloading, setDownloading] = useState(false);
+
+  if (!paymentMethods) {
+    return null;
+  }
+
+  const accepts = (method) => paymentMethods.methods.some(item => item.value === method);
+
+  const handleDownloadStandingOrder = async () => {
+    setDownloading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/payment-methods/tenancies/${tenancy.id}/standing-order`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Standing-Order-${paymentMethods.standing_order_reference}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to download standing order instructions');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mt-6">
+      <h2 className="text-xl font-bold flex items-center gap-2 mb-1">
+        <CreditCard className="w-5 h-5 text-indigo-600" />
+        How to Pay
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Your householder accepts: {paymentMethods.methods.map(method => method.label.toLowerCase()).join(', ')}.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {(accepts('bank_transfer') || accepts('standing_order')) && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h3 className="font-semibold mb-2">Bank Details</h3>
+            {paymentMethods.bank ? (
+              <div className="space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Account Name:</span>
+                  <span className="font-semibold">{paymentMethods.bank.account_name}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Sort Code:</span>
+                  <span className="font-mono font-semibold">{paymentMethods.bank.sort_code}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Account Number:</span>
+                  <span className="font-mono font-semibold">{paymentMethods.bank.account_number}</span>
+                </div>
+                {paymentMethods.standing_order_reference && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Your Reference:</span>
+                    <span className="font-mono font-semibold">{paymentMethods.standing_order_reference}</span>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Your householder has not added their bank details yet.</p>
+            )}
+            {accepts('standing_order') && (
+              <button
+                onClick={handleDownloadStandingOrder}
+                disabled={downloading}
+                className="mt-3 inline-flex items-center gap-2 px-3 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" />
+                {downloading ? 'Preparing...' : 'Standing Order Instructions'}
+              </button>
+            )}
+          </div>
+        )}
+
+        {accepts('card') && paymentMethods.card_payment_url && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h3 className="font-semibold mb-2">Pay by Card</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Card payments are taken by {paymentMethods.card_provider_name}. Submit the payment here afterwards with the
+              provider's reference.
+            </p>
+            <a
+              href={paymentMethods.card_payment_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-2 px-3 py-2 text-sm border border-indigo-600 text-indigo-600 rounded-lg hover:bg-indigo-50 transition font-medium"
+            >
+              <ExternalLink className="w-4 h-4" />
+              Pay with {paymentMethods.card_provider_name}
+            </a>
+          </div>
+        )}
+
+        {accepts('cash') && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h3 className="font-semibold mb-2">Paying in Cash</h3>
+            {paymentMethods.cash_instructions && (
+              <p className="text-sm text-gray-700 mb-2">{paymentMethods.cash_instructions}</p>
+            )}
+            <p className="text-sm text-gray-600">
+              After handing over cash, submit the payment with the method set to cash. Your householder confirms
+              they received it and a receipt is issued once you have both confirmed.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentInstructions;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { CreditCard } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+/**
+ * PaymentMethodSettings Component
+ *
+ * Lets a landlord choose which payment methods lodgers may use. Lodgers paying
+ * by standing order get an instruction sheet with their own reference, and cash
+ * is only posted once both landlord and lodger have acknowledged the handover.
+ */
+const PaymentMethodSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/payment-methods/settings`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSettings(response.data);
+    } catch (error) {
+      console.error('Failed to fetch payment method settings:', error);
+      showError('Failed to load payment method settings');
+    }
+  };
+
+  const toggleMethod = (method, accepted) => {
+    const methods = accepted
+      ? [...settings.accepted_methods, method]
+      : settings.accepted_methods.filter(item => item !== method);
+    setSettings({ ...settings, accepted_methods: methods });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(`${API_URL}/api/payment-methods/settings`, {
+        accepted_methods: settings.accepted_methods,
+        card_provider_name: settings.card_provider_name,
+        card_payment_url: settings.card_payment_url,
+        cash_instructions: settings.cash_instructions
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      setSettings(response.data);
+      showSuccess('Payment methods saved');
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to save payment methods');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+  const accepts = (method) => settings.accepted_methods.includes(method);
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-4 text-gray-900">Payment Methods</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Choose how lodgers can pay you. Lodgers paying by standing order can download instructions with
+        your bank details and a reference unique to them. Cash payments are only added to the ledger once
+        you and the lodger have both confirmed the handover.
+      </p>
+
+      <form onSubmit={handleSave} className="border border-gray-200 rounded-lg p-4 space-y-4">
+        <div className="flex items-start gap-3">
+          <CreditCard className="w-5 h-5 text-indigo-600 flex-shrink-0 mt-0.5" />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 flex-1">
+            {Object.entries(settings.methods).map(([method, label]) => (
+              <label key={method} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={accepts(method)}
+                  onChange={(e) => toggleMethod(method, e.target.checked)}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {accepts('card') && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Card Payment Provider</label>
+              <input
+                type="text"
+                value={settings.card_provider_name || ''}
+                onChange={(e) => setSettings({ ...settings, card_provider_name: e.target.value })}
+                placeholder="e.g. SumUp, Stripe"
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Payment Link</label>
+              <input
+                type="url"
+                value={settings.card_payment_url || ''}
+                onChange={(e) => setSettings({ ...settings, card_payment_url: e.target.value })}
+                placeholder="https://"
+                className={inputClass}
+                required
+              />
+            </div>
+          </div>
+        )}
+
+        {accepts('cash') && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Cash Instructions (optional)</label>
+            <textarea
+              value={settings.cash_instructions || ''}
+              onChange={(e) => setSettings({ ...settings, cash_instructions: e.target.value })}
+              placeholder="e.g. Hand cash to me in person on the due date"
+              className={inputClass}
+              rows={2}
+            />
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Payment Methods'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PaymentMethodSettings;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { FileText } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showError } from '../utils/toast';
+
+/**
+ * PaymentReceiptButton Component
+ *
+ * Downloads the numbered receipt for the latest payment recorded against a
+ * schedule row. Used by both landlord and lodger views.
+ * @param {Object} payment - Payment schedule row
+ */
+const PaymentReceiptButton = ({ payment }) => {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/api/payments/${payment.id}/generate-receipt`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Payment-Receipt-${payment.payment_number}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to download receipt');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleDownload}
+      disabled={downloading}
+      className="inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-900 font-medium disabled:opacity-50"
+    >
+      <FileText className="w-3 h-3" />
+      {downloading ? 'Preparing...' : 'Receipt'}
+    </button>
+  );
+};
+
+export default PaymentReceiptButton;
@@ -3,6 +3,11 @@ import { ArrowLeft, Calendar, DollarSign, CheckCircle, Clock, AlertCircle, X } f
 import axios from 'axios';
 import { API_URL } from '../config';
 import AddressDisplay from './AddressDisplay';
+import CashHandovers from './CashHandovers';
+import LateInterestStatement from './LateInterestStatement';
+import LedgerStatement from './LedgerStatement';
+import PaymentReceiptButton from './PaymentReceiptButton';
+import RentReview from './RentReview';
 import { showSuccess, showError } from '../utils/toast';
 
 
@@ -11,6 +16,7 @@ const PaymentSchedule = ({ tenancy, onBack }) => {
   const [loading, setLoading] = useState(true);
   const [showRecordPayment, setShowRecordPayment] = useState(false);
   const [selectedPayment, setSelectedPayment] = useState(null);
+  const [ledgerVersion, setLedgerVersion] = useState(0);
   const [paymentForm, setPaymentForm] = useState({
     amount: '',
     payment_method: 'bank_transfer',
@@ -51,7 +57,7 @@ const PaymentSchedule = ({ tenancy, onBack }) => {
     e.preventDefault();
     try {
       const token = localStorage.getItem('token');
-      await axios.post(`${API_URL}/api/payments/${selectedPayment.id}/confirm`, {
+      const response = await axios.post(`${API_URL}/api/payments/${selectedPayment.id}/confirm`, {
         amount: parseFloat(paymentForm.amount),
         notes: paymentForm.notes,
         payment_method: paymentForm.payment_method,
@@ -69,7 +75,14 @@ const PaymentSchedule = ({ tenancy, onBack }) => {
         notes: ''
       });
       fetchPayments();
-      showSuccess('Payment recorded successfully!');
+      setLedgerVersion(ledgerVersion + 1);
+      if (response.status === 202) {
+        showSuccess(response.data.message);
+      } else if (response.data.credit_balance > 0) {
+        showSuccess(`Payment recorded. £${response.data.credit_balance.toFixed(2)} carried forward as credit.`);
+      } else {
+        showSuccess('Payment recorded successfully!');
+      }
     } catch (error) {
       showError(error.response?.data?.error || 'Failed to record payment');
     }
@@ -298,7 +311,7 @@ const PaymentSchedule = ({ tenancy, onBack }) => {
                             onClick={() => {
                               setSelectedPayment(payment);
                               setPaymentForm({
-                                amount: payment.rent_due,
+                                amount: (parseFloat(payment.rent_due) - parseFloat(payment.rent_paid || 0)).toFixed(2),
                                 payment_method: 'bank_transfer',
                                 payment_reference: '',
                                 notes: ''
@@ -315,6 +328,11 @@ const PaymentSchedule = ({ tenancy, onBack }) => {
                             Paid: {new Date(payment.payment_date).toLocaleDateString('en-GB')}
                           </span>
                         )}
+                        {parseFloat(payment.rent_paid || 0) > 0 && (
+                          <div className="mt-1">
+                            <PaymentReceiptButton payment={payment} />
+                          </div>
+                        )}
                       </td>
                     </tr>
                   ))
@@ -330,6 +348,32 @@ const PaymentSchedule = ({ tenancy, onBack }) => {
           </div>
         </div>
 
+        {/* Ledger Statement */}
+        <LedgerStatement tenancy={tenancy} refreshKey={ledgerVersion} />
+
+        {/* Cash Payments */}
+        <CashHandovers
+          tenancyId={tenancy.id}
+          userType="landlord"
+          refreshKey={ledgerVersion}
+          onChange={() => {
+            fetchPayments();
+            setLedgerVersion(ledgerVersion + 1);
+          }}
+        />
+
+        {/* Late Payment Interest */}
+        <LateInterestStatement tenancy={tenancy} onChange={() => setLedgerVersion(ledgerVersion + 1)} />
+
+        {/* Rent Review */}
+        <RentReview
+          tenancy={tenancy}
+          onChange={() => {
+            fetchPayments();
+            setLedgerVersion(ledgerVersion + 1);
+          }}
+        />
+
         {/* Payment Information */}
         <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
           <h3 className="font-semibold text-blue-900 mb-2">Payment Cycle Information</h3>
@@ -338,6 +382,7 @@ const PaymentSchedule = ({ tenancy, onBack }) => {
             <li>• First payment is typically 2 months rent (current + 1 month advance)</li>
             <li>• Balance shows: Rent Paid - Rent Due (positive = credit, negative = owed)</li>
             <li>• Record payments as they are received to keep accurate records</li>
+            <li>• Each payment is applied to the oldest amount owed first, with any overpayment carried forward</li>
           </ul>
         </div>
       </div>
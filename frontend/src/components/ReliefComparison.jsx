@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { Scale } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showError } from '../utils/toast';
+
+/**
+ * ReliefComparison Component
+ *
+ * Compares, for each tax year, the taxable profit and estimated tax from claiming
+ * the Rent-a-Room allowance against declaring actual rent less expenses.
+ * @param {number} refreshKey - Change to force the comparison to reload
+ */
+const ReliefComparison = ({ refreshKey }) => {
+  const [comparisons, setComparisons] = useState([]);
+  const [taxRate, setTaxRate] = useState(20);
+
+  useEffect(() => {
+    fetchComparison();
+  }, [refreshKey, taxRate]);
+
+  const fetchComparison = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/expenses/comparison`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { tax_rate: taxRate }
+      });
+      setComparisons(response.data);
+    } catch (error) {
+      console.error('Failed to fetch relief comparison:', error);
+      showError('Failed to load tax comparison');
+    }
+  };
+
+  const money = (amount) => `£${parseFloat(amount).toFixed(2)}`;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Scale className="w-5 h-5 text-indigo-600" />
+            Rent-a-Room Allowance vs Actual Expenses
+          </h3>
+          <p className="text-sm text-gray-600">
+            Each year you can either deduct the allowance from rent received or deduct your actual expenses.
+            Estimates only - check with HMRC guidance or an accountant before filing.
+          </p>
+        </div>
+        <label className="text-sm text-gray-700 flex-shrink-0">
+          Tax rate
+          <select
+            value={taxRate}
+            onChange={(e) => setTaxRate(parseInt(e.target.value))}
+            className="ml-2 px-2 py-1 border border-gray-300 rounded-lg"
+          >
+            <option value={20}>20% (basic)</option>
+            <option value={40}>40% (higher)</option>
+            <option value={45}>45% (additional)</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Tax Year</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rent Received</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Allowance Method</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expenses Claimed</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expenses Method</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Better Option</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {comparisons.map(comparison => (
+              <tr key={comparison.tax_year_start}>
+                <td className="px-4 py-3 font-medium text-gray-900">{comparison.tax_year}</td>
+                <td className="px-4 py-3 text-right">{money(comparison.rent_received)}</td>
+                <td className="px-4 py-3 text-right">
+                  <div>{money(comparison.allowance_method.taxable_profit)} taxable</div>
+                  <div className="text-xs text-gray-500">~{money(comparison.allowance_method.estimated_tax)} tax</div>
+                </td>
+                <td className="px-4 py-3 text-right">{money(comparison.expenses_method.expenses_claimed)}</td>
+                <td className="px-4 py-3 text-right">
+                  <div>{money(comparison.expenses_method.taxable_profit)} taxable</div>
+                  <div className="text-xs text-gray-500">~{money(comparison.expenses_method.estimated_tax)} tax</div>
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                    comparison.recommended === 'allowance' ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'
+                  }`}>
+                    {comparison.recommended === 'allowance' ? 'Rent-a-Room allowance' : 'Actual expenses'}
+                  </span>
+                  {comparison.saving > 0 && (
+                    <span className="ml-2 text-xs text-gray-600">saves ~{money(comparison.saving)}</span>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">{comparison.note}</p>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ReliefComparison;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { TrendingUp, FileText } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const statusStyles = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  applied: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+/**
+ * RentReview Component
+ *
+ * Lets a landlord schedule a new rent from an effective date. Unpaid payments
+ * from that date are repriced (the one spanning it pro-rated) and the lodger is
+ * sent a formal notice. Increases are capped at 5% per annum by clause 9.3.
+ *
+ * @param {Object} tenancy - Tenancy to review the rent for
+ * @param {Function} onChange - Called after a rent change is scheduled or cancelled
+ */
+const RentReview = ({ tenancy, onChange }) => {
+  const [reviews, setReviews] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ new_rent: '', effective_date: '', reason: '' });
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [tenancy.id]);
+
+  const fetchReviews = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancy.id}/rent-reviews`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setReviews(response.data);
+    } catch (error) {
+      console.error('Failed to fetch rent reviews:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setProcessing(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`${API_URL}/api/tenancies/${tenancy.id}/rent-reviews`, form, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess(`Rent change scheduled. ${response.data.payments_repriced} payments updated and notice sent to lodger.`);
+      setForm({ new_rent: '', effective_date: '', reason: '' });
+      setShowForm(false);
+      fetchReviews();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to schedule rent change');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCancel = async (review) => {
+    if (!confirm('Cancel this rent change? Affected payments will go back to the current rent and the lodger will be notified.')) {
+      return;
+    }
+
+    setProcessing(true);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`${API_URL}/api/tenancies/${tenancy.id}/rent-reviews/${review.id}/cancel`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Rent change cancelled');
+      fetchReviews();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to cancel rent change');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const hasScheduled = reviews.some(review => review.status === 'scheduled');
+  const currentRent = parseFloat(tenancy.monthly_rent);
+  const proposedRent = parseFloat(form.new_rent);
+  const increasePercent = proposedRent > currentRent ? ((proposedRent - currentRent) / currentRent) * 100 : 0;
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <TrendingUp className="w-5 h-5 text-indigo-600" />
+          Rent Review
+        </h3>
+        {!showForm && !hasScheduled && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+          >
+            Change Rent
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">New Monthly Rent (£)</label>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={form.new_rent}
+                onChange={(e) => setForm({ ...form, new_rent: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                required
+              />
+              <p className={`text-xs mt-1 ${increasePercent > 5 ? 'text-red-600' : 'text-gray-500'}`}>
+                Current rent £{currentRent.toFixed(2)}
+                {increasePercent > 0 && ` - increase of ${increasePercent.toFixed(2)}% (maximum 5% per annum)`}
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Effective Date</label>
+              <input
+                type="date"
+                value={form.effective_date}
+                onChange={(e) => setForm({ ...form, effective_date: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                required
+              />
+              <p className="text-xs text-gray-500 mt-1">Increases need at least one calendar month's notice and take effect on an anniversary of the start date</p>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason (included in the notice)</label>
+            <textarea
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+              rows={2}
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={processing}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {processing ? 'Scheduling...' : 'Schedule and Send Notice'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {reviews.length === 0 ? (
+        <p className="text-sm text-gray-500">The rent has not been reviewed since the tenancy started.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Effective</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Previous</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">New</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {reviews.map(review => (
+                <tr key={review.id}>
+                  <td className="px-4 py-2">{new Date(review.effective_date).toLocaleDateString('en-GB')}</td>
+                  <td className="px-4 py-2 text-right">£{parseFloat(review.previous_rent).toFixed(2)}</td>
+                  <td className="px-4 py-2 text-right font-medium">£{parseFloat(review.new_rent).toFixed(2)}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusStyles[review.status]}`}>
+                      {review.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    {review.notice_letter_path && (
+                      <a
+                        href={`${API_URL}${review.notice_letter_path}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-900 font-medium mr-3"
+                      >
+                        <FileText className="w-3 h-3" />
+                        Notice
+                      </a>
+                    )}
+                    {review.status === 'scheduled' && (
+                      <button
+                        onClick={() => handleCancel(review)}
+                        disabled={processing}
+                        className="text-xs text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RentReview;
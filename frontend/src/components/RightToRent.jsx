@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { Download, FileText, ShieldAlert, ShieldCheck } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyCheck = {
+  check_type: 'manual_document',
+  check_date: '',
+  document_type: '',
+  document_expiry_date: '',
+  share_code: '',
+  permission_type: 'unlimited',
+  permission_expiry_date: '',
+  outcome: 'passed',
+  notes: ''
+};
+
+/**
+ * RightToRent Component
+ *
+ * The Right to Rent checks made on a lodger (clause 1.7). The landlord records each
+ * check - the documents seen or the share code used, and whether the lodger's right
+ * to rent is unlimited or time-limited - and can download the full record as evidence.
+ * Where permission is time-limited, the follow-up check date is shown to both parties.
+ *
+ * @param {string} tenancyId - Tenancy whose lodger is checked
+ * @param {string} userType - 'landlord' or 'lodger'
+ */
+const RightToRent = ({ tenancyId, userType }) => {
+  const [data, setData] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [check, setCheck] = useState(emptyCheck);
+  const [evidence, setEvidence] = useState(null);
+  const [usePhotoId, setUsePhotoId] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchChecks();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchChecks = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/right-to-rent`, { headers: authHeaders() });
+      setData(response.data);
+    } catch (error) {
+      console.error('Failed to fetch Right to Rent checks:', error);
+    }
+  };
+
+  const openForm = () => {
+    setCheck({ ...emptyCheck, check_date: today(), document_expiry_date: data.photo_id.expiry_date?.split('T')[0] || '' });
+    setEvidence(null);
+    setUsePhotoId(!!data.photo_id.path);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      Object.entries(check).forEach(([field, value]) => formData.append(field, value));
+      if (evidence) {
+        formData.append('evidence', evidence);
+      } else if (usePhotoId) {
+        formData.append('use_photo_id', 'true');
+      }
+      await axios.post(`${API_URL}/api/tenancies/${tenancyId}/right-to-rent`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      showSuccess('Right to Rent check recorded');
+      setShowForm(false);
+      fetchChecks();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to record Right to Rent check');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/right-to-rent/export`, {
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `right-to-rent-checks-${tenancyId}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to download the Right to Rent record');
+    }
+  };
+
+  if (!data) return null;
+
+  const { current } = data;
+  const followUpOverdue = current?.follow_up_due_date && current.follow_up_due_date.split('T')[0] <= today();
+
+  const renderStatus = () => {
+    if (!current) {
+      return (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 flex items-start gap-2 text-sm text-yellow-800">
+          <ShieldAlert className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <p>
+            {userType === 'landlord'
+              ? 'No Right to Rent check has been recorded. Check your lodger\'s right to rent before the tenancy starts.'
+              : 'Your landlord has not recorded a Right to Rent check yet.'}
+          </p>
+        </div>
+      );
+    }
+    if (current.outcome === 'failed') {
+      return (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 flex items-start gap-2 text-sm text-red-800">
+          <ShieldAlert className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <p>The last check on {formatDate(current.check_date)} did not confirm a right to rent.</p>
+        </div>
+      );
+    }
+    return (
+      <div className={`${followUpOverdue ? 'bg-red-50 border-red-200 text-red-800' : 'bg-green-50 border-green-200 text-green-800'} border rounded-lg p-3 mb-4 flex items-start gap-2 text-sm`}>
+        {followUpOverdue ? <ShieldAlert className="w-4 h-4 mt-0.5 flex-shrink-0" /> : <ShieldCheck className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+        <p>
+          {data.permission_types[current.permission_type]}, checked on {formatDate(current.check_date)}.
+          {current.permission_expiry_date && ` Permission ends on ${formatDate(current.permission_expiry_date)}.`}
+          {current.follow_up_due_date && (followUpOverdue
+            ? ` The follow-up check was due by ${formatDate(current.follow_up_due_date)}.`
+            : ` A follow-up check is due by ${formatDate(current.follow_up_due_date)}.`)}
+          {userType === 'lodger' && current.follow_up_due_date && ' Please upload new ID before then.'}
+        </p>
+      </div>
+    );
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm';
+
+  return (
+    <div className={userType === 'lodger' ? 'bg-white rounded-lg shadow p-6' : 'bg-white border-2 border-gray-300 rounded-lg p-6'}>
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2">
+          <ShieldCheck className="w-4 h-4 text-indigo-600" />
+          Right to Rent Checks
+        </h4>
+        {userType === 'landlord' && !showForm && (
+          <div className="flex gap-2">
+            {data.checks.length > 0 && (
+              <button
+                onClick={handleExport}
+                className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+              >
+                <Download className="w-4 h-4" />
+                Download Record
+              </button>
+            )}
+            <button
+              onClick={openForm}
+              className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium"
+            >
+              Record a Check
+            </button>
+          </div>
+        )}
+      </div>
+
+      {renderStatus()}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">How was the check made?</label>
+              <select value={check.check_type} onChange={(e) => setCheck({ ...check, check_type: e.target.value })} className={inputClass}>
+                {Object.entries(data.check_types).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date of Check</label>
+              <input
+                type="date"
+                value={check.check_date}
+                max={today()}
+                onChange={(e) => setCheck({ ...check, check_date: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+
+            {check.check_type === 'manual_document' ? (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Document Seen</label>
+                  <select value={check.document_type} onChange={(e) => setCheck({ ...check, document_type: e.target.value })} className={inputClass} required>
+                    <option value="">Choose a document</option>
+                    {Object.entries(data.document_types).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Document Expires (optional)</label>
+                  <input
+                    type="date"
+                    value={check.document_expiry_date}
+                    onChange={(e) => setCheck({ ...check, document_expiry_date: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Share Code</label>
+                <input
+                  type="text"
+                  value={check.share_code}
+                  onChange={(e) => setCheck({ ...check, share_code: e.target.value })}
+                  placeholder="e.g. W12 A34 B56"
+                  className={`${inputClass} font-mono uppercase`}
+                  required
+                />
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Outcome</label>
+              <select value={check.outcome} onChange={(e) => setCheck({ ...check, outcome: e.target.value })} className={inputClass}>
+                <option value="passed">Right to rent confirmed</option>
+                <option value="failed">Right to rent not confirmed</option>
+              </select>
+            </div>
+
+            {check.outcome === 'passed' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Permission</label>
+                  <select value={check.permission_type} onChange={(e) => setCheck({ ...check, permission_type: e.target.value })} className={inputClass}>
+                    {Object.entries(data.permission_types).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {check.permission_type === 'time_limited' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Permission Ends On</label>
+                    <input
+                      type="date"
+                      value={check.permission_expiry_date}
+                      onChange={(e) => setCheck({ ...check, permission_expiry_date: e.target.value })}
+                      className={inputClass}
+                      required
+                    />
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Evidence</label>
+            {data.photo_id.path && !evidence && (
+              <label className="flex items-center gap-2 text-sm text-gray-700 mb-2">
+                <input type="checkbox" checked={usePhotoId} onChange={(e) => setUsePhotoId(e.target.checked)} />
+                Use the photo ID your lodger uploaded
+              </label>
+            )}
+            <input
+              type="file"
+              accept=".jpg,.jpeg,.png,.pdf"
+              onChange={(e) => setEvidence(e.target.files[0] || null)}
+              className="text-sm text-gray-500 file:mr-3 file:py-1.5 file:px-3 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              A copy of the documents seen, or the result page of the online check. Keep it for the tenancy and a year after.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes (optional)</label>
+            <textarea value={check.notes} onChange={(e) => setCheck({ ...check, notes: e.target.value })} rows={2} className={inputClass} />
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Record Check'}
+            </button>
+            <button type="button" onClick={() => setShowForm(false)} className="px-4 py-2 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {data.checks.length > 0 && (
+        <ol className="space-y-2">
+          {data.checks.map(item => (
+            <li key={item.id} className={`text-sm border-l-2 pl-3 ${item.superseded_by ? 'border-gray-200 text-gray-500' : 'border-indigo-200'}`}>
+              <p className="font-medium text-gray-900">
+                {formatDate(item.check_date)}: {data.check_types[item.check_type]}
+                {item.outcome === 'failed' && ' - not confirmed'}
+              </p>
+              <p className="text-xs text-gray-600">
+                {item.document_type && data.document_types[item.document_type]}
+                {item.share_code && `Share code ${item.share_code}`}
+                {item.checked_by_name && ` · ${item.checked_by_name}`}
+                {item.superseded_by && ' · Replaced by a later check'}
+              </p>
+              {userType === 'landlord' && item.record_path && (
+                <a
+                  href={`${API_URL}${item.record_path}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800"
+                >
+                  <FileText className="w-3 h-3" />
+                  Check Record (PDF)
+                </a>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RightToRent;
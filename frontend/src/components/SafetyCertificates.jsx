@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import { Flame, Paperclip, Trash2 } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const emptyCertificate = {
+  certificate_type: '',
+  issue_date: '',
+  expiry_date: '',
+  reference: '',
+  issued_by: '',
+  notes: ''
+};
+
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  expiring: 'bg-yellow-100 text-yellow-800',
+  expired: 'bg-red-100 text-red-800'
+};
+
+const STATUS_LABELS = {
+  valid: 'IN DATE',
+  expiring: 'EXPIRING SOON',
+  expired: 'EXPIRED'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+// Expiry date for a certificate that lasts the usual length of time from its issue date
+const suggestExpiry = (issueDate, months) => {
+  if (!issueDate || !months) return '';
+  const expiry = new Date(issueDate);
+  expiry.setUTCMonth(expiry.getUTCMonth() + months);
+  return expiry.toISOString().split('T')[0];
+};
+
+/**
+ * SafetyCertificates Component
+ *
+ * The householder's compliance register for clauses 3.3-3.6: gas safety, electrical
+ * safety and smoke and carbon monoxide alarm certificates. The landlord adds each
+ * certificate with its dates and a copy, and is reminded before it expires; the
+ * lodger sees the current certificate of each type.
+ *
+ * @param {string} userType - 'landlord' or 'lodger'
+ */
+const SafetyCertificates = ({ userType }) => {
+  const [data, setData] = useState(null);
+  const [newCertificate, setNewCertificate] = useState(emptyCertificate);
+  const [certificateFile, setCertificateFile] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCertificates();
+  }, [userType]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchCertificates = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/safety-certificates${userType === 'lodger' ? '/my' : ''}`, {
+        headers: authHeaders()
+      });
+      setData(response.data);
+    } catch (error) {
+      console.error('Failed to fetch safety certificates:', error);
+    }
+  };
+
+  // Changing the type or issue date fills in the usual expiry, which can then be changed
+  const updateCertificate = (changes) => {
+    const updated = { ...newCertificate, ...changes };
+    if (changes.certificate_type !== undefined || changes.issue_date !== undefined) {
+      const type = data.certificate_types[updated.certificate_type];
+      updated.expiry_date = suggestExpiry(updated.issue_date, type?.validity_months) || updated.expiry_date;
+    }
+    setNewCertificate(updated);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setNewCertificate(emptyCertificate);
+    setCertificateFile(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      Object.entries(newCertificate).forEach(([field, value]) => formData.append(field, value));
+      if (certificateFile) {
+        formData.append('certificate', certificateFile);
+      }
+      await axios.post(`${API_URL}/api/safety-certificates`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      showSuccess('Safety certificate added');
+      closeForm();
+      fetchCertificates();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to add safety certificate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (certificateId) => {
+    if (!window.confirm('Delete this certificate from the register?')) return;
+
+    try {
+      await axios.delete(`${API_URL}/api/safety-certificates/${certificateId}`, { headers: authHeaders() });
+      showSuccess('Safety certificate deleted');
+      fetchCertificates();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to delete safety certificate');
+    }
+  };
+
+  if (!data) return null;
+
+  const types = data.certificate_types;
+  const current = userType === 'lodger' ? data.certificates : data.certificates.filter(certificate => certificate.is_current);
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  const renderCertificateLink = (certificate) => certificate.certificate_path && (
+    <a
+      href={`${API_URL}${certificate.certificate_path}`}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="inline-flex p-1 text-indigo-600 hover:bg-indigo-50 rounded"
+      title={certificate.certificate_filename || 'View certificate'}
+    >
+      <Paperclip className="w-4 h-4" />
+    </a>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <Flame className="w-5 h-5 text-indigo-600" />
+          Safety Certificates
+        </h3>
+        {userType === 'landlord' && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+          >
+            Add Certificate
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        {userType === 'landlord'
+          ? `Clauses 3.3 to 3.6 of your agreements: gas safety, electrical safety and working alarms. You'll be reminded ${data.reminder_days.join(', ')} days before a certificate expires, and the current certificates are listed in agreements when they're signed.`
+          : 'Your householder keeps these safety checks up to date under clauses 3.3 to 3.6 of your agreement.'}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+        {Object.entries(types).map(([type, details]) => {
+          const certificate = current.find(item => item.certificate_type === type);
+          return (
+            <div key={type} className="border border-gray-200 rounded-lg p-3 flex items-start justify-between gap-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{details.label}</p>
+                <p className="text-xs text-gray-500">Clause {details.clause}</p>
+                {certificate ? (
+                  <p className="text-xs text-gray-600 mt-1">
+                    {formatDate(certificate.issue_date)} - {formatDate(certificate.expiry_date)}
+                    {certificate.reference && ` · Ref. ${certificate.reference}`}
+                  </p>
+                ) : (
+                  <p className="text-xs text-gray-500 mt-1">No certificate recorded</p>
+                )}
+              </div>
+              <div className="flex items-center gap-1">
+                {certificate && renderCertificateLink(certificate)}
+                {certificate && (
+                  <span className={`px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${STATUS_STYLES[certificate.status]}`}>
+                    {STATUS_LABELS[certificate.status]}
+                  </span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Certificate</label>
+              <select
+                value={newCertificate.certificate_type}
+                onChange={(e) => updateCertificate({ certificate_type: e.target.value })}
+                className={inputClass}
+                required
+              >
+                <option value="">Select certificate</option>
+                {Object.entries(types).map(([key, details]) => (
+                  <option key={key} value={key}>{details.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date of Check</label>
+              <input
+                type="date"
+                value={newCertificate.issue_date}
+                onChange={(e) => updateCertificate({ issue_date: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+              <input
+                type="date"
+                value={newCertificate.expiry_date}
+                onChange={(e) => setNewCertificate({ ...newCertificate, expiry_date: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Certificate Number (optional)</label>
+              <input
+                type="text"
+                value={newCertificate.reference}
+                onChange={(e) => setNewCertificate({ ...newCertificate, reference: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Checked By (optional)</label>
+              <input
+                type="text"
+                value={newCertificate.issued_by}
+                onChange={(e) => setNewCertificate({ ...newCertificate, issued_by: e.target.value })}
+                placeholder="Engineer or company"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Copy of Certificate</label>
+              <input
+                type="file"
+                accept=".jpg,.jpeg,.png,.pdf"
+                onChange={(e) => setCertificateFile(e.target.files[0] || null)}
+                className="w-full text-sm"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes (optional)</label>
+            <input
+              type="text"
+              value={newCertificate.notes}
+              onChange={(e) => setNewCertificate({ ...newCertificate, notes: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Add to Register'}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {userType === 'landlord' && data.certificates.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Certificate</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Checked</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Checked By</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {data.certificates.map(certificate => (
+                <tr key={certificate.id} className={certificate.is_current ? '' : 'text-gray-500'}>
+                  <td className="px-4 py-2">
+                    {types[certificate.certificate_type]?.label || certificate.certificate_type}
+                    {certificate.reference && <span className="text-gray-500"> - {certificate.reference}</span>}
+                    {!certificate.is_current && <span className="text-xs"> (replaced)</span>}
+                  </td>
+                  <td className="px-4 py-2">{formatDate(certificate.issue_date)}</td>
+                  <td className="px-4 py-2">{formatDate(certificate.expiry_date)}</td>
+                  <td className="px-4 py-2">{certificate.issued_by || '-'}</td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    {renderCertificateLink(certificate)}
+                    <button
+                      onClick={() => handleDelete(certificate.id)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SafetyCertificates;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { FileText } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import SignaturePad from './SignaturePad';
+
+/**
+ * SignAgreement Component
+ *
+ * Signature capture for the lodger agreement. Links to the exact agreement document
+ * being signed, shows its SHA-256 hash, and lets the signer draw their signature or
+ * type their name. Either way the signature is sent as a PNG image along with the
+ * hash, so the server can check the document hasn't changed since it was read.
+ *
+ * @param {string} tenancyId - Tenancy whose agreement is being signed
+ * @param {string} signerName - Pre-fills the typed signature
+ * @param {Function} onChange - Called with { signature_method, signature_image, document_hash }, or null while unsigned
+ */
+const SignAgreement = ({ tenancyId, signerName, onChange }) => {
+  const [signing, setSigning] = useState(null);
+
+  useEffect(() => {
+    onChange(null);
+    fetchSigning();
+  }, [tenancyId]);
+
+  const fetchSigning = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/signing`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setSigning(response.data);
+    } catch (error) {
+      console.error('Failed to prepare agreement for signing:', error);
+    }
+  };
+
+  if (!signing) {
+    return <p className="text-sm text-gray-500">Preparing the agreement for signing...</p>;
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6">
+      <h3 className="font-semibold mb-2">Sign the Agreement (Required)</h3>
+      <p className="text-sm text-gray-600 mb-2">
+        You are signing this exact document. Its fingerprint (SHA-256) is recorded with your signature, the time,
+        your IP address and device, and printed on the signing certificate at the end of the signed copy.
+      </p>
+      <a
+        href={`${API_URL}${signing.document_path}`}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+      >
+        <FileText className="w-4 h-4" />
+        Read the Agreement (PDF)
+      </a>
+      <p className="text-xs text-gray-500 font-mono break-all mt-1 mb-4">SHA-256: {signing.document_hash}</p>
+
+      <SignaturePad
+        signerName={signerName}
+        onChange={(signature) => onChange(signature && { ...signature, document_hash: signing.document_hash })}
+      />
+    </div>
+  );
+};
+
+export default SignAgreement;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Eraser, PenTool, Type } from 'lucide-react';
+
+const PAD_WIDTH = 400;
+const PAD_HEIGHT = 120;
+
+/**
+ * SignaturePad Component
+ *
+ * Lets the signer draw their signature or type their name. Either way the signature
+ * is passed up as a PNG image, ready to send to the server.
+ *
+ * @param {string} signerName - Pre-fills the typed signature
+ * @param {Function} onChange - Called with { signature_method, signature_image }, or null while unsigned
+ */
+const SignaturePad = ({ signerName, onChange }) => {
+  const [method, setMethod] = useState('drawn');
+  const [typedName, setTypedName] = useState(signerName || '');
+  const [hasDrawing, setHasDrawing] = useState(false);
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  const emit = (image) => {
+    onChange(image ? { signature_method: method, signature_image: image } : null);
+  };
+
+  // A typed signature is rendered to an image the same way as a drawn one
+  useEffect(() => {
+    if (method !== 'typed') return;
+    if (!typedName.trim()) {
+      emit(null);
+      return;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = PAD_WIDTH;
+    canvas.height = PAD_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'italic 40px "Brush Script MT", "Segoe Script", cursive';
+    ctx.fillStyle = '#111827';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(typedName.trim(), 16, PAD_HEIGHT / 2, PAD_WIDTH - 32);
+    emit(canvas.toDataURL('image/png'));
+  }, [method, typedName]);
+
+  const clearPad = () => {
+    const canvas = canvasRef.current;
+    if (canvas) {
+      canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+    setHasDrawing(false);
+    emit(null);
+  };
+
+  const switchMethod = (newMethod) => {
+    setMethod(newMethod);
+    setHasDrawing(false);
+    onChange(null);
+  };
+
+  const padPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (PAD_WIDTH / rect.width),
+      y: (e.clientY - rect.top) * (PAD_HEIGHT / rect.height)
+    };
+  };
+
+  const startStroke = (e) => {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = padPoint(e);
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#111827';
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    drawingRef.current = true;
+  };
+
+  const continueStroke = (e) => {
+    if (!drawingRef.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = padPoint(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const endStroke = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setHasDrawing(true);
+    emit(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const tabClass = (tab) => `inline-flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg transition ${
+    method === tab ? 'bg-indigo-600 text-white' : 'border border-gray-300 text-gray-700 hover:bg-gray-50'
+  }`;
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-3">
+        <button type="button" onClick={() => switchMethod('drawn')} className={tabClass('drawn')}>
+          <PenTool className="w-4 h-4" />
+          Draw
+        </button>
+        <button type="button" onClick={() => switchMethod('typed')} className={tabClass('typed')}>
+          <Type className="w-4 h-4" />
+          Type
+        </button>
+      </div>
+
+      {method === 'drawn' ? (
+        <div>
+          <canvas
+            ref={canvasRef}
+            width={PAD_WIDTH}
+            height={PAD_HEIGHT}
+            onPointerDown={startStroke}
+            onPointerMove={continueStroke}
+            onPointerUp={endStroke}
+            onPointerLeave={endStroke}
+            className="w-full max-w-md bg-white border-2 border-dashed border-gray-300 rounded-lg cursor-crosshair"
+            style={{ touchAction: 'none' }}
+          />
+          <div className="flex items-center justify-between max-w-md mt-1">
+            <p className="text-xs text-gray-500">{hasDrawing ? 'Signature captured' : 'Sign in the box with your mouse, finger or stylus'}</p>
+            <button
+              type="button"
+              onClick={clearPad}
+              className="inline-flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900"
+            >
+              <Eraser className="w-3 h-3" />
+              Clear
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="max-w-md">
+          <input
+            type="text"
+            value={typedName}
+            onChange={(e) => setTypedName(e.target.value)}
+            placeholder="Type your full name"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+          />
+          {typedName.trim() && (
+            <p
+              className="mt-2 px-4 py-3 bg-white border border-gray-200 rounded-lg text-3xl italic text-gray-900"
+              style={{ fontFamily: '"Brush Script MT", "Segoe Script", cursive' }}
+            >
+              {typedName}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, ShieldCheck, XCircle } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showError } from '../utils/toast';
+
+/**
+ * SigningRecord Component
+ *
+ * The signing audit trail for a lodger agreement: each event with who, when, the IP
+ * address and device, and the document hash it applied to. Once both parties have
+ * signed, either can upload a copy of the agreement to check it's identical to the
+ * signed one.
+ *
+ * @param {string} tenancyId - Tenancy whose agreement was signed
+ * @param {string} userType - 'landlord' or 'lodger'
+ */
+const SigningRecord = ({ tenancyId, userType }) => {
+  const [signing, setSigning] = useState(null);
+  const [file, setFile] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => {
+    fetchSigning();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchSigning = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/signing`, { headers: authHeaders() });
+      setSigning(response.data);
+    } catch (error) {
+      console.error('Failed to fetch signing record:', error);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setChecking(true);
+    try {
+      const formData = new FormData();
+      formData.append('document', file);
+      const response = await axios.post(`${API_URL}/api/tenancies/${tenancyId}/signing/verify`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+      setVerification(response.data);
+      fetchSigning();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to check the document');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  if (!signing || !signing.signed_agreement_path) return null;
+
+  return (
+    <div className={userType === 'lodger' ? 'bg-white rounded-lg shadow p-6' : 'bg-white border-2 border-gray-300 rounded-lg p-6'}>
+      <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2 mb-4">
+        <ShieldCheck className="w-4 h-4 text-green-600" />
+        Signing Record
+      </h4>
+
+      <p className="text-xs text-gray-500 mb-1">SHA-256 of the agreement as signed</p>
+      <p className="text-xs font-mono text-gray-900 break-all mb-2">{signing.document_hash}</p>
+      <p className="text-xs text-gray-500 mb-1">SHA-256 of the signed copy with its certificate</p>
+      <p className="text-xs font-mono text-gray-900 break-all mb-4">{signing.signed_agreement_hash}</p>
+
+      <ol className="space-y-2 mb-4">
+        {signing.events.map(event => (
+          <li key={event.id} className="text-sm border-l-2 border-indigo-200 pl-3">
+            <p className="font-medium text-gray-900">
+              {event.label}
+              {event.event_type === 'verified' && (event.hash_matched ? ' - matched' : ' - did not match')}
+            </p>
+            <p className="text-xs text-gray-600">
+              {new Date(event.created_at).toLocaleString('en-GB')}
+              {event.user_name && ` · ${event.user_name}`}
+              {event.signature_method && ` · ${signing.signature_methods[event.signature_method]}`}
+              {event.ip_address && ` · IP ${event.ip_address}`}
+            </p>
+            {event.user_agent && <p className="text-xs text-gray-400 truncate">{event.user_agent}</p>}
+          </li>
+        ))}
+      </ol>
+
+      <form onSubmit={handleVerify} className="border-t pt-4">
+        <p className="text-sm font-medium text-gray-700 mb-2">Check a copy of the agreement</p>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="file"
+            accept=".pdf,application/pdf"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setVerification(null);
+            }}
+            className="text-sm text-gray-500 file:mr-3 file:py-1.5 file:px-3 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+          />
+          <button
+            type="submit"
+            disabled={!file || checking}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+          >
+            {checking ? 'Checking...' : 'Check'}
+          </button>
+        </div>
+        {verification && (
+          <div className={`mt-3 flex items-start gap-2 text-sm ${verification.matched ? 'text-green-700' : 'text-red-700'}`}>
+            {verification.matched ? <CheckCircle className="w-4 h-4 mt-0.5" /> : <XCircle className="w-4 h-4 mt-0.5" />}
+            <p>
+              {verification.matched_document === 'signed_agreement' && 'This is an exact copy of the signed agreement.'}
+              {verification.matched_document === 'agreement_document' && 'This is an exact copy of the agreement as it was presented for signing.'}
+              {verification.matched_document === 'earlier_signed_agreement' && 'This is an exact copy of a signed agreement issued before the agreement was last varied.'}
+              {verification.matched_document === 'variation_deed' && 'This is an exact copy of a signed deed of variation.'}
+              {!verification.matched && 'This document does not match the signed agreement. It may have been altered.'}
+              <span className="block text-xs font-mono break-all text-gray-500 mt-1">SHA-256: {verification.hash}</span>
+            </p>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default SigningRecord;
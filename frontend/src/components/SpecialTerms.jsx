@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { ListChecks, Plus, Trash2 } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const emptyTerm = { category: 'house_rules', title: '', body: '' };
+
+/**
+ * SpecialTerms Component
+ *
+ * Chooses the agreement template a tenancy is written from and its Part 3 special
+ * terms: clauses picked from the landlord's library plus any written just for this
+ * lodger. Once the lodger has signed, shows the template version and terms they
+ * signed under instead.
+ *
+ * @param {string} tenancyId - Tenancy whose agreement terms are being set
+ */
+const SpecialTerms = ({ tenancyId }) => {
+  const [terms, setTerms] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [clauses, setClauses] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [clauseIds, setClauseIds] = useState([]);
+  const [customTerms, setCustomTerms] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchData = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/agreement-terms`, { headers: authHeaders() });
+      setTerms(response.data);
+      setTemplateId(response.data.template?.id || '');
+      setClauseIds(response.data.special_terms.filter(term => term.clause_id).map(term => term.clause_id));
+      setCustomTerms(response.data.special_terms.filter(term => !term.clause_id));
+
+      if (!response.data.locked) {
+        const [templatesResponse, clausesResponse] = await Promise.all([
+          axios.get(`${API_URL}/api/agreement-templates`, { headers: authHeaders() }),
+          axios.get(`${API_URL}/api/agreement-templates/clauses`, { headers: authHeaders() })
+        ]);
+        setTemplates(templatesResponse.data.templates);
+        setClauses(clausesResponse.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch agreement terms:', error);
+    }
+  };
+
+  const toggleClause = (clauseId) => {
+    setClauseIds(clauseIds.includes(clauseId)
+      ? clauseIds.filter(id => id !== clauseId)
+      : [...clauseIds, clauseId]);
+  };
+
+  const updateCustomTerm = (index, changes) => {
+    setCustomTerms(customTerms.map((term, i) => (i === index ? { ...term, ...changes } : term)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await axios.put(`${API_URL}/api/tenancies/${tenancyId}/agreement-terms`, {
+        agreement_template_id: templateId,
+        clause_ids: clauseIds,
+        custom_terms: customTerms
+      }, { headers: authHeaders() });
+      showSuccess('Agreement terms saved');
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to save agreement terms');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!terms) return null;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm';
+
+  return (
+    <div className="bg-white border-2 border-gray-300 rounded-lg p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <ListChecks className="w-5 h-5 text-indigo-600" />
+        Agreement Terms
+      </h3>
+
+      {terms.locked ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Signed under <span className="font-medium text-gray-900">{terms.template?.name}</span>, version {terms.template?.version}
+          </p>
+          {terms.special_terms.length === 0 ? (
+            <p className="text-sm text-gray-500">No Part 3 special terms</p>
+          ) : (
+            <ul className="space-y-2">
+              {terms.special_terms.map((term, index) => (
+                <li key={index} className="text-sm">
+                  <span className="text-xs text-gray-500 uppercase tracking-wide">{terms.categories[term.category]}</span>
+                  <p className="font-medium text-gray-900">{term.title}</p>
+                  <p className="text-gray-600">{term.body}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+            <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} className={inputClass}>
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>
+                  {template.name}{template.is_standard ? '' : ` (version ${template.version})`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Part 3: Property Rules and Services</p>
+            {Object.entries(terms.categories).map(([category, label]) => {
+              const inCategory = clauses.filter(clause => clause.category === category);
+              if (inCategory.length === 0) return null;
+              return (
+                <div key={category} className="mb-2">
+                  <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{label}</p>
+                  {inCategory.map(clause => (
+                    <label key={clause.id} className="flex items-start gap-2 text-sm py-1">
+                      <input
+                        type="checkbox"
+                        checked={clauseIds.includes(clause.id)}
+                        onChange={() => toggleClause(clause.id)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="font-medium text-gray-900">{clause.title}</span>
+                        <span className="block text-gray-600">{clause.body}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Terms for this lodger only</p>
+            {customTerms.map((term, index) => (
+              <div key={index} className="bg-gray-50 rounded-lg p-3 space-y-2">
+                <div className="flex gap-2">
+                  <select value={term.category} onChange={(e) => updateCustomTerm(index, { category: e.target.value })} className={inputClass}>
+                    {Object.entries(terms.categories).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={term.title}
+                    onChange={(e) => updateCustomTerm(index, { title: e.target.value })}
+                    placeholder="Title"
+                    className={inputClass}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setCustomTerms(customTerms.filter((_, i) => i !== index))}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Remove term"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                <textarea
+                  rows={2}
+                  value={term.body}
+                  onChange={(e) => updateCustomTerm(index, { body: e.target.value })}
+                  placeholder="Wording"
+                  className={inputClass}
+                />
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setCustomTerms([...customTerms, emptyTerm])}
+              className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              <Plus className="w-4 h-4" />
+              Add Term
+            </button>
+          </div>
+
+          <button
+            onClick={handleSave}
+            disabled={saving || !templateId}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Agreement Terms'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpecialTerms;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Scale } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const SURRENDER_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  countered: 'bg-blue-100 text-blue-800',
+  withdrawn: 'bg-gray-100 text-gray-700'
+};
+
+const emptyTerms = {
+  end_date: '',
+  waived_rent: '',
+  keys_return_date: '',
+  deposit_handling: 'standard',
+  other_terms: '',
+  reason: '',
+  signature: ''
+};
+
+/**
+ * Surrender Component
+ *
+ * Ending the agreement early by mutual agreement. Either party can propose an end date
+ * with terms (rent waived, keys return date, how the deposit is dealt with); the other
+ * accepts, rejects or counters. Accepting signs the deed of surrender and cuts the
+ * payment schedule back to the agreed date.
+ *
+ * @param {string} tenancyId - Tenancy being surrendered
+ * @param {string} userType - 'landlord' or 'lodger'
+ * @param {Function} onSurrendered - Called after a proposal is accepted so the tenancy can be reloaded
+ */
+const Surrender = ({ tenancyId, userType, onSurrendered }) => {
+  const [data, setData] = useState(null);
+  const [formMode, setFormMode] = useState(null);
+  const [terms, setTerms] = useState(emptyTerms);
+  const [acceptSignature, setAcceptSignature] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchProposals();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchProposals = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/surrender`, { headers: authHeaders() });
+      setData(response.data);
+    } catch (error) {
+      console.error('Failed to fetch surrender proposals:', error);
+    }
+  };
+
+  const openForm = (mode, proposal) => {
+    setFormMode(mode);
+    setTerms(proposal ? {
+      ...emptyTerms,
+      end_date: proposal.effective_date.split('T')[0],
+      waived_rent: proposal.surrender_terms.waived_rent || '',
+      keys_return_date: proposal.surrender_terms.keys_return_date || '',
+      deposit_handling: proposal.surrender_terms.deposit_handling,
+      other_terms: proposal.surrender_terms.other_terms || ''
+    } : emptyTerms);
+  };
+
+  const updateTerm = (field, value) => setTerms(prev => ({ ...prev, [field]: value }));
+
+  const handlePropose = async (e, pendingProposal) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (formMode === 'counter') {
+        await axios.post(
+          `${API_URL}/api/tenancies/surrenders/${pendingProposal.id}/respond`,
+          { ...terms, response: 'counter' },
+          { headers: authHeaders() }
+        );
+        showSuccess('Counter-proposal sent');
+      } else {
+        await axios.post(`${API_URL}/api/tenancies/${tenancyId}/surrender`, terms, { headers: authHeaders() });
+        showSuccess('Proposal sent');
+      }
+      setFormMode(null);
+      fetchProposals();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to send proposal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAccept = async (proposal) => {
+    if (!window.confirm(`Sign the deed of surrender and end the agreement on ${formatDate(proposal.effective_date)}? This can't be undone.`)) return;
+
+    setSaving(true);
+    try {
+      const response = await axios.post(
+        `${API_URL}/api/tenancies/surrenders/${proposal.id}/respond`,
+        { response: 'accept', signature: acceptSignature },
+        { headers: authHeaders() }
+      );
+      const applied = response.data.waived_rent_applied;
+      showSuccess(applied !== null && applied < parseFloat(proposal.surrender_terms.waived_rent)
+        ? `Deed of surrender signed. Only £${applied.toFixed(2)} of rent was outstanding to waive.`
+        : 'Deed of surrender signed');
+      setAcceptSignature('');
+      fetchProposals();
+      onSurrendered && onSurrendered();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to accept proposal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReject = async (proposal) => {
+    if (!window.confirm('Reject this proposal? The agreement will carry on as normal.')) return;
+
+    try {
+      await axios.post(
+        `${API_URL}/api/tenancies/surrenders/${proposal.id}/respond`,
+        { response: 'reject' },
+        { headers: authHeaders() }
+      );
+      showSuccess('Proposal rejected');
+      fetchProposals();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to reject proposal');
+    }
+  };
+
+  const handleWithdraw = async (proposal) => {
+    if (!window.confirm('Withdraw your proposal?')) return;
+
+    try {
+      await axios.post(`${API_URL}/api/tenancies/surrenders/${proposal.id}/withdraw`, {}, { headers: authHeaders() });
+      showSuccess('Proposal withdrawn');
+      fetchProposals();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to withdraw proposal');
+    }
+  };
+
+  if (!data) return null;
+
+  const { proposals, deposit_handling: depositHandling } = data;
+  if (proposals.length === 0 && !data.can_propose) return null;
+
+  const pending = proposals.find(proposal => proposal.surrender_status === 'pending');
+  const otherParty = userType === 'landlord' ? 'your lodger' : 'your householder';
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm';
+
+  const renderTerms = (proposal) => (
+    <ul className="text-xs text-gray-600 mt-1 space-y-0.5">
+      <li>Agreement ends: <span className="font-medium text-gray-900">{formatDate(proposal.effective_date)}</span></li>
+      {proposal.surrender_terms.keys_return_date && (
+        <li>Keys returned by: {formatDate(proposal.surrender_terms.keys_return_date)}</li>
+      )}
+      {proposal.surrender_terms.waived_rent > 0 && (
+        <li>Rent waived: £{parseFloat(proposal.surrender_terms.waived_rent).toFixed(2)}</li>
+      )}
+      <li>Deposit: {depositHandling[proposal.surrender_terms.deposit_handling]}</li>
+      {proposal.surrender_terms.other_terms && <li>Other terms: {proposal.surrender_terms.other_terms}</li>}
+      {proposal.reason && <li>Reason: {proposal.reason}</li>}
+    </ul>
+  );
+
+  return (
+    <div className={userType === 'lodger' ? 'bg-white rounded-lg shadow p-6' : 'mt-6 pt-6 border-t'}>
+      <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2 mb-4">
+        <Scale className="w-4 h-4 text-indigo-600" />
+        Ending Early by Agreement
+      </h4>
+
+      {pending && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+          <p className="text-sm font-medium text-gray-900">
+            {pending.given_by_type === userType
+              ? `Waiting for ${otherParty} to respond to your proposal`
+              : `${pending.given_by_name} has proposed ending the agreement early`}
+          </p>
+          {renderTerms(pending)}
+
+          {pending.given_by_type === userType ? (
+            <button
+              onClick={() => handleWithdraw(pending)}
+              className="mt-3 px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+            >
+              Withdraw Proposal
+            </button>
+          ) : formMode !== 'counter' && (
+            <div className="mt-3 space-y-2">
+              <input
+                type="text"
+                value={acceptSignature}
+                onChange={(e) => setAcceptSignature(e.target.value)}
+                placeholder="Type your full name to sign the deed"
+                className={inputClass}
+              />
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => handleAccept(pending)}
+                  disabled={saving || !acceptSignature.trim()}
+                  className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition font-medium disabled:opacity-50"
+                >
+                  {saving ? 'Signing...' : 'Accept and Sign'}
+                </button>
+                <button
+                  onClick={() => openForm('counter', pending)}
+                  className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium"
+                >
+                  Counter
+                </button>
+                <button
+                  onClick={() => handleReject(pending)}
+                  className="px-3 py-1.5 border border-red-300 text-red-700 text-sm rounded-lg hover:bg-red-50 transition"
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {!pending && data.can_propose && !formMode && (
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <p className="text-sm text-gray-600">
+            If you and {otherParty} both want the agreement to end sooner than notice allows, you can propose a date and terms for them to agree.
+          </p>
+          <button
+            onClick={() => openForm('propose')}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium whitespace-nowrap"
+          >
+            Propose Early End
+          </button>
+        </div>
+      )}
+
+      {formMode && (
+        <form onSubmit={(e) => handlePropose(e, pending)} className="space-y-3 mb-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Last day of the agreement</label>
+              <input type="date" value={terms.end_date} onChange={(e) => updateTerm('end_date', e.target.value)} className={inputClass} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Keys returned by (optional)</label>
+              <input type="date" value={terms.keys_return_date} onChange={(e) => updateTerm('keys_return_date', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rent waived (£, optional)</label>
+              <input type="number" min="0" step="0.01" value={terms.waived_rent} onChange={(e) => updateTerm('waived_rent', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Deposit</label>
+              <select value={terms.deposit_handling} onChange={(e) => updateTerm('deposit_handling', e.target.value)} className={inputClass}>
+                {Object.entries(depositHandling).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Other terms (optional)</label>
+            <textarea value={terms.other_terms} onChange={(e) => updateTerm('other_terms', e.target.value)} rows={2} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason (optional)</label>
+            <input type="text" value={terms.reason} onChange={(e) => updateTerm('reason', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Signature</label>
+            <input
+              type="text"
+              value={terms.signature}
+              onChange={(e) => updateTerm('signature', e.target.value)}
+              placeholder="Type your full name"
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Your signature goes on the deed of surrender. The agreement only ends early if {otherParty} signs it too.
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving || !terms.end_date || !terms.signature.trim()}
+              className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Sending...' : formMode === 'counter' ? 'Send Counter-proposal' : 'Send Proposal'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setFormMode(null)}
+              className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {proposals.filter(proposal => proposal !== pending).length > 0 && (
+        <div className="space-y-2">
+          {proposals.filter(proposal => proposal !== pending).map(proposal => (
+            <div key={proposal.id} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex justify-between items-start">
+                <p className="text-sm text-gray-900">
+                  Proposed by {proposal.given_by_name} on {formatDate(proposal.notice_date)}
+                </p>
+                <span className={`px-2 py-0.5 text-xs font-semibold rounded ${SURRENDER_STATUS_STYLES[proposal.surrender_status]}`}>
+                  {proposal.surrender_status.toUpperCase()}
+                </span>
+              </div>
+              {renderTerms(proposal)}
+              {proposal.notice_letter_path && (
+                <a
+                  href={`${API_URL}${proposal.notice_letter_path}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="mt-2 inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                >
+                  <FileText className="w-4 h-4" />
+                  View Deed of Surrender
+                </a>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Surrender;
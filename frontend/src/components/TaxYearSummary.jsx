@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { PoundSterling, AlertTriangle, Download } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+/**
+ * TaxYearSummary Component
+ *
+ * Shows how much of the Rent-a-Room allowance a landlord has used in the current
+ * UK tax year (6 April to 5 April), warns as they approach it, and lets them
+ * download each year's summary as PDF or CSV for self-assessment.
+ */
+const TaxYearSummary = () => {
+  const [current, setCurrent] = useState(null);
+  const [years, setYears] = useState([]);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { Authorization: `Bearer ${token}` };
+      const [currentRes, yearsRes] = await Promise.all([
+        axios.get(`${API_URL}/api/tax-year/current`, { headers }),
+        axios.get(`${API_URL}/api/tax-year`, { headers })
+      ]);
+      setCurrent(currentRes.data);
+      setYears(yearsRes.data);
+    } catch (error) {
+      console.error('Failed to fetch tax year summary:', error);
+      showError('Failed to load tax year summary');
+    }
+  };
+
+  const handleToggleTracking = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(`${API_URL}/api/tax-year/toggle`, {
+        enabled: !current.tracking_enabled
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setCurrent({ ...current, tracking_enabled: response.data.tracking_enabled });
+      showSuccess(response.data.tracking_enabled ? 'Rent-a-Room tracking turned on' : 'Rent-a-Room tracking turned off');
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update tax tracking');
+    }
+  };
+
+  const handleJointlyOwned = async (taxYearStart, jointlyOwned) => {
+    try {
+      const token = localStorage.getItem('token');
+      await axios.put(`${API_URL}/api/tax-year/${taxYearStart.slice(0, 4)}`, {
+        jointly_owned: jointlyOwned
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update tax year');
+    }
+  };
+
+  const handleExport = async (summary, format) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/tax-year/${summary.tax_year_start.slice(0, 4)}/export`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `rent-a-room-${summary.tax_year}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to download tax year summary');
+    }
+  };
+
+  if (!current) {
+    return null;
+  }
+
+  const barColour = current.warning_level === 'exceeded'
+    ? 'bg-red-500'
+    : current.warning_level === 'approaching' ? 'bg-amber-500' : 'bg-green-500';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <PoundSterling className="w-5 h-5 text-indigo-600" />
+            Rent-a-Room Allowance {current.tax_year}
+          </h3>
+          <p className="text-sm text-gray-600">
+            Rent received from 6 April to 5 April. Up to the allowance is tax free and does not need to be declared.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 flex-shrink-0">
+          <input
+            type="checkbox"
+            checked={current.tracking_enabled}
+            onChange={handleToggleTracking}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Track allowance
+        </label>
+      </div>
+
+      {current.tracking_enabled && (
+        <>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="font-medium text-gray-900">£{current.total_rent_received.toFixed(2)} received</span>
+            <span className="text-gray-600">of £{current.rent_a_room_allowance.toFixed(2)}</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-3 mb-2">
+            <div
+              className={`h-3 rounded-full ${barColour}`}
+              style={{ width: `${Math.min(current.percentage_used, 100)}%` }}
+            />
+          </div>
+
+          {current.warning_level !== 'none' && (
+            <div className={`flex items-start gap-2 p-3 rounded-lg text-sm mb-3 ${
+              current.warning_level === 'exceeded' ? 'bg-red-50 text-red-800' : 'bg-amber-50 text-amber-800'
+            }`}>
+              <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              {current.warning_level === 'exceeded'
+                ? `You are £${current.amount_over_allowance.toFixed(2)} over the allowance and will need to complete a Self Assessment tax return for this year.`
+                : `You have used ${current.percentage_used}% of the allowance. £${current.remaining_allowance.toFixed(2)} remains.`}
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+            <input
+              type="checkbox"
+              checked={current.jointly_owned}
+              onChange={(e) => handleJointlyOwned(current.tax_year_start, e.target.checked)}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            Someone else also receives rent from this home (allowance halved to £3,750)
+          </label>
+        </>
+      )}
+
+      {years.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-gray-900 mb-2">Year-End Summaries</h4>
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {years.map(summary => (
+              <div key={summary.tax_year_start} className="flex items-center justify-between px-4 py-2 text-sm">
+                <div>
+                  <span className="font-medium text-gray-900">{summary.tax_year}</span>
+                  <span className="text-gray-600 ml-3">£{summary.total_rent_received.toFixed(2)} received</span>
+                  {summary.allowance_exceeded && (
+                    <span className="ml-3 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Over allowance</span>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleExport(summary, 'pdf')}
+                    className="flex items-center gap-1 px-2 py-1 text-indigo-600 hover:bg-indigo-50 rounded"
+                  >
+                    <Download className="w-4 h-4" /> PDF
+                  </button>
+                  <button
+                    onClick={() => handleExport(summary, 'csv')}
+                    className="flex items-center gap-1 px-2 py-1 text-indigo-600 hover:bg-indigo-50 rounded"
+                  >
+                    <Download className="w-4 h-4" /> CSV
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaxYearSummary;
@@ -0,0 +1,420 @@
+import React, { useState, useEffect } from 'react';
+import { Zap, Trash2, Paperclip } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const emptyBill = {
+  utility_type: '',
+  supplier: '',
+  amount: '',
+  period_start: '',
+  period_end: '',
+  due_date: '',
+  split_method: 'days_occupied',
+  include_householder: true,
+  notes: ''
+};
+
+/**
+ * UtilityBills Component
+ *
+ * Lets a landlord enter household bills for a billing period and split them
+ * between the lodgers in occupation, either by days occupied or by a fixed
+ * share. Each share is added to the lodger's ledger with the bill attached.
+ */
+const UtilityBills = () => {
+  const [bills, setBills] = useState([]);
+  const [types, setTypes] = useState({ utility_types: {}, split_methods: {} });
+  const [newBill, setNewBill] = useState(emptyBill);
+  const [billFile, setBillFile] = useState(null);
+  const [occupancy, setOccupancy] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [shares, setShares] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  useEffect(() => {
+    if (newBill.period_start && newBill.period_end && newBill.period_end >= newBill.period_start) {
+      fetchOccupancy();
+    } else {
+      setOccupancy(null);
+    }
+  }, [newBill.period_start, newBill.period_end]);
+
+  const fetchData = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { Authorization: `Bearer ${token}` };
+      const [typesRes, billsRes] = await Promise.all([
+        axios.get(`${API_URL}/api/utility-bills/types`, { headers }),
+        axios.get(`${API_URL}/api/utility-bills`, { headers })
+      ]);
+      setTypes(typesRes.data);
+      setBills(billsRes.data);
+    } catch (error) {
+      console.error('Failed to fetch utility bills:', error);
+      showError('Failed to load utility bills');
+    }
+  };
+
+  const fetchOccupancy = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/utility-bills/occupancy`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { period_start: newBill.period_start, period_end: newBill.period_end }
+      });
+      setOccupancy(response.data);
+      setSelected(Object.fromEntries(response.data.occupants.map(occupant => [occupant.tenancy_id, true])));
+    } catch (error) {
+      console.error('Failed to fetch occupancy:', error);
+      setOccupancy(null);
+    }
+  };
+
+  // Estimated share for each selected lodger, worked out the same way as the server
+  const estimateShares = () => {
+    if (!occupancy) return {};
+    const amount = parseFloat(newBill.amount) || 0;
+    const chosen = occupancy.occupants.filter(occupant => selected[occupant.tenancy_id]);
+
+    if (newBill.split_method === 'fixed_share') {
+      return Object.fromEntries(chosen.map(occupant => [
+        occupant.tenancy_id,
+        amount * (parseFloat(shares[occupant.tenancy_id]) || 0) / 100
+      ]));
+    }
+
+    const totalDays = chosen.reduce((sum, occupant) => sum + occupant.days, 0) +
+      (newBill.include_householder ? occupancy.bill_days : 0);
+    return Object.fromEntries(chosen.map(occupant => [
+      occupant.tenancy_id,
+      totalDays > 0 ? amount * occupant.days / totalDays : 0
+    ]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      const tenancyIds = occupancy ? occupancy.occupants.filter(o => selected[o.tenancy_id]).map(o => o.tenancy_id) : [];
+      const formData = new FormData();
+      Object.entries(newBill).forEach(([key, value]) => {
+        if (value !== '') formData.append(key, value);
+      });
+      formData.append('tenancy_ids', JSON.stringify(tenancyIds));
+      if (newBill.split_method === 'fixed_share') {
+        formData.append('shares', JSON.stringify(
+          Object.fromEntries(tenancyIds.map(id => [id, parseFloat(shares[id]) || 0]))
+        ));
+      }
+      if (billFile) {
+        formData.append('bill', billFile);
+      }
+
+      const response = await axios.post(`${API_URL}/api/utility-bills`, formData, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+
+      showSuccess(`Bill recorded and charged to ${response.data.shares.filter(share => parseFloat(share.amount) > 0).length} lodger(s)`);
+      setNewBill(emptyBill);
+      setBillFile(null);
+      setShares({});
+      setShowForm(false);
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to record utility bill');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (billId) => {
+    if (!window.confirm('Delete this bill? The charges will be removed from lodgers\' statements and any payments against them re-allocated.')) {
+      return;
+    }
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`${API_URL}/api/utility-bills/${billId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      showSuccess('Utility bill deleted');
+      fetchData();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to delete utility bill');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+  const estimates = estimateShares();
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <Zap className="w-5 h-5 text-indigo-600" />
+          Utility Bills
+        </h3>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium"
+          >
+            Add Bill
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Utility</label>
+              <select
+                value={newBill.utility_type}
+                onChange={(e) => setNewBill({ ...newBill, utility_type: e.target.value })}
+                className={inputClass}
+                required
+              >
+                <option value="">Select utility</option>
+                {Object.entries(types.utility_types).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+              <input
+                type="text"
+                value={newBill.supplier}
+                onChange={(e) => setNewBill({ ...newBill, supplier: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Bill Total (£)</label>
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={newBill.amount}
+                onChange={(e) => setNewBill({ ...newBill, amount: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Period From</label>
+              <input
+                type="date"
+                value={newBill.period_start}
+                onChange={(e) => setNewBill({ ...newBill, period_start: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Period To</label>
+              <input
+                type="date"
+                value={newBill.period_end}
+                onChange={(e) => setNewBill({ ...newBill, period_end: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Lodgers Pay By</label>
+              <input
+                type="date"
+                value={newBill.due_date}
+                onChange={(e) => setNewBill({ ...newBill, due_date: e.target.value })}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Split</label>
+              <select
+                value={newBill.split_method}
+                onChange={(e) => setNewBill({ ...newBill, split_method: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(types.split_methods).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-end">
+              {newBill.split_method === 'days_occupied' && (
+                <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+                  <input
+                    type="checkbox"
+                    checked={newBill.include_householder}
+                    onChange={(e) => setNewBill({ ...newBill, include_householder: e.target.checked })}
+                  />
+                  Householder pays a share
+                </label>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Copy of Bill</label>
+              <input
+                type="file"
+                accept=".jpg,.jpeg,.png,.pdf"
+                onChange={(e) => setBillFile(e.target.files[0] || null)}
+                className="w-full text-sm"
+              />
+            </div>
+          </div>
+
+          {occupancy && (
+            <div className="border border-gray-200 rounded-lg overflow-hidden">
+              {occupancy.occupants.length === 0 ? (
+                <p className="text-sm text-gray-500 p-3">No lodgers were in occupation during this period.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Lodger</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Days ({occupancy.bill_days} in period)</th>
+                      {newBill.split_method === 'fixed_share' && (
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Share %</th>
+                      )}
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Estimated</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {occupancy.occupants.map(occupant => (
+                      <tr key={occupant.tenancy_id}>
+                        <td className="px-4 py-2">
+                          <label className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              checked={!!selected[occupant.tenancy_id]}
+                              onChange={(e) => setSelected({ ...selected, [occupant.tenancy_id]: e.target.checked })}
+                            />
+                            {occupant.lodger_name}
+                          </label>
+                        </td>
+                        <td className="px-4 py-2 text-right">{occupant.days}</td>
+                        {newBill.split_method === 'fixed_share' && (
+                          <td className="px-4 py-2 text-right">
+                            <input
+                              type="number"
+                              min="0"
+                              max="100"
+                              step="0.01"
+                              value={shares[occupant.tenancy_id] || ''}
+                              onChange={(e) => setShares({ ...shares, [occupant.tenancy_id]: e.target.value })}
+                              disabled={!selected[occupant.tenancy_id]}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded text-right"
+                            />
+                          </td>
+                        )}
+                        <td className="px-4 py-2 text-right">
+                          {selected[occupant.tenancy_id] ? `£${(estimates[occupant.tenancy_id] || 0).toFixed(2)}` : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save and Charge Lodgers'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {bills.length === 0 ? (
+        <p className="text-sm text-gray-500">No utility bills recorded yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Utility</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Lodger Shares</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {bills.map(bill => (
+                <tr key={bill.id}>
+                  <td className="px-4 py-2">
+                    {types.utility_types[bill.utility_type] || bill.utility_type}
+                    {bill.supplier && <span className="text-gray-500"> - {bill.supplier}</span>}
+                  </td>
+                  <td className="px-4 py-2">
+                    {new Date(bill.period_start).toLocaleDateString('en-GB')} - {new Date(bill.period_end).toLocaleDateString('en-GB')}
+                  </td>
+                  <td className="px-4 py-2 text-right">£{parseFloat(bill.amount).toFixed(2)}</td>
+                  <td className="px-4 py-2">
+                    {bill.shares.map(share => (
+                      <div key={share.tenancy_id} className="text-xs">
+                        {share.lodger_name}: £{parseFloat(share.amount).toFixed(2)}
+                        <span className="text-gray-500">
+                          {' '}({bill.split_method === 'fixed_share' ? `${parseFloat(share.share_percent)}%` : `${share.days_occupied} days`}
+                          {share.charge_status && `, ${share.charge_status}`})
+                        </span>
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    {bill.bill_path && (
+                      <a
+                        href={`${API_URL}${bill.bill_path}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex p-1 text-indigo-600 hover:bg-indigo-50 rounded"
+                        title={bill.bill_filename}
+                      >
+                        <Paperclip className="w-4 h-4" />
+                      </a>
+                    )}
+                    <button
+                      onClick={() => handleDelete(bill.id)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UtilityBills;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { Zap, Paperclip } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const utilityLabels = {
+  gas: 'Gas',
+  electricity: 'Electricity',
+  water: 'Water',
+  broadband: 'Broadband',
+  council_tax: 'Council tax'
+};
+
+/**
+ * UtilityCharges Component
+ *
+ * Shows a lodger their share of each household bill the landlord has
+ * recharged, how it was worked out and what has been paid towards it.
+ *
+ * @param {number} refreshKey - Change to force the charges to reload
+ */
+const UtilityCharges = ({ refreshKey }) => {
+  const [charges, setCharges] = useState([]);
+
+  useEffect(() => {
+    fetchCharges();
+  }, [refreshKey]);
+
+  const fetchCharges = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/api/utility-bills/my`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setCharges(response.data);
+    } catch (error) {
+      console.error('Failed to fetch utility charges:', error);
+    }
+  };
+
+  if (charges.length === 0) {
+    return null;
+  }
+
+  const describeSplit = (charge) => {
+    if (charge.split_method === 'fixed_share') {
+      return `Agreed share of ${parseFloat(charge.share_percent)}%`;
+    }
+    const sharers = charge.include_householder ? `${charge.lodgers_sharing} lodger(s) and the householder` : `${charge.lodgers_sharing} lodger(s)`;
+    return `${charge.days_occupied} days occupied, shared between ${sharers} (${parseFloat(charge.share_percent)}%)`;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden mt-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <Zap className="w-5 h-5 text-indigo-600" />
+          Utility Bills
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Your share of household bills under clause 2.2 of your agreement. These appear as charges on your ledger statement.
+        </p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Bill</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">How Your Share Was Worked Out</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Bill Total</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Your Share</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Paid</th>
+              <th className="px-6 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {charges.map(charge => (
+              <tr key={charge.id}>
+                <td className="px-6 py-3">
+                  <div className="font-medium">
+                    {utilityLabels[charge.utility_type] || charge.utility_type}
+                    {charge.supplier && <span className="text-gray-500 font-normal"> - {charge.supplier}</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(charge.period_start).toLocaleDateString('en-GB')} - {new Date(charge.period_end).toLocaleDateString('en-GB')}
+                  </div>
+                </td>
+                <td className="px-6 py-3 text-gray-600">{describeSplit(charge)}</td>
+                <td className="px-6 py-3 text-right">£{parseFloat(charge.bill_amount).toFixed(2)}</td>
+                <td className="px-6 py-3 text-right font-medium">£{parseFloat(charge.amount).toFixed(2)}</td>
+                <td className="px-6 py-3">{new Date(charge.due_date).toLocaleDateString('en-GB')}</td>
+                <td className="px-6 py-3 text-right">
+                  <span className={charge.charge_status === 'paid' ? 'text-green-600' : ''}>
+                    £{parseFloat(charge.amount_paid).toFixed(2)}
+                  </span>
+                </td>
+                <td className="px-6 py-3 text-right">
+                  {charge.bill_path && (
+                    <a
+                      href={`${API_URL}${charge.bill_path}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-900 font-medium"
+                      title={charge.bill_filename}
+                    >
+                      <Paperclip className="w-3 h-3" />
+                      Bill
+                    </a>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default UtilityCharges;
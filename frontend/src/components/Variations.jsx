@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import { FileEdit, FileText, Plus, Trash2 } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+import SignaturePad from './SignaturePad';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const VARIATION_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-blue-100 text-blue-800',
+  applied: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  withdrawn: 'bg-gray-100 text-gray-700'
+};
+
+const VARIATION_STATUS_LABELS = {
+  pending: 'AWAITING LODGER',
+  accepted: 'SIGNED',
+  applied: 'IN EFFECT',
+  rejected: 'REJECTED',
+  withdrawn: 'WITHDRAWN'
+};
+
+const emptyTerm = { category: 'house_rules', title: '', body: '' };
+
+/**
+ * Variations Component
+ *
+ * Deeds of variation to a signed agreement. The landlord chooses which terms to change
+ * (the Room, Shared Areas, utilities, Part 3 terms), sets the date they take effect and
+ * signs; the lodger sees the old and new wording side by side and signs or rejects.
+ * Once both have signed, a new copy of the agreement is issued with the deed appended.
+ *
+ * @param {string} tenancyId - Tenancy whose agreement is being varied
+ * @param {string} userType - 'landlord' or 'lodger'
+ * @param {string} signerName - Pre-fills the typed signature
+ * @param {Function} onVaried - Called after a variation is signed so the tenancy can be reloaded
+ */
+const Variations = ({ tenancyId, userType, signerName, onVaried }) => {
+  const [data, setData] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [varied, setVaried] = useState({});
+  const [effectiveDate, setEffectiveDate] = useState('');
+  const [reason, setReason] = useState('');
+  const [signature, setSignature] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchVariations();
+  }, [tenancyId]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchVariations = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/tenancies/${tenancyId}/variations`, { headers: authHeaders() });
+      setData(response.data);
+    } catch (error) {
+      console.error('Failed to fetch agreement variations:', error);
+    }
+  };
+
+  const toggleField = (field) => {
+    if (Object.prototype.hasOwnProperty.call(varied, field)) {
+      const rest = { ...varied };
+      delete rest[field];
+      setVaried(rest);
+    } else {
+      setVaried({ ...varied, [field]: field === 'special_terms' ? [...data.current.special_terms] : (data.current[field] || '') });
+    }
+  };
+
+  const updateTerm = (index, changes) => {
+    setVaried({
+      ...varied,
+      special_terms: varied.special_terms.map((term, i) => (i === index ? { ...term, ...changes } : term))
+    });
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setVaried({});
+    setEffectiveDate('');
+    setReason('');
+    setSignature(null);
+  };
+
+  const handlePropose = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await axios.post(`${API_URL}/api/tenancies/${tenancyId}/variations`, {
+        changes: varied,
+        effective_date: effectiveDate,
+        reason,
+        ...signature
+      }, { headers: authHeaders() });
+      showSuccess('Deed of variation signed and sent to your lodger');
+      closeForm();
+      fetchVariations();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to propose variation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRespond = async (variation, response) => {
+    if (response === 'reject' && !confirm('Reject these changes to your agreement?')) return;
+
+    setSaving(true);
+    try {
+      await axios.post(`${API_URL}/api/tenancies/variations/${variation.id}/respond`, {
+        response,
+        reason: rejectReason,
+        ...(response === 'accept' ? signature : {})
+      }, { headers: authHeaders() });
+      showSuccess(response === 'accept' ? 'Deed of variation signed' : 'Variation rejected');
+      setSignature(null);
+      setRejectReason('');
+      fetchVariations();
+      if (response === 'accept' && onVaried) onVaried();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to respond to variation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWithdraw = async (variation) => {
+    if (!confirm('Withdraw this variation?')) return;
+
+    try {
+      await axios.post(`${API_URL}/api/tenancies/variations/${variation.id}/withdraw`, {}, { headers: authHeaders() });
+      showSuccess('Variation withdrawn');
+      fetchVariations();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to withdraw variation');
+    }
+  };
+
+  if (!data) return null;
+
+  const pending = data.variations.find(variation => variation.status === 'pending');
+  if (data.variations.length === 0 && !data.can_propose) return null;
+
+  const renderValue = (field, value) => {
+    if (field === 'special_terms') {
+      return value.length === 0 ? <span className="text-gray-500">None</span> : (
+        <ul className="space-y-1">
+          {value.map((term, index) => (
+            <li key={index}><span className="font-medium">{term.title}:</span> {term.body}</li>
+          ))}
+        </ul>
+      );
+    }
+    return value || <span className="text-gray-500">Not stated (the agreement's standard wording)</span>;
+  };
+
+  const renderChanges = (variation) => (
+    <div className="mt-2 space-y-2">
+      {variation.changes.map(change => (
+        <div key={change.field} className="text-sm">
+          <p className="font-medium text-gray-900">{change.label}</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mt-1">
+            <div className="bg-red-50 border border-red-100 rounded p-2 text-gray-700">
+              <p className="text-xs font-semibold text-red-700 uppercase mb-1">Before</p>
+              {renderValue(change.field, change.from)}
+            </div>
+            <div className="bg-green-50 border border-green-100 rounded p-2 text-gray-700">
+              <p className="text-xs font-semibold text-green-700 uppercase mb-1">From {formatDate(variation.effective_date)}</p>
+              {renderValue(change.field, change.to)}
+            </div>
+          </div>
+        </div>
+      ))}
+      {variation.reason && <p className="text-sm text-gray-600">Reason: {variation.reason}</p>}
+    </div>
+  );
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-sm';
+
+  return (
+    <div className={userType === 'lodger' ? 'bg-white rounded-lg shadow p-6' : 'mt-6 pt-6 border-t'}>
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide flex items-center gap-2">
+          <FileEdit className="w-4 h-4 text-indigo-600" />
+          Variations to the Agreement
+        </h4>
+        {data.can_propose && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium"
+          >
+            Vary the Agreement
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handlePropose} className="border border-gray-200 rounded-lg p-4 space-y-4 mb-4">
+          <p className="text-sm text-gray-600">Choose the terms to change. Everything else in the agreement stays as it is.</p>
+          {Object.entries(data.fields).map(([field, label]) => (
+            <div key={field}>
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input type="checkbox" checked={field in varied} onChange={() => toggleField(field)} />
+                {label}
+              </label>
+              {field in varied && field !== 'special_terms' && (
+                <textarea
+                  rows={3}
+                  value={varied[field]}
+                  onChange={(e) => setVaried({ ...varied, [field]: e.target.value })}
+                  className={`${inputClass} mt-2`}
+                />
+              )}
+              {field in varied && field === 'special_terms' && (
+                <div className="mt-2 space-y-2">
+                  {varied.special_terms.map((term, index) => (
+                    <div key={index} className="bg-gray-50 rounded-lg p-3 space-y-2">
+                      <div className="flex gap-2">
+                        <select value={term.category} onChange={(e) => updateTerm(index, { category: e.target.value })} className={inputClass}>
+                          {Object.entries(data.categories).map(([value, categoryLabel]) => (
+                            <option key={value} value={value}>{categoryLabel}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={term.title}
+                          onChange={(e) => updateTerm(index, { title: e.target.value })}
+                          placeholder="Title"
+                          className={inputClass}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setVaried({ ...varied, special_terms: varied.special_terms.filter((_, i) => i !== index) })}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Remove term"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <textarea
+                        rows={2}
+                        value={term.body}
+                        onChange={(e) => updateTerm(index, { body: e.target.value })}
+                        className={inputClass}
+                      />
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setVaried({ ...varied, special_terms: [...varied.special_terms, emptyTerm] })}
+                    className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add Term
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Changes Take Effect On</label>
+              <input
+                type="date"
+                value={effectiveDate}
+                onChange={(e) => setEffectiveDate(e.target.value)}
+                min={new Date().toISOString().split('T')[0]}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason (optional)</label>
+              <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} className={inputClass} />
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Sign the Deed of Variation</p>
+            <SignaturePad signerName={signerName} onChange={setSignature} />
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving || !signature || Object.keys(varied).length === 0}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Sending...' : 'Sign & Send to Lodger'}
+            </button>
+            <button type="button" onClick={closeForm} className="px-4 py-2 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {pending && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+          <p className="text-sm font-medium text-gray-900">
+            {userType === 'landlord'
+              ? 'Waiting for your lodger to sign the deed of variation'
+              : `${pending.proposed_by_name} has signed a deed of variation to your agreement`}
+          </p>
+          {renderChanges(pending)}
+
+          {userType === 'landlord' ? (
+            <button
+              onClick={() => handleWithdraw(pending)}
+              className="mt-3 px-3 py-1.5 border border-gray-300 text-sm rounded-lg hover:bg-gray-50 transition"
+            >
+              Withdraw Variation
+            </button>
+          ) : (
+            <div className="mt-3 space-y-3">
+              <SignaturePad signerName={signerName} onChange={setSignature} />
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => handleRespond(pending, 'accept')}
+                  disabled={saving || !signature}
+                  className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition font-medium disabled:opacity-50"
+                >
+                  Sign Deed of Variation
+                </button>
+                <input
+                  type="text"
+                  value={rejectReason}
+                  onChange={(e) => setRejectReason(e.target.value)}
+                  placeholder="Reason for rejecting (optional)"
+                  className="px-3 py-1.5 border border-gray-300 text-sm rounded-lg"
+                />
+                <button
+                  onClick={() => handleRespond(pending, 'reject')}
+                  disabled={saving}
+                  className="px-3 py-1.5 border border-red-300 text-red-700 text-sm rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {data.variations.filter(variation => variation !== pending).length > 0 && (
+        <div className="space-y-2">
+          {data.variations.filter(variation => variation !== pending).map(variation => (
+            <div key={variation.id} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex justify-between items-start">
+                <p className="text-sm text-gray-900">
+                  {variation.variation_number ? `Deed of Variation No. ${variation.variation_number}` : 'Proposed variation'}
+                  {` · proposed by ${variation.proposed_by_name} on ${formatDate(variation.created_at)}`}
+                </p>
+                <span className={`px-2 py-0.5 text-xs font-semibold rounded ${VARIATION_STATUS_STYLES[variation.status]}`}>
+                  {VARIATION_STATUS_LABELS[variation.status]}
+                </span>
+              </div>
+              {renderChanges(variation)}
+              {variation.rejection_reason && <p className="text-sm text-red-700 mt-1">Rejected: {variation.rejection_reason}</p>}
+              <div className="flex flex-wrap gap-4 mt-2">
+                {variation.deed_path && (
+                  <a
+                    href={`${API_URL}${variation.deed_path}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                  >
+                    <FileText className="w-4 h-4" />
+                    View Deed of Variation
+                  </a>
+                )}
+                {variation.agreement_path && (
+                  <a
+                    href={`${API_URL}${variation.agreement_path}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                  >
+                    <FileText className="w-4 h-4" />
+                    Agreement as Varied
+                  </a>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Variations;
@@ -0,0 +1,412 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, Download } from 'lucide-react';
+import axios from 'axios';
+import { API_URL } from '../config';
+import { showSuccess, showError } from '../utils/toast';
+
+const statusStyles = {
+  issued: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const emptyWorkOrder = {
+  contractor_id: '',
+  attendance_date: '',
+  quote_amount: '',
+  access_arrangements: '',
+  instructions: ''
+};
+
+const emptyInvoice = {
+  invoice_amount: '',
+  invoice_reference: '',
+  invoice_date: '',
+  completion_date: ''
+};
+
+/**
+ * WorkOrders Component
+ *
+ * Sends an acknowledged repair to a contractor with a printable job sheet, and
+ * records the quote, invoice and completion date. Invoices are added to the
+ * landlord's expenses as repair costs.
+ *
+ * @param {Object} request - Maintenance request the work is for
+ * @param {number} refreshKey - Change to reload the contractor list
+ * @param {Function} onChange - Called after a work order changes the request
+ */
+const WorkOrders = ({ request, refreshKey, onChange }) => {
+  const [workOrders, setWorkOrders] = useState([]);
+  const [contractors, setContractors] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [newWorkOrder, setNewWorkOrder] = useState(emptyWorkOrder);
+  const [invoiceFor, setInvoiceFor] = useState(null);
+  const [invoice, setInvoice] = useState(emptyInvoice);
+  const [invoiceFile, setInvoiceFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchWorkOrders();
+  }, [request.id]);
+
+  useEffect(() => {
+    fetchContractors();
+  }, [refreshKey]);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+  const fetchWorkOrders = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/work-orders`, {
+        headers: authHeaders(),
+        params: { maintenance_request_id: request.id }
+      });
+      setWorkOrders(response.data);
+    } catch (error) {
+      console.error('Failed to fetch work orders:', error);
+    }
+  };
+
+  const fetchContractors = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/contractors`, { headers: authHeaders() });
+      setContractors(response.data);
+    } catch (error) {
+      console.error('Failed to fetch contractors:', error);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await axios.post(`${API_URL}/api/work-orders`, {
+        ...newWorkOrder,
+        maintenance_request_id: request.id
+      }, { headers: authHeaders() });
+
+      showSuccess(`Work order ${response.data.work_order_number} created`);
+      setNewWorkOrder(emptyWorkOrder);
+      setShowForm(false);
+      fetchWorkOrders();
+      if (onChange) onChange();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to create work order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecordInvoice = async (e, workOrder) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      Object.entries(invoice).forEach(([key, value]) => {
+        if (value !== '') formData.append(key, value);
+      });
+      if (invoiceFile) {
+        formData.append('invoice', invoiceFile);
+      }
+
+      await axios.put(`${API_URL}/api/work-orders/${workOrder.id}`, formData, {
+        headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+      });
+
+      showSuccess(invoice.invoice_amount ? 'Invoice recorded and added to expenses' : 'Work order updated');
+      setInvoiceFor(null);
+      setInvoice(emptyInvoice);
+      setInvoiceFile(null);
+      fetchWorkOrders();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to update work order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (workOrder) => {
+    if (!confirm(`Cancel work order ${workOrder.work_order_number}?`)) return;
+
+    try {
+      await axios.put(`${API_URL}/api/work-orders/${workOrder.id}`, { status: 'cancelled' }, { headers: authHeaders() });
+      showSuccess('Work order cancelled');
+      fetchWorkOrders();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Failed to cancel work order');
+    }
+  };
+
+  const handleDownloadJobSheet = async (workOrder) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/work-orders/${workOrder.id}/job-sheet`, {
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Job-Sheet-${workOrder.work_order_number}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Failed to download job sheet');
+    }
+  };
+
+  const openInvoiceForm = (workOrder) => {
+    setInvoiceFor(workOrder.id);
+    setInvoice({
+      invoice_amount: workOrder.invoice_amount || workOrder.quote_amount || '',
+      invoice_reference: workOrder.invoice_reference || '',
+      invoice_date: workOrder.invoice_date ? workOrder.invoice_date.split('T')[0] : '',
+      completion_date: workOrder.completion_date ? workOrder.completion_date.split('T')[0] : ''
+    });
+    setInvoiceFile(null);
+  };
+
+  const canDispatch = ['acknowledged', 'scheduled'].includes(request.status);
+  if (workOrders.length === 0 && !canDispatch) {
+    return null;
+  }
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-100">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium flex items-center gap-2">
+          <ClipboardList className="w-4 h-4 text-indigo-600" />
+          Work Orders
+        </p>
+        {canDispatch && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+          >
+            Send to Contractor
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-gray-50 rounded-lg p-3 space-y-3 mb-3">
+          {contractors.length === 0 ? (
+            <p className="text-sm text-gray-500">Add a contractor to your directory first.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Contractor</label>
+                <select
+                  value={newWorkOrder.contractor_id}
+                  onChange={(e) => setNewWorkOrder({ ...newWorkOrder, contractor_id: e.target.value })}
+                  className={inputClass}
+                  required
+                >
+                  <option value="">Select contractor</option>
+                  {contractors.map(contractor => (
+                    <option key={contractor.id} value={contractor.id}>
+                      {contractor.name}{contractor.company_name ? ` (${contractor.company_name})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Attending</label>
+                <input
+                  type="datetime-local"
+                  value={newWorkOrder.attendance_date}
+                  onChange={(e) => setNewWorkOrder({ ...newWorkOrder, attendance_date: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Quote (£)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={newWorkOrder.quote_amount}
+                  onChange={(e) => setNewWorkOrder({ ...newWorkOrder, quote_amount: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="md:col-span-3">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Access Arrangements</label>
+                <input
+                  type="text"
+                  value={newWorkOrder.access_arrangements}
+                  onChange={(e) => setNewWorkOrder({ ...newWorkOrder, access_arrangements: e.target.value })}
+                  placeholder="e.g. Lodger home after 5pm; key safe code from householder"
+                  className={inputClass}
+                />
+              </div>
+              <div className="md:col-span-3">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Instructions</label>
+                <textarea
+                  value={newWorkOrder.instructions}
+                  onChange={(e) => setNewWorkOrder({ ...newWorkOrder, instructions: e.target.value })}
+                  className={inputClass}
+                  rows={2}
+                />
+              </div>
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving || contractors.length === 0}
+              className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+            >
+              {saving ? 'Creating...' : 'Create Work Order'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {workOrders.map(workOrder => (
+        <div key={workOrder.id} className="border border-gray-200 rounded-lg p-3 mb-2 text-sm">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <span className="font-mono font-semibold mr-2">{workOrder.work_order_number}</span>
+              {workOrder.contractor_name}
+              {workOrder.contractor_phone && <span className="text-gray-500"> · {workOrder.contractor_phone}</span>}
+            </div>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${statusStyles[workOrder.status]}`}>
+              {workOrder.status}
+            </span>
+          </div>
+          <div className="flex flex-wrap gap-4 text-xs text-gray-600 mt-1">
+            {workOrder.quote_amount && <span>Quote £{parseFloat(workOrder.quote_amount).toFixed(2)}</span>}
+            {workOrder.invoice_amount && (
+              <span>
+                Invoiced £{parseFloat(workOrder.invoice_amount).toFixed(2)}
+                {workOrder.invoice_reference && ` (${workOrder.invoice_reference})`}
+                {workOrder.expense_id && ' · in expenses'}
+              </span>
+            )}
+            {workOrder.completion_date && <span>Completed {new Date(workOrder.completion_date).toLocaleDateString('en-GB')}</span>}
+            {workOrder.invoice_path && (
+              <a href={`${API_URL}${workOrder.invoice_path}`} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800">
+                View invoice
+              </a>
+            )}
+          </div>
+
+          {workOrder.status !== 'cancelled' && (
+            <div className="flex flex-wrap gap-3 mt-2">
+              <button
+                onClick={() => handleDownloadJobSheet(workOrder)}
+                className="text-xs text-indigo-600 hover:text-indigo-800 font-medium flex items-center gap-1"
+              >
+                <Download className="w-3 h-3" />
+                Job Sheet
+              </button>
+              <button
+                onClick={() => openInvoiceForm(workOrder)}
+                className="text-xs text-indigo-600 hover:text-indigo-800 font-medium"
+              >
+                {workOrder.invoice_amount ? 'Edit Invoice' : 'Record Invoice'}
+              </button>
+              {!workOrder.invoice_amount && (
+                <button
+                  onClick={() => handleCancel(workOrder)}
+                  className="text-xs text-red-600 hover:text-red-800 font-medium"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          )}
+
+          {invoiceFor === workOrder.id && (
+            <form onSubmit={(e) => handleRecordInvoice(e, workOrder)} className="bg-gray-50 rounded-lg p-3 mt-2 space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Invoice Amount (£)</label>
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={invoice.invoice_amount}
+                    onChange={(e) => setInvoice({ ...invoice, invoice_amount: e.target.value })}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Invoice No.</label>
+                  <input
+                    type="text"
+                    value={invoice.invoice_reference}
+                    onChange={(e) => setInvoice({ ...invoice, invoice_reference: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Invoice Date</label>
+                  <input
+                    type="date"
+                    value={invoice.invoice_date}
+                    onChange={(e) => setInvoice({ ...invoice, invoice_date: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Work Completed</label>
+                  <input
+                    type="date"
+                    value={invoice.completion_date}
+                    onChange={(e) => setInvoice({ ...invoice, completion_date: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="md:col-span-4">
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Copy of Invoice</label>
+                  <input
+                    type="file"
+                    accept=".jpg,.jpeg,.png,.pdf"
+                    onChange={(e) => setInvoiceFile(e.target.files[0] || null)}
+                    className="w-full text-sm"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                The invoice is added to your expenses as a repair cost, dated the invoice date.
+              </p>
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition font-medium disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Invoice'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setInvoiceFor(null)}
+                  className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition font-medium"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WorkOrders;
@@ -406,7 +406,7 @@ export const getDamageReports = async (tenancyId, token) => {
 };
 
 export const createDamageReport = async (reportData, token) => {
-    return apiRequest('/api/damage-reports', {
+    return apiRequest(`/api/tenancies/${reportData.tenancy_id}/damage-reports`, {
         method: 'POST',
         body: JSON.stringify(reportData),
     }, token);
@@ -431,6 +431,21 @@ export const toggleTaxTracking = async (enabled, token) => {
     }, token);
 };
 
+export const getTaxYears = async (token) => {
+    return apiRequest('/api/tax-year', { method: 'GET' }, token);
+};
+
+export const getTaxYearReport = async (taxYearStart, token) => {
+    return apiRequest(`/api/tax-year/${taxYearStart}`, { method: 'GET' }, token);
+};
+
+export const setTaxYearJointlyOwned = async (taxYearStart, jointlyOwned, token) => {
+    return apiRequest(`/api/tax-year/${taxYearStart}`, {
+        method: 'PUT',
+        body: JSON.stringify({ jointly_owned: jointlyOwned }),
+    }, token);
+};
+
 // ============================================
 // NOTIFICATIONS
 // ============================================
@@ -877,6 +892,9 @@ export default {
     getDepositRefund,
     getCurrentTaxYear,
     toggleTaxTracking,
+    getTaxYears,
+    getTaxYearReport,
+    setTaxYearJointlyOwned,
     getNotifications,
     markNotificationRead,
     createBackup,